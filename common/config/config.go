@@ -36,10 +36,14 @@ var PasswordRegisterEnabled = true
 var EmailVerificationEnabled = false
 var GitHubOAuthEnabled = false
 var OidcEnabled = false
+var PasskeyLoginEnabled = false
 var WeChatAuthEnabled = false
 var TurnstileCheckEnabled = false
 var RegisterEnabled = true
 
+// AdminTwoFactorRequiredEnabled requires admin and root users to enable two-factor authentication before using admin APIs
+var AdminTwoFactorRequiredEnabled = false
+
 var EmailDomainRestrictionEnabled = false
 var EmailDomainWhitelist = []string{
 	"gmail.com",
@@ -162,3 +166,6 @@ var UserContentRequestProxy = env.String("USER_CONTENT_REQUEST_PROXY", "")
 var UserContentRequestTimeout = env.Int("USER_CONTENT_REQUEST_TIMEOUT", 30)
 
 var EnforceIncludeUsage = env.Bool("ENFORCE_INCLUDE_USAGE", false)
+
+// ChannelHealthRetentionDays is how long the channel test results and auto enable/disable events are kept, 0 keeps them forever
+var ChannelHealthRetentionDays = env.Int("CHANNEL_HEALTH_RETENTION_DAYS", 90)
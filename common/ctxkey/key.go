@@ -6,6 +6,7 @@ const (
 	Username          = "username"
 	Role              = "role"
 	Status            = "status"
+	SessionKey        = "session_key"
 	Channel           = "channel"
 	ChannelId         = "channel_id"
 	SpecificChannelId = "specific_channel_id"
@@ -17,6 +18,8 @@ const (
 	ChannelName       = "channel_name"
 	TokenId           = "token_id"
 	TokenName         = "token_name"
+	TokenRateLimit    = "token_rate_limit"
+	TokenHasBudget    = "token_has_budget"
 	BaseURL           = "base_url"
 	AvailableModels   = "available_models"
 	KeyRequestBody    = "key_request_body"
@@ -1,5 +1,33 @@
 package helper
 
+import "context"
+
 const (
 	RequestIdKey = "X-Oneapi-Request-Id"
 )
+
+// contextKey is unexported so the values below can't collide with context keys of other packages
+type contextKey int
+
+const (
+	tokenIdKey contextKey = iota
+	clientIpKey
+)
+
+// WithRelayClient stores the token id and client ip of a relay request in ctx, both are recorded in the consume logs
+func WithRelayClient(ctx context.Context, tokenId int, clientIp string) context.Context {
+	ctx = context.WithValue(ctx, tokenIdKey, tokenId)
+	return context.WithValue(ctx, clientIpKey, clientIp)
+}
+
+// GetRelayTokenId returns the token id stored by WithRelayClient, or 0 if there is none
+func GetRelayTokenId(ctx context.Context) int {
+	tokenId, _ := ctx.Value(tokenIdKey).(int)
+	return tokenId
+}
+
+// GetRelayClientIp returns the client ip stored by WithRelayClient, or "" if there is none
+func GetRelayClientIp(ctx context.Context) string {
+	clientIp, _ := ctx.Value(clientIpKey).(string)
+	return clientIp
+}
@@ -5,9 +5,24 @@ import (
 	"encoding/json"
 	"errors"
 	"github.com/songquanpeng/one-api/common/config"
+	"github.com/songquanpeng/one-api/common/network"
+	"net"
 	"net/http"
+	"time"
 )
 
+// publicClient is used for the Message Pusher addresses set by users, it refuses to connect to
+// loopback, private and link-local addresses so users can't make the server request internal services
+var publicClient = &http.Client{
+	Timeout: 30 * time.Second,
+	Transport: &http.Transport{
+		DialContext: (&net.Dialer{
+			Timeout: 10 * time.Second,
+			Control: network.PublicOnlyDialControl,
+		}).DialContext,
+	},
+}
+
 type request struct {
 	Title       string `json:"title"`
 	Description string `json:"description"`
@@ -23,24 +38,35 @@ type response struct {
 }
 
 func SendMessage(title string, description string, content string) error {
-	if config.MessagePusherAddress == "" {
+	return sendMessage(http.DefaultClient, config.MessagePusherAddress, config.MessagePusherToken, title, description, content)
+}
+
+// SendMessageTo pushes the message to the given Message Pusher instead of the one configured by the admin,
+// used for the notifications users set up for themselves, so only public addresses are allowed
+func SendMessageTo(address string, token string, title string, description string, content string) error {
+	return sendMessage(publicClient, address, token, title, description, content)
+}
+
+func sendMessage(client *http.Client, address string, token string, title string, description string, content string) error {
+	if address == "" {
 		return errors.New("message pusher address is not set")
 	}
 	req := request{
 		Title:       title,
 		Description: description,
 		Content:     content,
-		Token:       config.MessagePusherToken,
+		Token:       token,
 	}
 	data, err := json.Marshal(req)
 	if err != nil {
 		return err
 	}
-	resp, err := http.Post(config.MessagePusherAddress,
+	resp, err := client.Post(address,
 		"application/json", bytes.NewBuffer(data))
 	if err != nil {
 		return err
 	}
+	defer resp.Body.Close()
 	var res response
 	err = json.NewDecoder(resp.Body).Decode(&res)
 	if err != nil {
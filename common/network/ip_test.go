@@ -2,6 +2,7 @@ package network
 
 import (
 	"context"
+	"net"
 	"testing"
 
 	. "github.com/smartystreets/goconvey/convey"
@@ -17,3 +18,20 @@ func TestIsIpInSubnet(t *testing.T) {
 		So(isIpInSubnet(ctx, ip2, subnet), ShouldBeFalse)
 	})
 }
+
+func TestIsPublicIP(t *testing.T) {
+	Convey("TestIsPublicIP", t, func() {
+		So(IsPublicIP(net.ParseIP("125.216.250.89")), ShouldBeTrue)
+		So(IsPublicIP(net.ParseIP("2001:4860:4860::8888")), ShouldBeTrue)
+		So(IsPublicIP(net.ParseIP("127.0.0.1")), ShouldBeFalse)
+		So(IsPublicIP(net.ParseIP("10.1.2.3")), ShouldBeFalse)
+		So(IsPublicIP(net.ParseIP("192.168.0.5")), ShouldBeFalse)
+		So(IsPublicIP(net.ParseIP("169.254.169.254")), ShouldBeFalse)
+		So(IsPublicIP(net.ParseIP("100.64.0.1")), ShouldBeFalse)
+		So(IsPublicIP(net.ParseIP("0.0.0.0")), ShouldBeFalse)
+		So(IsPublicIP(net.ParseIP("::1")), ShouldBeFalse)
+		So(IsPublicIP(net.ParseIP("fd00::1")), ShouldBeFalse)
+		So(IsPublicIP(net.ParseIP("::ffff:127.0.0.1")), ShouldBeFalse)
+		So(IsPublicIP(nil), ShouldBeFalse)
+	})
+}
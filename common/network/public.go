@@ -0,0 +1,51 @@
+package network
+
+import (
+	"fmt"
+	"net"
+	"syscall"
+)
+
+// sharedAddressSpace is the carrier-grade NAT range (RFC 6598), not covered by net.IP.IsPrivate
+var sharedAddressSpace = &net.IPNet{IP: net.IPv4(100, 64, 0, 0), Mask: net.CIDRMask(10, 32)}
+
+// IsPublicIP reports whether ip is a globally routable address. Loopback, private, link-local
+// (including the 169.254.169.254 cloud metadata endpoint), multicast and unspecified addresses are not.
+func IsPublicIP(ip net.IP) bool {
+	if ip == nil {
+		return false
+	}
+	if ip.IsLoopback() || ip.IsPrivate() || ip.IsUnspecified() || ip.IsMulticast() ||
+		ip.IsLinkLocalUnicast() || ip.IsLinkLocalMulticast() || ip.IsInterfaceLocalMulticast() {
+		return false
+	}
+	return !sharedAddressSpace.Contains(ip)
+}
+
+// CheckPublicHost resolves host and returns an error if it resolves to any non-public address,
+// used to validate URLs supplied by users before the server sends requests to them
+func CheckPublicHost(host string) error {
+	ips, err := net.LookupIP(host)
+	if err != nil {
+		return fmt.Errorf("failed to resolve host %s: %w", host, err)
+	}
+	for _, ip := range ips {
+		if !IsPublicIP(ip) {
+			return fmt.Errorf("host %s resolves to non-public address %s", host, ip)
+		}
+	}
+	return nil
+}
+
+// PublicOnlyDialControl can be used as net.Dialer.Control to refuse connections to non-public addresses.
+// It checks the address actually being dialed, so DNS changes after CheckPublicHost and redirects are covered too.
+func PublicOnlyDialControl(network string, address string, _ syscall.RawConn) error {
+	host, _, err := net.SplitHostPort(address)
+	if err != nil {
+		return err
+	}
+	if !IsPublicIP(net.ParseIP(host)) {
+		return fmt.Errorf("refusing to connect to non-public address %s", host)
+	}
+	return nil
+}
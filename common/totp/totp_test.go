@@ -0,0 +1,66 @@
+package totp
+
+import (
+	"strings"
+	"testing"
+	"time"
+
+	. "github.com/smartystreets/goconvey/convey"
+)
+
+// base32 of the RFC 6238 test secret "12345678901234567890"
+const rfcSecret = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ"
+
+func TestCode(t *testing.T) {
+	Convey("Code matches the SHA1 vectors of RFC 6238 truncated to 6 digits", t, func() {
+		cases := map[int64]string{
+			59:          "287082",
+			1111111109:  "081804",
+			1111111111:  "050471",
+			1234567890:  "005924",
+			2000000000:  "279037",
+			20000000000: "353130",
+		}
+		for unix, want := range cases {
+			code, err := Code(rfcSecret, Step(time.Unix(unix, 0)))
+			So(err, ShouldBeNil)
+			So(code, ShouldEqual, want)
+		}
+	})
+}
+
+func TestValidate(t *testing.T) {
+	Convey("Validate accepts the neighbouring periods only", t, func() {
+		now := time.Unix(1111111111, 0)
+		step, ok := Validate(rfcSecret, "050471", now)
+		So(ok, ShouldBeTrue)
+		So(step, ShouldEqual, Step(now))
+		_, ok = Validate(rfcSecret, "050471", now.Add(Period*time.Second))
+		So(ok, ShouldBeTrue)
+		_, ok = Validate(rfcSecret, "050471", now.Add(3*Period*time.Second))
+		So(ok, ShouldBeFalse)
+		_, ok = Validate(rfcSecret, "12345", now)
+		So(ok, ShouldBeFalse)
+	})
+}
+
+func TestGenerate(t *testing.T) {
+	Convey("generated secrets and recovery codes", t, func() {
+		secret, err := GenerateSecret()
+		So(err, ShouldBeNil)
+		So(len(secret), ShouldEqual, 32)
+		code, err := Code(secret, Step(time.Now()))
+		So(err, ShouldBeNil)
+		_, ok := Validate(secret, code, time.Now())
+		So(ok, ShouldBeTrue)
+
+		codes, err := GenerateRecoveryCodes(10)
+		So(err, ShouldBeNil)
+		So(len(codes), ShouldEqual, 10)
+		for _, code := range codes {
+			So(len(code), ShouldEqual, 11)
+			So(strings.Index(code, "-"), ShouldEqual, 5)
+		}
+		So(URI("One API", "root", secret), ShouldStartWith, "otpauth://totp/One%20API:root?")
+	})
+}
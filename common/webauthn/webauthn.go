@@ -0,0 +1,389 @@
+// Package webauthn implements the relying party side of passkey (WebAuthn) registration and sign-in:
+// it builds the options passed to navigator.credentials and verifies what the authenticator returns.
+// Options always ask for "none" attestation, so attestation statements are not verified.
+package webauthn
+
+import (
+	"bytes"
+	"crypto"
+	"crypto/ecdh"
+	"crypto/ecdsa"
+	"crypto/ed25519"
+	"crypto/elliptic"
+	"crypto/rand"
+	"crypto/rsa"
+	"crypto/sha256"
+	"encoding/base64"
+	"encoding/binary"
+	"encoding/json"
+	"errors"
+	"math/big"
+	"net"
+	"net/url"
+	"strings"
+)
+
+// Timeout is the number of seconds a challenge stays valid, the browser gets the same time to finish the ceremony
+const Timeout = 5 * 60
+
+// COSE algorithms accepted for credential keys, in order of preference
+const (
+	AlgES256 = -7
+	AlgEdDSA = -8
+	AlgRS256 = -257
+)
+
+// authenticator data flags
+const (
+	flagUserPresent  = 0x01
+	flagUserVerified = 0x04
+	flagAttestedData = 0x40
+	flagExtensions   = 0x80
+)
+
+// Encoding is used for every binary value exchanged with the browser as JSON
+var Encoding = base64.RawURLEncoding
+
+// RelyingParty identifies the site: ID is the domain passkeys are bound to
+// and Origin the scheme, host and port the pages are served from.
+type RelyingParty struct {
+	ID     string
+	Name   string
+	Origin string
+}
+
+// NewRelyingParty derives the relying party from the server address, e.g. https://example.com.
+// Browsers only offer passkeys on https pages or on localhost, and not on IP addresses.
+func NewRelyingParty(name string, serverAddress string) (*RelyingParty, error) {
+	u, err := url.Parse(strings.TrimSuffix(serverAddress, "/"))
+	if err != nil || u.Host == "" {
+		return nil, errors.New("webauthn: invalid server address")
+	}
+	host := u.Hostname()
+	if net.ParseIP(host) != nil {
+		return nil, errors.New("webauthn: server address must use a domain name")
+	}
+	if u.Scheme != "https" && !(u.Scheme == "http" && host == "localhost") {
+		return nil, errors.New("webauthn: server address must use https")
+	}
+	return &RelyingParty{
+		ID:     host,
+		Name:   name,
+		Origin: u.Scheme + "://" + u.Host,
+	}, nil
+}
+
+// NewChallenge returns a random challenge encoded for the browser
+func NewChallenge() (string, error) {
+	challenge := make([]byte, 32)
+	if _, err := rand.Read(challenge); err != nil {
+		return "", err
+	}
+	return Encoding.EncodeToString(challenge), nil
+}
+
+// Credential is a registered passkey
+type Credential struct {
+	ID []byte
+	// PublicKey is the COSE_Key as returned by the authenticator
+	PublicKey []byte
+	SignCount uint32
+}
+
+type CredentialDescriptor struct {
+	Type string `json:"type"`
+	ID   string `json:"id"`
+}
+
+type CredentialParameter struct {
+	Type string `json:"type"`
+	Alg  int    `json:"alg"`
+}
+
+type RelyingPartyEntity struct {
+	ID   string `json:"id"`
+	Name string `json:"name"`
+}
+
+type UserEntity struct {
+	ID          string `json:"id"`
+	Name        string `json:"name"`
+	DisplayName string `json:"displayName"`
+}
+
+type AuthenticatorSelection struct {
+	ResidentKey        string `json:"residentKey"`
+	RequireResidentKey bool   `json:"requireResidentKey"`
+	UserVerification   string `json:"userVerification"`
+}
+
+// CreationOptions is passed to navigator.credentials.create as publicKey, binary fields are base64url encoded
+type CreationOptions struct {
+	Challenge              string                 `json:"challenge"`
+	RP                     RelyingPartyEntity     `json:"rp"`
+	User                   UserEntity             `json:"user"`
+	PubKeyCredParams       []CredentialParameter  `json:"pubKeyCredParams"`
+	Timeout                int                    `json:"timeout"`
+	ExcludeCredentials     []CredentialDescriptor `json:"excludeCredentials"`
+	AuthenticatorSelection AuthenticatorSelection `json:"authenticatorSelection"`
+	Attestation            string                 `json:"attestation"`
+}
+
+// RequestOptions is passed to navigator.credentials.get as publicKey, binary fields are base64url encoded
+type RequestOptions struct {
+	Challenge        string                 `json:"challenge"`
+	Timeout          int                    `json:"timeout"`
+	RPID             string                 `json:"rpId"`
+	AllowCredentials []CredentialDescriptor `json:"allowCredentials"`
+	UserVerification string                 `json:"userVerification"`
+}
+
+func descriptors(ids [][]byte) []CredentialDescriptor {
+	list := make([]CredentialDescriptor, len(ids))
+	for i, id := range ids {
+		list[i] = CredentialDescriptor{Type: "public-key", ID: Encoding.EncodeToString(id)}
+	}
+	return list
+}
+
+// CreationOptions asks for a discoverable credential with user verification,
+// so that the passkey alone is enough to sign in; exclude lists the user's existing credentials.
+func (rp *RelyingParty) CreationOptions(challenge string, userHandle []byte, userName string, displayName string, exclude [][]byte) CreationOptions {
+	return CreationOptions{
+		Challenge: challenge,
+		RP:        RelyingPartyEntity{ID: rp.ID, Name: rp.Name},
+		User: UserEntity{
+			ID:          Encoding.EncodeToString(userHandle),
+			Name:        userName,
+			DisplayName: displayName,
+		},
+		PubKeyCredParams: []CredentialParameter{
+			{Type: "public-key", Alg: AlgES256},
+			{Type: "public-key", Alg: AlgEdDSA},
+			{Type: "public-key", Alg: AlgRS256},
+		},
+		Timeout:            Timeout * 1000,
+		ExcludeCredentials: descriptors(exclude),
+		AuthenticatorSelection: AuthenticatorSelection{
+			ResidentKey:        "required",
+			RequireResidentKey: true,
+			UserVerification:   "required",
+		},
+		Attestation: "none",
+	}
+}
+
+// RequestOptions leaves allowCredentials empty so that the browser offers every passkey of the site
+func (rp *RelyingParty) RequestOptions(challenge string) RequestOptions {
+	return RequestOptions{
+		Challenge:        challenge,
+		Timeout:          Timeout * 1000,
+		RPID:             rp.ID,
+		AllowCredentials: []CredentialDescriptor{},
+		UserVerification: "required",
+	}
+}
+
+type collectedClientData struct {
+	Type        string `json:"type"`
+	Challenge   string `json:"challenge"`
+	Origin      string `json:"origin"`
+	CrossOrigin bool   `json:"crossOrigin"`
+}
+
+func (rp *RelyingParty) verifyClientData(clientDataJSON []byte, ceremony string, challenge string) error {
+	var clientData collectedClientData
+	if err := json.Unmarshal(clientDataJSON, &clientData); err != nil {
+		return errors.New("webauthn: invalid client data")
+	}
+	if clientData.Type != ceremony {
+		return errors.New("webauthn: unexpected client data type")
+	}
+	if challenge == "" || strings.TrimRight(clientData.Challenge, "=") != challenge {
+		return errors.New("webauthn: challenge mismatch")
+	}
+	if clientData.Origin != rp.Origin || clientData.CrossOrigin {
+		return errors.New("webauthn: origin mismatch")
+	}
+	return nil
+}
+
+type authenticatorData struct {
+	flags        byte
+	signCount    uint32
+	credentialID []byte
+	publicKey    []byte
+}
+
+func (rp *RelyingParty) parseAuthenticatorData(data []byte) (*authenticatorData, error) {
+	if len(data) < 37 {
+		return nil, errors.New("webauthn: authenticator data too short")
+	}
+	rpIDHash := sha256.Sum256([]byte(rp.ID))
+	if !bytes.Equal(data[:32], rpIDHash[:]) {
+		return nil, errors.New("webauthn: relying party ID mismatch")
+	}
+	authData := &authenticatorData{
+		flags:     data[32],
+		signCount: binary.BigEndian.Uint32(data[33:37]),
+	}
+	if authData.flags&flagUserPresent == 0 || authData.flags&flagUserVerified == 0 {
+		return nil, errors.New("webauthn: user was not verified")
+	}
+	rest := data[37:]
+	if authData.flags&flagAttestedData != 0 {
+		// AAGUID (16 bytes), credential ID length (2 bytes), credential ID, COSE key
+		if len(rest) < 18 {
+			return nil, errors.New("webauthn: attested credential data too short")
+		}
+		idLength := int(binary.BigEndian.Uint16(rest[16:18]))
+		rest = rest[18:]
+		if len(rest) < idLength || idLength == 0 {
+			return nil, errors.New("webauthn: invalid credential ID")
+		}
+		authData.credentialID = rest[:idLength]
+		rest = rest[idLength:]
+		_, size, err := decodeCBOR(rest)
+		if err != nil {
+			return nil, err
+		}
+		authData.publicKey = rest[:size]
+		rest = rest[size:]
+	}
+	if len(rest) > 0 && authData.flags&flagExtensions == 0 {
+		return nil, errors.New("webauthn: unexpected data after authenticator data")
+	}
+	return authData, nil
+}
+
+// VerifyRegistration checks the response of navigator.credentials.create against the challenge
+// that was handed out and returns the new credential
+func (rp *RelyingParty) VerifyRegistration(challenge string, clientDataJSON []byte, attestationObject []byte) (*Credential, error) {
+	if err := rp.verifyClientData(clientDataJSON, "webauthn.create", challenge); err != nil {
+		return nil, err
+	}
+	decoded, _, err := decodeCBOR(attestationObject)
+	if err != nil {
+		return nil, err
+	}
+	attestation, ok := decoded.(map[interface{}]interface{})
+	if !ok {
+		return nil, errors.New("webauthn: invalid attestation object")
+	}
+	rawAuthData, ok := attestation["authData"].([]byte)
+	if !ok {
+		return nil, errors.New("webauthn: invalid attestation object")
+	}
+	authData, err := rp.parseAuthenticatorData(rawAuthData)
+	if err != nil {
+		return nil, err
+	}
+	if authData.flags&flagAttestedData == 0 {
+		return nil, errors.New("webauthn: missing attested credential data")
+	}
+	if _, err := parsePublicKey(authData.publicKey); err != nil {
+		return nil, err
+	}
+	return &Credential{
+		ID:        authData.credentialID,
+		PublicKey: authData.publicKey,
+		SignCount: authData.signCount,
+	}, nil
+}
+
+// VerifyAssertion checks the response of navigator.credentials.get made with credential
+// and returns the new signature counter to be saved
+func (rp *RelyingParty) VerifyAssertion(challenge string, credential *Credential, clientDataJSON []byte, rawAuthData []byte, signature []byte) (uint32, error) {
+	if err := rp.verifyClientData(clientDataJSON, "webauthn.get", challenge); err != nil {
+		return 0, err
+	}
+	authData, err := rp.parseAuthenticatorData(rawAuthData)
+	if err != nil {
+		return 0, err
+	}
+	key, err := parsePublicKey(credential.PublicKey)
+	if err != nil {
+		return 0, err
+	}
+	clientDataHash := sha256.Sum256(clientDataJSON)
+	signed := append(append([]byte(nil), rawAuthData...), clientDataHash[:]...)
+	if !key.verify(signed, signature) {
+		return 0, errors.New("webauthn: invalid signature")
+	}
+	// synced passkeys always report 0, otherwise the counter must grow or the authenticator may have been cloned
+	if (authData.signCount != 0 || credential.SignCount != 0) && authData.signCount <= credential.SignCount {
+		return 0, errors.New("webauthn: signature counter did not increase")
+	}
+	return authData.signCount, nil
+}
+
+type publicKey struct {
+	alg     int64
+	ecdsa   *ecdsa.PublicKey
+	rsa     *rsa.PublicKey
+	ed25519 ed25519.PublicKey
+}
+
+func (key *publicKey) verify(data []byte, signature []byte) bool {
+	switch key.alg {
+	case AlgES256:
+		digest := sha256.Sum256(data)
+		return ecdsa.VerifyASN1(key.ecdsa, digest[:], signature)
+	case AlgRS256:
+		digest := sha256.Sum256(data)
+		return rsa.VerifyPKCS1v15(key.rsa, crypto.SHA256, digest[:], signature) == nil
+	case AlgEdDSA:
+		return ed25519.Verify(key.ed25519, data, signature)
+	}
+	return false
+}
+
+// parsePublicKey reads a COSE_Key (RFC 9053) of one of the accepted algorithms
+func parsePublicKey(coseKey []byte) (*publicKey, error) {
+	decoded, _, err := decodeCBOR(coseKey)
+	if err != nil {
+		return nil, err
+	}
+	params, ok := decoded.(map[interface{}]interface{})
+	if !ok {
+		return nil, errors.New("webauthn: invalid public key")
+	}
+	kty, _ := params[int64(1)].(int64)
+	alg, _ := params[int64(3)].(int64)
+	key := &publicKey{alg: alg}
+	switch {
+	case kty == 2 && alg == AlgES256:
+		crv, _ := params[int64(-1)].(int64)
+		x, _ := params[int64(-2)].([]byte)
+		y, _ := params[int64(-3)].([]byte)
+		if crv != 1 || len(x) != 32 || len(y) != 32 {
+			return nil, errors.New("webauthn: invalid P-256 public key")
+		}
+		// ecdh rejects points that are not on the curve
+		if _, err := ecdh.P256().NewPublicKey(append(append([]byte{4}, x...), y...)); err != nil {
+			return nil, errors.New("webauthn: invalid P-256 public key")
+		}
+		key.ecdsa = &ecdsa.PublicKey{Curve: elliptic.P256(), X: new(big.Int).SetBytes(x), Y: new(big.Int).SetBytes(y)}
+	case kty == 3 && alg == AlgRS256:
+		n, _ := params[int64(-1)].([]byte)
+		e, _ := params[int64(-2)].([]byte)
+		if len(n) < 256 || len(e) == 0 || len(e) > 4 {
+			return nil, errors.New("webauthn: invalid RSA public key")
+		}
+		exponent := 0
+		for _, b := range e {
+			exponent = exponent<<8 | int(b)
+		}
+		key.rsa = &rsa.PublicKey{N: new(big.Int).SetBytes(n), E: exponent}
+	case kty == 1 && alg == AlgEdDSA:
+		crv, _ := params[int64(-1)].(int64)
+		x, _ := params[int64(-2)].([]byte)
+		if crv != 6 || len(x) != ed25519.PublicKeySize {
+			return nil, errors.New("webauthn: invalid Ed25519 public key")
+		}
+		key.ed25519 = ed25519.PublicKey(x)
+	default:
+		return nil, errors.New("webauthn: unsupported public key algorithm")
+	}
+	return key, nil
+}
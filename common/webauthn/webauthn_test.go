@@ -0,0 +1,212 @@
+package webauthn
+
+import (
+	"crypto/ecdsa"
+	"crypto/ed25519"
+	"crypto/elliptic"
+	"crypto/rand"
+	"crypto/sha256"
+	"encoding/binary"
+	"encoding/json"
+	"testing"
+
+	. "github.com/smartystreets/goconvey/convey"
+)
+
+// encodeCBOR is the counterpart of decodeCBOR for building authenticator responses in tests
+func encodeCBOR(value interface{}) []byte {
+	header := func(major byte, n int) []byte {
+		switch {
+		case n < 24:
+			return []byte{major<<5 | byte(n)}
+		case n < 256:
+			return []byte{major<<5 | 24, byte(n)}
+		default:
+			return []byte{major<<5 | 25, byte(n >> 8), byte(n)}
+		}
+	}
+	switch v := value.(type) {
+	case int:
+		if v < 0 {
+			return header(1, -1-v)
+		}
+		return header(0, v)
+	case []byte:
+		return append(header(2, len(v)), v...)
+	case string:
+		return append(header(3, len(v)), v...)
+	case map[interface{}]interface{}:
+		out := header(5, len(v))
+		for key, item := range v {
+			out = append(out, encodeCBOR(key)...)
+			out = append(out, encodeCBOR(item)...)
+		}
+		return out
+	}
+	panic("unsupported type")
+}
+
+// virtualAuthenticator plays the part of a security key or platform authenticator
+type virtualAuthenticator struct {
+	credentialID []byte
+	ecdsaKey     *ecdsa.PrivateKey
+	ed25519Key   ed25519.PrivateKey
+	signCount    uint32
+	flags        byte
+}
+
+func newVirtualAuthenticator(useEd25519 bool) *virtualAuthenticator {
+	a := &virtualAuthenticator{credentialID: make([]byte, 16), flags: flagUserPresent | flagUserVerified}
+	_, _ = rand.Read(a.credentialID)
+	if useEd25519 {
+		_, a.ed25519Key, _ = ed25519.GenerateKey(rand.Reader)
+	} else {
+		a.ecdsaKey, _ = ecdsa.GenerateKey(elliptic.P256(), rand.Reader)
+	}
+	return a
+}
+
+func (a *virtualAuthenticator) coseKey() []byte {
+	if a.ed25519Key != nil {
+		return encodeCBOR(map[interface{}]interface{}{
+			1: 1, 3: AlgEdDSA, -1: 6, -2: []byte(a.ed25519Key.Public().(ed25519.PublicKey)),
+		})
+	}
+	x := make([]byte, 32)
+	y := make([]byte, 32)
+	a.ecdsaKey.X.FillBytes(x)
+	a.ecdsaKey.Y.FillBytes(y)
+	return encodeCBOR(map[interface{}]interface{}{1: 2, 3: AlgES256, -1: 1, -2: x, -3: y})
+}
+
+func (a *virtualAuthenticator) authData(rpID string, attested bool) []byte {
+	hash := sha256.Sum256([]byte(rpID))
+	data := append([]byte(nil), hash[:]...)
+	flags := a.flags
+	if attested {
+		flags |= flagAttestedData
+	}
+	data = append(data, flags)
+	data = binary.BigEndian.AppendUint32(data, a.signCount)
+	if attested {
+		data = append(data, make([]byte, 16)...)
+		data = binary.BigEndian.AppendUint16(data, uint16(len(a.credentialID)))
+		data = append(data, a.credentialID...)
+		data = append(data, a.coseKey()...)
+	}
+	return data
+}
+
+func clientData(ceremony string, challenge string, origin string) []byte {
+	data, _ := json.Marshal(map[string]interface{}{"type": ceremony, "challenge": challenge, "origin": origin, "crossOrigin": false})
+	return data
+}
+
+func (a *virtualAuthenticator) create(rpID string, challenge string, origin string) (clientDataJSON []byte, attestationObject []byte) {
+	clientDataJSON = clientData("webauthn.create", challenge, origin)
+	attestationObject = encodeCBOR(map[interface{}]interface{}{
+		"fmt":      "none",
+		"attStmt":  map[interface{}]interface{}{},
+		"authData": a.authData(rpID, true),
+	})
+	return
+}
+
+func (a *virtualAuthenticator) get(rpID string, challenge string, origin string) (clientDataJSON []byte, authData []byte, signature []byte) {
+	a.signCount++
+	clientDataJSON = clientData("webauthn.get", challenge, origin)
+	authData = a.authData(rpID, false)
+	hash := sha256.Sum256(clientDataJSON)
+	signed := append(append([]byte(nil), authData...), hash[:]...)
+	if a.ed25519Key != nil {
+		signature = ed25519.Sign(a.ed25519Key, signed)
+	} else {
+		digest := sha256.Sum256(signed)
+		signature, _ = ecdsa.SignASN1(rand.Reader, a.ecdsaKey, digest[:])
+	}
+	return
+}
+
+func TestNewRelyingParty(t *testing.T) {
+	Convey("NewRelyingParty derives the ID and origin from the server address", t, func() {
+		rp, err := NewRelyingParty("One API", "https://api.example.com:8443/")
+		So(err, ShouldBeNil)
+		So(rp.ID, ShouldEqual, "api.example.com")
+		So(rp.Origin, ShouldEqual, "https://api.example.com:8443")
+		rp, err = NewRelyingParty("One API", "http://localhost:3000")
+		So(err, ShouldBeNil)
+		So(rp.ID, ShouldEqual, "localhost")
+		_, err = NewRelyingParty("One API", "http://api.example.com")
+		So(err, ShouldNotBeNil)
+		_, err = NewRelyingParty("One API", "https://127.0.0.1")
+		So(err, ShouldNotBeNil)
+	})
+}
+
+func TestCeremonies(t *testing.T) {
+	rp, _ := NewRelyingParty("One API", "https://example.com")
+	for _, useEd25519 := range []bool{false, true} {
+		Convey("A passkey can be registered and used to sign in", t, func() {
+			authenticator := newVirtualAuthenticator(useEd25519)
+			challenge, _ := NewChallenge()
+			clientDataJSON, attestationObject := authenticator.create(rp.ID, challenge, rp.Origin)
+			credential, err := rp.VerifyRegistration(challenge, clientDataJSON, attestationObject)
+			So(err, ShouldBeNil)
+			So(credential.ID, ShouldResemble, authenticator.credentialID)
+
+			challenge, _ = NewChallenge()
+			clientDataJSON, authData, signature := authenticator.get(rp.ID, challenge, rp.Origin)
+			signCount, err := rp.VerifyAssertion(challenge, credential, clientDataJSON, authData, signature)
+			So(err, ShouldBeNil)
+			So(signCount, ShouldEqual, 1)
+
+			Convey("A replayed assertion is rejected by the signature counter", func() {
+				credential.SignCount = signCount
+				_, err := rp.VerifyAssertion(challenge, credential, clientDataJSON, authData, signature)
+				So(err, ShouldNotBeNil)
+			})
+
+			Convey("A tampered signature is rejected", func() {
+				signature[len(signature)-1] ^= 1
+				_, err := rp.VerifyAssertion(challenge, credential, clientDataJSON, authData, signature)
+				So(err, ShouldNotBeNil)
+			})
+		})
+	}
+
+	Convey("Responses for another challenge, origin or site are rejected", t, func() {
+		authenticator := newVirtualAuthenticator(false)
+		challenge, _ := NewChallenge()
+		other, _ := NewChallenge()
+		clientDataJSON, attestationObject := authenticator.create(rp.ID, other, rp.Origin)
+		_, err := rp.VerifyRegistration(challenge, clientDataJSON, attestationObject)
+		So(err, ShouldNotBeNil)
+		clientDataJSON, attestationObject = authenticator.create(rp.ID, challenge, "https://evil.example.com")
+		_, err = rp.VerifyRegistration(challenge, clientDataJSON, attestationObject)
+		So(err, ShouldNotBeNil)
+		clientDataJSON, attestationObject = authenticator.create("evil.example.com", challenge, rp.Origin)
+		_, err = rp.VerifyRegistration(challenge, clientDataJSON, attestationObject)
+		So(err, ShouldNotBeNil)
+	})
+
+	Convey("Responses without user verification are rejected", t, func() {
+		authenticator := newVirtualAuthenticator(false)
+		authenticator.flags = flagUserPresent
+		challenge, _ := NewChallenge()
+		clientDataJSON, attestationObject := authenticator.create(rp.ID, challenge, rp.Origin)
+		_, err := rp.VerifyRegistration(challenge, clientDataJSON, attestationObject)
+		So(err, ShouldNotBeNil)
+	})
+}
+
+func TestDecodeCBOR(t *testing.T) {
+	Convey("decodeCBOR rejects truncated and oversized input", t, func() {
+		data := encodeCBOR(map[interface{}]interface{}{"authData": []byte("0123456789")})
+		_, _, err := decodeCBOR(data[:len(data)-1])
+		So(err, ShouldNotBeNil)
+		_, _, err = decodeCBOR([]byte{0x5b, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff})
+		So(err, ShouldNotBeNil)
+		_, _, err = decodeCBOR([]byte{0x9b, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff})
+		So(err, ShouldNotBeNil)
+	})
+}
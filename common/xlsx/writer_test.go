@@ -0,0 +1,62 @@
+package xlsx
+
+import (
+	"archive/zip"
+	"bytes"
+	"encoding/xml"
+	"io"
+	"strings"
+	"testing"
+
+	. "github.com/smartystreets/goconvey/convey"
+)
+
+func readPart(r *zip.Reader, name string) string {
+	for _, f := range r.File {
+		if f.Name != name {
+			continue
+		}
+		rc, err := f.Open()
+		if err != nil {
+			return ""
+		}
+		defer rc.Close()
+		content, _ := io.ReadAll(rc)
+		return string(content)
+	}
+	return ""
+}
+
+func isWellFormed(content string) bool {
+	decoder := xml.NewDecoder(strings.NewReader(content))
+	for {
+		_, err := decoder.Token()
+		if err == io.EOF {
+			return true
+		}
+		if err != nil {
+			return false
+		}
+	}
+}
+
+func TestWriter(t *testing.T) {
+	Convey("TestWriter", t, func() {
+		var buf bytes.Buffer
+		w, err := NewWriter(&buf, "日志 & 统计")
+		So(err, ShouldBeNil)
+		So(w.WriteRow("时间", "内容", "额度", "金额"), ShouldBeNil)
+		So(w.WriteRow("2024-01-01 00:00:00", "<a & b>\n", 12, 0.5), ShouldBeNil)
+		So(w.Close(), ShouldBeNil)
+
+		r, err := zip.NewReader(bytes.NewReader(buf.Bytes()), int64(buf.Len()))
+		So(err, ShouldBeNil)
+		sheet := readPart(r, "xl/worksheets/sheet1.xml")
+		So(isWellFormed(sheet), ShouldBeTrue)
+		So(strings.Count(sheet, "</row>"), ShouldEqual, 2)
+		So(sheet, ShouldContainSubstring, "&lt;a &amp; b&gt;")
+		So(sheet, ShouldContainSubstring, "<c><v>12</v></c><c><v>0.5</v></c>")
+		So(isWellFormed(readPart(r, "xl/workbook.xml")), ShouldBeTrue)
+		So(readPart(r, "[Content_Types].xml"), ShouldNotBeEmpty)
+	})
+}
@@ -0,0 +1,113 @@
+package controller
+
+import (
+	"fmt"
+	"net/http"
+	"strconv"
+	"strings"
+
+	"github.com/gin-gonic/gin"
+	"github.com/songquanpeng/one-api/common/ctxkey"
+	"github.com/songquanpeng/one-api/common/helper"
+	"github.com/songquanpeng/one-api/model"
+)
+
+type accessTokenRequest struct {
+	Name        string   `json:"name"`
+	Scopes      []string `json:"scopes"`
+	ExpiredTime int64    `json:"expired_time"`
+}
+
+func GetSelfAccessTokens(c *gin.Context) {
+	tokens, err := model.GetUserAccessTokens(c.GetInt(ctxkey.Id))
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data":    tokens,
+	})
+}
+
+// CreateSelfAccessToken 创建带权限范围的访问令牌，令牌原文只在创建时返回一次
+func CreateSelfAccessToken(c *gin.Context) {
+	var req accessTokenRequest
+	if err := c.ShouldBindJSON(&req); err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "无效的参数",
+		})
+		return
+	}
+	req.Name = strings.TrimSpace(req.Name)
+	if req.Name == "" || len(req.Name) > 64 {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "令牌名称不能为空且不能过长",
+		})
+		return
+	}
+	if req.ExpiredTime != -1 && req.ExpiredTime <= helper.GetTimestamp() {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "过期时间必须晚于当前时间",
+		})
+		return
+	}
+	scopes, err := model.NormalizeAccessTokenScopes(req.Scopes, c.GetInt(ctxkey.Role))
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	userId := c.GetInt(ctxkey.Id)
+	token := model.AccessToken{
+		UserId:      userId,
+		Name:        req.Name,
+		Scopes:      scopes,
+		ExpiredTime: req.ExpiredTime,
+	}
+	key, err := token.Insert()
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	model.RecordLog(userId, model.LogTypeManage, fmt.Sprintf("创建了访问令牌 %s（#%d），权限：%s", token.Name, token.Id, token.Scopes))
+	RecordSecurityEvent(c, userId, model.SecurityEventAccessTokenCreated, token.Name)
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data": gin.H{
+			"token":        token,
+			"access_token": key,
+		},
+	})
+}
+
+func DeleteSelfAccessToken(c *gin.Context) {
+	id, _ := strconv.Atoi(c.Param("id"))
+	userId := c.GetInt(ctxkey.Id)
+	if err := model.DeleteUserAccessToken(id, userId); err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	model.RecordLog(userId, model.LogTypeManage, fmt.Sprintf("删除了访问令牌 #%d", id))
+	RecordSecurityEvent(c, userId, model.SecurityEventAccessTokenDeleted, fmt.Sprintf("#%d", id))
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+	})
+}
@@ -159,7 +159,7 @@ func GitHubOAuth(c *gin.Context) {
 		})
 		return
 	}
-	controller.SetupLogin(&user, c)
+	controller.CompleteLogin(&user, c)
 }
 
 func GitHubBind(c *gin.Context) {
@@ -210,6 +210,7 @@ func GitHubBind(c *gin.Context) {
 		})
 		return
 	}
+	controller.RecordSecurityEvent(c, user.Id, model.SecurityEventAccountBound, "github")
 	c.JSON(http.StatusOK, gin.H{
 		"success": true,
 		"message": "bind",
@@ -148,7 +148,7 @@ func LarkOAuth(c *gin.Context) {
 		})
 		return
 	}
-	controller.SetupLogin(&user, c)
+	controller.CompleteLogin(&user, c)
 }
 
 func LarkBind(c *gin.Context) {
@@ -192,6 +192,7 @@ func LarkBind(c *gin.Context) {
 		})
 		return
 	}
+	controller.RecordSecurityEvent(c, user.Id, model.SecurityEventAccountBound, "lark")
 	c.JSON(http.StatusOK, gin.H{
 		"success": true,
 		"message": "bind",
@@ -166,7 +166,7 @@ func OidcAuth(c *gin.Context) {
 		})
 		return
 	}
-	controller.SetupLogin(&user, c)
+	controller.CompleteLogin(&user, c)
 }
 
 func OidcBind(c *gin.Context) {
@@ -217,6 +217,7 @@ func OidcBind(c *gin.Context) {
 		})
 		return
 	}
+	controller.RecordSecurityEvent(c, user.Id, model.SecurityEventAccountBound, "oidc")
 	c.JSON(http.StatusOK, gin.H{
 		"success": true,
 		"message": "bind",
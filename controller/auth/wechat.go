@@ -110,7 +110,7 @@ func WeChatAuth(c *gin.Context) {
 		})
 		return
 	}
-	controller.SetupLogin(&user, c)
+	controller.CompleteLogin(&user, c)
 }
 
 func WeChatBind(c *gin.Context) {
@@ -158,6 +158,7 @@ func WeChatBind(c *gin.Context) {
 		})
 		return
 	}
+	controller.RecordSecurityEvent(c, user.Id, model.SecurityEventAccountBound, "wechat")
 	c.JSON(http.StatusOK, gin.H{
 		"success": true,
 		"message": "",
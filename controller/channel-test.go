@@ -46,7 +46,9 @@ func buildTestRequest(model string) *relaymodel.GeneralOpenAIRequest {
 	return testRequest
 }
 
-func testChannel(channel *model.Channel, request *relaymodel.GeneralOpenAIRequest) (err error, openaiErr *relaymodel.Error) {
+// testChannel sends a minimal chat completion through the channel's adaptor.
+// statusCode is the upstream HTTP status, or 0 if no response was received.
+func testChannel(channel *model.Channel, request *relaymodel.GeneralOpenAIRequest) (err error, openaiErr *relaymodel.Error, statusCode int) {
 	w := httptest.NewRecorder()
 	c, _ := gin.CreateTestContext(w)
 	c.Request = &http.Request{
@@ -66,12 +68,13 @@ func testChannel(channel *model.Channel, request *relaymodel.GeneralOpenAIReques
 	apiType := channeltype.ToAPIType(channel.Type)
 	adaptor := relay.GetAdaptor(apiType)
 	if adaptor == nil {
-		return fmt.Errorf("invalid api type: %d, adaptor is nil", apiType), nil
+		return fmt.Errorf("invalid api type: %d, adaptor is nil", apiType), nil, 0
 	}
 	adaptor.Init(meta)
 	modelName := request.Model
 	modelMap := channel.GetModelMapping()
-	if modelName == "" || !strings.Contains(channel.Models, modelName) {
+	// 模型映射中的模型即使不在模型列表中也可以测试
+	if modelName == "" || (!strings.Contains(channel.Models, modelName) && (modelMap == nil || modelMap[modelName] == "")) {
 		modelNames := strings.Split(channel.Models, ",")
 		if len(modelNames) > 0 {
 			modelName = modelNames[0]
@@ -84,38 +87,41 @@ func testChannel(channel *model.Channel, request *relaymodel.GeneralOpenAIReques
 	request.Model = modelName
 	convertedRequest, err := adaptor.ConvertRequest(c, relaymode.ChatCompletions, request)
 	if err != nil {
-		return err, nil
+		return err, nil, statusCode
 	}
 	jsonData, err := json.Marshal(convertedRequest)
 	if err != nil {
-		return err, nil
+		return err, nil, statusCode
 	}
 	logger.SysLog(string(jsonData))
 	requestBody := bytes.NewBuffer(jsonData)
 	c.Request.Body = io.NopCloser(requestBody)
 	resp, err := adaptor.DoRequest(c, meta, requestBody)
 	if err != nil {
-		return err, nil
+		return err, nil, 0
+	}
+	if resp != nil {
+		statusCode = resp.StatusCode
 	}
 	if resp != nil && resp.StatusCode != http.StatusOK {
 		err := controller.RelayErrorHandler(resp)
-		return fmt.Errorf("status code %d: %s", resp.StatusCode, err.Error.Message), &err.Error
+		return fmt.Errorf("status code %d: %s", resp.StatusCode, err.Error.Message), &err.Error, statusCode
 	}
 	usage, respErr := adaptor.DoResponse(c, resp, meta)
 	if respErr != nil {
-		return fmt.Errorf("%s", respErr.Error.Message), &respErr.Error
+		return fmt.Errorf("%s", respErr.Error.Message), &respErr.Error, respErr.StatusCode
 	}
 	if usage == nil {
-		return errors.New("usage is nil"), nil
+		return errors.New("usage is nil"), nil, statusCode
 	}
 	result := w.Result()
 	// print result.Body
 	respBody, err := io.ReadAll(result.Body)
 	if err != nil {
-		return err, nil
+		return err, nil, statusCode
 	}
 	logger.SysLog(fmt.Sprintf("testing channel #%d, response: \n%s", channel.Id, string(respBody)))
-	return nil, nil
+	return nil, nil, statusCode
 }
 
 func TestChannel(c *gin.Context) {
@@ -135,12 +141,13 @@ func TestChannel(c *gin.Context) {
 		})
 		return
 	}
-	model := c.Query("model")
-	testRequest := buildTestRequest(model)
+	modelName := c.Query("model")
+	testRequest := buildTestRequest(modelName)
 	tik := time.Now()
-	err, _ = testChannel(channel, testRequest)
+	err, _, statusCode := testChannel(channel, testRequest)
 	tok := time.Now()
 	milliseconds := tok.Sub(tik).Milliseconds()
+	go model.RecordChannelTestResult(channel.Id, milliseconds, testRequest.Model, err)
 	if err != nil {
 		milliseconds = 0
 	}
@@ -148,18 +155,22 @@ func TestChannel(c *gin.Context) {
 	consumedTime := float64(milliseconds) / 1000.0
 	if err != nil {
 		c.JSON(http.StatusOK, gin.H{
-			"success": false,
-			"message": err.Error(),
-			"time":    consumedTime,
-			"model":   model,
+			"success":      false,
+			"message":      err.Error(),
+			"time":         consumedTime,
+			"model":        modelName,
+			"actual_model": testRequest.Model,
+			"status_code":  statusCode,
 		})
 		return
 	}
 	c.JSON(http.StatusOK, gin.H{
-		"success": true,
-		"message": "",
-		"time":    consumedTime,
-		"model":   model,
+		"success":      true,
+		"message":      "",
+		"time":         consumedTime,
+		"model":        modelName,
+		"actual_model": testRequest.Model,
+		"status_code":  statusCode,
 	})
 	return
 }
@@ -191,11 +202,15 @@ func testChannels(notify bool, scope string) error {
 			isChannelEnabled := channel.Status == model.ChannelStatusEnabled
 			tik := time.Now()
 			testRequest := buildTestRequest("")
-			err, openaiErr := testChannel(channel, testRequest)
+			err, openaiErr, _ := testChannel(channel, testRequest)
 			tok := time.Now()
 			milliseconds := tok.Sub(tik).Milliseconds()
-			if isChannelEnabled && milliseconds > disableThreshold {
+			timedOut := isChannelEnabled && milliseconds > disableThreshold
+			if timedOut {
 				err = fmt.Errorf("响应时间 %.2fs 超过阈值 %.2fs", float64(milliseconds)/1000.0, float64(disableThreshold)/1000.0)
+			}
+			model.RecordChannelTestResult(channel.Id, milliseconds, testRequest.Model, err)
+			if timedOut {
 				if config.AutomaticDisableChannelEnabled {
 					monitor.DisableChannel(channel.Id, channel.Name, err.Error())
 				} else {
@@ -1,8 +1,10 @@
 package controller
 
 import (
+	"encoding/json"
 	"github.com/gin-gonic/gin"
 	"github.com/songquanpeng/one-api/common/config"
+	"github.com/songquanpeng/one-api/common/ctxkey"
 	"github.com/songquanpeng/one-api/common/helper"
 	"github.com/songquanpeng/one-api/model"
 	"net/http"
@@ -74,6 +76,114 @@ func GetChannel(c *gin.Context) {
 	return
 }
 
+// GetChannelHealth 返回渠道最近的测试结果与自动启用/禁用记录，按时间倒序排列
+func GetChannelHealth(c *gin.Context) {
+	id, err := strconv.Atoi(c.Param("id"))
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	limit, _ := strconv.Atoi(c.Query("limit"))
+	histories, err := model.GetChannelHealthHistory(id, limit)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data":    histories,
+	})
+	return
+}
+
+func maskChannelKey(key string) string {
+	if len(key) <= 8 {
+		return "****"
+	}
+	return key[:4] + "****" + key[len(key)-4:]
+}
+
+// maskChannelConfig 对渠道配置中的密钥字段脱敏，无法解析的配置直接清空，避免泄露其中的凭据
+func maskChannelConfig(channel *model.Channel) {
+	if channel.Config == "" {
+		return
+	}
+	cfg, err := channel.LoadConfig()
+	if err != nil {
+		channel.Config = ""
+		return
+	}
+	if cfg.SK != "" {
+		cfg.SK = maskChannelKey(cfg.SK)
+	}
+	if cfg.AK != "" {
+		cfg.AK = maskChannelKey(cfg.AK)
+	}
+	if cfg.VertexAIADC != "" {
+		cfg.VertexAIADC = "****"
+	}
+	data, err := json.Marshal(cfg)
+	if err != nil {
+		channel.Config = ""
+		return
+	}
+	channel.Config = string(data)
+}
+
+// ExportChannels 导出渠道配置用于迁移，默认对密钥脱敏，只有超级管理员可以导出明文密钥
+func ExportChannels(c *gin.Context) {
+	maskKey := c.Query("mask_key") != "false"
+	if !maskKey && c.GetInt(ctxkey.Role) < model.RoleRootUser {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "只有超级管理员可以导出明文密钥",
+		})
+		return
+	}
+	var ids []int
+	for _, item := range strings.Split(c.Query("ids"), ",") {
+		if item == "" {
+			continue
+		}
+		id, err := strconv.Atoi(item)
+		if err != nil {
+			c.JSON(http.StatusOK, gin.H{
+				"success": false,
+				"message": "无效的渠道 ID：" + item,
+			})
+			return
+		}
+		ids = append(ids, id)
+	}
+	channels, err := model.GetChannelsByIds(ids)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	if maskKey {
+		for _, channel := range channels {
+			channel.Key = maskChannelKey(channel.Key)
+			maskChannelConfig(channel)
+		}
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data":    channels,
+	})
+	return
+}
+
 func AddChannel(c *gin.Context) {
 	channel := model.Channel{}
 	err := c.ShouldBindJSON(&channel)
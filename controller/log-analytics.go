@@ -0,0 +1,280 @@
+package controller
+
+import (
+	"github.com/gin-gonic/gin"
+	"github.com/songquanpeng/one-api/common/ctxkey"
+	"github.com/songquanpeng/one-api/common/helper"
+	"github.com/songquanpeng/one-api/model"
+	"net/http"
+	"sort"
+	"strconv"
+	"time"
+)
+
+const (
+	defaultAnalyticsTopN = 10
+	maxAnalyticsTopN     = 50
+	// hourly charts over longer ranges have too many points to be readable
+	maxHourlyAnalyticsRange = 31 * 24 * 3600
+)
+
+// userAnalyticsDimensions are the dimensions normal users may group their own logs by
+var userAnalyticsDimensions = map[string]bool{
+	"model": true,
+	"token": true,
+}
+
+type usageSummary struct {
+	Quota            int64 `json:"quota"`
+	Count            int64 `json:"count"`
+	PromptTokens     int64 `json:"prompt_tokens"`
+	CompletionTokens int64 `json:"completion_tokens"`
+}
+
+func (s *usageSummary) add(stat *model.LogUsageStat) {
+	s.Quota += stat.Quota
+	s.Count += stat.Count
+	s.PromptTokens += stat.PromptTokens
+	s.CompletionTokens += stat.CompletionTokens
+}
+
+type usagePoint struct {
+	Time int64  `json:"time"`
+	Key  string `json:"key"`
+	usageSummary
+}
+
+type usageRank struct {
+	Key string `json:"key"`
+	usageSummary
+	PreviousQuota int64 `json:"previous_quota"`
+	PreviousCount int64 `json:"previous_count"`
+}
+
+func GetLogAnalytics(c *gin.Context) {
+	channel, _ := strconv.Atoi(c.Query("channel"))
+	getLogAnalytics(c, 0, c.Query("username"), channel)
+}
+
+func GetUserLogAnalytics(c *gin.Context) {
+	if !userAnalyticsDimensions[c.DefaultQuery("dimension", "model")] {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "无权按该维度统计",
+		})
+		return
+	}
+	getLogAnalytics(c, c.GetInt(ctxkey.Id), "", 0)
+}
+
+// getLogAnalytics sums the consumption of [start, end] by time bucket and dimension value,
+// both ends are inclusive like the log list and the export.
+// Only the top N values get their own series, the rest is merged into the key "".
+// The totals of the previous period of the same length are returned for comparison.
+func getLogAnalytics(c *gin.Context, userId int, username string, channel int) {
+	dimension := c.DefaultQuery("dimension", "model")
+	granularity := c.DefaultQuery("granularity", "day")
+	startTimestamp, _ := strconv.ParseInt(c.Query("start_timestamp"), 10, 64)
+	endTimestamp, _ := strconv.ParseInt(c.Query("end_timestamp"), 10, 64)
+	// offset of the viewer's time zone in seconds, days start at the viewer's midnight
+	offset, _ := strconv.ParseInt(c.Query("timezone_offset"), 10, 64)
+	topN, _ := strconv.Atoi(c.Query("top"))
+	if topN <= 0 {
+		topN = defaultAnalyticsTopN
+	}
+	if topN > maxAnalyticsTopN {
+		topN = maxAnalyticsTopN
+	}
+	if endTimestamp == 0 {
+		endTimestamp = helper.GetTimestamp()
+	}
+	message := ""
+	switch {
+	case !model.IsValidLogUsageDimension(dimension):
+		message = "不支持的统计维度"
+	case granularity != "hour" && granularity != "day" && granularity != "week" && granularity != "month":
+		message = "不支持的时间粒度"
+	case startTimestamp <= 0 || startTimestamp >= endTimestamp:
+		message = "无效的时间范围"
+	case granularity == "hour" && endTimestamp-startTimestamp > maxHourlyAnalyticsRange:
+		message = "时间范围超过 31 天时请按天、周或月统计"
+	}
+	if message != "" {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": message,
+		})
+		return
+	}
+	tokenName := c.Query("token_name")
+	modelName := c.Query("model_name")
+	// days are whole in the viewer's time zone, so only hourly charts need hourly buckets from the database
+	bucketSize := int64(86400)
+	if granularity == "hour" {
+		bucketSize = 3600
+	}
+	stats, err := model.GetLogUsageStats(userId, startTimestamp, endTimestamp, modelName, username, tokenName, channel, dimension, offset, bucketSize)
+	if err == nil {
+		// [previousStart, start-1] has as many seconds as [start, end]
+		previousStart := startTimestamp - (endTimestamp - startTimestamp) - 1
+		var previousStats []*model.LogUsageStat
+		previousStats, err = model.GetLogUsageStats(userId, previousStart, startTimestamp-1, modelName, username, tokenName, channel, dimension, offset, bucketSize)
+		if err == nil && dimension == "group" {
+			err = mapUsageStatsToGroups(append(stats, previousStats...))
+		}
+		if err == nil {
+			data := summarizeUsageStats(stats, previousStats, granularity, offset, topN)
+			data["dimension"] = dimension
+			data["granularity"] = granularity
+			if dimension == "channel" {
+				data["names"] = channelNames(data["top"].([]*usageRank))
+			}
+			c.JSON(http.StatusOK, gin.H{
+				"success": true,
+				"message": "",
+				"data":    data,
+			})
+			return
+		}
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": false,
+		"message": err.Error(),
+	})
+}
+
+// mapUsageStatsToGroups replaces the user ids of the group dimension with the users' current groups
+func mapUsageStatsToGroups(stats []*model.LogUsageStat) error {
+	ids := make([]int, 0)
+	seen := make(map[string]bool)
+	for _, stat := range stats {
+		if seen[stat.Key] {
+			continue
+		}
+		seen[stat.Key] = true
+		if id, err := strconv.Atoi(stat.Key); err == nil {
+			ids = append(ids, id)
+		}
+	}
+	if len(ids) == 0 {
+		return nil
+	}
+	groups, err := model.GetUserGroupsByIds(ids)
+	if err != nil {
+		return err
+	}
+	for _, stat := range stats {
+		id, _ := strconv.Atoi(stat.Key)
+		stat.Key = groups[id]
+	}
+	return nil
+}
+
+// usageBucket truncates a time of the viewer's time zone to the start of its bucket
+// and converts it back to a unix timestamp
+func usageBucket(shifted int64, granularity string, offset int64) int64 {
+	t := time.Unix(shifted, 0).UTC()
+	switch granularity {
+	case "day":
+		t = time.Date(t.Year(), t.Month(), t.Day(), 0, 0, 0, 0, time.UTC)
+	case "week":
+		// weeks start on Monday
+		t = time.Date(t.Year(), t.Month(), t.Day()-(int(t.Weekday())+6)%7, 0, 0, 0, 0, time.UTC)
+	case "month":
+		t = time.Date(t.Year(), t.Month(), 1, 0, 0, 0, 0, time.UTC)
+	}
+	return t.Unix() - offset
+}
+
+func summarizeUsageStats(stats []*model.LogUsageStat, previousStats []*model.LogUsageStat, granularity string, offset int64, topN int) gin.H {
+	var total, previousTotal usageSummary
+	ranks := make(map[string]*usageRank)
+	for _, stat := range stats {
+		total.add(stat)
+		rank, ok := ranks[stat.Key]
+		if !ok {
+			rank = &usageRank{Key: stat.Key}
+			ranks[stat.Key] = rank
+		}
+		rank.add(stat)
+	}
+	for _, stat := range previousStats {
+		previousTotal.add(stat)
+		if rank, ok := ranks[stat.Key]; ok {
+			rank.PreviousQuota += stat.Quota
+			rank.PreviousCount += stat.Count
+		}
+	}
+
+	top := make([]*usageRank, 0, len(ranks))
+	for _, rank := range ranks {
+		top = append(top, rank)
+	}
+	sort.Slice(top, func(i, j int) bool {
+		if top[i].Quota != top[j].Quota {
+			return top[i].Quota > top[j].Quota
+		}
+		return top[i].Key < top[j].Key
+	})
+	if len(top) > topN {
+		top = top[:topN]
+	}
+	inTop := make(map[string]bool, len(top))
+	for _, rank := range top {
+		inTop[rank.Key] = true
+	}
+
+	type pointKey struct {
+		time int64
+		key  string
+	}
+	points := make(map[pointKey]*usagePoint)
+	series := make([]*usagePoint, 0)
+	for _, stat := range stats {
+		key := pointKey{usageBucket(stat.Time, granularity, offset), stat.Key}
+		if !inTop[key.key] {
+			key.key = ""
+		}
+		point, ok := points[key]
+		if !ok {
+			point = &usagePoint{Time: key.time, Key: key.key}
+			points[key] = point
+			series = append(series, point)
+		}
+		point.add(stat)
+	}
+	sort.Slice(series, func(i, j int) bool {
+		if series[i].Time != series[j].Time {
+			return series[i].Time < series[j].Time
+		}
+		return series[i].Key < series[j].Key
+	})
+	return gin.H{
+		"series":         series,
+		"top":            top,
+		"total":          total,
+		"previous_total": previousTotal,
+	}
+}
+
+// channelNames resolves the channel ids of the top list to channel names
+func channelNames(top []*usageRank) map[string]string {
+	ids := make([]int, 0, len(top))
+	for _, rank := range top {
+		if id, err := strconv.Atoi(rank.Key); err == nil && id != 0 {
+			ids = append(ids, id)
+		}
+	}
+	names := make(map[string]string)
+	if len(ids) == 0 {
+		return names
+	}
+	channels, err := model.GetChannelsByIds(ids)
+	if err != nil {
+		return names
+	}
+	for _, channel := range channels {
+		names[strconv.Itoa(channel.Id)] = channel.Name
+	}
+	return names
+}
@@ -0,0 +1,155 @@
+package controller
+
+import (
+	"encoding/csv"
+	"fmt"
+	"github.com/gin-gonic/gin"
+	"github.com/songquanpeng/one-api/common/config"
+	"github.com/songquanpeng/one-api/common/ctxkey"
+	"github.com/songquanpeng/one-api/common/logger"
+	"github.com/songquanpeng/one-api/common/xlsx"
+	"github.com/songquanpeng/one-api/model"
+	"net/http"
+	"strconv"
+	"strings"
+	"time"
+)
+
+const logExportBatchSize = 1000
+
+var logTypeNames = map[int]string{
+	model.LogTypeTopup:     "充值",
+	model.LogTypeConsume:   "消费",
+	model.LogTypeManage:    "管理",
+	model.LogTypeSystem:    "系统",
+	model.LogTypeRateLimit: "限流",
+}
+
+// spreadsheetText prefixes user controlled text that starts like a formula with a quote,
+// so Excel and other spreadsheet apps show it as text instead of evaluating it
+func spreadsheetText(s string) string {
+	if s != "" && strings.ContainsRune("=+-@\t\r", rune(s[0])) {
+		return "'" + s
+	}
+	return s
+}
+
+// logRowWriter hides the difference between the csv and xlsx outputs
+type logRowWriter interface {
+	WriteRow(cells ...any) error
+	Flush() error
+	Close() error
+}
+
+type csvRowWriter struct {
+	w *csv.Writer
+}
+
+func (w *csvRowWriter) WriteRow(cells ...any) error {
+	record := make([]string, len(cells))
+	for i, cell := range cells {
+		switch v := cell.(type) {
+		case float64:
+			record[i] = strconv.FormatFloat(v, 'f', 6, 64)
+		default:
+			record[i] = fmt.Sprint(v)
+		}
+	}
+	return w.w.Write(record)
+}
+
+func (w *csvRowWriter) Flush() error {
+	w.w.Flush()
+	return w.w.Error()
+}
+
+func (w *csvRowWriter) Close() error {
+	return w.Flush()
+}
+
+func ExportAllLogs(c *gin.Context) {
+	channel, _ := strconv.Atoi(c.Query("channel"))
+	exportLogs(c, 0, c.Query("username"), channel)
+}
+
+func ExportUserLogs(c *gin.Context) {
+	exportLogs(c, c.GetInt(ctxkey.Id), "", 0)
+}
+
+// exportLogs streams every log matching the filters of the log table as csv or xlsx,
+// the total row count is sent in the X-Total-Count header for the progress indicator.
+func exportLogs(c *gin.Context, userId int, username string, channel int) {
+	logType, _ := strconv.Atoi(c.Query("type"))
+	startTimestamp, _ := strconv.ParseInt(c.Query("start_timestamp"), 10, 64)
+	endTimestamp, _ := strconv.ParseInt(c.Query("end_timestamp"), 10, 64)
+	tokenName := c.Query("token_name")
+	modelName := c.Query("model_name")
+	format := c.DefaultQuery("format", "csv")
+	if format != "csv" && format != "xlsx" {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "不支持的导出格式",
+		})
+		return
+	}
+	count, err := model.CountExportLogs(userId, logType, startTimestamp, endTimestamp, modelName, username, tokenName, channel)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+
+	admin := userId == 0
+	filename := fmt.Sprintf("logs-%s.%s", time.Now().Format("20060102-150405"), format)
+	c.Header("Content-Disposition", fmt.Sprintf(`attachment; filename="%s"`, filename))
+	c.Header("X-Total-Count", strconv.FormatInt(count, 10))
+	c.Header("Cache-Control", "no-cache")
+	var writer logRowWriter
+	if format == "xlsx" {
+		c.Header("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet")
+		c.Status(http.StatusOK)
+		writer, err = xlsx.NewWriter(c.Writer, "日志")
+	} else {
+		c.Header("Content-Type", "text/csv; charset=utf-8")
+		c.Status(http.StatusOK)
+		// the BOM makes Excel open the file as UTF-8
+		_, err = c.Writer.WriteString("\ufeff")
+		writer = &csvRowWriter{w: csv.NewWriter(c.Writer)}
+	}
+	if err == nil {
+		header := []any{"时间", "类型"}
+		if admin {
+			header = append(header, "用户", "渠道")
+		}
+		header = append(header, "令牌", "模型", "提示 tokens", "补全 tokens", "额度", "金额（美元）", "详情")
+		err = writer.WriteRow(header...)
+	}
+	if err == nil {
+		err = model.ExportLogs(userId, logType, startTimestamp, endTimestamp, modelName, username, tokenName, channel, logExportBatchSize, func(logs []*model.Log) error {
+			for _, log := range logs {
+				row := []any{time.Unix(log.CreatedAt, 0).Format("2006-01-02 15:04:05"), logTypeNames[log.Type]}
+				if admin {
+					row = append(row, spreadsheetText(log.Username), log.ChannelId)
+				}
+				row = append(row, spreadsheetText(log.TokenName), spreadsheetText(log.ModelName), log.PromptTokens, log.CompletionTokens, log.Quota, float64(log.Quota)/config.QuotaPerUnit, spreadsheetText(log.Content))
+				if err := writer.WriteRow(row...); err != nil {
+					return err
+				}
+			}
+			if err := writer.Flush(); err != nil {
+				return err
+			}
+			c.Writer.Flush()
+			return nil
+		})
+	}
+	if err == nil {
+		err = writer.Close()
+	}
+	if err != nil {
+		// the response has already started, the client notices the truncated file by the row count
+		logger.Error(c.Request.Context(), "failed to export logs: "+err.Error())
+	}
+}
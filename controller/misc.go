@@ -32,8 +32,11 @@ func GetStatus(c *gin.Context) {
 			"server_address":              config.ServerAddress,
 			"turnstile_check":             config.TurnstileCheckEnabled,
 			"turnstile_site_key":          config.TurnstileSiteKey,
+			"admin_two_factor_required":   config.AdminTwoFactorRequiredEnabled,
+			"passkey_login":               config.PasskeyLoginEnabled,
 			"top_up_link":                 config.TopUpLink,
 			"chat_link":                   config.ChatLink,
+			"client_templates":            model.ClientTemplates,
 			"quota_per_unit":              config.QuotaPerUnit,
 			"display_in_currency":         config.DisplayInCurrencyEnabled,
 			"oidc":                        config.OidcEnabled,
@@ -204,6 +207,10 @@ func ResetPassword(c *gin.Context) {
 		return
 	}
 	common.DeleteKey(req.Email, common.PasswordResetPurpose)
+	user := model.User{Email: req.Email}
+	if err = user.FillUserByEmail(); err == nil {
+		RecordSecurityEvent(c, user.Id, model.SecurityEventPasswordReset, "email")
+	}
 	c.JSON(http.StatusOK, gin.H{
 		"success": true,
 		"message": "",
@@ -2,16 +2,20 @@ package controller
 
 import (
 	"fmt"
+	"github.com/gin-contrib/sessions"
 	"github.com/gin-gonic/gin"
+	"github.com/songquanpeng/one-api/common/config"
 	"github.com/songquanpeng/one-api/common/ctxkey"
 	"github.com/songquanpeng/one-api/model"
 	relay "github.com/songquanpeng/one-api/relay"
 	"github.com/songquanpeng/one-api/relay/adaptor/openai"
 	"github.com/songquanpeng/one-api/relay/apitype"
+	billingratio "github.com/songquanpeng/one-api/relay/billing/ratio"
 	"github.com/songquanpeng/one-api/relay/channeltype"
 	"github.com/songquanpeng/one-api/relay/meta"
 	relaymodel "github.com/songquanpeng/one-api/relay/model"
 	"net/http"
+	"strconv"
 	"strings"
 )
 
@@ -42,6 +46,23 @@ type OpenAIModels struct {
 	Parent     *string                 `json:"parent"`
 }
 
+// ModelPricing is a model in the pricing list, ModelRatio is null when no ratio is configured for the model.
+// When the channel types serving the model in the group bill it differently, ChannelPrices lists the price
+// of each channel type and ModelRatio and CompletionRatio are those of the most expensive one.
+type ModelPricing struct {
+	Model           string              `json:"model"`
+	ModelRatio      *float64            `json:"model_ratio"`
+	CompletionRatio float64             `json:"completion_ratio"`
+	ChannelPrices   []ModelChannelPrice `json:"channel_prices,omitempty"`
+}
+
+// ModelChannelPrice is the price of a model when it is served by a channel of ChannelType
+type ModelChannelPrice struct {
+	ChannelType     int      `json:"channel_type"`
+	ModelRatio      *float64 `json:"model_ratio"`
+	CompletionRatio float64  `json:"completion_ratio"`
+}
+
 var models []OpenAIModels
 var modelsMap map[string]OpenAIModels
 var channelId2Models map[int][]string
@@ -129,6 +150,29 @@ func ListAllModels(c *gin.Context) {
 	})
 }
 
+// GetModelRatios reports the model ratio of each requested model for the given channel type.
+// Models without a configured ratio are returned as null, they would be billed at the fallback ratio.
+func GetModelRatios(c *gin.Context) {
+	channelType, _ := strconv.Atoi(c.Query("type"))
+	ratios := make(map[string]*float64)
+	for _, name := range strings.Split(c.Query("models"), ",") {
+		name = strings.TrimSpace(name)
+		if name == "" {
+			continue
+		}
+		if ratio, ok := billingratio.LookupModelRatio(name, channelType); ok {
+			ratios[name] = &ratio
+		} else {
+			ratios[name] = nil
+		}
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data":    ratios,
+	})
+}
+
 func ListModels(c *gin.Context) {
 	ctx := c.Request.Context()
 	var availableModels []string
@@ -211,3 +255,115 @@ func GetUserAvailableModels(c *gin.Context) {
 	})
 	return
 }
+
+// GetUserModelPricing returns the ratios used to bill the models available to the user's group,
+// so that the frontend can estimate the quota cost of a request before the consume log is written.
+func GetUserModelPricing(c *gin.Context) {
+	id := c.GetInt(ctxkey.Id)
+	userGroup, err := model.CacheGetUserGroup(id)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	respondGroupModelPricing(c, userGroup)
+}
+
+// GetModelPricing is the public counterpart of GetUserModelPricing used by the pricing page:
+// logged in users see the prices of their own group, visitors those of the default group.
+func GetModelPricing(c *gin.Context) {
+	group := "default"
+	if id, ok := sessions.Default(c).Get("id").(int); ok {
+		if userGroup, err := model.CacheGetUserGroup(id); err == nil {
+			group = userGroup
+		}
+	}
+	respondGroupModelPricing(c, group)
+}
+
+func respondGroupModelPricing(c *gin.Context, group string) {
+	models, err := model.CacheGetGroupModels(c.Request.Context(), group)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	channelTypes, err := model.GetGroupModelChannelTypes(group)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	pricing := make([]ModelPricing, 0, len(models))
+	for _, modelName := range models {
+		pricing = append(pricing, getModelPricing(modelName, channelTypes[modelName]))
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data": gin.H{
+			"group":          group,
+			"group_ratio":    billingratio.GetGroupRatio(group),
+			"quota_per_unit": config.QuotaPerUnit,
+			"models":         pricing,
+		},
+	})
+}
+
+// getModelPricing looks up the ratios the relay bills the model with for each of the channel types serving it
+func getModelPricing(modelName string, channelTypes []int) ModelPricing {
+	if len(channelTypes) == 0 {
+		channelTypes = []int{0}
+	}
+	prices := make([]ModelChannelPrice, 0, len(channelTypes))
+	for _, channelType := range channelTypes {
+		price := ModelChannelPrice{
+			ChannelType:     channelType,
+			CompletionRatio: billingratio.GetCompletionRatio(modelName, channelType),
+		}
+		if ratio, ok := billingratio.LookupModelRatio(modelName, channelType); ok {
+			price.ModelRatio = &ratio
+		}
+		prices = append(prices, price)
+	}
+	highest := prices[0]
+	varies := false
+	for _, price := range prices[1:] {
+		if !sameModelChannelPrice(price, highest) {
+			varies = true
+		}
+		if modelChannelPriceCost(price) > modelChannelPriceCost(highest) {
+			highest = price
+		}
+	}
+	item := ModelPricing{
+		Model:           modelName,
+		ModelRatio:      highest.ModelRatio,
+		CompletionRatio: highest.CompletionRatio,
+	}
+	if varies {
+		item.ChannelPrices = prices
+	}
+	return item
+}
+
+// modelChannelPriceCost orders prices by the cost of a request with as many prompt as completion tokens
+func modelChannelPriceCost(price ModelChannelPrice) float64 {
+	if price.ModelRatio == nil {
+		return -1
+	}
+	return *price.ModelRatio * (1 + price.CompletionRatio)
+}
+
+func sameModelChannelPrice(a ModelChannelPrice, b ModelChannelPrice) bool {
+	if (a.ModelRatio == nil) != (b.ModelRatio == nil) {
+		return false
+	}
+	return (a.ModelRatio == nil || *a.ModelRatio == *b.ModelRatio) && a.CompletionRatio == b.CompletionRatio
+}
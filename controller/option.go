@@ -3,7 +3,9 @@ package controller
 import (
 	"encoding/json"
 	"github.com/songquanpeng/one-api/common/config"
+	"github.com/songquanpeng/one-api/common/ctxkey"
 	"github.com/songquanpeng/one-api/common/helper"
+	"github.com/songquanpeng/one-api/common/webauthn"
 	"github.com/songquanpeng/one-api/model"
 	"net/http"
 	"strings"
@@ -43,6 +45,14 @@ func UpdateOption(c *gin.Context) {
 		return
 	}
 	switch option.Key {
+	case "ClientTemplates":
+		if _, err := model.ParseClientTemplates(option.Value); err != nil {
+			c.JSON(http.StatusOK, gin.H{
+				"success": false,
+				"message": err.Error(),
+			})
+			return
+		}
 	case "Theme":
 		if !config.ValidThemes[option.Value] {
 			c.JSON(http.StatusOK, gin.H{
@@ -75,6 +85,24 @@ func UpdateOption(c *gin.Context) {
 			})
 			return
 		}
+	case "PasskeyLoginEnabled":
+		if option.Value == "true" {
+			if _, err := webauthn.NewRelyingParty(config.SystemName, config.ServerAddress); err != nil {
+				c.JSON(http.StatusOK, gin.H{
+					"success": false,
+					"message": "无法启用 Passkey 登录，请先将服务器地址设置为以 https 开头的域名！",
+				})
+				return
+			}
+		}
+	case "AdminTwoFactorRequiredEnabled":
+		if option.Value == "true" && !model.IsUserTwoFactorEnabled(c.GetInt(ctxkey.Id)) {
+			c.JSON(http.StatusOK, gin.H{
+				"success": false,
+				"message": "无法要求管理员启用两步验证，请先在个人设置中为自己启用两步验证！",
+			})
+			return
+		}
 	case "TurnstileCheckEnabled":
 		if option.Value == "true" && config.TurnstileSiteKey == "" {
 			c.JSON(http.StatusOK, gin.H{
@@ -0,0 +1,153 @@
+package controller
+
+import (
+	"github.com/gin-gonic/gin"
+	"github.com/songquanpeng/one-api/common/helper"
+	"github.com/songquanpeng/one-api/model"
+	"net/http"
+	"sort"
+	"strconv"
+)
+
+const (
+	defaultOverviewDays = 7
+	// the overview is bucketed by days, longer ranges belong to the usage analytics
+	maxOverviewRange   = 366 * 24 * 3600
+	overviewModelTopN  = 10
+	overviewChannelTop = 10
+)
+
+// latencyBounds are the upper bounds (ms) of the latency distribution,
+// the same thresholds as the colors of the response time in the channel tables
+var latencyBounds = []int64{1000, 3000, 5000, 10000}
+
+type channelErrorRate struct {
+	*model.ChannelTestStat
+	Name      string  `json:"name"`
+	ErrorRate float64 `json:"error_rate"`
+}
+
+type latencyBucket struct {
+	Max   int64 `json:"max"` // 0 means above the largest bound
+	Count int64 `json:"count"`
+}
+
+// GetSystemOverview returns the system-wide numbers of the admin dashboard for [start, end]:
+// consumption by day and model, active users and tokens, channel states and channel test results.
+func GetSystemOverview(c *gin.Context) {
+	endTimestamp, _ := strconv.ParseInt(c.Query("end_timestamp"), 10, 64)
+	if endTimestamp == 0 {
+		endTimestamp = helper.GetTimestamp()
+	}
+	startTimestamp, _ := strconv.ParseInt(c.Query("start_timestamp"), 10, 64)
+	if startTimestamp == 0 {
+		startTimestamp = endTimestamp - defaultOverviewDays*24*3600
+	}
+	offset, _ := strconv.ParseInt(c.Query("timezone_offset"), 10, 64)
+	if startTimestamp >= endTimestamp || endTimestamp-startTimestamp > maxOverviewRange {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "时间范围无效或超过一年",
+		})
+		return
+	}
+	data, err := systemOverview(startTimestamp, endTimestamp, offset)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data":    data,
+	})
+}
+
+func systemOverview(startTimestamp int64, endTimestamp int64, offset int64) (gin.H, error) {
+	stats, err := model.GetLogUsageStats(0, startTimestamp, endTimestamp, "", "", "", 0, "model", offset, 86400)
+	if err != nil {
+		return nil, err
+	}
+	data := summarizeUsageStats(stats, nil, "day", offset, overviewModelTopN)
+	data["start_timestamp"] = startTimestamp
+	data["end_timestamp"] = endTimestamp
+
+	activeUsers, activeTokens, err := model.CountActiveUsersAndTokens(startTimestamp, endTimestamp)
+	if err != nil {
+		return nil, err
+	}
+	data["active_users"] = activeUsers
+	data["active_tokens"] = activeTokens
+
+	channelCounts, err := model.CountChannelsByStatus()
+	if err != nil {
+		return nil, err
+	}
+	data["channels"] = gin.H{
+		"enabled":           channelCounts[model.ChannelStatusEnabled],
+		"manually_disabled": channelCounts[model.ChannelStatusManuallyDisabled],
+		"auto_disabled":     channelCounts[model.ChannelStatusAutoDisabled],
+	}
+
+	testStats, err := model.GetChannelTestStats(startTimestamp, endTimestamp)
+	if err != nil {
+		return nil, err
+	}
+	var tests, failures int64
+	rates := make([]*channelErrorRate, 0, len(testStats))
+	ids := make([]int, 0, len(testStats))
+	for _, stat := range testStats {
+		tests += stat.Tests
+		failures += stat.Failures
+		if stat.Tests > 0 {
+			rates = append(rates, &channelErrorRate{ChannelTestStat: stat, ErrorRate: float64(stat.Failures) / float64(stat.Tests)})
+		}
+	}
+	sort.Slice(rates, func(i, j int) bool {
+		if rates[i].ErrorRate != rates[j].ErrorRate {
+			return rates[i].ErrorRate > rates[j].ErrorRate
+		}
+		return rates[i].Tests > rates[j].Tests
+	})
+	if len(rates) > overviewChannelTop {
+		rates = rates[:overviewChannelTop]
+	}
+	for _, rate := range rates {
+		ids = append(ids, rate.ChannelId)
+	}
+	if len(ids) > 0 {
+		channels, err := model.GetChannelsByIds(ids)
+		if err != nil {
+			return nil, err
+		}
+		names := make(map[int]string, len(channels))
+		for _, channel := range channels {
+			names[channel.Id] = channel.Name
+		}
+		for _, rate := range rates {
+			rate.Name = names[rate.ChannelId]
+		}
+	}
+	data["channel_tests"] = gin.H{
+		"tests":    tests,
+		"failures": failures,
+	}
+	data["channel_error_rates"] = rates
+
+	counts, err := model.GetChannelLatencyDistribution(startTimestamp, endTimestamp, latencyBounds)
+	if err != nil {
+		return nil, err
+	}
+	latency := make([]latencyBucket, len(counts))
+	for i, count := range counts {
+		latency[i].Count = count
+		if i < len(latencyBounds) {
+			latency[i].Max = latencyBounds[i]
+		}
+	}
+	data["latency"] = latency
+	return data, nil
+}
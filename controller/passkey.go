@@ -0,0 +1,406 @@
+package controller
+
+import (
+	"bytes"
+	"net/http"
+	"strconv"
+
+	"github.com/gin-contrib/sessions"
+	"github.com/gin-gonic/gin"
+	"github.com/songquanpeng/one-api/common/config"
+	"github.com/songquanpeng/one-api/common/ctxkey"
+	"github.com/songquanpeng/one-api/common/logger"
+	"github.com/songquanpeng/one-api/common/random"
+	"github.com/songquanpeng/one-api/common/webauthn"
+	"github.com/songquanpeng/one-api/model"
+)
+
+// session key holding the id of the challenge between the begin and finish requests of a ceremony,
+// the challenge itself is kept on the server because the session is stored in a client-side cookie
+const passkeyChallengeId = "passkey_challenge_id"
+
+// passkeyCredential is the PublicKeyCredential returned by the browser, binary fields are base64url encoded
+type passkeyCredential struct {
+	Id       string `json:"id"`
+	RawId    string `json:"rawId"`
+	Type     string `json:"type"`
+	Response struct {
+		ClientDataJSON    string `json:"clientDataJSON"`
+		AttestationObject string `json:"attestationObject"`
+		AuthenticatorData string `json:"authenticatorData"`
+		Signature         string `json:"signature"`
+		UserHandle        string `json:"userHandle"`
+	} `json:"response"`
+}
+
+// passkeyUserHandle is the user.id of the WebAuthn user entity, returned as userHandle when signing in
+func passkeyUserHandle(userId int) []byte {
+	return []byte(strconv.Itoa(userId))
+}
+
+// getRelyingParty 未开启 Passkey 登录或服务器地址不可用时返回 nil 并输出错误
+func getRelyingParty(c *gin.Context) *webauthn.RelyingParty {
+	if !config.PasskeyLoginEnabled {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "管理员未开启通过 Passkey 登录以及注册",
+		})
+		return nil
+	}
+	rp, err := webauthn.NewRelyingParty(config.SystemName, config.ServerAddress)
+	if err != nil {
+		logger.SysError("invalid server address for passkeys: " + err.Error())
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "服务器地址配置有误，无法使用 Passkey",
+		})
+		return nil
+	}
+	return rp
+}
+
+func savePasskeyChallenge(c *gin.Context) (string, bool) {
+	challenge, err := webauthn.NewChallenge()
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return "", false
+	}
+	id := random.GetUUID()
+	model.SavePasskeyChallenge(id, challenge, webauthn.Timeout)
+	session := sessions.Default(c)
+	session.Set(passkeyChallengeId, id)
+	if err := session.Save(); err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "无法保存会话信息，请重试",
+		})
+		return "", false
+	}
+	return challenge, true
+}
+
+// takePasskeyChallenge 取出并删除服务端保存的 challenge，重放旧的会话 cookie 也无法再次使用
+func takePasskeyChallenge(c *gin.Context) (string, bool) {
+	session := sessions.Default(c)
+	id, _ := session.Get(passkeyChallengeId).(string)
+	session.Delete(passkeyChallengeId)
+	_ = session.Save()
+	challenge, ok := model.TakePasskeyChallenge(id)
+	if !ok {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "操作已超时，请重试",
+		})
+		return "", false
+	}
+	return challenge, true
+}
+
+func bindPasskeyCredential(c *gin.Context, credential *passkeyCredential) (clientDataJSON []byte, ok bool) {
+	if credential.Type != "public-key" || credential.RawId == "" {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "无效的参数",
+		})
+		return nil, false
+	}
+	clientDataJSON, err := webauthn.Encoding.DecodeString(credential.Response.ClientDataJSON)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "无效的参数",
+		})
+		return nil, false
+	}
+	return clientDataJSON, true
+}
+
+func BeginPasskeyLogin(c *gin.Context) {
+	rp := getRelyingParty(c)
+	if rp == nil {
+		return
+	}
+	challenge, ok := savePasskeyChallenge(c)
+	if !ok {
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data":    rp.RequestOptions(challenge),
+	})
+}
+
+// FinishPasskeyLogin 校验浏览器返回的签名后直接登录，Passkey 要求用户验证，因此不再要求两步验证
+func FinishPasskeyLogin(c *gin.Context) {
+	rp := getRelyingParty(c)
+	if rp == nil {
+		return
+	}
+	var credential passkeyCredential
+	if err := c.ShouldBindJSON(&credential); err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "无效的参数",
+		})
+		return
+	}
+	clientDataJSON, ok := bindPasskeyCredential(c, &credential)
+	if !ok {
+		return
+	}
+	challenge, ok := takePasskeyChallenge(c)
+	if !ok {
+		return
+	}
+	authData, err1 := webauthn.Encoding.DecodeString(credential.Response.AuthenticatorData)
+	signature, err2 := webauthn.Encoding.DecodeString(credential.Response.Signature)
+	userHandle, err3 := webauthn.Encoding.DecodeString(credential.Response.UserHandle)
+	if err1 != nil || err2 != nil || err3 != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "无效的参数",
+		})
+		return
+	}
+	passkey, err := model.GetPasskeyByCredentialId(credential.RawId)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "该 Passkey 未注册或已被删除",
+		})
+		return
+	}
+	if len(userHandle) > 0 && !bytes.Equal(userHandle, passkeyUserHandle(passkey.UserId)) {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "该 Passkey 未注册或已被删除",
+		})
+		return
+	}
+	publicKey, err := webauthn.Encoding.DecodeString(passkey.PublicKey)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	signCount, err := rp.VerifyAssertion(challenge, &webauthn.Credential{
+		PublicKey: publicKey,
+		SignCount: passkey.SignCount,
+	}, clientDataJSON, authData, signature)
+	if err != nil {
+		RecordSecurityEvent(c, passkey.UserId, model.SecurityEventLoginFailed, "passkey")
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "Passkey 验证失败：" + err.Error(),
+		})
+		return
+	}
+	user, err := model.GetUserById(passkey.UserId, false)
+	if err != nil || user.Status != model.UserStatusEnabled {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "用户已被封禁或不存在",
+		})
+		return
+	}
+	if err := passkey.UpdateUsage(signCount); err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	SetupLogin(user, c)
+}
+
+func GetSelfPasskeys(c *gin.Context) {
+	passkeys, err := model.GetUserPasskeys(c.GetInt(ctxkey.Id))
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data":    passkeys,
+	})
+}
+
+func BeginSelfPasskeyRegistration(c *gin.Context) {
+	rp := getRelyingParty(c)
+	if rp == nil {
+		return
+	}
+	user, err := model.GetUserById(c.GetInt(ctxkey.Id), false)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	passkeys, err := model.GetUserPasskeys(user.Id)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	if len(passkeys) >= model.MaxPasskeysPerUser {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "Passkey 数量已达上限：" + strconv.Itoa(model.MaxPasskeysPerUser),
+		})
+		return
+	}
+	exclude := make([][]byte, 0, len(passkeys))
+	for _, passkey := range passkeys {
+		if id, err := webauthn.Encoding.DecodeString(passkey.CredentialId); err == nil {
+			exclude = append(exclude, id)
+		}
+	}
+	challenge, ok := savePasskeyChallenge(c)
+	if !ok {
+		return
+	}
+	displayName := user.DisplayName
+	if displayName == "" {
+		displayName = user.Username
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data":    rp.CreationOptions(challenge, passkeyUserHandle(user.Id), user.Username, displayName, exclude),
+	})
+}
+
+type passkeyRegistrationRequest struct {
+	Name       string            `json:"name"`
+	Credential passkeyCredential `json:"credential"`
+}
+
+func FinishSelfPasskeyRegistration(c *gin.Context) {
+	rp := getRelyingParty(c)
+	if rp == nil {
+		return
+	}
+	var req passkeyRegistrationRequest
+	if err := c.ShouldBindJSON(&req); err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "无效的参数",
+		})
+		return
+	}
+	// 在消耗挑战之前检查名称，避免名称无效时白白作废已完成的验证
+	if _, err := model.ValidatePasskeyName(req.Name); err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	clientDataJSON, ok := bindPasskeyCredential(c, &req.Credential)
+	if !ok {
+		return
+	}
+	challenge, ok := takePasskeyChallenge(c)
+	if !ok {
+		return
+	}
+	attestationObject, err := webauthn.Encoding.DecodeString(req.Credential.Response.AttestationObject)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "无效的参数",
+		})
+		return
+	}
+	credential, err := rp.VerifyRegistration(challenge, clientDataJSON, attestationObject)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "Passkey 验证失败：" + err.Error(),
+		})
+		return
+	}
+	credentialId := webauthn.Encoding.EncodeToString(credential.ID)
+	if _, err := model.GetPasskeyByCredentialId(credentialId); err == nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "该 Passkey 已注册",
+		})
+		return
+	}
+	passkey := model.Passkey{
+		UserId:       c.GetInt(ctxkey.Id),
+		Name:         req.Name,
+		CredentialId: credentialId,
+		PublicKey:    webauthn.Encoding.EncodeToString(credential.PublicKey),
+		SignCount:    credential.SignCount,
+	}
+	if err := passkey.Insert(); err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	RecordSecurityEvent(c, passkey.UserId, model.SecurityEventPasskeyAdded, passkey.Name)
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data":    passkey,
+	})
+}
+
+func UpdateSelfPasskey(c *gin.Context) {
+	id, _ := strconv.Atoi(c.Param("id"))
+	var req struct {
+		Name string `json:"name"`
+	}
+	if err := c.ShouldBindJSON(&req); err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "无效的参数",
+		})
+		return
+	}
+	if err := model.UpdateUserPasskeyName(id, c.GetInt(ctxkey.Id), req.Name); err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+	})
+}
+
+func DeleteSelfPasskey(c *gin.Context) {
+	id, _ := strconv.Atoi(c.Param("id"))
+	if err := model.DeleteUserPasskey(id, c.GetInt(ctxkey.Id)); err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	RecordSecurityEvent(c, c.GetInt(ctxkey.Id), model.SecurityEventPasskeyRemoved, "#"+strconv.Itoa(id))
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+	})
+}
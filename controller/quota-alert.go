@@ -0,0 +1,148 @@
+package controller
+
+import (
+	"encoding/json"
+	"github.com/gin-gonic/gin"
+	"github.com/songquanpeng/one-api/common/ctxkey"
+	"github.com/songquanpeng/one-api/common/message"
+	"github.com/songquanpeng/one-api/common/network"
+	"github.com/songquanpeng/one-api/model"
+	"net/http"
+	"net/url"
+	"strings"
+	"time"
+)
+
+// the burn rate of the forecast is the average daily consumption of this many recent days
+const quotaForecastDays = 7
+
+const (
+	QuotaAlertLow       = "quota_low"
+	QuotaAlertExhausted = "quota_exhausted"
+	QuotaAlertDaily     = "daily_quota"
+)
+
+type quotaForecast struct {
+	Quota                    int64    `json:"quota"`
+	WindowDays               int      `json:"window_days"`
+	DailyAverage             float64  `json:"daily_average"`
+	DaysLeft                 float64  `json:"days_left"`    // -1 when nothing was used recently
+	DepletionAt              int64    `json:"depletion_at"` // 0 when it can't be projected
+	TodayUsed                int64    `json:"today_used"`
+	QuotaAlertThreshold      int64    `json:"quota_alert_threshold"`
+	DailyQuotaAlertThreshold int64    `json:"daily_quota_alert_threshold"`
+	Alerts                   []string `json:"alerts"`
+}
+
+// forecastDepletion projects when the quota runs out if the user keeps using `used` quota every `days` days
+func forecastDepletion(quota int64, used int64, days int, now int64) (dailyAverage float64, daysLeft float64, depletionAt int64) {
+	if quota <= 0 {
+		return float64(used) / float64(days), 0, now
+	}
+	if used <= 0 {
+		return 0, -1, 0
+	}
+	dailyAverage = float64(used) / float64(days)
+	daysLeft = float64(quota) / dailyAverage
+	return dailyAverage, daysLeft, now + int64(daysLeft*24*3600)
+}
+
+// GetSelfQuotaForecast projects the depletion date of the user's quota from the recent burn rate,
+// together with the alerts to show in the page
+func GetSelfQuotaForecast(c *gin.Context) {
+	user, err := model.GetUserById(c.GetInt(ctxkey.Id), false)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	now := time.Now()
+	used, err := model.SumUserConsumedQuota(user.Id, now.Unix()-quotaForecastDays*24*3600, now.Unix())
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	todayUsed, err := model.SumUserConsumedQuota(user.Id, model.DayStart(now), now.Unix())
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	forecast := quotaForecast{
+		Quota:                    user.Quota,
+		WindowDays:               quotaForecastDays,
+		TodayUsed:                todayUsed,
+		QuotaAlertThreshold:      model.GetUserQuotaAlertThreshold(user.Id),
+		DailyQuotaAlertThreshold: user.DailyQuotaAlertThreshold,
+		Alerts:                   []string{},
+	}
+	forecast.DailyAverage, forecast.DaysLeft, forecast.DepletionAt = forecastDepletion(user.Quota, used, quotaForecastDays, now.Unix())
+	if user.Quota <= 0 {
+		forecast.Alerts = append(forecast.Alerts, QuotaAlertExhausted)
+	} else if user.Quota < forecast.QuotaAlertThreshold {
+		forecast.Alerts = append(forecast.Alerts, QuotaAlertLow)
+	}
+	if forecast.DailyQuotaAlertThreshold > 0 && todayUsed >= forecast.DailyQuotaAlertThreshold {
+		forecast.Alerts = append(forecast.Alerts, QuotaAlertDaily)
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data":    forecast,
+	})
+}
+
+func UpdateSelfQuotaAlert(c *gin.Context) {
+	var alert model.UserQuotaAlert
+	err := json.NewDecoder(c.Request.Body).Decode(&alert)
+	if err != nil || alert.QuotaAlertThreshold < 0 || alert.DailyQuotaAlertThreshold < 0 || !model.IsValidAlertNotifyBy(alert.AlertNotifyBy) {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "无效的参数",
+		})
+		return
+	}
+	alert.MessagePusherAddress = strings.TrimRight(strings.TrimSpace(alert.MessagePusherAddress), "/")
+	if alert.MessagePusherAddress != "" {
+		address, err := url.Parse(alert.MessagePusherAddress)
+		if err != nil || (address.Scheme != "http" && address.Scheme != "https") || address.Host == "" {
+			c.JSON(http.StatusOK, gin.H{
+				"success": false,
+				"message": "Message Pusher 推送地址无效",
+			})
+			return
+		}
+		// 推送由服务器发出，不允许指向内网、本机或云服务器元数据等地址；发送时还会再次检查实际连接的地址
+		if err := network.CheckPublicHost(address.Hostname()); err != nil {
+			c.JSON(http.StatusOK, gin.H{
+				"success": false,
+				"message": "Message Pusher 推送地址必须是公网地址",
+			})
+			return
+		}
+	} else if alert.AlertNotifyBy == message.ByMessagePusher || alert.AlertNotifyBy == message.ByAll {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "请填写 Message Pusher 推送地址",
+		})
+		return
+	}
+	if err := model.UpdateUserQuotaAlert(c.GetInt(ctxkey.Id), &alert); err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+	})
+}
@@ -0,0 +1,61 @@
+package controller
+
+import (
+	"net/http"
+
+	"github.com/gin-gonic/gin"
+	"github.com/songquanpeng/one-api/common/ctxkey"
+	"github.com/songquanpeng/one-api/model"
+)
+
+// RecordSecurityEvent 以当前请求的 IP 与 User-Agent 记录安全日志
+func RecordSecurityEvent(c *gin.Context, userId int, eventType string, detail string) {
+	model.RecordSecurityEvent(userId, eventType, c.ClientIP(), c.Request.UserAgent(), detail)
+}
+
+// loginMethods 登录接口与安全日志中登录方式的对应关系
+var loginMethods = map[string]string{
+	"/api/user/login":                "password",
+	"/api/user/login/2fa":            "two_factor",
+	"/api/user/passkey/login/finish": "passkey",
+	"/api/oauth/github":              "github",
+	"/api/oauth/oidc":                "oidc",
+	"/api/oauth/lark":                "lark",
+	"/api/oauth/wechat":              "wechat",
+}
+
+func GetSelfSecurityEvents(c *gin.Context) {
+	events, err := model.GetUserSecurityEvents(c.GetInt(ctxkey.Id))
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data":    events,
+	})
+}
+
+func GetUserSecurityEvents(c *gin.Context) {
+	user := getManagedUser(c)
+	if user == nil {
+		return
+	}
+	events, err := model.GetUserSecurityEvents(user.Id)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data":    events,
+	})
+}
@@ -11,6 +11,7 @@ import (
 	"github.com/songquanpeng/one-api/model"
 	"net/http"
 	"strconv"
+	"time"
 )
 
 func GetAllTokens(c *gin.Context) {
@@ -83,6 +84,41 @@ func GetToken(c *gin.Context) {
 	return
 }
 
+// the client ips of a token are looked up in the consume logs of this many recent days
+const tokenClientIpDays = 30
+
+func GetTokenClientIps(c *gin.Context) {
+	id, err := strconv.Atoi(c.Param("id"))
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	token, err := model.GetTokenByIds(id, c.GetInt(ctxkey.Id))
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	ips, err := model.GetTokenClientIps(token.UserId, token.Id, helper.GetTimestamp()-tokenClientIpDays*24*3600, 20)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data":    ips,
+	})
+}
+
 func GetTokenStatus(c *gin.Context) {
 	tokenId := c.GetInt(ctxkey.TokenId)
 	userId := c.GetInt(ctxkey.Id)
@@ -117,6 +153,15 @@ func validateToken(c *gin.Context, token model.Token) error {
 			return fmt.Errorf("无效的网段：%s", err.Error())
 		}
 	}
+	if !model.IsValidTokenBudgetPeriod(token.BudgetPeriod) {
+		return fmt.Errorf("无效的预算周期")
+	}
+	if token.BudgetPeriod != "" && token.BudgetQuota <= 0 {
+		return fmt.Errorf("预算额度必须大于 0")
+	}
+	if token.RpmLimit < 0 || token.TpmLimit < 0 || token.ConcurrencyLimit < 0 {
+		return fmt.Errorf("限流设置不能小于 0")
+	}
 	return nil
 }
 
@@ -140,16 +185,21 @@ func AddToken(c *gin.Context) {
 	}
 
 	cleanToken := model.Token{
-		UserId:         c.GetInt(ctxkey.Id),
-		Name:           token.Name,
-		Key:            random.GenerateKey(),
-		CreatedTime:    helper.GetTimestamp(),
-		AccessedTime:   helper.GetTimestamp(),
-		ExpiredTime:    token.ExpiredTime,
-		RemainQuota:    token.RemainQuota,
-		UnlimitedQuota: token.UnlimitedQuota,
-		Models:         token.Models,
-		Subnet:         token.Subnet,
+		UserId:           c.GetInt(ctxkey.Id),
+		Name:             token.Name,
+		Key:              random.GenerateKey(),
+		CreatedTime:      helper.GetTimestamp(),
+		AccessedTime:     helper.GetTimestamp(),
+		ExpiredTime:      token.ExpiredTime,
+		RemainQuota:      token.RemainQuota,
+		UnlimitedQuota:   token.UnlimitedQuota,
+		Models:           token.Models,
+		Subnet:           token.Subnet,
+		BudgetPeriod:     token.BudgetPeriod,
+		BudgetQuota:      token.BudgetQuota,
+		RpmLimit:         token.RpmLimit,
+		TpmLimit:         token.TpmLimit,
+		ConcurrencyLimit: token.ConcurrencyLimit,
 	}
 	err = cleanToken.Insert()
 	if err != nil {
@@ -229,6 +279,7 @@ func UpdateToken(c *gin.Context) {
 			return
 		}
 	}
+	budgetPeriodChanged := statusOnly == "" && cleanToken.BudgetPeriod != token.BudgetPeriod
 	if statusOnly != "" {
 		cleanToken.Status = token.Status
 	} else {
@@ -239,8 +290,16 @@ func UpdateToken(c *gin.Context) {
 		cleanToken.UnlimitedQuota = token.UnlimitedQuota
 		cleanToken.Models = token.Models
 		cleanToken.Subnet = token.Subnet
+		cleanToken.BudgetPeriod = token.BudgetPeriod
+		cleanToken.BudgetQuota = token.BudgetQuota
+		cleanToken.RpmLimit = token.RpmLimit
+		cleanToken.TpmLimit = token.TpmLimit
+		cleanToken.ConcurrencyLimit = token.ConcurrencyLimit
 	}
 	err = cleanToken.Update()
+	if err == nil && budgetPeriodChanged {
+		err = cleanToken.ResetBudget()
+	}
 	if err != nil {
 		c.JSON(http.StatusOK, gin.H{
 			"success": false,
@@ -255,3 +314,60 @@ func UpdateToken(c *gin.Context) {
 	})
 	return
 }
+
+type rotateTokenKeyRequest struct {
+	GracePeriod int64 `json:"grace_period"` // seconds during which the old key keeps working
+}
+
+func RotateTokenKey(c *gin.Context) {
+	id, err := strconv.Atoi(c.Param("id"))
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	var req rotateTokenKeyRequest
+	if err := c.ShouldBindJSON(&req); err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "无效的参数",
+		})
+		return
+	}
+	if req.GracePeriod < 0 || req.GracePeriod > model.MaxTokenKeyGracePeriod {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": fmt.Sprintf("旧密钥的保留时间须在 0 到 %d 天之间", model.MaxTokenKeyGracePeriod/(24*3600)),
+		})
+		return
+	}
+	userId := c.GetInt(ctxkey.Id)
+	token, err := model.GetTokenByIds(id, userId)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	err = token.RotateKey(req.GracePeriod)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	content := fmt.Sprintf("更换了令牌 %s（#%d）的密钥，旧密钥立即失效", token.Name, token.Id)
+	if req.GracePeriod > 0 {
+		content = fmt.Sprintf("更换了令牌 %s（#%d）的密钥，旧密钥在 %s 前仍可使用", token.Name, token.Id, time.Unix(token.PreviousKeyExpiredTime, 0).Format("2006-01-02 15:04:05"))
+	}
+	model.RecordLog(userId, model.LogTypeManage, content)
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data":    token,
+	})
+}
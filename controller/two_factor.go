@@ -0,0 +1,372 @@
+package controller
+
+import (
+	"context"
+	"fmt"
+	"net/http"
+	"sync"
+	"time"
+
+	"github.com/gin-contrib/sessions"
+	"github.com/gin-gonic/gin"
+	"github.com/songquanpeng/one-api/common"
+	"github.com/songquanpeng/one-api/common/config"
+	"github.com/songquanpeng/one-api/common/ctxkey"
+	"github.com/songquanpeng/one-api/common/helper"
+	"github.com/songquanpeng/one-api/common/totp"
+	"github.com/songquanpeng/one-api/model"
+)
+
+// session keys used between the password step and the code step of a login, and during enrollment
+const (
+	twoFactorPendingId   = "two_factor_pending_id"
+	twoFactorPendingTime = "two_factor_pending_time"
+	twoFactorSetupSecret = "two_factor_setup_secret"
+)
+
+// the code step must be finished within this many seconds after the password step
+const twoFactorLoginTimeout = 5 * 60
+
+// 输错验证码的次数按用户计数而不是按 IP，避免从多个 IP 暴力尝试 6 位验证码；
+// 达到上限后在窗口期内拒绝该用户的验证码登录，需要重新输入密码
+const (
+	twoFactorMaxFailures   = 5
+	twoFactorFailureWindow = 15 * 60
+)
+
+var twoFactorFailureMutex sync.Mutex
+var twoFactorFailureMap = make(map[int][]int64)
+
+func twoFactorFailureKey(userId int) string {
+	return fmt.Sprintf("twoFactorFailures:%d", userId)
+}
+
+// recentTwoFactorFailures 返回窗口期内的失败时间，调用方需持有 twoFactorFailureMutex
+func recentTwoFactorFailures(userId int) []int64 {
+	since := helper.GetTimestamp() - twoFactorFailureWindow
+	var failures []int64
+	for _, t := range twoFactorFailureMap[userId] {
+		if t > since {
+			failures = append(failures, t)
+		}
+	}
+	if len(failures) == 0 {
+		delete(twoFactorFailureMap, userId)
+	}
+	return failures
+}
+
+func isTwoFactorLocked(userId int) bool {
+	if common.RedisEnabled {
+		count, err := common.RDB.Get(context.Background(), twoFactorFailureKey(userId)).Int()
+		return err == nil && count >= twoFactorMaxFailures
+	}
+	twoFactorFailureMutex.Lock()
+	defer twoFactorFailureMutex.Unlock()
+	return len(recentTwoFactorFailures(userId)) >= twoFactorMaxFailures
+}
+
+func recordTwoFactorFailure(userId int) {
+	if common.RedisEnabled {
+		ctx := context.Background()
+		key := twoFactorFailureKey(userId)
+		count, err := common.RDB.Incr(ctx, key).Result()
+		if err == nil && count == 1 {
+			common.RDB.Expire(ctx, key, twoFactorFailureWindow*time.Second)
+		}
+		return
+	}
+	twoFactorFailureMutex.Lock()
+	defer twoFactorFailureMutex.Unlock()
+	twoFactorFailureMap[userId] = append(recentTwoFactorFailures(userId), helper.GetTimestamp())
+}
+
+func clearTwoFactorFailures(userId int) {
+	if common.RedisEnabled {
+		_ = common.RedisDel(twoFactorFailureKey(userId))
+		return
+	}
+	twoFactorFailureMutex.Lock()
+	defer twoFactorFailureMutex.Unlock()
+	delete(twoFactorFailureMap, userId)
+}
+
+type twoFactorCodeRequest struct {
+	Code string `json:"code"`
+}
+
+func bindTwoFactorCode(c *gin.Context) (string, bool) {
+	var req twoFactorCodeRequest
+	if err := c.ShouldBindJSON(&req); err != nil || req.Code == "" {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "请输入验证码",
+		})
+		return "", false
+	}
+	return req.Code, true
+}
+
+// startTwoFactorLogin 密码正确且已启用两步验证时，记下待验证的用户，等待 LoginTwoFactor
+func startTwoFactorLogin(user *model.User, c *gin.Context) {
+	session := sessions.Default(c)
+	session.Set(twoFactorPendingId, user.Id)
+	session.Set(twoFactorPendingTime, helper.GetTimestamp())
+	if err := session.Save(); err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"message": "无法保存会话信息，请重试",
+			"success": false,
+		})
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"message": "",
+		"success": true,
+		"data": gin.H{
+			"require_two_factor": true,
+		},
+	})
+}
+
+// CompleteLogin 密码或第三方账号验证通过后调用，启用了两步验证时先要求输入验证码，否则直接登录
+func CompleteLogin(user *model.User, c *gin.Context) {
+	if user.IsTwoFactorEnabled() {
+		startTwoFactorLogin(user, c)
+		return
+	}
+	SetupLogin(user, c)
+}
+
+func LoginTwoFactor(c *gin.Context) {
+	code, ok := bindTwoFactorCode(c)
+	if !ok {
+		return
+	}
+	session := sessions.Default(c)
+	id, ok := session.Get(twoFactorPendingId).(int)
+	pendingTime, _ := session.Get(twoFactorPendingTime).(int64)
+	if !ok || helper.GetTimestamp()-pendingTime > twoFactorLoginTimeout {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "登录已超时，请重新输入用户名和密码",
+		})
+		return
+	}
+	user, err := model.GetUserById(id, true)
+	if err != nil || user.Status != model.UserStatusEnabled {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "用户名或密码错误，或用户已被封禁",
+		})
+		return
+	}
+	if isTwoFactorLocked(user.Id) {
+		session.Delete(twoFactorPendingId)
+		session.Delete(twoFactorPendingTime)
+		_ = session.Save()
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "验证码错误次数过多，请稍后重新登录",
+		})
+		return
+	}
+	if err := user.VerifyTwoFactor(code); err != nil {
+		recordTwoFactorFailure(user.Id)
+		RecordSecurityEvent(c, user.Id, model.SecurityEventLoginFailed, "two_factor")
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	clearTwoFactorFailures(user.Id)
+	session.Delete(twoFactorPendingId)
+	session.Delete(twoFactorPendingTime)
+	SetupLogin(user, c)
+}
+
+func GetSelfTwoFactor(c *gin.Context) {
+	status, err := model.GetUserTwoFactorStatus(c.GetInt(ctxkey.Id))
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data":    status,
+	})
+}
+
+// SetupSelfTwoFactor 生成新的密钥，确认验证码之前只保存在会话中
+func SetupSelfTwoFactor(c *gin.Context) {
+	user, err := model.GetUserById(c.GetInt(ctxkey.Id), true)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	if user.IsTwoFactorEnabled() {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "已启用两步验证",
+		})
+		return
+	}
+	secret, err := totp.GenerateSecret()
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	session := sessions.Default(c)
+	session.Set(twoFactorSetupSecret, secret)
+	if err := session.Save(); err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "无法保存会话信息，请重试",
+		})
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data": gin.H{
+			"secret": secret,
+			"uri":    totp.URI(config.SystemName, user.Username, secret),
+		},
+	})
+}
+
+func EnableSelfTwoFactor(c *gin.Context) {
+	code, ok := bindTwoFactorCode(c)
+	if !ok {
+		return
+	}
+	session := sessions.Default(c)
+	secret, ok := session.Get(twoFactorSetupSecret).(string)
+	if !ok || secret == "" {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "请先获取新的密钥",
+		})
+		return
+	}
+	step, ok := totp.Validate(secret, code, time.Now())
+	if !ok {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "验证码错误",
+		})
+		return
+	}
+	codes, err := model.EnableUserTwoFactor(c.GetInt(ctxkey.Id), secret, step)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	session.Delete(twoFactorSetupSecret)
+	_ = session.Save()
+	RecordSecurityEvent(c, c.GetInt(ctxkey.Id), model.SecurityEventTwoFactorEnabled, "")
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data": gin.H{
+			"recovery_codes": codes,
+		},
+	})
+}
+
+// verifySelfTwoFactor 关闭两步验证或重新生成恢复码之前，要求输入验证码或恢复码，与登录共用输错次数的限制
+func verifySelfTwoFactor(c *gin.Context) (*model.User, bool) {
+	code, ok := bindTwoFactorCode(c)
+	if !ok {
+		return nil, false
+	}
+	userId := c.GetInt(ctxkey.Id)
+	if isTwoFactorLocked(userId) {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "验证码错误次数过多，请稍后再试",
+		})
+		return nil, false
+	}
+	user, err := model.GetUserById(userId, true)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return nil, false
+	}
+	if err := user.VerifyTwoFactor(code); err != nil {
+		recordTwoFactorFailure(user.Id)
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return nil, false
+	}
+	clearTwoFactorFailures(user.Id)
+	return user, true
+}
+
+func DisableSelfTwoFactor(c *gin.Context) {
+	// refuse before verifying, so a refused admin doesn't use up the code or a recovery code
+	if config.AdminTwoFactorRequiredEnabled && c.GetInt(ctxkey.Role) >= model.RoleAdminUser {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "系统要求管理员启用两步验证，无法关闭",
+		})
+		return
+	}
+	user, ok := verifySelfTwoFactor(c)
+	if !ok {
+		return
+	}
+	if err := model.DisableUserTwoFactor(user.Id); err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	RecordSecurityEvent(c, user.Id, model.SecurityEventTwoFactorDisabled, "")
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+	})
+}
+
+func ResetSelfTwoFactorRecoveryCodes(c *gin.Context) {
+	user, ok := verifySelfTwoFactor(c)
+	if !ok {
+		return
+	}
+	codes, err := model.ResetUserTwoFactorRecoveryCodes(user.Id)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	RecordSecurityEvent(c, user.Id, model.SecurityEventRecoveryCodesReset, "")
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data": gin.H{
+			"recovery_codes": codes,
+		},
+	})
+}
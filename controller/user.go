@@ -6,6 +6,7 @@ import (
 	"github.com/songquanpeng/one-api/common"
 	"github.com/songquanpeng/one-api/common/config"
 	"github.com/songquanpeng/one-api/common/ctxkey"
+	"github.com/songquanpeng/one-api/common/logger"
 	"github.com/songquanpeng/one-api/common/random"
 	"github.com/songquanpeng/one-api/model"
 	"net/http"
@@ -53,23 +54,33 @@ func Login(c *gin.Context) {
 	}
 	err = user.ValidateAndFill()
 	if err != nil {
+		RecordSecurityEvent(c, user.Id, model.SecurityEventLoginFailed, "password")
 		c.JSON(http.StatusOK, gin.H{
 			"message": err.Error(),
 			"success": false,
 		})
 		return
 	}
-	SetupLogin(&user, c)
+	CompleteLogin(&user, c)
 }
 
 // setup session & cookies and then return user info
 func SetupLogin(user *model.User, c *gin.Context) {
+	userSession, err := model.CreateUserSession(user.Id, c.Request.UserAgent(), c.ClientIP())
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"message": "无法保存会话信息，请重试",
+			"success": false,
+		})
+		return
+	}
 	session := sessions.Default(c)
 	session.Set("id", user.Id)
 	session.Set("username", user.Username)
 	session.Set("role", user.Role)
 	session.Set("status", user.Status)
-	err := session.Save()
+	session.Set(ctxkey.SessionKey, userSession.SessionKey)
+	err = session.Save()
 	if err != nil {
 		c.JSON(http.StatusOK, gin.H{
 			"message": "无法保存会话信息，请重试",
@@ -77,12 +88,15 @@ func SetupLogin(user *model.User, c *gin.Context) {
 		})
 		return
 	}
+	RecordSecurityEvent(c, user.Id, model.SecurityEventLogin, loginMethods[c.FullPath()])
 	cleanUser := model.User{
-		Id:          user.Id,
-		Username:    user.Username,
-		DisplayName: user.DisplayName,
-		Role:        user.Role,
-		Status:      user.Status,
+		Id:               user.Id,
+		Username:         user.Username,
+		DisplayName:      user.DisplayName,
+		Role:             user.Role,
+		Status:           user.Status,
+		Language:         user.Language,
+		TwoFactorEnabled: user.IsTwoFactorEnabled(),
 	}
 	c.JSON(http.StatusOK, gin.H{
 		"message": "",
@@ -93,6 +107,11 @@ func SetupLogin(user *model.User, c *gin.Context) {
 
 func Logout(c *gin.Context) {
 	session := sessions.Default(c)
+	if key, ok := session.Get(ctxkey.SessionKey).(string); ok {
+		if err := model.DeleteUserSessionByKey(key); err != nil {
+			logger.SysError("failed to delete user session: " + err.Error())
+		}
+	}
 	session.Clear()
 	err := session.Save()
 	if err != nil {
@@ -256,6 +275,28 @@ func GetUser(c *gin.Context) {
 	return
 }
 
+// getManagedUser 取得管理员要查看或管理的用户，无权管理时直接返回错误响应
+func getManagedUser(c *gin.Context) *model.User {
+	id, _ := strconv.Atoi(c.Param("id"))
+	user, err := model.GetUserById(id, false)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return nil
+	}
+	myRole := c.GetInt(ctxkey.Role)
+	if myRole <= user.Role && myRole != model.RoleRootUser {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "无权管理同级或更高等级的用户",
+		})
+		return nil
+	}
+	return user
+}
+
 func GetUserDashboard(c *gin.Context) {
 	id := c.GetInt(ctxkey.Id)
 	now := time.Now()
@@ -306,6 +347,7 @@ func GenerateAccessToken(c *gin.Context) {
 		})
 		return
 	}
+	RecordSecurityEvent(c, user.Id, model.SecurityEventAccessTokenGenerated, "")
 
 	c.JSON(http.StatusOK, gin.H{
 		"success": true,
@@ -371,6 +413,13 @@ func UpdateUser(c *gin.Context) {
 		})
 		return
 	}
+	// zero values are skipped by Update, so the settings the user manages on their own are left untouched
+	updatedUser.TwoFactorEnabled = false
+	updatedUser.QuotaAlertThreshold = 0
+	updatedUser.DailyQuotaAlertThreshold = 0
+	updatedUser.AlertNotifyBy = ""
+	updatedUser.MessagePusherAddress = ""
+	updatedUser.Language = ""
 	if updatedUser.Password == "" {
 		updatedUser.Password = "$I_LOVE_U" // make Validator happy :)
 	}
@@ -415,6 +464,9 @@ func UpdateUser(c *gin.Context) {
 		})
 		return
 	}
+	if updatePassword {
+		RecordSecurityEvent(c, originUser.Id, model.SecurityEventPasswordChanged, "admin")
+	}
 	if originUser.Quota != updatedUser.Quota {
 		model.RecordLog(originUser.Id, model.LogTypeManage, fmt.Sprintf("管理员将用户额度从 %s修改为 %s", common.LogQuota(originUser.Quota), common.LogQuota(updatedUser.Quota)))
 	}
@@ -464,6 +516,9 @@ func UpdateSelf(c *gin.Context) {
 		})
 		return
 	}
+	if updatePassword {
+		RecordSecurityEvent(c, cleanUser.Id, model.SecurityEventPasswordChanged, "")
+	}
 
 	c.JSON(http.StatusOK, gin.H{
 		"success": true,
@@ -472,6 +527,37 @@ func UpdateSelf(c *gin.Context) {
 	return
 }
 
+// supportedLanguages lists the locales that have a message catalog in the frontend
+var supportedLanguages = map[string]bool{
+	"zh-CN": true,
+	"en":    true,
+}
+
+func UpdateSelfLanguage(c *gin.Context) {
+	var req struct {
+		Language string `json:"language"`
+	}
+	err := json.NewDecoder(c.Request.Body).Decode(&req)
+	if err != nil || !supportedLanguages[req.Language] {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "无效的参数",
+		})
+		return
+	}
+	if err := model.UpdateUserLanguage(c.GetInt(ctxkey.Id), req.Language); err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+	})
+}
+
 func DeleteUser(c *gin.Context) {
 	id, err := strconv.Atoi(c.Param("id"))
 	if err != nil {
@@ -735,6 +821,7 @@ func EmailBind(c *gin.Context) {
 	if user.Role == model.RoleRootUser {
 		config.RootUserEmail = email
 	}
+	RecordSecurityEvent(c, user.Id, model.SecurityEventAccountBound, "email")
 	c.JSON(http.StatusOK, gin.H{
 		"success": true,
 		"message": "",
@@ -0,0 +1,124 @@
+package controller
+
+import (
+	"net/http"
+	"strconv"
+
+	"github.com/gin-contrib/sessions"
+	"github.com/gin-gonic/gin"
+	"github.com/songquanpeng/one-api/common/ctxkey"
+	"github.com/songquanpeng/one-api/model"
+)
+
+func GetSelfSessions(c *gin.Context) {
+	userSessions, err := model.GetUserSessions(c.GetInt(ctxkey.Id), c.GetString(ctxkey.SessionKey))
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data":    userSessions,
+	})
+}
+
+// DeleteSelfSession 退出指定的会话，退出当前会话时下一次请求会要求重新登录
+func DeleteSelfSession(c *gin.Context) {
+	id, _ := strconv.Atoi(c.Param("id"))
+	if err := model.DeleteUserSession(id, c.GetInt(ctxkey.Id)); err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+	})
+}
+
+// DeleteSelfSessions 在所有设备上退出登录，包括当前会话
+func DeleteSelfSessions(c *gin.Context) {
+	if err := model.DeleteUserSessions(c.GetInt(ctxkey.Id)); err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	RecordSecurityEvent(c, c.GetInt(ctxkey.Id), model.SecurityEventSessionsRevoked, "")
+	session := sessions.Default(c)
+	session.Clear()
+	_ = session.Save()
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+	})
+}
+
+func GetUserSessions(c *gin.Context) {
+	user := getManagedUser(c)
+	if user == nil {
+		return
+	}
+	currentKey := ""
+	if user.Id == c.GetInt(ctxkey.Id) {
+		currentKey = c.GetString(ctxkey.SessionKey)
+	}
+	userSessions, err := model.GetUserSessions(user.Id, currentKey)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data":    userSessions,
+	})
+}
+
+func DeleteUserSession(c *gin.Context) {
+	user := getManagedUser(c)
+	if user == nil {
+		return
+	}
+	sessionId, _ := strconv.Atoi(c.Param("session_id"))
+	if err := model.DeleteUserSession(sessionId, user.Id); err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+	})
+}
+
+func DeleteUserSessions(c *gin.Context) {
+	user := getManagedUser(c)
+	if user == nil {
+		return
+	}
+	if err := model.DeleteUserSessions(user.Id); err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	RecordSecurityEvent(c, user.Id, model.SecurityEventSessionsRevoked, "admin")
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+	})
+}
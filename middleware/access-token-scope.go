@@ -0,0 +1,76 @@
+package middleware
+
+import (
+	"net/http"
+	"strings"
+
+	"github.com/gin-gonic/gin"
+	"github.com/songquanpeng/one-api/model"
+)
+
+// accessTokenRoutes 访问令牌可以访问的路由及所需的权限，按顺序匹配第一个相同或以其为前缀的路由。
+// read 用于 GET 请求，write 用于其他请求，为空表示不允许。
+// 未列出的路由（修改密码、两步验证、访问令牌本身等）只能登录后访问。
+var accessTokenRoutes = []struct {
+	path  string
+	read  string
+	write string
+}{
+	{"/api/models", model.ScopeAccountRead, ""},
+	{"/api/user/self", model.ScopeAccountRead, ""},
+	{"/api/user/dashboard", model.ScopeAccountRead, ""},
+	{"/api/user/available_models", model.ScopeAccountRead, ""},
+	{"/api/user/pricing", model.ScopeAccountRead, ""},
+	{"/api/user/quota_forecast", model.ScopeAccountRead, ""},
+	{"/api/user/", model.ScopeUserRead, model.ScopeUserWrite},
+	{"/api/user/search", model.ScopeUserRead, ""},
+	{"/api/user/manage", "", model.ScopeUserWrite},
+	{"/api/user/:id", model.ScopeUserRead, model.ScopeUserWrite},
+	{"/api/topup", "", model.ScopeUserWrite},
+	{"/api/overview", model.ScopeLogRead, ""},
+	{"/api/token", model.ScopeTokenRead, model.ScopeTokenWrite},
+	{"/api/log", model.ScopeLogRead, model.ScopeLogWrite},
+	// 测试渠道与更新余额虽然是 GET 请求，但会修改渠道状态
+	{"/api/channel/test", model.ScopeChannelWrite, model.ScopeChannelWrite},
+	{"/api/channel/update_balance", model.ScopeChannelWrite, model.ScopeChannelWrite},
+	// 导出会一次性返回所有渠道的密钥与配置
+	{"/api/channel/export", model.ScopeChannelWrite, model.ScopeChannelWrite},
+	{"/api/channel", model.ScopeChannelRead, model.ScopeChannelWrite},
+	{"/api/group", model.ScopeChannelRead, ""},
+	{"/api/redemption", model.ScopeRedemptionRead, model.ScopeRedemptionWrite},
+	{"/api/option", model.ScopeOptionRead, model.ScopeOptionWrite},
+}
+
+// requiredAccessTokenScope 返回当前路由要求访问令牌具有的权限，为空表示访问令牌不能访问
+func requiredAccessTokenScope(method string, fullPath string) string {
+	for _, route := range accessTokenRoutes {
+		if fullPath != route.path && !strings.HasPrefix(fullPath, route.path+"/") {
+			continue
+		}
+		if method == http.MethodGet || method == http.MethodHead {
+			return route.read
+		}
+		return route.write
+	}
+	return ""
+}
+
+// checkAccessTokenScope 使用访问令牌访问时检查权限范围，不满足时返回错误响应
+func checkAccessTokenScope(c *gin.Context, token *model.AccessToken) bool {
+	scope := requiredAccessTokenScope(c.Request.Method, c.FullPath())
+	if scope == "" {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "无权进行此操作，访问令牌不能访问该接口",
+		})
+		return false
+	}
+	if !token.HasScope(scope) {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "无权进行此操作，访问令牌缺少 " + scope + " 权限",
+		})
+		return false
+	}
+	return true
+}
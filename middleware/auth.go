@@ -5,7 +5,9 @@ import (
 	"github.com/gin-contrib/sessions"
 	"github.com/gin-gonic/gin"
 	"github.com/songquanpeng/one-api/common/blacklist"
+	"github.com/songquanpeng/one-api/common/config"
 	"github.com/songquanpeng/one-api/common/ctxkey"
+	"github.com/songquanpeng/one-api/common/helper"
 	"github.com/songquanpeng/one-api/common/network"
 	"github.com/songquanpeng/one-api/model"
 	"net/http"
@@ -18,6 +20,19 @@ func authHelper(c *gin.Context, minRole int) {
 	role := session.Get("role")
 	id := session.Get("id")
 	status := session.Get("status")
+	sessionKey, _ := session.Get(ctxkey.SessionKey).(string)
+	var scopedToken *model.AccessToken
+	if username != nil && !model.ValidateUserSession(id.(int), sessionKey, c.ClientIP()) {
+		// 会话已在其他地方退出或已过期，旧版本登录的会话也需要重新登录
+		session.Clear()
+		_ = session.Save()
+		c.JSON(http.StatusUnauthorized, gin.H{
+			"success": false,
+			"message": "未登录或登录已过期，请重新登录",
+		})
+		c.Abort()
+		return
+	}
 	if username == nil {
 		// Check access token
 		accessToken := c.Request.Header.Get("Authorization")
@@ -30,6 +45,9 @@ func authHelper(c *gin.Context, minRole int) {
 			return
 		}
 		user := model.ValidateAccessToken(accessToken)
+		if user == nil {
+			scopedToken, user = model.ValidateScopedAccessToken(accessToken)
+		}
 		if user != nil && user.Username != "" {
 			// Token is valid
 			username = user.Username
@@ -64,9 +82,22 @@ func authHelper(c *gin.Context, minRole int) {
 		c.Abort()
 		return
 	}
+	if minRole >= model.RoleAdminUser && config.AdminTwoFactorRequiredEnabled && !model.CacheIsUserTwoFactorEnabled(id.(int)) {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "管理员须先在个人设置中启用两步验证",
+		})
+		c.Abort()
+		return
+	}
+	if scopedToken != nil && !checkAccessTokenScope(c, scopedToken) {
+		c.Abort()
+		return
+	}
 	c.Set("username", username)
 	c.Set("role", role)
 	c.Set("id", id)
+	c.Set(ctxkey.SessionKey, sessionKey)
 	c.Next()
 }
 
@@ -132,6 +163,9 @@ func TokenAuth() func(c *gin.Context) {
 		c.Set(ctxkey.Id, token.UserId)
 		c.Set(ctxkey.TokenId, token.Id)
 		c.Set(ctxkey.TokenName, token.Name)
+		c.Set(ctxkey.TokenRateLimit, token.RateLimit())
+		c.Set(ctxkey.TokenHasBudget, token.HasBudget())
+		c.Request = c.Request.WithContext(helper.WithRelayClient(ctx, token.Id, c.ClientIP()))
 		if len(parts) > 1 {
 			if model.IsAdmin(token.UserId) {
 				c.Set(ctxkey.SpecificChannelId, parts[1])
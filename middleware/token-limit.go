@@ -0,0 +1,63 @@
+package middleware
+
+import (
+	"context"
+	"fmt"
+	"net/http"
+	"strconv"
+	"time"
+
+	"github.com/gin-gonic/gin"
+	"github.com/songquanpeng/one-api/common/ctxkey"
+	"github.com/songquanpeng/one-api/common/helper"
+	"github.com/songquanpeng/one-api/common/logger"
+	"github.com/songquanpeng/one-api/model"
+)
+
+// TokenRateLimit applies the per-token rpm, tpm and concurrency limits, must be used after TokenAuth
+func TokenRateLimit() func(c *gin.Context) {
+	return func(c *gin.Context) {
+		limit, ok := c.Get(ctxkey.TokenRateLimit)
+		if !ok {
+			c.Next()
+			return
+		}
+		tokenLimit := limit.(model.TokenRateLimit)
+		if !tokenLimit.Enabled() {
+			c.Next()
+			return
+		}
+		tokenId := c.GetInt(ctxkey.TokenId)
+		exceeded, err := model.AcquireTokenRateLimit(tokenId, tokenLimit)
+		if err != nil {
+			// don't block the requests when the counter is unavailable
+			logger.Error(c.Request.Context(), "failed to check token rate limit: "+err.Error())
+			c.Next()
+			return
+		}
+		if exceeded != "" {
+			var reason string
+			switch exceeded {
+			case model.TokenLimitRpm:
+				reason = fmt.Sprintf("令牌 %s 超出每分钟请求数限制（%d）", c.GetString(ctxkey.TokenName), tokenLimit.Rpm)
+			case model.TokenLimitTpm:
+				reason = fmt.Sprintf("令牌 %s 超出每分钟 Token 数限制（%d）", c.GetString(ctxkey.TokenName), tokenLimit.Tpm)
+			default:
+				reason = fmt.Sprintf("令牌 %s 超出最大并发请求数限制（%d）", c.GetString(ctxkey.TokenName), tokenLimit.Concurrency)
+			}
+			if exceeded != model.TokenLimitConcurrency {
+				c.Header("Retry-After", strconv.Itoa(60-time.Now().Second()))
+			}
+			if model.MarkTokenRateLimitLogged(tokenId, exceeded) {
+				// the request context is canceled once the response is written, so the log gets a detached copy
+				ctx := context.WithValue(context.Background(), helper.RequestIdKey, c.GetString(helper.RequestIdKey))
+				ctx = helper.WithRelayClient(ctx, tokenId, c.ClientIP())
+				go model.RecordRateLimitLog(ctx, c.GetInt(ctxkey.Id), c.GetString(ctxkey.TokenName), c.GetString(ctxkey.RequestModel), reason)
+			}
+			abortWithMessage(c, http.StatusTooManyRequests, reason)
+			return
+		}
+		defer model.ReleaseTokenConcurrency(tokenId)
+		c.Next()
+	}
+}
@@ -106,3 +106,34 @@ func GetGroupModels(ctx context.Context, group string) ([]string, error) {
 	sort.Strings(models)
 	return models, err
 }
+
+// GetGroupModelChannelTypes returns the types of the enabled channels serving each model of the group,
+// the price of a model depends on the type of the channel that serves the request.
+func GetGroupModelChannelTypes(group string) (map[string][]int, error) {
+	groupCol := "`group`"
+	trueVal := "1"
+	if common.UsingPostgreSQL {
+		groupCol = `"group"`
+		trueVal = "true"
+	}
+	var rows []struct {
+		Model string
+		Type  int
+	}
+	err := DB.Model(&Ability{}).
+		Distinct("abilities.model", "channels.type").
+		Joins("JOIN channels ON channels.id = abilities.channel_id").
+		Where("abilities."+groupCol+" = ? and abilities.enabled = "+trueVal, group).
+		Scan(&rows).Error
+	if err != nil {
+		return nil, err
+	}
+	channelTypes := make(map[string][]int)
+	for _, row := range rows {
+		channelTypes[row.Model] = append(channelTypes[row.Model], row.Type)
+	}
+	for _, types := range channelTypes {
+		sort.Ints(types)
+	}
+	return channelTypes, nil
+}
@@ -0,0 +1,168 @@
+package model
+
+import (
+	"crypto/sha256"
+	"encoding/hex"
+	"errors"
+	"fmt"
+	"strings"
+
+	"github.com/songquanpeng/one-api/common/helper"
+	"github.com/songquanpeng/one-api/common/logger"
+	"github.com/songquanpeng/one-api/common/random"
+)
+
+// 访问令牌的权限范围，:write 同时包含对应的 :read
+const (
+	ScopeAccountRead     = "account:read"
+	ScopeTokenRead       = "token:read"
+	ScopeTokenWrite      = "token:write"
+	ScopeLogRead         = "log:read"
+	ScopeLogWrite        = "log:write"
+	ScopeChannelRead     = "channel:read"
+	ScopeChannelWrite    = "channel:write"
+	ScopeRedemptionRead  = "redemption:read"
+	ScopeRedemptionWrite = "redemption:write"
+	ScopeUserRead        = "user:read"
+	ScopeUserWrite       = "user:write"
+	ScopeOptionRead      = "option:read"
+	ScopeOptionWrite     = "option:write"
+)
+
+// accessTokenScopeRoles 每个权限范围要求的最低角色，创建令牌时不能选择高于自己角色的权限
+var accessTokenScopeRoles = map[string]int{
+	ScopeAccountRead:     RoleCommonUser,
+	ScopeTokenRead:       RoleCommonUser,
+	ScopeTokenWrite:      RoleCommonUser,
+	ScopeLogRead:         RoleCommonUser,
+	ScopeLogWrite:        RoleAdminUser,
+	ScopeChannelRead:     RoleAdminUser,
+	ScopeChannelWrite:    RoleAdminUser,
+	ScopeRedemptionRead:  RoleAdminUser,
+	ScopeRedemptionWrite: RoleAdminUser,
+	ScopeUserRead:        RoleAdminUser,
+	ScopeUserWrite:       RoleAdminUser,
+	ScopeOptionRead:      RoleRootUser,
+	ScopeOptionWrite:     RoleRootUser,
+}
+
+// MaxAccessTokensPerUser 每个用户最多可以创建的访问令牌数量
+const MaxAccessTokensPerUser = 20
+
+// accessTokenTouchInterval 最近使用时间的最小更新间隔，避免每个请求都写数据库
+const accessTokenTouchInterval = 60
+
+// AccessToken 带权限范围的访问令牌，与用户表中唯一的 access_token 不同，只保存令牌的 sha256
+type AccessToken struct {
+	Id           int    `json:"id"`
+	UserId       int    `json:"user_id" gorm:"index"`
+	Name         string `json:"name" gorm:"type:varchar(64)"`
+	TokenHash    string `json:"-" gorm:"type:char(64);uniqueIndex"`
+	Scopes       string `json:"scopes" gorm:"type:varchar(512)"` // 逗号分隔
+	CreatedTime  int64  `json:"created_time" gorm:"bigint"`
+	ExpiredTime  int64  `json:"expired_time" gorm:"bigint;default:-1"` // -1 means never expired
+	LastUsedTime int64  `json:"last_used_time" gorm:"bigint"`
+}
+
+func hashAccessToken(token string) string {
+	sum := sha256.Sum256([]byte(token))
+	return hex.EncodeToString(sum[:])
+}
+
+// NormalizeAccessTokenScopes 去重并检查权限范围是否存在、是否超出用户的角色
+func NormalizeAccessTokenScopes(scopes []string, role int) (string, error) {
+	seen := make(map[string]bool)
+	var result []string
+	for _, scope := range scopes {
+		scope = strings.TrimSpace(scope)
+		if scope == "" || seen[scope] {
+			continue
+		}
+		minRole, ok := accessTokenScopeRoles[scope]
+		if !ok {
+			return "", fmt.Errorf("未知的权限范围：%s", scope)
+		}
+		if role < minRole {
+			return "", fmt.Errorf("无权创建具有 %s 权限的令牌", scope)
+		}
+		seen[scope] = true
+		result = append(result, scope)
+	}
+	if len(result) == 0 {
+		return "", errors.New("请至少选择一个权限范围")
+	}
+	return strings.Join(result, ","), nil
+}
+
+// HasScope 令牌是否具有 scope 权限，xxx:write 同时满足 xxx:read
+func (token *AccessToken) HasScope(scope string) bool {
+	write := strings.TrimSuffix(scope, ":read") + ":write"
+	for _, item := range strings.Split(token.Scopes, ",") {
+		if item == scope || item == write {
+			return true
+		}
+	}
+	return false
+}
+
+func GetUserAccessTokens(userId int) (tokens []*AccessToken, err error) {
+	err = DB.Where("user_id = ?", userId).Order("id desc").Find(&tokens).Error
+	return tokens, err
+}
+
+// Insert 生成令牌并保存，返回只显示一次的令牌原文
+func (token *AccessToken) Insert() (string, error) {
+	var count int64
+	if err := DB.Model(&AccessToken{}).Where("user_id = ?", token.UserId).Count(&count).Error; err != nil {
+		return "", err
+	}
+	if count >= MaxAccessTokensPerUser {
+		return "", fmt.Errorf("最多只能创建 %d 个访问令牌", MaxAccessTokensPerUser)
+	}
+	key := random.GetUUID()
+	token.TokenHash = hashAccessToken(key)
+	token.CreatedTime = helper.GetTimestamp()
+	token.LastUsedTime = 0
+	if err := DB.Create(token).Error; err != nil {
+		return "", err
+	}
+	return key, nil
+}
+
+func DeleteUserAccessToken(id int, userId int) error {
+	result := DB.Where("id = ? and user_id = ?", id, userId).Delete(&AccessToken{})
+	if result.Error != nil {
+		return result.Error
+	}
+	if result.RowsAffected == 0 {
+		return errors.New("访问令牌不存在")
+	}
+	return nil
+}
+
+// ValidateScopedAccessToken 校验访问令牌，有效时返回令牌及其所属用户，并按间隔更新最近使用时间
+func ValidateScopedAccessToken(key string) (*AccessToken, *User) {
+	key = strings.TrimPrefix(key, "Bearer ")
+	if key == "" {
+		return nil, nil
+	}
+	token := AccessToken{}
+	if err := DB.Where("token_hash = ?", hashAccessToken(key)).First(&token).Error; err != nil {
+		return nil, nil
+	}
+	now := helper.GetTimestamp()
+	if token.ExpiredTime != -1 && token.ExpiredTime < now {
+		return nil, nil
+	}
+	user, err := GetUserById(token.UserId, false)
+	if err != nil {
+		return nil, nil
+	}
+	if now-token.LastUsedTime >= accessTokenTouchInterval {
+		err = DB.Model(&token).Update("last_used_time", now).Error
+		if err != nil {
+			logger.SysError("failed to update access token last used time: " + err.Error())
+		}
+	}
+	return &token, user
+}
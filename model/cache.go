@@ -23,21 +23,119 @@ var (
 	UserId2QuotaCacheSeconds  = config.SyncFrequency
 	UserId2StatusCacheSeconds = config.SyncFrequency
 	GroupModelsCacheSeconds   = config.SyncFrequency
+	QuotaAlertCacheSeconds    = config.SyncFrequency
 )
 
-func CacheGetTokenByKey(key string) (*Token, error) {
-	keyCol := "`key`"
-	if common.UsingPostgreSQL {
-		keyCol = `"key"`
+// memoryCacheItem 未启用 Redis 时 cacheGet/cacheSet 使用的进程内缓存，多实例部署时各实例的缓存相互独立
+type memoryCacheItem struct {
+	value     string
+	expiresAt int64
+	storedAt  int64
+}
+
+// memoryCacheMaxSize 超过后先清理过期的缓存，仍然超过时按写入时间清理最早的缓存，直到降至 memoryCacheEvictTo
+const memoryCacheMaxSize = 10000
+const memoryCacheEvictTo = memoryCacheMaxSize * 9 / 10
+
+var memoryCache = make(map[string]memoryCacheItem)
+var memoryCacheLock sync.Mutex
+
+// cacheGet 读取 Redis 缓存，未启用 Redis 时读取进程内缓存
+func cacheGet(key string) (string, bool) {
+	if common.RedisEnabled {
+		value, err := common.RedisGet(key)
+		return value, err == nil
+	}
+	memoryCacheLock.Lock()
+	defer memoryCacheLock.Unlock()
+	item, ok := memoryCache[key]
+	if !ok {
+		return "", false
+	}
+	if item.expiresAt <= time.Now().Unix() {
+		delete(memoryCache, key)
+		return "", false
+	}
+	return item.value, true
+}
+
+func cacheSet(key string, value string, seconds int) {
+	if common.RedisEnabled {
+		if err := common.RedisSet(key, value, time.Duration(seconds)*time.Second); err != nil {
+			logger.SysError("Redis set " + key + " error: " + err.Error())
+		}
+		return
+	}
+	memoryCacheLock.Lock()
+	defer memoryCacheLock.Unlock()
+	now := time.Now().Unix()
+	if len(memoryCache) >= memoryCacheMaxSize {
+		for k, item := range memoryCache {
+			if item.expiresAt <= now {
+				delete(memoryCache, k)
+			}
+		}
+		if len(memoryCache) >= memoryCacheMaxSize {
+			evictOldestMemoryCache()
+		}
+	}
+	memoryCache[key] = memoryCacheItem{value: value, expiresAt: now + int64(seconds), storedAt: time.Now().UnixNano()}
+}
+
+// evictOldestMemoryCache 删除最早写入的缓存，调用者需持有 memoryCacheLock
+func evictOldestMemoryCache() {
+	keys := make([]string, 0, len(memoryCache))
+	for k := range memoryCache {
+		keys = append(keys, k)
+	}
+	sort.Slice(keys, func(i, j int) bool {
+		return memoryCache[keys[i]].storedAt < memoryCache[keys[j]].storedAt
+	})
+	for _, k := range keys[:len(keys)-memoryCacheEvictTo] {
+		delete(memoryCache, k)
 	}
+}
+
+func cacheDel(key string) {
+	if common.RedisEnabled {
+		if err := common.RedisDel(key); err != nil {
+			logger.SysError("Redis del " + key + " error: " + err.Error())
+		}
+		return
+	}
+	memoryCacheLock.Lock()
+	defer memoryCacheLock.Unlock()
+	delete(memoryCache, key)
+}
+
+// cacheTake 读取并删除缓存，并发调用时只有一个调用者能取到值
+func cacheTake(key string) (string, bool) {
+	if common.RedisEnabled {
+		value, err := common.RedisGetDel(key)
+		return value, err == nil
+	}
+	memoryCacheLock.Lock()
+	defer memoryCacheLock.Unlock()
+	item, ok := memoryCache[key]
+	if !ok {
+		return "", false
+	}
+	delete(memoryCache, key)
+	if item.expiresAt <= time.Now().Unix() {
+		return "", false
+	}
+	return item.value, true
+}
+
+func CacheGetTokenByKey(key string) (*Token, error) {
 	var token Token
 	if !common.RedisEnabled {
-		err := DB.Where(keyCol+" = ?", key).First(&token).Error
+		token, err := getTokenByKey(key)
 		return &token, err
 	}
 	tokenObjectString, err := common.RedisGet(fmt.Sprintf("token:%s", key))
 	if err != nil {
-		err := DB.Where(keyCol+" = ?", key).First(&token).Error
+		token, err = getTokenByKey(key)
 		if err != nil {
 			return nil, err
 		}
@@ -148,6 +246,24 @@ func CacheIsUserEnabled(userId int) (bool, error) {
 	return userEnabled, err
 }
 
+func userTwoFactorCacheKey(userId int) string {
+	return fmt.Sprintf("user_two_factor:%d", userId)
+}
+
+// CacheIsUserTwoFactorEnabled 缓存 IsUserTwoFactorEnabled 的结果，启用或关闭两步验证时清除
+func CacheIsUserTwoFactorEnabled(userId int) bool {
+	if value, ok := cacheGet(userTwoFactorCacheKey(userId)); ok {
+		return value == "1"
+	}
+	enabled := IsUserTwoFactorEnabled(userId)
+	value := "0"
+	if enabled {
+		value = "1"
+	}
+	cacheSet(userTwoFactorCacheKey(userId), value, UserId2StatusCacheSeconds)
+	return enabled
+}
+
 func CacheGetGroupModels(ctx context.Context, group string) ([]string, error) {
 	if !common.RedisEnabled {
 		return GetGroupModels(ctx, group)
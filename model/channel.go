@@ -82,6 +82,17 @@ func GetChannelById(id int, selectAll bool) (*Channel, error) {
 	return &channel, err
 }
 
+// GetChannelsByIds 返回包含密钥在内的完整渠道信息，ids 为空时返回全部渠道
+func GetChannelsByIds(ids []int) ([]*Channel, error) {
+	var channels []*Channel
+	query := DB.Order("id desc")
+	if len(ids) > 0 {
+		query = query.Where("id IN ?", ids)
+	}
+	err := query.Find(&channels).Error
+	return channels, err
+}
+
 func BatchInsertChannels(channels []Channel) error {
 	var err error
 	err = DB.Create(&channels).Error
@@ -172,6 +183,10 @@ func (channel *Channel) Delete() error {
 		return err
 	}
 	err = channel.DeleteAbilities()
+	if err != nil {
+		return err
+	}
+	err = DeleteChannelHealthByChannelId(channel.Id)
 	return err
 }
 
@@ -187,6 +202,23 @@ func (channel *Channel) LoadConfig() (ChannelConfig, error) {
 	return cfg, nil
 }
 
+// CountChannelsByStatus returns the number of channels of each status
+func CountChannelsByStatus() (map[int]int64, error) {
+	var rows []struct {
+		Status int
+		Count  int64
+	}
+	err := DB.Model(&Channel{}).Select("status, count(1) as count").Group("status").Scan(&rows).Error
+	if err != nil {
+		return nil, err
+	}
+	counts := make(map[int]int64, len(rows))
+	for _, row := range rows {
+		counts[row.Status] = row.Count
+	}
+	return counts, nil
+}
+
 func UpdateChannelStatusById(id int, status int) {
 	err := UpdateAbilityStatus(id, status == ChannelStatusEnabled)
 	if err != nil {
@@ -0,0 +1,143 @@
+package model
+
+import (
+	"fmt"
+	"strings"
+
+	"github.com/songquanpeng/one-api/common/config"
+	"github.com/songquanpeng/one-api/common/helper"
+	"github.com/songquanpeng/one-api/common/logger"
+	"gorm.io/gorm"
+)
+
+// ChannelHealth 记录一次渠道测试结果或一次自动启用/禁用事件，用于在渠道列表中展示健康历史
+type ChannelHealth struct {
+	Id           int    `json:"id"`
+	ChannelId    int    `json:"channel_id" gorm:"index:idx_channel_health_channel_created,priority:1"`
+	CreatedAt    int64  `json:"created_at" gorm:"bigint;index:idx_channel_health_channel_created,priority:2"`
+	Type         int    `json:"type"`
+	ResponseTime int64  `json:"response_time"` // in milliseconds
+	ModelName    string `json:"model_name" gorm:"default:''"`
+	Message      string `json:"message" gorm:"type:text"`
+}
+
+const (
+	ChannelHealthTypeUnknown = iota
+	ChannelHealthTypeTestSucceeded
+	ChannelHealthTypeTestFailed
+	ChannelHealthTypeAutoDisabled
+	ChannelHealthTypeAutoEnabled
+)
+
+const (
+	DefaultChannelHealthLimit = 50
+	MaxChannelHealthLimit     = 200
+)
+
+func RecordChannelHealth(channelId int, healthType int, responseTime int64, modelName string, message string) {
+	health := &ChannelHealth{
+		ChannelId:    channelId,
+		CreatedAt:    helper.GetTimestamp(),
+		Type:         healthType,
+		ResponseTime: responseTime,
+		ModelName:    modelName,
+		Message:      message,
+	}
+	err := DB.Create(health).Error
+	if err != nil {
+		logger.SysError("failed to record channel health: " + err.Error())
+		return
+	}
+	pruneChannelHealth(channelId, health.CreatedAt)
+}
+
+// pruneChannelHealth 删除渠道超过保留天数的健康记录，按 (channel_id, created_at) 索引删除
+func pruneChannelHealth(channelId int, now int64) {
+	if config.ChannelHealthRetentionDays <= 0 {
+		return
+	}
+	expiredBefore := now - int64(config.ChannelHealthRetentionDays)*24*3600
+	err := DB.Where("channel_id = ? and created_at < ?", channelId, expiredBefore).Delete(&ChannelHealth{}).Error
+	if err != nil {
+		logger.SysError("failed to prune channel health: " + err.Error())
+	}
+}
+
+// RecordChannelTestResult 根据测试是否出错记录成功或失败事件
+func RecordChannelTestResult(channelId int, responseTime int64, modelName string, err error) {
+	if err != nil {
+		RecordChannelHealth(channelId, ChannelHealthTypeTestFailed, responseTime, modelName, err.Error())
+		return
+	}
+	RecordChannelHealth(channelId, ChannelHealthTypeTestSucceeded, responseTime, modelName, "")
+}
+
+// GetChannelHealthHistory 按时间倒序返回渠道最近的健康记录
+func GetChannelHealthHistory(channelId int, limit int) (histories []*ChannelHealth, err error) {
+	if limit <= 0 {
+		limit = DefaultChannelHealthLimit
+	}
+	if limit > MaxChannelHealthLimit {
+		limit = MaxChannelHealthLimit
+	}
+	err = DB.Where("channel_id = ?", channelId).Order("id desc").Limit(limit).Find(&histories).Error
+	return histories, err
+}
+
+// ChannelTestStat 汇总一个渠道在一段时间内的测试结果
+type ChannelTestStat struct {
+	ChannelId       int     `json:"channel_id" gorm:"column:channel_id"`
+	Tests           int64   `json:"tests" gorm:"column:tests"`
+	Failures        int64   `json:"failures" gorm:"column:failures"`
+	AvgResponseTime float64 `json:"avg_response_time" gorm:"column:avg_response_time"` // 成功测试的平均耗时，毫秒
+}
+
+func channelTestQuery(startTimestamp int64, endTimestamp int64) *gorm.DB {
+	return DB.Model(&ChannelHealth{}).
+		Where("type in ?", []int{ChannelHealthTypeTestSucceeded, ChannelHealthTypeTestFailed}).
+		Where("created_at >= ? and created_at <= ?", startTimestamp, endTimestamp)
+}
+
+// GetChannelTestStats 按渠道统计时间范围内的测试次数、失败次数与平均耗时
+func GetChannelTestStats(startTimestamp int64, endTimestamp int64) (stats []*ChannelTestStat, err error) {
+	err = channelTestQuery(startTimestamp, endTimestamp).
+		Select(fmt.Sprintf("channel_id, count(1) as tests, sum(case when type = %d then 1 else 0 end) as failures, "+
+			"coalesce(avg(case when type = %d then response_time end), 0) as avg_response_time",
+			ChannelHealthTypeTestFailed, ChannelHealthTypeTestSucceeded)).
+		Group("channel_id").
+		Scan(&stats).Error
+	return stats, err
+}
+
+// GetChannelLatencyDistribution 统计成功测试的耗时分布，bounds 为递增的区间上界（毫秒），
+// 返回 len(bounds)+1 个计数，最后一个为超过最大上界的次数
+func GetChannelLatencyDistribution(startTimestamp int64, endTimestamp int64, bounds []int64) ([]int64, error) {
+	cases := make([]string, 0, len(bounds))
+	for i, bound := range bounds {
+		cases = append(cases, fmt.Sprintf("when response_time <= %d then %d", bound, i))
+	}
+	bucket := fmt.Sprintf("case %s else %d end", strings.Join(cases, " "), len(bounds))
+	var rows []struct {
+		Bucket int   `gorm:"column:bucket"`
+		Count  int64 `gorm:"column:count"`
+	}
+	err := channelTestQuery(startTimestamp, endTimestamp).
+		Where("type = ?", ChannelHealthTypeTestSucceeded).
+		Select(bucket + " as bucket, count(1) as count").
+		Group("bucket").
+		Scan(&rows).Error
+	if err != nil {
+		return nil, err
+	}
+	counts := make([]int64, len(bounds)+1)
+	for _, row := range rows {
+		if row.Bucket >= 0 && row.Bucket < len(counts) {
+			counts[row.Bucket] = row.Count
+		}
+	}
+	return counts, nil
+}
+
+func DeleteChannelHealthByChannelId(channelId int) error {
+	return DB.Where("channel_id = ?", channelId).Delete(&ChannelHealth{}).Error
+}
@@ -0,0 +1,122 @@
+package model
+
+import (
+	"encoding/json"
+	"fmt"
+	"regexp"
+	"strings"
+
+	"github.com/songquanpeng/one-api/common/config"
+	"github.com/songquanpeng/one-api/common/logger"
+)
+
+// ClientTemplate 令牌列表中“复制”与“聊天”菜单里的一个客户端，Url 中的占位符：
+// {key} 为带 sk- 前缀的令牌，{server} 为站点地址，{server_encoded} 为 URL 编码后的站点地址
+type ClientTemplate struct {
+	Name string `json:"name"`
+	Url  string `json:"url"`
+}
+
+const maxClientTemplates = 50
+
+// clientTemplateScheme 匹配链接开头的协议名，见 RFC 3986
+var clientTemplateScheme = regexp.MustCompile(`^([A-Za-z][A-Za-z0-9+.-]*):`)
+
+// blockedClientTemplateSchemes 会在当前页面中执行脚本或内嵌内容，不能用作客户端链接
+var blockedClientTemplateSchemes = map[string]bool{
+	"javascript": true,
+	"data":       true,
+	"vbscript":   true,
+}
+
+var ClientTemplates = []ClientTemplate{
+	{Name: nextWebClientTemplateName, Url: `https://app.nextchat.dev/#/?settings={"key":"{key}","url":"{server}"}`},
+	{Name: "BotGem", Url: "ama://set-api-key?server={server_encoded}&key={key}"},
+	{Name: "OpenCat", Url: "opencat://team/join?domain={server_encoded}&token={key}"},
+	{Name: "LobeChat", Url: `https://chat-preview.lobehub.com/?settings={"keyVaults":{"openai":{"apiKey":"{key}","baseURL":"{server}/v1"}}}`},
+}
+
+const nextWebClientTemplateName = "ChatGPT Next Web"
+
+func ClientTemplates2JSONString() string {
+	jsonBytes, err := json.Marshal(ClientTemplates)
+	if err != nil {
+		logger.SysError("error marshalling client templates: " + err.Error())
+	}
+	return string(jsonBytes)
+}
+
+// ParseClientTemplates 解析并检查客户端模板：名称与链接不能为空，名称不能重复，链接必须包含 {key}，
+// 并且以 http(s) 或客户端自己的协议开头
+func ParseClientTemplates(jsonStr string) ([]ClientTemplate, error) {
+	var templates []ClientTemplate
+	if err := json.Unmarshal([]byte(jsonStr), &templates); err != nil {
+		return nil, fmt.Errorf("客户端模板不是有效的 JSON 数组")
+	}
+	if templates == nil {
+		templates = []ClientTemplate{}
+	}
+	if len(templates) > maxClientTemplates {
+		return nil, fmt.Errorf("客户端模板最多 %d 个", maxClientTemplates)
+	}
+	names := make(map[string]bool)
+	for i := range templates {
+		templates[i].Name = strings.TrimSpace(templates[i].Name)
+		templates[i].Url = strings.TrimSpace(templates[i].Url)
+		template := templates[i]
+		if template.Name == "" || template.Url == "" {
+			return nil, fmt.Errorf("第 %d 个客户端模板的名称或链接为空", i+1)
+		}
+		if names[template.Name] {
+			return nil, fmt.Errorf("客户端模板名称重复：%s", template.Name)
+		}
+		names[template.Name] = true
+		if !strings.Contains(template.Url, "{key}") {
+			return nil, fmt.Errorf("客户端模板 %s 的链接中没有 {key}", template.Name)
+		}
+		match := clientTemplateScheme.FindStringSubmatch(template.Url)
+		if match == nil || blockedClientTemplateSchemes[strings.ToLower(match[1])] {
+			return nil, fmt.Errorf("客户端模板 %s 的链接必须以 http(s):// 或客户端的协议开头", template.Name)
+		}
+	}
+	return templates, nil
+}
+
+// migrateClientTemplates 在数据库中还没有客户端模板时写入一次默认模板，
+// 旧版本中设置了聊天链接 ChatLink 的站点，其 ChatGPT Next Web 模板改用该链接
+func migrateClientTemplates() {
+	if !config.IsMasterNode {
+		return
+	}
+	var options []Option
+	result := DB.Where(&Option{Key: "ClientTemplates"}).Limit(1).Find(&options)
+	if result.Error != nil || len(options) > 0 {
+		return
+	}
+	templates := make([]ClientTemplate, len(ClientTemplates))
+	copy(templates, ClientTemplates)
+	if chatLink := strings.TrimSuffix(strings.TrimSpace(config.ChatLink), "/"); chatLink != "" {
+		for i := range templates {
+			if templates[i].Name == nextWebClientTemplateName {
+				templates[i].Url = chatLink + `/#/?settings={"key":"{key}","url":"{server}"}`
+			}
+		}
+	}
+	jsonBytes, err := json.Marshal(templates)
+	if err != nil {
+		logger.SysError("error marshalling client templates: " + err.Error())
+		return
+	}
+	if err := UpdateOption("ClientTemplates", string(jsonBytes)); err != nil {
+		logger.SysError("failed to migrate client templates: " + err.Error())
+	}
+}
+
+func UpdateClientTemplatesByJSONString(jsonStr string) error {
+	templates, err := ParseClientTemplates(jsonStr)
+	if err != nil {
+		return err
+	}
+	ClientTemplates = templates
+	return nil
+}
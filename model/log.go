@@ -24,6 +24,8 @@ type Log struct {
 	PromptTokens     int    `json:"prompt_tokens" gorm:"default:0"`
 	CompletionTokens int    `json:"completion_tokens" gorm:"default:0"`
 	ChannelId        int    `json:"channel" gorm:"index"`
+	TokenId          int    `json:"token_id" gorm:"default:0"`             // id of the token used by the relay request
+	Ip               string `json:"ip" gorm:"type:varchar(64);default:''"` // client ip of the relay request
 }
 
 const (
@@ -32,6 +34,7 @@ const (
 	LogTypeConsume
 	LogTypeManage
 	LogTypeSystem
+	LogTypeRateLimit // requests rejected by the rate limits of a token
 )
 
 func RecordLog(userId int, logType int, content string) {
@@ -83,10 +86,35 @@ func RecordConsumeLog(ctx context.Context, userId int, channelId int, promptToke
 		ModelName:        modelName,
 		Quota:            int(quota),
 		ChannelId:        channelId,
+		TokenId:          helper.GetRelayTokenId(ctx),
+		Ip:               helper.GetRelayClientIp(ctx),
 	}
 	err := LOG_DB.Create(log).Error
 	if err != nil {
 		logger.Error(ctx, "failed to record log: "+err.Error())
+		return
+	}
+	if quota > 0 && shouldCheckDailyQuotaAlert(userId) {
+		go checkDailyQuotaAlert(userId)
+	}
+}
+
+// RecordRateLimitLog 记录被令牌限流拒绝的请求
+func RecordRateLimitLog(ctx context.Context, userId int, tokenName string, modelName string, content string) {
+	log := &Log{
+		UserId:    userId,
+		Username:  GetUsernameById(userId),
+		CreatedAt: helper.GetTimestamp(),
+		Type:      LogTypeRateLimit,
+		Content:   content,
+		TokenName: tokenName,
+		ModelName: modelName,
+		TokenId:   helper.GetRelayTokenId(ctx),
+		Ip:        helper.GetRelayClientIp(ctx),
+	}
+	err := LOG_DB.Create(log).Error
+	if err != nil {
+		logger.Error(ctx, "failed to record rate limit log: "+err.Error())
 	}
 }
 
@@ -142,6 +170,128 @@ func GetUserLogs(userId int, logType int, startTimestamp int64, endTimestamp int
 	return logs, err
 }
 
+// exportLogsQuery applies the same filters as GetAllLogs, userId 0 means logs of all users
+func exportLogsQuery(userId int, logType int, startTimestamp int64, endTimestamp int64, modelName string, username string, tokenName string, channel int) *gorm.DB {
+	tx := LOG_DB.Model(&Log{})
+	if userId != 0 {
+		tx = tx.Where("user_id = ?", userId)
+	}
+	if logType != LogTypeUnknown {
+		tx = tx.Where("type = ?", logType)
+	}
+	if modelName != "" {
+		tx = tx.Where("model_name = ?", modelName)
+	}
+	if username != "" {
+		tx = tx.Where("username = ?", username)
+	}
+	if tokenName != "" {
+		tx = tx.Where("token_name = ?", tokenName)
+	}
+	if startTimestamp != 0 {
+		tx = tx.Where("created_at >= ?", startTimestamp)
+	}
+	if endTimestamp != 0 {
+		tx = tx.Where("created_at <= ?", endTimestamp)
+	}
+	if channel != 0 {
+		tx = tx.Where("channel_id = ?", channel)
+	}
+	return tx
+}
+
+func CountExportLogs(userId int, logType int, startTimestamp int64, endTimestamp int64, modelName string, username string, tokenName string, channel int) (count int64, err error) {
+	err = exportLogsQuery(userId, logType, startTimestamp, endTimestamp, modelName, username, tokenName, channel).Count(&count).Error
+	return count, err
+}
+
+// ExportLogs walks through the matching logs in id order, batchSize rows at a time,
+// so that exports never load the whole table into memory.
+func ExportLogs(userId int, logType int, startTimestamp int64, endTimestamp int64, modelName string, username string, tokenName string, channel int, batchSize int, fn func(logs []*Log) error) error {
+	var logs []*Log
+	return exportLogsQuery(userId, logType, startTimestamp, endTimestamp, modelName, username, tokenName, channel).FindInBatches(&logs, batchSize, func(tx *gorm.DB, batch int) error {
+		return fn(logs)
+	}).Error
+}
+
+// LogUsageStat is the consumption of one dimension value within one time bucket
+type LogUsageStat struct {
+	Time             int64  `json:"time" gorm:"column:bucket"`
+	Key              string `json:"key" gorm:"column:dim"`
+	Quota            int64  `json:"quota" gorm:"column:quota"`
+	Count            int64  `json:"count" gorm:"column:count"`
+	PromptTokens     int64  `json:"prompt_tokens" gorm:"column:prompt_tokens"`
+	CompletionTokens int64  `json:"completion_tokens" gorm:"column:completion_tokens"`
+}
+
+// logUsageColumns maps the analytics dimensions to the columns of the logs table,
+// the group dimension is grouped by user_id and mapped to the user's group afterwards.
+var logUsageColumns = map[string]string{
+	"model":   "model_name",
+	"channel": "channel_id",
+	"user":    "username",
+	"token":   "token_name",
+	"group":   "user_id",
+}
+
+func IsValidLogUsageDimension(dimension string) bool {
+	_, ok := logUsageColumns[dimension]
+	return ok
+}
+
+// GetLogUsageStats sums the consume logs matching the filters by time bucket and dimension value.
+// offset is added to created_at before truncating to multiples of bucketSize seconds (an hour or
+// a day), so that the callers can merge the buckets into days, weeks or months of the viewer's
+// time zone. The returned Time is still shifted by offset.
+func GetLogUsageStats(userId int, startTimestamp int64, endTimestamp int64, modelName string, username string, tokenName string, channel int, dimension string, offset int64, bucketSize int64) (stats []*LogUsageStat, err error) {
+	column, ok := logUsageColumns[dimension]
+	if !ok {
+		return nil, fmt.Errorf("invalid dimension: %s", dimension)
+	}
+	bucket := fmt.Sprintf("(created_at + %d) - (created_at + %d) %% %d", offset, offset, bucketSize)
+	err = exportLogsQuery(userId, LogTypeConsume, startTimestamp, endTimestamp, modelName, username, tokenName, channel).
+		Select(fmt.Sprintf("%s as bucket, %s as dim, sum(quota) as quota, count(1) as count, sum(prompt_tokens) as prompt_tokens, sum(completion_tokens) as completion_tokens", bucket, column)).
+		Group("bucket").Group("dim").
+		Scan(&stats).Error
+	return stats, err
+}
+
+// CountActiveUsersAndTokens counts the users and tokens that have consume logs in the range.
+// Tokens are counted by token id; logs written before the token id was recorded have token_id 0
+// and are told apart by user and token name instead.
+func CountActiveUsersAndTokens(startTimestamp int64, endTimestamp int64) (users int64, tokens int64, err error) {
+	query := exportLogsQuery(0, LogTypeConsume, startTimestamp, endTimestamp, "", "", "", 0)
+	err = query.Distinct("user_id").Count(&users).Error
+	if err != nil {
+		return 0, 0, err
+	}
+	query = exportLogsQuery(0, LogTypeConsume, startTimestamp, endTimestamp, "", "", "", 0)
+	err = query.Where("token_id <> 0").Distinct("token_id").Count(&tokens).Error
+	if err != nil {
+		return 0, 0, err
+	}
+	var legacyTokens int64
+	query = exportLogsQuery(0, LogTypeConsume, startTimestamp, endTimestamp, "", "", "", 0)
+	err = LOG_DB.Table("(?) as active_tokens", query.Where("token_id = 0").Distinct("user_id", "token_name")).Count(&legacyTokens).Error
+	return users, tokens + legacyTokens, err
+}
+
+// LogClientIp 一个客户端 IP 的请求次数与最近一次请求的时间
+type LogClientIp struct {
+	Ip       string `json:"ip" gorm:"column:ip"`
+	Count    int64  `json:"count" gorm:"column:count"`
+	LastSeen int64  `json:"last_seen" gorm:"column:last_seen"`
+}
+
+// GetTokenClientIps 返回令牌自 startTimestamp 以来使用过的客户端 IP，最近使用的在前
+func GetTokenClientIps(userId int, tokenId int, startTimestamp int64, limit int) (ips []*LogClientIp, err error) {
+	err = LOG_DB.Table("logs").
+		Select("ip, count(*) as count, max(created_at) as last_seen").
+		Where("user_id = ? and token_id = ? and type = ? and created_at >= ? and ip <> ''", userId, tokenId, LogTypeConsume, startTimestamp).
+		Group("ip").Order("last_seen desc").Limit(limit).Scan(&ips).Error
+	return ips, err
+}
+
 func SearchAllLogs(keyword string) (logs []*Log, err error) {
 	err = LOG_DB.Where("type = ? or content LIKE ?", keyword, keyword+"%").Order("id desc").Limit(config.MaxRecentItems).Find(&logs).Error
 	return logs, err
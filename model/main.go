@@ -157,6 +157,21 @@ func migrateDB() error {
 	if err = DB.AutoMigrate(&Log{}); err != nil {
 		return err
 	}
+	if err = DB.AutoMigrate(&ChannelHealth{}); err != nil {
+		return err
+	}
+	if err = DB.AutoMigrate(&Passkey{}); err != nil {
+		return err
+	}
+	if err = DB.AutoMigrate(&UserSession{}); err != nil {
+		return err
+	}
+	if err = DB.AutoMigrate(&AccessToken{}); err != nil {
+		return err
+	}
+	if err = DB.AutoMigrate(&SecurityEvent{}); err != nil {
+		return err
+	}
 	if err = DB.AutoMigrate(&Channel{}); err != nil {
 		return err
 	}
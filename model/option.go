@@ -32,6 +32,8 @@ func InitOptionMap() {
 	config.OptionMap["WeChatAuthEnabled"] = strconv.FormatBool(config.WeChatAuthEnabled)
 	config.OptionMap["TurnstileCheckEnabled"] = strconv.FormatBool(config.TurnstileCheckEnabled)
 	config.OptionMap["RegisterEnabled"] = strconv.FormatBool(config.RegisterEnabled)
+	config.OptionMap["PasskeyLoginEnabled"] = strconv.FormatBool(config.PasskeyLoginEnabled)
+	config.OptionMap["AdminTwoFactorRequiredEnabled"] = strconv.FormatBool(config.AdminTwoFactorRequiredEnabled)
 	config.OptionMap["AutomaticDisableChannelEnabled"] = strconv.FormatBool(config.AutomaticDisableChannelEnabled)
 	config.OptionMap["AutomaticEnableChannelEnabled"] = strconv.FormatBool(config.AutomaticEnableChannelEnabled)
 	config.OptionMap["ApproximateTokenEnabled"] = strconv.FormatBool(config.ApproximateTokenEnabled)
@@ -72,11 +74,13 @@ func InitOptionMap() {
 	config.OptionMap["CompletionRatio"] = billingratio.CompletionRatio2JSONString()
 	config.OptionMap["TopUpLink"] = config.TopUpLink
 	config.OptionMap["ChatLink"] = config.ChatLink
+	config.OptionMap["ClientTemplates"] = ClientTemplates2JSONString()
 	config.OptionMap["QuotaPerUnit"] = strconv.FormatFloat(config.QuotaPerUnit, 'f', -1, 64)
 	config.OptionMap["RetryTimes"] = strconv.Itoa(config.RetryTimes)
 	config.OptionMap["Theme"] = config.Theme
 	config.OptionMapRWMutex.Unlock()
 	loadOptionsFromDatabase()
+	migrateClientTemplates()
 }
 
 func loadOptionsFromDatabase() {
@@ -139,6 +143,10 @@ func updateOptionMap(key string, value string) (err error) {
 			config.TurnstileCheckEnabled = boolValue
 		case "RegisterEnabled":
 			config.RegisterEnabled = boolValue
+		case "PasskeyLoginEnabled":
+			config.PasskeyLoginEnabled = boolValue
+		case "AdminTwoFactorRequiredEnabled":
+			config.AdminTwoFactorRequiredEnabled = boolValue
 		case "EmailDomainRestrictionEnabled":
 			config.EmailDomainRestrictionEnabled = boolValue
 		case "AutomaticDisableChannelEnabled":
@@ -233,6 +241,8 @@ func updateOptionMap(key string, value string) (err error) {
 		config.TopUpLink = value
 	case "ChatLink":
 		config.ChatLink = value
+	case "ClientTemplates":
+		err = UpdateClientTemplatesByJSONString(value)
 	case "ChannelDisableThreshold":
 		config.ChannelDisableThreshold, _ = strconv.ParseFloat(value, 64)
 	case "QuotaPerUnit":
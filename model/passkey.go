@@ -0,0 +1,105 @@
+package model
+
+import (
+	"errors"
+	"strings"
+
+	"github.com/songquanpeng/one-api/common/helper"
+)
+
+// MaxPasskeysPerUser 每个用户最多注册的 Passkey 数量
+const MaxPasskeysPerUser = 20
+
+// Passkey 用户注册的 WebAuthn 凭据，CredentialId 与 PublicKey 为 base64url 编码
+type Passkey struct {
+	Id           int    `json:"id"`
+	UserId       int    `json:"user_id" gorm:"index"`
+	Name         string `json:"name" gorm:"type:varchar(64)"`
+	CredentialId string `json:"-" gorm:"type:varchar(255);uniqueIndex"`
+	PublicKey    string `json:"-" gorm:"type:text"`
+	SignCount    uint32 `json:"-"`
+	CreatedTime  int64  `json:"created_time" gorm:"bigint"`
+	LastUsedTime int64  `json:"last_used_time" gorm:"bigint;default:0"`
+}
+
+func passkeyChallengeCacheKey(id string) string {
+	return "passkey_challenge:" + id
+}
+
+// SavePasskeyChallenge 在服务端保存一次验证的 challenge，会话中只保存 id
+func SavePasskeyChallenge(id string, challenge string, seconds int) {
+	cacheSet(passkeyChallengeCacheKey(id), challenge, seconds)
+}
+
+// TakePasskeyChallenge 取出并删除 challenge，每个 challenge 只能使用一次，过期或已使用时返回 false
+func TakePasskeyChallenge(id string) (string, bool) {
+	if id == "" {
+		return "", false
+	}
+	return cacheTake(passkeyChallengeCacheKey(id))
+}
+
+func ValidatePasskeyName(name string) (string, error) {
+	name = strings.TrimSpace(name)
+	if name == "" {
+		return "", errors.New("Passkey 名称不能为空")
+	}
+	if len([]rune(name)) > 30 {
+		return "", errors.New("Passkey 名称过长")
+	}
+	return name, nil
+}
+
+func GetUserPasskeys(userId int) (passkeys []*Passkey, err error) {
+	err = DB.Where("user_id = ?", userId).Order("id asc").Find(&passkeys).Error
+	return passkeys, err
+}
+
+func GetPasskeyByCredentialId(credentialId string) (*Passkey, error) {
+	if credentialId == "" {
+		return nil, errors.New("credential id 为空！")
+	}
+	passkey := Passkey{}
+	err := DB.Where("credential_id = ?", credentialId).First(&passkey).Error
+	return &passkey, err
+}
+
+func (passkey *Passkey) Insert() error {
+	name, err := ValidatePasskeyName(passkey.Name)
+	if err != nil {
+		return err
+	}
+	passkey.Name = name
+	passkey.CreatedTime = helper.GetTimestamp()
+	return DB.Create(passkey).Error
+}
+
+// UpdateUsage 登录成功后保存新的签名计数与使用时间
+func (passkey *Passkey) UpdateUsage(signCount uint32) error {
+	passkey.SignCount = signCount
+	passkey.LastUsedTime = helper.GetTimestamp()
+	return DB.Model(passkey).Select("sign_count", "last_used_time").Updates(passkey).Error
+}
+
+func UpdateUserPasskeyName(id int, userId int, name string) error {
+	name, err := ValidatePasskeyName(name)
+	if err != nil {
+		return err
+	}
+	passkey := Passkey{}
+	if err := DB.Where("id = ? and user_id = ?", id, userId).First(&passkey).Error; err != nil {
+		return errors.New("Passkey 不存在")
+	}
+	return DB.Model(&passkey).Update("name", name).Error
+}
+
+func DeleteUserPasskey(id int, userId int) error {
+	result := DB.Where("id = ? and user_id = ?", id, userId).Delete(&Passkey{})
+	if result.Error != nil {
+		return result.Error
+	}
+	if result.RowsAffected == 0 {
+		return errors.New("Passkey 不存在")
+	}
+	return nil
+}
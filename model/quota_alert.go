@@ -0,0 +1,161 @@
+package model
+
+import (
+	"fmt"
+	"time"
+
+	"github.com/songquanpeng/one-api/common"
+	"github.com/songquanpeng/one-api/common/config"
+	"github.com/songquanpeng/one-api/common/logger"
+	"github.com/songquanpeng/one-api/common/message"
+)
+
+// AlertNotifyNone 只在页面上提示，不发送通知；其余取值与 message.ByEmail 等相同
+const AlertNotifyNone = "none"
+
+func IsValidAlertNotifyBy(by string) bool {
+	switch by {
+	case message.ByEmail, message.ByMessagePusher, message.ByAll, AlertNotifyNone:
+		return true
+	}
+	return false
+}
+
+// UserQuotaAlert 用户设置的额度提醒
+type UserQuotaAlert struct {
+	QuotaAlertThreshold      int64  `json:"quota_alert_threshold"`
+	DailyQuotaAlertThreshold int64  `json:"daily_quota_alert_threshold"`
+	AlertNotifyBy            string `json:"alert_notify_by"`
+	MessagePusherAddress     string `json:"message_pusher_address"`
+	MessagePusherToken       string `json:"message_pusher_token"`
+}
+
+// UpdateUserQuotaAlert 保存用户的提醒设置，推送令牌不会返回给前端，留空时保持原来的令牌
+func UpdateUserQuotaAlert(id int, alert *UserQuotaAlert) error {
+	updates := map[string]interface{}{
+		"quota_alert_threshold":       alert.QuotaAlertThreshold,
+		"daily_quota_alert_threshold": alert.DailyQuotaAlertThreshold,
+		"alert_notify_by":             alert.AlertNotifyBy,
+		"message_pusher_address":      alert.MessagePusherAddress,
+	}
+	if alert.MessagePusherToken != "" {
+		updates["message_pusher_token"] = alert.MessagePusherToken
+	}
+	err := DB.Model(&User{}).Where("id = ?", id).Updates(updates).Error
+	cacheDel(quotaAlertCacheKey(id))
+	return err
+}
+
+func quotaAlertCacheKey(id int) string {
+	return fmt.Sprintf("user_quota_alert:%d", id)
+}
+
+// CacheGetUserQuotaAlertThresholds 返回用户设置的剩余额度提醒阈值与每日消耗提醒阈值（未设置时为 0），
+// 每次请求扣费时都会用到，因此与用户额度一样缓存
+func CacheGetUserQuotaAlertThresholds(id int) (quotaThreshold int64, dailyThreshold int64) {
+	key := quotaAlertCacheKey(id)
+	if value, ok := cacheGet(key); ok {
+		if _, err := fmt.Sscanf(value, "%d,%d", &quotaThreshold, &dailyThreshold); err == nil {
+			return quotaThreshold, dailyThreshold
+		}
+	}
+	var user User
+	err := DB.Select("quota_alert_threshold", "daily_quota_alert_threshold").First(&user, "id = ?", id).Error
+	if err != nil {
+		return 0, 0
+	}
+	cacheSet(key, fmt.Sprintf("%d,%d", user.QuotaAlertThreshold, user.DailyQuotaAlertThreshold), QuotaAlertCacheSeconds)
+	return user.QuotaAlertThreshold, user.DailyQuotaAlertThreshold
+}
+
+// GetUserQuotaAlertThreshold 返回剩余额度的提醒阈值，用户未设置时使用系统的 QuotaRemindThreshold
+func GetUserQuotaAlertThreshold(id int) int64 {
+	threshold, _ := CacheGetUserQuotaAlertThresholds(id)
+	if threshold <= 0 {
+		return config.QuotaRemindThreshold
+	}
+	return threshold
+}
+
+func dailyQuotaAlertedCacheKey(id int) string {
+	return fmt.Sprintf("user_daily_quota_alerted:%d", id)
+}
+
+// shouldCheckDailyQuotaAlert 用户设置了每日提醒阈值且今天还没有提醒过时才需要统计当天的消耗
+func shouldCheckDailyQuotaAlert(userId int) bool {
+	if _, dailyThreshold := CacheGetUserQuotaAlertThresholds(userId); dailyThreshold <= 0 {
+		return false
+	}
+	_, alerted := cacheGet(dailyQuotaAlertedCacheKey(userId))
+	return !alerted
+}
+
+// SumUserConsumedQuota 统计用户在 [start, end] 内的消耗额度
+func SumUserConsumedQuota(userId int, startTimestamp int64, endTimestamp int64) (quota int64, err error) {
+	ifnull := "ifnull"
+	if common.UsingPostgreSQL {
+		ifnull = "COALESCE"
+	}
+	err = LOG_DB.Table("logs").Select(fmt.Sprintf("%s(sum(quota),0)", ifnull)).
+		Where("user_id = ? and type = ? and created_at >= ? and created_at <= ?", userId, LogTypeConsume, startTimestamp, endTimestamp).
+		Scan(&quota).Error
+	return quota, err
+}
+
+// DayStart 返回服务器所在时区当天零点的时间戳，每日消耗按服务器时区的自然日计算
+func DayStart(now time.Time) int64 {
+	year, month, day := now.Date()
+	return time.Date(year, month, day, 0, 0, 0, 0, now.Location()).Unix()
+}
+
+// NotifyUser 按用户选择的方式发送提醒，邮件发往用户绑定的邮箱，消息推送使用用户自己配置的 Message Pusher
+func NotifyUser(userId int, title string, content string) {
+	var user User
+	err := DB.Select("id", "email", "alert_notify_by", "message_pusher_address", "message_pusher_token").First(&user, "id = ?", userId).Error
+	if err != nil {
+		logger.SysError("failed to fetch user alert setting: " + err.Error())
+		return
+	}
+	by := user.AlertNotifyBy
+	if by == "" {
+		by = message.ByEmail
+	}
+	if (by == message.ByEmail || by == message.ByAll) && user.Email != "" {
+		if err := message.SendEmail(title, user.Email, content); err != nil {
+			logger.SysError("failed to send email" + err.Error())
+		}
+	}
+	if (by == message.ByMessagePusher || by == message.ByAll) && user.MessagePusherAddress != "" {
+		if err := message.SendMessageTo(user.MessagePusherAddress, user.MessagePusherToken, title, "", content); err != nil {
+			logger.SysError("failed to push message: " + err.Error())
+		}
+	}
+}
+
+// checkDailyQuotaAlert 在用户当天的消耗首次超过每日提醒阈值时发送提醒，每天最多一次
+func checkDailyQuotaAlert(userId int) {
+	var user User
+	err := DB.Select("id", "daily_quota_alert_threshold", "daily_quota_alerted_at").First(&user, "id = ?", userId).Error
+	if err != nil || user.DailyQuotaAlertThreshold <= 0 {
+		return
+	}
+	now := time.Now()
+	dayStart := DayStart(now)
+	if user.DailyQuotaAlertedAt >= dayStart {
+		cacheSet(dailyQuotaAlertedCacheKey(userId), "1", int(dayStart+24*3600-now.Unix()))
+		return
+	}
+	used, err := SumUserConsumedQuota(userId, dayStart, now.Unix())
+	if err != nil || used < user.DailyQuotaAlertThreshold {
+		return
+	}
+	// 多个实例可能同时检查，只有成功更新提醒时间的一方发送
+	result := DB.Model(&User{}).Where("id = ? and daily_quota_alerted_at < ?", userId, dayStart).Update("daily_quota_alerted_at", now.Unix())
+	if result.Error != nil || result.RowsAffected == 0 {
+		return
+	}
+	// 今天剩下的时间内不再统计
+	cacheSet(dailyQuotaAlertedCacheKey(userId), "1", int(dayStart+24*3600-now.Unix()))
+	NotifyUser(userId, "今日消耗已超过提醒阈值",
+		fmt.Sprintf("您今日已消耗额度 %d，超过了设置的每日提醒阈值 %d。如需调整，请前往个人设置。", used, user.DailyQuotaAlertThreshold))
+}
@@ -0,0 +1,126 @@
+package model
+
+import (
+	"net"
+
+	"github.com/songquanpeng/one-api/common/helper"
+	"github.com/songquanpeng/one-api/common/logger"
+)
+
+// 安全日志的事件类型，detail 中记录登录方式、绑定的账号类型或令牌名称等补充信息
+const (
+	SecurityEventLogin                = "login"
+	SecurityEventLoginFailed          = "login_failed"
+	SecurityEventPasswordChanged      = "password_changed"
+	SecurityEventPasswordReset        = "password_reset"
+	SecurityEventTwoFactorEnabled     = "two_factor_enabled"
+	SecurityEventTwoFactorDisabled    = "two_factor_disabled"
+	SecurityEventRecoveryCodesReset   = "recovery_codes_reset"
+	SecurityEventPasskeyAdded         = "passkey_added"
+	SecurityEventPasskeyRemoved       = "passkey_removed"
+	SecurityEventAccountBound         = "account_bound"
+	SecurityEventAccessTokenGenerated = "access_token_generated"
+	SecurityEventAccessTokenCreated   = "access_token_created"
+	SecurityEventAccessTokenDeleted   = "access_token_deleted"
+	SecurityEventSessionsRevoked      = "sessions_revoked"
+)
+
+// 需要提醒用户注意的登录
+const (
+	SecurityAlertFailedAttempts = "failed_attempts" // 一小时内多次登录失败
+	SecurityAlertNewIpRange     = "new_ip_range"    // 从未登录过的 IP 网段登录，按网段近似判断，不代表来自新的国家或地区
+)
+
+const (
+	securityFailedAttemptWindow    = 3600
+	securityFailedAttemptThreshold = 5
+	// securityKnownNetworkLookback 判断新网段时参考的最近成功登录次数
+	securityKnownNetworkLookback = 50
+)
+
+// SecurityEventListLimit 安全日志列表返回的最近事件数量
+const SecurityEventListLimit = 100
+
+type SecurityEvent struct {
+	Id          int    `json:"id"`
+	UserId      int    `json:"user_id" gorm:"index"`
+	Type        string `json:"type" gorm:"type:varchar(32)"`
+	Detail      string `json:"detail" gorm:"type:varchar(255);default:''"`
+	Ip          string `json:"ip" gorm:"type:varchar(64);default:''"`
+	UserAgent   string `json:"user_agent" gorm:"type:varchar(512);default:''"`
+	Alert       string `json:"alert" gorm:"type:varchar(32);default:''"`
+	CreatedTime int64  `json:"created_time" gorm:"bigint;index"`
+}
+
+// networkPrefix IPv4 取 /16，IPv6 取 /48，用于判断是否来自新的 IP 网段。服务端没有 IP 归属地数据，
+// 移动网络更换网段时也会提醒，同一网段内的地址即使位于其他国家也不会提醒
+func networkPrefix(ip string) string {
+	parsed := net.ParseIP(ip)
+	if parsed == nil {
+		return ip
+	}
+	if v4 := parsed.To4(); v4 != nil {
+		return v4.Mask(net.CIDRMask(16, 32)).String()
+	}
+	return parsed.Mask(net.CIDRMask(48, 128)).String()
+}
+
+func (event *SecurityEvent) detectAlert() {
+	if event.Type != SecurityEventLogin && event.Type != SecurityEventLoginFailed {
+		return
+	}
+	var failures int64
+	err := DB.Model(&SecurityEvent{}).Where("user_id = ? and type = ? and created_time >= ?",
+		event.UserId, SecurityEventLoginFailed, event.CreatedTime-securityFailedAttemptWindow).Count(&failures).Error
+	if err != nil {
+		return
+	}
+	if event.Type == SecurityEventLoginFailed {
+		failures++
+	}
+	if failures >= securityFailedAttemptThreshold {
+		event.Alert = SecurityAlertFailedAttempts
+		return
+	}
+	if event.Type != SecurityEventLogin || event.Ip == "" {
+		return
+	}
+	var ips []string
+	err = DB.Model(&SecurityEvent{}).Where("user_id = ? and type = ?", event.UserId, SecurityEventLogin).
+		Order("id desc").Limit(securityKnownNetworkLookback).Pluck("ip", &ips).Error
+	// 第一次登录没有可比较的记录，不提醒
+	if err != nil || len(ips) == 0 {
+		return
+	}
+	prefix := networkPrefix(event.Ip)
+	for _, ip := range ips {
+		if networkPrefix(ip) == prefix {
+			return
+		}
+	}
+	event.Alert = SecurityAlertNewIpRange
+}
+
+// RecordSecurityEvent 记录一条安全日志，登录事件会同时检查是否需要提醒
+func RecordSecurityEvent(userId int, eventType string, ip string, userAgent string, detail string) {
+	if userId == 0 {
+		return
+	}
+	event := &SecurityEvent{
+		UserId:      userId,
+		Type:        eventType,
+		Detail:      detail,
+		Ip:          ip,
+		UserAgent:   truncateUserAgent(userAgent),
+		CreatedTime: helper.GetTimestamp(),
+	}
+	event.detectAlert()
+	if err := DB.Create(event).Error; err != nil {
+		logger.SysError("failed to record security event: " + err.Error())
+	}
+}
+
+func GetUserSecurityEvents(userId int) (events []*SecurityEvent, err error) {
+	err = DB.Where("user_id = ?", userId).Order("id desc").Limit(SecurityEventListLimit).Find(&events).Error
+	return events, err
+}
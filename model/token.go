@@ -7,8 +7,8 @@ import (
 	"github.com/songquanpeng/one-api/common/config"
 	"github.com/songquanpeng/one-api/common/helper"
 	"github.com/songquanpeng/one-api/common/logger"
-	"github.com/songquanpeng/one-api/common/message"
 	"gorm.io/gorm"
+	"time"
 )
 
 const (
@@ -32,6 +32,20 @@ type Token struct {
 	UsedQuota      int64   `json:"used_quota" gorm:"bigint;default:0"` // used quota
 	Models         *string `json:"models" gorm:"type:text"`            // allowed models
 	Subnet         *string `json:"subnet" gorm:"default:''"`           // allowed subnet
+	// recurring budget, see token_budget.go
+	BudgetPeriod      string `json:"budget_period" gorm:"type:varchar(16);default:''"` // empty means no budget
+	BudgetQuota       int64  `json:"budget_quota" gorm:"bigint;default:0"`
+	BudgetUsedQuota   int64  `json:"budget_used_quota" gorm:"bigint;default:0"` // used in the period starting at BudgetPeriodStart
+	BudgetPeriodStart int64  `json:"budget_period_start" gorm:"bigint;default:0"`
+	BudgetResetTime   int64  `json:"budget_reset_time" gorm:"-:all"` // end of the current period, filled by RefreshBudget
+	// rate limits, see token_limit.go
+	RpmLimit         int              `json:"rpm_limit" gorm:"default:0"`
+	TpmLimit         int              `json:"tpm_limit" gorm:"default:0"`
+	ConcurrencyLimit int              `json:"concurrency_limit" gorm:"default:0"`
+	LimitUsage       *TokenLimitUsage `json:"limit_usage,omitempty" gorm:"-:all"` // filled when listing tokens
+	// the key replaced by the last rotation, see token_rotation.go
+	PreviousKey            string `json:"-" gorm:"type:char(48);index;default:''"`
+	PreviousKeyExpiredTime int64  `json:"previous_key_expired_time" gorm:"bigint;default:0"`
 }
 
 func GetAllUserTokens(userId int, startIdx int, num int, order string) ([]*Token, error) {
@@ -49,14 +63,27 @@ func GetAllUserTokens(userId int, startIdx int, num int, order string) ([]*Token
 	}
 
 	err = query.Limit(num).Offset(startIdx).Find(&tokens).Error
+	refreshTokenStatus(tokens)
 	return tokens, err
 }
 
 func SearchUserTokens(userId int, keyword string) (tokens []*Token, err error) {
 	err = DB.Where("user_id = ?", userId).Where("name LIKE ?", keyword+"%").Find(&tokens).Error
+	refreshTokenStatus(tokens)
 	return tokens, err
 }
 
+func refreshTokenStatus(tokens []*Token) {
+	now := time.Now()
+	for _, token := range tokens {
+		token.RefreshBudget(now)
+		if token.RateLimit().Enabled() {
+			usage := GetTokenLimitUsage(token.Id)
+			token.LimitUsage = &usage
+		}
+	}
+}
+
 func ValidateUserToken(key string) (token *Token, err error) {
 	if key == "" {
 		return nil, errors.New("未提供令牌")
@@ -69,6 +96,9 @@ func ValidateUserToken(key string) (token *Token, err error) {
 		}
 		return nil, errors.New("令牌验证失败")
 	}
+	if token.Key != key && !token.IsPreviousKeyValid() {
+		return nil, errors.New("该令牌的密钥已更换，旧密钥已失效")
+	}
 	if token.Status == TokenStatusExhausted {
 		return nil, fmt.Errorf("令牌 %s（#%d）额度已用尽", token.Name, token.Id)
 	} else if token.Status == TokenStatusExpired {
@@ -98,6 +128,9 @@ func ValidateUserToken(key string) (token *Token, err error) {
 		}
 		return nil, errors.New("该令牌额度已用尽")
 	}
+	if err := token.CheckCurrentBudget(); err != nil {
+		return nil, err
+	}
 	return token, nil
 }
 
@@ -108,6 +141,7 @@ func GetTokenByIds(id int, userId int) (*Token, error) {
 	token := Token{Id: id, UserId: userId}
 	var err error = nil
 	err = DB.First(&token, "id = ? and user_id = ?", id, userId).Error
+	refreshTokenStatus([]*Token{&token})
 	return &token, err
 }
 
@@ -130,7 +164,7 @@ func (t *Token) Insert() error {
 // Update Make sure your token's fields is completed, because this will update non-zero values
 func (t *Token) Update() error {
 	var err error
-	err = DB.Model(t).Select("name", "status", "expired_time", "remain_quota", "unlimited_quota", "models", "subnet").Updates(t).Error
+	err = DB.Model(t).Select("name", "status", "expired_time", "remain_quota", "unlimited_quota", "models", "subnet", "budget_period", "budget_quota", "rpm_limit", "tpm_limit", "concurrency_limit").Updates(t).Error
 	return err
 }
 
@@ -230,31 +264,28 @@ func PreConsumeTokenQuota(tokenId int, quota int64) (err error) {
 	if userQuota < quota {
 		return errors.New("用户额度不足")
 	}
-	quotaTooLow := userQuota >= config.QuotaRemindThreshold && userQuota-quota < config.QuotaRemindThreshold
+	err = reserveTokenBudget(token, quota)
+	if err != nil {
+		return err
+	}
+	threshold := GetUserQuotaAlertThreshold(token.UserId)
+	quotaTooLow := userQuota >= threshold && userQuota-quota < threshold
 	noMoreQuota := userQuota-quota <= 0
 	if quotaTooLow || noMoreQuota {
 		go func() {
-			email, err := GetUserEmail(token.UserId)
-			if err != nil {
-				logger.SysError("failed to fetch user email: " + err.Error())
-			}
 			prompt := "您的额度即将用尽"
 			if noMoreQuota {
 				prompt = "您的额度已用尽"
 			}
-			if email != "" {
-				topUpLink := fmt.Sprintf("%s/topup", config.ServerAddress)
-				err = message.SendEmail(prompt, email,
-					fmt.Sprintf("%s，当前剩余额度为 %d，为了不影响您的使用，请及时充值。<br/>充值链接：<a href='%s'>%s</a>", prompt, userQuota, topUpLink, topUpLink))
-				if err != nil {
-					logger.SysError("failed to send email" + err.Error())
-				}
-			}
+			topUpLink := fmt.Sprintf("%s/topup", config.ServerAddress)
+			NotifyUser(token.UserId, prompt,
+				fmt.Sprintf("%s，当前剩余额度为 %d，为了不影响您的使用，请及时充值。<br/>充值链接：<a href='%s'>%s</a>", prompt, userQuota, topUpLink, topUpLink))
 		}()
 	}
 	if !token.UnlimitedQuota {
 		err = DecreaseTokenQuota(tokenId, quota)
 		if err != nil {
+			_ = consumeTokenBudget(token, -quota)
 			return err
 		}
 	}
@@ -282,5 +313,5 @@ func PostConsumeTokenQuota(tokenId int, quota int64) (err error) {
 			return err
 		}
 	}
-	return nil
+	return consumeTokenBudget(token, quota)
 }
@@ -0,0 +1,158 @@
+package model
+
+import (
+	"fmt"
+	"time"
+
+	"github.com/songquanpeng/one-api/common"
+	"github.com/songquanpeng/one-api/common/logger"
+)
+
+// 令牌的周期预算：每个周期最多消耗 BudgetQuota，周期开始时自动清零。周期按服务器所在时区划分，每周从周一开始。
+const (
+	TokenBudgetDaily   = "day"
+	TokenBudgetWeekly  = "week"
+	TokenBudgetMonthly = "month"
+)
+
+func IsValidTokenBudgetPeriod(period string) bool {
+	switch period {
+	case "", TokenBudgetDaily, TokenBudgetWeekly, TokenBudgetMonthly:
+		return true
+	}
+	return false
+}
+
+// TokenBudgetPeriodStart 返回 now 所在周期的起点
+func TokenBudgetPeriodStart(period string, now time.Time) time.Time {
+	year, month, day := now.Date()
+	switch period {
+	case TokenBudgetWeekly:
+		weekday := (int(now.Weekday()) + 6) % 7 // days since Monday
+		return time.Date(year, month, day-weekday, 0, 0, 0, 0, now.Location())
+	case TokenBudgetMonthly:
+		return time.Date(year, month, 1, 0, 0, 0, 0, now.Location())
+	default:
+		return time.Date(year, month, day, 0, 0, 0, 0, now.Location())
+	}
+}
+
+// TokenBudgetPeriodEnd 返回 now 所在周期的终点，即下一次重置的时间
+func TokenBudgetPeriodEnd(period string, now time.Time) time.Time {
+	start := TokenBudgetPeriodStart(period, now)
+	switch period {
+	case TokenBudgetWeekly:
+		return start.AddDate(0, 0, 7)
+	case TokenBudgetMonthly:
+		return start.AddDate(0, 1, 0)
+	default:
+		return start.AddDate(0, 0, 1)
+	}
+}
+
+func (t *Token) HasBudget() bool {
+	return t.BudgetPeriod != "" && t.BudgetQuota > 0
+}
+
+// RefreshBudget 在周期已经切换、但还没有新的消耗写入时，把本期已用额度显示为 0，并填写下次重置的时间
+func (t *Token) RefreshBudget(now time.Time) {
+	if !t.HasBudget() {
+		return
+	}
+	start := TokenBudgetPeriodStart(t.BudgetPeriod, now).Unix()
+	if t.BudgetPeriodStart != start {
+		t.BudgetPeriodStart = start
+		t.BudgetUsedQuota = 0
+	}
+	t.BudgetResetTime = TokenBudgetPeriodEnd(t.BudgetPeriod, now).Unix()
+}
+
+// ResetBudget 清零本期已用额度，修改预算周期后原周期的用量不再计入
+func (t *Token) ResetBudget() error {
+	t.BudgetUsedQuota = 0
+	t.BudgetPeriodStart = 0
+	return DB.Model(t).Select("budget_used_quota", "budget_period_start").Updates(t).Error
+}
+
+// CheckBudget 检查本期预算是否还够消耗 quota
+func (t *Token) CheckBudget(quota int64) error {
+	if !t.HasBudget() {
+		return nil
+	}
+	now := time.Now()
+	t.RefreshBudget(now)
+	if t.BudgetUsedQuota+quota > t.BudgetQuota || t.BudgetUsedQuota >= t.BudgetQuota {
+		return t.budgetExhaustedError()
+	}
+	return nil
+}
+
+func (t *Token) budgetExhaustedError() error {
+	return fmt.Errorf("令牌 %s（#%d）本期预算已用尽，将于 %s 重置", t.Name, t.Id, time.Unix(t.BudgetResetTime, 0).Format("2006-01-02 15:04:05"))
+}
+
+// CheckCurrentBudget 与 CheckBudget 相同，但本期已用额度从数据库读取，Redis 中缓存的令牌可能已经过时
+func (t *Token) CheckCurrentBudget() error {
+	if !t.HasBudget() || !common.RedisEnabled {
+		return t.CheckBudget(0)
+	}
+	var current Token
+	err := DB.Select("budget_used_quota", "budget_period_start").First(&current, "id = ?", t.Id).Error
+	if err != nil {
+		return err
+	}
+	t.BudgetUsedQuota = current.BudgetUsedQuota
+	t.BudgetPeriodStart = current.BudgetPeriodStart
+	return t.CheckBudget(0)
+}
+
+// reserveTokenBudget 在预算足够时把 quota 计入本期预算，检查与计入在同一条语句中完成，并发的请求不会超出预算
+func reserveTokenBudget(t *Token, quota int64) error {
+	if !t.HasBudget() || quota <= 0 {
+		return nil
+	}
+	now := time.Now()
+	start := TokenBudgetPeriodStart(t.BudgetPeriod, now).Unix()
+	result := DB.Exec("UPDATE tokens SET budget_used_quota = CASE WHEN budget_period_start = ? THEN budget_used_quota + ? ELSE ? END, budget_period_start = ? "+
+		"WHERE id = ? AND CASE WHEN budget_period_start = ? THEN budget_used_quota + ? ELSE ? END <= budget_quota",
+		start, quota, quota, start, t.Id, start, quota, quota)
+	if result.Error != nil {
+		return result.Error
+	}
+	if result.RowsAffected == 0 {
+		t.RefreshBudget(now)
+		return t.budgetExhaustedError()
+	}
+	clearTokenCache(t)
+	return nil
+}
+
+// consumeTokenBudget 把消耗计入本期预算，进入新周期后的第一次消耗会先清零；quota 为负数时退还
+func consumeTokenBudget(t *Token, quota int64) error {
+	if !t.HasBudget() || quota == 0 {
+		return nil
+	}
+	start := TokenBudgetPeriodStart(t.BudgetPeriod, time.Now()).Unix()
+	initial := quota
+	if initial < 0 {
+		initial = 0
+	}
+	// MySQL 按顺序执行赋值，budget_used_quota 必须在 budget_period_start 之前更新
+	err := DB.Exec("UPDATE tokens SET budget_used_quota = CASE WHEN budget_period_start = ? THEN budget_used_quota + ? ELSE ? END, budget_period_start = ? WHERE id = ?",
+		start, quota, initial, start, t.Id).Error
+	if err != nil {
+		return err
+	}
+	clearTokenCache(t)
+	return nil
+}
+
+// clearTokenCache 删除 Redis 中缓存的令牌，下次请求时读取最新的预算用量
+func clearTokenCache(t *Token) {
+	if !common.RedisEnabled || t.Key == "" {
+		return
+	}
+	if err := common.RedisDel(fmt.Sprintf("token:%s", t.Key)); err != nil {
+		logger.SysError("Redis delete token error: " + err.Error())
+	}
+}
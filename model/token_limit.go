@@ -0,0 +1,259 @@
+package model
+
+import (
+	"context"
+	"fmt"
+	"strconv"
+	"sync"
+	"time"
+
+	"github.com/go-redis/redis/v8"
+	"github.com/songquanpeng/one-api/common"
+	"github.com/songquanpeng/one-api/common/logger"
+)
+
+// 令牌的限流：每分钟请求数（RPM）、每分钟 Token 数（TPM）与最大并发请求数，0 表示不限制。
+// RPM 与 TPM 按自然分钟计数，启用 Redis 时多个实例共享计数，否则每个实例单独计数。
+const (
+	TokenLimitRpm         = "rpm"
+	TokenLimitTpm         = "tpm"
+	TokenLimitConcurrency = "concurrency"
+)
+
+// an in-flight counter left behind by a crashed instance expires after this long
+const tokenConcurrencyExpiration = 10 * time.Minute
+
+// TokenRateLimit 令牌的限流设置
+type TokenRateLimit struct {
+	Rpm         int `json:"rpm_limit"`
+	Tpm         int `json:"tpm_limit"`
+	Concurrency int `json:"concurrency_limit"`
+}
+
+// TokenLimitUsage 令牌当前的用量
+type TokenLimitUsage struct {
+	Rpm         int64 `json:"rpm_used"`
+	Tpm         int64 `json:"tpm_used"`
+	Concurrency int64 `json:"concurrency_used"`
+}
+
+func (t *Token) RateLimit() TokenRateLimit {
+	return TokenRateLimit{Rpm: t.RpmLimit, Tpm: t.TpmLimit, Concurrency: t.ConcurrencyLimit}
+}
+
+func (l TokenRateLimit) Enabled() bool {
+	return l.Rpm > 0 || l.Tpm > 0 || l.Concurrency > 0
+}
+
+type tokenLimitCounter struct {
+	mutex       sync.Mutex
+	minute      int64
+	rpm         map[int]int64
+	tpm         map[int]int64
+	concurrency map[int]int64
+	logged      map[string]bool // token id and limit already logged in this minute
+}
+
+var memoryTokenLimitCounter = tokenLimitCounter{
+	rpm:         make(map[int]int64),
+	tpm:         make(map[int]int64),
+	concurrency: make(map[int]int64),
+	logged:      make(map[string]bool),
+}
+
+// roll starts a new minute, must be called with the mutex held
+func (c *tokenLimitCounter) roll(minute int64) {
+	if c.minute != minute {
+		c.minute = minute
+		c.rpm = make(map[int]int64)
+		c.tpm = make(map[int]int64)
+		c.logged = make(map[string]bool)
+	}
+}
+
+func currentMinute() int64 {
+	return time.Now().Unix() / 60
+}
+
+func tokenRpmKey(tokenId int, minute int64) string {
+	return fmt.Sprintf("token_rpm:%d:%d", tokenId, minute)
+}
+
+func tokenTpmKey(tokenId int, minute int64) string {
+	return fmt.Sprintf("token_tpm:%d:%d", tokenId, minute)
+}
+
+func tokenLimitLoggedKey(tokenId int, limit string, minute int64) string {
+	return fmt.Sprintf("token_limit_logged:%d:%s:%d", tokenId, limit, minute)
+}
+
+// MarkTokenRateLimitLogged 返回本分钟内是否第一次因为 limit 拒绝该令牌的请求，
+// 每个令牌每种限制每分钟只记录一条限流日志，避免大量被拒绝的请求变成大量的数据库写入
+func MarkTokenRateLimitLogged(tokenId int, limit string) bool {
+	minute := currentMinute()
+	if !common.RedisEnabled {
+		c := &memoryTokenLimitCounter
+		c.mutex.Lock()
+		defer c.mutex.Unlock()
+		c.roll(minute)
+		key := fmt.Sprintf("%d:%s", tokenId, limit)
+		if c.logged[key] {
+			return false
+		}
+		c.logged[key] = true
+		return true
+	}
+	first, err := common.RDB.SetNX(context.Background(), tokenLimitLoggedKey(tokenId, limit, minute), 1, 2*time.Minute).Result()
+	if err != nil {
+		logger.SysError("failed to mark token rate limit log: " + err.Error())
+		return false
+	}
+	return first
+}
+
+func tokenConcurrencyKey(tokenId int) string {
+	return fmt.Sprintf("token_concurrency:%d", tokenId)
+}
+
+// AcquireTokenRateLimit 在请求开始时检查令牌的限流，通过时计入本分钟的请求数并占用一个并发名额，
+// 之后必须调用 ReleaseTokenConcurrency 释放；未通过时返回超出的限制（TokenLimitRpm 等）
+func AcquireTokenRateLimit(tokenId int, limit TokenRateLimit) (exceeded string, err error) {
+	if !limit.Enabled() {
+		return "", nil
+	}
+	minute := currentMinute()
+	if !common.RedisEnabled {
+		c := &memoryTokenLimitCounter
+		c.mutex.Lock()
+		defer c.mutex.Unlock()
+		c.roll(minute)
+		if limit.Tpm > 0 && c.tpm[tokenId] >= int64(limit.Tpm) {
+			return TokenLimitTpm, nil
+		}
+		if limit.Rpm > 0 && c.rpm[tokenId] >= int64(limit.Rpm) {
+			return TokenLimitRpm, nil
+		}
+		if limit.Concurrency > 0 && c.concurrency[tokenId] >= int64(limit.Concurrency) {
+			return TokenLimitConcurrency, nil
+		}
+		c.rpm[tokenId]++
+		c.concurrency[tokenId]++
+		return "", nil
+	}
+	ctx := context.Background()
+	rdb := common.RDB
+	if limit.Tpm > 0 {
+		used, err := rdb.Get(ctx, tokenTpmKey(tokenId, minute)).Int64()
+		if err == nil && used >= int64(limit.Tpm) {
+			return TokenLimitTpm, nil
+		}
+	}
+	if limit.Rpm > 0 {
+		key := tokenRpmKey(tokenId, minute)
+		count, err := rdb.Incr(ctx, key).Result()
+		if err != nil {
+			return "", err
+		}
+		rdb.Expire(ctx, key, 2*time.Minute)
+		if count > int64(limit.Rpm) {
+			rdb.Decr(ctx, key)
+			return TokenLimitRpm, nil
+		}
+	}
+	// the in-flight counter is kept even without a concurrency limit, so the usage can be shown
+	key := tokenConcurrencyKey(tokenId)
+	count, err := rdb.Incr(ctx, key).Result()
+	if err != nil {
+		return "", err
+	}
+	rdb.Expire(ctx, key, tokenConcurrencyExpiration)
+	if limit.Concurrency > 0 && count > int64(limit.Concurrency) {
+		rdb.Decr(ctx, key)
+		if limit.Rpm > 0 {
+			rdb.Decr(ctx, tokenRpmKey(tokenId, minute))
+		}
+		return TokenLimitConcurrency, nil
+	}
+	return "", nil
+}
+
+// releaseTokenConcurrencyScript 只在计数存在且大于 0 时减一。计数过期后再减一会重新创建一个负数的计数，
+// 使之后的并发限制变宽
+var releaseTokenConcurrencyScript = redis.NewScript(`
+local count = tonumber(redis.call("GET", KEYS[1]))
+if count and count > 0 then
+	return redis.call("DECR", KEYS[1])
+end
+return 0
+`)
+
+// ReleaseTokenConcurrency 在请求结束时释放 AcquireTokenRateLimit 占用的并发名额
+func ReleaseTokenConcurrency(tokenId int) {
+	if !common.RedisEnabled {
+		c := &memoryTokenLimitCounter
+		c.mutex.Lock()
+		defer c.mutex.Unlock()
+		if c.concurrency[tokenId] <= 1 {
+			delete(c.concurrency, tokenId)
+		} else {
+			c.concurrency[tokenId]--
+		}
+		return
+	}
+	err := releaseTokenConcurrencyScript.Run(context.Background(), common.RDB, []string{tokenConcurrencyKey(tokenId)}).Err()
+	if err != nil {
+		logger.SysError("failed to release token concurrency: " + err.Error())
+	}
+}
+
+// RecordTokenLimitTokens 把请求消耗的 Token 数计入令牌本分钟的 TPM
+func RecordTokenLimitTokens(tokenId int, tokens int) {
+	if tokens <= 0 {
+		return
+	}
+	minute := currentMinute()
+	if !common.RedisEnabled {
+		c := &memoryTokenLimitCounter
+		c.mutex.Lock()
+		defer c.mutex.Unlock()
+		c.roll(minute)
+		c.tpm[tokenId] += int64(tokens)
+		return
+	}
+	ctx := context.Background()
+	key := tokenTpmKey(tokenId, minute)
+	err := common.RDB.IncrBy(ctx, key, int64(tokens)).Err()
+	if err != nil {
+		logger.SysError("failed to record token tpm: " + err.Error())
+		return
+	}
+	common.RDB.Expire(ctx, key, 2*time.Minute)
+}
+
+// GetTokenLimitUsage 返回令牌本分钟的请求数、Token 数与当前的并发请求数
+func GetTokenLimitUsage(tokenId int) (usage TokenLimitUsage) {
+	minute := currentMinute()
+	if !common.RedisEnabled {
+		c := &memoryTokenLimitCounter
+		c.mutex.Lock()
+		defer c.mutex.Unlock()
+		c.roll(minute)
+		return TokenLimitUsage{Rpm: c.rpm[tokenId], Tpm: c.tpm[tokenId], Concurrency: c.concurrency[tokenId]}
+	}
+	usage.Rpm = redisGetInt64(tokenRpmKey(tokenId, minute))
+	usage.Tpm = redisGetInt64(tokenTpmKey(tokenId, minute))
+	usage.Concurrency = redisGetInt64(tokenConcurrencyKey(tokenId))
+	return usage
+}
+
+func redisGetInt64(key string) int64 {
+	value, err := common.RedisGet(key)
+	if err != nil {
+		return 0
+	}
+	n, _ := strconv.ParseInt(value, 10, 64)
+	if n < 0 {
+		return 0
+	}
+	return n
+}
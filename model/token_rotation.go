@@ -0,0 +1,61 @@
+package model
+
+import (
+	"errors"
+	"fmt"
+	"github.com/songquanpeng/one-api/common"
+	"github.com/songquanpeng/one-api/common/helper"
+	"github.com/songquanpeng/one-api/common/logger"
+	"github.com/songquanpeng/one-api/common/random"
+	"gorm.io/gorm"
+)
+
+// MaxTokenKeyGracePeriod 轮换密钥后旧密钥最长的保留时间，单位秒
+const MaxTokenKeyGracePeriod = 30 * 24 * 3600
+
+// getTokenByKey 按密钥查找令牌，也会匹配仍在保留期内的旧密钥
+func getTokenByKey(key string) (token Token, err error) {
+	keyCol := "`key`"
+	if common.UsingPostgreSQL {
+		keyCol = `"key"`
+	}
+	err = DB.Where(keyCol+" = ?", key).First(&token).Error
+	if errors.Is(err, gorm.ErrRecordNotFound) {
+		err = DB.Where("previous_key = ? and previous_key_expired_time > ?", key, helper.GetTimestamp()).First(&token).Error
+	}
+	return token, err
+}
+
+// IsPreviousKeyValid 旧密钥是否仍在保留期内
+func (t *Token) IsPreviousKeyValid() bool {
+	return t.PreviousKeyExpiredTime > helper.GetTimestamp()
+}
+
+// RotateKey 为令牌生成新的密钥，其余设置与用量保持不变。gracePeriod 秒内旧密钥仍可使用，
+// 为 0 时旧密钥立即失效；上一次轮换保留的旧密钥总是立即失效。
+func (t *Token) RotateKey(gracePeriod int64) error {
+	oldKey, oldPreviousKey := t.Key, t.PreviousKey
+	t.Key = random.GenerateKey()
+	t.PreviousKey = ""
+	t.PreviousKeyExpiredTime = 0
+	if gracePeriod > 0 {
+		t.PreviousKey = oldKey
+		t.PreviousKeyExpiredTime = helper.GetTimestamp() + gracePeriod
+	}
+	err := DB.Model(t).Select("key", "previous_key", "previous_key_expired_time").Updates(t).Error
+	if err != nil {
+		return err
+	}
+	if common.RedisEnabled {
+		// 缓存中以旧密钥为键的令牌不再可信，下次请求时重新查询
+		for _, key := range []string{oldKey, oldPreviousKey} {
+			if key == "" {
+				continue
+			}
+			if err := common.RedisDel(fmt.Sprintf("token:%s", key)); err != nil {
+				logger.SysError("Redis delete token error: " + err.Error())
+			}
+		}
+	}
+	return nil
+}
@@ -0,0 +1,153 @@
+package model
+
+import (
+	"crypto/sha256"
+	"encoding/hex"
+	"encoding/json"
+	"errors"
+	"strings"
+	"time"
+
+	"github.com/songquanpeng/one-api/common/totp"
+)
+
+// TwoFactorRecoveryCodeCount 启用两步验证或重新生成时发放的恢复码数量
+const TwoFactorRecoveryCodeCount = 10
+
+// TwoFactorStatus 个人设置中显示的两步验证状态
+type TwoFactorStatus struct {
+	Enabled           bool `json:"enabled"`
+	RecoveryCodesLeft int  `json:"recovery_codes_left"`
+}
+
+// IsTwoFactorEnabled 用户是否已启用两步验证，只设置了开关而没有密钥时视为未启用
+func (user *User) IsTwoFactorEnabled() bool {
+	return user.TwoFactorEnabled && user.TwoFactorSecret != ""
+}
+
+// IsUserTwoFactorEnabled 供中间件检查管理员是否已启用两步验证
+func IsUserTwoFactorEnabled(id int) bool {
+	user := User{}
+	err := DB.Select("two_factor_enabled", "two_factor_secret").Where("id = ?", id).First(&user).Error
+	return err == nil && user.IsTwoFactorEnabled()
+}
+
+func hashRecoveryCode(code string) string {
+	sum := sha256.Sum256([]byte(strings.ToLower(strings.TrimSpace(code))))
+	return hex.EncodeToString(sum[:])
+}
+
+func (user *User) recoveryCodeHashes() []string {
+	var hashes []string
+	if user.TwoFactorRecoveryCodes != "" {
+		_ = json.Unmarshal([]byte(user.TwoFactorRecoveryCodes), &hashes)
+	}
+	return hashes
+}
+
+func newRecoveryCodes() (codes []string, hashesJSON string, err error) {
+	codes, err = totp.GenerateRecoveryCodes(TwoFactorRecoveryCodeCount)
+	if err != nil {
+		return nil, "", err
+	}
+	hashes := make([]string, len(codes))
+	for i, code := range codes {
+		hashes[i] = hashRecoveryCode(code)
+	}
+	jsonBytes, err := json.Marshal(hashes)
+	return codes, string(jsonBytes), err
+}
+
+func GetUserTwoFactorStatus(id int) (status TwoFactorStatus, err error) {
+	user, err := GetUserById(id, true)
+	if err != nil {
+		return status, err
+	}
+	status.Enabled = user.IsTwoFactorEnabled()
+	if status.Enabled {
+		status.RecoveryCodesLeft = len(user.recoveryCodeHashes())
+	}
+	return status, nil
+}
+
+// EnableUserTwoFactor 保存已通过验证的密钥并返回一次性的恢复码，恢复码只保存哈希
+func EnableUserTwoFactor(id int, secret string, step int64) (codes []string, err error) {
+	codes, hashes, err := newRecoveryCodes()
+	if err != nil {
+		return nil, err
+	}
+	err = DB.Model(&User{}).Where("id = ?", id).Updates(map[string]interface{}{
+		"two_factor_enabled":        true,
+		"two_factor_secret":         secret,
+		"two_factor_recovery_codes": hashes,
+		"two_factor_last_step":      step,
+	}).Error
+	cacheDel(userTwoFactorCacheKey(id))
+	return codes, err
+}
+
+func DisableUserTwoFactor(id int) error {
+	err := DB.Model(&User{}).Where("id = ?", id).Updates(map[string]interface{}{
+		"two_factor_enabled":        false,
+		"two_factor_secret":         "",
+		"two_factor_recovery_codes": "",
+		"two_factor_last_step":      0,
+	}).Error
+	cacheDel(userTwoFactorCacheKey(id))
+	return err
+}
+
+// ResetUserTwoFactorRecoveryCodes 重新生成恢复码，之前的恢复码全部失效
+func ResetUserTwoFactorRecoveryCodes(id int) (codes []string, err error) {
+	codes, hashes, err := newRecoveryCodes()
+	if err != nil {
+		return nil, err
+	}
+	err = DB.Model(&User{}).Where("id = ?", id).Update("two_factor_recovery_codes", hashes).Error
+	return codes, err
+}
+
+// VerifyTwoFactor 校验验证器中的 6 位验证码或一次性恢复码。
+// 验证码不能重复使用，恢复码使用后即失效；user 需要包含两步验证的全部字段。
+func (user *User) VerifyTwoFactor(code string) error {
+	if !user.IsTwoFactorEnabled() {
+		return errors.New("未启用两步验证")
+	}
+	code = strings.ReplaceAll(strings.TrimSpace(code), " ", "")
+	if step, ok := totp.Validate(user.TwoFactorSecret, code, time.Now()); ok {
+		if step <= user.TwoFactorLastStep {
+			return errors.New("该验证码已使用过，请等待下一个验证码")
+		}
+		// 条件更新，避免并发的请求重复使用同一个验证码
+		result := DB.Model(&User{}).Where("id = ? and two_factor_last_step < ?", user.Id, step).Update("two_factor_last_step", step)
+		if result.Error != nil {
+			return result.Error
+		}
+		if result.RowsAffected == 0 {
+			return errors.New("该验证码已使用过，请等待下一个验证码")
+		}
+		user.TwoFactorLastStep = step
+		return nil
+	}
+	hash := hashRecoveryCode(code)
+	hashes := user.recoveryCodeHashes()
+	for i, h := range hashes {
+		if h != hash {
+			continue
+		}
+		remaining, err := json.Marshal(append(hashes[:i:i], hashes[i+1:]...))
+		if err != nil {
+			return err
+		}
+		result := DB.Model(&User{}).Where("id = ? and two_factor_recovery_codes = ?", user.Id, user.TwoFactorRecoveryCodes).Update("two_factor_recovery_codes", string(remaining))
+		if result.Error != nil {
+			return result.Error
+		}
+		if result.RowsAffected == 0 {
+			return errors.New("恢复码已被使用，请重试")
+		}
+		user.TwoFactorRecoveryCodes = string(remaining)
+		return nil
+	}
+	return errors.New("验证码错误")
+}
@@ -48,6 +48,19 @@ type User struct {
 	Group            string `json:"group" gorm:"type:varchar(32);default:'default'"`
 	AffCode          string `json:"aff_code" gorm:"type:varchar(32);column:aff_code;uniqueIndex"`
 	InviterId        int    `json:"inviter_id" gorm:"type:int;column:inviter_id;index"`
+	Language         string `json:"language" gorm:"type:varchar(16);default:''"` // frontend language, empty means not chosen
+	// quota alerts set by the user, see quota_alert.go
+	QuotaAlertThreshold      int64  `json:"quota_alert_threshold" gorm:"bigint;default:0"`       // 0 means the global QuotaRemindThreshold
+	DailyQuotaAlertThreshold int64  `json:"daily_quota_alert_threshold" gorm:"bigint;default:0"` // 0 means no daily alert
+	AlertNotifyBy            string `json:"alert_notify_by" gorm:"type:varchar(32);default:'email'"`
+	MessagePusherAddress     string `json:"message_pusher_address" gorm:"type:varchar(255);default:''"`
+	MessagePusherToken       string `json:"-" gorm:"type:varchar(255);default:''"`
+	DailyQuotaAlertedAt      int64  `json:"-" gorm:"bigint;default:0"`
+	// two-factor authentication, see two_factor.go
+	TwoFactorEnabled       bool   `json:"two_factor_enabled" gorm:"default:false"`
+	TwoFactorSecret        string `json:"-" gorm:"type:varchar(64);default:''"`
+	TwoFactorRecoveryCodes string `json:"-" gorm:"type:text"`        // JSON array of sha256 hashes of the unused recovery codes
+	TwoFactorLastStep      int64  `json:"-" gorm:"bigint;default:0"` // last accepted TOTP step, codes can't be reused
 }
 
 func GetMaxUserId() int {
@@ -405,6 +418,29 @@ func GetRootUserEmail() (email string) {
 	return email
 }
 
+// GetUserGroupsByIds returns the group of each given user, keyed by user id
+func GetUserGroupsByIds(ids []int) (map[int]string, error) {
+	groupCol := "`group`"
+	if common.UsingPostgreSQL {
+		groupCol = `"group"`
+	}
+
+	var users []User
+	err := DB.Select("id, "+groupCol).Where("id IN ?", ids).Find(&users).Error
+	if err != nil {
+		return nil, err
+	}
+	groups := make(map[int]string, len(users))
+	for _, user := range users {
+		groups[user.Id] = user.Group
+	}
+	return groups, nil
+}
+
+func UpdateUserLanguage(id int, language string) error {
+	return DB.Model(&User{}).Where("id = ?", id).Update("language", language).Error
+}
+
 func UpdateUserUsedQuotaAndRequestCount(id int, quota int64) {
 	if config.BatchUpdateEnabled {
 		addNewRecord(BatchUpdateTypeUsedQuota, id, quota)
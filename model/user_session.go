@@ -0,0 +1,140 @@
+package model
+
+import (
+	"errors"
+	"fmt"
+
+	"github.com/songquanpeng/one-api/common/helper"
+	"github.com/songquanpeng/one-api/common/logger"
+	"github.com/songquanpeng/one-api/common/random"
+)
+
+// UserSessionMaxAge 与会话 cookie 的有效期相同，超过该时间未使用的会话视为已过期
+const UserSessionMaxAge = 30 * 24 * 3600
+
+// userSessionTouchInterval 最近使用时间与 IP 的最小更新间隔，避免每个请求都写数据库；
+// 校验通过的会话也缓存这么久，期间同一 IP 的请求不再查询数据库
+const userSessionTouchInterval = 60
+
+// UserSession 一次网页登录，SessionKey 保存在会话 cookie 中，删除记录即可让对应的浏览器退出登录
+type UserSession struct {
+	Id           int    `json:"id"`
+	UserId       int    `json:"user_id" gorm:"index"`
+	SessionKey   string `json:"-" gorm:"type:char(32);uniqueIndex"`
+	UserAgent    string `json:"user_agent" gorm:"type:varchar(512);default:''"`
+	Ip           string `json:"ip" gorm:"type:varchar(64);default:''"`
+	CreatedTime  int64  `json:"created_time" gorm:"bigint"`
+	LastSeenTime int64  `json:"last_seen_time" gorm:"bigint;index"`
+	Current      bool   `json:"current" gorm:"-"`
+}
+
+func truncateUserAgent(userAgent string) string {
+	if len(userAgent) > 512 {
+		return userAgent[:512]
+	}
+	return userAgent
+}
+
+// CreateUserSession 登录成功时调用，顺带清理该用户已过期的会话
+func CreateUserSession(userId int, userAgent string, ip string) (*UserSession, error) {
+	now := helper.GetTimestamp()
+	err := DB.Where("user_id = ? and last_seen_time < ?", userId, now-UserSessionMaxAge).Delete(&UserSession{}).Error
+	if err != nil {
+		logger.SysError("failed to delete expired user sessions: " + err.Error())
+	}
+	session := &UserSession{
+		UserId:       userId,
+		SessionKey:   random.GetUUID(),
+		UserAgent:    truncateUserAgent(userAgent),
+		Ip:           ip,
+		CreatedTime:  now,
+		LastSeenTime: now,
+	}
+	err = DB.Create(session).Error
+	return session, err
+}
+
+func userSessionCacheKey(key string) string {
+	return "user_session:" + key
+}
+
+// ValidateUserSession 检查会话是否仍然有效，并按间隔更新最近使用时间与 IP
+func ValidateUserSession(userId int, key string, ip string) bool {
+	if key == "" {
+		return false
+	}
+	cacheKey := userSessionCacheKey(key)
+	cacheValue := fmt.Sprintf("%d,%s", userId, ip)
+	if value, ok := cacheGet(cacheKey); ok && value == cacheValue {
+		return true
+	}
+	session := UserSession{}
+	err := DB.Where("session_key = ? and user_id = ?", key, userId).First(&session).Error
+	if err != nil {
+		return false
+	}
+	now := helper.GetTimestamp()
+	if now-session.LastSeenTime > UserSessionMaxAge {
+		return false
+	}
+	if now-session.LastSeenTime >= userSessionTouchInterval || session.Ip != ip {
+		err = DB.Model(&session).Updates(map[string]interface{}{
+			"last_seen_time": now,
+			"ip":             ip,
+		}).Error
+		if err != nil {
+			logger.SysError("failed to update user session: " + err.Error())
+		}
+	}
+	cacheSet(cacheKey, cacheValue, userSessionTouchInterval)
+	return true
+}
+
+// GetUserSessions 返回未过期的会话，最近使用的在前，currentKey 对应的会话标记为当前会话
+func GetUserSessions(userId int, currentKey string) (sessions []*UserSession, err error) {
+	cutoff := helper.GetTimestamp() - UserSessionMaxAge
+	err = DB.Where("user_id = ? and last_seen_time >= ?", userId, cutoff).Order("last_seen_time desc").Find(&sessions).Error
+	for _, session := range sessions {
+		session.Current = currentKey != "" && session.SessionKey == currentKey
+	}
+	return sessions, err
+}
+
+func DeleteUserSession(id int, userId int) error {
+	session := UserSession{}
+	err := DB.Select("id", "session_key").Where("id = ? and user_id = ?", id, userId).First(&session).Error
+	if err != nil {
+		return errors.New("会话不存在或已退出")
+	}
+	if err = DB.Delete(&session).Error; err != nil {
+		return err
+	}
+	cacheDel(userSessionCacheKey(session.SessionKey))
+	return nil
+}
+
+func DeleteUserSessionByKey(key string) error {
+	if key == "" {
+		return nil
+	}
+	if err := DB.Where("session_key = ?", key).Delete(&UserSession{}).Error; err != nil {
+		return err
+	}
+	cacheDel(userSessionCacheKey(key))
+	return nil
+}
+
+// DeleteUserSessions 让用户在所有浏览器上退出登录
+func DeleteUserSessions(userId int) error {
+	var keys []string
+	if err := DB.Model(&UserSession{}).Where("user_id = ?", userId).Pluck("session_key", &keys).Error; err != nil {
+		return err
+	}
+	if err := DB.Where("user_id = ?", userId).Delete(&UserSession{}).Error; err != nil {
+		return err
+	}
+	for _, key := range keys {
+		cacheDel(userSessionCacheKey(key))
+	}
+	return nil
+}
@@ -29,6 +29,7 @@ func notifyRootUser(subject string, content string) {
 // DisableChannel disable & notify
 func DisableChannel(channelId int, channelName string, reason string) {
 	model.UpdateChannelStatusById(channelId, model.ChannelStatusAutoDisabled)
+	model.RecordChannelHealth(channelId, model.ChannelHealthTypeAutoDisabled, 0, "", reason)
 	logger.SysLog(fmt.Sprintf("channel #%d has been disabled: %s", channelId, reason))
 	subject := fmt.Sprintf("渠道「%s」（#%d）已被禁用", channelName, channelId)
 	content := fmt.Sprintf("渠道「%s」（#%d）已被禁用，原因：%s", channelName, channelId, reason)
@@ -41,12 +42,14 @@ func MetricDisableChannel(channelId int, successRate float64) {
 	subject := fmt.Sprintf("渠道 #%d 已被禁用", channelId)
 	content := fmt.Sprintf("该渠道（#%d）在最近 %d 次调用中成功率为 %.2f%%，低于阈值 %.2f%%，因此被系统自动禁用。",
 		channelId, config.MetricQueueSize, successRate*100, config.MetricSuccessRateThreshold*100)
+	model.RecordChannelHealth(channelId, model.ChannelHealthTypeAutoDisabled, 0, "", content)
 	notifyRootUser(subject, content)
 }
 
 // EnableChannel enable & notify
 func EnableChannel(channelId int, channelName string) {
 	model.UpdateChannelStatusById(channelId, model.ChannelStatusEnabled)
+	model.RecordChannelHealth(channelId, model.ChannelHealthTypeAutoEnabled, 0, "", "")
 	logger.SysLog(fmt.Sprintf("channel #%d has been enabled", channelId))
 	subject := fmt.Sprintf("渠道「%s」（#%d）已被启用", channelName, channelId)
 	content := fmt.Sprintf("渠道「%s」（#%d）已被启用", channelName, channelId)
@@ -388,7 +388,9 @@ func UpdateModelRatioByJSONString(jsonStr string) error {
 	return json.Unmarshal([]byte(jsonStr), &ModelRatio)
 }
 
-func GetModelRatio(name string, channelType int) float64 {
+// LookupModelRatio returns the ratio configured for the model and whether one exists,
+// using the same lookup order as GetModelRatio.
+func LookupModelRatio(name string, channelType int) (float64, bool) {
 	if strings.HasPrefix(name, "qwen-") && strings.HasSuffix(name, "-internet") {
 		name = strings.TrimSuffix(name, "-internet")
 	}
@@ -397,15 +399,22 @@ func GetModelRatio(name string, channelType int) float64 {
 	}
 	model := fmt.Sprintf("%s(%d)", name, channelType)
 	if ratio, ok := ModelRatio[model]; ok {
-		return ratio
+		return ratio, true
 	}
 	if ratio, ok := DefaultModelRatio[model]; ok {
-		return ratio
+		return ratio, true
 	}
 	if ratio, ok := ModelRatio[name]; ok {
-		return ratio
+		return ratio, true
 	}
 	if ratio, ok := DefaultModelRatio[name]; ok {
+		return ratio, true
+	}
+	return 0, false
+}
+
+func GetModelRatio(name string, channelType int) float64 {
+	if ratio, ok := LookupModelRatio(name, channelType); ok {
 		return ratio
 	}
 	logger.SysError("model ratio not found: " + name)
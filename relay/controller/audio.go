@@ -59,9 +59,12 @@ func RelayAudioHelper(c *gin.Context, relayMode int) *relaymodel.ErrorWithStatus
 	ratio := modelRatio * groupRatio
 	var quota int64
 	var preConsumedQuota int64
+	// tokens is what counts towards the tpm limit of the token
+	var tokens int
 	switch relayMode {
 	case relaymode.AudioSpeech:
-		preConsumedQuota = int64(float64(len(ttsRequest.Input)) * ratio)
+		tokens = len(ttsRequest.Input)
+		preConsumedQuota = int64(float64(tokens) * ratio)
 		quota = preConsumedQuota
 	default:
 		preConsumedQuota = int64(float64(config.PreConsumedQuota) * ratio)
@@ -79,9 +82,9 @@ func RelayAudioHelper(c *gin.Context, relayMode int) *relaymodel.ErrorWithStatus
 	if err != nil {
 		return openai.ErrorWrapper(err, "decrease_user_quota_failed", http.StatusInternalServerError)
 	}
-	if userQuota > 100*preConsumedQuota {
+	if userQuota > 100*preConsumedQuota && !meta.TokenHasBudget {
 		// in this case, we do not pre-consume quota
-		// because the user has enough quota
+		// because the user has enough quota, unless the token budget has to be reserved
 		preConsumedQuota = 0
 	}
 	if preConsumedQuota > 0 {
@@ -207,7 +210,8 @@ func RelayAudioHelper(c *gin.Context, relayMode int) *relaymodel.ErrorWithStatus
 		if err != nil {
 			return openai.ErrorWrapper(err, "get_text_from_body_err", http.StatusInternalServerError)
 		}
-		quota = int64(openai.CountTokenText(text, audioModel))
+		tokens = openai.CountTokenText(text, audioModel)
+		quota = int64(tokens)
 		resp.Body = io.NopCloser(bytes.NewBuffer(responseBody))
 	}
 	if resp.StatusCode != http.StatusOK {
@@ -217,6 +221,7 @@ func RelayAudioHelper(c *gin.Context, relayMode int) *relaymodel.ErrorWithStatus
 	quotaDelta := quota - preConsumedQuota
 	defer func(ctx context.Context) {
 		go billing.PostConsumeQuota(ctx, tokenId, quotaDelta, quota, userId, channelId, modelRatio, groupRatio, audioModel, tokenName)
+		model.RecordTokenLimitTokens(tokenId, tokens)
 	}(c.Request.Context())
 
 	for k, v := range resp.Header {
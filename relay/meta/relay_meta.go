@@ -31,6 +31,8 @@ type Meta struct {
 	RequestURLPath  string
 	PromptTokens    int // only for DoResponse
 	SystemPrompt    string
+	// TokenHasBudget means the quota of every request must be reserved in the token's period budget
+	TokenHasBudget bool
 }
 
 func GetByContext(c *gin.Context) *Meta {
@@ -40,6 +42,7 @@ func GetByContext(c *gin.Context) *Meta {
 		ChannelId:       c.GetInt(ctxkey.ChannelId),
 		TokenId:         c.GetInt(ctxkey.TokenId),
 		TokenName:       c.GetString(ctxkey.TokenName),
+		TokenHasBudget:  c.GetBool(ctxkey.TokenHasBudget),
 		UserId:          c.GetInt(ctxkey.Id),
 		Group:           c.GetString(ctxkey.Group),
 		ModelMapping:    c.GetStringMapString(ctxkey.ModelMapping),
@@ -16,6 +16,7 @@ func SetApiRouter(router *gin.Engine) {
 	{
 		apiRouter.GET("/status", controller.GetStatus)
 		apiRouter.GET("/models", middleware.UserAuth(), controller.DashboardListModels)
+		apiRouter.GET("/pricing", controller.GetModelPricing)
 		apiRouter.GET("/notice", controller.GetNotice)
 		apiRouter.GET("/about", controller.GetAbout)
 		apiRouter.GET("/home_page_content", controller.GetHomePageContent)
@@ -30,11 +31,15 @@ func SetApiRouter(router *gin.Engine) {
 		apiRouter.GET("/oauth/wechat/bind", middleware.CriticalRateLimit(), middleware.UserAuth(), auth.WeChatBind)
 		apiRouter.GET("/oauth/email/bind", middleware.CriticalRateLimit(), middleware.UserAuth(), controller.EmailBind)
 		apiRouter.POST("/topup", middleware.AdminAuth(), controller.AdminTopUp)
+		apiRouter.GET("/overview", middleware.AdminAuth(), controller.GetSystemOverview)
 
 		userRoute := apiRouter.Group("/user")
 		{
 			userRoute.POST("/register", middleware.CriticalRateLimit(), middleware.TurnstileCheck(), controller.Register)
 			userRoute.POST("/login", middleware.CriticalRateLimit(), controller.Login)
+			userRoute.POST("/login/2fa", middleware.CriticalRateLimit(), controller.LoginTwoFactor)
+			userRoute.POST("/passkey/login/begin", middleware.CriticalRateLimit(), controller.BeginPasskeyLogin)
+			userRoute.POST("/passkey/login/finish", middleware.CriticalRateLimit(), controller.FinishPasskeyLogin)
 			userRoute.GET("/logout", controller.Logout)
 
 			selfRoute := userRoute.Group("/")
@@ -44,10 +49,31 @@ func SetApiRouter(router *gin.Engine) {
 				selfRoute.GET("/self", controller.GetSelf)
 				selfRoute.PUT("/self", controller.UpdateSelf)
 				selfRoute.DELETE("/self", controller.DeleteSelf)
+				selfRoute.PUT("/language", controller.UpdateSelfLanguage)
+				selfRoute.GET("/quota_forecast", controller.GetSelfQuotaForecast)
+				selfRoute.PUT("/quota_alert", controller.UpdateSelfQuotaAlert)
 				selfRoute.GET("/token", controller.GenerateAccessToken)
+				selfRoute.GET("/access_token", controller.GetSelfAccessTokens)
+				selfRoute.POST("/access_token", controller.CreateSelfAccessToken)
+				selfRoute.DELETE("/access_token/:id", controller.DeleteSelfAccessToken)
+				selfRoute.GET("/2fa", controller.GetSelfTwoFactor)
+				selfRoute.POST("/2fa/setup", controller.SetupSelfTwoFactor)
+				selfRoute.POST("/2fa/enable", middleware.CriticalRateLimit(), controller.EnableSelfTwoFactor)
+				selfRoute.POST("/2fa/disable", middleware.CriticalRateLimit(), controller.DisableSelfTwoFactor)
+				selfRoute.POST("/2fa/recovery_codes", middleware.CriticalRateLimit(), controller.ResetSelfTwoFactorRecoveryCodes)
+				selfRoute.GET("/passkey", controller.GetSelfPasskeys)
+				selfRoute.POST("/passkey/register/begin", controller.BeginSelfPasskeyRegistration)
+				selfRoute.POST("/passkey/register/finish", middleware.CriticalRateLimit(), controller.FinishSelfPasskeyRegistration)
+				selfRoute.PUT("/passkey/:id", controller.UpdateSelfPasskey)
+				selfRoute.DELETE("/passkey/:id", controller.DeleteSelfPasskey)
+				selfRoute.GET("/session", controller.GetSelfSessions)
+				selfRoute.DELETE("/session", controller.DeleteSelfSessions)
+				selfRoute.DELETE("/session/:id", controller.DeleteSelfSession)
+				selfRoute.GET("/security_event", controller.GetSelfSecurityEvents)
 				selfRoute.GET("/aff", controller.GetAffCode)
 				selfRoute.POST("/topup", controller.TopUp)
 				selfRoute.GET("/available_models", controller.GetUserAvailableModels)
+				selfRoute.GET("/pricing", controller.GetUserModelPricing)
 			}
 
 			adminRoute := userRoute.Group("/")
@@ -60,6 +86,10 @@ func SetApiRouter(router *gin.Engine) {
 				adminRoute.POST("/manage", controller.ManageUser)
 				adminRoute.PUT("/", controller.UpdateUser)
 				adminRoute.DELETE("/:id", controller.DeleteUser)
+				adminRoute.GET("/:id/session", controller.GetUserSessions)
+				adminRoute.DELETE("/:id/session", controller.DeleteUserSessions)
+				adminRoute.DELETE("/:id/session/:session_id", controller.DeleteUserSession)
+				adminRoute.GET("/:id/security_event", controller.GetUserSecurityEvents)
 			}
 		}
 		optionRoute := apiRouter.Group("/option")
@@ -74,9 +104,12 @@ func SetApiRouter(router *gin.Engine) {
 			channelRoute.GET("/", controller.GetAllChannels)
 			channelRoute.GET("/search", controller.SearchChannels)
 			channelRoute.GET("/models", controller.ListAllModels)
+			channelRoute.GET("/model_ratio", controller.GetModelRatios)
+			channelRoute.GET("/export", controller.ExportChannels)
 			channelRoute.GET("/:id", controller.GetChannel)
 			channelRoute.GET("/test", controller.TestChannels)
 			channelRoute.GET("/test/:id", controller.TestChannel)
+			channelRoute.GET("/health/:id", controller.GetChannelHealth)
 			channelRoute.GET("/update_balance", controller.UpdateAllChannelsBalance)
 			channelRoute.GET("/update_balance/:id", controller.UpdateChannelBalance)
 			channelRoute.POST("/", controller.AddChannel)
@@ -90,8 +123,10 @@ func SetApiRouter(router *gin.Engine) {
 			tokenRoute.GET("/", controller.GetAllTokens)
 			tokenRoute.GET("/search", controller.SearchTokens)
 			tokenRoute.GET("/:id", controller.GetToken)
+			tokenRoute.GET("/:id/ips", controller.GetTokenClientIps)
 			tokenRoute.POST("/", controller.AddToken)
 			tokenRoute.PUT("/", controller.UpdateToken)
+			tokenRoute.POST("/:id/rotate", controller.RotateTokenKey)
 			tokenRoute.DELETE("/:id", controller.DeleteToken)
 		}
 		redemptionRoute := apiRouter.Group("/redemption")
@@ -108,10 +143,14 @@ func SetApiRouter(router *gin.Engine) {
 		logRoute.GET("/", middleware.AdminAuth(), controller.GetAllLogs)
 		logRoute.DELETE("/", middleware.AdminAuth(), controller.DeleteHistoryLogs)
 		logRoute.GET("/stat", middleware.AdminAuth(), controller.GetLogsStat)
+		logRoute.GET("/export", middleware.AdminAuth(), controller.ExportAllLogs)
+		logRoute.GET("/analytics", middleware.AdminAuth(), controller.GetLogAnalytics)
 		logRoute.GET("/self/stat", middleware.UserAuth(), controller.GetLogsSelfStat)
 		logRoute.GET("/search", middleware.AdminAuth(), controller.SearchAllLogs)
 		logRoute.GET("/self", middleware.UserAuth(), controller.GetUserLogs)
 		logRoute.GET("/self/search", middleware.UserAuth(), controller.SearchUserLogs)
+		logRoute.GET("/self/export", middleware.UserAuth(), controller.ExportUserLogs)
+		logRoute.GET("/self/analytics", middleware.UserAuth(), controller.GetUserLogAnalytics)
 		groupRoute := apiRouter.Group("/group")
 		groupRoute.Use(middleware.AdminAuth())
 		{
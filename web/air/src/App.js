@@ -15,6 +15,7 @@ import PasswordResetConfirm from './components/PasswordResetConfirm';
 import { UserContext } from './context/User';
 import Channel from './pages/Channel';
 import Token from './pages/Token';
+import TokenDetail from './pages/Token/TokenDetail';
 import EditChannel from './pages/Channel/EditChannel';
 import Redemption from './pages/Redemption';
 import TopUp from './pages/TopUp';
@@ -23,9 +24,11 @@ import Chat from './pages/Chat';
 import { Layout } from '@douyinfe/semi-ui';
 import Midjourney from './pages/Midjourney';
 import Detail from './pages/Detail';
+import { applyUserLocale } from 'one-api-common';
 
 const Home = lazy(() => import('./pages/Home'));
 const About = lazy(() => import('./pages/About'));
+const Pricing = lazy(() => import('./pages/Pricing'));
 
 function App() {
   const [userState, userDispatch] = useContext(UserContext);
@@ -39,6 +42,11 @@ function App() {
     }
   };
 
+  useEffect(() => {
+    // 登录后沿用用户保存的界面语言
+    if (userState.user) applyUserLocale(userState.user);
+  }, [userState.user]);
+
   useEffect(() => {
     loadUser();
     let systemName = getSystemName();
@@ -98,6 +106,14 @@ function App() {
               </PrivateRoute>
             }
           />
+          <Route
+            path="/token/:id"
+            element={
+              <PrivateRoute>
+                <TokenDetail />
+              </PrivateRoute>
+            }
+          />
           <Route
             path="/redemption"
             element={
@@ -223,13 +239,23 @@ function App() {
             }
           />
           <Route
-            path="/chat"
+            path="/pricing"
             element={
               <Suspense fallback={<Loading></Loading>}>
-                <Chat />
+                <Pricing />
               </Suspense>
             }
           />
+          <Route
+            path="/chat"
+            element={
+              <PrivateRoute>
+                <Suspense fallback={<Loading></Loading>}>
+                  <Chat />
+                </Suspense>
+              </PrivateRoute>
+            }
+          />
           <Route path="*" element={
             <NotFound />
           } />
@@ -0,0 +1,215 @@
+import React, { useEffect, useState } from 'react';
+import { Banner, Button, Card, Checkbox, CheckboxGroup, Input, Modal, Popconfirm, Select, Table, Tag, Typography } from '@douyinfe/semi-ui';
+import {
+  ACCESS_TOKEN_EXPIRY,
+  accessTokenExpiredTime,
+  accessTokenScopesFor,
+  describeAccessTokenScopes,
+  t
+} from 'one-api-common';
+import { api, copy, isAdmin, isRoot, showError, showSuccess, showWarning, timestamp2string } from '../helpers';
+
+const { Text } = Typography;
+
+/**
+ * 个人设置中的访问令牌：创建多个带权限范围与有效期的令牌，用于自动化调用管理接口。
+ */
+const AccessTokenSetting = () => {
+  const role = isRoot() ? 100 : isAdmin() ? 10 : 1;
+  const [tokens, setTokens] = useState([]);
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState([]);
+  const [expiry, setExpiry] = useState(ACCESS_TOKEN_EXPIRY[1].value);
+  const [loading, setLoading] = useState(false);
+  // 刚创建的令牌原文，只显示一次
+  const [createdKey, setCreatedKey] = useState('');
+
+  const loadTokens = async () => {
+    const { success, message, data } = await api.user.accessTokens();
+    if (success) {
+      setTokens(data || []);
+    } else {
+      showError(message);
+    }
+  };
+
+  useEffect(() => {
+    loadTokens().then();
+  }, []);
+
+  const close = () => {
+    setCreating(false);
+    setName('');
+    setScopes([]);
+    setExpiry(ACCESS_TOKEN_EXPIRY[1].value);
+  };
+
+  const submit = async () => {
+    if (!name.trim()) {
+      showError(t('请输入名称'));
+      return;
+    }
+    if (scopes.length === 0) {
+      showError(t('请至少选择一个权限范围'));
+      return;
+    }
+    setLoading(true);
+    try {
+      const { success, message, data } = await api.user.createAccessToken({
+        name: name.trim(),
+        scopes,
+        expired_time: accessTokenExpiredTime(expiry)
+      });
+      if (success) {
+        close();
+        setCreatedKey(data.access_token);
+        await loadTokens();
+      } else {
+        showError(message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const copyKey = async () => {
+    if (await copy(createdKey)) {
+      showSuccess(t('已复制到剪贴板！'));
+    } else {
+      showWarning(t('无法复制到剪贴板，请手动复制'));
+    }
+  };
+
+  const remove = async (token) => {
+    const { success, message } = await api.user.deleteAccessToken(token.id);
+    if (success) {
+      showSuccess(t('访问令牌已删除'));
+      await loadTokens();
+    } else {
+      showError(message);
+    }
+  };
+
+  const renderExpiredTime = (expiredTime) => {
+    if (expiredTime === -1) return t('永不过期');
+    if (expiredTime * 1000 < Date.now()) return <Tag color='red'>{t('已过期')}</Tag>;
+    return timestamp2string(expiredTime);
+  };
+
+  const columns = [
+    { title: t('名称'), dataIndex: 'name' },
+    {
+      title: t('权限'),
+      dataIndex: 'scopes',
+      render: (text) =>
+        describeAccessTokenScopes(text).map((label) => (
+          <Tag key={label} style={{ margin: 2 }}>
+            {label}
+          </Tag>
+        ))
+    },
+    { title: t('过期时间'), dataIndex: 'expired_time', render: renderExpiredTime },
+    {
+      title: t('最近使用'),
+      dataIndex: 'last_used_time',
+      render: (text) => (text ? timestamp2string(text) : t('从未使用'))
+    },
+    {
+      title: '',
+      dataIndex: 'operate',
+      render: (text, record) => (
+        <Popconfirm
+          title={t('删除访问令牌 {name}', { name: record.name })}
+          content={t('删除后使用该令牌的程序将无法再调用管理接口')}
+          okType={'danger'}
+          position={'left'}
+          onConfirm={() => remove(record)}
+        >
+          <Button theme='light' type='danger'>
+            {t('删除')}
+          </Button>
+        </Popconfirm>
+      )
+    }
+  ];
+
+  return (
+    <Card>
+      <Typography.Title heading={6}>{t('访问令牌')}</Typography.Title>
+      <div style={{ marginTop: 10 }}>
+        <Text type='tertiary'>
+          {t('访问令牌用于在程序中调用管理接口，请求时放在 Authorization 请求头中，只能访问所选权限范围内的接口。')}
+        </Text>
+      </div>
+      {tokens.length > 0 && (
+        <Table style={{ marginTop: 10 }} columns={columns} dataSource={tokens} rowKey='id' pagination={false} size='small' />
+      )}
+      <Button style={{ marginTop: 10 }} onClick={() => setCreating(true)}>
+        {t('创建访问令牌')}
+      </Button>
+
+      <Modal
+        title={t('创建访问令牌')}
+        visible={creating}
+        onCancel={close}
+        footer={
+          <>
+            <Button onClick={close}>{t('取消')}</Button>
+            <Button type='primary' theme='solid' loading={loading} onClick={submit}>
+              {t('创建')}
+            </Button>
+          </>
+        }
+      >
+        <Text strong>{t('名称')}</Text>
+        <Input
+          style={{ marginTop: 8 }}
+          placeholder={t('例如：日志同步脚本')}
+          autoFocus
+          maxLength={30}
+          value={name}
+          onChange={setName}
+        />
+        <div style={{ marginTop: 16 }}>
+          <Text strong>{t('权限')}</Text>
+        </div>
+        <CheckboxGroup style={{ marginTop: 8 }} value={scopes} onChange={setScopes}>
+          {accessTokenScopesFor(role).map((scope) => (
+            <Checkbox key={scope.value} value={scope.value}>
+              {t(scope.label)} <Text type='tertiary'>{scope.value}</Text>
+            </Checkbox>
+          ))}
+        </CheckboxGroup>
+        <div style={{ marginTop: 16 }}>
+          <Text strong>{t('有效期')}</Text>
+        </div>
+        <Select
+          style={{ marginTop: 8, width: '100%' }}
+          value={expiry}
+          onChange={setExpiry}
+          optionList={ACCESS_TOKEN_EXPIRY.map((item) => ({ value: item.value, label: t(item.label) }))}
+        />
+      </Modal>
+
+      <Modal
+        title={t('访问令牌已创建')}
+        visible={!!createdKey}
+        onCancel={() => setCreatedKey('')}
+        footer={
+          <>
+            <Button onClick={copyKey}>{t('复制')}</Button>
+            <Button type='primary' theme='solid' onClick={() => setCreatedKey('')}>
+              {t('完成')}
+            </Button>
+          </>
+        }
+      >
+        <Banner type='warning' closeIcon={null} description={t('令牌只显示这一次，请立即复制并妥善保存。')} />
+        <Input style={{ marginTop: 10 }} readonly value={createdKey} />
+      </Modal>
+    </Card>
+  );
+};
+
+export default AccessTokenSetting;
@@ -0,0 +1,207 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Banner, Button, Dropdown, InputNumber, List, Modal, Progress, RadioGroup, Radio, Select, Space, Tag, Typography } from '@douyinfe/semi-ui';
+import { api, showError, showSuccess } from '../helpers';
+import {
+  BulkEditMode,
+  ChannelBulkAction,
+  channelBulkTask,
+  describeChannelBulkAction,
+  runBulk,
+  splitCommaList,
+  t
+} from 'one-api-common';
+
+const { Text } = Typography;
+
+const ChannelBulkActions = ({ channels, onClear, onFinished }) => {
+  const [action, setAction] = useState(null);
+  const [value, setValue] = useState('');
+  const [values, setValues] = useState([]);
+  const [mode, setMode] = useState(BulkEditMode.Replace);
+  const [groupOptions, setGroupOptions] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [results, setResults] = useState([]);
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    api.group
+      .list()
+      .then(({ success, data }) => {
+        if (success) setGroupOptions(data.map((group) => ({ label: group, value: group })));
+      })
+      .catch(() => {});
+    return () => {
+      if (abortRef.current) abortRef.current.abort();
+    };
+  }, []);
+
+  const open = (nextAction) => {
+    setAction(nextAction);
+    setValue('');
+    setValues([]);
+    setMode(BulkEditMode.Replace);
+    setResults([]);
+  };
+
+  const close = () => {
+    if (running) return;
+    const finished = results.length > 0;
+    setAction(null);
+    setResults([]);
+    if (finished) onFinished();
+  };
+
+  const needsValue = action === ChannelBulkAction.Priority || action === ChannelBulkAction.Weight;
+  const needsValues = action === ChannelBulkAction.Group || action === ChannelBulkAction.Models;
+
+  const start = async () => {
+    if (needsValue && (value === '' || value === null)) {
+      showError(t('请输入数值'));
+      return;
+    }
+    if (needsValues && values.length === 0) {
+      showError(t('请至少填写一项'));
+      return;
+    }
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setResults([]);
+    setRunning(true);
+    const task = channelBulkTask(api, action, { value, values, mode });
+    const finalResults = await runBulk(channels, task, {
+      signal: controller.signal,
+      onProgress: (result) => setResults((prev) => [...prev, result])
+    });
+    abortRef.current = null;
+    setRunning(false);
+    const failed = finalResults.filter((result) => !result.success).length;
+    if (failed === 0) {
+      showSuccess(t('已对 {count} 个渠道{action}', { count: finalResults.length, action: describeChannelBulkAction(action) }));
+    } else {
+      showError(t('{count} 个渠道{action}失败，详见列表', { count: failed, action: describeChannelBulkAction(action) }));
+    }
+  };
+
+  const stop = () => {
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  const modelOptions = splitCommaList(channels.flatMap((channel) => splitCommaList(channel.models))).map((model) => ({
+    label: model,
+    value: model
+  }));
+  const succeeded = results.filter((result) => result.success).length;
+
+  return (
+    <>
+      <Banner
+        type='info'
+        closeIcon={null}
+        style={{ marginTop: 15 }}
+        description={
+          <Space>
+            <Text>{t('已选择 {count} 个渠道', { count: channels.length })}</Text>
+            <Dropdown
+              trigger='click'
+              position='bottomLeft'
+              menu={Object.values(ChannelBulkAction).map((item) => ({
+                node: 'item',
+                name: describeChannelBulkAction(item),
+                type: item === ChannelBulkAction.Delete ? 'danger' : undefined,
+                onClick: () => open(item)
+              }))}
+            >
+              <Button theme='light' type='primary'>{t('批量操作')}</Button>
+            </Dropdown>
+            <Button theme='light' type='tertiary' onClick={onClear}>{t('取消选择')}</Button>
+          </Space>
+        }
+      />
+      <Modal
+        title={t('批量{action}（{count} 个渠道）', { action: describeChannelBulkAction(action), count: channels.length })}
+        visible={action !== null}
+        onCancel={close}
+        maskClosable={!running}
+        closable={!running}
+        footer={
+          running ? (
+            <Button type='danger' theme='solid' onClick={stop}>{t('停止')}</Button>
+          ) : (
+            <>
+              <Button onClick={close}>{results.length > 0 ? t('完成') : t('取消')}</Button>
+              {results.length === 0 && (
+                <Button type={action === ChannelBulkAction.Delete ? 'danger' : 'primary'} theme='solid' onClick={start}>
+                  {t('开始')}
+                </Button>
+              )}
+            </>
+          )
+        }
+      >
+        <Space vertical align='start' style={{ width: '100%' }}>
+          {needsValue && (
+            <>
+              <Text strong>{action === ChannelBulkAction.Priority ? t('优先级') : t('权重')}</Text>
+              <InputNumber
+                style={{ width: '100%' }}
+                min={action === ChannelBulkAction.Weight ? 0 : -999}
+                value={value}
+                disabled={running}
+                onChange={(v) => setValue(v)}
+              />
+            </>
+          )}
+          {needsValues && (
+            <>
+              <RadioGroup value={mode} disabled={running} onChange={(e) => setMode(e.target.value)}>
+                <Radio value={BulkEditMode.Replace}>{t('替换为')}</Radio>
+                <Radio value={BulkEditMode.Add}>{t('追加')}</Radio>
+                <Radio value={BulkEditMode.Remove}>{t('移除')}</Radio>
+              </RadioGroup>
+              <Select
+                style={{ width: '100%' }}
+                placeholder={action === ChannelBulkAction.Group ? t('请选择分组') : t('请选择或输入模型')}
+                multiple
+                filter
+                allowCreate={action === ChannelBulkAction.Models}
+                optionList={action === ChannelBulkAction.Group ? groupOptions : modelOptions}
+                value={values}
+                disabled={running}
+                onChange={(v) => setValues(v)}
+              />
+            </>
+          )}
+          {action === ChannelBulkAction.Delete && results.length === 0 && (
+            <Text type='warning'>{t('删除操作不可逆，请确认。')}</Text>
+          )}
+          {results.length > 0 && (
+            <>
+              <Progress
+                percent={Math.round((results.length / channels.length) * 100)}
+                showInfo
+                format={() => `${results.length} / ${channels.length}`}
+                stroke={!running && succeeded !== results.length ? 'var(--semi-color-warning)' : undefined}
+                style={{ width: 400 }}
+              />
+              <List
+                style={{ width: '100%', maxHeight: 320, overflowY: 'auto' }}
+                dataSource={results}
+                renderItem={(result) => (
+                  <List.Item>
+                    <Space>
+                      <Tag color={result.success ? 'green' : 'red'}>{result.success ? t('成功') : t('失败')}</Tag>
+                      <Text>#{result.item.id} {result.item.name}</Text>
+                      {result.message && <Text type='tertiary'>{result.message}</Text>}
+                    </Space>
+                  </List.Item>
+                )}
+              />
+            </>
+          )}
+        </Space>
+      </Modal>
+    </>
+  );
+};
+
+export default ChannelBulkActions;
@@ -0,0 +1,120 @@
+import React, { useEffect, useState } from 'react';
+import { Space, Spin, Tag, Timeline, Typography } from '@douyinfe/semi-ui';
+import { api, showError } from '../helpers';
+import {
+  ChannelHealthType,
+  describeHealthType,
+  formatDateTime,
+  isCanceled,
+  sparklinePoints,
+  summarizeChannelHealth,
+  t
+} from 'one-api-common';
+
+const { Text } = Typography;
+
+const SPARKLINE_WIDTH = 240;
+const SPARKLINE_HEIGHT = 40;
+
+const timelineTypes = {
+  [ChannelHealthType.TestSucceeded]: 'success',
+  [ChannelHealthType.TestFailed]: 'error',
+  [ChannelHealthType.AutoDisabled]: 'warning',
+  [ChannelHealthType.AutoEnabled]: 'ongoing'
+};
+
+function renderSparkline(tests) {
+  const points = sparklinePoints(tests, SPARKLINE_WIDTH, SPARKLINE_HEIGHT);
+  if (points.length === 0) {
+    return <Text type='tertiary'>{t('暂无测试记录')}</Text>;
+  }
+  return (
+    <svg width={SPARKLINE_WIDTH} height={SPARKLINE_HEIGHT} style={{ overflow: 'visible' }}>
+      <polyline
+        fill='none'
+        stroke='var(--semi-color-text-2)'
+        strokeWidth={1}
+        points={points.map((point) => `${point.x},${point.y}`).join(' ')}
+      />
+      {points.map((point) => (
+        <circle
+          key={point.item.id}
+          cx={point.x}
+          cy={point.y}
+          r={3}
+          fill={point.success ? 'var(--semi-color-success)' : 'var(--semi-color-danger)'}
+        >
+          <title>
+            {formatDateTime(point.item.created_at)}{' '}
+            {point.success ? `${point.item.response_time} ms` : point.item.message}
+          </title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+const ChannelHealth = ({ channelId, refreshKey }) => {
+  const [histories, setHistories] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+    api.channel
+      .health(channelId, undefined, { signal: controller.signal })
+      .then(({ success, message, data }) => {
+        if (success) {
+          setHistories(data || []);
+        } else {
+          showError(message);
+        }
+        setLoading(false);
+      })
+      .catch((error) => {
+        if (!isCanceled(error)) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [channelId, refreshKey]);
+
+  if (loading) {
+    return <Spin />;
+  }
+
+  const { tests, successRate } = summarizeChannelHealth(histories);
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: 32, alignItems: 'flex-start' }}>
+      <Space vertical align='start'>
+        <Text strong>
+          {t('成功率')} {successRate === null ? '-' : `${(successRate * 100).toFixed(1)}%`}
+        </Text>
+        <Text type='tertiary' size='small'>{t('最近 {count} 次测试', { count: tests.length })}</Text>
+        {renderSparkline(tests)}
+      </Space>
+      <div style={{ flex: 1, minWidth: 300, maxHeight: 240, overflowY: 'auto' }}>
+        {histories.length === 0 ? (
+          <Text type='tertiary'>{t('暂无健康记录')}</Text>
+        ) : (
+          <Timeline>
+            {histories.map((item) => (
+              <Timeline.Item key={item.id} time={formatDateTime(item.created_at)} type={timelineTypes[item.type]}>
+                <Space>
+                  <Tag>{describeHealthType(item.type)}</Tag>
+                  {item.model_name && <Text>{item.model_name}</Text>}
+                  {item.type === ChannelHealthType.TestSucceeded && <Text>{item.response_time} ms</Text>}
+                </Space>
+                {item.message && (
+                  <div style={{ wordBreak: 'break-all' }}>
+                    <Text type='danger' size='small'>{item.message}</Text>
+                  </div>
+                )}
+              </Timeline.Item>
+            ))}
+          </Timeline>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ChannelHealth;
@@ -0,0 +1,246 @@
+import React, { useRef, useState } from 'react';
+import { Banner, Button, Checkbox, List, Modal, Progress, Radio, RadioGroup, Space, Table, Tag, Typography } from '@douyinfe/semi-ui';
+import { api, showError, showSuccess } from '../helpers';
+import { CHANNEL_OPTIONS } from '../constants';
+import { downloadFile, exportChannels, parseChannelFile, runBulk, validateChannelRow, t } from 'one-api-common';
+
+const { Text } = Typography;
+
+const channelTypes = CHANNEL_OPTIONS.map((option) => option.value);
+
+function renderTypeText(type) {
+  const option = CHANNEL_OPTIONS.find((item) => item.value === type);
+  return option ? t(option.text) : type;
+}
+
+const previewColumns = [
+  { title: '行', dataIndex: 'index', width: 60 },
+  { title: '名称', dataIndex: 'channel.name', render: (text, row) => row.channel.name },
+  { title: '类型', dataIndex: 'channel.type', render: (text, row) => renderTypeText(row.channel.type) },
+  { title: '分组', dataIndex: 'channel.group', render: (text, row) => row.channel.group },
+  {
+    title: '模型',
+    dataIndex: 'channel.models',
+    render: (text, row) => t('{count} 个', { count: row.channel.models.split(',').filter(Boolean).length })
+  },
+  {
+    title: '校验结果',
+    dataIndex: 'errors',
+    render: (errors) =>
+      errors.length === 0 ? <Tag color='green'>{t('通过')}</Tag> : <Text type='danger'>{errors.join('；')}</Text>
+  }
+];
+
+const ChannelTransfer = ({ selectedIds, onImported }) => {
+  const [exportOpen, setExportOpen] = useState(false);
+  const [format, setFormat] = useState('json');
+  const [onlySelected, setOnlySelected] = useState(false);
+  const [maskKey, setMaskKey] = useState(true);
+  const [exporting, setExporting] = useState(false);
+
+  const [importOpen, setImportOpen] = useState(false);
+  const [rows, setRows] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [results, setResults] = useState([]);
+  const fileRef = useRef(null);
+  const abortRef = useRef(null);
+
+  const openExport = () => {
+    setOnlySelected(selectedIds.length > 0);
+    setExportOpen(true);
+  };
+
+  const doExport = async () => {
+    setExporting(true);
+    try {
+      const params = { mask_key: maskKey };
+      if (onlySelected) params.ids = selectedIds.join(',');
+      const { success, message, data } = await api.channel.export(params);
+      if (success) {
+        const file = exportChannels(data, format);
+        downloadFile(file.content, file.filename, file.mime);
+        showSuccess(t('已导出 {count} 个渠道', { count: data.length }));
+        setExportOpen(false);
+      } else {
+        showError(message);
+      }
+    } catch (error) {
+      // 错误已由拦截器提示
+    }
+    setExporting(false);
+  };
+
+  const openImport = () => {
+    setRows([]);
+    setResults([]);
+    setImportOpen(true);
+  };
+
+  const closeImport = () => {
+    if (running) return;
+    const imported = results.some((result) => result.success);
+    setImportOpen(false);
+    if (imported) onImported();
+  };
+
+  const readFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const parsed = parseChannelFile(reader.result, file.name);
+        if (parsed.length === 0) {
+          showError(t('文件中没有渠道'));
+          return;
+        }
+        setRows(parsed.map((row, idx) => ({ index: idx + 1, ...validateChannelRow(row, { types: channelTypes }) })));
+        setResults([]);
+      } catch (error) {
+        showError(error.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const validRows = rows.filter((row) => row.errors.length === 0);
+
+  const doImport = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setResults([]);
+    setRunning(true);
+    const finalResults = await runBulk(
+      validRows.map((row) => row.channel),
+      (channel, { signal }) => api.channel.create(channel, { signal, silent: true }),
+      { signal: controller.signal, onProgress: (result) => setResults((prev) => [...prev, result]) }
+    );
+    abortRef.current = null;
+    setRunning(false);
+    const failed = finalResults.filter((result) => !result.success).length;
+    if (failed === 0) {
+      showSuccess(t('已导入 {count} 个渠道', { count: finalResults.length }));
+    } else {
+      showError(t('{count} 个渠道导入失败，详见列表', { count: failed }));
+    }
+  };
+
+  const stopImport = () => {
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  return (
+    <>
+      <Button theme='light' type='secondary' style={{ marginRight: 8 }} onClick={openExport}>{t('导出渠道')}</Button>
+      <Button theme='light' type='secondary' style={{ marginRight: 8 }} onClick={openImport}>{t('导入渠道')}</Button>
+
+      <Modal
+        title={t('导出渠道')}
+        visible={exportOpen}
+        onCancel={() => setExportOpen(false)}
+        onOk={doExport}
+        okText={t('导出')}
+        confirmLoading={exporting}
+      >
+        <Space vertical align='start'>
+          <Text strong>{t('格式')}</Text>
+          <RadioGroup value={format} onChange={(e) => setFormat(e.target.value)}>
+            <Radio value='json'>JSON</Radio>
+            <Radio value='csv'>CSV</Radio>
+          </RadioGroup>
+          <Text strong>{t('范围')}</Text>
+          <RadioGroup value={onlySelected} onChange={(e) => setOnlySelected(e.target.value)}>
+            <Radio value={false}>{t('全部渠道')}</Radio>
+            <Radio value={true} disabled={selectedIds.length === 0}>{t('已选择的 {count} 个渠道', { count: selectedIds.length })}</Radio>
+          </RadioGroup>
+          <Checkbox checked={maskKey} onChange={(e) => setMaskKey(e.target.checked)}>{t('密钥脱敏')}</Checkbox>
+          {!maskKey && (
+            <Banner
+              type='warning'
+              closeIcon={null}
+              description={t('导出文件将包含明文密钥，请妥善保管。仅超级管理员可以导出明文密钥。')}
+            />
+          )}
+        </Space>
+      </Modal>
+
+      <Modal
+        title={t('导入渠道')}
+        visible={importOpen}
+        onCancel={closeImport}
+        maskClosable={!running}
+        closable={!running}
+        width={900}
+        footer={
+          running ? (
+            <Button type='danger' theme='solid' onClick={stopImport}>{t('停止')}</Button>
+          ) : (
+            <>
+              <Button onClick={closeImport}>{results.length > 0 ? t('完成') : t('取消')}</Button>
+              {results.length === 0 && (
+                <Button type='primary' theme='solid' disabled={validRows.length === 0} onClick={doImport}>
+                  {t('导入 {count} 个渠道', { count: validRows.length })}
+                </Button>
+              )}
+            </>
+          )
+        }
+      >
+        <Space vertical align='start' style={{ width: '100%' }}>
+          <Banner
+            type='info'
+            closeIcon={null}
+            description={t('支持本页面导出的 JSON 或 CSV 文件。每一行会按渠道类型校验，校验通过的渠道会逐个创建，已脱敏的密钥需要先替换为真实密钥。')}
+          />
+          <input type='file' accept='.json,.csv' ref={fileRef} style={{ display: 'none' }} onChange={readFile} />
+          <Button disabled={running} onClick={() => fileRef.current.click()}>{t('选择文件')}</Button>
+          {rows.length > 0 && results.length === 0 && (
+            <>
+              <Text>
+                {t('共 {total} 行，其中 {valid} 行校验通过，{invalid} 行有错误。', {
+                  total: rows.length,
+                  valid: validRows.length,
+                  invalid: rows.length - validRows.length
+                })}
+              </Text>
+              <Table
+                style={{ width: '100%' }}
+                size='small'
+                columns={previewColumns.map((column) => ({ ...column, title: t(column.title) }))}
+                dataSource={rows}
+                rowKey='index'
+                pagination={{ pageSize: 10 }}
+              />
+            </>
+          )}
+          {results.length > 0 && (
+            <>
+              <Progress
+                percent={Math.round((results.length / validRows.length) * 100)}
+                showInfo
+                format={() => `${results.length} / ${validRows.length}`}
+                style={{ width: 400 }}
+              />
+              <List
+                style={{ width: '100%', maxHeight: 320, overflowY: 'auto' }}
+                dataSource={results}
+                renderItem={(result) => (
+                  <List.Item>
+                    <Space>
+                      <Tag color={result.success ? 'green' : 'red'}>{result.success ? t('成功') : t('失败')}</Tag>
+                      <Text>{result.item.name}</Text>
+                      {result.message && <Text type='tertiary'>{result.message}</Text>}
+                    </Space>
+                  </List.Item>
+                )}
+              />
+            </>
+          )}
+        </Space>
+      </Modal>
+    </>
+  );
+};
+
+export default ChannelTransfer;
@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from 'react';
-import { API, isMobile, shouldShowPrompt, showError, showInfo, showSuccess, timestamp2string } from '../helpers';
+import { API, isMobile, shouldShowPrompt, showError, showInfo, showSuccess } from '../helpers';
+import { formatDateTime, t } from 'one-api-common';
 
 import { CHANNEL_OPTIONS, ITEMS_PER_PAGE } from '../constants';
 import { renderGroup, renderNumberWithPoint, renderQuota } from '../helpers/render';
@@ -18,12 +19,16 @@ import {
   Typography
 } from '@douyinfe/semi-ui';
 import EditChannel from '../pages/Channel/EditChannel';
+import ChannelHealth from './ChannelHealth';
+import ChannelBulkActions from './ChannelBulkActions';
+import ChannelTransfer from './ChannelTransfer';
+import ModelTestMatrix from './ModelTestMatrix';
 import { IconTreeTriangleDown } from '@douyinfe/semi-icons';
 
 function renderTimestamp(timestamp) {
   return (
     <>
-      {timestamp2string(timestamp)}
+      {formatDateTime(timestamp)}
     </>
   );
 }
@@ -38,7 +43,7 @@ function renderType(type) {
     }
     type2label[0] = { value: 0, text: '未知类型', color: 'grey' };
   }
-  return <Tag size="large" color={type2label[type]?.color}>{type2label[type]?.text}</Tag>;
+  return <Tag size="large" color={type2label[type]?.color}>{t(type2label[type]?.text)}</Tag>;
 }
 
 const ChannelsTable = () => {
@@ -53,7 +58,7 @@ const ChannelsTable = () => {
       dataIndex: 'id'
     },
     {
-      title: '名称',
+      title: t('名称'),
       dataIndex: 'name'
     },
     // {
@@ -74,7 +79,7 @@ const ChannelsTable = () => {
     //   }
     // },
     {
-      title: '类型',
+      title: t('类型'),
       dataIndex: 'type',
       render: (text, record, index) => {
         return (
@@ -85,7 +90,7 @@ const ChannelsTable = () => {
       }
     },
     {
-      title: '状态',
+      title: t('状态'),
       dataIndex: 'status',
       render: (text, record, index) => {
         return (
@@ -96,7 +101,7 @@ const ChannelsTable = () => {
       }
     },
     {
-      title: '响应时间',
+      title: t('响应时间'),
       dataIndex: 'response_time',
       render: (text, record, index) => {
         return (
@@ -107,16 +112,16 @@ const ChannelsTable = () => {
       }
     },
     {
-      title: '已用/剩余',
+      title: t('已用/剩余'),
       dataIndex: 'expired_time',
       render: (text, record, index) => {
         return (
           <div>
             <Space spacing={1}>
-              <Tooltip content={'已用额度'}>
+              <Tooltip content={t('已用额度')}>
                 <Tag color="white" type="ghost" size="large">{renderQuota(record.used_quota)}</Tag>
               </Tooltip>
-              <Tooltip content={'剩余额度' + record.balance + '，点击更新'}>
+              <Tooltip content={t('剩余额度 {balance}，点击更新', { balance: record.balance })}>
                 <Tag color="white" type="ghost" size="large" onClick={() => {
                   updateChannelBalance(record);
                 }}>${renderNumberWithPoint(record.balance)}</Tag>
@@ -127,7 +132,7 @@ const ChannelsTable = () => {
       }
     },
     {
-      title: '优先级',
+      title: t('优先级'),
       dataIndex: 'priority',
       render: (text, record, index) => {
         return (
@@ -182,10 +187,11 @@ const ChannelsTable = () => {
               <Button style={{ padding: '8px 4px' }} type="primary" icon={<IconTreeTriangleDown />}></Button>
             </Dropdown>
           </SplitButtonGroup> */}
-          <Button theme='light' type='primary' style={{ marginRight: 1 }} onClick={() => testChannel(record)}>测试</Button>
+          <Button theme='light' type='primary' style={{ marginRight: 1 }} onClick={() => testChannel(record)}>{t('测试')}</Button>
+          <Button theme='light' type='primary' style={{ marginRight: 1 }} onClick={() => setMatrixChannel(record)}>{t('测试全部模型')}</Button>
           <Popconfirm
-            title="确定是否要删除此渠道？"
-            content="此修改将不可逆"
+            title={t('确定是否要删除此渠道？')}
+            content={t('此修改将不可逆')}
             okType={'danger'}
             position={'left'}
             onConfirm={() => {
@@ -196,7 +202,7 @@ const ChannelsTable = () => {
               );
             }}
           >
-            <Button theme="light" type="danger" style={{ marginRight: 1 }}>删除</Button>
+            <Button theme="light" type="danger" style={{ marginRight: 1 }}>{t('删除')}</Button>
           </Popconfirm>
           {
             record.status === 1 ?
@@ -208,7 +214,7 @@ const ChannelsTable = () => {
                     record
                   );
                 }
-              }>禁用</Button> :
+              }>{t('禁用')}</Button> :
               <Button theme="light" type="secondary" style={{ marginRight: 1 }} onClick={
                 async () => {
                   manageChannel(
@@ -217,14 +223,14 @@ const ChannelsTable = () => {
                     record
                   );
                 }
-              }>启用</Button>
+              }>{t('启用')}</Button>
           }
           <Button theme="light" type="tertiary" style={{ marginRight: 1 }} onClick={
             () => {
               setEditingChannel(record);
               setShowEdit(true);
             }
-          }>编辑</Button>
+          }>{t('编辑')}</Button>
         </div>
       )
     }
@@ -244,11 +250,11 @@ const ChannelsTable = () => {
   const [channelCount, setChannelCount] = useState(pageSize);
   const [groupOptions, setGroupOptions] = useState([]);
   const [showEdit, setShowEdit] = useState(false);
-  const [enableBatchDelete, setEnableBatchDelete] = useState(false);
   const [editingChannel, setEditingChannel] = useState({
     id: undefined
   });
-  const [selectedChannels, setSelectedChannels] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [matrixChannel, setMatrixChannel] = useState(null);
 
   const removeRecord = id => {
     let newDataSource = [...channels];
@@ -357,7 +363,7 @@ const ChannelsTable = () => {
     }
     const { success, message } = res.data;
     if (success) {
-      showSuccess('操作成功完成！');
+      showSuccess(t('操作成功完成！'));
       let channel = res.data.data;
       let newChannels = [...channels];
       if (action === 'delete') {
@@ -374,23 +380,23 @@ const ChannelsTable = () => {
   const renderStatus = (status) => {
     switch (status) {
       case 1:
-        return <Tag size="large" color="green">已启用</Tag>;
+        return <Tag size="large" color="green">{t('已启用')}</Tag>;
       case 2:
         return (
           <Tag size="large" color="yellow">
-            已禁用
+            {t('已禁用')}
           </Tag>
         );
       case 3:
         return (
           <Tag size="large" color="yellow">
-            自动禁用
+            {t('自动禁用')}
           </Tag>
         );
       default:
         return (
           <Tag size="large" color="grey">
-            未知状态
+            {t('未知状态')}
           </Tag>
         );
     }
@@ -398,9 +404,9 @@ const ChannelsTable = () => {
 
   const renderResponseTime = (responseTime) => {
     let time = responseTime / 1000;
-    time = time.toFixed(2) + ' 秒';
+    time = t('{time} 秒', { time: time.toFixed(2) });
     if (responseTime === 0) {
-      return <Tag size="large" color="grey">未测试</Tag>;
+      return <Tag size="large" color="grey">{t('未测试')}</Tag>;
     } else if (responseTime <= 1000) {
       return <Tag size="large" color="green">{time}</Tag>;
     } else if (responseTime <= 3000) {
@@ -437,7 +443,7 @@ const ChannelsTable = () => {
     if (success) {
       record.response_time = time * 1000;
       record.test_time = Date.now() / 1000;
-      showInfo(`渠道 ${record.name} 测试成功，耗时 ${time.toFixed(2)} 秒。`);
+      showInfo(t('渠道 {name} 测试成功，耗时 {time} 秒。', { name: record.name, time: time.toFixed(2) }));
     } else {
       showError(message);
     }
@@ -447,7 +453,7 @@ const ChannelsTable = () => {
     const res = await API.get(`/api/channel/test?scope=${scope}`);
     const { success, message } = res.data;
     if (success) {
-      showInfo('已成功开始测试渠道，请刷新页面查看结果。');
+      showInfo(t('已成功开始测试渠道，请刷新页面查看结果。'));
     } else {
       showError(message);
     }
@@ -457,7 +463,7 @@ const ChannelsTable = () => {
     const res = await API.delete(`/api/channel/disabled`);
     const { success, message, data } = res.data;
     if (success) {
-      showSuccess(`已删除所有禁用渠道，共计 ${data} 个`);
+      showSuccess(t('已删除所有禁用渠道，共计 {count} 个', { count: data }));
       await refresh();
     } else {
       showError(message);
@@ -470,7 +476,7 @@ const ChannelsTable = () => {
     if (success) {
       record.balance = balance;
       record.balance_updated_time = Date.now() / 1000;
-      showInfo(`渠道 ${record.name} 余额更新成功！`);
+      showInfo(t('渠道 {name} 余额更新成功！', { name: record.name }));
     } else {
       showError(message);
     }
@@ -481,39 +487,18 @@ const ChannelsTable = () => {
     const res = await API.get(`/api/channel/update_balance`);
     const { success, message } = res.data;
     if (success) {
-      showInfo('已更新完毕所有已启用渠道余额！');
+      showInfo(t('已更新完毕所有已启用渠道余额！'));
     } else {
       showError(message);
     }
     setUpdatingBalance(false);
   };
 
-  const batchDeleteChannels = async () => {
-    if (selectedChannels.length === 0) {
-      showError('请先选择要删除的渠道！');
-      return;
-    }
-    setLoading(true);
-    let ids = [];
-    selectedChannels.forEach((channel) => {
-      ids.push(channel.id);
-    });
-    const res = await API.post(`/api/channel/batch`, { ids: ids });
-    const { success, message, data } = res.data;
-    if (success) {
-      showSuccess(`已删除 ${data} 个渠道！`);
-      await refresh();
-    } else {
-      showError(message);
-    }
-    setLoading(false);
-  };
-
   const fixChannelsAbilities = async () => {
     const res = await API.post(`/api/channel/fix`);
     const { success, message, data } = res.data;
     if (success) {
-      showSuccess(`已修复 ${data} 个渠道！`);
+      showSuccess(t('已修复 {count} 个渠道！', { count: data }));
       await refresh();
     } else {
       showError(message);
@@ -576,6 +561,7 @@ const ChannelsTable = () => {
   return (
     <>
       <EditChannel refresh={refresh} visible={showEdit} handleClose={closeEdit} editingChannel={editingChannel} />
+      <ModelTestMatrix channel={matrixChannel} onClose={() => setMatrixChannel(null)} onUpdated={refresh} />
       <div style={{ display: "flex", placeItems: "center", justifyContent: "space-between" }}>
         <Form onSubmit={() => {
           searchChannels(searchKeyword, searchGroup, searchModel);
@@ -584,8 +570,8 @@ const ChannelsTable = () => {
             <Space>
               <Form.Input
                 field="search_keyword"
-                label="搜索"
-                placeholder="ID，名称和密钥 ..."
+                label={t('搜索')}
+                placeholder={t('ID，名称和密钥 ...')}
                 value={searchKeyword}
                 loading={searching}
                 onChange={(v) => {
@@ -606,8 +592,8 @@ const ChannelsTable = () => {
               setSearchGroup(v);
               searchChannels(searchKeyword, v, searchModel);
             }} /> */}
-              <Button label="查询" type="primary" htmlType="submit" className="btn-margin-right"
-                style={{ marginRight: 8 }}>查询</Button>
+              <Button label={t('查询')} type="primary" htmlType="submit" className="btn-margin-right"
+                style={{ marginRight: 8 }}>{t('查询')}</Button>
             </Space>
           </div>
         </Form>
@@ -626,22 +612,23 @@ const ChannelsTable = () => {
                 });
                 setShowEdit(true);
               }
-            }>添加新的渠道</Button>
+            }>{t('添加新的渠道')}</Button>
+            <ChannelTransfer selectedIds={selectedIds} onImported={refresh} />
             <Popconfirm
-              title="确定？"
+              title={t('确定？')}
               okType={'warning'}
               onConfirm={() => { testChannels("all") }}
               position={isMobile() ? 'top' : 'left'}
             >
-              <Button theme="light" type="warning" style={{ marginRight: 8 }}>测试所有渠道</Button>
+              <Button theme="light" type="warning" style={{ marginRight: 8 }}>{t('测试所有渠道')}</Button>
             </Popconfirm>
             <Popconfirm
-              title="确定？"
+              title={t('确定？')}
               okType={'warning'}
               onConfirm={() => { testChannels("disabled") }}
               position={isMobile() ? 'top' : 'left'}
             >
-              <Button theme="light" type="warning" style={{ marginRight: 8 }}>测试禁用渠道</Button>
+              <Button theme="light" type="warning" style={{ marginRight: 8 }}>{t('测试禁用渠道')}</Button>
             </Popconfirm>
             {/* <Popconfirm
             title="确定？"
@@ -651,16 +638,16 @@ const ChannelsTable = () => {
             <Button theme="light" type="secondary" style={{ marginRight: 8 }}>更新所有已启用渠道余额</Button>
           </Popconfirm> */}
             <Popconfirm
-              title="确定是否要删除禁用渠道？"
-              content="此修改将不可逆"
+              title={t('确定是否要删除禁用渠道？')}
+              content={t('此修改将不可逆')}
               okType={'danger'}
               onConfirm={deleteAllDisabledChannels}
               position={isMobile() ? 'top' : 'left'}
             >
-              <Button theme="light" type="danger" style={{ marginRight: 8 }}>删除禁用渠道</Button>
+              <Button theme="light" type="danger" style={{ marginRight: 8 }}>{t('删除禁用渠道')}</Button>
             </Popconfirm>
 
-            <Button theme="light" type="primary" style={{ marginRight: 8 }} onClick={refresh}>刷新</Button>
+            <Button theme="light" type="primary" style={{ marginRight: 8 }} onClick={refresh}>{t('刷新')}</Button>
           </Space>
           {/*<div style={{width: '100%', pointerEvents: 'none', position: 'absolute'}}>*/}
 
@@ -668,21 +655,6 @@ const ChannelsTable = () => {
         </div>
         {/* <div style={{ marginTop: 20 }}>
           <Space>
-            <Typography.Text strong>开启批量删除</Typography.Text>
-            <Switch label="开启批量删除" uncheckedText="关" aria-label="是否开启批量删除" onChange={(v) => {
-              setEnableBatchDelete(v);
-            }}></Switch>
-            <Popconfirm
-              title="确定是否要删除所选渠道？"
-              content="此修改将不可逆"
-              okType={'danger'}
-              onConfirm={batchDeleteChannels}
-              disabled={!enableBatchDelete}
-              position={'top'}
-            >
-              <Button disabled={!enableBatchDelete} theme="light" type="danger"
-                style={{ marginRight: 8 }}>删除所选渠道</Button>
-            </Popconfirm>
             <Popconfirm
               title="确定是否要修复数据库一致性？"
               content="进行该操作时，可能导致渠道访问错误，请仅在数据库出现问题时使用"
@@ -711,6 +683,16 @@ const ChannelsTable = () => {
           </Space>
         </div> */}
       </div>
+      {selectedIds.length > 0 && (
+        <ChannelBulkActions
+          channels={channels.filter((channel) => selectedIds.includes(channel.id))}
+          onClear={() => setSelectedIds([])}
+          onFinished={async () => {
+            setSelectedIds([]);
+            await refresh();
+          }}
+        />
+      )}
       <Table className={'channel-table'} style={{ marginTop: 15 }} columns={columns} dataSource={pageData} pagination={{
         currentPage: activePage,
         pageSize: pageSize,
@@ -722,15 +704,14 @@ const ChannelsTable = () => {
           handlePageSizeChange(size).then();
         },
         onPageChange: handlePageChange
-      }} loading={loading} onRow={handleRow} rowSelection={
-        enableBatchDelete ?
-          {
-            onChange: (selectedRowKeys, selectedRows) => {
-              // console.log(`selectedRowKeys: ${selectedRowKeys}`, 'selectedRows: ', selectedRows);
-              setSelectedChannels(selectedRows);
-            }
-          } : null
-      } />
+      }} loading={loading} onRow={handleRow} rowKey="id" expandedRowRender={(record) => (
+        <ChannelHealth channelId={record.id} refreshKey={record.test_time} />
+      )} rowSelection={{
+        selectedRowKeys: selectedIds,
+        onChange: (selectedRowKeys) => {
+          setSelectedIds(selectedRowKeys);
+        }
+      }} />
     </>
   );
 };
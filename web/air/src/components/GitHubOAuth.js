@@ -3,12 +3,13 @@ import { Dimmer, Loader, Segment } from 'semantic-ui-react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { API, showError, showSuccess } from '../helpers';
 import { UserContext } from '../context/User';
+import { isTwoFactorPending, t } from 'one-api-common';
 
 const GitHubOAuth = () => {
   const [searchParams, setSearchParams] = useSearchParams();
 
   const [userState, userDispatch] = useContext(UserContext);
-  const [prompt, setPrompt] = useState('处理中...');
+  const [prompt, setPrompt] = useState(t('处理中...'));
   const [processing, setProcessing] = useState(true);
 
   let navigate = useNavigate();
@@ -18,23 +19,26 @@ const GitHubOAuth = () => {
     const { success, message, data } = res.data;
     if (success) {
       if (message === 'bind') {
-        showSuccess('绑定成功！');
+        showSuccess(t('绑定成功！'));
         navigate('/setting');
+      } else if (isTwoFactorPending(data)) {
+        // 启用了两步验证，回到登录页继续输入验证码
+        navigate('/login?two_factor=1');
       } else {
         userDispatch({ type: 'login', payload: data });
         localStorage.setItem('user', JSON.stringify(data));
-        showSuccess('登录成功！');
+        showSuccess(t('登录成功！'));
         navigate('/');
       }
     } else {
       showError(message);
       if (count === 0) {
-        setPrompt(`操作失败，重定向至登录界面中...`);
+        setPrompt(t('操作失败，重定向至登录界面中...'));
         navigate('/setting'); // in case this is failed to bind GitHub
         return;
       }
       count++;
-      setPrompt(`出现错误，第 ${count} 次重试中...`);
+      setPrompt(t('出现错误，第 {count} 次重试中...', { count }));
       await new Promise((resolve) => setTimeout(resolve, count * 2000));
       await sendCode(code, state, count);
     }
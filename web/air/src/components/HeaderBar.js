@@ -2,33 +2,16 @@ import React, { useContext, useEffect, useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { UserContext } from '../context/User';
 
-import { API, getLogo, getSystemName, showSuccess } from '../helpers';
+import { API, api, getLogo, getSystemName, showSuccess } from '../helpers';
+import { getLocale, LOCALE_OPTIONS, switchLocale, t } from 'one-api-common';
 import '../index.css';
 
 import fireworks from 'react-fireworks';
 
-import { IconHelpCircle, IconKey, IconUser } from '@douyinfe/semi-icons';
+import { IconHelpCircle, IconKey, IconLanguage, IconUser } from '@douyinfe/semi-icons';
 import { Avatar, Dropdown, Layout, Nav, Switch } from '@douyinfe/semi-ui';
 import { stringToColor } from '../helpers/render';
 
-// HeaderBar Buttons
-let headerButtons = [
-  {
-    text: '关于',
-    itemKey: 'about',
-    to: '/about',
-    icon: <IconHelpCircle />
-  }
-];
-
-if (localStorage.getItem('chat_link')) {
-  headerButtons.splice(1, 0, {
-    name: '聊天',
-    to: '/chat',
-    icon: 'comments'
-  });
-}
-
 const HeaderBar = () => {
   const [userState, userDispatch] = useContext(UserContext);
   let navigate = useNavigate();
@@ -45,7 +28,7 @@ const HeaderBar = () => {
   async function logout() {
     setShowSidebar(false);
     await API.get('/api/user/logout');
-    showSuccess('注销成功!');
+    showSuccess(t('注销成功!'));
     userDispatch({ type: 'logout' });
     localStorage.removeItem('user');
     navigate('/login');
@@ -105,7 +88,6 @@ const HeaderBar = () => {
               );
             }}
             selectedKeys={[]}
-            // items={headerButtons}
             onSelect={key => {
 
             }}
@@ -125,6 +107,24 @@ const HeaderBar = () => {
                   </Dropdown>
                 }
                 <Nav.Item itemKey={'about'} icon={<IconHelpCircle />} />
+                <Dropdown
+                  position="bottomRight"
+                  render={
+                    <Dropdown.Menu>
+                      {LOCALE_OPTIONS.map((option) => (
+                        <Dropdown.Item
+                          key={option.value}
+                          active={option.value === getLocale()}
+                          onClick={() => switchLocale(api, option.value)}
+                        >
+                          {option.label}
+                        </Dropdown.Item>
+                      ))}
+                    </Dropdown.Menu>
+                  }
+                >
+                  <Nav.Item itemKey={'language'} icon={<IconLanguage />} />
+                </Dropdown>
                 <Switch checkedText="🌞" size={'large'} checked={dark} uncheckedText="🌙" onChange={switchMode} />
                 {userState.user ?
                   <>
@@ -132,7 +132,7 @@ const HeaderBar = () => {
                       position="bottomRight"
                       render={
                         <Dropdown.Menu>
-                          <Dropdown.Item onClick={logout}>退出</Dropdown.Item>
+                          <Dropdown.Item onClick={logout}>{t('退出')}</Dropdown.Item>
                         </Dropdown.Menu>
                       }
                     >
@@ -144,8 +144,8 @@ const HeaderBar = () => {
                   </>
                   :
                   <>
-                    <Nav.Item itemKey={'login'} text={'登录'} icon={<IconKey />} />
-                    <Nav.Item itemKey={'register'} text={'注册'} icon={<IconUser />} />
+                    <Nav.Item itemKey={'login'} text={t('登录')} icon={<IconKey />} />
+                    <Nav.Item itemKey={'register'} text={t('注册')} icon={<IconUser />} />
                   </>
                 }
               </>
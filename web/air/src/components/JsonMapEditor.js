@@ -0,0 +1,248 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { AutoComplete, Banner, Button, Input, InputNumber, List, Space, Tag, TextArea, Typography } from '@douyinfe/semi-ui';
+import { IconDelete, IconSearch } from '@douyinfe/semi-icons';
+import { api } from '../helpers';
+import {
+  checkMappingTargets,
+  describeJsonMapChange,
+  diffJsonMap,
+  isCanceled,
+  JsonMapChange,
+  parseJsonMap,
+  splitCommaList,
+  stringifyJsonMap,
+  validateJsonMap,
+  t
+} from 'one-api-common';
+
+const { Text } = Typography;
+
+// 行数较多时（例如模型倍率）显示搜索框
+const FILTER_THRESHOLD = 20;
+// 自动补全最多展示的候选项
+const MAX_SUGGESTIONS = 20;
+
+const changeColors = {
+  [JsonMapChange.Added]: 'green',
+  [JsonMapChange.Removed]: 'red',
+  [JsonMapChange.Changed]: 'amber'
+};
+
+function formatValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function checkText(text, rules) {
+  try {
+    return validateJsonMap(parseJsonMap(text), rules).errors;
+  } catch (error) {
+    return [error.message];
+  }
+}
+
+function suggest(options, input) {
+  const keyword = (input || '').toLowerCase();
+  return options.filter((option) => option.toLowerCase().includes(keyword)).slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * 以表格方式编辑 JSON 对象，也可以切换回 JSON 文本。
+ * onChange(text, errors) 中 errors 为空时 text 才可以保存。
+ * mapping 为 true 时按模型映射校验，并根据 models 与 channelType 检查目标模型。
+ */
+const JsonMapEditor = ({
+  label,
+  value,
+  savedValue,
+  onChange,
+  numeric = false,
+  mapping = false,
+  emptyText = '',
+  keyLabel = t('键'),
+  valueLabel = t('值'),
+  keyOptions = [],
+  valueOptions = [],
+  placeholder,
+  models,
+  channelType
+}) => {
+  const rules = { numeric, mapping };
+  const [rows, setRows] = useState([]);
+  const [rawMode, setRawMode] = useState(false);
+  const [filter, setFilter] = useState('');
+  const [ratios, setRatios] = useState(undefined);
+  const lastEmitted = useRef(null);
+
+  useEffect(() => {
+    if (value === lastEmitted.current) return;
+    lastEmitted.current = value;
+    try {
+      setRows(parseJsonMap(value));
+    } catch (error) {
+      // 已保存的值无法解析时只能以文本方式编辑
+      setRawMode(true);
+    }
+  }, [value]);
+
+  const targets = mapping ? splitCommaList(rows.map((row) => String(row.value))).join(',') : '';
+
+  useEffect(() => {
+    if (!mapping || targets === '') {
+      setRatios(undefined);
+      return;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      api.channel
+        .modelRatio({ type: channelType, models: targets }, { signal: controller.signal, silent: true })
+        .then(({ success, data }) => {
+          if (success) setRatios(data);
+        })
+        .catch((error) => {
+          if (!isCanceled(error)) setRatios(undefined);
+        });
+    }, 500);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [mapping, targets, channelType]);
+
+  const updateRows = (nextRows) => {
+    setRows(nextRows);
+    const text = stringifyJsonMap(nextRows, { numeric, emptyText });
+    lastEmitted.current = text;
+    onChange(text, validateJsonMap(nextRows, rules).errors);
+  };
+
+  const updateRow = (idx, field, fieldValue) => {
+    updateRows(rows.map((row, i) => (i === idx ? { ...row, [field]: fieldValue } : row)));
+  };
+
+  const changeRaw = (text) => {
+    lastEmitted.current = text;
+    onChange(text, checkText(text, rules));
+  };
+
+  const toggleMode = () => {
+    if (!rawMode) {
+      setRawMode(true);
+      return;
+    }
+    try {
+      setRows(parseJsonMap(value));
+      setRawMode(false);
+    } catch (error) {
+      onChange(value, [error.message]);
+    }
+  };
+
+  const { rowErrors } = validateJsonMap(rows, rules);
+  const rowWarnings = mapping ? checkMappingTargets(rows, { models, ratios }) : rows.map(() => []);
+  const changes = savedValue === undefined ? [] : diffJsonMap(savedValue, value);
+  const rawErrors = rawMode ? checkText(value, rules) : [];
+  const keyword = filter.trim().toLowerCase();
+
+  return (
+    <div style={{ width: '100%' }}>
+      <Space>
+        <Text strong>{label}</Text>
+        <Button size='small' theme='borderless' onClick={toggleMode}>{rawMode ? t('表格编辑') : t('编辑 JSON')}</Button>
+      </Space>
+      {rawMode ? (
+        <>
+          <TextArea
+            value={value}
+            placeholder={placeholder}
+            onChange={changeRaw}
+            autosize
+            style={{ fontFamily: 'JetBrains Mono, Consolas' }}
+            autoComplete='new-password'
+          />
+          {rawErrors.length > 0 && (
+            <Banner type='danger' closeIcon={null} description={rawErrors.join('；')} />
+          )}
+        </>
+      ) : (
+        <Space vertical align='start' style={{ width: '100%' }}>
+          {rows.length > FILTER_THRESHOLD && (
+            <Input prefix={<IconSearch />} placeholder={t('搜索{label}', { label: keyLabel })} value={filter} onChange={setFilter} />
+          )}
+          {rows.length === 0 && placeholder && <Text type='tertiary'>{placeholder}</Text>}
+          {rows.map((row, idx) => {
+            if (keyword && !row.key.toLowerCase().includes(keyword)) return null;
+            return (
+              <Space key={idx} align='start' wrap>
+                <AutoComplete
+                  style={{ width: 260 }}
+                  placeholder={keyLabel}
+                  data={suggest(keyOptions, row.key)}
+                  value={row.key}
+                  validateStatus={rowErrors[idx] ? 'error' : 'default'}
+                  onChange={(value) => updateRow(idx, 'key', value)}
+                />
+                {numeric ? (
+                  <InputNumber
+                    style={{ width: 160 }}
+                    placeholder={valueLabel}
+                    min={0}
+                    value={row.value}
+                    onChange={(value) => updateRow(idx, 'value', value === '' ? '' : String(value))}
+                  />
+                ) : (
+                  <AutoComplete
+                    style={{ width: 260 }}
+                    placeholder={valueLabel}
+                    data={suggest(valueOptions, row.value)}
+                    value={row.value}
+                    validateStatus={!rowErrors[idx] && rowWarnings[idx].length > 0 ? 'warning' : 'default'}
+                    onChange={(value) => updateRow(idx, 'value', value)}
+                  />
+                )}
+                <Button
+                  icon={<IconDelete />}
+                  type='danger'
+                  theme='borderless'
+                  onClick={() => updateRows(rows.filter((item, i) => i !== idx))}
+                />
+                {rowErrors[idx] && <Text type='danger'>{rowErrors[idx]}</Text>}
+                {!rowErrors[idx] && rowWarnings[idx].length > 0 && <Text type='warning'>{rowWarnings[idx].join('；')}</Text>}
+              </Space>
+            );
+          })}
+          <Button
+            onClick={() => {
+              setFilter('');
+              updateRows([...rows, { key: '', value: '' }]);
+            }}
+          >
+            {t('添加一行')}
+          </Button>
+        </Space>
+      )}
+      {changes.length > 0 && (
+        <List
+          size='small'
+          style={{ marginTop: 8 }}
+          header={<Text strong>{t('与已保存的值相比有 {count} 处改动', { count: changes.length })}</Text>}
+          dataSource={changes}
+          renderItem={(change) => (
+            <List.Item>
+              <Space>
+                <Tag color={changeColors[change.type]}>{describeJsonMapChange(change.type)}</Tag>
+                <Text>
+                  {change.key}
+                  {change.type === JsonMapChange.Changed && `：${formatValue(change.before)} → ${formatValue(change.after)}`}
+                  {change.type === JsonMapChange.Added && `：${formatValue(change.after)}`}
+                  {change.type === JsonMapChange.Removed && `：${formatValue(change.before)}`}
+                </Text>
+              </Space>
+            </List.Item>
+          )}
+        />
+      )}
+    </div>
+  );
+};
+
+export default JsonMapEditor;
@@ -0,0 +1,86 @@
+import React, { useRef, useState } from 'react';
+import { Banner, Button, Modal, Progress, Radio, RadioGroup, Typography } from '@douyinfe/semi-ui';
+import { API, showError, showSuccess } from '../helpers';
+import { downloadFile, exportLogs, isCanceled, LogExportFormat, t } from 'one-api-common';
+
+const { Text } = Typography;
+
+/**
+ * 按日志表当前的筛选条件导出全部日志，额度同时换算为金额。
+ */
+const LogExportButton = ({ filters, self }) => {
+  const [visible, setVisible] = useState(false);
+  const [format, setFormat] = useState(LogExportFormat.Csv);
+  const [exporting, setExporting] = useState(false);
+  const [progress, setProgress] = useState({ received: 0, total: 0 });
+  const controllerRef = useRef(null);
+
+  const start = async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setExporting(true);
+    setProgress({ received: 0, total: 0 });
+    try {
+      const { blob, filename, received } = await exportLogs({
+        baseURL: API.defaults.baseURL,
+        self,
+        filters,
+        format,
+        signal: controller.signal,
+        onProgress: (received, total) => setProgress({ received, total })
+      });
+      downloadFile(blob, filename);
+      showSuccess(t('已导出 {count} 条日志', { count: received }));
+      setVisible(false);
+    } catch (error) {
+      if (!isCanceled(error)) showError(error);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const close = () => {
+    if (controllerRef.current) controllerRef.current.abort();
+    setVisible(false);
+  };
+
+  return (
+    <>
+      <Button onClick={() => setVisible(true)}>{t('导出')}</Button>
+      <Modal
+        title={t('导出日志')}
+        visible={visible}
+        onCancel={close}
+        onOk={start}
+        okText={t('开始导出')}
+        cancelText={exporting ? t('取消') : t('关闭')}
+        okButtonProps={{ loading: exporting }}
+        maskClosable={!exporting}
+      >
+        <Banner
+          type='info'
+          closeIcon={null}
+          description={t('将按当前的筛选条件导出全部匹配的日志，额度会同时换算为美元金额。')}
+        />
+        <div style={{ marginTop: 16 }}>
+          <Text strong style={{ marginRight: 12 }}>{t('格式')}</Text>
+          <RadioGroup value={format} disabled={exporting} onChange={(e) => setFormat(e.target.value)}>
+            <Radio value={LogExportFormat.Csv}>CSV</Radio>
+            <Radio value={LogExportFormat.Xlsx}>Excel (XLSX)</Radio>
+          </RadioGroup>
+        </div>
+        {exporting && (
+          <div style={{ marginTop: 16 }}>
+            <Progress
+              percent={progress.total ? Math.round((progress.received / progress.total) * 100) : 0}
+              showInfo
+            />
+            <Text type='tertiary'>{t('已接收 {received} / {total} 条', { received: progress.received, total: progress.total })}</Text>
+          </div>
+        )}
+      </Modal>
+    </>
+  );
+};
+
+export default LogExportButton;
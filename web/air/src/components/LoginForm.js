@@ -1,15 +1,16 @@
 import React, { useContext, useEffect, useState } from 'react';
 import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { UserContext } from '../context/User';
-import { API, getLogo, showError, showInfo, showSuccess } from '../helpers';
+import { API, api, getLogo, showError, showInfo, showSuccess, showWarning } from '../helpers';
+import { isPasskeySupported, isTwoFactorPending, needsTwoFactorSetup, signInWithPasskey, t } from 'one-api-common';
 import { onGitHubOAuthClicked } from './utils';
 import Turnstile from 'react-turnstile';
-import { Button, Card, Divider, Form, Icon, Layout, Modal } from '@douyinfe/semi-ui';
+import { Button, Card, Divider, Form, Icon, Input, Layout, Modal } from '@douyinfe/semi-ui';
 import Title from '@douyinfe/semi-ui/lib/es/typography/title';
 import Text from '@douyinfe/semi-ui/lib/es/typography/text';
 import TelegramLoginButton from 'react-telegram-login';
 
-import { IconGithubLogo } from '@douyinfe/semi-icons';
+import { IconGithubLogo, IconKey } from '@douyinfe/semi-icons';
 import WeChatIcon from './WeChatIcon';
 
 const LoginForm = () => {
@@ -20,6 +21,8 @@ const LoginForm = () => {
   });
   const [searchParams, setSearchParams] = useSearchParams();
   const [submitted, setSubmitted] = useState(false);
+  const [twoFactor, setTwoFactor] = useState(false);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
   const { username, password } = inputs;
   const [userState, userDispatch] = useContext(UserContext);
   const [turnstileEnabled, setTurnstileEnabled] = useState(false);
@@ -28,10 +31,14 @@ const LoginForm = () => {
   let navigate = useNavigate();
   const [status, setStatus] = useState({});
   const logo = getLogo();
+  const passkeyLogin = status.passkey_login && isPasskeySupported();
 
   useEffect(() => {
     if (searchParams.get('expired')) {
-      showError('未登录或登录已过期，请重新登录！');
+      showError(t('未登录或登录已过期，请重新登录！'));
+    }
+    if (searchParams.get('two_factor')) {
+      setTwoFactor(true);
     }
     let status = localStorage.getItem('status');
     if (status) {
@@ -52,7 +59,7 @@ const LoginForm = () => {
 
   const onSubmitWeChatVerificationCode = async () => {
     if (turnstileEnabled && turnstileToken === '') {
-      showInfo('请稍后几秒重试，Turnstile 正在检查用户环境！');
+      showInfo(t('请稍后几秒重试，Turnstile 正在检查用户环境！'));
       return;
     }
     const res = await API.get(
@@ -60,10 +67,15 @@ const LoginForm = () => {
     );
     const { success, message, data } = res.data;
     if (success) {
+      if (isTwoFactorPending(data)) {
+        setShowWeChatLoginModal(false);
+        setTwoFactor(true);
+        return;
+      }
       userDispatch({ type: 'login', payload: data });
       localStorage.setItem('user', JSON.stringify(data));
       navigate('/');
-      showSuccess('登录成功！');
+      showSuccess(t('登录成功！'));
       setShowWeChatLoginModal(false);
     } else {
       showError(message);
@@ -74,9 +86,24 @@ const LoginForm = () => {
     setInputs((inputs) => ({ ...inputs, [name]: value }));
   }
 
+  function onLoggedIn(data) {
+    userDispatch({ type: 'login', payload: data });
+    localStorage.setItem('user', JSON.stringify(data));
+    showSuccess(t('登录成功！'));
+    if (username === 'root' && password === '123456') {
+      Modal.error({ title: t('您正在使用默认密码！'), content: t('请立刻修改默认密码！'), centered: true });
+    }
+    if (needsTwoFactorSetup(data, status)) {
+      showWarning(t('系统要求管理员启用两步验证，请在个人设置中启用'));
+      navigate('/setting');
+    } else {
+      navigate('/token');
+    }
+  }
+
   async function handleSubmit(e) {
     if (turnstileEnabled && turnstileToken === '') {
-      showInfo('请稍后几秒重试，Turnstile 正在检查用户环境！');
+      showInfo(t('请稍后几秒重试，Turnstile 正在检查用户环境！'));
       return;
     }
     setSubmitted(true);
@@ -87,18 +114,36 @@ const LoginForm = () => {
       });
       const { success, message, data } = res.data;
       if (success) {
-        userDispatch({ type: 'login', payload: data });
-        localStorage.setItem('user', JSON.stringify(data));
-        showSuccess('登录成功！');
-        if (username === 'root' && password === '123456') {
-          Modal.error({ title: '您正在使用默认密码！', content: '请立刻修改默认密码！', centered: true });
+        if (isTwoFactorPending(data)) {
+          setTwoFactor(true);
+          return;
         }
-        navigate('/token');
+        onLoggedIn(data);
       } else {
         showError(message);
       }
     } else {
-      showError('请输入用户名和密码！');
+      showError(t('请输入用户名和密码！'));
+    }
+  }
+
+  async function onPasskeyLoginClicked() {
+    const { success, message, data } = await signInWithPasskey(api);
+    if (success) {
+      onLoggedIn(data);
+    } else {
+      showError(message);
+    }
+  }
+
+  async function submitTwoFactor() {
+    if (!twoFactorCode.trim()) return;
+    const { success, message, data } = await api.user.loginTwoFactor({ code: twoFactorCode.trim() });
+    if (success) {
+      onLoggedIn(data);
+    } else {
+      showError(message);
+      setTwoFactorCode('');
     }
   }
 
@@ -116,7 +161,7 @@ const LoginForm = () => {
     if (success) {
       userDispatch({ type: 'login', payload: data });
       localStorage.setItem('user', JSON.stringify(data));
-      showSuccess('登录成功！');
+      showSuccess(t('登录成功！'));
       navigate('/');
     } else {
       showError(message);
@@ -133,42 +178,68 @@ const LoginForm = () => {
             <div style={{ width: 500 }}>
               <Card>
                 <Title heading={2} style={{ textAlign: 'center' }}>
-                  用户登录
+                  {t('用户登录')}
                 </Title>
-                <Form>
-                  <Form.Input
-                    field={'username'}
-                    label={'用户名'}
-                    placeholder="用户名"
-                    name="username"
-                    onChange={(value) => handleChange('username', value)}
-                  />
-                  <Form.Input
-                    field={'password'}
-                    label={'密码'}
-                    placeholder="密码"
-                    name="password"
-                    type="password"
-                    onChange={(value) => handleChange('password', value)}
-                  />
+                {twoFactor ? (
+                  <div>
+                    <Text>{t('请输入验证器应用中的 6 位验证码，或一个恢复码')}</Text>
+                    <Input
+                      style={{ marginTop: 12 }}
+                      size="large"
+                      placeholder={t('验证码或恢复码')}
+                      autoComplete="one-time-code"
+                      autoFocus
+                      value={twoFactorCode}
+                      onChange={setTwoFactorCode}
+                      onEnterPress={submitTwoFactor}
+                    />
+                    <Button theme="solid" style={{ width: '100%', marginTop: 12 }} type={'primary'} size="large"
+                            onClick={submitTwoFactor}>
+                      {t('验证')}
+                    </Button>
+                    <Button style={{ width: '100%', marginTop: 8 }} size="large" onClick={() => {
+                      setTwoFactor(false);
+                      setTwoFactorCode('');
+                    }}>
+                      {t('返回')}
+                    </Button>
+                  </div>
+                ) : (
+                  <Form>
+                    <Form.Input
+                      field={'username'}
+                      label={t('用户名')}
+                      placeholder={t('用户名')}
+                      name="username"
+                      onChange={(value) => handleChange('username', value)}
+                    />
+                    <Form.Input
+                      field={'password'}
+                      label={t('密码')}
+                      placeholder={t('密码')}
+                      name="password"
+                      type="password"
+                      onChange={(value) => handleChange('password', value)}
+                    />
 
-                  <Button theme="solid" style={{ width: '100%' }} type={'primary'} size="large"
-                          htmlType={'submit'} onClick={handleSubmit}>
-                    登录
-                  </Button>
-                </Form>
+                    <Button theme="solid" style={{ width: '100%' }} type={'primary'} size="large"
+                            htmlType={'submit'} onClick={handleSubmit}>
+                      {t('登录')}
+                    </Button>
+                  </Form>
+                )}
                 <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: 20 }}>
                   <Text>
-                    没有账号请先 <Link to="/register">注册账号</Link>
+                    {t('没有账号请先')} <Link to="/register">{t('注册账号')}</Link>
                   </Text>
                   <Text>
-                    忘记密码 <Link to="/reset">点击重置</Link>
+                    {t('忘记密码')} <Link to="/reset">{t('点击重置')}</Link>
                   </Text>
                 </div>
-                {status.github_oauth || status.wechat_login || status.telegram_oauth ? (
+                {status.github_oauth || status.wechat_login || status.telegram_oauth || passkeyLogin ? (
                   <>
                     <Divider margin="12px" align="center">
-                      第三方登录
+                      {t('第三方登录')}
                     </Divider>
                     <div style={{ display: 'flex', justifyContent: 'center', marginTop: 20 }}>
                       {status.github_oauth ? (
@@ -196,18 +267,28 @@ const LoginForm = () => {
                       ) : (
                         <></>
                       )}
+                      {passkeyLogin ? (
+                        <Button
+                          type="primary"
+                          icon={<IconKey />}
+                          title={t('使用 Passkey 登录')}
+                          onClick={onPasskeyLoginClicked}
+                        />
+                      ) : (
+                        <></>
+                      )}
                     </div>
                   </>
                 ) : (
                   <></>
                 )}
                 <Modal
-                  title="微信扫码登录"
+                  title={t('微信扫码登录')}
                   visible={showWeChatLoginModal}
                   maskClosable={true}
                   onOk={onSubmitWeChatVerificationCode}
                   onCancel={() => setShowWeChatLoginModal(false)}
-                  okText={'登录'}
+                  okText={t('登录')}
                   size={'small'}
                   centered={true}
                 >
@@ -216,14 +297,14 @@ const LoginForm = () => {
                   </div>
                   <div style={{ textAlign: 'center' }}>
                     <p>
-                      微信扫码关注公众号，输入「验证码」获取验证码（三分钟内有效）
+                      {t('微信扫码关注公众号，输入「验证码」获取验证码（三分钟内有效）')}
                     </p>
                   </div>
                   <Form size="large">
                     <Form.Input
                       field={'wechat_verification_code'}
-                      placeholder="验证码"
-                      label={'验证码'}
+                      placeholder={t('验证码')}
+                      label={t('验证码')}
                       value={inputs.wechat_verification_code}
                       onChange={(value) => handleChange('wechat_verification_code', value)}
                     />
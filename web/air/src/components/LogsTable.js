@@ -1,16 +1,18 @@
 import React, { useEffect, useState } from 'react';
 import { API, copy, isAdmin, showError, showSuccess, timestamp2string } from '../helpers';
+import { formatDateTime, t } from 'one-api-common';
 
 import { Avatar, Button, Form, Layout, Modal, Select, Space, Spin, Table, Tag } from '@douyinfe/semi-ui';
 import { ITEMS_PER_PAGE } from '../constants';
 import { renderNumber, renderQuota, stringToColor } from '../helpers/render';
 import Paragraph from '@douyinfe/semi-ui/lib/es/typography/paragraph';
+import LogExportButton from './LogExportButton';
 
 const { Header } = Layout;
 
 function renderTimestamp(timestamp) {
   return (<>
-    {timestamp2string(timestamp)}
+    {formatDateTime(timestamp)}
   </>);
 }
 
@@ -21,23 +23,25 @@ const colors = ['amber', 'blue', 'cyan', 'green', 'grey', 'indigo', 'light-blue'
 function renderType(type) {
   switch (type) {
     case 1:
-      return <Tag color="cyan" size="large"> 充值 </Tag>;
+      return <Tag color="cyan" size="large"> {t('充值')} </Tag>;
     case 2:
-      return <Tag color="lime" size="large"> 消费 </Tag>;
+      return <Tag color="lime" size="large"> {t('消费')} </Tag>;
     case 3:
-      return <Tag color="orange" size="large"> 管理 </Tag>;
+      return <Tag color="orange" size="large"> {t('管理')} </Tag>;
     case 4:
-      return <Tag color="purple" size="large"> 系统 </Tag>;
+      return <Tag color="purple" size="large"> {t('系统')} </Tag>;
+    case 5:
+      return <Tag color="red" size="large"> {t('限流')} </Tag>;
     default:
-      return <Tag color="black" size="large"> 未知 </Tag>;
+      return <Tag color="black" size="large"> {t('未知')} </Tag>;
   }
 }
 
 function renderIsStream(bool) {
   if (bool) {
-    return <Tag color="blue" size="large">流</Tag>;
+    return <Tag color="blue" size="large">{t('流')}</Tag>;
   } else {
-    return <Tag color="purple" size="large">非流</Tag>;
+    return <Tag color="purple" size="large">{t('非流')}</Tag>;
   }
 }
 
@@ -54,9 +58,9 @@ function renderUseTime(type) {
 
 const LogsTable = () => {
   const columns = [{
-    title: '时间', dataIndex: 'timestamp2string'
+    title: t('时间'), dataIndex: 'timestamp2string'
   }, {
-    title: '渠道',
+    title: t('渠道'),
     dataIndex: 'channel',
     className: isAdmin() ? 'tableShow' : 'tableHiddle',
     render: (text, record, index) => {
@@ -65,7 +69,7 @@ const LogsTable = () => {
       </div> : <></> : <></>);
     }
   }, {
-    title: '用户',
+    title: t('用户'),
     dataIndex: 'username',
     className: isAdmin() ? 'tableShow' : 'tableHiddle',
     render: (text, record, index) => {
@@ -78,7 +82,7 @@ const LogsTable = () => {
       </div> : <></>);
     }
   }, {
-    title: '令牌', dataIndex: 'token_name', render: (text, record, index) => {
+    title: t('令牌'), dataIndex: 'token_name', render: (text, record, index) => {
       return (record.type === 0 || record.type === 2 ? <div>
         <Tag color="grey" size="large" onClick={() => {
           copyText(text);
@@ -86,15 +90,15 @@ const LogsTable = () => {
       </div> : <></>);
     }
   }, {
-    title: '类型', dataIndex: 'type', render: (text, record, index) => {
+    title: t('类型'), dataIndex: 'type', render: (text, record, index) => {
       return (<div>
         {renderType(text)}
       </div>);
     }
   }, {
-    title: '模型', dataIndex: 'model_name', render: (text, record, index) => {
+    title: t('模型'), dataIndex: 'model_name', render: (text, record, index) => {
       return (record.type === 0 || record.type === 2 ? <div>
-        <Tag color={stringToColor(text)} size="large" onClick={() => {
+        <Tag color={stringToColor(text)} size="large" translate="no" onClick={() => {
           copyText(text);
         }}> {text} </Tag>
       </div> : <></>);
@@ -111,25 +115,25 @@ const LogsTable = () => {
   //   }
   // },
   {
-    title: '提示', dataIndex: 'prompt_tokens', render: (text, record, index) => {
+    title: t('提示'), dataIndex: 'prompt_tokens', render: (text, record, index) => {
       return (record.type === 0 || record.type === 2 ? <div>
         {<span> {text} </span>}
       </div> : <></>);
     }
   }, {
-    title: '补全', dataIndex: 'completion_tokens', render: (text, record, index) => {
+    title: t('补全'), dataIndex: 'completion_tokens', render: (text, record, index) => {
       return (parseInt(text) > 0 && (record.type === 0 || record.type === 2) ? <div>
         {<span> {text} </span>}
       </div> : <></>);
     }
   }, {
-    title: '花费', dataIndex: 'quota', render: (text, record, index) => {
+    title: t('花费'), dataIndex: 'quota', render: (text, record, index) => {
       return (record.type === 0 || record.type === 2 ? <div>
         {renderQuota(text, 6)}
       </div> : <></>);
     }
   }, {
-    title: '详情', dataIndex: 'content', render: (text, record, index) => {
+    title: t('详情'), dataIndex: 'content', render: (text, record, index) => {
       return <Paragraph ellipsis={{ rows: 2, showTooltip: { type: 'popover', opts: { style: { width: 240 } } } }}
         style={{ maxWidth: 240 }}>
         {text}
@@ -211,11 +215,11 @@ const LogsTable = () => {
     const { success, message, data } = res.data;
     if (success) {
       Modal.info({
-        title: '用户信息', content: <div style={{ padding: 12 }}>
-          <p>用户名: {data.username}</p>
-          <p>余额: {renderQuota(data.quota)}</p>
-          <p>已用额度：{renderQuota(data.used_quota)}</p>
-          <p>请求次数：{renderNumber(data.request_count)}</p>
+        title: t('用户信息'), content: <div style={{ padding: 12 }}>
+          <p>{t('用户名:')} {data.username}</p>
+          <p>{t('余额:')} {renderQuota(data.quota)}</p>
+          <p>{t('已用额度：')}{renderQuota(data.used_quota)}</p>
+          <p>{t('请求次数：')}{renderNumber(data.request_count)}</p>
         </div>, centered: true
       });
     } else {
@@ -225,7 +229,7 @@ const LogsTable = () => {
 
   const setLogsFormat = (logs) => {
     for (let i = 0; i < logs.length; i++) {
-      logs[i].timestamp2string = timestamp2string(logs[i].created_at);
+      logs[i].timestamp2string = formatDateTime(logs[i].created_at);
       logs[i].key = '' + logs[i].id;
     }
     // data.key = '' + data.id
@@ -291,10 +295,10 @@ const LogsTable = () => {
 
   const copyText = async (text) => {
     if (await copy(text)) {
-      showSuccess('已复制：' + text);
+      showSuccess(t('已复制：{text}', { text }));
     } else {
       // setSearchKeyword(text);
-      Modal.error({ title: '无法复制到剪贴板，请手动复制', content: text });
+      Modal.error({ title: t('无法复制到剪贴板，请手动复制'), content: text });
     }
   };
 
@@ -332,44 +336,56 @@ const LogsTable = () => {
     <Layout>
       <Header>
         <Spin spinning={loadingStat}>
-          <h3>使用明细（总消耗额度：
+          <h3>{t('使用明细（总消耗额度：')}
             <span onClick={handleEyeClick} style={{
               cursor: 'pointer', color: 'gray'
-            }}>{showStat ? renderQuota(stat.quota) : '点击查看'}</span>
+            }}>{showStat ? renderQuota(stat.quota) : t('点击查看')}</span>
             ）
           </h3>
         </Spin>
       </Header>
       <Form layout="horizontal" style={{ marginTop: 10 }}>
         <>
-          <Form.Input field="token_name" label="令牌名称" style={{ width: 176 }} value={token_name}
-            placeholder={'可选值'} name="token_name"
+          <Form.Input field="token_name" label={t('令牌名称')} style={{ width: 176 }} value={token_name}
+            placeholder={t('可选值')} name="token_name"
             onChange={value => handleInputChange(value, 'token_name')} />
-          <Form.Input field="model_name" label="模型名称" style={{ width: 176 }} value={model_name}
-            placeholder="可选值"
+          <Form.Input field="model_name" label={t('模型名称')} style={{ width: 176 }} value={model_name}
+            placeholder={t('可选值')}
             name="model_name"
             onChange={value => handleInputChange(value, 'model_name')} />
-          <Form.DatePicker field="start_timestamp" label="起始时间" style={{ width: 272 }}
+          <Form.DatePicker field="start_timestamp" label={t('起始时间')} style={{ width: 272 }}
             initValue={start_timestamp}
             value={start_timestamp} type="dateTime"
             name="start_timestamp"
             onChange={value => handleInputChange(value, 'start_timestamp')} />
-          <Form.DatePicker field="end_timestamp" fluid label="结束时间" style={{ width: 272 }}
+          <Form.DatePicker field="end_timestamp" fluid label={t('结束时间')} style={{ width: 272 }}
             initValue={end_timestamp}
             value={end_timestamp} type="dateTime"
             name="end_timestamp"
             onChange={value => handleInputChange(value, 'end_timestamp')} />
           {isAdminUser && <>
-            <Form.Input field="channel" label="渠道 ID" style={{ width: 176 }} value={channel}
-              placeholder="可选值" name="channel"
+            <Form.Input field="channel" label={t('渠道 ID')} style={{ width: 176 }} value={channel}
+              placeholder={t('可选值')} name="channel"
               onChange={value => handleInputChange(value, 'channel')} />
-            <Form.Input field="username" label="用户名称" style={{ width: 176 }} value={username}
-              placeholder={'可选值'} name="username"
+            <Form.Input field="username" label={t('用户名称')} style={{ width: 176 }} value={username}
+              placeholder={t('可选值')} name="username"
               onChange={value => handleInputChange(value, 'username')} />
           </>}
           <Form.Section>
-            <Button label="查询" type="primary" htmlType="submit" className="btn-margin-right"
-              onClick={refresh} loading={loading}>查询</Button>
+            <Button label={t('查询')} type="primary" htmlType="submit" className="btn-margin-right"
+              onClick={refresh} loading={loading}>{t('查询')}</Button>
+            <LogExportButton
+              self={!isAdminUser}
+              filters={{
+                type: logType,
+                username: isAdminUser ? username : '',
+                token_name,
+                model_name,
+                start_timestamp: Date.parse(start_timestamp) / 1000,
+                end_timestamp: Date.parse(end_timestamp) / 1000,
+                channel: isAdminUser ? channel : ''
+              }}
+            />
           </Form.Section>
         </>
       </Form>
@@ -388,11 +404,12 @@ const LogsTable = () => {
         setLogType(parseInt(value));
         refresh(parseInt(value)).then();
       }}>
-        <Select.Option value="0">全部</Select.Option>
-        <Select.Option value="1">充值</Select.Option>
-        <Select.Option value="2">消费</Select.Option>
-        <Select.Option value="3">管理</Select.Option>
-        <Select.Option value="4">系统</Select.Option>
+        <Select.Option value="0">{t('全部')}</Select.Option>
+        <Select.Option value="1">{t('充值')}</Select.Option>
+        <Select.Option value="2">{t('消费')}</Select.Option>
+        <Select.Option value="3">{t('管理')}</Select.Option>
+        <Select.Option value="4">{t('系统')}</Select.Option>
+        <Select.Option value="5">{t('限流')}</Select.Option>
       </Select>
     </Layout>
   </>);
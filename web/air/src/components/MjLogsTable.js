@@ -3,6 +3,7 @@ import { API, copy, isAdmin, showError, showSuccess, timestamp2string } from '..
 
 import { Banner, Button, Form, ImagePreview, Layout, Modal, Progress, Table, Tag, Typography } from '@douyinfe/semi-ui';
 import { ITEMS_PER_PAGE } from '../constants';
+import { t } from 'one-api-common';
 
 
 const colors = ['amber', 'blue', 'cyan', 'green', 'grey', 'indigo',
@@ -13,37 +14,37 @@ const colors = ['amber', 'blue', 'cyan', 'green', 'grey', 'indigo',
 function renderType(type) {
   switch (type) {
     case 'IMAGINE':
-      return <Tag color="blue" size="large">绘图</Tag>;
+      return <Tag color="blue" size="large">{t('绘图')}</Tag>;
     case 'UPSCALE':
-      return <Tag color="orange" size="large">放大</Tag>;
+      return <Tag color="orange" size="large">{t('放大')}</Tag>;
     case 'VARIATION':
-      return <Tag color="purple" size="large">变换</Tag>;
+      return <Tag color="purple" size="large">{t('变换')}</Tag>;
     case 'HIGH_VARIATION':
-      return <Tag color="purple" size="large">强变换</Tag>;
+      return <Tag color="purple" size="large">{t('强变换')}</Tag>;
     case 'LOW_VARIATION':
-      return <Tag color="purple" size="large">弱变换</Tag>;
+      return <Tag color="purple" size="large">{t('弱变换')}</Tag>;
     case 'PAN':
-      return <Tag color="cyan" size="large">平移</Tag>;
+      return <Tag color="cyan" size="large">{t('平移')}</Tag>;
     case 'DESCRIBE':
-      return <Tag color="yellow" size="large">图生文</Tag>;
+      return <Tag color="yellow" size="large">{t('图生文')}</Tag>;
     case 'BLEND':
-      return <Tag color="lime" size="large">图混合</Tag>;
+      return <Tag color="lime" size="large">{t('图混合')}</Tag>;
     case 'SHORTEN':
-      return <Tag color="pink" size="large">缩词</Tag>;
+      return <Tag color="pink" size="large">{t('缩词')}</Tag>;
     case 'REROLL':
-      return <Tag color="indigo" size="large">重绘</Tag>;
+      return <Tag color="indigo" size="large">{t('重绘')}</Tag>;
     case 'INPAINT':
-      return <Tag color="violet" size="large">局部重绘-提交</Tag>;
+      return <Tag color="violet" size="large">{t('局部重绘-提交')}</Tag>;
     case 'ZOOM':
-      return <Tag color="teal" size="large">变焦</Tag>;
+      return <Tag color="teal" size="large">{t('变焦')}</Tag>;
     case 'CUSTOM_ZOOM':
-      return <Tag color="teal" size="large">自定义变焦-提交</Tag>;
+      return <Tag color="teal" size="large">{t('自定义变焦-提交')}</Tag>;
     case 'MODAL':
-      return <Tag color="green" size="large">窗口处理</Tag>;
+      return <Tag color="green" size="large">{t('窗口处理')}</Tag>;
     case 'SWAP_FACE':
-      return <Tag color="light-green" size="large">换脸</Tag>;
+      return <Tag color="light-green" size="large">{t('换脸')}</Tag>;
     default:
-      return <Tag color="white" size="large">未知</Tag>;
+      return <Tag color="white" size="large">{t('未知')}</Tag>;
   }
 }
 
@@ -51,15 +52,15 @@ function renderType(type) {
 function renderCode(code) {
   switch (code) {
     case 1:
-      return <Tag color="green" size="large">已提交</Tag>;
+      return <Tag color="green" size="large">{t('已提交')}</Tag>;
     case 21:
-      return <Tag color="lime" size="large">等待中</Tag>;
+      return <Tag color="lime" size="large">{t('等待中')}</Tag>;
     case 22:
-      return <Tag color="orange" size="large">重复提交</Tag>;
+      return <Tag color="orange" size="large">{t('重复提交')}</Tag>;
     case 0:
-      return <Tag color="yellow" size="large">未提交</Tag>;
+      return <Tag color="yellow" size="large">{t('未提交')}</Tag>;
     default:
-      return <Tag color="white" size="large">未知</Tag>;
+      return <Tag color="white" size="large">{t('未知')}</Tag>;
   }
 }
 
@@ -68,19 +69,19 @@ function renderStatus(type) {
   // Ensure all cases are string literals by adding quotes.
   switch (type) {
     case 'SUCCESS':
-      return <Tag color="green" size="large">成功</Tag>;
+      return <Tag color="green" size="large">{t('成功')}</Tag>;
     case 'NOT_START':
-      return <Tag color="grey" size="large">未启动</Tag>;
+      return <Tag color="grey" size="large">{t('未启动')}</Tag>;
     case 'SUBMITTED':
-      return <Tag color="yellow" size="large">队列中</Tag>;
+      return <Tag color="yellow" size="large">{t('队列中')}</Tag>;
     case 'IN_PROGRESS':
-      return <Tag color="blue" size="large">执行中</Tag>;
+      return <Tag color="blue" size="large">{t('执行中')}</Tag>;
     case 'FAILURE':
-      return <Tag color="red" size="large">失败</Tag>;
+      return <Tag color="red" size="large">{t('失败')}</Tag>;
     case 'MODAL':
-      return <Tag color="yellow" size="large">窗口等待</Tag>;
+      return <Tag color="yellow" size="large">{t('窗口等待')}</Tag>;
     default:
-      return <Tag color="white" size="large">未知</Tag>;
+      return <Tag color="white" size="large">{t('未知')}</Tag>;
   }
 }
 
@@ -103,7 +104,7 @@ const LogsTable = () => {
   const [modalContent, setModalContent] = useState('');
   const columns = [
     {
-      title: '提交时间',
+      title: t('提交时间'),
       dataIndex: 'submit_time',
       render: (text, record, index) => {
         return (
@@ -114,7 +115,7 @@ const LogsTable = () => {
       }
     },
     {
-      title: '渠道',
+      title: t('渠道'),
       dataIndex: 'channel_id',
       className: isAdmin() ? 'tableShow' : 'tableHiddle',
       render: (text, record, index) => {
@@ -130,7 +131,7 @@ const LogsTable = () => {
       }
     },
     {
-      title: '类型',
+      title: t('类型'),
       dataIndex: 'action',
       render: (text, record, index) => {
         return (
@@ -141,7 +142,7 @@ const LogsTable = () => {
       }
     },
     {
-      title: '任务ID',
+      title: t('任务ID'),
       dataIndex: 'mj_id',
       render: (text, record, index) => {
         return (
@@ -152,7 +153,7 @@ const LogsTable = () => {
       }
     },
     {
-      title: '提交结果',
+      title: t('提交结果'),
       dataIndex: 'code',
       className: isAdmin() ? 'tableShow' : 'tableHiddle',
       render: (text, record, index) => {
@@ -164,7 +165,7 @@ const LogsTable = () => {
       }
     },
     {
-      title: '任务状态',
+      title: t('任务状态'),
       dataIndex: 'status',
       className: isAdmin() ? 'tableShow' : 'tableHiddle',
       render: (text, record, index) => {
@@ -176,7 +177,7 @@ const LogsTable = () => {
       }
     },
     {
-      title: '进度',
+      title: t('进度'),
       dataIndex: 'progress',
       render: (text, record, index) => {
         return (
@@ -192,11 +193,11 @@ const LogsTable = () => {
       }
     },
     {
-      title: '结果图片',
+      title: t('结果图片'),
       dataIndex: 'image_url',
       render: (text, record, index) => {
         if (!text) {
-          return '无';
+          return t('无');
         }
         return (
           <Button
@@ -205,7 +206,7 @@ const LogsTable = () => {
               setIsModalOpenurl(true);    // 打开模态框
             }}
           >
-            查看图片
+            {t('查看图片')}
           </Button>
         );
       }
@@ -216,7 +217,7 @@ const LogsTable = () => {
       render: (text, record, index) => {
         // 如果text未定义，返回替代文本，例如空字符串''或其他
         if (!text) {
-          return '无';
+          return t('无');
         }
 
         return (
@@ -239,7 +240,7 @@ const LogsTable = () => {
       render: (text, record, index) => {
         // 如果text未定义，返回替代文本，例如空字符串''或其他
         if (!text) {
-          return '无';
+          return t('无');
         }
 
         return (
@@ -257,12 +258,12 @@ const LogsTable = () => {
       }
     },
     {
-      title: '失败原因',
+      title: t('失败原因'),
       dataIndex: 'fail_reason',
       render: (text, record, index) => {
         // 如果text未定义，返回替代文本，例如空字符串''或其他
         if (!text) {
-          return '无';
+          return t('无');
         }
 
         return (
@@ -370,10 +371,10 @@ const LogsTable = () => {
 
   const copyText = async (text) => {
     if (await copy(text)) {
-      showSuccess('已复制：' + text);
+      showSuccess(t('已复制：{text}', { text }));
     } else {
       // setSearchKeyword(text);
-      Modal.error({ title: '无法复制到剪贴板，请手动复制', content: text });
+      Modal.error({ title: t('无法复制到剪贴板，请手动复制'), content: text });
     }
   };
 
@@ -394,32 +395,32 @@ const LogsTable = () => {
       <Layout>
         {isAdminUser && showBanner ? <Banner
           type="info"
-          description="当前未开启Midjourney回调，部分项目可能无法获得绘图结果，可在运营设置中开启。"
+          description={t('当前未开启Midjourney回调，部分项目可能无法获得绘图结果，可在运营设置中开启。')}
         /> : <></>
         }
         <Form layout="horizontal" style={{ marginTop: 10 }}>
           <>
-            <Form.Input field="channel_id" label="渠道 ID" style={{ width: 176 }} value={channel_id}
-                        placeholder={'可选值'} name="channel_id"
+            <Form.Input field="channel_id" label={t('渠道 ID')} style={{ width: 176 }} value={channel_id}
+                        placeholder={t('可选值')} name="channel_id"
                         onChange={value => handleInputChange(value, 'channel_id')} />
-            <Form.Input field="mj_id" label="任务 ID" style={{ width: 176 }} value={mj_id}
-                        placeholder="可选值"
+            <Form.Input field="mj_id" label={t('任务 ID')} style={{ width: 176 }} value={mj_id}
+                        placeholder={t('可选值')}
                         name="mj_id"
                         onChange={value => handleInputChange(value, 'mj_id')} />
-            <Form.DatePicker field="start_timestamp" label="起始时间" style={{ width: 272 }}
+            <Form.DatePicker field="start_timestamp" label={t('起始时间')} style={{ width: 272 }}
                              initValue={start_timestamp}
                              value={start_timestamp} type="dateTime"
                              name="start_timestamp"
                              onChange={value => handleInputChange(value, 'start_timestamp')} />
-            <Form.DatePicker field="end_timestamp" fluid label="结束时间" style={{ width: 272 }}
+            <Form.DatePicker field="end_timestamp" fluid label={t('结束时间')} style={{ width: 272 }}
                              initValue={end_timestamp}
                              value={end_timestamp} type="dateTime"
                              name="end_timestamp"
                              onChange={value => handleInputChange(value, 'end_timestamp')} />
 
             <Form.Section>
-              <Button label="查询" type="primary" htmlType="submit" className="btn-margin-right"
-                      onClick={refresh}>查询</Button>
+              <Button label={t('查询')} type="primary" htmlType="submit" className="btn-margin-right"
+                      onClick={refresh}>{t('查询')}</Button>
             </Form.Section>
           </>
         </Form>
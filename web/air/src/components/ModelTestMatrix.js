@@ -0,0 +1,177 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Banner, Button, Modal, Popconfirm, Progress, Space, Table, Tag, Typography } from '@douyinfe/semi-ui';
+import { api, showError, showSuccess } from '../helpers';
+import { buildModelTestPlan, removeChannelModels, testChannelModels, t } from 'one-api-common';
+
+const { Text } = Typography;
+
+const ModelTestMatrix = ({ channel, onClose, onUpdated }) => {
+  const [plan, setPlan] = useState([]);
+  const [results, setResults] = useState({});
+  const [running, setRunning] = useState(false);
+  const [removing, setRemoving] = useState(false);
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    setPlan(channel ? buildModelTestPlan(channel) : []);
+    setResults({});
+  }, [channel]);
+
+  useEffect(() => {
+    return () => {
+      if (abortRef.current) abortRef.current.abort();
+    };
+  }, []);
+
+  const finished = Object.values(results);
+  const failedModels = finished.filter((result) => !result.success).map((result) => result.item.model);
+
+  const start = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setResults({});
+    setRunning(true);
+    await testChannelModels(api, channel.id, plan, {
+      signal: controller.signal,
+      onProgress: (result) => setResults((prev) => ({ ...prev, [result.item.model]: result }))
+    });
+    abortRef.current = null;
+    setRunning(false);
+  };
+
+  const stop = () => {
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  const close = () => {
+    if (running || removing) return;
+    const tested = finished.length > 0;
+    onClose();
+    if (tested) onUpdated();
+  };
+
+  const removeFailed = async () => {
+    let patch;
+    try {
+      patch = removeChannelModels(channel, failedModels);
+    } catch (error) {
+      showError(error.message);
+      return;
+    }
+    setRemoving(true);
+    try {
+      const { success, message } = await api.channel.update(patch);
+      if (success) {
+        showSuccess(t('已从渠道移除 {count} 个模型', { count: failedModels.length }));
+        setRemoving(false);
+        onClose();
+        onUpdated();
+        return;
+      }
+      showError(message);
+    } catch (error) {
+      // 错误已由拦截器提示
+    }
+    setRemoving(false);
+  };
+
+  const columns = [
+    { title: t('模型'), dataIndex: 'model' },
+    { title: t('上游模型'), dataIndex: 'target', render: (target, entry) => (entry.mapped ? target : '-') },
+    {
+      title: t('结果'),
+      dataIndex: 'result',
+      render: (text, entry) => {
+        const result = results[entry.model];
+        if (!result) {
+          return running ? <Tag color='blue'>{t('测试中')}</Tag> : <Tag color='grey'>{t('未测试')}</Tag>;
+        }
+        return <Tag color={result.success ? 'green' : 'red'}>{result.success ? t('成功') : t('失败')}</Tag>;
+      }
+    },
+    {
+      title: t('耗时'),
+      dataIndex: 'time',
+      render: (text, entry) => {
+        const result = results[entry.model];
+        return result && result.time !== null ? t('{time} 秒', { time: result.time.toFixed(2) }) : '-';
+      }
+    },
+    {
+      title: t('HTTP 状态'),
+      dataIndex: 'status_code',
+      render: (text, entry) => {
+        const result = results[entry.model];
+        return result && result.statusCode ? result.statusCode : '-';
+      }
+    },
+    {
+      title: t('错误信息'),
+      dataIndex: 'message',
+      render: (text, entry) => {
+        const result = results[entry.model];
+        return result && result.message ? <Text type='danger' style={{ wordBreak: 'break-all' }}>{result.message}</Text> : '';
+      }
+    }
+  ];
+
+  return (
+    <Modal
+      title={`${t('测试全部模型')}${channel ? `：${channel.name}` : ''}`}
+      visible={!!channel}
+      onCancel={close}
+      maskClosable={!running}
+      closable={!running}
+      width={960}
+      footer={
+        running ? (
+          <Button type='danger' theme='solid' onClick={stop}>{t('停止')}</Button>
+        ) : (
+          <>
+            <Button onClick={close}>{t('关闭')}</Button>
+            {failedModels.length > 0 && (
+              <Popconfirm
+                title={t('确定移除失败的模型？')}
+                content={`${t('将从渠道中移除：')}${failedModels.join(', ')}`}
+                okType='danger'
+                onConfirm={removeFailed}
+              >
+                <Button type='danger' loading={removing}>{t('移除 {count} 个失败模型', { count: failedModels.length })}</Button>
+              </Popconfirm>
+            )}
+            <Button type='primary' theme='solid' disabled={plan.length === 0} onClick={start}>
+              {finished.length > 0 ? t('重新测试') : t('开始测试 {count} 个模型', { count: plan.length })}
+            </Button>
+          </>
+        )
+      }
+    >
+      <Space vertical align='start' style={{ width: '100%' }}>
+        <Banner
+          type='info'
+          closeIcon={null}
+          description={t('逐个测试渠道模型列表与模型映射中的模型，映射的模型会请求映射后的上游模型。测试会产生少量额度消耗。')}
+        />
+        {finished.length > 0 && (
+          <Progress
+            percent={Math.round((finished.length / plan.length) * 100)}
+            showInfo
+            format={() => `${finished.length} / ${plan.length}`}
+            stroke={failedModels.length > 0 ? 'var(--semi-color-warning)' : undefined}
+            style={{ width: 400 }}
+          />
+        )}
+        <Table
+          style={{ width: '100%' }}
+          size='small'
+          columns={columns}
+          dataSource={plan}
+          rowKey='model'
+          pagination={false}
+        />
+      </Space>
+    </Modal>
+  );
+};
+
+export default ModelTestMatrix;
@@ -1,6 +1,21 @@
 import React, { useEffect, useState } from 'react';
-import { Divider, Form, Grid, Header } from 'semantic-ui-react';
-import { API, showError, showSuccess, timestamp2string, verifyJSON } from '../helpers';
+import { Button, Divider, Form, Grid, Header, Input, Message, Table } from 'semantic-ui-react';
+import { API, api, showError, showSuccess, timestamp2string, verifyJSON } from '../helpers';
+import JsonMapEditor from './JsonMapEditor';
+import { validateClientTemplates, t } from 'one-api-common';
+
+const RATIO_LABELS = {
+  ModelRatio: '模型倍率',
+  CompletionRatio: '补全倍率',
+  GroupRatio: '分组倍率'
+};
+
+const RATIO_PLACEHOLDERS = {
+  ModelRatio: '为一个 JSON 文本，键为模型名称，值为倍率',
+  CompletionRatio:
+    '为一个 JSON 文本，键为模型名称，值为倍率，此处的倍率设置是模型补全倍率相较于提示倍率的比例，使用该设置可强制覆盖 One API 的内部比例',
+  GroupRatio: '为一个 JSON 文本，键为分组名称，值为倍率'
+};
 
 const OperationSetting = () => {
   let now = new Date();
@@ -26,6 +41,10 @@ const OperationSetting = () => {
     RetryTimes: 0
   });
   const [originInputs, setOriginInputs] = useState({});
+  const [ratioErrors, setRatioErrors] = useState({});
+  const [modelNames, setModelNames] = useState([]);
+  const [groupNames, setGroupNames] = useState([]);
+  const [clientTemplates, setClientTemplates] = useState([]);
   let [loading, setLoading] = useState(false);
   let [historyTimestamp, setHistoryTimestamp] = useState(timestamp2string(now.getTime() / 1000 - 30 * 24 * 3600)); // a month ago
 
@@ -41,6 +60,9 @@ const OperationSetting = () => {
         if (item.value === '{}') {
           item.value = '';
         }
+        if (item.key === 'ClientTemplates') {
+          setClientTemplates(JSON.parse(item.value) || []);
+        }
         newInputs[item.key] = item.value;
       });
       setInputs(newInputs);
@@ -52,6 +74,16 @@ const OperationSetting = () => {
 
   useEffect(() => {
     getOptions().then();
+    api.channel
+      .models()
+      .then(({ data }) => setModelNames(data.map((model) => model.id)))
+      .catch(() => {});
+    api.group
+      .list()
+      .then(({ success, data }) => {
+        if (success) setGroupNames(data);
+      })
+      .catch(() => {});
   }, []);
 
   const updateOption = async (key, value) => {
@@ -66,6 +98,7 @@ const OperationSetting = () => {
     const { success, message } = res.data;
     if (success) {
       setInputs((inputs) => ({ ...inputs, [key]: value }));
+      setOriginInputs((originInputs) => ({ ...originInputs, [key]: value }));
     } else {
       showError(message);
     }
@@ -80,6 +113,15 @@ const OperationSetting = () => {
     }
   };
 
+  const handleRatioChange = (name, value, errors) => {
+    setInputs((inputs) => ({ ...inputs, [name]: value }));
+    setRatioErrors((ratioErrors) => ({ ...ratioErrors, [name]: errors }));
+  };
+
+  const updateClientTemplate = (idx, field, value) => {
+    setClientTemplates((templates) => templates.map((template, i) => (i === idx ? { ...template, [field]: value } : template)));
+  };
+
   const submitConfig = async (group) => {
     switch (group) {
       case 'monitor':
@@ -91,23 +133,29 @@ const OperationSetting = () => {
         }
         break;
       case 'ratio':
+        for (const key of Object.keys(RATIO_LABELS)) {
+          if (ratioErrors[key] && ratioErrors[key].length > 0) {
+            showError(t('{label}有误：{error}', { label: t(RATIO_LABELS[key]), error: ratioErrors[key][0] }));
+            return;
+          }
+        }
         if (originInputs['ModelRatio'] !== inputs.ModelRatio) {
           if (!verifyJSON(inputs.ModelRatio)) {
-            showError('模型倍率不是合法的 JSON 字符串');
+            showError(t('模型倍率不是合法的 JSON 字符串'));
             return;
           }
           await updateOption('ModelRatio', inputs.ModelRatio);
         }
         if (originInputs['GroupRatio'] !== inputs.GroupRatio) {
           if (!verifyJSON(inputs.GroupRatio)) {
-            showError('分组倍率不是合法的 JSON 字符串');
+            showError(t('分组倍率不是合法的 JSON 字符串'));
             return;
           }
           await updateOption('GroupRatio', inputs.GroupRatio);
         }
         if (originInputs['CompletionRatio'] !== inputs.CompletionRatio) {
           if (!verifyJSON(inputs.CompletionRatio)) {
-            showError('补全倍率不是合法的 JSON 字符串');
+            showError(t('补全倍率不是合法的 JSON 字符串'));
             return;
           }
           await updateOption('CompletionRatio', inputs.CompletionRatio);
@@ -141,6 +189,20 @@ const OperationSetting = () => {
           await updateOption('RetryTimes', inputs.RetryTimes);
         }
         break;
+      case 'client': {
+        const errors = validateClientTemplates(clientTemplates);
+        if (errors.length > 0) {
+          showError(errors[0]);
+          return;
+        }
+        const value = JSON.stringify(
+          clientTemplates.map((template) => ({ name: template.name.trim(), url: template.url.trim() }))
+        );
+        if (originInputs['ClientTemplates'] !== value) {
+          await updateOption('ClientTemplates', value);
+        }
+        break;
+      }
     }
   };
 
@@ -149,10 +211,10 @@ const OperationSetting = () => {
     const res = await API.delete(`/api/log/?target_timestamp=${Date.parse(historyTimestamp) / 1000}`);
     const { success, message, data } = res.data;
     if (success) {
-      showSuccess(`${data} 条日志已清理！`);
+      showSuccess(t('{count} 条日志已清理！', { count: data }));
       return;
     }
-    showError('日志清理失败：' + message);
+    showError(t('日志清理失败：{message}', { message }));
   };
 
   return (
@@ -160,39 +222,39 @@ const OperationSetting = () => {
       <Grid.Column>
         <Form loading={loading}>
           <Header as='h3'>
-            通用设置
+            {t('通用设置')}
           </Header>
           <Form.Group widths={4}>
             <Form.Input
-              label='充值链接'
+              label={t('充值链接')}
               name='TopUpLink'
               onChange={handleInputChange}
               autoComplete='new-password'
               value={inputs.TopUpLink}
               type='link'
-              placeholder='例如发卡网站的购买链接'
+              placeholder={t('例如发卡网站的购买链接')}
             />
             <Form.Input
-              label='聊天页面链接'
+              label={t('聊天页面链接')}
               name='ChatLink'
               onChange={handleInputChange}
               autoComplete='new-password'
               value={inputs.ChatLink}
               type='link'
-              placeholder='例如 ChatGPT Next Web 的部署地址'
+              placeholder={t('例如 ChatGPT Next Web 的部署地址')}
             />
             <Form.Input
-              label='单位美元额度'
+              label={t('单位美元额度')}
               name='QuotaPerUnit'
               onChange={handleInputChange}
               autoComplete='new-password'
               value={inputs.QuotaPerUnit}
               type='number'
               step='0.01'
-              placeholder='一单位货币能兑换的额度'
+              placeholder={t('一单位货币能兑换的额度')}
             />
             <Form.Input
-              label='失败重试次数'
+              label={t('失败重试次数')}
               name='RetryTimes'
               type={'number'}
               step='1'
@@ -200,46 +262,111 @@ const OperationSetting = () => {
               onChange={handleInputChange}
               autoComplete='new-password'
               value={inputs.RetryTimes}
-              placeholder='失败重试次数'
+              placeholder={t('失败重试次数')}
             />
           </Form.Group>
           <Form.Group inline>
             <Form.Checkbox
               checked={inputs.DisplayInCurrencyEnabled === 'true'}
-              label='以货币形式显示额度'
+              label={t('以货币形式显示额度')}
               name='DisplayInCurrencyEnabled'
               onChange={handleInputChange}
             />
             <Form.Checkbox
               checked={inputs.DisplayTokenStatEnabled === 'true'}
-              label='Billing 相关 API 显示令牌额度而非用户额度'
+              label={t('Billing 相关 API 显示令牌额度而非用户额度')}
               name='DisplayTokenStatEnabled'
               onChange={handleInputChange}
             />
             <Form.Checkbox
               checked={inputs.ApproximateTokenEnabled === 'true'}
-              label='使用近似的方式估算 token 数以减少计算量'
+              label={t('使用近似的方式估算 token 数以减少计算量')}
               name='ApproximateTokenEnabled'
               onChange={handleInputChange}
             />
           </Form.Group>
           <Form.Button onClick={() => {
             submitConfig('general').then();
-          }}>保存通用设置</Form.Button>
+          }}>{t('保存通用设置')}</Form.Button>
           <Divider />
           <Header as='h3'>
-            日志设置
+            {t('客户端模板')}
+          </Header>
+          <Message size='small'>
+            {t('令牌列表中“复制”与“聊天”菜单里的客户端，以及“使用”对话框中的扫码导入。链接中的')} {'{key}'} {t('会被替换为带 sk- 前缀的令牌，')}
+            {'{server}'} {t('为站点地址，')}{'{server_encoded}'} {t('为 URL 编码后的站点地址。')}
+          </Message>
+          <Table compact size='small' celled>
+            <Table.Header>
+              <Table.Row>
+                <Table.HeaderCell width={4}>{t('名称')}</Table.HeaderCell>
+                <Table.HeaderCell width={11}>{t('链接')}</Table.HeaderCell>
+                <Table.HeaderCell width={1} />
+              </Table.Row>
+            </Table.Header>
+            <Table.Body>
+              {clientTemplates.map((template, idx) => (
+                <Table.Row key={idx}>
+                  <Table.Cell>
+                    <Input
+                      fluid
+                      size='small'
+                      value={template.name}
+                      onChange={(e, { value }) => updateClientTemplate(idx, 'name', value)}
+                    />
+                  </Table.Cell>
+                  <Table.Cell>
+                    <Input
+                      fluid
+                      size='small'
+                      value={template.url}
+                      placeholder={t('例如 opencat://team/join?domain={server_encoded}&token={key}')}
+                      onChange={(e, { value }) => updateClientTemplate(idx, 'url', value)}
+                    />
+                  </Table.Cell>
+                  <Table.Cell>
+                    <Button
+                      type='button'
+                      icon='trash'
+                      size='mini'
+                      basic
+                      onClick={() => setClientTemplates(clientTemplates.filter((item, i) => i !== idx))}
+                    />
+                  </Table.Cell>
+                </Table.Row>
+              ))}
+            </Table.Body>
+            <Table.Footer>
+              <Table.Row>
+                <Table.HeaderCell colSpan='3'>
+                  <Button
+                    type='button'
+                    size='small'
+                    onClick={() => setClientTemplates([...clientTemplates, { name: '', url: '' }])}
+                  >
+                    {t('添加一行')}
+                  </Button>
+                </Table.HeaderCell>
+              </Table.Row>
+            </Table.Footer>
+          </Table>
+          <Form.Button onClick={() => {
+            submitConfig('client').then();
+          }}>{t('保存客户端模板')}</Form.Button>
+          <Divider />
+          <Header as='h3'>
+            {t('日志设置')}
           </Header>
           <Form.Group inline>
             <Form.Checkbox
               checked={inputs.LogConsumeEnabled === 'true'}
-              label='启用额度消费日志记录'
+              label={t('启用额度消费日志记录')}
               name='LogConsumeEnabled'
               onChange={handleInputChange}
             />
           </Form.Group>
           <Form.Group widths={4}>
-            <Form.Input label='目标时间' value={historyTimestamp} type='datetime-local'
+            <Form.Input label={t('目标时间')} value={historyTimestamp} type='datetime-local'
                         name='history_timestamp'
                         onChange={(e, { name, value }) => {
                           setHistoryTimestamp(value);
@@ -247,139 +374,122 @@ const OperationSetting = () => {
           </Form.Group>
           <Form.Button onClick={() => {
             deleteHistoryLogs().then();
-          }}>清理历史日志</Form.Button>
+          }}>{t('清理历史日志')}</Form.Button>
           <Divider />
           <Header as='h3'>
-            监控设置
+            {t('监控设置')}
           </Header>
           <Form.Group widths={3}>
             <Form.Input
-              label='最长响应时间'
+              label={t('最长响应时间')}
               name='ChannelDisableThreshold'
               onChange={handleInputChange}
               autoComplete='new-password'
               value={inputs.ChannelDisableThreshold}
               type='number'
               min='0'
-              placeholder='单位秒，当运行渠道全部测试时，超过此时间将自动禁用渠道'
+              placeholder={t('单位秒，当运行渠道全部测试时，超过此时间将自动禁用渠道')}
             />
             <Form.Input
-              label='额度提醒阈值'
+              label={t('额度提醒阈值')}
               name='QuotaRemindThreshold'
               onChange={handleInputChange}
               autoComplete='new-password'
               value={inputs.QuotaRemindThreshold}
               type='number'
               min='0'
-              placeholder='低于此额度时将发送邮件提醒用户'
+              placeholder={t('低于此额度时将发送邮件提醒用户')}
             />
           </Form.Group>
           <Form.Group inline>
             <Form.Checkbox
               checked={inputs.AutomaticDisableChannelEnabled === 'true'}
-              label='失败时自动禁用渠道'
+              label={t('失败时自动禁用渠道')}
               name='AutomaticDisableChannelEnabled'
               onChange={handleInputChange}
             />
             <Form.Checkbox
               checked={inputs.AutomaticEnableChannelEnabled === 'true'}
-              label='成功时自动启用渠道'
+              label={t('成功时自动启用渠道')}
               name='AutomaticEnableChannelEnabled'
               onChange={handleInputChange}
             />
           </Form.Group>
           <Form.Button onClick={() => {
             submitConfig('monitor').then();
-          }}>保存监控设置</Form.Button>
+          }}>{t('保存监控设置')}</Form.Button>
           <Divider />
           <Header as='h3'>
-            额度设置
+            {t('额度设置')}
           </Header>
           <Form.Group widths={4}>
             <Form.Input
-              label='新用户初始额度'
+              label={t('新用户初始额度')}
               name='QuotaForNewUser'
               onChange={handleInputChange}
               autoComplete='new-password'
               value={inputs.QuotaForNewUser}
               type='number'
               min='0'
-              placeholder='例如：100'
+              placeholder={t('例如：100')}
             />
             <Form.Input
-              label='请求预扣费额度'
+              label={t('请求预扣费额度')}
               name='PreConsumedQuota'
               onChange={handleInputChange}
               autoComplete='new-password'
               value={inputs.PreConsumedQuota}
               type='number'
               min='0'
-              placeholder='请求结束后多退少补'
+              placeholder={t('请求结束后多退少补')}
             />
             <Form.Input
-              label='邀请新用户奖励额度'
+              label={t('邀请新用户奖励额度')}
               name='QuotaForInviter'
               onChange={handleInputChange}
               autoComplete='new-password'
               value={inputs.QuotaForInviter}
               type='number'
               min='0'
-              placeholder='例如：2000'
+              placeholder={t('例如：2000')}
             />
             <Form.Input
-              label='新用户使用邀请码奖励额度'
+              label={t('新用户使用邀请码奖励额度')}
               name='QuotaForInvitee'
               onChange={handleInputChange}
               autoComplete='new-password'
               value={inputs.QuotaForInvitee}
               type='number'
               min='0'
-              placeholder='例如：1000'
+              placeholder={t('例如：1000')}
             />
           </Form.Group>
           <Form.Button onClick={() => {
             submitConfig('quota').then();
-          }}>保存额度设置</Form.Button>
+          }}>{t('保存额度设置')}</Form.Button>
           <Divider />
           <Header as='h3'>
-            倍率设置
+            {t('倍率设置')}
           </Header>
-          <Form.Group widths='equal'>
-            <Form.TextArea
-              label='模型倍率'
-              name='ModelRatio'
-              onChange={handleInputChange}
-              style={{ minHeight: 250, fontFamily: 'JetBrains Mono, Consolas' }}
-              autoComplete='new-password'
-              value={inputs.ModelRatio}
-              placeholder='为一个 JSON 文本，键为模型名称，值为倍率'
-            />
-          </Form.Group>
-          <Form.Group widths='equal'>
-            <Form.TextArea
-              label='补全倍率'
-              name='CompletionRatio'
-              onChange={handleInputChange}
-              style={{ minHeight: 250, fontFamily: 'JetBrains Mono, Consolas' }}
-              autoComplete='new-password'
-              value={inputs.CompletionRatio}
-              placeholder='为一个 JSON 文本，键为模型名称，值为倍率，此处的倍率设置是模型补全倍率相较于提示倍率的比例，使用该设置可强制覆盖 One API 的内部比例'
-            />
-          </Form.Group>
-          <Form.Group widths='equal'>
-            <Form.TextArea
-              label='分组倍率'
-              name='GroupRatio'
-              onChange={handleInputChange}
-              style={{ minHeight: 250, fontFamily: 'JetBrains Mono, Consolas' }}
-              autoComplete='new-password'
-              value={inputs.GroupRatio}
-              placeholder='为一个 JSON 文本，键为分组名称，值为倍率'
-            />
-          </Form.Group>
+          {Object.keys(RATIO_LABELS).map((name) => (
+            <Form.Field key={name}>
+              <JsonMapEditor
+                label={t(RATIO_LABELS[name])}
+                numeric
+                emptyText='{}'
+                value={inputs[name]}
+                savedValue={originInputs[name]}
+                onChange={(value, errors) => handleRatioChange(name, value, errors)}
+                keyLabel={name === 'GroupRatio' ? t('分组') : t('模型')}
+                valueLabel={t('倍率')}
+                keyOptions={name === 'GroupRatio' ? groupNames : modelNames}
+                placeholder={t(RATIO_PLACEHOLDERS[name])}
+              />
+            </Form.Field>
+          ))}
           <Form.Button onClick={() => {
             submitConfig('ratio').then();
-          }}>保存倍率设置</Form.Button>
+          }}>{t('保存倍率设置')}</Form.Button>
         </Form>
       </Grid.Column>
     </Grid>
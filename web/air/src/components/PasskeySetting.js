@@ -0,0 +1,155 @@
+import React, { useEffect, useState } from 'react';
+import { Banner, Button, Card, Input, Modal, Popconfirm, Table, Typography } from '@douyinfe/semi-ui';
+import { isPasskeySupported, registerPasskey, t } from 'one-api-common';
+import { api, showError, showSuccess, timestamp2string } from '../helpers';
+
+const { Text } = Typography;
+
+/**
+ * 个人设置中的 Passkey：注册新的 Passkey，为已注册的 Passkey 改名或删除。
+ */
+const PasskeySetting = () => {
+  const [passkeys, setPasskeys] = useState([]);
+  // add：注册新的 Passkey；rename：修改 editing 的名称
+  const [mode, setMode] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [name, setName] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const loadPasskeys = async () => {
+    const { success, message, data } = await api.user.passkeys();
+    if (success) {
+      setPasskeys(data || []);
+    } else {
+      showError(message);
+    }
+  };
+
+  useEffect(() => {
+    loadPasskeys().then();
+  }, []);
+
+  const close = () => {
+    setMode('');
+    setEditing(null);
+    setName('');
+  };
+
+  const submit = async () => {
+    if (!name.trim()) {
+      showError(t('请输入名称'));
+      return;
+    }
+    setLoading(true);
+    try {
+      const { success, message } =
+        mode === 'add' ? await registerPasskey(api, name.trim()) : await api.user.updatePasskey(editing.id, { name: name.trim() });
+      if (success) {
+        showSuccess(mode === 'add' ? t('Passkey 已添加') : t('Passkey 已更新'));
+        close();
+        await loadPasskeys();
+      } else {
+        showError(message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const remove = async (passkey) => {
+    const { success, message } = await api.user.deletePasskey(passkey.id);
+    if (success) {
+      showSuccess(t('Passkey 已删除'));
+      await loadPasskeys();
+    } else {
+      showError(message);
+    }
+  };
+
+  const columns = [
+    { title: t('名称'), dataIndex: 'name' },
+    { title: t('添加时间'), dataIndex: 'created_time', render: (text) => timestamp2string(text) },
+    {
+      title: t('最近使用'),
+      dataIndex: 'last_used_time',
+      render: (text) => (text ? timestamp2string(text) : t('从未使用'))
+    },
+    {
+      title: '',
+      dataIndex: 'operate',
+      render: (text, record) => (
+        <div>
+          <Button
+            theme='light'
+            type='tertiary'
+            style={{ marginRight: 1 }}
+            onClick={() => {
+              setEditing(record);
+              setName(record.name);
+              setMode('rename');
+            }}
+          >
+            {t('重命名')}
+          </Button>
+          <Popconfirm
+            title={t('删除 Passkey {name}', { name: record.name })}
+            content={t('删除后将无法使用该 Passkey 登录')}
+            okType={'danger'}
+            position={'left'}
+            onConfirm={() => remove(record)}
+          >
+            <Button theme='light' type='danger'>
+              {t('删除')}
+            </Button>
+          </Popconfirm>
+        </div>
+      )
+    }
+  ];
+
+  return (
+    <Card>
+      <Typography.Title heading={6}>Passkey</Typography.Title>
+      <div style={{ marginTop: 10 }}>
+        <Text type='tertiary'>{t('注册 Passkey 后，可以使用设备的指纹、面容或 PIN 直接登录，无需输入密码。')}</Text>
+      </div>
+      {passkeys.length > 0 && (
+        <Table style={{ marginTop: 10 }} columns={columns} dataSource={passkeys} rowKey='id' pagination={false} size='small' />
+      )}
+      {isPasskeySupported() ? (
+        <Button style={{ marginTop: 10 }} onClick={() => setMode('add')}>
+          {t('添加 Passkey')}
+        </Button>
+      ) : (
+        <Banner style={{ marginTop: 10 }} type='warning' closeIcon={null} description={t('当前浏览器不支持 Passkey')} />
+      )}
+
+      <Modal
+        title={mode === 'add' ? t('添加 Passkey') : t('重命名')}
+        visible={mode !== ''}
+        onCancel={close}
+        footer={
+          <>
+            <Button onClick={close}>{t('取消')}</Button>
+            <Button type='primary' theme='solid' loading={loading} onClick={submit}>
+              {mode === 'add' ? t('继续') : t('保存')}
+            </Button>
+          </>
+        }
+      >
+        <Text strong>{t('名称')}</Text>
+        <Input
+          style={{ marginTop: 8 }}
+          placeholder={t('例如：工作电脑、手机')}
+          autoFocus
+          maxLength={30}
+          value={name}
+          onChange={setName}
+          onEnterPress={submit}
+        />
+      </Modal>
+    </Card>
+  );
+};
+
+export default PasskeySetting;
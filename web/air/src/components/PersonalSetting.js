@@ -21,6 +21,13 @@ import {
 } from '@douyinfe/semi-ui';
 import { getQuotaPerUnit, renderQuota, renderQuotaWithPrompt, stringToColor } from '../helpers/render';
 import TelegramLoginButton from 'react-telegram-login';
+import QuotaAlertSetting from './QuotaAlertSetting';
+import TwoFactorSetting from './TwoFactorSetting';
+import PasskeySetting from './PasskeySetting';
+import SessionSetting from './SessionSetting';
+import AccessTokenSetting from './AccessTokenSetting';
+import SecurityEventSetting from './SecurityEventSetting';
+import { t } from 'one-api-common';
 
 const PersonalSetting = () => {
   const [userState, userDispatch] = useContext(UserContext);
@@ -100,7 +107,7 @@ const PersonalSetting = () => {
     if (success) {
       setSystemToken(data);
       await copy(data);
-      showSuccess(`令牌已重置并已复制到剪贴板`);
+      showSuccess(t('令牌已重置并已复制到剪贴板'));
     } else {
       showError(message);
     }
@@ -141,18 +148,18 @@ const PersonalSetting = () => {
   const handleAffLinkClick = async (e) => {
     e.target.select();
     await copy(e.target.value);
-    showSuccess(`邀请链接已复制到剪切板`);
+    showSuccess(t('邀请链接已复制到剪切板'));
   };
 
   const handleSystemTokenClick = async (e) => {
     e.target.select();
     await copy(e.target.value);
-    showSuccess(`系统令牌已复制到剪切板`);
+    showSuccess(t('系统令牌已复制到剪切板'));
   };
 
   const deleteAccount = async () => {
     if (inputs.self_account_deletion_confirmation !== userState.user.username) {
-      showError('请输入你的账户名以确认删除！');
+      showError(t('请输入你的账户名以确认删除！'));
       return;
     }
 
@@ -160,7 +167,7 @@ const PersonalSetting = () => {
     const { success, message } = res.data;
 
     if (success) {
-      showSuccess('账户已删除！');
+      showSuccess(t('账户已删除！'));
       await API.get('/api/user/logout');
       userDispatch({ type: 'logout' });
       localStorage.removeItem('user');
@@ -177,7 +184,7 @@ const PersonalSetting = () => {
     );
     const { success, message } = res.data;
     if (success) {
-      showSuccess('微信账户绑定成功！');
+      showSuccess(t('微信账户绑定成功！'));
       setShowWeChatBindModal(false);
     } else {
       showError(message);
@@ -186,7 +193,7 @@ const PersonalSetting = () => {
 
   const changePassword = async () => {
     if (inputs.set_new_password !== inputs.set_new_password_confirmation) {
-      showError('两次输入的密码不一致！');
+      showError(t('两次输入的密码不一致！'));
       return;
     }
     const res = await API.put(
@@ -197,7 +204,7 @@ const PersonalSetting = () => {
     );
     const { success, message } = res.data;
     if (success) {
-      showSuccess('密码修改成功！');
+      showSuccess(t('密码修改成功！'));
       setShowWeChatBindModal(false);
     } else {
       showError(message);
@@ -207,7 +214,7 @@ const PersonalSetting = () => {
 
   const transfer = async () => {
     if (transferAmount < getQuotaPerUnit()) {
-      showError('划转金额最低为' + renderQuota(getQuotaPerUnit()));
+      showError(t('划转金额最低为 {quota}', { quota: renderQuota(getQuotaPerUnit()) }));
       return;
     }
     const res = await API.post(
@@ -228,12 +235,12 @@ const PersonalSetting = () => {
 
   const sendVerificationCode = async () => {
     if (inputs.email === '') {
-      showError('请输入邮箱！');
+      showError(t('请输入邮箱！'));
       return;
     }
     setDisableButton(true);
     if (turnstileEnabled && turnstileToken === '') {
-      showInfo('请稍后几秒重试，Turnstile 正在检查用户环境！');
+      showInfo(t('请稍后几秒重试，Turnstile 正在检查用户环境！'));
       return;
     }
     setLoading(true);
@@ -242,7 +249,7 @@ const PersonalSetting = () => {
     );
     const { success, message } = res.data;
     if (success) {
-      showSuccess('验证码发送成功，请检查邮箱！');
+      showSuccess(t('验证码发送成功，请检查邮箱！'));
     } else {
       showError(message);
     }
@@ -251,7 +258,7 @@ const PersonalSetting = () => {
 
   const bindEmail = async () => {
     if (inputs.email_verification_code === '') {
-      showError('请输入邮箱验证码！');
+      showError(t('请输入邮箱验证码！'));
       return;
     }
     setLoading(true);
@@ -260,7 +267,7 @@ const PersonalSetting = () => {
     );
     const { success, message } = res.data;
     if (success) {
-      showSuccess('邮箱账户绑定成功！');
+      showSuccess(t('邮箱账户绑定成功！'));
       setShowEmailBindModal(false);
       userState.user.email = inputs.email;
     } else {
@@ -283,10 +290,10 @@ const PersonalSetting = () => {
 
   const copyText = async (text) => {
     if (await copy(text)) {
-      showSuccess('已复制：' + text);
+      showSuccess(t('已复制：{text}', { text }));
     } else {
       // setSearchKeyword(text);
-      Modal.error({ title: '无法复制到剪贴板，请手动复制', content: text });
+      Modal.error({ title: t('无法复制到剪贴板，请手动复制'), content: text });
     }
   };
 
@@ -295,7 +302,7 @@ const PersonalSetting = () => {
       <Layout>
         <Layout.Content>
           <Modal
-            title="请输入要划转的数量"
+            title={t('请输入要划转的数量')}
             visible={openTransfer}
             onOk={transfer}
             onCancel={handleCancel}
@@ -304,11 +311,11 @@ const PersonalSetting = () => {
             centered={true}
           >
             <div style={{ marginTop: 20 }}>
-              <Typography.Text>{`可用额度${renderQuotaWithPrompt(userState?.user?.aff_quota)}`}</Typography.Text>
+              <Typography.Text>{`${t('可用额度')}${renderQuotaWithPrompt(userState?.user?.aff_quota)}`}</Typography.Text>
               <Input style={{ marginTop: 5 }} value={userState?.user?.aff_quota} disabled={true}></Input>
             </div>
             <div style={{ marginTop: 20 }}>
-              <Typography.Text>{`划转额度${renderQuotaWithPrompt(transferAmount)} 最低` + renderQuota(getQuotaPerUnit())}</Typography.Text>
+              <Typography.Text>{`${t('划转额度')}${renderQuotaWithPrompt(transferAmount)} ${t('最低 {quota}', { quota: renderQuota(getQuotaPerUnit()) })}`}</Typography.Text>
               <div>
                 <InputNumber min={0} style={{ marginTop: 5 }} value={transferAmount}
                   onChange={(value) => setTransferAmount(value)} disabled={false}></InputNumber>
@@ -324,7 +331,7 @@ const PersonalSetting = () => {
                     {typeof getUsername() === 'string' && getUsername().slice(0, 1)}
                   </Avatar>}
                   title={<Typography.Text>{getUsername()}</Typography.Text>}
-                  description={isRoot() ? <Tag color="red">管理员</Tag> : <Tag color="blue">普通用户</Tag>}
+                  description={isRoot() ? <Tag color="red">{t('管理员')}</Tag> : <Tag color="blue">{t('普通用户')}</Tag>}
                 ></Card.Meta>
               }
               headerExtraContent={
@@ -337,14 +344,14 @@ const PersonalSetting = () => {
               }
               footer={
                 <Descriptions row>
-                  <Descriptions.Item itemKey="当前余额">{renderQuota(userState?.user?.quota)}</Descriptions.Item>
-                  <Descriptions.Item itemKey="历史消耗">{renderQuota(userState?.user?.used_quota)}</Descriptions.Item>
-                  <Descriptions.Item itemKey="请求次数">{userState.user?.request_count}</Descriptions.Item>
+                  <Descriptions.Item itemKey={t('当前余额')}>{renderQuota(userState?.user?.quota)}</Descriptions.Item>
+                  <Descriptions.Item itemKey={t('历史消耗')}>{renderQuota(userState?.user?.used_quota)}</Descriptions.Item>
+                  <Descriptions.Item itemKey={t('请求次数')}>{userState.user?.request_count}</Descriptions.Item>
                 </Descriptions>
               }
             >
-              <Typography.Title heading={6}>调用信息</Typography.Title>
-              <p>可用模型（可点击复制）</p>
+              <Typography.Title heading={6}>{t('调用信息')}</Typography.Title>
+              <p>{t('可用模型（可点击复制）')}</p>
               <div style={{ marginTop: 10 }}>
                 <Space wrap>
                   {models.map((model) => (
@@ -360,7 +367,7 @@ const PersonalSetting = () => {
             {/* <Card
               footer={
                 <div>
-                  <Typography.Text>邀请链接</Typography.Text>
+                  <Typography.Text>{t('邀请链接')}</Typography.Text>
                   <Input
                     style={{ marginTop: 10 }}
                     value={affLink}
@@ -370,26 +377,26 @@ const PersonalSetting = () => {
                 </div>
               }
             >
-              <Typography.Title heading={6}>邀请信息</Typography.Title>
+              <Typography.Title heading={6}>{t('邀请信息')}</Typography.Title>
               <div style={{ marginTop: 10 }}>
                 <Descriptions row>
-                  <Descriptions.Item itemKey="待使用收益">
+                  <Descriptions.Item itemKey={t('待使用收益')}>
                     <span style={{ color: 'rgba(var(--semi-red-5), 1)' }}>
                       {
                         renderQuota(userState?.user?.aff_quota)
                       }
                     </span>
                     <Button type={'secondary'} onClick={() => setOpenTransfer(true)} size={'small'}
-                      style={{ marginLeft: 10 }}>划转</Button>
+                      style={{ marginLeft: 10 }}>{t('划转')}</Button>
                   </Descriptions.Item>
                   <Descriptions.Item
-                    itemKey="总收益">{renderQuota(userState?.user?.aff_history_quota)}</Descriptions.Item>
-                  <Descriptions.Item itemKey="邀请人数">{userState?.user?.aff_count}</Descriptions.Item>
+                    itemKey={t('总收益')}>{renderQuota(userState?.user?.aff_history_quota)}</Descriptions.Item>
+                  <Descriptions.Item itemKey={t('邀请人数')}>{userState?.user?.aff_count}</Descriptions.Item>
                 </Descriptions>
               </div>
             </Card> */}
             <Card>
-              <Typography.Title heading={6}>邀请链接</Typography.Title>
+              <Typography.Title heading={6}>{t('邀请链接')}</Typography.Title>
               <Input
                 style={{ marginTop: 10 }}
                 value={affLink}
@@ -398,9 +405,9 @@ const PersonalSetting = () => {
               />
             </Card>
             <Card>
-              <Typography.Title heading={6}>个人信息</Typography.Title>
+              <Typography.Title heading={6}>{t('个人信息')}</Typography.Title>
               <div style={{ marginTop: 20 }}>
-                <Typography.Text strong>邮箱</Typography.Text>
+                <Typography.Text strong>{t('邮箱')}</Typography.Text>
                 <div style={{ display: 'flex', justifyContent: 'space-between' }}>
                   <div>
                     <Input
@@ -412,13 +419,13 @@ const PersonalSetting = () => {
                     <Button onClick={() => {
                       setShowEmailBindModal(true);
                     }}>{
-                        userState.user && userState.user.email !== '' ? '修改绑定' : '绑定邮箱'
+                        userState.user && userState.user.email !== '' ? t('修改绑定') : t('绑定邮箱')
                       }</Button>
                   </div>
                 </div>
               </div>
               <div style={{ marginTop: 10 }}>
-                <Typography.Text strong>微信</Typography.Text>
+                <Typography.Text strong>{t('微信')}</Typography.Text>
                 <div style={{ display: 'flex', justifyContent: 'space-between' }}>
                   <div>
                     <Input
@@ -429,7 +436,7 @@ const PersonalSetting = () => {
                   <div>
                     <Button disabled={(userState.user && userState.user.wechat_id !== '') || !status.wechat_login}>
                       {
-                        status.wechat_login ? '绑定' : '未启用'
+                        status.wechat_login ? t('绑定') : t('未启用')
                       }
                     </Button>
                   </div>
@@ -452,7 +459,7 @@ const PersonalSetting = () => {
                       disabled={(userState.user && userState.user.github_id !== '') || !status.github_oauth}
                     >
                       {
-                        status.github_oauth ? '绑定' : '未启用'
+                        status.github_oauth ? t('绑定') : t('未启用')
                       }
                     </Button>
                   </div>
@@ -481,13 +488,13 @@ const PersonalSetting = () => {
 
               <div style={{ marginTop: 10 }}>
                 <Space>
-                  <Button onClick={generateAccessToken}>生成系统访问令牌</Button>
+                  <Button onClick={generateAccessToken}>{t('生成系统访问令牌')}</Button>
                   <Button onClick={() => {
                     setShowChangePasswordModal(true);
-                  }}>修改密码</Button>
+                  }}>{t('修改密码')}</Button>
                   <Button type={'danger'} onClick={() => {
                     setShowAccountDeleteModal(true);
-                  }}>删除个人账户</Button>
+                  }}>{t('删除个人账户')}</Button>
                 </Space>
 
                 {systemToken && (
@@ -505,7 +512,7 @@ const PersonalSetting = () => {
                         setShowWeChatBindModal(true);
                       }}
                     >
-                      绑定微信账号
+                      {t('绑定微信账号')}
                     </Button>
                   )
                 }
@@ -518,21 +525,27 @@ const PersonalSetting = () => {
                   <Image src={status.wechat_qrcode} />
                   <div style={{ textAlign: 'center' }}>
                     <p>
-                      微信扫码关注公众号，输入「验证码」获取验证码（三分钟内有效）
+                      {t('微信扫码关注公众号，输入「验证码」获取验证码（三分钟内有效）')}
                     </p>
                   </div>
                   <Input
-                    placeholder="验证码"
+                    placeholder={t('验证码')}
                     name="wechat_verification_code"
                     value={inputs.wechat_verification_code}
                     onChange={(v) => handleInputChange('wechat_verification_code', v)}
                   />
                   <Button color="" fluid size="large" onClick={bindWeChat}>
-                    绑定
+                    {t('绑定')}
                   </Button>
                 </Modal>
               </div>
             </Card>
+            <QuotaAlertSetting />
+            <TwoFactorSetting />
+            {status.passkey_login && <PasskeySetting />}
+            <SessionSetting />
+            <AccessTokenSetting />
+            <SecurityEventSetting />
             <Modal
               onCancel={() => setShowEmailBindModal(false)}
               // onOpen={() => setShowEmailBindModal(true)}
@@ -542,24 +555,24 @@ const PersonalSetting = () => {
               centered={true}
               maskClosable={false}
             >
-              <Typography.Title heading={6}>绑定邮箱地址</Typography.Title>
+              <Typography.Title heading={6}>{t('绑定邮箱地址')}</Typography.Title>
               <div style={{ marginTop: 20, display: 'flex', justifyContent: 'space-between' }}>
                 <Input
                   fluid
-                  placeholder="输入邮箱地址"
+                  placeholder={t('输入邮箱地址')}
                   onChange={(value) => handleInputChange('email', value)}
                   name="email"
                   type="email"
                 />
                 <Button onClick={sendVerificationCode}
                   disabled={disableButton || loading}>
-                  {disableButton ? `重新发送(${countdown})` : '获取验证码'}
+                  {disableButton ? t('重新发送({countdown})', { countdown }) : t('获取验证码')}
                 </Button>
               </div>
               <div style={{ marginTop: 10 }}>
                 <Input
                   fluid
-                  placeholder="验证码"
+                  placeholder={t('验证码')}
                   name="email_verification_code"
                   value={inputs.email_verification_code}
                   onChange={(value) => handleInputChange('email_verification_code', value)}
@@ -586,13 +599,13 @@ const PersonalSetting = () => {
               <div style={{ marginTop: 20 }}>
                 <Banner
                   type="danger"
-                  description="您正在删除自己的帐户，将清空所有数据且不可恢复"
+                  description={t('您正在删除自己的帐户，将清空所有数据且不可恢复')}
                   closeIcon={null}
                 />
               </div>
               <div style={{ marginTop: 20 }}>
                 <Input
-                  placeholder={`输入你的账户名 ${userState?.user?.username} 以确认删除`}
+                  placeholder={t('输入你的账户名 {username} 以确认删除', { username: userState?.user?.username })}
                   name="self_account_deletion_confirmation"
                   value={inputs.self_account_deletion_confirmation}
                   onChange={(value) => handleInputChange('self_account_deletion_confirmation', value)}
@@ -619,14 +632,14 @@ const PersonalSetting = () => {
               <div style={{ marginTop: 20 }}>
                 <Input
                   name="set_new_password"
-                  placeholder="新密码"
+                  placeholder={t('新密码')}
                   value={inputs.set_new_password}
                   onChange={(value) => handleInputChange('set_new_password', value)}
                 />
                 <Input
                   style={{ marginTop: 20 }}
                   name="set_new_password_confirmation"
-                  placeholder="确认新密码"
+                  placeholder={t('确认新密码')}
                   value={inputs.set_new_password_confirmation}
                   onChange={(value) => handleInputChange('set_new_password_confirmation', value)}
                 />
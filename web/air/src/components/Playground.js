@@ -0,0 +1,232 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Banner, Button, Card, Col, InputNumber, Row, Select, Slider, Space, Tag, TextArea, Typography } from '@douyinfe/semi-ui';
+import { API, api, showError } from '../helpers';
+import { renderQuota } from '../helpers/render';
+import { isCanceled, loadPlaygroundOptions, quotaForUsage, resolveUsage, streamChatCompletion, t } from 'one-api-common';
+
+const { Text } = Typography;
+
+const DEFAULT_SYSTEM_PROMPT = 'You are a helpful assistant.';
+
+function renderCost(message) {
+  if (message.role !== 'assistant' || message.pending || !message.usage) {
+    return null;
+  }
+  const usage = message.usage;
+  return (
+    <Text type='tertiary' size='small'>
+      {message.estimated ? t('估算 ') : ''}
+      {t('提示 {prompt} tokens，补全 {completion} tokens', {
+        prompt: usage.prompt_tokens,
+        completion: usage.completion_tokens
+      })}
+      {message.quota !== null && t('，消耗 {quota}', { quota: renderQuota(message.quota, 6) })}
+    </Text>
+  );
+}
+
+const Playground = () => {
+  const [tokens, setTokens] = useState([]);
+  const [models, setModels] = useState([]);
+  const [pricing, setPricing] = useState(null);
+  const [tokenId, setTokenId] = useState(undefined);
+  const [model, setModel] = useState(undefined);
+  const [systemPrompt, setSystemPrompt] = useState(DEFAULT_SYSTEM_PROMPT);
+  const [temperature, setTemperature] = useState(1);
+  const [maxTokens, setMaxTokens] = useState('');
+  const [input, setInput] = useState('');
+  const [messages, setMessages] = useState([]);
+  const [streaming, setStreaming] = useState(false);
+  const abortRef = useRef(null);
+
+  const loadOptions = async () => {
+    try {
+      const options = await loadPlaygroundOptions(api);
+      setTokens(options.tokens);
+      setModels(options.models);
+      setPricing(options.pricing);
+      if (options.tokens.length > 0) setTokenId(options.tokens[0].id);
+      if (options.models.length > 0) setModel(options.models[0]);
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  useEffect(() => {
+    loadOptions().then();
+    return () => {
+      if (abortRef.current) abortRef.current.abort();
+    };
+  }, []);
+
+  const updateLastMessage = (patch) => {
+    setMessages((prev) => {
+      const next = [...prev];
+      const last = next[next.length - 1];
+      next[next.length - 1] = { ...last, ...(typeof patch === 'function' ? patch(last) : patch) };
+      return next;
+    });
+  };
+
+  const send = async () => {
+    const token = tokens.find((item) => item.id === tokenId);
+    if (!token) {
+      showError(t('请先选择一个可用的令牌'));
+      return;
+    }
+    if (!model) {
+      showError(t('请先选择模型'));
+      return;
+    }
+    if (input.trim() === '') {
+      return;
+    }
+    const history = [...messages.filter((message) => !message.error), { role: 'user', content: input }];
+    const requestMessages = history.map(({ role, content }) => ({ role, content }));
+    if (systemPrompt.trim() !== '') {
+      requestMessages.unshift({ role: 'system', content: systemPrompt });
+    }
+    const body = { model, messages: requestMessages, temperature };
+    if (maxTokens !== '' && maxTokens !== null) {
+      body.max_tokens = maxTokens;
+    }
+
+    setMessages([...history, { role: 'assistant', content: '', model, pending: true }]);
+    setInput('');
+    setStreaming(true);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    try {
+      const result = await streamChatCompletion({
+        baseURL: API.defaults.baseURL,
+        key: token.key,
+        body,
+        signal: controller.signal,
+        onDelta: ({ content }) => {
+          if (content) updateLastMessage((last) => ({ content: last.content + content }));
+        }
+      });
+      const { usage, estimated } = resolveUsage(requestMessages, result);
+      updateLastMessage({ pending: false, usage, estimated, quota: quotaForUsage(pricing, model, usage) });
+    } catch (error) {
+      if (isCanceled(error)) {
+        updateLastMessage({ pending: false });
+      } else {
+        updateLastMessage({ pending: false, error: true, content: error.message });
+      }
+    } finally {
+      abortRef.current = null;
+      setStreaming(false);
+    }
+  };
+
+  const stop = () => {
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  return (
+    <>
+      {tokens.length === 0 && (
+        <Banner type='warning' description={t('没有可用的令牌，请先在令牌页面创建并启用一个令牌。')} closeIcon={null} />
+      )}
+      <Row gutter={16} style={{ marginTop: 12 }}>
+        <Col xs={24} md={8}>
+          <Card>
+            <Space vertical align='start' style={{ width: '100%' }}>
+              <Text strong>{t('令牌')}</Text>
+              <Select
+                style={{ width: '100%' }}
+                placeholder={t('请选择令牌')}
+                filter
+                value={tokenId}
+                optionList={tokens.map((token) => ({ label: token.name, value: token.id }))}
+                onChange={(value) => setTokenId(value)}
+              />
+              <Text strong>{t('模型')}</Text>
+              <Select
+                style={{ width: '100%' }}
+                placeholder={t('请选择模型')}
+                filter
+                value={model}
+                optionList={models.map((name) => ({ label: name, value: name }))}
+                onChange={(value) => setModel(value)}
+              />
+              <Text strong>{t('系统提示词')}</Text>
+              <TextArea
+                placeholder={t('留空则不发送系统提示词')}
+                autosize
+                value={systemPrompt}
+                onChange={(value) => setSystemPrompt(value)}
+              />
+              <Text strong>{t('温度：')}{temperature}</Text>
+              <Slider
+                style={{ width: '100%' }}
+                min={0}
+                max={2}
+                step={0.1}
+                value={temperature}
+                onChange={(value) => setTemperature(value)}
+              />
+              <Text strong>{t('最大 tokens')}</Text>
+              <InputNumber
+                style={{ width: '100%' }}
+                placeholder={t('留空则不限制')}
+                min={1}
+                value={maxTokens}
+                onChange={(value) => setMaxTokens(value)}
+              />
+              <Button onClick={() => setMessages([])} disabled={streaming}>
+                {t('清空对话')}
+              </Button>
+            </Space>
+          </Card>
+        </Col>
+        <Col xs={24} md={16}>
+          <Card bodyStyle={{ minHeight: '50vh', maxHeight: '65vh', overflowY: 'auto' }}>
+            {messages.map((message, idx) => (
+              <div key={idx} style={{ marginBottom: 16 }}>
+                <Space>
+                  <Tag color={message.role === 'user' ? 'blue' : 'green'}>
+                    {message.role === 'user' ? t('用户') : message.model}
+                  </Tag>
+                  {message.pending && <Tag>{t('生成中...')}</Tag>}
+                  {renderCost(message)}
+                </Space>
+                <div style={{ whiteSpace: 'pre-wrap', marginTop: 4 }}>
+                  <Text type={message.error ? 'danger' : undefined}>{message.content}</Text>
+                </div>
+              </div>
+            ))}
+          </Card>
+          <div style={{ marginTop: 12 }}>
+            <TextArea
+              placeholder={t('输入消息，Ctrl + Enter 发送')}
+              autosize={{ minRows: 3 }}
+              value={input}
+              onChange={(value) => setInput(value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                  e.preventDefault();
+                  if (!streaming) send().then();
+                }
+              }}
+            />
+            <div style={{ marginTop: 8 }}>
+              {streaming ? (
+                <Button type='danger' theme='solid' onClick={stop}>
+                  {t('停止')}
+                </Button>
+              ) : (
+                <Button type='primary' theme='solid' onClick={send}>
+                  {t('发送')}
+                </Button>
+              )}
+            </div>
+          </div>
+        </Col>
+      </Row>
+    </>
+  );
+};
+
+export default Playground;
@@ -0,0 +1,253 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Banner, Button, Card, Col, InputNumber, Row, Select, Slider, Space, Tag, TextArea, Typography } from '@douyinfe/semi-ui';
+import { API, api, showError } from '../helpers';
+import { renderQuota } from '../helpers/render';
+import { isCanceled, loadPlaygroundOptions, quotaForUsage, resolveUsage, streamChatCompletion, t } from 'one-api-common';
+
+const { Text } = Typography;
+
+const MIN_MODELS = 2;
+const MAX_MODELS = 4;
+
+function renderDuration(ms) {
+  if (ms === null || ms === undefined) {
+    return '-';
+  }
+  return ms >= 1000 ? `${(ms / 1000).toFixed(2)} s` : `${ms} ms`;
+}
+
+function renderColumnStats(column) {
+  return (
+    <Space wrap>
+      <Tag>{t('延迟')} {renderDuration(column.latency)}</Tag>
+      <Tag>{t('首字')} {renderDuration(column.ttft)}</Tag>
+      {column.usage && (
+        <>
+          <Tag>
+            {column.estimated ? t('估算 ') : ''}
+            {t('提示 {prompt} / 补全 {completion}', {
+              prompt: column.usage.prompt_tokens,
+              completion: column.usage.completion_tokens
+            })}
+          </Tag>
+          <Tag color='green'>{t('消耗')} {column.quota === null ? t('未知') : renderQuota(column.quota, 6)}</Tag>
+        </>
+      )}
+    </Space>
+  );
+}
+
+const PlaygroundCompare = () => {
+  const [tokens, setTokens] = useState([]);
+  const [models, setModels] = useState([]);
+  const [pricing, setPricing] = useState(null);
+  const [tokenId, setTokenId] = useState(undefined);
+  const [selectedModels, setSelectedModels] = useState([]);
+  const [systemPrompt, setSystemPrompt] = useState('');
+  const [temperature, setTemperature] = useState(1);
+  const [maxTokens, setMaxTokens] = useState('');
+  const [prompt, setPrompt] = useState('');
+  const [columns, setColumns] = useState([]);
+  const [running, setRunning] = useState(false);
+  const controllersRef = useRef([]);
+
+  const loadOptions = async () => {
+    try {
+      const options = await loadPlaygroundOptions(api);
+      setTokens(options.tokens);
+      setModels(options.models);
+      setPricing(options.pricing);
+      if (options.tokens.length > 0) setTokenId(options.tokens[0].id);
+      setSelectedModels(options.models.slice(0, MIN_MODELS));
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const abortAll = () => {
+    controllersRef.current.forEach((controller) => controller.abort());
+  };
+
+  useEffect(() => {
+    loadOptions().then();
+    return abortAll;
+  }, []);
+
+  const updateColumn = (idx, patch) => {
+    setColumns((prev) => {
+      const next = [...prev];
+      next[idx] = { ...next[idx], ...(typeof patch === 'function' ? patch(next[idx]) : patch) };
+      return next;
+    });
+  };
+
+  const runColumn = async (idx, token, model, messages, controller) => {
+    const body = { model, messages, temperature };
+    if (maxTokens !== '' && maxTokens !== null) {
+      body.max_tokens = maxTokens;
+    }
+    const startedAt = Date.now();
+    try {
+      const result = await streamChatCompletion({
+        baseURL: API.defaults.baseURL,
+        key: token.key,
+        body,
+        signal: controller.signal,
+        onDelta: ({ content }) => {
+          if (!content) return;
+          updateColumn(idx, (column) => ({
+            content: column.content + content,
+            ttft: column.ttft === null ? Date.now() - startedAt : column.ttft
+          }));
+        }
+      });
+      const { usage, estimated } = resolveUsage(messages, result);
+      updateColumn(idx, {
+        pending: false,
+        latency: Date.now() - startedAt,
+        usage,
+        estimated,
+        quota: quotaForUsage(pricing, model, usage)
+      });
+    } catch (error) {
+      updateColumn(idx, {
+        pending: false,
+        latency: Date.now() - startedAt,
+        error: isCanceled(error) ? t('已停止') : error.message
+      });
+    }
+  };
+
+  const compare = async () => {
+    const token = tokens.find((item) => item.id === tokenId);
+    if (!token) {
+      showError(t('请先选择一个可用的令牌'));
+      return;
+    }
+    if (selectedModels.length < MIN_MODELS || selectedModels.length > MAX_MODELS) {
+      showError(t('请选择 {min} 到 {max} 个模型', { min: MIN_MODELS, max: MAX_MODELS }));
+      return;
+    }
+    if (prompt.trim() === '') {
+      showError(t('请输入提示词'));
+      return;
+    }
+    const messages = [{ role: 'user', content: prompt }];
+    if (systemPrompt.trim() !== '') {
+      messages.unshift({ role: 'system', content: systemPrompt });
+    }
+    const controllers = selectedModels.map(() => new AbortController());
+    controllersRef.current = controllers;
+    setColumns(
+      selectedModels.map((model) => ({ model, content: '', pending: true, ttft: null, latency: null, usage: null }))
+    );
+    setRunning(true);
+    await Promise.all(
+      selectedModels.map((model, idx) => runColumn(idx, token, model, messages, controllers[idx]))
+    );
+    controllersRef.current = [];
+    setRunning(false);
+  };
+
+  return (
+    <>
+      {tokens.length === 0 && (
+        <Banner type='warning' description={t('没有可用的令牌，请先在令牌页面创建并启用一个令牌。')} closeIcon={null} />
+      )}
+      <Card style={{ marginTop: 12 }}>
+        <Row gutter={16}>
+          <Col xs={24} md={8}>
+            <Text strong>{t('令牌')}</Text>
+            <Select
+              style={{ width: '100%' }}
+              placeholder={t('请选择令牌')}
+              filter
+              value={tokenId}
+              optionList={tokens.map((token) => ({ label: token.name, value: token.id }))}
+              onChange={(value) => setTokenId(value)}
+            />
+          </Col>
+          <Col xs={24} md={16}>
+            <Text strong>{t('模型（{min} 到 {max} 个）', { min: MIN_MODELS, max: MAX_MODELS })}</Text>
+            <Select
+              style={{ width: '100%' }}
+              placeholder={t('请选择要对比的模型')}
+              multiple
+              filter
+              max={MAX_MODELS}
+              value={selectedModels}
+              optionList={models.map((name) => ({ label: name, value: name }))}
+              onChange={(value) => setSelectedModels(value)}
+            />
+          </Col>
+        </Row>
+        <Row gutter={16} style={{ marginTop: 12 }}>
+          <Col xs={24} md={12}>
+            <Text strong>{t('温度：')}{temperature}</Text>
+            <Slider min={0} max={2} step={0.1} value={temperature} onChange={(value) => setTemperature(value)} />
+          </Col>
+          <Col xs={24} md={12}>
+            <Text strong>{t('最大 tokens')}</Text>
+            <InputNumber
+              style={{ width: '100%' }}
+              placeholder={t('留空则不限制')}
+              min={1}
+              value={maxTokens}
+              onChange={(value) => setMaxTokens(value)}
+            />
+          </Col>
+        </Row>
+        <div style={{ marginTop: 12 }}>
+          <Text strong>{t('系统提示词')}</Text>
+          <TextArea
+            placeholder={t('留空则不发送系统提示词')}
+            autosize
+            value={systemPrompt}
+            onChange={(value) => setSystemPrompt(value)}
+          />
+        </div>
+        <div style={{ marginTop: 12 }}>
+          <Text strong>{t('提示词')}</Text>
+          <TextArea
+            placeholder={t('同一条提示词会同时发送给所有选中的模型')}
+            autosize={{ minRows: 3 }}
+            value={prompt}
+            onChange={(value) => setPrompt(value)}
+          />
+        </div>
+        <div style={{ marginTop: 12 }}>
+          {running ? (
+            <Button type='danger' theme='solid' onClick={abortAll}>
+              {t('停止')}
+            </Button>
+          ) : (
+            <Button type='primary' theme='solid' onClick={compare}>
+              {t('开始对比')}
+            </Button>
+          )}
+        </div>
+      </Card>
+      {columns.length > 0 && (
+        <Row gutter={16} style={{ marginTop: 12 }}>
+          {columns.map((column, idx) => (
+            <Col key={idx} xs={24} md={24 / columns.length}>
+              <Card
+                title={column.model}
+                headerExtraContent={column.pending ? <Tag>{t('生成中...')}</Tag> : null}
+                bodyStyle={{ maxHeight: '60vh', overflowY: 'auto' }}
+              >
+                {renderColumnStats(column)}
+                <div style={{ whiteSpace: 'pre-wrap', marginTop: 12 }}>
+                  {column.content}
+                  {column.error && <Text type='danger'>{column.error}</Text>}
+                </div>
+              </Card>
+            </Col>
+          ))}
+        </Row>
+      )}
+    </>
+  );
+};
+
+export default PlaygroundCompare;
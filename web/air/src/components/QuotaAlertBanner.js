@@ -0,0 +1,43 @@
+import React, { useContext, useEffect, useState } from 'react';
+import { Banner } from '@douyinfe/semi-ui';
+import { QuotaAlert, quotaAlertMessages } from 'one-api-common';
+import { UserContext } from '../context/User';
+import { api } from '../helpers';
+
+/**
+ * 页面顶部的额度提醒，阈值在个人设置中设置；关闭后在刷新页面前不再显示。
+ */
+const QuotaAlertBanner = () => {
+  const [userState] = useContext(UserContext);
+  const [messages, setMessages] = useState([]);
+  const [dismissed, setDismissed] = useState([]);
+
+  useEffect(() => {
+    if (!userState.user) {
+      setMessages([]);
+      return;
+    }
+    const controller = new AbortController();
+    api.user
+      .quotaForecast({ signal: controller.signal, silent: true })
+      .then(({ success, data }) => {
+        if (success) setMessages(quotaAlertMessages(data));
+      })
+      .catch(() => {});
+    return () => controller.abort();
+  }, [userState.user]);
+
+  return messages
+    .filter((message) => !dismissed.includes(message.type))
+    .map((message) => (
+      <Banner
+        key={message.type}
+        type={message.type === QuotaAlert.Daily ? 'warning' : 'danger'}
+        description={message.text}
+        onClose={() => setDismissed((dismissed) => [...dismissed, message.type])}
+        style={{ marginBottom: 16 }}
+      />
+    ));
+};
+
+export default QuotaAlertBanner;
@@ -0,0 +1,155 @@
+import React, { useContext, useEffect, useState } from 'react';
+import { Button, Card, Input, InputNumber, Select, Typography } from '@douyinfe/semi-ui';
+import { ALERT_NOTIFY_OPTIONS, needsMessagePusher, t } from 'one-api-common';
+import { UserContext } from '../context/User';
+import { api, showError, showSuccess } from '../helpers';
+import { renderQuotaWithPrompt } from '../helpers/render';
+
+const { Text } = Typography;
+
+/**
+ * 个人设置中的额度提醒：剩余额度与每日消耗的提醒阈值，以及提醒的发送方式。
+ */
+const QuotaAlertSetting = () => {
+  const [userState, userDispatch] = useContext(UserContext);
+  const [inputs, setInputs] = useState({
+    quota_alert_threshold: 0,
+    daily_quota_alert_threshold: 0,
+    alert_notify_by: 'email',
+    message_pusher_address: '',
+    message_pusher_token: ''
+  });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const user = userState.user;
+    if (!user) return;
+    setInputs((inputs) => ({
+      ...inputs,
+      quota_alert_threshold: user.quota_alert_threshold || 0,
+      daily_quota_alert_threshold: user.daily_quota_alert_threshold || 0,
+      alert_notify_by: user.alert_notify_by || 'email',
+      message_pusher_address: user.message_pusher_address || ''
+    }));
+  }, [userState.user]);
+
+  const handleChange = (name, value) => {
+    setInputs((inputs) => ({ ...inputs, [name]: value }));
+  };
+
+  const save = async () => {
+    if (needsMessagePusher(inputs.alert_notify_by) && inputs.message_pusher_address.trim() === '') {
+      showError(t('请填写 Message Pusher 推送地址'));
+      return;
+    }
+    setSaving(true);
+    try {
+      const { success, message } = await api.user.updateQuotaAlert({
+        ...inputs,
+        quota_alert_threshold: inputs.quota_alert_threshold || 0,
+        daily_quota_alert_threshold: inputs.daily_quota_alert_threshold || 0
+      });
+      if (success) {
+        showSuccess(t('额度提醒已保存'));
+        userDispatch({
+          type: 'login',
+          payload: {
+            ...userState.user,
+            quota_alert_threshold: inputs.quota_alert_threshold || 0,
+            daily_quota_alert_threshold: inputs.daily_quota_alert_threshold || 0,
+            alert_notify_by: inputs.alert_notify_by,
+            message_pusher_address: inputs.message_pusher_address
+          }
+        });
+        setInputs((inputs) => ({ ...inputs, message_pusher_token: '' }));
+      } else {
+        showError(message);
+      }
+    } catch (error) {
+      showError(error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <Typography.Title heading={6}>{t('额度提醒')}</Typography.Title>
+      <div style={{ marginTop: 20 }}>
+        <Text strong>{t('剩余额度低于')}</Text>
+        <div style={{ marginTop: 5 }}>
+          <InputNumber
+            min={0}
+            value={inputs.quota_alert_threshold}
+            onChange={(value) => handleChange('quota_alert_threshold', value)}
+            placeholder={t('0 表示使用系统默认的提醒阈值')}
+            style={{ width: 240 }}
+          />
+          <Text type='tertiary' style={{ marginLeft: 8 }}>
+            {inputs.quota_alert_threshold > 0
+              ? renderQuotaWithPrompt(inputs.quota_alert_threshold)
+              : t('使用系统默认的提醒阈值')}
+          </Text>
+        </div>
+      </div>
+      <div style={{ marginTop: 10 }}>
+        <Text strong>{t('每日消耗超过')}</Text>
+        <div style={{ marginTop: 5 }}>
+          <InputNumber
+            min={0}
+            value={inputs.daily_quota_alert_threshold}
+            onChange={(value) => handleChange('daily_quota_alert_threshold', value)}
+            style={{ width: 240 }}
+          />
+          <Text type='tertiary' style={{ marginLeft: 8 }}>
+            {inputs.daily_quota_alert_threshold > 0
+              ? renderQuotaWithPrompt(inputs.daily_quota_alert_threshold)
+              : t('不提醒')}
+          </Text>
+        </div>
+      </div>
+      <div style={{ marginTop: 10 }}>
+        <Text strong>{t('提醒方式')}</Text>
+        <div style={{ marginTop: 5 }}>
+          <Select
+            value={inputs.alert_notify_by}
+            onChange={(value) => handleChange('alert_notify_by', value)}
+            optionList={ALERT_NOTIFY_OPTIONS.map((option) => ({ value: option.value, label: t(option.label) }))}
+            style={{ width: 240 }}
+          />
+        </div>
+        {userState.user && userState.user.email === '' && ['email', 'all'].includes(inputs.alert_notify_by) && (
+          <Text type='warning' size='small'>{t('尚未绑定邮箱，无法收到邮件提醒')}</Text>
+        )}
+      </div>
+      {needsMessagePusher(inputs.alert_notify_by) && (
+        <div style={{ marginTop: 10 }}>
+          <Text strong>Message Pusher</Text>
+          <Input
+            style={{ marginTop: 5 }}
+            value={inputs.message_pusher_address}
+            onChange={(value) => handleChange('message_pusher_address', value)}
+            placeholder={t('推送地址，例如：https://msgpusher.com/push/your_username')}
+          />
+          <Input
+            style={{ marginTop: 5 }}
+            mode='password'
+            value={inputs.message_pusher_token}
+            onChange={(value) => handleChange('message_pusher_token', value)}
+            placeholder={t('访问凭证，留空则保持不变')}
+          />
+        </div>
+      )}
+      <div style={{ marginTop: 10 }}>
+        <Text type='tertiary' size='small'>
+          {t('每日消耗按服务器所在时区的自然日统计，每天最多提醒一次；提醒也会显示在页面顶部。')}
+        </Text>
+      </div>
+      <Button style={{ marginTop: 10 }} loading={saving} onClick={save}>
+        {t('保存额度提醒')}
+      </Button>
+    </Card>
+  );
+};
+
+export default QuotaAlertSetting;
@@ -0,0 +1,49 @@
+import React, { useEffect, useState } from 'react';
+import { Card, Descriptions, Typography } from '@douyinfe/semi-ui';
+import { describeQuotaForecast, formatDateTime, isCanceled, t } from 'one-api-common';
+import { api, showError } from '../helpers';
+import { renderQuota } from '../helpers/render';
+
+const { Text } = Typography;
+
+/**
+ * 按最近的消耗速度预测额度用尽的时间。
+ */
+const QuotaForecastCard = () => {
+  const [forecast, setForecast] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api.user
+      .quotaForecast({ signal: controller.signal })
+      .then(({ success, message, data }) => {
+        if (success) {
+          setForecast(data);
+        } else {
+          showError(message);
+        }
+      })
+      .catch((error) => {
+        if (!isCanceled(error)) showError(error);
+      });
+    return () => controller.abort();
+  }, []);
+
+  if (!forecast) return null;
+
+  return (
+    <Card title={t('额度预测')} style={{ marginTop: 10 }}>
+      <Descriptions row>
+        <Descriptions.Item itemKey={t('当前余额')}>{renderQuota(forecast.quota)}</Descriptions.Item>
+        <Descriptions.Item itemKey={t('日均消耗')}>{renderQuota(forecast.daily_average)}</Descriptions.Item>
+        <Descriptions.Item itemKey={t('今日消耗')}>{renderQuota(forecast.today_used)}</Descriptions.Item>
+        <Descriptions.Item itemKey={t('预计用尽')}>
+          {forecast.depletion_at ? formatDateTime(forecast.depletion_at) : '—'}
+        </Descriptions.Item>
+      </Descriptions>
+      <Text type='tertiary'>{describeQuotaForecast(forecast)}</Text>
+    </Card>
+  );
+};
+
+export default QuotaForecastCard;
@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from 'react';
-import { API, copy, showError, showSuccess, timestamp2string } from '../helpers';
+import { API, copy, showError, showSuccess } from '../helpers';
+import { formatDateTime, t } from 'one-api-common';
 
 import { ITEMS_PER_PAGE } from '../constants';
 import { renderQuota } from '../helpers/render';
@@ -9,7 +10,7 @@ import EditRedemption from '../pages/Redemption/EditRedemption';
 function renderTimestamp(timestamp) {
   return (
     <>
-      {timestamp2string(timestamp)}
+      {formatDateTime(timestamp)}
     </>
   );
 }
@@ -17,13 +18,13 @@ function renderTimestamp(timestamp) {
 function renderStatus(status) {
   switch (status) {
     case 1:
-      return <Tag color="green" size="large">未使用</Tag>;
+      return <Tag color="green" size="large">{t('未使用')}</Tag>;
     case 2:
-      return <Tag color="red" size="large"> 已禁用 </Tag>;
+      return <Tag color="red" size="large"> {t('已禁用')} </Tag>;
     case 3:
-      return <Tag color="grey" size="large"> 已使用 </Tag>;
+      return <Tag color="grey" size="large"> {t('已使用')} </Tag>;
     default:
-      return <Tag color="black" size="large"> 未知状态 </Tag>;
+      return <Tag color="black" size="large"> {t('未知状态')} </Tag>;
   }
 }
 
@@ -34,11 +35,11 @@ const RedemptionsTable = () => {
       dataIndex: 'id'
     },
     {
-      title: '名称',
+      title: t('名称'),
       dataIndex: 'name'
     },
     {
-      title: '状态',
+      title: t('状态'),
       dataIndex: 'status',
       key: 'status',
       render: (text, record, index) => {
@@ -50,7 +51,7 @@ const RedemptionsTable = () => {
       }
     },
     {
-      title: '额度',
+      title: t('额度'),
       dataIndex: 'quota',
       render: (text, record, index) => {
         return (
@@ -61,7 +62,7 @@ const RedemptionsTable = () => {
       }
     },
     {
-      title: '创建时间',
+      title: t('创建时间'),
       dataIndex: 'created_time',
       render: (text, record, index) => {
         return (
@@ -94,16 +95,16 @@ const RedemptionsTable = () => {
             style={{ padding: 20 }}
             position="top"
           >
-            <Button theme="light" type="tertiary" style={{ marginRight: 1 }}>查看</Button>
+            <Button theme="light" type="tertiary" style={{ marginRight: 1 }}>{t('查看')}</Button>
           </Popover>
           <Button theme="light" type="secondary" style={{ marginRight: 1 }}
                   onClick={async (text) => {
                     await copyText(record.key);
                   }}
-          >复制</Button>
+          >{t('复制')}</Button>
           <Popconfirm
-            title="确定是否要删除此兑换码？"
-            content="此修改将不可逆"
+            title={t('确定是否要删除此兑换码？')}
+            content={t('此修改将不可逆')}
             okType={'danger'}
             position={'left'}
             onConfirm={() => {
@@ -114,7 +115,7 @@ const RedemptionsTable = () => {
               );
             }}
           >
-            <Button theme="light" type="danger" style={{ marginRight: 1 }}>删除</Button>
+            <Button theme="light" type="danger" style={{ marginRight: 1 }}>{t('删除')}</Button>
           </Popconfirm>
           {
             record.status === 1 ?
@@ -126,7 +127,7 @@ const RedemptionsTable = () => {
                     record
                   );
                 }
-              }>禁用</Button> :
+              }>{t('禁用')}</Button> :
               <Button theme="light" type="secondary" style={{ marginRight: 1 }} onClick={
                 async () => {
                   manageRedemption(
@@ -135,14 +136,14 @@ const RedemptionsTable = () => {
                     record
                   );
                 }
-              } disabled={record.status === 3}>启用</Button>
+              } disabled={record.status === 3}>{t('启用')}</Button>
           }
           <Button theme="light" type="tertiary" style={{ marginRight: 1 }} onClick={
             () => {
               setEditingRedemption(record);
               setShowEdit(true);
             }
-          } disabled={record.status !== 1}>编辑</Button>
+          } disabled={record.status !== 1}>{t('编辑')}</Button>
         </div>
       )
     }
@@ -216,10 +217,10 @@ const RedemptionsTable = () => {
 
   const copyText = async (text) => {
     if (await copy(text)) {
-      showSuccess('已复制到剪贴板！');
+      showSuccess(t('已复制到剪贴板！'));
     } else {
       // setSearchKeyword(text);
-      Modal.error({ title: '无法复制到剪贴板，请手动复制', content: text });
+      Modal.error({ title: t('无法复制到剪贴板，请手动复制'), content: text });
     }
   };
 
@@ -263,7 +264,7 @@ const RedemptionsTable = () => {
     }
     const { success, message } = res.data;
     if (success) {
-      showSuccess('操作成功完成！');
+      showSuccess(t('操作成功完成！'));
       let redemption = res.data.data;
       let newRedemptions = [...redemptions];
       // let realIdx = (activePage - 1) * ITEMS_PER_PAGE + idx;
@@ -353,11 +354,11 @@ const RedemptionsTable = () => {
                       handleClose={closeEdit}></EditRedemption>
       <Form onSubmit={searchRedemptions}>
         <Form.Input
-          label="搜索关键字"
+          label={t('搜索关键字')}
           field="keyword"
           icon="search"
           iconPosition="left"
-          placeholder="关键字(id或者名称)"
+          placeholder={t('关键字(id或者名称)')}
           value={searchKeyword}
           loading={searching}
           onChange={handleKeywordChange}
@@ -370,7 +371,8 @@ const RedemptionsTable = () => {
         total: tokenCount,
         // showSizeChanger: true,
         // pageSizeOptions: [10, 20, 50, 100],
-        formatPageText: (page) => `第 ${page.currentStart} - ${page.currentEnd} 条，共 ${redemptions.length} 条`,
+        formatPageText: (page) =>
+          t('第 {start} - {end} 条，共 {total} 条', { start: page.currentStart, end: page.currentEnd, total: redemptions.length }),
         // onPageSizeChange: (size) => {
         //   setPageSize(size);
         //   setActivePage(1);
@@ -385,11 +387,11 @@ const RedemptionsTable = () => {
           });
           setShowEdit(true);
         }
-      }>添加兑换码</Button>
-      <Button label="复制所选兑换码" type="warning" onClick={
+      }>{t('添加兑换码')}</Button>
+      <Button label={t('复制所选兑换码')} type="warning" onClick={
         async () => {
           if (selectedKeys.length === 0) {
-            showError('请至少选择一个兑换码！');
+            showError(t('请至少选择一个兑换码！'));
             return;
           }
           let keys = '';
@@ -398,7 +400,7 @@ const RedemptionsTable = () => {
           }
           await copyText(keys);
         }
-      }>复制所选兑换码到剪贴板</Button>
+      }>{t('复制所选兑换码到剪贴板')}</Button>
     </>
   );
 };
@@ -3,6 +3,7 @@ import { Button, Form, Grid, Header, Image, Message, Segment } from 'semantic-ui
 import { Link, useNavigate } from 'react-router-dom';
 import { API, getLogo, showError, showInfo, showSuccess } from '../helpers';
 import Turnstile from 'react-turnstile';
+import { t } from 'one-api-common';
 
 const RegisterForm = () => {
   const [inputs, setInputs] = useState({
@@ -46,16 +47,16 @@ const RegisterForm = () => {
 
   async function handleSubmit(e) {
     if (password.length < 8) {
-      showInfo('密码长度不得小于 8 位！');
+      showInfo(t('密码长度不得小于 8 位！'));
       return;
     }
     if (password !== password2) {
-      showInfo('两次输入的密码不一致');
+      showInfo(t('两次输入的密码不一致'));
       return;
     }
     if (username && password) {
       if (turnstileEnabled && turnstileToken === '') {
-        showInfo('请稍后几秒重试，Turnstile 正在检查用户环境！');
+        showInfo(t('请稍后几秒重试，Turnstile 正在检查用户环境！'));
         return;
       }
       setLoading(true);
@@ -70,7 +71,7 @@ const RegisterForm = () => {
       const { success, message } = res.data;
       if (success) {
         navigate('/login');
-        showSuccess('注册成功！');
+        showSuccess(t('注册成功！'));
       } else {
         showError(message);
       }
@@ -81,7 +82,7 @@ const RegisterForm = () => {
   const sendVerificationCode = async () => {
     if (inputs.email === '') return;
     if (turnstileEnabled && turnstileToken === '') {
-      showInfo('请稍后几秒重试，Turnstile 正在检查用户环境！');
+      showInfo(t('请稍后几秒重试，Turnstile 正在检查用户环境！'));
       return;
     }
     setLoading(true);
@@ -90,7 +91,7 @@ const RegisterForm = () => {
     );
     const { success, message } = res.data;
     if (success) {
-      showSuccess('验证码发送成功，请检查你的邮箱！');
+      showSuccess(t('验证码发送成功，请检查你的邮箱！'));
     } else {
       showError(message);
     }
@@ -101,7 +102,7 @@ const RegisterForm = () => {
     <Grid textAlign="center" style={{ marginTop: '48px' }}>
       <Grid.Column style={{ maxWidth: 450 }}>
         <Header as="h2" color="" textAlign="center">
-          <Image src={logo} /> 新用户注册
+          <Image src={logo} /> {t('新用户注册')}
         </Header>
         <Form size="large">
           <Segment>
@@ -109,7 +110,7 @@ const RegisterForm = () => {
               fluid
               icon="user"
               iconPosition="left"
-              placeholder="输入用户名，最长 12 位"
+              placeholder={t('输入用户名，最长 12 位')}
               onChange={handleChange}
               name="username"
             />
@@ -117,7 +118,7 @@ const RegisterForm = () => {
               fluid
               icon="lock"
               iconPosition="left"
-              placeholder="输入密码，最短 8 位，最长 20 位"
+              placeholder={t('输入密码，最短 8 位，最长 20 位')}
               onChange={handleChange}
               name="password"
               type="password"
@@ -126,7 +127,7 @@ const RegisterForm = () => {
               fluid
               icon="lock"
               iconPosition="left"
-              placeholder="输入密码，最短 8 位，最长 20 位"
+              placeholder={t('输入密码，最短 8 位，最长 20 位')}
               onChange={handleChange}
               name="password2"
               type="password"
@@ -137,13 +138,13 @@ const RegisterForm = () => {
                   fluid
                   icon="mail"
                   iconPosition="left"
-                  placeholder="输入邮箱地址"
+                  placeholder={t('输入邮箱地址')}
                   onChange={handleChange}
                   name="email"
                   type="email"
                   action={
                     <Button onClick={sendVerificationCode} disabled={loading}>
-                      获取验证码
+                      {t('获取验证码')}
                     </Button>
                   }
                 />
@@ -151,7 +152,7 @@ const RegisterForm = () => {
                   fluid
                   icon="lock"
                   iconPosition="left"
-                  placeholder="输入验证码"
+                  placeholder={t('输入验证码')}
                   onChange={handleChange}
                   name="verification_code"
                 />
@@ -176,14 +177,14 @@ const RegisterForm = () => {
               onClick={handleSubmit}
               loading={loading}
             >
-              注册
+              {t('注册')}
             </Button>
           </Segment>
         </Form>
         <Message>
-          已有账户？
+          {t('已有账户？')}
           <Link to="/login" className="btn btn-link">
-            点击登录
+            {t('点击登录')}
           </Link>
         </Message>
       </Grid.Column>
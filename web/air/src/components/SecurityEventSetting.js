@@ -0,0 +1,21 @@
+import React from 'react';
+import { Card, Typography } from '@douyinfe/semi-ui';
+import { t } from 'one-api-common';
+import SecurityEventTable from './SecurityEventTable';
+
+const { Text } = Typography;
+
+/**
+ * 个人设置中的安全日志：最近的登录记录以及密码、两步验证、绑定账号等安全相关的操作。
+ */
+const SecurityEventSetting = () => (
+  <Card>
+    <Typography.Title heading={6}>{t('安全日志')}</Typography.Title>
+    <div style={{ margin: '10px 0' }}>
+      <Text type='tertiary'>{t('最近 100 条登录记录与账号安全操作，如有不认识的记录，请立即修改密码。')}</Text>
+    </div>
+    <SecurityEventTable />
+  </Card>
+);
+
+export default SecurityEventSetting;
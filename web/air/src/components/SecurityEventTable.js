@@ -0,0 +1,81 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Banner, Table, Tag } from '@douyinfe/semi-ui';
+import {
+  describeSecurityAlert,
+  describeSecurityEventDetail,
+  describeSecurityEventType,
+  describeUserAgent,
+  t
+} from 'one-api-common';
+import { api, showError, timestamp2string } from '../helpers';
+
+/**
+ * 最近的登录记录与账号安全操作，异常登录会高亮显示。
+ * 传入 userId 时为管理员查看该用户的安全日志，否则为当前用户自己的安全日志。
+ */
+const SecurityEventTable = ({ userId }) => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadEvents = useCallback(async () => {
+    setLoading(true);
+    const { success, message, data } = userId ? await api.user.userSecurityEvents(userId) : await api.user.securityEvents();
+    if (success) {
+      setEvents(data || []);
+    } else {
+      showError(message);
+    }
+    setLoading(false);
+  }, [userId]);
+
+  useEffect(() => {
+    loadEvents().then();
+  }, [loadEvents]);
+
+  const alertCount = events.filter((event) => event.alert).length;
+
+  const columns = [
+    { title: t('时间'), dataIndex: 'created_time', render: (text) => timestamp2string(text) },
+    {
+      title: t('事件'),
+      dataIndex: 'type',
+      render: (text, record) => (
+        <span>
+          {describeSecurityEventType(text)}
+          {record.alert && (
+            <Tag color='red' style={{ marginLeft: 8 }}>
+              {describeSecurityAlert(record.alert)}
+            </Tag>
+          )}
+        </span>
+      )
+    },
+    { title: t('详情'), dataIndex: 'detail', render: (text) => describeSecurityEventDetail(text) },
+    { title: 'IP', dataIndex: 'ip' },
+    { title: t('设备'), dataIndex: 'user_agent', render: (text) => <span title={text}>{describeUserAgent(text)}</span> }
+  ];
+
+  return (
+    <>
+      {alertCount > 0 && (
+        <Banner
+          type='danger'
+          closeIcon={null}
+          style={{ marginBottom: 10 }}
+          description={t('最近有 {count} 次异常登录，如果不是本人操作，请立即修改密码并退出所有设备。', { count: alertCount })}
+        />
+      )}
+      <Table
+        columns={columns}
+        dataSource={events}
+        rowKey='id'
+        loading={loading}
+        pagination={{ pageSize: 10 }}
+        size='small'
+        onRow={(record) => (record.alert ? { style: { background: 'var(--semi-color-danger-light-default)' } } : {})}
+      />
+    </>
+  );
+};
+
+export default SecurityEventTable;
@@ -0,0 +1,21 @@
+import React from 'react';
+import { Card, Typography } from '@douyinfe/semi-ui';
+import { t } from 'one-api-common';
+import SessionTable from './SessionTable';
+
+const { Text } = Typography;
+
+/**
+ * 个人设置中的登录会话：查看在哪些设备上登录过，并可以远程退出。
+ */
+const SessionSetting = () => (
+  <Card>
+    <Typography.Title heading={6}>{t('登录会话')}</Typography.Title>
+    <div style={{ margin: '10px 0' }}>
+      <Text type='tertiary'>{t('以下设备当前已登录你的账号，如有不认识的设备，请退出该会话并修改密码。')}</Text>
+    </div>
+    <SessionTable />
+  </Card>
+);
+
+export default SessionSetting;
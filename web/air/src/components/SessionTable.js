@@ -0,0 +1,122 @@
+import React, { useCallback, useContext, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Button, Popconfirm, Table, Tag } from '@douyinfe/semi-ui';
+import { describeUserAgent, t } from 'one-api-common';
+import { api, showError, showSuccess, timestamp2string } from '../helpers';
+import { UserContext } from '../context/User';
+
+/**
+ * 已登录的会话列表，可以退出单个会话或全部会话。
+ * 传入 userId 时为管理员查看该用户的会话，否则为当前用户自己的会话。
+ */
+const SessionTable = ({ userId }) => {
+  const [, userDispatch] = useContext(UserContext);
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadSessions = useCallback(async () => {
+    setLoading(true);
+    const { success, message, data } = userId ? await api.user.userSessions(userId) : await api.user.sessions();
+    if (success) {
+      setSessions(data || []);
+    } else {
+      showError(message);
+    }
+    setLoading(false);
+  }, [userId]);
+
+  useEffect(() => {
+    loadSessions().then();
+  }, [loadSessions]);
+
+  // 当前会话已被退出，清除本地的登录状态
+  const signOutLocally = () => {
+    userDispatch({ type: 'logout' });
+    localStorage.removeItem('user');
+    navigate('/login');
+  };
+
+  const revoke = async (session) => {
+    const { success, message } = userId ? await api.user.revokeUserSession(userId, session.id) : await api.user.revokeSession(session.id);
+    if (!success) {
+      showError(message);
+      return;
+    }
+    showSuccess(t('已退出该会话'));
+    if (session.current) {
+      signOutLocally();
+      return;
+    }
+    await loadSessions();
+  };
+
+  const revokeAll = async () => {
+    const { success, message } = userId ? await api.user.revokeUserSessions(userId) : await api.user.revokeAllSessions();
+    if (!success) {
+      showError(message);
+      return;
+    }
+    showSuccess(t('已在所有设备上退出登录'));
+    if (!userId || sessions.some((session) => session.current)) {
+      signOutLocally();
+      return;
+    }
+    await loadSessions();
+  };
+
+  const columns = [
+    {
+      title: t('设备'),
+      dataIndex: 'user_agent',
+      render: (text, record) => (
+        <span title={text}>
+          {describeUserAgent(text)}
+          {record.current && (
+            <Tag color='green' style={{ marginLeft: 8 }}>
+              {t('当前')}
+            </Tag>
+          )}
+        </span>
+      )
+    },
+    { title: 'IP', dataIndex: 'ip' },
+    { title: t('登录时间'), dataIndex: 'created_time', render: (text) => timestamp2string(text) },
+    { title: t('最近活动'), dataIndex: 'last_seen_time', render: (text) => timestamp2string(text) },
+    {
+      title: '',
+      dataIndex: 'operate',
+      render: (text, record) => (
+        <Popconfirm
+          title={t('确定退出该会话？')}
+          content={record.current ? t('这是当前会话，退出后需要重新登录') : t('该设备需要重新登录')}
+          okType={'danger'}
+          position={'left'}
+          onConfirm={() => revoke(record)}
+        >
+          <Button theme='light' type='danger'>
+            {t('退出')}
+          </Button>
+        </Popconfirm>
+      )
+    }
+  ];
+
+  return (
+    <>
+      <Table columns={columns} dataSource={sessions} rowKey='id' loading={loading} pagination={false} size='small' />
+      <Popconfirm
+        title={t('确定在所有设备上退出登录？')}
+        content={userId ? t('该用户需要在所有设备上重新登录') : t('包括当前会话在内的所有会话都需要重新登录')}
+        okType={'danger'}
+        onConfirm={revokeAll}
+      >
+        <Button style={{ marginTop: 10 }} type='danger' disabled={sessions.length === 0}>
+          {t('退出所有设备')}
+        </Button>
+      </Popconfirm>
+    </>
+  );
+};
+
+export default SessionTable;
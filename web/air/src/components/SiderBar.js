@@ -4,6 +4,7 @@ import { UserContext } from '../context/User';
 import { StatusContext } from '../context/Status';
 
 import { API, getLogo, getSystemName, isAdmin, isMobile, showError } from '../helpers';
+import { t } from 'one-api-common';
 import '../index.css';
 
 import {
@@ -16,6 +17,7 @@ import {
   IconImage,
   IconKey,
   IconLayers,
+  IconPriceTag,
   IconSetting,
   IconUser
 } from '@douyinfe/semi-icons';
@@ -36,73 +38,78 @@ const SiderBar = () => {
 
   const headerButtons = useMemo(() => [
     {
-      text: '首页',
+      text: t('首页'),
       itemKey: 'home',
       to: '/',
       icon: <IconHome />
     },
     {
-      text: '渠道',
+      text: t('渠道'),
       itemKey: 'channel',
       to: '/channel',
       icon: <IconLayers />,
       className: isAdmin() ? 'semi-navigation-item-normal' : 'tableHiddle'
     },
     {
-      text: '聊天',
+      text: t('操练场'),
       itemKey: 'chat',
       to: '/chat',
-      icon: <IconComment />,
-      className: localStorage.getItem('chat_link') ? 'semi-navigation-item-normal' : 'tableHiddle'
+      icon: <IconComment />
     },
     {
-      text: '令牌',
+      text: t('令牌'),
       itemKey: 'token',
       to: '/token',
       icon: <IconKey />
     },
     {
-      text: '兑换',
+      text: t('兑换'),
       itemKey: 'redemption',
       to: '/redemption',
       icon: <IconGift />,
       className: isAdmin() ? 'semi-navigation-item-normal' : 'tableHiddle'
     },
     {
-      text: '充值',
+      text: t('充值'),
       itemKey: 'topup',
       to: '/topup',
       icon: <IconCreditCard />
     },
     {
-      text: '用户',
+      text: t('用户'),
       itemKey: 'user',
       to: '/user',
       icon: <IconUser />,
       className: isAdmin() ? 'semi-navigation-item-normal' : 'tableHiddle'
     },
     {
-      text: '日志',
+      text: t('价格'),
+      itemKey: 'pricing',
+      to: '/pricing',
+      icon: <IconPriceTag />
+    },
+    {
+      text: t('日志'),
       itemKey: 'log',
       to: '/log',
       icon: <IconHistogram />
     },
     {
-      text: '数据看板',
+      text: t('数据看板'),
       itemKey: 'detail',
       to: '/detail',
       icon: <IconCalendarClock />,
       className: localStorage.getItem('enable_data_export') === 'true' ? 'semi-navigation-item-normal' : 'tableHiddle'
     },
     {
-      text: '绘图',
+      text: t('绘图'),
       itemKey: 'midjourney',
       to: '/midjourney',
       icon: <IconImage />,
       className: localStorage.getItem('enable_drawing') === 'true' ? 'semi-navigation-item-normal' : 'tableHiddle'
     },
     {
-      text: '设置',
+      text: t('设置'),
       itemKey: 'setting',
       to: '/setting',
       icon: <IconSetting />
@@ -113,7 +120,7 @@ const SiderBar = () => {
     //     to: '/about',
     //     icon: <IconAt/>
     // }
-  ], [localStorage.getItem('enable_data_export'), localStorage.getItem('enable_drawing'), localStorage.getItem('chat_link'), isAdmin()]);
+  ], [localStorage.getItem('enable_data_export'), localStorage.getItem('enable_drawing'), isAdmin()]);
 
   const loadStatus = async () => {
     const res = await API.get('/api/status');
@@ -142,7 +149,7 @@ const SiderBar = () => {
         localStorage.removeItem('chat_link2');
       }
     } else {
-      showError('无法正常连接至服务器！');
+      showError(t('无法正常连接至服务器！'));
     }
   };
 
@@ -174,6 +181,7 @@ const SiderBar = () => {
                 topup: '/topup',
                 user: '/user',
                 log: '/log',
+                pricing: '/pricing',
                 midjourney: '/midjourney',
                 setting: '/setting',
                 about: '/about',
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { Banner, Button, Input, Modal, Select, Typography } from '@douyinfe/semi-ui';
+import { t, TOKEN_KEY_GRACE_PERIODS } from 'one-api-common';
+import { api, copy, showError, showSuccess, showWarning } from '../helpers';
+
+const { Text } = Typography;
+
+/**
+ * 更换令牌的密钥，名称、模型、子网等设置与用量不变，可以让旧密钥在一段时间内继续使用。
+ */
+const TokenRotateModal = ({ token, visible, onClose, onRotated }) => {
+  const [gracePeriod, setGracePeriod] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [newKey, setNewKey] = useState('');
+
+  const rotate = async () => {
+    setLoading(true);
+    try {
+      const { success, message, data } = await api.token.rotate(token.id, { grace_period: gracePeriod });
+      if (success) {
+        setNewKey(`sk-${data.key}`);
+        showSuccess(t('密钥已更换'));
+        onRotated();
+      } else {
+        showError(message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const copyKey = async () => {
+    if (await copy(newKey)) {
+      showSuccess(t('已复制到剪贴板！'));
+    } else {
+      showWarning(t('无法复制到剪贴板，请手动复制'));
+    }
+  };
+
+  return (
+    <Modal
+      title={token ? t('更换密钥：{name}', { name: token.name }) : ''}
+      visible={visible}
+      onCancel={onClose}
+      afterClose={() => {
+        setGracePeriod(0);
+        setNewKey('');
+      }}
+      footer={
+        newKey ? (
+          <Button onClick={onClose}>{t('完成')}</Button>
+        ) : (
+          <>
+            <Button onClick={onClose}>{t('取消')}</Button>
+            <Button type='danger' theme='solid' loading={loading} onClick={rotate}>
+              {t('更换密钥')}
+            </Button>
+          </>
+        )
+      }
+    >
+      {newKey ? (
+        <>
+          <Text strong>{t('新密钥')}</Text>
+          <Input
+            style={{ marginTop: 8 }}
+            value={newKey}
+            readonly
+            suffix={<Button theme='borderless' onClick={copyKey}>{t('复制')}</Button>}
+          />
+          <div style={{ marginTop: 8 }}>
+            <Text type='tertiary'>{t('请在客户端中换用新密钥。')}</Text>
+          </div>
+        </>
+      ) : (
+        <>
+          <Banner
+            type='warning'
+            closeIcon={null}
+            description={t('将为该令牌生成新的密钥，名称、模型、子网、额度与用量记录保持不变。')}
+          />
+          <div style={{ marginTop: 16 }}>
+            <Text strong>{t('旧密钥的保留时间')}</Text>
+          </div>
+          <Select
+            style={{ marginTop: 8, width: '100%' }}
+            value={gracePeriod}
+            onChange={setGracePeriod}
+            optionList={TOKEN_KEY_GRACE_PERIODS.map((item) => ({ value: item.value, label: t(item.label) }))}
+          />
+        </>
+      )}
+    </Modal>
+  );
+};
+
+export default TokenRotateModal;
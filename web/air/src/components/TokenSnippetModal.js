@@ -0,0 +1,98 @@
+import React, { useMemo, useState } from 'react';
+import { Button, Input, Modal, Select, TabPane, Tabs, Typography } from '@douyinfe/semi-ui';
+import { QRCodeSVG } from 'qrcode.react';
+import { buildTokenSnippets, getClientTemplates, resolveServerAddress, snippetModel, t, tokenQrCodes } from 'one-api-common';
+import { copy, showSuccess, showWarning } from '../helpers';
+
+const { Text } = Typography;
+
+function getStatus() {
+  const status = localStorage.getItem('status');
+  return status ? JSON.parse(status) : null;
+}
+
+/**
+ * “使用此密钥”对话框：带有令牌密钥与站点地址的代码片段，以及移动端 App 扫码导入的二维码。
+ */
+const TokenSnippetModal = ({ token, visible, onClose }) => {
+  const [model, setModel] = useState('');
+  const [qrKey, setQrKey] = useState(null);
+  const status = getStatus();
+  const serverAddress = resolveServerAddress(status);
+  const apiKey = token ? `sk-${token.key}` : '';
+  const snippets = useMemo(
+    () => (token ? buildTokenSnippets({ apiKey, serverAddress, model: model || snippetModel(token) }) : []),
+    [token, apiKey, serverAddress, model]
+  );
+  const qrCodes = tokenQrCodes({ apiKey, serverAddress, templates: getClientTemplates(status) });
+  const qrCode = qrCodes.find((item) => item.key === qrKey) || qrCodes[0];
+
+  const copyCode = async (code) => {
+    if (await copy(code)) {
+      showSuccess(t('已复制到剪贴板！'));
+    } else {
+      showWarning(t('无法复制到剪贴板，请手动复制'));
+    }
+  };
+
+  return (
+    <Modal
+      title={t('使用此密钥')}
+      visible={visible}
+      onCancel={onClose}
+      afterClose={() => setModel('')}
+      footer={null}
+      width={760}
+    >
+      {token && (
+        <>
+          <Input
+            prefix={t('模型')}
+            value={model}
+            placeholder={snippetModel(token)}
+            onChange={(value) => setModel(value.trim())}
+          />
+          <Tabs type='line' style={{ marginTop: 10 }}>
+            {snippets.map((snippet) => (
+              <TabPane tab={snippet.label} itemKey={snippet.key} key={snippet.key}>
+                <pre
+                  style={{
+                    background: 'var(--semi-color-fill-0)',
+                    padding: 12,
+                    borderRadius: 6,
+                    overflowX: 'auto',
+                    whiteSpace: 'pre'
+                  }}
+                >
+                  {snippet.code}
+                </pre>
+                <Button onClick={() => copyCode(snippet.code)}>{t('复制')}</Button>
+              </TabPane>
+            ))}
+          </Tabs>
+          <div style={{ marginTop: 20, display: 'flex', gap: 20, alignItems: 'flex-start' }}>
+            <QRCodeSVG value={qrCode.value} size={160} includeMargin />
+            <div>
+              <Text strong>{t('移动端扫码导入')}</Text>
+              <div style={{ marginTop: 8 }}>
+                <Select
+                  value={qrCode.key}
+                  onChange={setQrKey}
+                  optionList={qrCodes.map((item) => ({ value: item.key, label: t(item.label) }))}
+                  style={{ width: 200 }}
+                />
+              </div>
+              <div style={{ marginTop: 8 }}>
+                <Text type='tertiary' size='small'>
+                  {t('二维码中包含完整的密钥，请勿截图或分享给他人。')}
+                </Text>
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </Modal>
+  );
+};
+
+export default TokenSnippetModal;
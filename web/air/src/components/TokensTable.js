@@ -1,82 +1,79 @@
 import React, { useEffect, useState } from 'react';
-import { API, copy, showError, showSuccess, timestamp2string } from '../helpers';
+import { API, copy, showError, showSuccess } from '../helpers';
+import {
+  describePreviousKey,
+  fillClientTemplate,
+  formatDateTime,
+  formatTokenBudget,
+  formatTokenLimit,
+  getClientTemplates,
+  resolveServerAddress,
+  t,
+  tokenBudgetUsage,
+  tokenLimitUsage
+} from 'one-api-common';
+import { Link } from 'react-router-dom';
 
 import { ITEMS_PER_PAGE } from '../constants';
 import { renderQuota } from '../helpers/render';
-import { Button, Dropdown, Form, Modal, Popconfirm, Popover, SplitButtonGroup, Table, Tag } from '@douyinfe/semi-ui';
+import { Button, Dropdown, Form, Modal, Popconfirm, Popover, Progress, SplitButtonGroup, Table, Tag, Tooltip } from '@douyinfe/semi-ui';
 
 import { IconTreeTriangleDown } from '@douyinfe/semi-icons';
 import EditToken from '../pages/Token/EditToken';
+import TokenSnippetModal from './TokenSnippetModal';
+import TokenRotateModal from './TokenRotateModal';
 
-const COPY_OPTIONS = [
-  { key: 'next', text: 'ChatGPT Next Web', value: 'next' },
-  { key: 'ama', text: 'ChatGPT Web & Midjourney', value: 'ama' },
-  { key: 'opencat', text: 'OpenCat', value: 'opencat' },
-  { key: 'lobechat', text: 'LobeChat', value: 'lobechat' },
-];
-
-const OPEN_LINK_OPTIONS = [
-  { key: 'ama', text: 'ChatGPT Web & Midjourney', value: 'ama' },
-  { key: 'opencat', text: 'OpenCat', value: 'opencat' },
-  { key: 'lobechat', text: 'LobeChat', value: 'lobechat' }
-];
+function getStatus() {
+  const status = localStorage.getItem('status');
+  return status ? JSON.parse(status) : null;
+}
 
 function renderTimestamp(timestamp) {
   return (
     <>
-      {timestamp2string(timestamp)}
+      {formatDateTime(timestamp)}
     </>
   );
 }
 
-function renderStatus(status, model_limits_enabled = false) {
+export function renderStatus(status, model_limits_enabled = false) {
   switch (status) {
     case 1:
       if (model_limits_enabled) {
-        return <Tag color="green" size="large">已启用：限制模型</Tag>;
+        return <Tag color="green" size="large">{t('已启用：限制模型')}</Tag>;
       } else {
-        return <Tag color="green" size="large">已启用</Tag>;
+        return <Tag color="green" size="large">{t('已启用')}</Tag>;
       }
     case 2:
-      return <Tag color="red" size="large"> 已禁用 </Tag>;
+      return <Tag color="red" size="large"> {t('已禁用')} </Tag>;
     case 3:
-      return <Tag color="yellow" size="large"> 已过期 </Tag>;
+      return <Tag color="yellow" size="large"> {t('已过期')} </Tag>;
     case 4:
-      return <Tag color="grey" size="large"> 已耗尽 </Tag>;
+      return <Tag color="grey" size="large"> {t('已耗尽')} </Tag>;
     default:
-      return <Tag color="black" size="large"> 未知状态 </Tag>;
+      return <Tag color="black" size="large"> {t('未知状态')} </Tag>;
   }
 }
 
 const TokensTable = () => {
 
-  const link_menu = [
-    {
-      node: 'item', key: 'next', name: 'ChatGPT Next Web', onClick: () => {
-        onOpenLink('next');
-      }
-    },
-    { node: 'item', key: 'ama', name: 'AMA 问天', value: 'ama' },
-    {
-      node: 'item', key: 'next-mj', name: 'ChatGPT Web & Midjourney', value: 'next-mj', onClick: () => {
-        onOpenLink('next-mj');
-      }
-    },
-    { node: 'item', key: 'opencat', name: 'OpenCat', value: 'opencat' },
-    {
-      node: 'item', key: 'lobechat', name: 'LobeChat', onClick: () => {
-        onOpenLink('lobechat');
-      }
-    }
-  ];
-
   const columns = [
     {
-      title: '名称',
-      dataIndex: 'name'
+      title: t('名称'),
+      dataIndex: 'name',
+      render: (text, record) => (
+        <>
+          <Link to={`/token/${record.id}`} title={t('查看令牌详情')}>
+            {text}
+          </Link>
+          {describePreviousKey(record) && (
+            <div style={{ fontSize: 12, color: 'var(--semi-color-text-2)' }}>{describePreviousKey(record)}</div>
+          )}
+        </>
+      )
     },
     {
-      title: '状态',
+      title: t('状态'),
       dataIndex: 'status',
       key: 'status',
       render: (text, record, index) => {
@@ -88,7 +85,7 @@ const TokensTable = () => {
       }
     },
     {
-      title: '已用额度',
+      title: t('已用额度'),
       dataIndex: 'used_quota',
       render: (text, record, index) => {
         return (
@@ -99,19 +96,55 @@ const TokensTable = () => {
       }
     },
     {
-      title: '剩余额度',
+      title: t('剩余额度'),
       dataIndex: 'remain_quota',
       render: (text, record, index) => {
         return (
           <div>
-            {record.unlimited_quota ? <Tag size={'large'} color={'white'}>无限制</Tag> :
+            {record.unlimited_quota ? <Tag size={'large'} color={'white'}>{t('无限制')}</Tag> :
               <Tag size={'large'} color={'light-blue'}>{renderQuota(parseInt(text))}</Tag>}
           </div>
         );
       }
     },
     {
-      title: '创建时间',
+      title: t('周期预算'),
+      dataIndex: 'budget_quota',
+      render: (text, record) => {
+        const usage = tokenBudgetUsage(record);
+        if (!usage) return t('不限制');
+        return (
+          <Tooltip content={t('将于 {time} 重置', { time: formatDateTime(usage.resetTime) })}>
+            <div style={{ minWidth: 120 }}>
+              {formatTokenBudget(usage)}
+              <Progress percent={usage.ratio * 100} stroke={usage.ratio >= 1 ? 'var(--semi-color-danger)' : undefined} size='small' />
+            </div>
+          </Tooltip>
+        );
+      }
+    },
+    {
+      title: t('限流'),
+      dataIndex: 'rpm_limit',
+      render: (text, record) => {
+        const limits = tokenLimitUsage(record);
+        if (limits.length === 0) return t('不限制');
+        return (
+          <div style={{ minWidth: 120 }}>
+            {limits.map((item) => (
+              <Tooltip key={item.key} content={t(item.label)}>
+                <div>
+                  {formatTokenLimit(item)}
+                  <Progress percent={item.ratio * 100} stroke={item.ratio >= 1 ? 'var(--semi-color-danger)' : undefined} size='small' />
+                </div>
+              </Tooltip>
+            ))}
+          </div>
+        );
+      }
+    },
+    {
+      title: t('创建时间'),
       dataIndex: 'created_time',
       render: (text, record, index) => {
         return (
@@ -122,12 +155,12 @@ const TokensTable = () => {
       }
     },
     {
-      title: '过期时间',
+      title: t('过期时间'),
       dataIndex: 'expired_time',
       render: (text, record, index) => {
         return (
           <div>
-            {record.expired_time === -1 ? '永不过期' : renderTimestamp(text)}
+            {record.expired_time === -1 ? t('永不过期') : renderTimestamp(text)}
           </div>
         );
       }
@@ -144,62 +177,41 @@ const TokensTable = () => {
             style={{ padding: 20 }}
             position="top"
           >
-            <Button theme="light" type="tertiary" style={{ marginRight: 1 }}>查看</Button>
+            <Button theme="light" type="tertiary" style={{ marginRight: 1 }}>{t('查看')}</Button>
           </Popover>
           <Button theme="light" type="secondary" style={{ marginRight: 1 }}
                   onClick={async (text) => {
                     await copyText('sk-' + record.key);
                   }}
-          >复制</Button>
-          <SplitButtonGroup style={{ marginRight: 1 }} aria-label="项目操作按钮组">
+          >{t('复制')}</Button>
+          <SplitButtonGroup style={{ marginRight: 1 }} aria-label={t('项目操作按钮组')}>
             <Button theme="light" style={{ color: 'rgba(var(--semi-teal-7), 1)' }} onClick={() => {
-              onOpenLink('next', record.key);
-            }}>聊天</Button>
+              onOpenLink(null, record.key);
+            }}>{t('聊天')}</Button>
             <Dropdown trigger="click" position="bottomRight" menu={
-              [
-                {
-                  node: 'item',
-                  key: 'next',
-                  disabled: !localStorage.getItem('chat_link'),
-                  name: 'ChatGPT Next Web',
-                  onClick: () => {
-                    onOpenLink('next', record.key);
-                  }
-                },
-                {
-                  node: 'item',
-                  key: 'next-mj',
-                  disabled: !localStorage.getItem('chat_link2'),
-                  name: 'ChatGPT Web & Midjourney',
-                  onClick: () => {
-                    onOpenLink('next-mj', record.key);
-                  }
-                },
-                {
-                  node: 'item', key: 'ama', name: 'AMA 问天（BotGem）', onClick: () => {
-                    onOpenLink('ama', record.key);
-                  }
-                },
-                {
-                  node: 'item', key: 'opencat', name: 'OpenCat', onClick: () => {
-                    onOpenLink('opencat', record.key);
-                  }
-                },
-                {
-                  node: 'item', key: 'lobechat', name: 'LobeChat', onClick: () => {
-                    onOpenLink('lobechat');
-                  }
+              clientTemplates.map((template) => ({
+                node: 'item',
+                key: template.name,
+                name: template.name,
+                onClick: () => {
+                  onOpenLink(template, record.key);
                 }
-              ]
+              }))
             }
             >
               <Button style={{ padding: '8px 4px', color: 'rgba(var(--semi-teal-7), 1)' }} type="primary"
                       icon={<IconTreeTriangleDown />}></Button>
             </Dropdown>
           </SplitButtonGroup>
+          <Button theme="light" type="primary" style={{ marginRight: 1 }} onClick={() => setSnippetToken(record)}>
+            {t('使用')}
+          </Button>
+          <Button theme="light" type="tertiary" style={{ marginRight: 1 }} onClick={() => setRotateToken(record)}>
+            {t('更换密钥')}
+          </Button>
           <Popconfirm
-            title="确定是否要删除此令牌？"
-            content="此修改将不可逆"
+            title={t('确定是否要删除此令牌？')}
+            content={t('此修改将不可逆')}
             okType={'danger'}
             position={'left'}
             onConfirm={() => {
@@ -210,7 +222,7 @@ const TokensTable = () => {
               );
             }}
           >
-            <Button theme="light" type="danger" style={{ marginRight: 1 }}>删除</Button>
+            <Button theme="light" type="danger" style={{ marginRight: 1 }}>{t('删除')}</Button>
           </Popconfirm>
           {
             record.status === 1 ?
@@ -222,7 +234,7 @@ const TokensTable = () => {
                     record
                   );
                 }
-              }>禁用</Button> :
+              }>{t('禁用')}</Button> :
               <Button theme="light" type="secondary" style={{ marginRight: 1 }} onClick={
                 async () => {
                   manageToken(
@@ -231,14 +243,14 @@ const TokensTable = () => {
                     record
                   );
                 }
-              }>启用</Button>
+              }>{t('启用')}</Button>
           }
           <Button theme="light" type="tertiary" style={{ marginRight: 1 }} onClick={
             () => {
               setEditingToken(record);
               setShowEdit(true);
             }
-          }>编辑</Button>
+          }>{t('编辑')}</Button>
         </div>
       )
     }
@@ -261,6 +273,9 @@ const TokensTable = () => {
   });
   const [orderBy, setOrderBy] = useState('');
   const [dropdownVisible, setDropdownVisible] = useState(false);
+  const [snippetToken, setSnippetToken] = useState(null);
+  const [rotateToken, setRotateToken] = useState(null);
+  const clientTemplates = getClientTemplates(getStatus());
 
   const closeEdit = () => {
     setShowEdit(false);
@@ -313,98 +328,31 @@ const TokensTable = () => {
     await loadTokens(activePage - 1);
   };
 
-  const onCopy = async (type, key) => {
-    let status = localStorage.getItem('status');
-    let serverAddress = '';
-    if (status) {
-      status = JSON.parse(status);
-      serverAddress = status.server_address;
-    }
-    if (serverAddress === '') {
-      serverAddress = window.location.origin;
-    }
-    let encodedServerAddress = encodeURIComponent(serverAddress);
-    const nextLink = localStorage.getItem('chat_link');
-    const mjLink = localStorage.getItem('chat_link2');
-    let nextUrl;
-
-    if (nextLink) {
-      nextUrl = nextLink + `/#/?settings={"key":"sk-${key}","url":"${serverAddress}"}`;
-    } else {
-      nextUrl = `https://app.nextchat.dev/#/?settings={"key":"sk-${key}","url":"${serverAddress}"}`;
-    }
-
-    let url;
-    switch (type) {
-      case 'ama':
-        url = mjLink + `/#/?settings={"key":"sk-${key}","url":"${serverAddress}"}`;
-        break;
-      case 'opencat':
-        url = `opencat://team/join?domain=${encodedServerAddress}&token=sk-${key}`;
-        break;
-      case 'next':
-        url = nextUrl;
-        break;
-      default:
-        url = `sk-${key}`;
-    }
-    // if (await copy(url)) {
-    //     showSuccess('已复制到剪贴板！');
-    // } else {
-    //     showWarning('无法复制到剪贴板，请手动复制，已将令牌填入搜索框。');
-    //     setSearchKeyword(url);
-    // }
-  };
-
   const copyText = async (text) => {
     if (await copy(text)) {
-      showSuccess('已复制到剪贴板！');
+      showSuccess(t('已复制到剪贴板！'));
     } else {
       // setSearchKeyword(text);
-      Modal.error({ title: '无法复制到剪贴板，请手动复制', content: text });
+      Modal.error({ title: t('无法复制到剪贴板，请手动复制'), content: text });
     }
   };
 
-  const onOpenLink = async (type, key) => {
-    let status = localStorage.getItem('status');
-    let serverAddress = '';
-    if (status) {
-      status = JSON.parse(status);
-      serverAddress = status.server_address;
-    }
-    if (serverAddress === '') {
-      serverAddress = window.location.origin;
-    }
-    let encodedServerAddress = encodeURIComponent(serverAddress);
+  // 没有指定客户端模板时打开管理员设置的聊天页面，未设置时使用第一个客户端模板
+  const onOpenLink = async (template, key) => {
+    const apiKey = `sk-${key}`;
+    const serverAddress = resolveServerAddress(getStatus());
     const chatLink = localStorage.getItem('chat_link');
-    const mjLink = localStorage.getItem('chat_link2');
-    let defaultUrl;
-
-    if (chatLink) {
-      defaultUrl = chatLink + `/#/?settings={"key":"sk-${key}","url":"${serverAddress}"}`;
-    }
     let url;
-    switch (type) {
-      case 'ama':
-        url = `ama://set-api-key?server=${encodedServerAddress}&key=sk-${key}`;
-        break;
-      case 'opencat':
-        url = `opencat://team/join?domain=${encodedServerAddress}&token=sk-${key}`;
-        break;
-      case 'next-mj':
-        url = mjLink + `/#/?settings={"key":"sk-${key}","url":"${serverAddress}"}`;
-        break;
-      case 'lobechat':
-        url = chatLink + `/?settings={"keyVaults":{"openai":{"apiKey":"sk-${key}","baseURL":"${serverAddress}/v1"}}}`;
-        break;
-      default:
-        if (!chatLink) {
-          showError('管理员未设置聊天链接');
-          return;
-        }
-        url = defaultUrl;
+    if (template) {
+      url = fillClientTemplate(template.url, { apiKey, serverAddress });
+    } else if (chatLink) {
+      url = chatLink + `/#/?settings={"key":"${apiKey}","url":"${serverAddress}"}`;
+    } else if (clientTemplates.length > 0) {
+      url = fillClientTemplate(clientTemplates[0].url, { apiKey, serverAddress });
+    } else {
+      showError(t('管理员未设置聊天链接'));
+      return;
     }
-
     window.open(url, '_blank');
   };
 
@@ -447,7 +395,7 @@ const TokensTable = () => {
     }
     const { success, message } = res.data;
     if (success) {
-      showSuccess('操作成功完成！');
+      showSuccess(t('操作成功完成！'));
       let token = res.data.data;
       let newTokens = [...tokens];
       // let realIdx = (activePage - 1) * ITEMS_PER_PAGE + idx;
@@ -547,22 +495,29 @@ const TokensTable = () => {
   const renderSelectedOption = (orderBy) => {
     switch (orderBy) {
       case 'remain_quota':
-        return '按剩余额度排序';
+        return t('按剩余额度排序');
       case 'used_quota':
-        return '按已用额度排序';
+        return t('按已用额度排序');
       default:
-        return '默认排序';
+        return t('默认排序');
     }
   };
 
   return (
     <>
       <EditToken refresh={refresh} editingToken={editingToken} visiable={showEdit} handleClose={closeEdit}></EditToken>
+      <TokenSnippetModal token={snippetToken} visible={snippetToken !== null} onClose={() => setSnippetToken(null)} />
+      <TokenRotateModal
+        token={rotateToken}
+        visible={rotateToken !== null}
+        onClose={() => setRotateToken(null)}
+        onRotated={refresh}
+      />
       <Form layout="horizontal" style={{ marginTop: 10 }} labelPosition={'left'}>
         <Form.Input
           field="keyword"
-          label="搜索关键字"
-          placeholder="令牌名称"
+          label={t('搜索关键字')}
+          placeholder={t('令牌名称')}
           value={searchKeyword}
           loading={searching}
           onChange={handleKeywordChange}
@@ -575,8 +530,8 @@ const TokensTable = () => {
           loading={searching}
           onChange={handleSearchTokenChange}
         /> */}
-        <Button label="查询" type="primary" htmlType="submit" className="btn-margin-right"
-                onClick={searchTokens} style={{ marginRight: 8 }}>查询</Button>
+        <Button label={t('查询')} type="primary" htmlType="submit" className="btn-margin-right"
+                onClick={searchTokens} style={{ marginRight: 8 }}>{t('查询')}</Button>
       </Form>
 
       <Table style={{ marginTop: 20 }} columns={columns} dataSource={pageData} pagination={{
@@ -585,7 +540,8 @@ const TokensTable = () => {
         total: tokenCount,
         showSizeChanger: true,
         pageSizeOptions: [10, 20, 50, 100],
-        formatPageText: (page) => `第 ${page.currentStart} - ${page.currentEnd} 条，共 ${tokens.length} 条`,
+        formatPageText: (page) =>
+          t('第 {start} - {end} 条，共 {total} 条', { start: page.currentStart, end: page.currentEnd, total: tokens.length }),
         onPageSizeChange: (size) => {
           setPageSize(size);
           setActivePage(1);
@@ -600,11 +556,11 @@ const TokensTable = () => {
           });
           setShowEdit(true);
         }
-      }>添加令牌</Button>
-      <Button label="复制所选令牌" type="warning" onClick={
+      }>{t('添加令牌')}</Button>
+      <Button label={t('复制所选令牌')} type="warning" onClick={
         async () => {
           if (selectedKeys.length === 0) {
-            showError('请至少选择一个令牌！');
+            showError(t('请至少选择一个令牌！'));
             return;
           }
           let keys = '';
@@ -613,7 +569,7 @@ const TokensTable = () => {
           }
           await copyText(keys);
         }
-      }>复制所选令牌到剪贴板</Button>
+      }>{t('复制所选令牌到剪贴板')}</Button>
       <Dropdown
         trigger="click"
         position="bottomLeft"
@@ -621,9 +577,9 @@ const TokensTable = () => {
         onVisibleChange={(visible) => setDropdownVisible(visible)}
         render={
           <Dropdown.Menu>
-            <Dropdown.Item onClick={() => handleOrderByChange('', { value: '' })}>默认排序</Dropdown.Item>
-            <Dropdown.Item onClick={() => handleOrderByChange('', { value: 'remain_quota' })}>按剩余额度排序</Dropdown.Item>
-            <Dropdown.Item onClick={() => handleOrderByChange('', { value: 'used_quota' })}>按已用额度排序</Dropdown.Item>
+            <Dropdown.Item onClick={() => handleOrderByChange('', { value: '' })}>{t('默认排序')}</Dropdown.Item>
+            <Dropdown.Item onClick={() => handleOrderByChange('', { value: 'remain_quota' })}>{t('按剩余额度排序')}</Dropdown.Item>
+            <Dropdown.Item onClick={() => handleOrderByChange('', { value: 'used_quota' })}>{t('按已用额度排序')}</Dropdown.Item>
           </Dropdown.Menu>
         }
       >
@@ -0,0 +1,196 @@
+import React, { useContext, useEffect, useState } from 'react';
+import { Banner, Button, Card, Input, Modal, Tag, Typography } from '@douyinfe/semi-ui';
+import { QRCodeSVG } from 'qrcode.react';
+import { downloadRecoveryCodes, formatRecoveryCodes, t } from 'one-api-common';
+import { UserContext } from '../context/User';
+import { api, copy, getSystemName, showError, showSuccess, showWarning } from '../helpers';
+
+const { Text } = Typography;
+
+/**
+ * 个人设置中的两步验证：扫码绑定验证器并保存恢复码，已启用时可以重新生成恢复码或关闭。
+ */
+const TwoFactorSetting = () => {
+  const [userState, userDispatch] = useContext(UserContext);
+  const [status, setStatus] = useState(null);
+  // setup：扫码并输入验证码；disable、reset：输入验证码后关闭或重新生成恢复码
+  const [mode, setMode] = useState('');
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const loadStatus = async () => {
+    const { success, message, data } = await api.user.twoFactor();
+    if (success) {
+      setStatus(data);
+    } else {
+      showError(message);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus().then();
+  }, []);
+
+  const updateUser = (enabled) => {
+    const user = { ...userState.user, two_factor_enabled: enabled };
+    userDispatch({ type: 'login', payload: user });
+    localStorage.setItem('user', JSON.stringify(user));
+  };
+
+  const close = () => {
+    setMode('');
+    setSetup(null);
+    setCode('');
+  };
+
+  const startSetup = async () => {
+    const { success, message, data } = await api.user.setupTwoFactor();
+    if (success) {
+      setSetup(data);
+      setMode('setup');
+    } else {
+      showError(message);
+    }
+  };
+
+  const submit = async () => {
+    if (!code.trim()) return;
+    setLoading(true);
+    try {
+      let res;
+      if (mode === 'setup') {
+        res = await api.user.enableTwoFactor({ code: code.trim() });
+      } else if (mode === 'reset') {
+        res = await api.user.resetRecoveryCodes({ code: code.trim() });
+      } else {
+        res = await api.user.disableTwoFactor({ code: code.trim() });
+      }
+      const { success, message, data } = res;
+      if (!success) {
+        showError(message);
+        return;
+      }
+      if (mode === 'disable') {
+        showSuccess(t('两步验证已关闭'));
+        updateUser(false);
+      } else {
+        if (mode === 'setup') {
+          showSuccess(t('两步验证已启用'));
+          updateUser(true);
+        }
+        setRecoveryCodes(data.recovery_codes);
+      }
+      close();
+      await loadStatus();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const copyCodes = async () => {
+    if (await copy(formatRecoveryCodes(recoveryCodes, getSystemName()))) {
+      showSuccess(t('已复制到剪贴板！'));
+    } else {
+      showWarning(t('无法复制到剪贴板，请手动复制'));
+    }
+  };
+
+  if (!status) return null;
+
+  return (
+    <Card>
+      <Typography.Title heading={6}>{t('两步验证')}</Typography.Title>
+      {status.enabled ? (
+        <>
+          <div style={{ marginTop: 10 }}>
+            <Tag color='green'>{t('已启用')}</Tag>
+            <Text style={{ marginLeft: 8 }}>{t('剩余 {count} 个恢复码', { count: status.recovery_codes_left })}</Text>
+          </div>
+          <div style={{ marginTop: 10 }}>
+            <Button onClick={() => setMode('reset')}>{t('重新生成恢复码')}</Button>
+            <Button type='danger' style={{ marginLeft: 8 }} onClick={() => setMode('disable')}>
+              {t('关闭两步验证')}
+            </Button>
+          </div>
+        </>
+      ) : (
+        <>
+          <div style={{ marginTop: 10 }}>
+            <Text type='tertiary'>
+              {t('启用后，使用密码登录时还需要输入验证器应用（如 Google Authenticator、1Password）中的验证码。')}
+            </Text>
+          </div>
+          <Button style={{ marginTop: 10 }} onClick={startSetup}>
+            {t('启用两步验证')}
+          </Button>
+        </>
+      )}
+
+      <Modal
+        title={mode === 'setup' ? t('启用两步验证') : mode === 'reset' ? t('重新生成恢复码') : t('关闭两步验证')}
+        visible={mode !== ''}
+        onCancel={close}
+        footer={
+          <>
+            <Button onClick={close}>{t('取消')}</Button>
+            <Button type={mode === 'disable' ? 'danger' : 'primary'} theme='solid' loading={loading} onClick={submit}>
+              {t('确认')}
+            </Button>
+          </>
+        }
+      >
+        {mode === 'setup' && setup && (
+          <div style={{ textAlign: 'center', marginBottom: 16 }}>
+            <Text>{t('使用验证器应用扫描二维码，或手动输入密钥')}</Text>
+            <div>
+              <QRCodeSVG value={setup.uri} size={180} includeMargin />
+            </div>
+            <Text code copyable style={{ wordBreak: 'break-all' }}>
+              {setup.secret}
+            </Text>
+          </div>
+        )}
+        <Text strong>{mode === 'setup' ? t('验证码') : t('验证码或恢复码')}</Text>
+        <Input
+          style={{ marginTop: 8 }}
+          autoComplete='one-time-code'
+          autoFocus
+          value={code}
+          onChange={setCode}
+          onEnterPress={submit}
+        />
+      </Modal>
+
+      <Modal
+        title={t('恢复码')}
+        visible={recoveryCodes.length > 0}
+        closable={false}
+        maskClosable={false}
+        footer={
+          <>
+            <Button onClick={copyCodes}>{t('复制')}</Button>
+            <Button onClick={() => downloadRecoveryCodes(recoveryCodes, getSystemName())}>{t('下载')}</Button>
+            <Button type='primary' theme='solid' onClick={() => setRecoveryCodes([])}>
+              {t('我已保存')}
+            </Button>
+          </>
+        }
+      >
+        <Banner
+          type='warning'
+          closeIcon={null}
+          description={t('恢复码只显示这一次，请妥善保存。无法使用验证器时，每个恢复码可以代替验证码登录一次。')}
+        />
+        <div style={{ marginTop: 16, fontFamily: 'monospace', columns: 2 }}>
+          {recoveryCodes.map((item) => (
+            <div key={item}>{item}</div>
+          ))}
+        </div>
+      </Modal>
+    </Card>
+  );
+};
+
+export default TwoFactorSetting;
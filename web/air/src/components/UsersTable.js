@@ -1,21 +1,24 @@
 import React, { useEffect, useState } from 'react';
 import { API, showError, showSuccess } from '../helpers';
-import { Button, Form, Popconfirm, Space, Table, Tag, Tooltip, Dropdown } from '@douyinfe/semi-ui';
+import { t } from 'one-api-common';
+import { Button, Form, Modal, Popconfirm, Space, Table, Tag, Tooltip, Dropdown } from '@douyinfe/semi-ui';
 import { ITEMS_PER_PAGE } from '../constants';
 import { renderGroup, renderNumber, renderQuota } from '../helpers/render';
 import AddUser from '../pages/User/AddUser';
 import EditUser from '../pages/User/EditUser';
+import SessionTable from './SessionTable';
+import SecurityEventTable from './SecurityEventTable';
 
 function renderRole(role) {
   switch (role) {
     case 1:
-      return <Tag size="large">普通用户</Tag>;
+      return <Tag size="large">{t('普通用户')}</Tag>;
     case 10:
-      return <Tag color="yellow" size="large">管理员</Tag>;
+      return <Tag color="yellow" size="large">{t('管理员')}</Tag>;
     case 100:
-      return <Tag color="orange" size="large">超级管理员</Tag>;
+      return <Tag color="orange" size="large">{t('超级管理员')}</Tag>;
     default:
-      return <Tag color="red" size="large">未知身份</Tag>;
+      return <Tag color="red" size="large">{t('未知身份')}</Tag>;
   }
 }
 
@@ -23,24 +26,24 @@ const UsersTable = () => {
   const columns = [{
     title: 'ID', dataIndex: 'id'
   }, {
-    title: '用户名', dataIndex: 'username'
+    title: t('用户名'), dataIndex: 'username'
   }, {
-    title: '分组', dataIndex: 'group', render: (text, record, index) => {
+    title: t('分组'), dataIndex: 'group', render: (text, record, index) => {
       return (<div>
         {renderGroup(text)}
       </div>);
     }
   }, {
-    title: '统计信息', dataIndex: 'info', render: (text, record, index) => {
+    title: t('统计信息'), dataIndex: 'info', render: (text, record, index) => {
       return (<div>
         <Space spacing={1}>
-          <Tooltip content={'剩余额度'}>
+          <Tooltip content={t('剩余额度')}>
             <Tag color="white" size="large">{renderQuota(record.quota)}</Tag>
           </Tooltip>
-          <Tooltip content={'已用额度'}>
+          <Tooltip content={t('已用额度')}>
             <Tag color="white" size="large">{renderQuota(record.used_quota)}</Tag>
           </Tooltip>
-          <Tooltip content={'调用次数'}>
+          <Tooltip content={t('调用次数')}>
             <Tag color="white" size="large">{renderNumber(record.request_count)}</Tag>
           </Tooltip>
         </Space>
@@ -66,14 +69,14 @@ const UsersTable = () => {
   //   }
   // },
   {
-    title: '角色', dataIndex: 'role', render: (text, record, index) => {
+    title: t('角色'), dataIndex: 'role', render: (text, record, index) => {
       return (<div>
         {renderRole(text)}
       </div>);
     }
   },
   {
-    title: '状态', dataIndex: 'status', render: (text, record, index) => {
+    title: t('状态'), dataIndex: 'status', render: (text, record, index) => {
       return (<div>
         {renderStatus(text)}
       </div>);
@@ -83,38 +86,44 @@ const UsersTable = () => {
     title: '', dataIndex: 'operate', render: (text, record, index) => (<div>
       <>
         <Popconfirm
-          title="确定？"
+          title={t('确定？')}
           okType={'warning'}
           onConfirm={() => {
             manageUser(record.username, 'promote', record);
           }}
         >
-          <Button theme="light" type="warning" style={{ marginRight: 1 }}>提升</Button>
+          <Button theme="light" type="warning" style={{ marginRight: 1 }}>{t('提升')}</Button>
         </Popconfirm>
         <Popconfirm
-          title="确定？"
+          title={t('确定？')}
           okType={'warning'}
           onConfirm={() => {
             manageUser(record.username, 'demote', record);
           }}
         >
-          <Button theme="light" type="secondary" style={{ marginRight: 1 }}>降级</Button>
+          <Button theme="light" type="secondary" style={{ marginRight: 1 }}>{t('降级')}</Button>
         </Popconfirm>
         {record.status === 1 ?
           <Button theme="light" type="warning" style={{ marginRight: 1 }} onClick={async () => {
             manageUser(record.username, 'disable', record);
-          }}>禁用</Button> :
+          }}>{t('禁用')}</Button> :
           <Button theme="light" type="secondary" style={{ marginRight: 1 }} onClick={async () => {
             manageUser(record.username, 'enable', record);
-          }} disabled={record.status === 3}>启用</Button>}
+          }} disabled={record.status === 3}>{t('启用')}</Button>}
         <Button theme="light" type="tertiary" style={{ marginRight: 1 }} onClick={() => {
           setEditingUser(record);
           setShowEditUser(true);
-        }}>编辑</Button>
+        }}>{t('编辑')}</Button>
+        <Button theme="light" type="tertiary" style={{ marginRight: 1 }} onClick={() => {
+          setSessionUser(record);
+        }}>{t('会话')}</Button>
+        <Button theme="light" type="tertiary" style={{ marginRight: 1 }} onClick={() => {
+          setSecurityUser(record);
+        }}>{t('安全日志')}</Button>
       </>
       <Popconfirm
-        title="确定是否要删除此用户？"
-        content="硬删除，此修改将不可逆"
+        title={t('确定是否要删除此用户？')}
+        content={t('硬删除，此修改将不可逆')}
         okType={'danger'}
         position={'left'}
         onConfirm={() => {
@@ -123,7 +132,7 @@ const UsersTable = () => {
           });
         }}
       >
-        <Button theme="light" type="danger" style={{ marginRight: 1 }}>删除</Button>
+        <Button theme="light" type="danger" style={{ marginRight: 1 }}>{t('删除')}</Button>
       </Popconfirm>
     </div>)
   }];
@@ -139,6 +148,8 @@ const UsersTable = () => {
   const [editingUser, setEditingUser] = useState({
     id: undefined
   });
+  const [sessionUser, setSessionUser] = useState(null);
+  const [securityUser, setSecurityUser] = useState(null);
   const [orderBy, setOrderBy] = useState('');
   const [dropdownVisible, setDropdownVisible] = useState(false);
 
@@ -206,7 +217,7 @@ const UsersTable = () => {
     });
     const { success, message } = res.data;
     if (success) {
-      showSuccess('操作成功完成！');
+      showSuccess(t('操作成功完成！'));
       let user = res.data.data;
       let newUsers = [...users];
       if (action === 'delete') {
@@ -224,14 +235,14 @@ const UsersTable = () => {
   const renderStatus = (status) => {
     switch (status) {
       case 1:
-        return <Tag size="large">已激活</Tag>;
+        return <Tag size="large">{t('已激活')}</Tag>;
       case 2:
         return (<Tag size="large" color="red">
-          已封禁
+          {t('已封禁')}
         </Tag>);
       default:
         return (<Tag size="large" color="grey">
-          未知状态
+          {t('未知状态')}
         </Tag>);
     }
   };
@@ -313,13 +324,13 @@ const UsersTable = () => {
   const renderSelectedOption = (orderBy) => {
     switch (orderBy) {
       case 'quota':
-        return '按剩余额度排序';
+        return t('按剩余额度排序');
       case 'used_quota':
-        return '按已用额度排序';
+        return t('按已用额度排序');
       case 'request_count':
-        return '按请求次数排序';
+        return t('按请求次数排序');
       default:
-        return '默认排序';
+        return t('默认排序');
     }
   };
 
@@ -328,13 +339,31 @@ const UsersTable = () => {
       <AddUser refresh={refresh} visible={showAddUser} handleClose={closeAddUser}></AddUser>
       <EditUser refresh={refresh} visible={showEditUser} handleClose={closeEditUser}
         editingUser={editingUser}></EditUser>
+      <Modal
+        title={sessionUser ? t('{username} 的登录会话', { username: sessionUser.username }) : ''}
+        visible={!!sessionUser}
+        onCancel={() => setSessionUser(null)}
+        footer={null}
+        width={800}
+      >
+        {sessionUser && <SessionTable userId={sessionUser.id} />}
+      </Modal>
+      <Modal
+        title={securityUser ? t('{username} 的安全日志', { username: securityUser.username }) : ''}
+        visible={!!securityUser}
+        onCancel={() => setSecurityUser(null)}
+        footer={null}
+        width={960}
+      >
+        {securityUser && <SecurityEventTable userId={securityUser.id} />}
+      </Modal>
       <Form onSubmit={searchUsers}>
         <Form.Input
-          label="搜索关键字"
+          label={t('搜索关键字')}
           icon="search"
           field="keyword"
           iconPosition="left"
-          placeholder="搜索用户的 ID，用户名，显示名称，以及邮箱地址 ..."
+          placeholder={t('搜索用户的 ID，用户名，显示名称，以及邮箱地址 ...')}
           value={searchKeyword}
           loading={searching}
           onChange={value => handleKeywordChange(value)}
@@ -352,7 +381,7 @@ const UsersTable = () => {
         () => {
           setShowAddUser(true);
         }
-      }>添加用户</Button>
+      }>{t('添加用户')}</Button>
       <Dropdown
         trigger="click"
         position="bottomLeft"
@@ -360,10 +389,10 @@ const UsersTable = () => {
         onVisibleChange={(visible) => setDropdownVisible(visible)}
         render={
           <Dropdown.Menu>
-            <Dropdown.Item onClick={() => handleOrderByChange('', { value: '' })}>默认排序</Dropdown.Item>
-            <Dropdown.Item onClick={() => handleOrderByChange('', { value: 'quota' })}>按剩余额度排序</Dropdown.Item>
-            <Dropdown.Item onClick={() => handleOrderByChange('', { value: 'used_quota' })}>按已用额度排序</Dropdown.Item>
-            <Dropdown.Item onClick={() => handleOrderByChange('', { value: 'request_count' })}>按请求次数排序</Dropdown.Item>
+            <Dropdown.Item onClick={() => handleOrderByChange('', { value: '' })}>{t('默认排序')}</Dropdown.Item>
+            <Dropdown.Item onClick={() => handleOrderByChange('', { value: 'quota' })}>{t('按剩余额度排序')}</Dropdown.Item>
+            <Dropdown.Item onClick={() => handleOrderByChange('', { value: 'used_quota' })}>{t('按已用额度排序')}</Dropdown.Item>
+            <Dropdown.Item onClick={() => handleOrderByChange('', { value: 'request_count' })}>{t('按请求次数排序')}</Dropdown.Item>
           </Dropdown.Menu>
         }
       >
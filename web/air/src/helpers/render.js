@@ -1,6 +1,8 @@
 import {Label} from 'semantic-ui-react';
 import {Tag} from "@douyinfe/semi-ui";
 
+export { getQuotaPerUnit, renderNumber, renderQuota, renderQuotaWithPrompt } from 'one-api-common';
+
 export function renderText(text, limit) {
     if (text.length > limit) {
         return text.slice(0, limit - 3) + '...';
@@ -30,18 +32,6 @@ export function renderGroup(group) {
     </>;
 }
 
-export function renderNumber(num) {
-    if (num >= 1000000000) {
-        return (num / 1000000000).toFixed(1) + 'B';
-    } else if (num >= 1000000) {
-        return (num / 1000000).toFixed(1) + 'M';
-    } else if (num >= 10000) {
-        return (num / 1000).toFixed(1) + 'k';
-    } else {
-        return num;
-    }
-}
-
 export function renderQuotaNumberWithDigit(num, digits = 2) {
     let displayInCurrency = localStorage.getItem('display_in_currency');
     num = num.toFixed(digits);
@@ -79,38 +69,12 @@ export function renderNumberWithPoint(num) {
     return num;
 }
 
-export function getQuotaPerUnit() {
-    let quotaPerUnit = localStorage.getItem('quota_per_unit');
-    quotaPerUnit = parseFloat(quotaPerUnit);
-    return quotaPerUnit;
-}
-
 export function getQuotaWithUnit(quota, digits = 6) {
     let quotaPerUnit = localStorage.getItem('quota_per_unit');
     quotaPerUnit = parseFloat(quotaPerUnit);
     return (quota / quotaPerUnit).toFixed(digits);
 }
 
-export function renderQuota(quota, digits = 2) {
-    let quotaPerUnit = localStorage.getItem('quota_per_unit');
-    let displayInCurrency = localStorage.getItem('display_in_currency');
-    quotaPerUnit = parseFloat(quotaPerUnit);
-    displayInCurrency = displayInCurrency === 'true';
-    if (displayInCurrency) {
-        return '$' + (quota / quotaPerUnit).toFixed(digits);
-    }
-    return renderNumber(quota);
-}
-
-export function renderQuotaWithPrompt(quota, digits) {
-    let displayInCurrency = localStorage.getItem('display_in_currency');
-    displayInCurrency = displayInCurrency === 'true';
-    if (displayInCurrency) {
-        return `（等价金额：${renderQuota(quota, digits)}）`;
-    }
-    return '';
-}
-
 const colors = ['amber', 'blue', 'cyan', 'green', 'grey', 'indigo',
     'light-blue', 'lime', 'orange', 'pink',
     'purple', 'red', 'teal', 'violet', 'yellow'
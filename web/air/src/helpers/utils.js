@@ -2,6 +2,9 @@ import { Toast } from '@douyinfe/semi-ui';
 import { toastConstants } from '../constants';
 import React from 'react';
 import {toast} from "react-toastify";
+import { describeError, ErrorKind, t } from 'one-api-common';
+
+export { timestamp2string } from 'one-api-common';
 
 const HTMLToastContent = ({ htmlContent }) => {
   return <div dangerouslySetInnerHTML={{ __html: htmlContent }} />;
@@ -74,50 +77,33 @@ if (isMobile()) {
 
 export function showError(error) {
   console.error(error);
-  if (error.message) {
-    if (error.name === 'AxiosError') {
-      switch (error.response.status) {
-        case 401:
-          // toast.error('错误：未登录或登录已过期，请重新登录！', showErrorOptions);
-          window.location.href = '/login?expired=true';
-          break;
-        case 429:
-          Toast.error('错误：请求次数过多，请稍后再试！');
-          break;
-        case 500:
-          Toast.error('错误：服务器内部错误，请联系管理员！');
-          break;
-        case 405:
-          Toast.info('本站仅作演示之用，无服务端！');
-          break;
-        default:
-          Toast.error('错误：' + error.message);
-      }
-      return;
-    }
-    Toast.error('错误：' + error.message);
-  } else {
-    Toast.error('错误：' + error);
+  if (error && error.reported) {
+    return;
   }
+  if (error && error.kind === ErrorKind.Demo) {
+    Toast.info(describeError(error));
+    return;
+  }
+  Toast.error(describeError(error));
 }
 
 export function showWarning(message) {
-  Toast.warning(message);
+  Toast.warning(t(message));
 }
 
 export function showSuccess(message) {
-  Toast.success(message);
+  Toast.success(t(message));
 }
 
 export function showInfo(message) {
-  Toast.info(message);
+  Toast.info(t(message));
 }
 
 export function showNotice(message, isHTML = false) {
   if (isHTML) {
     toast(<HTMLToastContent htmlContent={message} />, showNoticeOptions);
   } else {
-    Toast.info(message);
+    Toast.info(t(message));
   }
 }
 
@@ -133,44 +119,6 @@ export function removeTrailingSlash(url) {
   }
 }
 
-export function timestamp2string(timestamp) {
-  let date = new Date(timestamp * 1000);
-  let year = date.getFullYear().toString();
-  let month = (date.getMonth() + 1).toString();
-  let day = date.getDate().toString();
-  let hour = date.getHours().toString();
-  let minute = date.getMinutes().toString();
-  let second = date.getSeconds().toString();
-  if (month.length === 1) {
-    month = '0' + month;
-  }
-  if (day.length === 1) {
-    day = '0' + day;
-  }
-  if (hour.length === 1) {
-    hour = '0' + hour;
-  }
-  if (minute.length === 1) {
-    minute = '0' + minute;
-  }
-  if (second.length === 1) {
-    second = '0' + second;
-  }
-  return (
-    year +
-    '-' +
-    month +
-    '-' +
-    day +
-    ' ' +
-    hour +
-    ':' +
-    minute +
-    ':' +
-    second
-  );
-}
-
 export function timestamp2string1(timestamp, dataExportDefaultTime = 'hour') {
   let date = new Date(timestamp * 1000);
   // let year = date.getFullYear().toString();
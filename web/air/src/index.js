@@ -11,8 +11,10 @@ import {UserProvider} from './context/User';
 import {ToastContainer} from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import {StatusProvider} from './context/Status';
+import {LocaleProvider} from './context/Locale';
 import {Layout} from "@douyinfe/semi-ui";
 import SiderBar from "./components/SiderBar";
+import QuotaAlertBanner from "./components/QuotaAlertBanner";
 
 // initialization
 initVChartSemiTheme({
@@ -26,27 +28,30 @@ root.render(
         <StatusProvider>
             <UserProvider>
                 <BrowserRouter>
-                    <Layout>
-                        <Sider>
-                            <SiderBar/>
-                        </Sider>
+                    <LocaleProvider>
                         <Layout>
-                            <Header>
-                                <HeaderBar/>
-                            </Header>
-                            <Content
-                                style={{
-                                    padding: '24px',
-                                }}
-                            >
-                                <App/>
-                            </Content>
-                            <Layout.Footer>
-                                <Footer></Footer>
-                            </Layout.Footer>
+                            <Sider>
+                                <SiderBar/>
+                            </Sider>
+                            <Layout>
+                                <Header>
+                                    <HeaderBar/>
+                                </Header>
+                                <Content
+                                    style={{
+                                        padding: '24px',
+                                    }}
+                                >
+                                    <QuotaAlertBanner/>
+                                    <App/>
+                                </Content>
+                                <Layout.Footer>
+                                    <Footer></Footer>
+                                </Layout.Footer>
+                            </Layout>
+                            <ToastContainer/>
                         </Layout>
-                        <ToastContainer/>
-                    </Layout>
+                    </LocaleProvider>
                 </BrowserRouter>
             </UserProvider>
         </StatusProvider>
@@ -2,8 +2,10 @@ import React, {useEffect, useRef, useState} from 'react';
 import {useNavigate, useParams} from 'react-router-dom';
 import {API, isMobile, showError, showInfo, showSuccess, verifyJSON} from '../../helpers';
 import {CHANNEL_OPTIONS} from '../../constants';
+import JsonMapEditor from '../../components/JsonMapEditor';
 import Title from "@douyinfe/semi-ui/lib/es/typography/title";
 import {SideSheet, Space, Spin, Button, Input, Typography, Select, TextArea, Checkbox, Banner} from "@douyinfe/semi-ui";
+import { t } from "one-api-common";
 
 const MODEL_MAPPING_EXAMPLE = {
     'gpt-3.5-turbo-0301': 'gpt-3.5-turbo',
@@ -58,6 +60,8 @@ const EditChannel = (props) => {
     const [basicModels, setBasicModels] = useState([]);
     const [fullModels, setFullModels] = useState([]);
     const [customModel, setCustomModel] = useState('');
+    const [savedModelMapping, setSavedModelMapping] = useState('');
+    const [modelMappingErrors, setModelMappingErrors] = useState([]);
     const handleInputChange = (name, value) => {
         setInputs((inputs) => ({...inputs, [name]: value}));
         if (name === 'type' && inputs.models.length === 0) {
@@ -144,6 +148,8 @@ const EditChannel = (props) => {
                 data.model_mapping = JSON.stringify(JSON.parse(data.model_mapping), null, 2);
             }
             setInputs(data);
+            setSavedModelMapping(data.model_mapping);
+            setModelMappingErrors([]);
             if (data.auto_ban === 0) {
                 setAutoBan(false);
             } else {
@@ -209,21 +215,27 @@ const EditChannel = (props) => {
             );
         } else {
             setInputs(originInputs)
+            setSavedModelMapping('');
+            setModelMappingErrors([]);
         }
     }, [props.editingChannel.id]);
 
 
     const submit = async () => {
         if (!isEdit && (inputs.name === '' || inputs.key === '')) {
-            showInfo('请填写渠道名称和渠道密钥！');
+            showInfo(t('请填写渠道名称和渠道密钥！'));
             return;
         }
         if (inputs.models.length === 0) {
-            showInfo('请至少选择一个模型！');
+            showInfo(t('请至少选择一个模型！'));
             return;
         }
         if (inputs.model_mapping !== '' && !verifyJSON(inputs.model_mapping)) {
-            showInfo('模型映射必须是合法的 JSON 格式！');
+            showInfo(t('模型映射必须是合法的 JSON 格式！'));
+            return;
+        }
+        if (modelMappingErrors.length > 0) {
+            showInfo(t('模型映射有误：{error}', { error: modelMappingErrors[0] }));
             return;
         }
         let localInputs = {...inputs};
@@ -238,7 +250,7 @@ const EditChannel = (props) => {
         }
         let res;
         if (!Array.isArray(localInputs.models)) {
-            showError('提交失败，请勿重复提交！');
+            showError(t('提交失败，请勿重复提交！'));
             handleCancel();
             return;
         }
@@ -253,9 +265,9 @@ const EditChannel = (props) => {
         const {success, message} = res.data;
         if (success) {
             if (isEdit) {
-                showSuccess('渠道更新成功！');
+                showSuccess(t('渠道更新成功！'));
             } else {
-                showSuccess('渠道创建成功！');
+                showSuccess(t('渠道创建成功！'));
                 setInputs(originInputs);
             }
             props.refresh();
@@ -267,7 +279,7 @@ const EditChannel = (props) => {
 
     const addCustomModel = () => {
         if (customModel.trim() === '') return;
-        if (inputs.models.includes(customModel)) return showError("该模型已存在！");
+        if (inputs.models.includes(customModel)) return showError(t('该模型已存在！'));
         let localModels = [...inputs.models];
         localModels.push(customModel);
         let localModelOptions = [];
@@ -288,15 +300,15 @@ const EditChannel = (props) => {
             <SideSheet
                 maskClosable={false}
                 placement={isEdit ? 'right' : 'left'}
-                title={<Title level={3}>{isEdit ? '更新渠道信息' : '创建新的渠道'}</Title>}
+                title={<Title level={3}>{isEdit ? t('更新渠道信息') : t('创建新的渠道')}</Title>}
                 headerStyle={{borderBottom: '1px solid var(--semi-color-border)'}}
                 bodyStyle={{borderBottom: '1px solid var(--semi-color-border)'}}
                 visible={props.visible}
                 footer={
                     <div style={{display: 'flex', justifyContent: 'flex-end'}}>
                         <Space>
-                            <Button theme='solid' size={'large'} onClick={submit}>提交</Button>
-                            <Button theme='solid' size={'large'} type={'tertiary'} onClick={handleCancel}>取消</Button>
+                            <Button theme='solid' size={'large'} onClick={submit}>{t('提交')}</Button>
+                            <Button theme='solid' size={'large'} type={'tertiary'} onClick={handleCancel}>{t('取消')}</Button>
                         </Space>
                     </div>
                 }
@@ -306,12 +318,12 @@ const EditChannel = (props) => {
             >
                 <Spin spinning={loading}>
                     <div style={{ marginTop: 10 }}>
-                        <Typography.Text strong>类型：</Typography.Text>
+                        <Typography.Text strong>{t('类型：')}</Typography.Text>
                     </div>
                     <Select
                       name='type'
                       required
-                      optionList={CHANNEL_OPTIONS}
+                      optionList={CHANNEL_OPTIONS.map((option) => ({ ...option, text: t(option.text) }))}
                       value={inputs.type}
                       onChange={value => handleInputChange('type', value)}
                       style={{ width: '50%' }}
@@ -322,10 +334,8 @@ const EditChannel = (props) => {
                             <div style={{ marginTop: 10 }}>
                                 <Banner type={"warning"} description={
                                     <>
-                                        注意，<strong>模型部署名称必须和模型名称保持一致</strong>，因为 One API 会把请求体中的
-                                        model
-                                        参数替换为你的部署名称（模型名称中的点会被剔除），<a target='_blank'
-                                                                                          href='https://github.com/songquanpeng/one-api/issues/133?notification_referrer_id=NT_kwDOAmJSYrM2NjIwMzI3NDgyOjM5OTk4MDUw#issuecomment-1571602271'>图片演示</a>。
+                                        {t('注意，')}<strong>{t('模型部署名称必须和模型名称保持一致')}</strong>{t('，因为 One API 会把请求体中的 model 参数替换为你的部署名称（模型名称中的点会被剔除），')}<a target='_blank'
+                                                                                          href='https://github.com/songquanpeng/one-api/issues/133?notification_referrer_id=NT_kwDOAmJSYrM2NjIwMzI3NDgyOjM5OTk4MDUw#issuecomment-1571602271'>{t('图片演示')}</a>。
                                     </>
                                 }>
                                 </Banner>
@@ -336,7 +346,7 @@ const EditChannel = (props) => {
                             <Input
                               label='AZURE_OPENAI_ENDPOINT'
                               name='azure_base_url'
-                              placeholder={'请输入 AZURE_OPENAI_ENDPOINT，例如：https://docs-test-001.openai.azure.com'}
+                              placeholder={t('请输入 AZURE_OPENAI_ENDPOINT，例如：https://docs-test-001.openai.azure.com')}
                               onChange={value => {
                                   handleInputChange('base_url', value)
                               }}
@@ -344,12 +354,12 @@ const EditChannel = (props) => {
                               autoComplete='new-password'
                             />
                             <div style={{ marginTop: 10 }}>
-                                <Typography.Text strong>默认 API 版本：</Typography.Text>
+                                <Typography.Text strong>{t('默认 API 版本：')}</Typography.Text>
                             </div>
                             <Input
-                              label='默认 API 版本'
+                              label={t('默认 API 版本')}
                               name='azure_other'
-                              placeholder={'请输入默认 API 版本，例如：2024-03-01-preview，该配置可以被实际的请求查询参数所覆盖'}
+                              placeholder={t('请输入默认 API 版本，例如：2024-03-01-preview，该配置可以被实际的请求查询参数所覆盖')}
                               onChange={value => {
                                   handleInputChange('other', value)
                               }}
@@ -367,7 +377,7 @@ const EditChannel = (props) => {
                             </div>
                             <Input
                               name='base_url'
-                              placeholder={'请输入自定义渠道的 Base URL'}
+                              placeholder={t('请输入自定义渠道的 Base URL')}
                               onChange={value => {
                                   handleInputChange('base_url', value)
                               }}
@@ -378,12 +388,12 @@ const EditChannel = (props) => {
                       )
                     }
                     <div style={{ marginTop: 10 }}>
-                        <Typography.Text strong>名称：</Typography.Text>
+                        <Typography.Text strong>{t('名称：')}</Typography.Text>
                     </div>
                     <Input
                       required
                       name='name'
-                      placeholder={'请为渠道命名'}
+                      placeholder={t('请为渠道命名')}
                       onChange={value => {
                           handleInputChange('name', value)
                       }}
@@ -391,16 +401,16 @@ const EditChannel = (props) => {
                       autoComplete='new-password'
                     />
                     <div style={{ marginTop: 10 }}>
-                        <Typography.Text strong>分组：</Typography.Text>
+                        <Typography.Text strong>{t('分组：')}</Typography.Text>
                     </div>
                     <Select
-                      placeholder={'请选择可以使用该渠道的分组'}
+                      placeholder={t('请选择可以使用该渠道的分组')}
                       name='groups'
                       required
                       multiple
                       selection
                       allowAdditions
-                      additionLabel={'请在系统设置页面编辑分组倍率以添加新的分组：'}
+                      additionLabel={t('请在系统设置页面编辑分组倍率以添加新的分组：')}
                       onChange={value => {
                           handleInputChange('groups', value)
                       }}
@@ -412,11 +422,11 @@ const EditChannel = (props) => {
                       inputs.type === 18 && (
                         <>
                             <div style={{ marginTop: 10 }}>
-                                <Typography.Text strong>模型版本：</Typography.Text>
+                                <Typography.Text strong>{t('模型版本：')}</Typography.Text>
                             </div>
                             <Input
                               name='other'
-                              placeholder={'请输入星火大模型版本，注意是接口地址中的版本号，例如：v2.1'}
+                              placeholder={t('请输入星火大模型版本，注意是接口地址中的版本号，例如：v2.1')}
                               onChange={value => {
                                   handleInputChange('other', value)
                               }}
@@ -430,12 +440,12 @@ const EditChannel = (props) => {
                       inputs.type === 21 && (
                         <>
                             <div style={{ marginTop: 10 }}>
-                                <Typography.Text strong>知识库 ID：</Typography.Text>
+                                <Typography.Text strong>{t('知识库 ID：')}</Typography.Text>
                             </div>
                             <Input
-                              label='知识库 ID'
+                              label={t('知识库 ID')}
                               name='other'
-                              placeholder={'请输入知识库 ID，例如：123456'}
+                              placeholder={t('请输入知识库 ID，例如：123456')}
                               onChange={value => {
                                   handleInputChange('other', value)
                               }}
@@ -446,10 +456,10 @@ const EditChannel = (props) => {
                       )
                     }
                     <div style={{ marginTop: 10 }}>
-                        <Typography.Text strong>模型：</Typography.Text>
+                        <Typography.Text strong>{t('模型：')}</Typography.Text>
                     </div>
                     <Select
-                      placeholder={'请选择该渠道所支持的模型'}
+                      placeholder={t('请选择该渠道所支持的模型')}
                       name='models'
                       required
                       multiple
@@ -465,19 +475,19 @@ const EditChannel = (props) => {
                         <Space>
                             <Button type='primary' onClick={() => {
                                 handleInputChange('models', basicModels);
-                            }}>填入基础模型</Button>
+                            }}>{t('填入基础模型')}</Button>
                             <Button type='secondary' onClick={() => {
                                 handleInputChange('models', fullModels);
-                            }}>填入所有模型</Button>
+                            }}>{t('填入所有模型')}</Button>
                             <Button type='warning' onClick={() => {
                                 handleInputChange('models', []);
-                            }}>清除所有模型</Button>
+                            }}>{t('清除所有模型')}</Button>
                         </Space>
                         <Input
                           addonAfter={
-                              <Button type='primary' onClick={addCustomModel}>填入</Button>
+                              <Button type='primary' onClick={addCustomModel}>{t('填入')}</Button>
                           }
-                          placeholder='输入自定义模型名称'
+                          placeholder={t('输入自定义模型名称')}
                           value={customModel}
                           onChange={(value) => {
                               setCustomModel(value.trim());
@@ -485,23 +495,29 @@ const EditChannel = (props) => {
                         />
                     </div>
                     <div style={{ marginTop: 10 }}>
-                        <Typography.Text strong>模型重定向：</Typography.Text>
+                        <JsonMapEditor
+                          label={t('模型重定向：')}
+                          mapping
+                          value={inputs.model_mapping}
+                          savedValue={savedModelMapping}
+                          onChange={(value, errors) => {
+                              handleInputChange('model_mapping', value);
+                              setModelMappingErrors(errors);
+                          }}
+                          keyLabel={t('请求中的模型')}
+                          valueLabel={t('替换为')}
+                          keyOptions={modelOptions.map((option) => option.value)}
+                          valueOptions={modelOptions.map((option) => option.value)}
+                          placeholder={`${t('此项可选，用于修改请求体中的模型名称，为一个 JSON 字符串，键为请求中模型名称，值为要替换的模型名称，例如：')}\n${JSON.stringify(MODEL_MAPPING_EXAMPLE, null, 2)}`}
+                          models={inputs.models}
+                          channelType={inputs.type}
+                        />
                     </div>
-                    <TextArea
-                      placeholder={`此项可选，用于修改请求体中的模型名称，为一个 JSON 字符串，键为请求中模型名称，值为要替换的模型名称，例如：\n${JSON.stringify(MODEL_MAPPING_EXAMPLE, null, 2)}`}
-                      name='model_mapping'
-                      onChange={value => {
-                          handleInputChange('model_mapping', value)
-                      }}
-                      autosize
-                      value={inputs.model_mapping}
-                      autoComplete='new-password'
-                    />
                     <div style={{ marginTop: 10 }}>
-                        <Typography.Text strong>系统提示词：</Typography.Text>
+                        <Typography.Text strong>{t('系统提示词：')}</Typography.Text>
                     </div>
                     <TextArea
-                      placeholder={`此项可选，用于强制设置给定的系统提示词，请配合自定义模型 & 模型重定向使用，首先创建一个唯一的自定义模型名称并在上面填入，之后将该自定义模型重定向映射到该渠道一个原生支持的模型`}
+                      placeholder={t('此项可选，用于强制设置给定的系统提示词，请配合自定义模型 & 模型重定向使用，首先创建一个唯一的自定义模型名称并在上面填入，之后将该自定义模型重定向映射到该渠道一个原生支持的模型')}
                       name='system_prompt'
                       onChange={value => {
                           handleInputChange('system_prompt', value)
@@ -517,20 +533,21 @@ const EditChannel = (props) => {
                     }} onClick={
                         () => {
                             handleInputChange('model_mapping', JSON.stringify(MODEL_MAPPING_EXAMPLE, null, 2))
+                            setModelMappingErrors([]);
                         }
                     }>
-                        填入模板
+                        {t('填入模板')}
                     </Typography.Text>
                     <div style={{ marginTop: 10 }}>
-                        <Typography.Text strong>密钥：</Typography.Text>
+                        <Typography.Text strong>{t('密钥：')}</Typography.Text>
                     </div>
                     {
                         batch ?
                           <TextArea
-                            label='密钥'
+                            label={t('密钥')}
                             name='key'
                             required
-                            placeholder={'请输入密钥，一行一个'}
+                            placeholder={t('请输入密钥，一行一个')}
                             onChange={value => {
                                 handleInputChange('key', value)
                             }}
@@ -540,10 +557,10 @@ const EditChannel = (props) => {
                           />
                           :
                           <Input
-                            label='密钥'
+                            label={t('密钥')}
                             name='key'
                             required
-                            placeholder={type2secretPrompt(inputs.type)}
+                            placeholder={t(type2secretPrompt(inputs.type))}
                             onChange={value => {
                                 handleInputChange('key', value)
                             }}
@@ -552,12 +569,12 @@ const EditChannel = (props) => {
                           />
                     }
                     <div style={{ marginTop: 10 }}>
-                        <Typography.Text strong>组织：</Typography.Text>
+                        <Typography.Text strong>{t('组织：')}</Typography.Text>
                     </div>
                     <Input
-                      label='组织，可选，不填则为默认组织'
+                      label={t('组织，可选，不填则为默认组织')}
                       name='openai_organization'
-                      placeholder='请输入组织org-xxx'
+                      placeholder={t('请输入组织org-xxx')}
                       onChange={value => {
                           handleInputChange('openai_organization', value)
                       }}
@@ -576,7 +593,7 @@ const EditChannel = (props) => {
                               // onChange={handleInputChange}
                             />
                             <Typography.Text
-                              strong>是否自动禁用（仅当自动禁用开启时有效），关闭后不会自动禁用该渠道：</Typography.Text>
+                              strong>{t('是否自动禁用（仅当自动禁用开启时有效），关闭后不会自动禁用该渠道：')}</Typography.Text>
                         </Space>
                     </div>
 
@@ -586,11 +603,11 @@ const EditChannel = (props) => {
                             <Space>
                                 <Checkbox
                                   checked={batch}
-                                  label='批量创建'
+                                  label={t('批量创建')}
                                   name='batch'
                                   onChange={() => setBatch(!batch)}
                                 />
-                                <Typography.Text strong>批量创建</Typography.Text>
+                                <Typography.Text strong>{t('批量创建')}</Typography.Text>
                             </Space>
                         </div>
                       )
@@ -599,12 +616,12 @@ const EditChannel = (props) => {
                       inputs.type !== 3 && inputs.type !== 8 && inputs.type !== 22 && (
                         <>
                             <div style={{ marginTop: 10 }}>
-                                <Typography.Text strong>代理：</Typography.Text>
+                                <Typography.Text strong>{t('代理：')}</Typography.Text>
                             </div>
                             <Input
-                              label='代理'
+                              label={t('代理')}
                               name='base_url'
-                              placeholder={'此项可选，用于通过代理站来进行 API 调用'}
+                              placeholder={t('此项可选，用于通过代理站来进行 API 调用')}
                               onChange={value => {
                                   handleInputChange('base_url', value)
                               }}
@@ -618,11 +635,11 @@ const EditChannel = (props) => {
                       inputs.type === 22 && (
                         <>
                             <div style={{ marginTop: 10 }}>
-                                <Typography.Text strong>私有部署地址：</Typography.Text>
+                                <Typography.Text strong>{t('私有部署地址：')}</Typography.Text>
                             </div>
                             <Input
                               name='base_url'
-                              placeholder={'请输入私有部署地址，格式为：https://fastgpt.run/api/openapi'}
+                              placeholder={t('请输入私有部署地址，格式为：https://fastgpt.run/api/openapi')}
                               onChange={value => {
                                   handleInputChange('base_url', value)
                               }}
@@ -1,12 +1,13 @@
 import React from 'react';
 import ChannelsTable from '../../components/ChannelsTable';
 import {Layout} from "@douyinfe/semi-ui";
+import { t } from "one-api-common";
 
 const File = () => (
     <>
         <Layout>
             <Layout.Header>
-                <h3>管理渠道</h3>
+                <h3>{t('管理渠道')}</h3>
             </Layout.Header>
             <Layout.Content>
                 <ChannelsTable/>
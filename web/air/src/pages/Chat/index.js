@@ -1,15 +1,26 @@
 import React from 'react';
-
-const Chat = () => {
-  const chatLink = localStorage.getItem('chat_link');
-
-  return (
-    <iframe
-      src={chatLink}
-      style={{ width: '100%', height: '85vh', border: 'none' }}
-    />
-  );
-};
-
+import Playground from '../../components/Playground';
+import PlaygroundCompare from '../../components/PlaygroundCompare';
+import {Layout, TabPane, Tabs} from "@douyinfe/semi-ui";
+import { t } from "one-api-common";
+const Chat = () => (
+  <>
+    <Layout>
+      <Layout.Header>
+          <h3>{t('操练场')}</h3>
+      </Layout.Header>
+      <Layout.Content>
+          <Tabs type="line" keepDOM>
+              <TabPane tab={t('对话')} itemKey="chat">
+                  <Playground/>
+              </TabPane>
+              <TabPane tab={t('多模型对比')} itemKey="compare">
+                  <PlaygroundCompare/>
+              </TabPane>
+          </Tabs>
+      </Layout.Content>
+    </Layout>
+  </>
+);
 
 export default Chat;
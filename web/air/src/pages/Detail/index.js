@@ -1,353 +1,357 @@
-import React, {useEffect, useRef, useState} from 'react';
-import {Button, Col, Form, Layout, Row, Spin} from "@douyinfe/semi-ui";
+import React, {useCallback, useEffect, useRef, useState} from 'react';
+import {Button, Card, Col, Form, Layout, Row, Spin, Table, Typography} from "@douyinfe/semi-ui";
 import VChart from '@visactor/vchart';
-import {API, isAdmin, showError, timestamp2string, timestamp2string1} from "../../helpers";
+import {api, isAdmin, showError, timestamp2string} from "../../helpers";
 import {
     getQuotaWithUnit, modelColorMap,
     renderNumber,
     renderQuota,
-    renderQuotaNumberWithDigit,
-    stringToColor
+    renderQuotaNumberWithDigit
 } from "../../helpers/render";
+import {
+    analyticsChartRows,
+    analyticsDimensions,
+    analyticsLabel,
+    analyticsParams,
+    ANALYTICS_DIMENSIONS,
+    ANALYTICS_GRANULARITIES,
+    AnalyticsGranularity,
+    changeRatio,
+    formatChange,
+    isCanceled,
+    t
+} from "one-api-common";
+import QuotaForecastCard from "../../components/QuotaForecastCard";
 
-const Detail = (props) => {
-    const formRef = useRef();
-    let now = new Date();
-    const [inputs, setInputs] = useState({
-        username: '',
-        token_name: '',
-        model_name: '',
-        start_timestamp: localStorage.getItem('data_export_default_time') === 'hour' ? timestamp2string(now.getTime() / 1000 - 86400) : (localStorage.getItem('data_export_default_time') === 'week' ? timestamp2string(now.getTime() / 1000 - 86400 * 30) : timestamp2string(now.getTime() / 1000 - 86400 * 7)),
-        end_timestamp: timestamp2string(now.getTime() / 1000 + 3600),
-        channel: '',
-        data_export_default_time: ''
-    });
-    const {username, model_name, start_timestamp, end_timestamp, channel} = inputs;
-    const isAdminUser = isAdmin();
-    const initialized = useRef(false)
-    const [modelDataChart, setModelDataChart] = useState(null);
-    const [modelDataPieChart, setModelDataPieChart] = useState(null);
-    const [loading, setLoading] = useState(false);
-    const [quotaData, setQuotaData] = useState([]);
-    const [consumeQuota, setConsumeQuota] = useState(0);
-    const [times, setTimes] = useState(0);
-    const [dataExportDefaultTime, setDataExportDefaultTime] = useState(localStorage.getItem('data_export_default_time') || 'hour');
+const {Text} = Typography;
 
-    const handleInputChange = (value, name) => {
-        if (name === 'data_export_default_time') {
-            setDataExportDefaultTime(value);
-            return
-        }
-        setInputs((inputs) => ({...inputs, [name]: value}));
-    };
+const TOP_N = 10;
 
-    const spec_line = {
+// 沿用系统设置中的默认时间粒度，并据此决定默认的时间范围
+function defaultGranularity() {
+    const value = localStorage.getItem('data_export_default_time');
+    return ANALYTICS_GRANULARITIES.some(option => option.value === value) ? value : AnalyticsGranularity.Day;
+}
+
+function defaultRange(granularity) {
+    const now = Date.now() / 1000;
+    const days = {hour: 1, day: 7, week: 30, month: 180}[granularity];
+    return [timestamp2string(now - 86400 * days), timestamp2string(now + 3600)];
+}
+
+// 变化比例：消耗上升显示为红色，下降显示为绿色
+const ChangeText = ({current, previous}) => {
+    const ratio = changeRatio(current, previous);
+    const type = ratio === null || ratio === 0 ? 'tertiary' : (ratio > 0 ? 'danger' : 'success');
+    return <Text type={type}>{formatChange(ratio)}</Text>;
+};
+
+// 图表的初始配置，数据与副标题在加载后填入
+function barSpec() {
+    return {
         type: 'bar',
-        data: [
-            {
-                id: 'barData',
-                values: []
-            }
-        ],
-        xField: 'Time',
-        yField: 'Usage',
-        seriesField: 'Model',
+        data: [{id: 'barData', values: []}],
+        xField: 'time',
+        yField: 'usage',
+        seriesField: 'key',
         stack: true,
-        legends: {
-            visible: true
-        },
-        title: {
-            visible: true,
-            text: '模型消耗分布',
-            subtext: '0'
-        },
+        legends: {visible: true},
+        title: {visible: true, text: t('消耗分布'), subtext: ''},
         bar: {
-            // The state style of bar
             state: {
-                hover: {
-                    stroke: '#000',
-                    lineWidth: 1
-                }
+                hover: {stroke: '#000', lineWidth: 1}
             }
         },
         tooltip: {
             mark: {
-                content: [
-                    {
-                        key: datum => datum['Model'],
-                        value: datum => renderQuotaNumberWithDigit(parseFloat(datum['Usage']), 4)
-                    }
-                ]
+                content: [{
+                    key: datum => datum['key'],
+                    value: datum => renderQuotaNumberWithDigit(parseFloat(datum['usage']), 4)
+                }]
             },
             dimension: {
-                content: [
-                    {
-                        key: datum => datum['Model'],
-                        value: datum => datum['Usage']
-                    }
-                ],
+                content: [{
+                    key: datum => datum['key'],
+                    value: datum => datum['usage']
+                }],
                 updateContent: array => {
-                    // sort by value
                     array.sort((a, b) => b.value - a.value);
-                    // add $
                     let sum = 0;
                     for (let i = 0; i < array.length; i++) {
                         sum += parseFloat(array[i].value);
                         array[i].value = renderQuotaNumberWithDigit(parseFloat(array[i].value), 4);
                     }
-                    // add to first
-                    array.unshift({
-                        key: '总计',
-                        value: renderQuotaNumberWithDigit(sum, 4)
-                    });
+                    array.unshift({key: t('总计'), value: renderQuotaNumberWithDigit(sum, 4)});
                     return array;
                 }
             }
         },
-        color: {
-            specified: modelColorMap
-        }
+        color: {specified: modelColorMap}
     };
+}
 
-    const spec_pie = {
+function pieSpec() {
+    return {
         type: 'pie',
-        data: [
-            {
-                id: 'id0',
-                values: [
-                    {type: 'null', value: '0'},
-                ]
-            }
-        ],
+        data: [{id: 'pieData', values: []}],
         outerRadius: 0.8,
         innerRadius: 0.5,
         padAngle: 0.6,
         valueField: 'value',
         categoryField: 'type',
         pie: {
-            style: {
-                cornerRadius: 10
-            },
+            style: {cornerRadius: 10},
             state: {
-                hover: {
-                    outerRadius: 0.85,
-                    stroke: '#000',
-                    lineWidth: 1
-                },
-                selected: {
-                    outerRadius: 0.85,
-                    stroke: '#000',
-                    lineWidth: 1
-                }
+                hover: {outerRadius: 0.85, stroke: '#000', lineWidth: 1},
+                selected: {outerRadius: 0.85, stroke: '#000', lineWidth: 1}
             }
         },
-        title: {
-            visible: true,
-            text: '模型调用次数占比'
-        },
-        legends: {
-            visible: true,
-            orient: 'left'
-        },
-        label: {
-            visible: true
-        },
+        title: {visible: true, text: t('调用次数占比'), subtext: ''},
+        legends: {visible: true, orient: 'left'},
+        label: {visible: true},
         tooltip: {
             mark: {
-                content: [
-                    {
-                        key: datum => datum['type'],
-                        value: datum => renderNumber(datum['value'])
-                    }
-                ]
+                content: [{
+                    key: datum => datum['type'],
+                    value: datum => renderNumber(datum['value'])
+                }]
             }
         },
-        color: {
-            specified: modelColorMap
-        }
+        color: {specified: modelColorMap}
     };
+}
 
-    const loadQuotaData = async (lineChart, pieChart) => {
-        setLoading(true);
+const Detail = () => {
+    const formRef = useRef();
+    const isAdminUser = isAdmin();
+    const [granularity, setGranularity] = useState(defaultGranularity);
+    const [dimension, setDimension] = useState(ANALYTICS_DIMENSIONS[0].value);
+    const [inputs, setInputs] = useState(() => {
+        const [start, end] = defaultRange(granularity);
+        return {
+            username: '',
+            token_name: '',
+            model_name: '',
+            channel: '',
+            start_timestamp: start,
+            end_timestamp: end
+        };
+    });
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const barChartRef = useRef(null);
+    const pieChartRef = useRef(null);
+    const controllerRef = useRef(null);
 
-        let url = '';
-        let localStartTimestamp = Date.parse(start_timestamp) / 1000;
-        let localEndTimestamp = Date.parse(end_timestamp) / 1000;
-        if (isAdminUser) {
-            url = `/api/data/?username=${username}&start_timestamp=${localStartTimestamp}&end_timestamp=${localEndTimestamp}&default_time=${dataExportDefaultTime}`;
-        } else {
-            url = `/api/data/self/?start_timestamp=${localStartTimestamp}&end_timestamp=${localEndTimestamp}&default_time=${dataExportDefaultTime}`;
-        }
-        const res = await API.get(url);
-        const {success, message, data} = res.data;
-        if (success) {
-            setQuotaData(data);
-            if (data.length === 0) {
-                data.push({
-                    'count': 0,
-                    'model_name': '无数据',
-                    'quota': 0,
-                    'created_at': now.getTime() / 1000
-                })
-            }
-            // 根据dataExportDefaultTime重制时间粒度
-            let timeGranularity = 3600;
-            if (dataExportDefaultTime === 'day') {
-                timeGranularity = 86400;
-            } else if (dataExportDefaultTime === 'week') {
-                timeGranularity = 604800;
-            }
-            data.forEach(item => {
-                item['created_at'] = Math.floor(item['created_at'] / timeGranularity) * timeGranularity;
-            });
-            updateChart(lineChart, pieChart, data);
-        } else {
-            showError(message);
-        }
-        setLoading(false);
-    };
+    // 表格按已加载数据的维度显示，切换维度后在新数据返回前保持不变
+    const dimensionOption = ANALYTICS_DIMENSIONS.find(option => option.value === (data ? data.dimension : dimension));
 
-    const refresh = async () => {
-        await loadQuotaData(modelDataChart, modelDataPieChart);
+    const handleInputChange = (value, name) => {
+        setInputs((inputs) => ({...inputs, [name]: value}));
     };
 
-    const initChart = async () => {
-        let lineChart = modelDataChart
-        if (!modelDataChart) {
-            lineChart = new VChart(spec_line, {dom: 'model_data'});
-            setModelDataChart(lineChart);
-            lineChart.renderAsync();
-        }
-        let pieChart = modelDataPieChart
-        if (!modelDataPieChart) {
-            pieChart = new VChart(spec_pie, {dom: 'model_pie'});
-            setModelDataPieChart(pieChart);
-            pieChart.renderAsync();
-        }
-        console.log('init vchart');
-        await loadQuotaData(lineChart, pieChart)
-    }
-
-    const updateChart = (lineChart, pieChart, data) => {
-        if (isAdminUser) {
-            // 将所有用户合并
-        }
-        let pieData = [];
-        let lineData = [];
-        let consumeQuota = 0;
-        let times = 0;
-        for (let i = 0; i < data.length; i++) {
-            const item = data[i];
-            consumeQuota += item.quota;
-            times += item.count;
-            // 合并model_name
-            let pieItem = pieData.find(it => it.type === item.model_name);
-            if (pieItem) {
-                pieItem.value += item.count;
+    const updateCharts = useCallback((data) => {
+        const spec_bar = barSpec();
+        const spec_pie = pieSpec();
+        const rows = analyticsChartRows(data);
+        spec_bar.data[0].values = rows.map(row => ({
+            time: row.time,
+            key: row.key,
+            usage: parseFloat(getQuotaWithUnit(row.quota))
+        }));
+        spec_bar.title.subtext = `${t('总计')}：${renderQuota(data.total.quota, 2)}`;
+        const pieData = [];
+        rows.forEach(row => {
+            const item = pieData.find(it => it.type === row.key);
+            if (item) {
+                item.value += row.count;
             } else {
-                pieData.push({
-                    "type": item.model_name,
-                    "value": item.count
-                });
+                pieData.push({type: row.key, value: row.count});
             }
-            // 合并created_at和model_name 为 lineData, created_at 数据类型是小时的时间戳
-            // 转换日期格式
-            let createTime = timestamp2string1(item.created_at, dataExportDefaultTime);
-            let lineItem = lineData.find(it => it.Time === createTime && it.Model === item.model_name);
-            if (lineItem) {
-                lineItem.Usage += parseFloat(getQuotaWithUnit(item.quota));
+        });
+        pieData.sort((a, b) => b.value - a.value);
+        spec_pie.data[0].values = pieData;
+        spec_pie.title.subtext = `${t('总计')}：${renderNumber(data.total.count)}`;
+
+        if (!barChartRef.current) {
+            barChartRef.current = new VChart(spec_bar, {dom: 'usage_bar'});
+            pieChartRef.current = new VChart(spec_pie, {dom: 'usage_pie'});
+            barChartRef.current.renderAsync();
+            pieChartRef.current.renderAsync();
+        } else {
+            barChartRef.current.updateSpec(spec_bar);
+            pieChartRef.current.updateSpec(spec_pie);
+            barChartRef.current.reLayout();
+            pieChartRef.current.reLayout();
+        }
+    }, []);
+
+    // 切换维度或时间粒度时按当前的筛选条件重新加载，筛选条件的修改需要点击查询才生效
+    const inputsRef = useRef(inputs);
+    inputsRef.current = inputs;
+
+    const loadData = useCallback(async (filters = inputsRef.current) => {
+        if (controllerRef.current) controllerRef.current.abort();
+        const controller = new AbortController();
+        controllerRef.current = controller;
+        setLoading(true);
+        const {start_timestamp, end_timestamp, ...rest} = filters;
+        const params = analyticsParams({
+            dimension,
+            granularity,
+            start: Math.floor(Date.parse(start_timestamp) / 1000),
+            end: Math.floor(Date.parse(end_timestamp) / 1000),
+            top: TOP_N
+        }, isAdminUser ? rest : {token_name: rest.token_name, model_name: rest.model_name});
+        try {
+            const {success, message, data} = isAdminUser
+                ? await api.log.analytics(params, {signal: controller.signal})
+                : await api.log.selfAnalytics(params, {signal: controller.signal});
+            if (success) {
+                setData(data);
+                updateCharts(data);
             } else {
-                lineData.push({
-                    "Time": createTime,
-                    "Model": item.model_name,
-                    "Usage": parseFloat(getQuotaWithUnit(item.quota))
-                });
+                showError(message);
             }
+        } catch (error) {
+            if (!isCanceled(error)) showError(error);
+        } finally {
+            if (controllerRef.current === controller) setLoading(false);
         }
-        setConsumeQuota(consumeQuota);
-        setTimes(times);
+    }, [dimension, granularity, isAdminUser, updateCharts]);
 
-        // sort by count
-        pieData.sort((a, b) => b.value - a.value);
-        spec_pie.title.subtext = `总计：${renderNumber(times)}`;
-        spec_pie.data[0].values = pieData;
-
-        spec_line.title.subtext = `总计：${renderQuota(consumeQuota, 2)}`;
-        spec_line.data[0].values = lineData;
-        pieChart.updateSpec(spec_pie);
-        lineChart.updateSpec(spec_line);
+    // 按前 N 项中的某一项钻取：设为筛选条件后可换一个维度继续查看
+    const drillDown = (key) => {
+        const filters = {...inputs, [dimensionOption.filter]: key};
+        formRef.current.formApi.setValue(dimensionOption.filter, key);
+        setInputs(filters);
+        loadData(filters).then();
+    };
 
-        // pieChart.updateData('id0', pieData);
-        // lineChart.updateData('barData', lineData);
-        pieChart.reLayout();
-        lineChart.reLayout();
-    }
+    useEffect(() => {
+        loadData().then();
+    }, [loadData]);
 
     useEffect(() => {
-        // setDataExportDefaultTime(localStorage.getItem('data_export_default_time'));
-        // if (dataExportDefaultTime === 'day') {
-        //     // 设置开始时间为7天前
-        //     let st = timestamp2string(now.getTime() / 1000 - 86400 * 7)
-        //     inputs.start_timestamp = st;
-        //     formRef.current.formApi.setValue('start_timestamp', st);
-        // }
-        if (!initialized.current) {
-            initialized.current = true;
-            initChart();
-        }
+        return () => {
+            if (controllerRef.current) controllerRef.current.abort();
+            if (barChartRef.current) barChartRef.current.release();
+            if (pieChartRef.current) pieChartRef.current.release();
+        };
     }, []);
 
+    const summaries = data ? [
+        {title: t('消耗额度'), value: renderQuota(data.total.quota, 2), current: data.total.quota, previous: data.previous_total.quota},
+        {title: t('请求次数'), value: renderNumber(data.total.count), current: data.total.count, previous: data.previous_total.count},
+        {
+            title: t('Tokens'),
+            value: renderNumber(data.total.prompt_tokens + data.total.completion_tokens),
+            current: data.total.prompt_tokens + data.total.completion_tokens,
+            previous: data.previous_total.prompt_tokens + data.previous_total.completion_tokens
+        }
+    ] : [];
+
+    const columns = [
+        {title: t('排名'), dataIndex: 'rank', width: 70},
+        {
+            title: t(dimensionOption.label), dataIndex: 'key',
+            render: (key) => <Text translate="no">{analyticsLabel(key, data.dimension, data.names)}</Text>
+        },
+        {title: t('消耗额度'), dataIndex: 'quota', render: (quota) => renderQuota(quota, 4)},
+        {
+            title: t('占比'), dataIndex: 'share',
+            render: (text, record) => data.total.quota ? `${(record.quota / data.total.quota * 100).toFixed(1)}%` : '—'
+        },
+        {
+            title: t('较上一周期'), dataIndex: 'previous_quota',
+            render: (text, record) => <ChangeText current={record.quota} previous={record.previous_quota}/>
+        },
+        {title: t('请求次数'), dataIndex: 'count', render: (count) => renderNumber(count)},
+        {
+            title: t('Tokens'), dataIndex: 'prompt_tokens',
+            render: (text, record) => renderNumber(record.prompt_tokens + record.completion_tokens)
+        },
+        {
+            title: '', dataIndex: 'operate',
+            render: (text, record) => dimensionOption.filter && record.key !== '' &&
+                <Button size="small" theme="light" onClick={() => drillDown(record.key)}>{t('筛选')}</Button>
+        }
+    ];
+
     return (
         <>
             <Layout>
                 <Layout.Header>
-                    <h3>数据看板</h3>
+                    <h3>{t('数据看板')}</h3>
                 </Layout.Header>
                 <Layout.Content>
-                    <Form ref={formRef} layout='horizontal' style={{marginTop: 10}}>
+                    <QuotaForecastCard/>
+                    <Form ref={formRef} layout='horizontal' style={{marginTop: 10}} initValues={inputs}>
                         <>
-                            <Form.DatePicker field="start_timestamp" label='起始时间' style={{width: 272}}
-                                             initValue={start_timestamp}
-                                             value={start_timestamp} type='dateTime'
-                                             name='start_timestamp'
+                            <Form.DatePicker field="start_timestamp" label={t('起始时间')} style={{width: 272}}
+                                             type='dateTime'
                                              onChange={value => handleInputChange(value, 'start_timestamp')}/>
-                            <Form.DatePicker field="end_timestamp" fluid label='结束时间' style={{width: 272}}
-                                             initValue={end_timestamp}
-                                             value={end_timestamp} type='dateTime'
-                                             name='end_timestamp'
+                            <Form.DatePicker field="end_timestamp" label={t('结束时间')} style={{width: 272}}
+                                             type='dateTime'
                                              onChange={value => handleInputChange(value, 'end_timestamp')}/>
-                            <Form.Select field="data_export_default_time" label='时间粒度' style={{width: 176}}
-                                         initValue={dataExportDefaultTime}
-                                         placeholder={'时间粒度'} name='data_export_default_time'
-                                         optionList={
-                                             [
-                                                 {label: '小时', value: 'hour'},
-                                                 {label: '天', value: 'day'},
-                                                 {label: '周', value: 'week'}
-                                             ]
-                                         }
-                                         onChange={value => handleInputChange(value, 'data_export_default_time')}>
-                            </Form.Select>
+                            <Form.Select field="granularity" label={t('时间粒度')} style={{width: 120}}
+                                         initValue={granularity}
+                                         optionList={ANALYTICS_GRANULARITIES.map(option => ({value: option.value, label: t(option.label)}))}
+                                         onChange={value => setGranularity(value)}/>
+                            <Form.Select field="dimension" label={t('分组维度')} style={{width: 120}}
+                                         initValue={dimension}
+                                         optionList={analyticsDimensions(isAdminUser).map(option => ({value: option.value, label: t(option.label)}))}
+                                         onChange={value => setDimension(value)}/>
+                            <Form.Input field="model_name" label={t('模型名称')} style={{width: 176}}
+                                        placeholder={t('可选值')}
+                                        onChange={value => handleInputChange(value, 'model_name')}/>
+                            <Form.Input field="token_name" label={t('令牌名称')} style={{width: 176}}
+                                        placeholder={t('可选值')}
+                                        onChange={value => handleInputChange(value, 'token_name')}/>
                             {
                                 isAdminUser && <>
-                                    <Form.Input field="username" label='用户名称' style={{width: 176}} value={username}
-                                                placeholder={'可选值'} name='username'
+                                    <Form.Input field="username" label={t('用户名称')} style={{width: 176}}
+                                                placeholder={t('可选值')}
                                                 onChange={value => handleInputChange(value, 'username')}/>
+                                    <Form.Input field="channel" label={t('渠道 ID')} style={{width: 176}}
+                                                placeholder={t('可选值')}
+                                                onChange={value => handleInputChange(value, 'channel')}/>
                                 </>
                             }
                             <Form.Section>
-                                <Button label='查询' type="primary" htmlType="submit" className="btn-margin-right"
-                                        onClick={refresh} loading={loading}>查询</Button>
+                                <Button type="primary" htmlType="submit" className="btn-margin-right"
+                                        onClick={() => loadData()} loading={loading}>{t('查询')}</Button>
                             </Form.Section>
                         </>
                     </Form>
                     <Spin spinning={loading}>
+                        <Row gutter={16} style={{marginTop: 16}}>
+                            {summaries.map(summary => (
+                                <Col span={8} key={summary.title}>
+                                    <Card>
+                                        <Text type="tertiary">{summary.title}</Text>
+                                        <div style={{fontSize: 24, margin: '8px 0'}}>{summary.value}</div>
+                                        <Text type="tertiary">{t('较上一周期')} </Text>
+                                        <ChangeText current={summary.current} previous={summary.previous}/>
+                                    </Card>
+                                </Col>
+                            ))}
+                        </Row>
                         <div style={{height: 500}}>
-                            <div id="model_pie" style={{width: '100%', minWidth: 100}}></div>
+                            <div id="usage_bar" style={{width: '100%', minWidth: 100}}></div>
                         </div>
                         <div style={{height: 500}}>
-                            <div id="model_data" style={{width: '100%', minWidth: 100}}></div>
+                            <div id="usage_pie" style={{width: '100%', minWidth: 100}}></div>
                         </div>
+                        {data && (
+                            <Table
+                                columns={columns}
+                                dataSource={data.top.map((item, index) => ({...item, rank: index + 1}))}
+                                rowKey="key"
+                                pagination={false}
+                                title={t('前 {n} 项', {n: TOP_N})}
+                            />
+                        )}
                     </Spin>
                 </Layout.Content>
             </Layout>
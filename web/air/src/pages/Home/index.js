@@ -3,6 +3,7 @@ import { Card, Col, Row } from '@douyinfe/semi-ui';
 import { API, showError, showNotice, timestamp2string } from '../../helpers';
 import { StatusContext } from '../../context/Status';
 import { marked } from 'marked';
+import { t } from 'one-api-common';
 
 const Home = () => {
   const [statusState] = useContext(StatusContext);
@@ -37,7 +38,7 @@ const Home = () => {
       localStorage.setItem('home_page_content', content);
     } else {
       showError(message);
-      setHomePageContent('加载首页内容失败...');
+      setHomePageContent(t('加载首页内容失败...'));
     }
     setHomePageContentLoaded(true);
   };
@@ -59,19 +60,19 @@ const Home = () => {
             <Card
               bordered={false}
               headerLine={false}
-              title='系统状况'
+              title={t('系统状况')}
               bodyStyle={{ padding: '10px 20px' }}
             >
               <Row gutter={16}>
                 <Col span={12}>
                   <Card
-                    title='系统信息'
+                    title={t('系统信息')}
                     headerExtraContent={<span
-                      style={{ fontSize: '12px', color: 'var(--semi-color-text-1)' }}>系统信息总览</span>}>
-                    <p>名称：{statusState?.status?.system_name}</p>
-                    <p>版本：{statusState?.status?.version ? statusState?.status?.version : 'unknown'}</p>
+                      style={{ fontSize: '12px', color: 'var(--semi-color-text-1)' }}>{t('系统信息总览')}</span>}>
+                    <p>{t('名称：')}{statusState?.status?.system_name}</p>
+                    <p>{t('版本：')}{statusState?.status?.version ? statusState?.status?.version : 'unknown'}</p>
                     <p>
-                      源码：
+                      {t('源码：')}
                       <a
                         href='https://github.com/songquanpeng/one-api'
                         target='_blank' rel='noreferrer'
@@ -79,29 +80,29 @@ const Home = () => {
                         https://github.com/songquanpeng/one-api
                       </a>
                     </p>
-                    <p>启动时间：{getStartTimeString()}</p>
+                    <p>{t('启动时间：')}{getStartTimeString()}</p>
                   </Card>
                 </Col>
                 <Col span={12}>
                   <Card
-                    title='系统配置'
+                    title={t('系统配置')}
                     headerExtraContent={<span
-                      style={{ fontSize: '12px', color: 'var(--semi-color-text-1)' }}>系统配置总览</span>}>
+                      style={{ fontSize: '12px', color: 'var(--semi-color-text-1)' }}>{t('系统配置总览')}</span>}>
                     <p>
-                      邮箱验证：
-                      {statusState?.status?.email_verification === true ? '已启用' : '未启用'}
+                      {t('邮箱验证：')}
+                      {statusState?.status?.email_verification === true ? t('已启用') : t('未启用')}
                     </p>
                     <p>
-                      GitHub 身份验证：
-                      {statusState?.status?.github_oauth === true ? '已启用' : '未启用'}
+                      {t('GitHub 身份验证：')}
+                      {statusState?.status?.github_oauth === true ? t('已启用') : t('未启用')}
                     </p>
                     <p>
-                      微信身份验证：
-                      {statusState?.status?.wechat_login === true ? '已启用' : '未启用'}
+                      {t('微信身份验证：')}
+                      {statusState?.status?.wechat_login === true ? t('已启用') : t('未启用')}
                     </p>
                     <p>
-                      Turnstile 用户校验：
-                      {statusState?.status?.turnstile_check === true ? '已启用' : '未启用'}
+                      {t('Turnstile 用户校验：')}
+                      {statusState?.status?.turnstile_check === true ? t('已启用') : t('未启用')}
                     </p>
                     {/*<p>*/}
                     {/*  Telegram 身份验证：*/}
@@ -1,11 +1,12 @@
 import React from 'react';
 import { Message } from 'semantic-ui-react';
+import { t } from 'one-api-common';
 
 const NotFound = () => (
   <>
     <Message negative>
-      <Message.Header>页面不存在</Message.Header>
-      <p>请检查你的浏览器地址是否正确</p>
+      <Message.Header>{t('页面不存在')}</Message.Header>
+      <p>{t('请检查你的浏览器地址是否正确')}</p>
     </Message>
   </>
 );
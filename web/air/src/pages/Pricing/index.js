@@ -0,0 +1,157 @@
+import React, { useEffect, useState } from 'react';
+import { Banner, Card, Descriptions, Input, InputNumber, Layout, RadioGroup, Radio, Select, Space, Table, Tag } from '@douyinfe/semi-ui';
+import { IconSearch } from '@douyinfe/semi-icons';
+import { api, showError } from '../../helpers';
+import { renderNumber } from '../../helpers/render';
+import {
+  formatPrice,
+  indexPricing,
+  isCanceled,
+  PricingUnit,
+  pricingRows,
+  quotaForUsage,
+  quotaToCurrency,
+  t
+} from 'one-api-common';
+
+const UNIT_LABELS = {
+  [PricingUnit.Thousand]: '1K',
+  [PricingUnit.Million]: '1M'
+};
+
+const Pricing = () => {
+  const [pricing, setPricing] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [unit, setUnit] = useState(PricingUnit.Thousand);
+  const [keyword, setKeyword] = useState('');
+  const [model, setModel] = useState('');
+  const [promptTokens, setPromptTokens] = useState(1000);
+  const [completionTokens, setCompletionTokens] = useState(1000);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api.status
+      .pricing({ signal: controller.signal })
+      .then(({ success, message, data }) => {
+        if (success) {
+          setPricing(data);
+          if (data.models.length > 0) setModel(data.models[0].model);
+        } else {
+          showError(message);
+        }
+      })
+      .catch((error) => {
+        if (!isCanceled(error)) setPricing(null);
+      })
+      .finally(() => setLoading(false));
+    return () => controller.abort();
+  }, []);
+
+  const rows = pricingRows(pricing, unit).filter((row) =>
+    row.model.toLowerCase().includes(keyword.trim().toLowerCase())
+  );
+  const quota = pricing
+    ? quotaForUsage(indexPricing(pricing), model, {
+      prompt_tokens: promptTokens || 0,
+      completion_tokens: completionTokens || 0
+    })
+    : null;
+
+  const columns = [
+    {
+      title: t('模型'),
+      dataIndex: 'model',
+      render: (text, record) => (
+        <Space>
+          <Tag color='blue'>{text}</Tag>
+          {record.varies && <Tag color='orange'>{t('因渠道而异，显示最高价格')}</Tag>}
+        </Space>
+      )
+    },
+    {
+      title: t('模型倍率'),
+      dataIndex: 'model_ratio',
+      render: (value) => (value === null ? '-' : value),
+      sorter: (a, b) => a.model_ratio - b.model_ratio
+    },
+    {
+      title: t('补全倍率'),
+      dataIndex: 'completion_ratio'
+    },
+    {
+      title: t('输入价格 / {unit} tokens', { unit: UNIT_LABELS[unit] }),
+      dataIndex: 'input',
+      render: (value) => formatPrice(value),
+      sorter: (a, b) => a.input - b.input
+    },
+    {
+      title: t('输出价格 / {unit} tokens', { unit: UNIT_LABELS[unit] }),
+      dataIndex: 'output',
+      render: (value) => formatPrice(value),
+      sorter: (a, b) => a.output - b.output
+    }
+  ];
+
+  return (
+    <Layout>
+      <Layout.Header>
+        <h3>{t('模型价格')}</h3>
+      </Layout.Header>
+      <Layout.Content>
+        {pricing && (
+          <Banner
+            type='info'
+            closeIcon={null}
+            description={t('当前分组 {group}，分组倍率 {ratio}。以下价格已计入分组倍率，实际扣除的额度以日志为准。', {
+              group: pricing.group,
+              ratio: pricing.group_ratio
+            })}
+          />
+        )}
+        <Space style={{ margin: '12px 0' }}>
+          <Input prefix={<IconSearch />} placeholder={t('搜索模型')} value={keyword} onChange={setKeyword} />
+          <RadioGroup type='button' value={unit} onChange={(e) => setUnit(e.target.value)}>
+            {Object.values(PricingUnit).map((value) => (
+              <Radio key={value} value={value}>{t('每 {unit} tokens', { unit: UNIT_LABELS[value] })}</Radio>
+            ))}
+          </RadioGroup>
+        </Space>
+        <Table
+          rowKey='model'
+          columns={columns}
+          dataSource={rows}
+          loading={loading}
+          pagination={{ pageSize: 20, hideOnSinglePage: true }}
+          onRow={(record) => ({
+            onClick: () => setModel(record.model),
+            style: { cursor: 'pointer', background: record.model === model ? 'var(--semi-color-fill-0)' : undefined }
+          })}
+        />
+        <Card title={t('价格计算器')} style={{ marginTop: 16 }}>
+          <Space wrap>
+            <Select
+              filter
+              style={{ width: 260 }}
+              prefix={t('模型')}
+              value={model}
+              optionList={(pricing ? pricing.models : []).map((item) => ({ label: item.model, value: item.model }))}
+              onChange={setModel}
+            />
+            <InputNumber prefix={t('提示 tokens')} min={0} value={promptTokens} onChange={setPromptTokens} />
+            <InputNumber prefix={t('补全 tokens')} min={0} value={completionTokens} onChange={setCompletionTokens} />
+          </Space>
+          <Descriptions
+            row
+            style={{ marginTop: 16 }}
+            data={[
+              { key: t('额度'), value: quota === null ? '-' : renderNumber(quota) },
+              { key: t('费用'), value: quota === null ? '-' : formatPrice(quotaToCurrency(quota, pricing.quota_per_unit)) }
+            ]}
+          />
+        </Card>
+      </Layout.Content>
+    </Layout>
+  );
+};
+
+export default Pricing;
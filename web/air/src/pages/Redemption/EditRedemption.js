@@ -5,6 +5,7 @@ import { renderQuotaWithPrompt } from '../../helpers/render';
 import { AutoComplete, Button, Input, Modal, SideSheet, Space, Spin, Typography } from '@douyinfe/semi-ui';
 import Title from '@douyinfe/semi-ui/lib/es/typography/title';
 import { Divider } from 'semantic-ui-react';
+import { t } from 'one-api-common';
 
 const EditRedemption = (props) => {
   const isEdit = props.editingRedemption.id !== undefined;
@@ -69,11 +70,11 @@ const EditRedemption = (props) => {
     const { success, message, data } = res.data;
     if (success) {
       if (isEdit) {
-        showSuccess('兑换码更新成功！');
+        showSuccess(t('兑换码更新成功！'));
         props.refresh();
         props.handleClose();
       } else {
-        showSuccess('兑换码创建成功！');
+        showSuccess(t('兑换码创建成功！'));
         setInputs(originInputs);
         props.refresh();
         props.handleClose();
@@ -88,11 +89,11 @@ const EditRedemption = (props) => {
       }
       // downloadTextAsFile(text, `${inputs.name}.txt`);
       Modal.confirm({
-        title: '兑换码创建成功',
+        title: t('兑换码创建成功'),
         content: (
           <div>
-            <p>兑换码创建成功，是否下载兑换码？</p>
-            <p>兑换码将以文本文件的形式下载，文件名为兑换码的名称。</p>
+            <p>{t('兑换码创建成功，是否下载兑换码？')}</p>
+            <p>{t('兑换码将以文本文件的形式下载，文件名为兑换码的名称。')}</p>
           </div>
         ),
         onOk: () => {
@@ -107,15 +108,15 @@ const EditRedemption = (props) => {
     <>
       <SideSheet
         placement={isEdit ? 'right' : 'left'}
-        title={<Title level={3}>{isEdit ? '更新兑换码信息' : '创建新的兑换码'}</Title>}
+        title={<Title level={3}>{isEdit ? t('更新兑换码信息') : t('创建新的兑换码')}</Title>}
         headerStyle={{ borderBottom: '1px solid var(--semi-color-border)' }}
         bodyStyle={{ borderBottom: '1px solid var(--semi-color-border)' }}
         visible={props.visiable}
         footer={
           <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
             <Space>
-              <Button theme="solid" size={'large'} onClick={submit}>提交</Button>
-              <Button theme="solid" size={'large'} type={'tertiary'} onClick={handleCancel}>取消</Button>
+              <Button theme="solid" size={'large'} onClick={submit}>{t('提交')}</Button>
+              <Button theme="solid" size={'large'} type={'tertiary'} onClick={handleCancel}>{t('取消')}</Button>
             </Space>
           </div>
         }
@@ -126,9 +127,9 @@ const EditRedemption = (props) => {
         <Spin spinning={loading}>
           <Input
             style={{ marginTop: 20 }}
-            label="名称"
+            label={t('名称')}
             name="name"
-            placeholder={'请输入名称'}
+            placeholder={t('请输入名称')}
             onChange={value => handleInputChange('name', value)}
             value={name}
             autoComplete="new-password"
@@ -136,12 +137,12 @@ const EditRedemption = (props) => {
           />
           <Divider />
           <div style={{ marginTop: 20 }}>
-            <Typography.Text>{`额度${renderQuotaWithPrompt(quota)}`}</Typography.Text>
+            <Typography.Text>{`${t('额度')}${renderQuotaWithPrompt(quota)}`}</Typography.Text>
           </div>
           <AutoComplete
             style={{ marginTop: 8 }}
             name="quota"
-            placeholder={'请输入额度'}
+            placeholder={t('请输入额度')}
             onChange={(value) => handleInputChange('quota', value)}
             value={quota}
             autoComplete="new-password"
@@ -159,12 +160,12 @@ const EditRedemption = (props) => {
           {
             !isEdit && <>
               <Divider />
-              <Typography.Text>生成数量</Typography.Text>
+              <Typography.Text>{t('生成数量')}</Typography.Text>
               <Input
                 style={{ marginTop: 8 }}
-                label="生成数量"
+                label={t('生成数量')}
                 name="count"
-                placeholder={'请输入生成数量'}
+                placeholder={t('请输入生成数量')}
                 onChange={value => handleInputChange('count', value)}
                 value={count}
                 autoComplete="new-password"
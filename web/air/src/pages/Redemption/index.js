@@ -1,12 +1,13 @@
 import React from 'react';
 import RedemptionsTable from '../../components/RedemptionsTable';
 import {Layout} from "@douyinfe/semi-ui";
+import { t } from "one-api-common";
 
 const Redemption = () => (
   <>
       <Layout>
           <Layout.Header>
-              <h3>管理兑换码</h3>
+              <h3>{t('管理兑换码')}</h3>
           </Layout.Header>
           <Layout.Content>
               <RedemptionsTable/>
@@ -5,11 +5,12 @@ import OtherSetting from '../../components/OtherSetting';
 import PersonalSetting from '../../components/PersonalSetting';
 import OperationSetting from '../../components/OperationSetting';
 import {Layout, TabPane, Tabs} from "@douyinfe/semi-ui";
+import { t } from 'one-api-common';
 
 const Setting = () => {
     let panes = [
         {
-            tab: '个人设置',
+            tab: t('个人设置'),
             content: <PersonalSetting/>,
             itemKey: '1'
         }
@@ -17,17 +18,17 @@ const Setting = () => {
 
     if (isRoot()) {
         panes.push({
-            tab: '运营设置',
+            tab: t('运营设置'),
             content: <OperationSetting/>,
             itemKey: '2'
         });
         panes.push({
-            tab: '系统设置',
+            tab: t('系统设置'),
             content: <SystemSetting/>,
             itemKey: '3'
         });
         panes.push({
-            tab: '其他设置',
+            tab: t('其他设置'),
             content: <OtherSetting/>,
             itemKey: '4'
         });
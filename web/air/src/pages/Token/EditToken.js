@@ -2,6 +2,7 @@ import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { API, isMobile, showError, showSuccess, timestamp2string } from '../../helpers';
 import { renderQuotaWithPrompt } from '../../helpers/render';
+import { t, TOKEN_BUDGET_PERIODS, TOKEN_RATE_LIMITS } from 'one-api-common';
 import {
     AutoComplete,
     Banner,
@@ -9,6 +10,7 @@ import {
     Checkbox,
     DatePicker,
     Input,
+    InputNumber,
     Select,
     SideSheet,
     Space,
@@ -27,10 +29,15 @@ const EditToken = (props) => {
     expired_time: -1,
     unlimited_quota: false,
     model_limits_enabled: false,
-    model_limits: []
+    model_limits: [],
+    budget_period: '',
+    budget_quota: 0,
+    rpm_limit: 0,
+    tpm_limit: 0,
+    concurrency_limit: 0
   };
   const [inputs, setInputs] = useState(originInputs);
-  const { name, remain_quota, expired_time, unlimited_quota, model_limits_enabled, model_limits } = inputs;
+  const { name, remain_quota, expired_time, unlimited_quota, model_limits_enabled, model_limits, budget_period, budget_quota } = inputs;
   // const [visible, setVisible] = useState(false);
   const [models, setModels] = useState({});
   const navigate = useNavigate();
@@ -137,10 +144,11 @@ const EditToken = (props) => {
       // 编辑令牌的逻辑保持不变
       let localInputs = { ...inputs };
       localInputs.remain_quota = parseInt(localInputs.remain_quota);
+      localInputs.budget_quota = parseInt(localInputs.budget_quota) || 0;
       if (localInputs.expired_time !== -1) {
         let time = Date.parse(localInputs.expired_time);
         if (isNaN(time)) {
-          showError('过期时间格式错误！');
+          showError(t('过期时间格式错误！'));
           setLoading(false);
           return;
         }
@@ -150,7 +158,7 @@ const EditToken = (props) => {
       let res = await API.put(`/api/token/`, { ...localInputs, id: parseInt(props.editingToken.id) });
       const { success, message } = res.data;
       if (success) {
-        showSuccess('令牌更新成功！');
+        showSuccess(t('令牌更新成功！'));
         props.refresh();
         props.handleClose();
       } else {
@@ -166,11 +174,12 @@ const EditToken = (props) => {
           localInputs.name = `${inputs.name}-${generateRandomSuffix()}`;
         }
         localInputs.remain_quota = parseInt(localInputs.remain_quota);
+        localInputs.budget_quota = parseInt(localInputs.budget_quota) || 0;
 
         if (localInputs.expired_time !== -1) {
           let time = Date.parse(localInputs.expired_time);
           if (isNaN(time)) {
-            showError('过期时间格式错误！');
+            showError(t('过期时间格式错误！'));
             setLoading(false);
             break;
           }
@@ -189,7 +198,7 @@ const EditToken = (props) => {
       }
 
       if (successCount > 0) {
-        showSuccess(`${successCount}个令牌创建成功，请在列表页面点击复制获取令牌！`);
+        showSuccess(t('{count}个令牌创建成功，请在列表页面点击复制获取令牌！', { count: successCount }));
         props.refresh();
         props.handleClose();
       }
@@ -204,15 +213,15 @@ const EditToken = (props) => {
     <>
       <SideSheet
         placement={isEdit ? 'right' : 'left'}
-        title={<Title level={3}>{isEdit ? '更新令牌信息' : '创建新的令牌'}</Title>}
+        title={<Title level={3}>{isEdit ? t('更新令牌信息') : t('创建新的令牌')}</Title>}
         headerStyle={{ borderBottom: '1px solid var(--semi-color-border)' }}
         bodyStyle={{ borderBottom: '1px solid var(--semi-color-border)' }}
         visible={props.visiable}
         footer={
           <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
             <Space>
-              <Button theme="solid" size={'large'} onClick={submit}>提交</Button>
-              <Button theme="solid" size={'large'} type={'tertiary'} onClick={handleCancel}>取消</Button>
+              <Button theme="solid" size={'large'} onClick={submit}>{t('提交')}</Button>
+              <Button theme="solid" size={'large'} type={'tertiary'} onClick={handleCancel}>{t('取消')}</Button>
             </Space>
           </div>
         }
@@ -223,9 +232,9 @@ const EditToken = (props) => {
         <Spin spinning={loading}>
           <Input
             style={{ marginTop: 20 }}
-            label="名称"
+            label={t('名称')}
             name="name"
-            placeholder={'请输入名称'}
+            placeholder={t('请输入名称')}
             onChange={(value) => handleInputChange('name', value)}
             value={name}
             autoComplete="new-password"
@@ -233,9 +242,9 @@ const EditToken = (props) => {
           />
           <Divider />
           <DatePicker
-            label="过期时间"
+            label={t('过期时间')}
             name="expired_time"
-            placeholder={'请选择过期时间'}
+            placeholder={t('请选择过期时间')}
             onChange={(value) => handleInputChange('expired_time', value)}
             value={expired_time}
             autoComplete="new-password"
@@ -245,29 +254,29 @@ const EditToken = (props) => {
             <Space>
               <Button type={'tertiary'} onClick={() => {
                 setExpiredTime(0, 0, 0, 0);
-              }}>永不过期</Button>
+              }}>{t('永不过期')}</Button>
               <Button type={'tertiary'} onClick={() => {
                 setExpiredTime(0, 0, 1, 0);
-              }}>一小时</Button>
+              }}>{t('一小时')}</Button>
               <Button type={'tertiary'} onClick={() => {
                 setExpiredTime(1, 0, 0, 0);
-              }}>一个月</Button>
+              }}>{t('一个月')}</Button>
               <Button type={'tertiary'} onClick={() => {
                 setExpiredTime(0, 1, 0, 0);
-              }}>一天</Button>
+              }}>{t('一天')}</Button>
             </Space>
           </div>
 
           <Divider />
           <Banner type={'warning'}
-                  description={'注意，令牌的额度仅用于限制令牌本身的最大额度使用量，实际的使用受到账户的剩余额度限制。'}></Banner>
+                  description={t('注意，令牌的额度仅用于限制令牌本身的最大额度使用量，实际的使用受到账户的剩余额度限制。')}></Banner>
           <div style={{ marginTop: 20 }}>
-            <Typography.Text>{`额度${renderQuotaWithPrompt(remain_quota)}`}</Typography.Text>
+            <Typography.Text>{`${t('额度')}${renderQuotaWithPrompt(remain_quota)}`}</Typography.Text>
           </div>
           <AutoComplete
             style={{ marginTop: 8 }}
             name="remain_quota"
-            placeholder={'请输入额度'}
+            placeholder={t('请输入额度')}
             onChange={(value) => handleInputChange('remain_quota', value)}
             value={remain_quota}
             autoComplete="new-password"
@@ -287,22 +296,22 @@ const EditToken = (props) => {
           {!isEdit && (
             <>
               <div style={{ marginTop: 20 }}>
-                <Typography.Text>新建数量</Typography.Text>
+                <Typography.Text>{t('新建数量')}</Typography.Text>
               </div>
               <AutoComplete
                 style={{ marginTop: 8 }}
-                label="数量"
-                placeholder={'请选择或输入创建令牌的数量'}
+                label={t('数量')}
+                placeholder={t('请选择或输入创建令牌的数量')}
                 onChange={(value) => handleTokenCountChange(value)}
                 onSelect={(value) => handleTokenCountChange(value)}
                 value={tokenCount.toString()}
                 autoComplete="off"
                 type="number"
                 data={[
-                  { value: 10, label: '10个' },
-                  { value: 20, label: '20个' },
-                  { value: 30, label: '30个' },
-                  { value: 100, label: '100个' }
+                  { value: 10, label: t('10个') },
+                  { value: 20, label: t('20个') },
+                  { value: 30, label: t('30个') },
+                  { value: 100, label: t('100个') }
                 ]}
                 disabled={unlimited_quota}
               />
@@ -312,8 +321,61 @@ const EditToken = (props) => {
           <div>
             <Button style={{ marginTop: 8 }} type={'warning'} onClick={() => {
               setUnlimitedQuota();
-            }}>{unlimited_quota ? '取消无限额度' : '设为无限额度'}</Button>
+            }}>{unlimited_quota ? t('取消无限额度') : t('设为无限额度')}</Button>
           </div>
+
+          <Divider />
+          <div style={{ marginTop: 20 }}>
+            <Typography.Text>{t('周期预算')}</Typography.Text>
+          </div>
+          <Select
+            style={{ marginTop: 8, width: '100%' }}
+            value={budget_period}
+            onChange={(value) => handleInputChange('budget_period', value)}
+            optionList={TOKEN_BUDGET_PERIODS.map((option) => ({ value: option.value, label: t(option.label) }))}
+          />
+          {budget_period !== '' && (
+            <>
+              <div style={{ marginTop: 20 }}>
+                <Typography.Text>{`${t('每期额度')}${renderQuotaWithPrompt(budget_quota)}`}</Typography.Text>
+              </div>
+              <AutoComplete
+                style={{ marginTop: 8 }}
+                name="budget_quota"
+                placeholder={t('请输入每期额度')}
+                onChange={(value) => handleInputChange('budget_quota', value)}
+                value={budget_quota}
+                autoComplete="new-password"
+                type="number"
+                data={[
+                  { value: 500000, label: '1$' },
+                  { value: 5000000, label: '10$' },
+                  { value: 25000000, label: '50$' },
+                  { value: 50000000, label: '100$' }
+                ]}
+              />
+              <Typography.Text type="tertiary" size="small">
+                {t('每期的消耗达到预算后令牌暂停使用，下一期开始时自动恢复；周期按服务器所在时区计算，每周从周一开始。')}
+              </Typography.Text>
+            </>
+          )}
+          <Divider />
+          <div style={{ marginTop: 20 }}>
+            <Typography.Text>{t('限流')}</Typography.Text>
+          </div>
+          {TOKEN_RATE_LIMITS.map((item) => (
+            <InputNumber
+              key={item.key}
+              style={{ marginTop: 8, width: '100%' }}
+              prefix={t(item.label)}
+              min={0}
+              value={inputs[item.field]}
+              onChange={(value) => handleInputChange(item.field, value || 0)}
+            />
+          ))}
+          <Typography.Text type="tertiary" size="small">
+            {t('0 表示不限制；超出限制的请求返回 429 并记录在日志中，每分钟的计数在整分钟时清零。')}
+          </Typography.Text>
           {/* <Divider />
           <div style={{ marginTop: 10, display: 'flex' }}>
             <Space>
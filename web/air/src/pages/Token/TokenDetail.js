@@ -0,0 +1,257 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { Button, Card, Col, Descriptions, Empty, Layout, RadioGroup, Radio, Row, Spin, Table, Typography } from '@douyinfe/semi-ui';
+import VChart from '@visactor/vchart';
+import {
+  analyticsParams,
+  AnalyticsDimension,
+  AnalyticsGranularity,
+  dailySeries,
+  formatDateTime,
+  formatTokenBudget,
+  isCanceled,
+  t,
+  tokenBudgetUsage
+} from 'one-api-common';
+import { api, showError } from '../../helpers';
+import { getQuotaWithUnit, renderNumber, renderQuota, renderQuotaNumberWithDigit } from '../../helpers/render';
+import { renderStatus as renderTokenStatus } from '../../components/TokensTable';
+
+const { Text } = Typography;
+
+const RANGE_DAYS = [7, 30, 90];
+const RECENT_LOGS = 10;
+const LOG_TYPE_CONSUME = 2;
+
+// 请求次数、消耗与 Token 数三张趋势图
+const TREND_CHARTS = [
+  { dom: 'token_requests', title: '请求次数', value: (day) => day.count, format: (value) => renderNumber(value) },
+  {
+    dom: 'token_quota',
+    title: '消耗额度',
+    value: (day) => parseFloat(getQuotaWithUnit(day.quota)),
+    format: (value) => renderQuotaNumberWithDigit(value, 4)
+  },
+  { dom: 'token_tokens', title: 'Tokens', value: (day) => day.tokens, format: (value) => renderNumber(value) }
+];
+
+function trendSpec(chart, days) {
+  return {
+    type: 'line',
+    data: [{ id: 'trend', values: days.map(([time, day]) => ({ time, value: chart.value(day) })) }],
+    xField: 'time',
+    yField: 'value',
+    title: { visible: true, text: t(chart.title) },
+    point: { visible: false },
+    tooltip: {
+      mark: { content: [{ key: t(chart.title), value: (datum) => chart.format(datum.value) }] },
+      dimension: { content: [{ key: t(chart.title), value: (datum) => chart.format(datum.value) }] }
+    }
+  };
+}
+
+/**
+ * 单个令牌的用量：按天的趋势、按模型的分布、最近使用的客户端 IP 与最近的日志。
+ * 趋势、模型分布与日志按令牌名称统计，同一用户下重名的令牌会合并在一起；客户端 IP 按令牌 ID 统计。
+ */
+const TokenDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [token, setToken] = useState(null);
+  const [days, setDays] = useState(RANGE_DAYS[0]);
+  const [usage, setUsage] = useState(null);
+  const [ips, setIps] = useState([]);
+  const [logs, setLogs] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const chartsRef = useRef({});
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const options = { signal: controller.signal };
+    Promise.all([api.token.get(id, options), api.token.clientIps(id, options)])
+      .then(([tokenRes, ipsRes]) => {
+        if (tokenRes.success) {
+          setToken(tokenRes.data);
+        } else {
+          showError(tokenRes.message);
+        }
+        if (ipsRes.success) {
+          setIps(ipsRes.data || []);
+        } else {
+          showError(ipsRes.message);
+        }
+      })
+      .catch((error) => {
+        if (!isCanceled(error)) showError(error);
+      });
+    return () => controller.abort();
+  }, [id]);
+
+  useEffect(() => {
+    if (!token) return;
+    const controller = new AbortController();
+    const options = { signal: controller.signal };
+    const end = Math.floor(Date.now() / 1000);
+    const start = end - days * 86400;
+    const filters = { token_name: token.name };
+    setLoading(true);
+    Promise.all([
+      api.log.selfAnalytics(
+        analyticsParams({ dimension: AnalyticsDimension.Model, granularity: AnalyticsGranularity.Day, start, end }, filters),
+        options
+      ),
+      api.log.self({ ...filters, p: 0, type: LOG_TYPE_CONSUME }, options)
+    ])
+      .then(([usageRes, logsRes]) => {
+        if (usageRes.success) {
+          setUsage({ ...usageRes.data, start_timestamp: start, end_timestamp: end });
+        } else {
+          showError(usageRes.message);
+        }
+        if (logsRes.success) {
+          setLogs((logsRes.data || []).slice(0, RECENT_LOGS));
+        } else {
+          showError(logsRes.message);
+        }
+      })
+      .catch((error) => {
+        if (!isCanceled(error)) showError(error);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [token, days]);
+
+  useEffect(() => {
+    if (!usage) return;
+    const series = dailySeries(usage);
+    const dayRows = series.days.map((day, i) => [day, series.totals[i]]);
+    TREND_CHARTS.forEach((chart) => {
+      const spec = trendSpec(chart, dayRows);
+      const instance = chartsRef.current[chart.dom];
+      if (instance) {
+        instance.updateSpec(spec);
+      } else {
+        chartsRef.current[chart.dom] = new VChart(spec, { dom: chart.dom });
+        chartsRef.current[chart.dom].renderAsync();
+      }
+    });
+  }, [usage]);
+
+  useEffect(() => {
+    const charts = chartsRef.current;
+    return () => Object.values(charts).forEach((chart) => chart.release());
+  }, []);
+
+  const modelColumns = [
+    { title: t('模型'), dataIndex: 'key', render: (key) => <Text translate='no'>{key === '' ? t('其他') : key}</Text> },
+    { title: t('消耗额度'), dataIndex: 'quota', render: (quota) => renderQuota(quota, 4) },
+    {
+      title: t('占比'),
+      dataIndex: 'share',
+      render: (text, record) => (usage.total.quota ? `${((record.quota / usage.total.quota) * 100).toFixed(1)}%` : '—')
+    },
+    { title: t('请求次数'), dataIndex: 'count', render: (count) => renderNumber(count) },
+    {
+      title: t('Tokens'),
+      dataIndex: 'prompt_tokens',
+      render: (text, record) => renderNumber(record.prompt_tokens + record.completion_tokens)
+    }
+  ];
+
+  const ipColumns = [
+    { title: 'IP', dataIndex: 'ip' },
+    { title: t('请求次数'), dataIndex: 'count', render: (count) => renderNumber(count) },
+    { title: t('最近使用'), dataIndex: 'last_seen', render: (time) => formatDateTime(time) }
+  ];
+
+  const logColumns = [
+    { title: t('时间'), dataIndex: 'created_at', render: (time) => formatDateTime(time) },
+    { title: t('模型'), dataIndex: 'model_name', render: (name) => <Text translate='no'>{name}</Text> },
+    { title: t('提示'), dataIndex: 'prompt_tokens' },
+    { title: t('补全'), dataIndex: 'completion_tokens' },
+    { title: t('花费'), dataIndex: 'quota', render: (quota) => renderQuota(quota, 6) },
+    { title: 'IP', dataIndex: 'ip' }
+  ];
+
+  return (
+    <Layout>
+      <Layout.Header>
+        <h3>
+          {t('令牌详情')}
+          {token && <Text style={{ marginLeft: 8 }}>{token.name}</Text>}
+        </h3>
+      </Layout.Header>
+      <Layout.Content>
+        <Button onClick={() => navigate('/token')}>{t('返回')}</Button>
+        {token && (
+          <Card style={{ marginTop: 10 }}>
+            <Descriptions row>
+              <Descriptions.Item itemKey={t('状态')}>{renderTokenStatus(token.status, !!token.models)}</Descriptions.Item>
+              <Descriptions.Item itemKey={t('已用额度')}>{renderQuota(token.used_quota)}</Descriptions.Item>
+              <Descriptions.Item itemKey={t('剩余额度')}>
+                {token.unlimited_quota ? t('无限制') : renderQuota(token.remain_quota)}
+              </Descriptions.Item>
+              {tokenBudgetUsage(token) && (
+                <Descriptions.Item itemKey={t('周期预算')}>{formatTokenBudget(tokenBudgetUsage(token))}</Descriptions.Item>
+              )}
+              <Descriptions.Item itemKey={t('最近使用')}>
+                {token.accessed_time ? formatDateTime(token.accessed_time) : t('从未使用')}
+              </Descriptions.Item>
+              <Descriptions.Item itemKey={t('过期时间')}>
+                {token.expired_time === -1 ? t('永不过期') : formatDateTime(token.expired_time)}
+              </Descriptions.Item>
+            </Descriptions>
+          </Card>
+        )}
+        <div style={{ marginTop: 16 }}>
+          <RadioGroup type='button' value={days} onChange={(e) => setDays(e.target.value)}>
+            {RANGE_DAYS.map((value) => (
+              <Radio key={value} value={value}>
+                {t('近 {days} 天', { days: value })}
+              </Radio>
+            ))}
+          </RadioGroup>
+          <Text type='tertiary' style={{ marginLeft: 12 }}>
+            {t('趋势、模型分布与日志按令牌名称统计，同名的令牌会合并在一起')}
+          </Text>
+        </div>
+        <Spin spinning={loading}>
+          <Row gutter={16} style={{ marginTop: 16 }}>
+            {TREND_CHARTS.map((chart) => (
+              <Col span={8} key={chart.dom}>
+                <Card>
+                  <div id={chart.dom} style={{ height: 260 }}></div>
+                </Card>
+              </Col>
+            ))}
+          </Row>
+          <Card title={t('按模型')} style={{ marginTop: 16 }}>
+            <Table
+              columns={modelColumns}
+              dataSource={usage ? usage.top : []}
+              rowKey='key'
+              pagination={false}
+              empty={<Empty description={t('暂无数据')} />}
+            />
+          </Card>
+        </Spin>
+        <Row gutter={16} style={{ marginTop: 16 }}>
+          <Col span={8}>
+            <Card title={t('最近使用的 IP')}>
+              <Table columns={ipColumns} dataSource={ips} rowKey='ip' pagination={false} size='small' />
+            </Card>
+          </Col>
+          <Col span={16}>
+            <Card title={t('最近的日志')}>
+              <Table columns={logColumns} dataSource={logs} rowKey='id' pagination={false} size='small' />
+            </Card>
+          </Col>
+        </Row>
+      </Layout.Content>
+    </Layout>
+  );
+};
+
+export default TokenDetail;
@@ -1,11 +1,12 @@
 import React from 'react';
 import TokensTable from '../../components/TokensTable';
 import {Layout} from "@douyinfe/semi-ui";
+import { t } from "one-api-common";
 const Token = () => (
   <>
     <Layout>
       <Layout.Header>
-          <h3>我的令牌</h3>
+          <h3>{t('我的令牌')}</h3>
       </Layout.Header>
       <Layout.Content>
           <TokensTable/>
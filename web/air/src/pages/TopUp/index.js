@@ -5,6 +5,7 @@ import {Col, Layout, Row, Typography, Card, Button, Form, Divider, Space, Modal}
 import Title from "@douyinfe/semi-ui/lib/es/typography/title";
 import Text from '@douyinfe/semi-ui/lib/es/typography/text';
 import { Link } from 'react-router-dom';
+import { t } from 'one-api-common';
 
 const TopUp = () => {
     const [redemptionCode, setRedemptionCode] = useState('');
@@ -22,7 +23,7 @@ const TopUp = () => {
 
     const topUp = async () => {
         if (redemptionCode === '') {
-            showInfo('请输入兑换码！')
+            showInfo(t('请输入兑换码！'))
             return;
         }
         setIsSubmitting(true);
@@ -32,8 +33,8 @@ const TopUp = () => {
             });
             const {success, message, data} = res.data;
             if (success) {
-                showSuccess('兑换成功！');
-                Modal.success({title: '兑换成功！', content: '成功兑换额度：' + renderQuota(data), centered: true});
+                showSuccess(t('兑换成功！'));
+                Modal.success({title: t('兑换成功！'), content: t('成功兑换额度：{quota}', { quota: renderQuota(data) }), centered: true});
                 setUserQuota((quota) => {
                     return quota + data;
                 });
@@ -42,7 +43,7 @@ const TopUp = () => {
                 showError(message);
             }
         } catch (err) {
-            showError('请求失败');
+            showError(t('请求失败'));
         } finally {
             setIsSubmitting(false);
         }
@@ -50,7 +51,7 @@ const TopUp = () => {
 
     const openTopUpLink = () => {
         if (!topUpLink) {
-            showError('超级管理员未设置充值链接！');
+            showError(t('超级管理员未设置充值链接！'));
             return;
         }
         window.open(topUpLink, '_blank');
@@ -58,14 +59,14 @@ const TopUp = () => {
 
     const preTopUp = async (payment) => {
         if (!enableOnlineTopUp) {
-            showError('管理员未开启在线充值！');
+            showError(t('管理员未开启在线充值！'));
             return;
         }
         if (amount === 0) {
             await getAmount();
         }
         if (topUpCount < minTopUp) {
-            showInfo('充值数量不能小于' + minTopUp);
+            showInfo(t('充值数量不能小于 {min}', { min: minTopUp }));
             return;
         }
         setPayWay(payment)
@@ -77,7 +78,7 @@ const TopUp = () => {
             await getAmount();
         }
         if (topUpCount < minTopUp) {
-            showInfo('充值数量不能小于' + minTopUp);
+            showInfo(t('充值数量不能小于 {min}', { min: minTopUp }));
             return;
         }
         setOpen(false);
@@ -155,7 +156,7 @@ const TopUp = () => {
 
     const renderAmount = () => {
         // console.log(amount);
-        return amount + '元';
+        return amount + t('元');
     }
 
     const getAmount = async (value) => {
@@ -194,11 +195,11 @@ const TopUp = () => {
         <div>
             <Layout>
                 <Layout.Header>
-                    <h3>充值额度</h3>
+                    <h3>{t('充值额度')}</h3>
                 </Layout.Header>
                 <Layout.Content>
                     <Modal
-                        title="确定要充值吗"
+                        title={t('确定要充值吗')}
                         visible={open}
                         onOk={onlineTopUp}
                         onCancel={handleCancel}
@@ -206,24 +207,24 @@ const TopUp = () => {
                         size={'small'}
                         centered={true}
                     >
-                        <p>充值数量：{topUpCount}$</p>
-                        <p>实付金额：{renderAmount()}</p>
-                        <p>是否确认充值？</p>
+                        <p>{t('充值数量：')}{topUpCount}$</p>
+                        <p>{t('实付金额：')}{renderAmount()}</p>
+                        <p>{t('是否确认充值？')}</p>
                     </Modal>
                     <div style={{marginTop: 20, display: 'flex', justifyContent: 'center'}}>
                         <Card
                             style={{width: '500px', padding: '20px'}}
                         >
-                            <Title level={3} style={{textAlign: 'center'}}>余额 {renderQuota(userQuota)}</Title>
+                            <Title level={3} style={{textAlign: 'center'}}>{t('余额')} {renderQuota(userQuota)}</Title>
                             <div style={{marginTop: 20}}>
                                 <Divider>
-                                    兑换余额
+                                    {t('兑换余额')}
                                 </Divider>
                                 <Form>
                                     <Form.Input
                                         field={'redemptionCode'}
-                                        label={'兑换码'}
-                                        placeholder='兑换码'
+                                        label={t('兑换码')}
+                                        placeholder={t('兑换码')}
                                         name='redemptionCode'
                                         value={redemptionCode}
                                         onChange={(value) => {
@@ -234,12 +235,12 @@ const TopUp = () => {
                                         {
                                             topUpLink ?
                                                 <Button type={'primary'} theme={'solid'} onClick={openTopUpLink}>
-                                                    获取兑换码
+                                                    {t('获取兑换码')}
                                                 </Button> : null
                                         }
                                         <Button type={"warning"} theme={'solid'} onClick={topUp}
                                                 disabled={isSubmitting}>
-                                            {isSubmitting ? '兑换中...' : '兑换'}
+                                            {isSubmitting ? t('兑换中...') : t('兑换')}
                                         </Button>
                                     </Space>
                                 </Form>
@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { API, isMobile, showError, showSuccess } from '../../helpers';
 import Title from '@douyinfe/semi-ui/lib/es/typography/title';
 import { Button, Input, SideSheet, Space, Spin } from '@douyinfe/semi-ui';
+import { t } from 'one-api-common';
 
 const AddUser = (props) => {
   const originInputs = {
@@ -23,7 +24,7 @@ const AddUser = (props) => {
     const res = await API.post(`/api/user/`, inputs);
     const { success, message } = res.data;
     if (success) {
-      showSuccess('用户账户创建成功！');
+      showSuccess(t('用户账户创建成功！'));
       setInputs(originInputs);
       props.refresh();
       props.handleClose();
@@ -41,15 +42,15 @@ const AddUser = (props) => {
     <>
       <SideSheet
         placement={'left'}
-        title={<Title level={3}>{'添加用户'}</Title>}
+        title={<Title level={3}>{t('添加用户')}</Title>}
         headerStyle={{ borderBottom: '1px solid var(--semi-color-border)' }}
         bodyStyle={{ borderBottom: '1px solid var(--semi-color-border)' }}
         visible={props.visible}
         footer={
           <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
             <Space>
-              <Button theme="solid" size={'large'} onClick={submit}>提交</Button>
-              <Button theme="solid" size={'large'} type={'tertiary'} onClick={handleCancel}>取消</Button>
+              <Button theme="solid" size={'large'} onClick={submit}>{t('提交')}</Button>
+              <Button theme="solid" size={'large'} type={'tertiary'} onClick={handleCancel}>{t('取消')}</Button>
             </Space>
           </div>
         }
@@ -60,31 +61,31 @@ const AddUser = (props) => {
         <Spin spinning={loading}>
           <Input
             style={{ marginTop: 20 }}
-            label="用户名"
+            label={t('用户名')}
             name="username"
-            addonBefore={'用户名'}
-            placeholder={'请输入用户名'}
+            addonBefore={t('用户名')}
+            placeholder={t('请输入用户名')}
             onChange={value => handleInputChange('username', value)}
             value={username}
             autoComplete="off"
           />
           <Input
             style={{ marginTop: 20 }}
-            addonBefore={'显示名'}
-            label="显示名称"
+            addonBefore={t('显示名')}
+            label={t('显示名称')}
             name="display_name"
             autoComplete="off"
-            placeholder={'请输入显示名称'}
+            placeholder={t('请输入显示名称')}
             onChange={value => handleInputChange('display_name', value)}
             value={display_name}
           />
           <Input
             style={{ marginTop: 20 }}
-            label="密 码"
+            label={t('密 码')}
             name="password"
             type={'password'}
-            addonBefore={'密码'}
-            placeholder={'请输入密码'}
+            addonBefore={t('密码')}
+            placeholder={t('请输入密码')}
             onChange={value => handleInputChange('password', value)}
             value={password}
             autoComplete="off"
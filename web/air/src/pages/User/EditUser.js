@@ -4,6 +4,7 @@ import { API, isMobile, showError, showSuccess } from '../../helpers';
 import { renderQuotaWithPrompt } from '../../helpers/render';
 import Title from '@douyinfe/semi-ui/lib/es/typography/title';
 import { Button, Divider, Input, Select, SideSheet, Space, Spin, Typography } from '@douyinfe/semi-ui';
+import { t } from 'one-api-common';
 
 const EditUser = (props) => {
   const userId = props.editingUser.id;
@@ -78,7 +79,7 @@ const EditUser = (props) => {
     }
     const { success, message } = res.data;
     if (success) {
-      showSuccess('用户信息更新成功！');
+      showSuccess(t('用户信息更新成功！'));
       props.refresh();
       props.handleClose();
     } else {
@@ -91,15 +92,15 @@ const EditUser = (props) => {
     <>
       <SideSheet
         placement={'right'}
-        title={<Title level={3}>{'编辑用户'}</Title>}
+        title={<Title level={3}>{t('编辑用户')}</Title>}
         headerStyle={{ borderBottom: '1px solid var(--semi-color-border)' }}
         bodyStyle={{ borderBottom: '1px solid var(--semi-color-border)' }}
         visible={props.visible}
         footer={
           <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
             <Space>
-              <Button theme="solid" size={'large'} onClick={submit}>提交</Button>
-              <Button theme="solid" size={'large'} type={'tertiary'} onClick={handleCancel}>取消</Button>
+              <Button theme="solid" size={'large'} onClick={submit}>{t('提交')}</Button>
+              <Button theme="solid" size={'large'} type={'tertiary'} onClick={handleCancel}>{t('取消')}</Button>
             </Space>
           </div>
         }
@@ -109,35 +110,35 @@ const EditUser = (props) => {
       >
         <Spin spinning={loading}>
           <div style={{ marginTop: 20 }}>
-            <Typography.Text>用户名</Typography.Text>
+            <Typography.Text>{t('用户名')}</Typography.Text>
           </div>
           <Input
-            label="用户名"
+            label={t('用户名')}
             name="username"
-            placeholder={'请输入新的用户名'}
+            placeholder={t('请输入新的用户名')}
             onChange={value => handleInputChange('username', value)}
             value={username}
             autoComplete="new-password"
           />
           <div style={{ marginTop: 20 }}>
-            <Typography.Text>密码</Typography.Text>
+            <Typography.Text>{t('密码')}</Typography.Text>
           </div>
           <Input
-            label="密码"
+            label={t('密码')}
             name="password"
             type={'password'}
-            placeholder={'请输入新的密码，最短 8 位'}
+            placeholder={t('请输入新的密码，最短 8 位')}
             onChange={value => handleInputChange('password', value)}
             value={password}
             autoComplete="new-password"
           />
           <div style={{ marginTop: 20 }}>
-            <Typography.Text>显示名称</Typography.Text>
+            <Typography.Text>{t('显示名称')}</Typography.Text>
           </div>
           <Input
-            label="显示名称"
+            label={t('显示名称')}
             name="display_name"
-            placeholder={'请输入新的显示名称'}
+            placeholder={t('请输入新的显示名称')}
             onChange={value => handleInputChange('display_name', value)}
             value={display_name}
             autoComplete="new-password"
@@ -145,27 +146,27 @@ const EditUser = (props) => {
           {
             userId && <>
               <div style={{ marginTop: 20 }}>
-                <Typography.Text>分组</Typography.Text>
+                <Typography.Text>{t('分组')}</Typography.Text>
               </div>
               <Select
-                placeholder={'请选择分组'}
+                placeholder={t('请选择分组')}
                 name="group"
                 fluid
                 search
                 selection
                 allowAdditions
-                additionLabel={'请在系统设置页面编辑分组倍率以添加新的分组：'}
+                additionLabel={t('请在系统设置页面编辑分组倍率以添加新的分组：')}
                 onChange={value => handleInputChange('group', value)}
                 value={inputs.group}
                 autoComplete="new-password"
                 optionList={groupOptions}
               />
               <div style={{ marginTop: 20 }}>
-                <Typography.Text>{`剩余额度${renderQuotaWithPrompt(quota)}`}</Typography.Text>
+                <Typography.Text>{`${t('剩余额度')}${renderQuotaWithPrompt(quota)}`}</Typography.Text>
               </div>
               <Input
                 name="quota"
-                placeholder={'请输入新的剩余额度'}
+                placeholder={t('请输入新的剩余额度')}
                 onChange={value => handleInputChange('quota', value)}
                 value={quota}
                 type={'number'}
@@ -173,42 +174,42 @@ const EditUser = (props) => {
               />
             </>
           }
-          <Divider style={{ marginTop: 20 }}>以下信息不可修改</Divider>
+          <Divider style={{ marginTop: 20 }}>{t('以下信息不可修改')}</Divider>
           <div style={{ marginTop: 20 }}>
-            <Typography.Text>已绑定的 GitHub 账户</Typography.Text>
+            <Typography.Text>{t('已绑定的 GitHub 账户')}</Typography.Text>
           </div>
           <Input
             name="github_id"
             value={github_id}
             autoComplete="new-password"
-            placeholder="此项只读，需要用户通过个人设置页面的相关绑定按钮进行绑定，不可直接修改"
+            placeholder={t('此项只读，需要用户通过个人设置页面的相关绑定按钮进行绑定，不可直接修改')}
             readonly
           />
           <div style={{ marginTop: 20 }}>
-            <Typography.Text>已绑定的微信账户</Typography.Text>
+            <Typography.Text>{t('已绑定的微信账户')}</Typography.Text>
           </div>
           <Input
             name="wechat_id"
             value={wechat_id}
             autoComplete="new-password"
-            placeholder="此项只读，需要用户通过个人设置页面的相关绑定按钮进行绑定，不可直接修改"
+            placeholder={t('此项只读，需要用户通过个人设置页面的相关绑定按钮进行绑定，不可直接修改')}
             readonly
           />
           <Input
             name="telegram_id"
             value={telegram_id}
             autoComplete="new-password"
-            placeholder="此项只读，需要用户通过个人设置页面的相关绑定按钮进行绑定，不可直接修改"
+            placeholder={t('此项只读，需要用户通过个人设置页面的相关绑定按钮进行绑定，不可直接修改')}
             readonly
           />
           <div style={{ marginTop: 20 }}>
-            <Typography.Text>已绑定的邮箱账户</Typography.Text>
+            <Typography.Text>{t('已绑定的邮箱账户')}</Typography.Text>
           </div>
           <Input
             name="email"
             value={email}
             autoComplete="new-password"
-            placeholder="此项只读，需要用户通过个人设置页面的相关绑定按钮进行绑定，不可直接修改"
+            placeholder={t('此项只读，需要用户通过个人设置页面的相关绑定按钮进行绑定，不可直接修改')}
             readonly
           />
         </Spin>
@@ -1,12 +1,13 @@
 import React from 'react';
 import UsersTable from '../../components/UsersTable';
 import {Layout} from "@douyinfe/semi-ui";
+import { t } from "one-api-common";
 
 const User = () => (
   <>
     <Layout>
         <Layout.Header>
-            <h3>管理用户</h3>
+            <h3>{t('管理用户')}</h3>
         </Layout.Header>
         <Layout.Content>
             <UsersTable/>
@@ -16,6 +16,7 @@ import NavigationScroll from 'layout/NavigationScroll';
 // auth
 import UserProvider from 'contexts/UserContext';
 import StatusProvider from 'contexts/StatusContext';
+import LocaleProvider from 'contexts/LocaleContext';
 import { SnackbarProvider } from 'notistack';
 
 // ==============================|| APP ||============================== //
@@ -39,7 +40,9 @@ const App = () => {
           <SnackbarProvider autoHideDuration={5000} maxSnack={3} anchorOrigin={{ vertical: 'top', horizontal: 'right' }}>
             <UserProvider>
               <StatusProvider>
-                <Routes />
+                <LocaleProvider>
+                  <Routes />
+                </LocaleProvider>
               </StatusProvider>
             </UserProvider>
           </SnackbarProvider>
@@ -0,0 +1,21 @@
+import { Fragment, useEffect, useSyncExternalStore } from 'react';
+import { useSelector } from 'react-redux';
+import { applyUserLocale, getLocale, subscribeLocale } from 'one-api-common';
+
+export const useLocale = () => useSyncExternalStore(subscribeLocale, getLocale);
+
+// 切换语言时重新挂载子树，让所有 t() 按新语言重新求值
+// eslint-disable-next-line
+const LocaleProvider = ({ children }) => {
+  const locale = useLocale();
+  const account = useSelector((state) => state.account);
+
+  // 登录后沿用用户保存的界面语言
+  useEffect(() => {
+    if (account.user) applyUserLocale(account.user);
+  }, [account.user]);
+
+  return <Fragment key={locale}>{children}</Fragment>;
+};
+
+export default LocaleProvider;
@@ -3,6 +3,7 @@ import { API } from "utils/api";
 import { showNotice, showError } from "utils/common";
 import { SET_SITE_INFO } from "store/actions";
 import { useDispatch } from "react-redux";
+import { t } from "one-api-common";
 
 export const LoadStatusContext = createContext();
 
@@ -29,7 +30,7 @@ const StatusProvider = ({ children }) => {
         process.env.REACT_APP_VERSION !== ""
       ) {
         showNotice(
-          `新版本可用：${data.version}，请使用快捷键 Shift + F5 刷新页面`
+          t('新版本可用：{version}，请使用快捷键 Shift + F5 刷新页面', { version: data.version })
         );
       }
       if (data.system_name) {
@@ -47,7 +48,7 @@ const StatusProvider = ({ children }) => {
           payload: data,
         });
       }
-      showError("无法正常连接至服务器！");
+      showError(t('无法正常连接至服务器！'));
     }
 
     if (system_name) {
@@ -1,12 +1,28 @@
-import { API } from 'utils/api';
-import { useDispatch } from 'react-redux';
+import { API, api } from 'utils/api';
+import { useDispatch, useSelector } from 'react-redux';
 import { LOGIN } from 'store/actions';
 import { useNavigate } from 'react-router';
-import { showSuccess } from 'utils/common';
+import { isTwoFactorPending, needsTwoFactorSetup, signInWithPasskey, t } from 'one-api-common';
+import { showSuccess, showWarning } from 'utils/common';
 
 const useLogin = () => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
+  const siteInfo = useSelector((state) => state.siteInfo);
+
+  const onLoggedIn = (data) => {
+    localStorage.setItem('user', JSON.stringify(data));
+    dispatch({ type: LOGIN, payload: data });
+    if (needsTwoFactorSetup(data, siteInfo)) {
+      showWarning(t('系统要求管理员启用两步验证，请在个人设置中启用'));
+      navigate('/panel/profile');
+    } else {
+      navigate('/panel');
+    }
+  };
+
+  // 启用了两步验证时返回 twoFactor，由登录表单继续调用 loginTwoFactor；
+  // 第三方登录时跳转到 /login?two_factor=1，由登录表单显示验证码输入
   const login = async (username, password) => {
     try {
       const res = await API.post(`/api/user/login`, {
@@ -15,9 +31,10 @@ const useLogin = () => {
       });
       const { success, message, data } = res.data;
       if (success) {
-        localStorage.setItem('user', JSON.stringify(data));
-        dispatch({ type: LOGIN, payload: data });
-        navigate('/panel');
+        if (isTwoFactorPending(data)) {
+          return { success, message, twoFactor: true };
+        }
+        onLoggedIn(data);
       }
       return { success, message };
     } catch (err) {
@@ -26,18 +43,46 @@ const useLogin = () => {
     }
   };
 
+  const loginTwoFactor = async (code) => {
+    try {
+      const { success, message, data } = await api.user.loginTwoFactor({ code });
+      if (success) {
+        onLoggedIn(data);
+      }
+      return { success, message };
+    } catch (err) {
+      // 错误已由 API 客户端提示
+      return { success: false, message: '' };
+    }
+  };
+
+  const passkeyLogin = async () => {
+    try {
+      const { success, message, data } = await signInWithPasskey(api);
+      if (success) {
+        onLoggedIn(data);
+      }
+      return { success, message };
+    } catch (err) {
+      // 错误已由 API 客户端提示
+      return { success: false, message: '' };
+    }
+  };
+
   const githubLogin = async (code, state) => {
     try {
       const res = await API.get(`/api/oauth/github?code=${code}&state=${state}`);
       const { success, message, data } = res.data;
       if (success) {
         if (message === 'bind') {
-          showSuccess('绑定成功！');
+          showSuccess(t('绑定成功！'));
           navigate('/panel');
+        } else if (isTwoFactorPending(data)) {
+          navigate('/login?two_factor=1');
         } else {
           dispatch({ type: LOGIN, payload: data });
           localStorage.setItem('user', JSON.stringify(data));
-          showSuccess('登录成功！');
+          showSuccess(t('登录成功！'));
           navigate('/panel');
         }
       }
@@ -54,12 +99,14 @@ const useLogin = () => {
       const { success, message, data } = res.data;
       if (success) {
         if (message === 'bind') {
-          showSuccess('绑定成功！');
+          showSuccess(t('绑定成功！'));
           navigate('/panel');
+        } else if (isTwoFactorPending(data)) {
+          navigate('/login?two_factor=1');
         } else {
           dispatch({ type: LOGIN, payload: data });
           localStorage.setItem('user', JSON.stringify(data));
-          showSuccess('登录成功！');
+          showSuccess(t('登录成功！'));
           navigate('/panel');
         }
       }
@@ -76,12 +123,14 @@ const useLogin = () => {
       const { success, message, data } = res.data;
       if (success) {
         if (message === 'bind') {
-          showSuccess('绑定成功！');
+          showSuccess(t('绑定成功！'));
           navigate('/panel');
+        } else if (isTwoFactorPending(data)) {
+          navigate('/login?two_factor=1');
         } else {
           dispatch({ type: LOGIN, payload: data });
           localStorage.setItem('user', JSON.stringify(data));
-          showSuccess('登录成功！');
+          showSuccess(t('登录成功！'));
           navigate('/panel');
         }
       }
@@ -97,9 +146,13 @@ const useLogin = () => {
       const res = await API.get(`/api/oauth/wechat?code=${code}`);
       const { success, message, data } = res.data;
       if (success) {
+        if (isTwoFactorPending(data)) {
+          navigate('/login?two_factor=1');
+          return { success, message };
+        }
         dispatch({ type: LOGIN, payload: data });
         localStorage.setItem('user', JSON.stringify(data));
-        showSuccess('登录成功！');
+        showSuccess(t('登录成功！'));
         navigate('/panel');
       }
       return { success, message };
@@ -116,7 +169,7 @@ const useLogin = () => {
     navigate('/');
   };
 
-  return { login, logout, githubLogin, wechatLogin, larkLogin,oidcLogin };
+  return { login, loginTwoFactor, passkeyLogin, logout, githubLogin, wechatLogin, larkLogin,oidcLogin };
 };
 
 export default useLogin;
@@ -1,6 +1,7 @@
 import { API } from 'utils/api';
 import { useNavigate } from 'react-router';
 import { showSuccess } from 'utils/common';
+import { t } from 'one-api-common';
 
 const useRegister = () => {
   const navigate = useNavigate();
@@ -13,7 +14,7 @@ const useRegister = () => {
       const res = await API.post(`/api/user/register?turnstile=${turnstile}`, input);
       const { success, message } = res.data;
       if (success) {
-        showSuccess('注册成功！');
+        showSuccess(t('注册成功！'));
         navigate('/login');
       }
       return { success, message };
@@ -28,7 +29,7 @@ const useRegister = () => {
       const res = await API.get(`/api/verification?email=${email}&turnstile=${turnstile}`);
       const { success, message } = res.data;
       if (success) {
-        showSuccess('验证码发送成功，请检查你的邮箱！');
+        showSuccess(t('验证码发送成功，请检查你的邮箱！'));
       }
       return { success, message };
     } catch (err) {
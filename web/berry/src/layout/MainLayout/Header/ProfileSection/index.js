@@ -25,6 +25,7 @@ import useLogin from 'hooks/useLogin';
 
 // assets
 import { IconLogout, IconSettings, IconUserScan } from '@tabler/icons-react';
+import { t } from 'one-api-common';
 
 // ==============================|| PROFILE MENU ||============================== //
 
@@ -150,14 +151,14 @@ const ProfileSection = () => {
                       <ListItemIcon>
                         <IconUserScan stroke={1.5} size="1.3rem" />
                       </ListItemIcon>
-                      <ListItemText primary={<Typography variant="body2">设置</Typography>} />
+                      <ListItemText primary={<Typography variant="body2">{t('设置')}</Typography>} />
                     </ListItemButton>
 
                     <ListItemButton sx={{ borderRadius: `${customization.borderRadius}px` }} onClick={handleLogout}>
                       <ListItemIcon>
                         <IconLogout stroke={1.5} size="1.3rem" />
                       </ListItemIcon>
-                      <ListItemText primary={<Typography variant="body2">登出</Typography>} />
+                      <ListItemText primary={<Typography variant="body2">{t('登出')}</Typography>} />
                     </ListItemButton>
                   </List>
                 </MainCard>
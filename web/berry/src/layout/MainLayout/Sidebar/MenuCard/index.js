@@ -18,6 +18,7 @@ import {
 } from '@mui/material';
 import User1 from 'assets/images/users/user-round.svg';
 import { useNavigate } from 'react-router-dom';
+import { t } from 'one-api-common';
 
 // assets
 // import TableChartOutlinedIcon from '@mui/icons-material/TableChartOutlined';
@@ -117,7 +118,7 @@ const MenuCard = () => {
                   {account.user?.username}
                 </Typography>
               }
-              secondary={<Typography variant="caption"> 欢迎回来 </Typography>}
+              secondary={<Typography variant="caption"> {t('欢迎回来')} </Typography>}
             />
           </ListItem>
         </List>
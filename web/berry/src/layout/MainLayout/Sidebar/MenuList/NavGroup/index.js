@@ -7,6 +7,7 @@ import { Divider, List, Typography } from '@mui/material';
 // project imports
 import NavItem from '../NavItem';
 import NavCollapse from '../NavCollapse';
+import { t } from 'one-api-common';
 
 // ==============================|| SIDEBAR MENU LIST GROUP ||============================== //
 
@@ -35,7 +36,7 @@ const NavGroup = ({ item }) => {
         subheader={
           item.title && (
             <Typography variant="caption" sx={{ ...theme.typography.menuCaption }} display="block" gutterBottom>
-              {item.title}
+              {t(item.title)}
               {item.caption && (
                 <Typography variant="caption" sx={{ ...theme.typography.subMenuCaption }} display="block" gutterBottom>
                   {item.caption}
@@ -12,6 +12,7 @@ import { MENU_OPEN, SET_MENU } from 'store/actions';
 
 // assets
 import FiberManualRecordIcon from '@mui/icons-material/FiberManualRecord';
+import { t } from 'one-api-common';
 
 // ==============================|| SIDEBAR MENU LIST ITEMS ||============================== //
 
@@ -83,7 +84,7 @@ const NavItem = ({ item, level }) => {
       <ListItemText
         primary={
           <Typography variant={customization.isOpen.findIndex((id) => id === item.id) > -1 ? 'h5' : 'body1'} color="inherit">
-            {item.title}
+            {t(item.title)}
           </Typography>
         }
         secondary={
@@ -13,6 +13,7 @@ import MenuList from './MenuList';
 import LogoSection from '../LogoSection';
 import MenuCard from './MenuCard';
 import { drawerWidth } from 'store/constant';
+import { t } from 'one-api-common';
 
 // ==============================|| SIDEBAR DRAWER ||============================== //
 
@@ -40,7 +41,7 @@ const Sidebar = ({ drawerOpen, drawerToggle, window }) => {
           <MenuCard />
           <Stack direction="row" justifyContent="center" sx={{ mb: 2 }}>
             <Chip
-              label={process.env.REACT_APP_VERSION || '未知版本号'}
+              label={process.env.REACT_APP_VERSION || t('未知版本号')}
               disabled
               chipcolor="secondary"
               size="small"
@@ -55,7 +56,7 @@ const Sidebar = ({ drawerOpen, drawerToggle, window }) => {
           <MenuCard />
           <Stack direction="row" justifyContent="center" sx={{ mb: 2 }}>
             <Chip
-              label={process.env.REACT_APP_VERSION || '未知版本号'}
+              label={process.env.REACT_APP_VERSION || t('未知版本号')}
               disabled
               chipcolor="secondary"
               size="small"
@@ -6,6 +6,7 @@ import AuthGuard from 'utils/route-guard/AuthGuard';
 import { styled, useTheme } from '@mui/material/styles';
 import { AppBar, Box, CssBaseline, Toolbar, useMediaQuery } from '@mui/material';
 import AdminContainer from 'ui-component/AdminContainer';
+import QuotaAlertBanner from 'ui-component/QuotaAlertBanner';
 
 // project imports
 import Breadcrumbs from 'ui-component/extended/Breadcrumbs';
@@ -92,6 +93,7 @@ const MainLayout = () => {
         <Breadcrumbs separator={IconChevronRight} navigation={navigation} icon title rightAlign />
         <AuthGuard>
           <AdminContainer>
+            <QuotaAlertBanner />
             <Outlet />
           </AdminContainer>
         </AuthGuard>
@@ -20,6 +20,8 @@ import { Link } from 'react-router-dom';
 import { useLocation } from 'react-router-dom';
 import { useSelector } from 'react-redux';
 import ThemeButton from 'ui-component/ThemeButton';
+import LanguageButton from 'ui-component/LanguageButton';
+import { t } from 'one-api-common';
 import ProfileSection from 'layout/MainLayout/Header/ProfileSection';
 import { IconMenu2 } from '@tabler/icons-react';
 import Transitions from 'ui-component/extended/Transitions';
@@ -64,6 +66,7 @@ const Header = () => {
       <Stack spacing={2} direction="row" justifyContent="center" alignItems="center">
         {isMobile ? (
           <>
+            <LanguageButton />
             <ThemeButton />
             <IconButton onClick={handleOpenMenu}>
               <IconMenu2 />
@@ -72,22 +75,26 @@ const Header = () => {
         ) : (
           <>
             <Button component={Link} variant="text" to="/" color={pathname === '/' ? 'primary' : 'inherit'}>
-              首页
+              {t('首页')}
+            </Button>
+            <Button component={Link} variant="text" to="/pricing" color={pathname === '/pricing' ? 'primary' : 'inherit'}>
+              {t('价格')}
             </Button>
             <Button component={Link} variant="text" to="/about" color={pathname === '/about' ? 'primary' : 'inherit'}>
-              关于
+              {t('关于')}
             </Button>
+            <LanguageButton />
             <ThemeButton />
             {account.user ? (
               <>
                 <Button component={Link} variant="contained" to="/panel" color="primary">
-                  控制台
+                  {t('控制台')}
                 </Button>
                 <ProfileSection />
               </>
             ) : (
               <Button component={Link} variant="contained" to="/login" color="primary">
-                登录
+                {t('登录')}
               </Button>
             )}
           </>
@@ -131,20 +138,24 @@ const Header = () => {
                     onClick={handleCloseMenu}
                   >
                     <ListItemButton component={Link} variant="text" to="/">
-                      <ListItemText primary={<Typography variant="body2">首页</Typography>} />
+                      <ListItemText primary={<Typography variant="body2">{t('首页')}</Typography>} />
+                    </ListItemButton>
+
+                    <ListItemButton component={Link} variant="text" to="/pricing">
+                      <ListItemText primary={<Typography variant="body2">{t('价格')}</Typography>} />
                     </ListItemButton>
 
                     <ListItemButton component={Link} variant="text" to="/about">
-                      <ListItemText primary={<Typography variant="body2">关于</Typography>} />
+                      <ListItemText primary={<Typography variant="body2">{t('关于')}</Typography>} />
                     </ListItemButton>
                     <Divider />
                     {account.user ? (
                       <ListItemButton component={Link} variant="contained" to="/panel" color="primary">
-                        控制台
+                        {t('控制台')}
                       </ListItemButton>
                     ) : (
                       <ListItemButton component={Link} variant="contained" to="/login" color="primary">
-                        登录
+                        {t('登录')}
                       </ListItemButton>
                     )}
                   </List>
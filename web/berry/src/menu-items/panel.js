@@ -1,6 +1,7 @@
 // assets
 import {
   IconDashboard,
+  IconChartHistogram,
   IconSitemap,
   IconArticle,
   IconCoin,
@@ -12,7 +13,18 @@ import {
 } from '@tabler/icons-react';
 
 // constant
-const icons = { IconDashboard, IconSitemap, IconArticle, IconCoin, IconAdjustments, IconKey, IconGardenCart, IconUser, IconUserScan };
+const icons = {
+  IconDashboard,
+  IconChartHistogram,
+  IconSitemap,
+  IconArticle,
+  IconCoin,
+  IconAdjustments,
+  IconKey,
+  IconGardenCart,
+  IconUser,
+  IconUserScan
+};
 
 // ==============================|| DASHBOARD MENU ITEMS ||============================== //
 
@@ -29,6 +41,15 @@ const panel = {
       breadcrumbs: false,
       isAdmin: false
     },
+    {
+      id: 'overview',
+      title: '系统概览',
+      type: 'item',
+      url: '/panel/overview',
+      icon: icons.IconChartHistogram,
+      breadcrumbs: false,
+      isAdmin: true
+    },
     {
       id: 'channel',
       title: '渠道',
@@ -9,6 +9,7 @@ const Log = Loadable(lazy(() => import('views/Log')));
 const Redemption = Loadable(lazy(() => import('views/Redemption')));
 const Setting = Loadable(lazy(() => import('views/Setting')));
 const Token = Loadable(lazy(() => import('views/Token')));
+const TokenDetail = Loadable(lazy(() => import('views/Token/Detail')));
 const Topup = Loadable(lazy(() => import('views/Topup')));
 const User = Loadable(lazy(() => import('views/User')));
 const Profile = Loadable(lazy(() => import('views/Profile')));
@@ -16,6 +17,7 @@ const NotFoundView = Loadable(lazy(() => import('views/Error')));
 
 // dashboard routing
 const Dashboard = Loadable(lazy(() => import('views/Dashboard')));
+const Overview = Loadable(lazy(() => import('views/Overview')));
 
 // ==============================|| MAIN ROUTING ||============================== //
 
@@ -31,6 +33,10 @@ const MainRoutes = {
       path: 'dashboard',
       element: <Dashboard />
     },
+    {
+      path: 'overview',
+      element: <Overview />
+    },
     {
       path: 'channel',
       element: <Channel />
@@ -51,6 +57,10 @@ const MainRoutes = {
       path: 'token',
       element: <Token />
     },
+    {
+      path: 'token/:id',
+      element: <TokenDetail />
+    },
     {
       path: 'topup',
       element: <Topup />
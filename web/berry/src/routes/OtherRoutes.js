@@ -14,6 +14,7 @@ const ForgetPassword = Loadable(lazy(() => import('views/Authentication/Auth/For
 const ResetPassword = Loadable(lazy(() => import('views/Authentication/Auth/ResetPassword')));
 const Home = Loadable(lazy(() => import('views/Home')));
 const About = Loadable(lazy(() => import('views/About')));
+const Pricing = Loadable(lazy(() => import('views/Pricing')));
 const NotFoundView = Loadable(lazy(() => import('views/Error')));
 
 // ==============================|| AUTHENTICATION ROUTING ||============================== //
@@ -30,6 +31,10 @@ const OtherRoutes = {
       path: '/about',
       element: <About />
     },
+    {
+      path: '/pricing',
+      element: <Pricing />
+    },
     {
       path: '/login',
       element: <AuthLogin />
@@ -0,0 +1,293 @@
+import PropTypes from 'prop-types';
+import { useEffect, useRef, useState } from 'react';
+import { Alert, Autocomplete, Box, Button, Chip, IconButton, InputAdornment, Stack, TextField, Typography } from '@mui/material';
+import { createFilterOptions } from '@mui/material/Autocomplete';
+import { IconPlus, IconSearch, IconTrash } from '@tabler/icons-react';
+import {
+  checkMappingTargets,
+  describeJsonMapChange,
+  diffJsonMap,
+  isCanceled,
+  JsonMapChange,
+  parseJsonMap,
+  splitCommaList,
+  stringifyJsonMap,
+  validateJsonMap,
+  t
+} from 'one-api-common';
+import { api } from 'utils/api';
+
+// 行数较多时（例如模型倍率）显示搜索框
+const FILTER_THRESHOLD = 20;
+const filterOptions = createFilterOptions({ limit: 20 });
+
+const changeColors = {
+  [JsonMapChange.Added]: 'success',
+  [JsonMapChange.Removed]: 'error',
+  [JsonMapChange.Changed]: 'warning'
+};
+
+function formatValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function checkText(text, rules) {
+  try {
+    return validateJsonMap(parseJsonMap(text), rules).errors;
+  } catch (error) {
+    return [error.message];
+  }
+}
+
+/**
+ * 以表格方式编辑 JSON 对象，也可以切换回 JSON 文本。
+ * onChange(text, errors) 中 errors 为空时 text 才可以保存。
+ * mapping 为 true 时按模型映射校验，并根据 models 与 channelType 检查目标模型。
+ */
+const JsonMapEditor = ({
+  label,
+  value,
+  savedValue,
+  onChange,
+  numeric = false,
+  mapping = false,
+  emptyText = '',
+  keyLabel = t('键'),
+  valueLabel = t('值'),
+  keyOptions = [],
+  valueOptions = [],
+  placeholder,
+  models,
+  channelType
+}) => {
+  const rules = { numeric, mapping };
+  const [rows, setRows] = useState([]);
+  const [rawMode, setRawMode] = useState(false);
+  const [filter, setFilter] = useState('');
+  const [ratios, setRatios] = useState(undefined);
+  const lastEmitted = useRef(null);
+
+  useEffect(() => {
+    if (value === lastEmitted.current) return;
+    lastEmitted.current = value;
+    try {
+      setRows(parseJsonMap(value));
+    } catch (error) {
+      // 已保存的值无法解析时只能以文本方式编辑
+      setRawMode(true);
+    }
+  }, [value]);
+
+  const targets = mapping ? splitCommaList(rows.map((row) => String(row.value))).join(',') : '';
+
+  useEffect(() => {
+    if (!mapping || targets === '') {
+      setRatios(undefined);
+      return;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      api.channel
+        .modelRatio({ type: channelType, models: targets }, { signal: controller.signal, silent: true })
+        .then(({ success, data }) => {
+          if (success) setRatios(data);
+        })
+        .catch((error) => {
+          if (!isCanceled(error)) setRatios(undefined);
+        });
+    }, 500);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [mapping, targets, channelType]);
+
+  const updateRows = (nextRows) => {
+    setRows(nextRows);
+    const text = stringifyJsonMap(nextRows, { numeric, emptyText });
+    lastEmitted.current = text;
+    onChange(text, validateJsonMap(nextRows, rules).errors);
+  };
+
+  const updateRow = (idx, field, fieldValue) => {
+    updateRows(rows.map((row, i) => (i === idx ? { ...row, [field]: fieldValue } : row)));
+  };
+
+  const changeRaw = (text) => {
+    lastEmitted.current = text;
+    onChange(text, checkText(text, rules));
+  };
+
+  const toggleMode = () => {
+    if (!rawMode) {
+      setRawMode(true);
+      return;
+    }
+    try {
+      setRows(parseJsonMap(value));
+      setRawMode(false);
+    } catch (error) {
+      onChange(value, [error.message]);
+    }
+  };
+
+  const { rowErrors } = validateJsonMap(rows, rules);
+  const rowWarnings = mapping ? checkMappingTargets(rows, { models, ratios }) : rows.map(() => []);
+  const changes = savedValue === undefined ? [] : diffJsonMap(savedValue, value);
+  const rawErrors = rawMode ? checkText(value, rules) : [];
+  const keyword = filter.trim().toLowerCase();
+
+  return (
+    <Box sx={{ width: '100%' }}>
+      <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 1 }}>
+        <Typography variant="subtitle1">{label}</Typography>
+        <Button size="small" onClick={toggleMode}>
+          {rawMode ? t('表格编辑') : t('编辑 JSON')}
+        </Button>
+        {!rawMode && rows.length > FILTER_THRESHOLD && (
+          <TextField
+            size="small"
+            placeholder={t('搜索{label}', { label: keyLabel })}
+            value={filter}
+            onChange={(event) => setFilter(event.target.value)}
+            InputProps={{
+              startAdornment: (
+                <InputAdornment position="start">
+                  <IconSearch width={16} />
+                </InputAdornment>
+              )
+            }}
+          />
+        )}
+      </Stack>
+      {rawMode ? (
+        <TextField
+          multiline
+          fullWidth
+          minRows={5}
+          maxRows={15}
+          value={value}
+          placeholder={placeholder}
+          error={rawErrors.length > 0}
+          helperText={rawErrors.join('；') || null}
+          onChange={(event) => changeRaw(event.target.value)}
+        />
+      ) : (
+        <Stack spacing={1}>
+          {rows.length === 0 && placeholder && (
+            <Typography variant="caption" color="text.secondary" sx={{ whiteSpace: 'pre-wrap' }}>
+              {placeholder}
+            </Typography>
+          )}
+          {rows.map((row, idx) => {
+            if (keyword && !row.key.toLowerCase().includes(keyword)) return null;
+            const warning = !rowErrors[idx] && rowWarnings[idx].length > 0 ? rowWarnings[idx].join('；') : '';
+            return (
+              <Stack key={idx} direction="row" spacing={1} alignItems="flex-start">
+                <Autocomplete
+                  freeSolo
+                  fullWidth
+                  size="small"
+                  options={keyOptions}
+                  filterOptions={filterOptions}
+                  value={row.key}
+                  inputValue={row.key}
+                  onChange={(event, value) => updateRow(idx, 'key', value || '')}
+                  onInputChange={(event, value, reason) => reason === 'input' && updateRow(idx, 'key', value)}
+                  renderInput={(params) => (
+                    <TextField {...params} label={keyLabel} error={!!rowErrors[idx]} helperText={rowErrors[idx] || null} />
+                  )}
+                />
+                {numeric ? (
+                  <TextField
+                    fullWidth
+                    size="small"
+                    type="number"
+                    label={valueLabel}
+                    value={row.value}
+                    inputProps={{ min: 0, step: 'any' }}
+                    onChange={(event) => updateRow(idx, 'value', event.target.value)}
+                  />
+                ) : (
+                  <Autocomplete
+                    freeSolo
+                    fullWidth
+                    size="small"
+                    options={valueOptions}
+                    filterOptions={filterOptions}
+                    value={row.value}
+                    inputValue={row.value}
+                    onChange={(event, value) => updateRow(idx, 'value', value || '')}
+                    onInputChange={(event, value, reason) => reason === 'input' && updateRow(idx, 'value', value)}
+                    renderInput={(params) => (
+                      <TextField
+                        {...params}
+                        label={valueLabel}
+                        color={warning ? 'warning' : undefined}
+                        focused={warning ? true : undefined}
+                        helperText={warning || null}
+                      />
+                    )}
+                  />
+                )}
+                <IconButton onClick={() => updateRows(rows.filter((item, i) => i !== idx))}>
+                  <IconTrash width={18} />
+                </IconButton>
+              </Stack>
+            );
+          })}
+          <Button
+            size="small"
+            startIcon={<IconPlus width={16} />}
+            sx={{ alignSelf: 'flex-start' }}
+            onClick={() => {
+              setFilter('');
+              updateRows([...rows, { key: '', value: '' }]);
+            }}
+          >
+            {t('添加一行')}
+          </Button>
+        </Stack>
+      )}
+      {changes.length > 0 && (
+        <Alert severity="info" sx={{ mt: 1 }}>
+          <Typography variant="subtitle2">{t('与已保存的值相比有 {count} 处改动', { count: changes.length })}</Typography>
+          {changes.map((change) => (
+            <Box key={change.key} sx={{ mt: 0.5 }}>
+              <Chip
+                label={describeJsonMapChange(change.type)}
+                color={changeColors[change.type]}
+                size="small"
+                variant="outlined"
+                sx={{ mr: 1 }}
+              />
+              {change.key}
+              {change.type === JsonMapChange.Changed && `：${formatValue(change.before)} → ${formatValue(change.after)}`}
+              {change.type === JsonMapChange.Added && `：${formatValue(change.after)}`}
+              {change.type === JsonMapChange.Removed && `：${formatValue(change.before)}`}
+            </Box>
+          ))}
+        </Alert>
+      )}
+    </Box>
+  );
+};
+
+JsonMapEditor.propTypes = {
+  label: PropTypes.string,
+  value: PropTypes.string,
+  savedValue: PropTypes.string,
+  onChange: PropTypes.func,
+  numeric: PropTypes.bool,
+  mapping: PropTypes.bool,
+  emptyText: PropTypes.string,
+  keyLabel: PropTypes.string,
+  valueLabel: PropTypes.string,
+  keyOptions: PropTypes.array,
+  valueOptions: PropTypes.array,
+  placeholder: PropTypes.string,
+  models: PropTypes.array,
+  channelType: PropTypes.number
+};
+
+export default JsonMapEditor;
@@ -0,0 +1,49 @@
+import { useState } from 'react';
+import { useTheme } from '@mui/material/styles';
+import { Avatar, Box, ButtonBase, Menu, MenuItem } from '@mui/material';
+import { IconLanguage } from '@tabler/icons-react';
+import { getLocale, LOCALE_OPTIONS, switchLocale } from 'one-api-common';
+import { api } from 'utils/api';
+
+export default function LanguageButton() {
+  const theme = useTheme();
+  const [anchorEl, setAnchorEl] = useState(null);
+  const locale = getLocale();
+
+  const handleSelect = (value) => {
+    setAnchorEl(null);
+    switchLocale(api, value);
+  };
+
+  return (
+    <Box sx={{ ml: 2 }}>
+      <ButtonBase sx={{ borderRadius: '12px' }}>
+        <Avatar
+          variant="rounded"
+          sx={{
+            ...theme.typography.commonAvatar,
+            ...theme.typography.mediumAvatar,
+            transition: 'all .2s ease-in-out',
+            borderColor: theme.typography.menuChip.background,
+            backgroundColor: theme.typography.menuChip.background,
+            '&[aria-controls="menu-list-grow"],&:hover': {
+              background: theme.palette.secondary.dark,
+              color: theme.palette.secondary.light
+            }
+          }}
+          onClick={(event) => setAnchorEl(event.currentTarget)}
+          color="inherit"
+        >
+          <IconLanguage stroke={1.5} size="1.3rem" />
+        </Avatar>
+      </ButtonBase>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {LOCALE_OPTIONS.map((option) => (
+          <MenuItem key={option.value} selected={option.value === locale} onClick={() => handleSelect(option.value)}>
+            {option.label}
+          </MenuItem>
+        ))}
+      </Menu>
+    </Box>
+  );
+}
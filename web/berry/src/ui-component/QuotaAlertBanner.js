@@ -0,0 +1,46 @@
+import { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { Alert, Stack } from '@mui/material';
+import { QuotaAlert, quotaAlertMessages } from 'one-api-common';
+import { api } from 'utils/api';
+
+// 页面顶部的额度提醒，阈值在个人设置中设置；关闭后在刷新页面前不再显示
+const QuotaAlertBanner = () => {
+  const account = useSelector((state) => state.account);
+  const [messages, setMessages] = useState([]);
+  const [dismissed, setDismissed] = useState([]);
+
+  useEffect(() => {
+    if (!account.user) {
+      setMessages([]);
+      return;
+    }
+    const controller = new AbortController();
+    api.user
+      .quotaForecast({ signal: controller.signal, silent: true })
+      .then(({ success, data }) => {
+        if (success) setMessages(quotaAlertMessages(data));
+      })
+      .catch(() => {});
+    return () => controller.abort();
+  }, [account.user]);
+
+  const visible = messages.filter((message) => !dismissed.includes(message.type));
+  if (visible.length === 0) return null;
+
+  return (
+    <Stack spacing={1} sx={{ mb: 2 }}>
+      {visible.map((message) => (
+        <Alert
+          key={message.type}
+          severity={message.type === QuotaAlert.Daily ? 'warning' : 'error'}
+          onClose={() => setDismissed((dismissed) => [...dismissed, message.type])}
+        >
+          {message.text}
+        </Alert>
+      ))}
+    </Stack>
+  );
+};
+
+export default QuotaAlertBanner;
@@ -0,0 +1,80 @@
+import PropTypes from 'prop-types';
+import { useCallback, useEffect, useState } from 'react';
+import { Alert, Chip, Stack, Table, TableBody, TableCell, TableContainer, TableHead, TableRow } from '@mui/material';
+import { alpha } from '@mui/material/styles';
+import { describeSecurityAlert, describeSecurityEventDetail, describeSecurityEventType, describeUserAgent, t } from 'one-api-common';
+import { api } from 'utils/api';
+import { showError, timestamp2string } from 'utils/common';
+
+// 最近的登录记录与账号安全操作，异常登录会高亮显示；传入 userId 时为管理员查看该用户的安全日志
+const SecurityEventTable = ({ userId }) => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadEvents = useCallback(async () => {
+    setLoading(true);
+    const { success, message, data } = userId ? await api.user.userSecurityEvents(userId) : await api.user.securityEvents();
+    if (success) {
+      setEvents(data || []);
+    } else {
+      showError(message);
+    }
+    setLoading(false);
+  }, [userId]);
+
+  useEffect(() => {
+    loadEvents().then();
+  }, [loadEvents]);
+
+  const alertCount = events.filter((event) => event.alert).length;
+
+  return (
+    <Stack spacing={2}>
+      {alertCount > 0 && (
+        <Alert severity="error">
+          {t('最近有 {count} 次异常登录，如果不是本人操作，请立即修改密码并退出所有设备。', { count: alertCount })}
+        </Alert>
+      )}
+      <TableContainer sx={{ maxHeight: 480 }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell>{t('时间')}</TableCell>
+              <TableCell>{t('事件')}</TableCell>
+              <TableCell>{t('详情')}</TableCell>
+              <TableCell>IP</TableCell>
+              <TableCell>{t('设备')}</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {events.map((event) => (
+              <TableRow key={event.id} sx={event.alert ? { bgcolor: (theme) => alpha(theme.palette.error.main, 0.08) } : undefined}>
+                <TableCell>{timestamp2string(event.created_time)}</TableCell>
+                <TableCell>
+                  {describeSecurityEventType(event.type)}
+                  {event.alert && <Chip size="small" color="error" label={describeSecurityAlert(event.alert)} sx={{ ml: 1 }} />}
+                </TableCell>
+                <TableCell>{describeSecurityEventDetail(event.detail)}</TableCell>
+                <TableCell>{event.ip}</TableCell>
+                <TableCell title={event.user_agent}>{describeUserAgent(event.user_agent)}</TableCell>
+              </TableRow>
+            ))}
+            {!loading && events.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={5} align="center">
+                  {t('暂无数据')}
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Stack>
+  );
+};
+
+SecurityEventTable.propTypes = {
+  userId: PropTypes.number
+};
+
+export default SecurityEventTable;
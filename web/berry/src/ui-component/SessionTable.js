@@ -0,0 +1,147 @@
+import PropTypes from 'prop-types';
+import { useCallback, useEffect, useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { useNavigate } from 'react-router';
+import {
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import { IconLogout } from '@tabler/icons-react';
+import { describeUserAgent, t } from 'one-api-common';
+import { LOGIN } from 'store/actions';
+import { api } from 'utils/api';
+import { showError, showSuccess, timestamp2string } from 'utils/common';
+
+// 已登录的会话列表，传入 userId 时为管理员查看该用户的会话，否则为当前用户自己的会话
+const SessionTable = ({ userId }) => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // 等待确认退出的会话，'all' 表示退出所有设备
+  const [revoking, setRevoking] = useState(null);
+
+  const loadSessions = useCallback(async () => {
+    setLoading(true);
+    const { success, message, data } = userId ? await api.user.userSessions(userId) : await api.user.sessions();
+    if (success) {
+      setSessions(data || []);
+    } else {
+      showError(message);
+    }
+    setLoading(false);
+  }, [userId]);
+
+  useEffect(() => {
+    loadSessions().then();
+  }, [loadSessions]);
+
+  // 当前会话已被退出，清除本地的登录状态
+  const signOutLocally = () => {
+    localStorage.removeItem('user');
+    dispatch({ type: LOGIN, payload: null });
+    navigate('/login');
+  };
+
+  const revoke = async () => {
+    const all = revoking === 'all';
+    const session = revoking;
+    setRevoking(null);
+    let res;
+    if (all) {
+      res = userId ? await api.user.revokeUserSessions(userId) : await api.user.revokeAllSessions();
+    } else {
+      res = userId ? await api.user.revokeUserSession(userId, session.id) : await api.user.revokeSession(session.id);
+    }
+    if (!res.success) {
+      showError(res.message);
+      return;
+    }
+    showSuccess(all ? t('已在所有设备上退出登录') : t('已退出该会话'));
+    if (all ? !userId || sessions.some((item) => item.current) : session.current) {
+      signOutLocally();
+      return;
+    }
+    await loadSessions();
+  };
+
+  let confirmText = '';
+  if (revoking === 'all') {
+    confirmText = userId ? t('该用户需要在所有设备上重新登录') : t('包括当前会话在内的所有会话都需要重新登录');
+  } else if (revoking) {
+    confirmText = revoking.current ? t('这是当前会话，退出后需要重新登录') : t('该设备需要重新登录');
+  }
+
+  return (
+    <Stack spacing={2}>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>{t('设备')}</TableCell>
+            <TableCell>IP</TableCell>
+            <TableCell>{t('登录时间')}</TableCell>
+            <TableCell>{t('最近活动')}</TableCell>
+            <TableCell />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {sessions.map((session) => (
+            <TableRow key={session.id}>
+              <TableCell title={session.user_agent}>
+                {describeUserAgent(session.user_agent)}
+                {session.current && <Chip size="small" color="success" label={t('当前')} sx={{ ml: 1 }} />}
+              </TableCell>
+              <TableCell>{session.ip}</TableCell>
+              <TableCell>{timestamp2string(session.created_time)}</TableCell>
+              <TableCell>{timestamp2string(session.last_seen_time)}</TableCell>
+              <TableCell align="right">
+                <Tooltip title={t('退出')}>
+                  <IconButton sx={{ color: 'error.main' }} onClick={() => setRevoking(session)}>
+                    <IconLogout stroke={1.5} size="1.2rem" />
+                  </IconButton>
+                </Tooltip>
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+      <div>
+        <Button variant="outlined" color="error" disabled={loading || sessions.length === 0} onClick={() => setRevoking('all')}>
+          {t('退出所有设备')}
+        </Button>
+      </div>
+
+      <Dialog open={!!revoking} onClose={() => setRevoking(null)} maxWidth={'xs'}>
+        <DialogTitle sx={{ fontWeight: 700 }}>{revoking === 'all' ? t('确定在所有设备上退出登录？') : t('确定退出该会话？')}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2">{confirmText}</Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRevoking(null)}>{t('取消')}</Button>
+          <Button onClick={revoke} sx={{ color: 'error.main' }}>
+            {t('退出')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Stack>
+  );
+};
+
+SessionTable.propTypes = {
+  userId: PropTypes.number
+};
+
+export default SessionTable;
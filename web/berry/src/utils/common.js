@@ -1,6 +1,9 @@
 import { enqueueSnackbar } from 'notistack';
 import { snackbarConstants } from 'constants/SnackbarConstants';
 import { API } from './api';
+import { describeError, ErrorKind, t } from 'one-api-common';
+
+export { calculateQuota, renderNumber, renderQuota, renderQuotaWithPrompt, timestamp2string } from 'one-api-common';
 
 export function getSystemName() {
   let system_name = localStorage.getItem('system_name');
@@ -27,46 +30,34 @@ export function getSnackbarOptions(variant) {
 }
 
 export function showError(error) {
-  if (error.message) {
-    if (error.name === 'AxiosError') {
-      switch (error.response.status) {
-        case 429:
-          enqueueSnackbar('错误：请求次数过多，请稍后再试！', getSnackbarOptions('ERROR'));
-          break;
-        case 500:
-          enqueueSnackbar('错误：服务器内部错误，请联系管理员！', getSnackbarOptions('ERROR'));
-          break;
-        case 405:
-          enqueueSnackbar('本站仅作演示之用，无服务端！', getSnackbarOptions('INFO'));
-          break;
-        default:
-          enqueueSnackbar('错误：' + error.message, getSnackbarOptions('ERROR'));
-      }
-      return;
-    }
-  } else {
-    enqueueSnackbar('错误：' + error, getSnackbarOptions('ERROR'));
+  if (error && error.reported) {
+    return;
   }
+  if (error && error.kind === ErrorKind.Demo) {
+    enqueueSnackbar(describeError(error), getSnackbarOptions('INFO'));
+    return;
+  }
+  enqueueSnackbar(describeError(error), getSnackbarOptions('ERROR'));
 }
 
 export function showNotice(message, isHTML = false) {
   if (isHTML) {
     enqueueSnackbar(<SnackbarHTMLContent htmlContent={message} />, getSnackbarOptions('NOTICE'));
   } else {
-    enqueueSnackbar(message, getSnackbarOptions('NOTICE'));
+    enqueueSnackbar(t(message), getSnackbarOptions('NOTICE'));
   }
 }
 
 export function showWarning(message) {
-  enqueueSnackbar(message, getSnackbarOptions('WARNING'));
+  enqueueSnackbar(t(message), getSnackbarOptions('WARNING'));
 }
 
 export function showSuccess(message) {
-  enqueueSnackbar(message, getSnackbarOptions('SUCCESS'));
+  enqueueSnackbar(t(message), getSnackbarOptions('SUCCESS'));
 }
 
 export function showInfo(message) {
-  enqueueSnackbar(message, getSnackbarOptions('INFO'));
+  enqueueSnackbar(t(message), getSnackbarOptions('INFO'));
 }
 
 export async function getOAuthState() {
@@ -120,48 +111,6 @@ export function isAdmin() {
   return user.role >= 10;
 }
 
-export function timestamp2string(timestamp) {
-  let date = new Date(timestamp * 1000);
-  let year = date.getFullYear().toString();
-  let month = (date.getMonth() + 1).toString();
-  let day = date.getDate().toString();
-  let hour = date.getHours().toString();
-  let minute = date.getMinutes().toString();
-  let second = date.getSeconds().toString();
-  if (month.length === 1) {
-    month = '0' + month;
-  }
-  if (day.length === 1) {
-    day = '0' + day;
-  }
-  if (hour.length === 1) {
-    hour = '0' + hour;
-  }
-  if (minute.length === 1) {
-    minute = '0' + minute;
-  }
-  if (second.length === 1) {
-    second = '0' + second;
-  }
-  return year + '-' + month + '-' + day + ' ' + hour + ':' + minute + ':' + second;
-}
-
-export function calculateQuota(quota, digits = 2) {
-  let quotaPerUnit = localStorage.getItem('quota_per_unit');
-  quotaPerUnit = parseFloat(quotaPerUnit);
-
-  return (quota / quotaPerUnit).toFixed(digits);
-}
-
-export function renderQuota(quota, digits = 2) {
-  let displayInCurrency = localStorage.getItem('display_in_currency');
-  displayInCurrency = displayInCurrency === 'true';
-  if (displayInCurrency) {
-    return '$' + calculateQuota(quota, digits);
-  }
-  return renderNumber(quota);
-}
-
 export const verifyJSON = (str) => {
   try {
     JSON.parse(str);
@@ -171,27 +120,6 @@ export const verifyJSON = (str) => {
   return true;
 };
 
-export function renderNumber(num) {
-  if (num >= 1000000000) {
-    return (num / 1000000000).toFixed(1) + 'B';
-  } else if (num >= 1000000) {
-    return (num / 1000000).toFixed(1) + 'M';
-  } else if (num >= 10000) {
-    return (num / 1000).toFixed(1) + 'k';
-  } else {
-    return num;
-  }
-}
-
-export function renderQuotaWithPrompt(quota, digits) {
-  let displayInCurrency = localStorage.getItem('display_in_currency');
-  displayInCurrency = displayInCurrency === 'true';
-  if (displayInCurrency) {
-    return `（等价金额：${renderQuota(quota, digits)}）`;
-  }
-  return '';
-}
-
 export function downloadTextAsFile(text, filename) {
   let blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
   let url = URL.createObjectURL(blob);
@@ -239,9 +167,9 @@ export function copy(text, name = '') {
   try {
     navigator.clipboard.writeText(text);
   } catch (error) {
-    text = `复制${name}失败，请手动复制：<br /><br />${text}`;
+    text = `${t('复制{name}失败，请手动复制：', { name: t(name) })}<br /><br />${text}`;
     enqueueSnackbar(<SnackbarHTMLContent htmlContent={text} />, getSnackbarOptions('COPY'));
     return;
   }
-  showSuccess(`复制${name}成功！`);
+  showSuccess(t('复制{name}成功！', { name: t(name) }));
 }
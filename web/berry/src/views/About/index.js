@@ -4,6 +4,7 @@ import { showError } from 'utils/common';
 import { marked } from 'marked';
 import { Box, Container, Typography } from '@mui/material';
 import MainCard from 'ui-component/cards/MainCard';
+import { t } from 'one-api-common';
 
 const About = () => {
   const [about, setAbout] = useState('');
@@ -22,7 +23,7 @@ const About = () => {
       localStorage.setItem('about', aboutContent);
     } else {
       showError(message);
-      setAbout('加载关于内容失败...');
+      setAbout(t('加载关于内容失败...'));
     }
     setAboutLoaded(true);
   };
@@ -37,10 +38,10 @@ const About = () => {
         <>
           <Box>
             <Container sx={{ paddingTop: '40px' }}>
-              <MainCard title="关于">
+              <MainCard title={t('关于')}>
                 <Typography variant="body2">
-                  可在设置页面设置关于内容，支持 HTML & Markdown <br />
-                  项目仓库地址：
+                  {t('可在设置页面设置关于内容，支持 HTML & Markdown')} <br />
+                  {t('项目仓库地址：')}
                   <a href="https://github.com/songquanpeng/one-api">https://github.com/songquanpeng/one-api</a>
                 </Typography>
               </MainCard>
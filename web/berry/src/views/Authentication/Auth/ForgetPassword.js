@@ -9,6 +9,7 @@ import AuthWrapper from '../AuthWrapper';
 import AuthCardWrapper from '../AuthCardWrapper';
 import ForgetPasswordForm from '../AuthForms/ForgetPasswordForm';
 import Logo from 'ui-component/Logo';
+import { t } from 'one-api-common';
 
 // assets
 
@@ -36,7 +37,7 @@ const ForgetPassword = () => {
                       <Grid item>
                         <Stack alignItems="center" justifyContent="center" spacing={1}>
                           <Typography color={theme.palette.primary.main} gutterBottom variant={matchDownSM ? 'h3' : 'h2'}>
-                            密码重置
+                            {t('密码重置')}
                           </Typography>
                         </Stack>
                       </Grid>
@@ -51,7 +52,7 @@ const ForgetPassword = () => {
                   <Grid item xs={12}>
                     <Grid item container direction="column" alignItems="center" xs={12}>
                       <Typography component={Link} to="/login" variant="subtitle1" sx={{ textDecoration: 'none' }}>
-                        登录
+                        {t('登录')}
                       </Typography>
                     </Grid>
                   </Grid>
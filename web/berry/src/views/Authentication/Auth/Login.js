@@ -9,6 +9,7 @@ import AuthWrapper from '../AuthWrapper';
 import AuthCardWrapper from '../AuthCardWrapper';
 import AuthLogin from '../AuthForms/AuthLogin';
 import Logo from 'ui-component/Logo';
+import { t } from 'one-api-common';
 
 // ================================|| AUTH3 - LOGIN ||================================ //
 
@@ -34,7 +35,7 @@ const Login = () => {
                       <Grid item>
                         <Stack alignItems="center" justifyContent="center" spacing={1}>
                           <Typography color={theme.palette.primary.main} gutterBottom variant={matchDownSM ? 'h3' : 'h2'}>
-                            登录
+                            {t('登录')}
                           </Typography>
                         </Stack>
                       </Grid>
@@ -49,7 +50,7 @@ const Login = () => {
                   <Grid item xs={12}>
                     <Grid item container direction="column" alignItems="center" xs={12}>
                       <Typography component={Link} to="/register" variant="subtitle1" sx={{ textDecoration: 'none' }}>
-                        注册
+                        {t('注册')}
                       </Typography>
                     </Grid>
                   </Grid>
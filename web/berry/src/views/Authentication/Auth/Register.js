@@ -9,6 +9,7 @@ import AuthWrapper from '../AuthWrapper';
 import AuthCardWrapper from '../AuthCardWrapper';
 import Logo from 'ui-component/Logo';
 import AuthRegister from '../AuthForms/AuthRegister';
+import { t } from 'one-api-common';
 
 // assets
 
@@ -36,7 +37,7 @@ const Register = () => {
                       <Grid item>
                         <Stack alignItems="center" justifyContent="center" spacing={1}>
                           <Typography color={theme.palette.primary.main} gutterBottom variant={matchDownSM ? 'h3' : 'h2'}>
-                            注册
+                            {t('注册')}
                           </Typography>
                         </Stack>
                       </Grid>
@@ -51,7 +52,7 @@ const Register = () => {
                   <Grid item xs={12}>
                     <Grid item container direction="column" alignItems="center" xs={12}>
                       <Typography component={Link} to="/login" variant="subtitle1" sx={{ textDecoration: 'none' }}>
-                        已经有帐号了？点击登录
+                        {t('已经有帐号了？点击登录')}
                       </Typography>
                     </Grid>
                   </Grid>
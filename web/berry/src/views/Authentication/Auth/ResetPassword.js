@@ -9,6 +9,7 @@ import AuthWrapper from '../AuthWrapper';
 import AuthCardWrapper from '../AuthCardWrapper';
 import ResetPasswordForm from '../AuthForms/ResetPasswordForm';
 import Logo from 'ui-component/Logo';
+import { t } from 'one-api-common';
 
 // ================================|| AUTH3 - LOGIN ||================================ //
 
@@ -34,7 +35,7 @@ const ResetPassword = () => {
                       <Grid item>
                         <Stack alignItems="center" justifyContent="center" spacing={1}>
                           <Typography color={theme.palette.primary.main} gutterBottom variant={matchDownSM ? 'h3' : 'h2'}>
-                            密码重置确认
+                            {t('密码重置确认')}
                           </Typography>
                         </Stack>
                       </Grid>
@@ -49,7 +50,7 @@ const ResetPassword = () => {
                   <Grid item xs={12}>
                     <Grid item container direction="column" alignItems="center" xs={12}>
                       <Typography component={Link} to="/login" variant="subtitle1" sx={{ textDecoration: 'none' }}>
-                        登录
+                        {t('登录')}
                       </Typography>
                     </Grid>
                   </Grid>
@@ -1,6 +1,6 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { useSelector } from 'react-redux';
-import { Link } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
 
 // material-ui
 import { useTheme } from '@mui/material/styles';
@@ -28,33 +28,45 @@ import { Formik } from 'formik';
 import useLogin from 'hooks/useLogin';
 import AnimateButton from 'ui-component/extended/AnimateButton';
 import WechatModal from 'views/Authentication/AuthForms/WechatModal';
+import TwoFactorForm from 'views/Authentication/AuthForms/TwoFactorForm';
 
 // assets
 import Visibility from '@mui/icons-material/Visibility';
 import VisibilityOff from '@mui/icons-material/VisibilityOff';
+import { IconKey } from '@tabler/icons-react';
 
 import Github from 'assets/images/icons/github.svg';
 import Wechat from 'assets/images/icons/wechat.svg';
 import Lark from 'assets/images/icons/lark.svg';
 import OIDC from 'assets/images/icons/oidc.svg';
-import { onGitHubOAuthClicked, onLarkOAuthClicked, onOidcClicked } from 'utils/common';
+import { onGitHubOAuthClicked, onLarkOAuthClicked, onOidcClicked, showError } from 'utils/common';
+import { isPasskeySupported, t } from 'one-api-common';
 
 // ============================|| FIREBASE - LOGIN ||============================ //
 
 const LoginForm = ({ ...others }) => {
   const theme = useTheme();
-  const { login, wechatLogin } = useLogin();
+  const { login, loginTwoFactor, passkeyLogin, wechatLogin } = useLogin();
   const [openWechat, setOpenWechat] = useState(false);
+  const [twoFactor, setTwoFactor] = useState(false);
+  const [searchParams] = useSearchParams();
   const matchDownSM = useMediaQuery(theme.breakpoints.down('md'));
   const customization = useSelector((state) => state.customization);
   const siteInfo = useSelector((state) => state.siteInfo);
   // const [checked, setChecked] = useState(true);
 
   let tripartiteLogin = false;
-  if (siteInfo.github_oauth || siteInfo.wechat_login || siteInfo.lark_client_id || siteInfo.oidc) {
+  const passkeyEnabled = siteInfo.passkey_login && isPasskeySupported();
+  if (siteInfo.github_oauth || siteInfo.wechat_login || siteInfo.lark_client_id || siteInfo.oidc || passkeyEnabled) {
     tripartiteLogin = true;
   }
 
+  useEffect(() => {
+    if (searchParams.get('two_factor')) {
+      setTwoFactor(true);
+    }
+  }, [searchParams]);
+
   const handleWechatOpen = () => {
     setOpenWechat(true);
   };
@@ -63,6 +75,13 @@ const LoginForm = ({ ...others }) => {
     setOpenWechat(false);
   };
 
+  const handlePasskeyLogin = async () => {
+    const { success, message } = await passkeyLogin();
+    if (!success && message) {
+      showError(message);
+    }
+  };
+
   const [showPassword, setShowPassword] = useState(false);
   const handleClickShowPassword = () => {
     setShowPassword(!showPassword);
@@ -72,6 +91,10 @@ const LoginForm = ({ ...others }) => {
     event.preventDefault();
   };
 
+  if (twoFactor) {
+    return <TwoFactorForm loginTwoFactor={loginTwoFactor} onBack={() => setTwoFactor(false)} />;
+  }
+
   return (
     <>
       {tripartiteLogin && (
@@ -94,7 +117,7 @@ const LoginForm = ({ ...others }) => {
                   <Box sx={{ mr: { xs: 1, sm: 2, width: 20 }, display: 'flex', alignItems: 'center' }}>
                     <img src={Github} alt="github" width={25} height={25} style={{ marginRight: matchDownSM ? 8 : 16 }} />
                   </Box>
-                  使用 GitHub 登录
+                  {t('使用 GitHub 登录')}
                 </Button>
               </AnimateButton>
             </Grid>
@@ -117,7 +140,7 @@ const LoginForm = ({ ...others }) => {
                   <Box sx={{ mr: { xs: 1, sm: 2, width: 20 }, display: 'flex', alignItems: 'center' }}>
                     <img src={Wechat} alt="Wechat" width={25} height={25} style={{ marginRight: matchDownSM ? 8 : 16 }} />
                   </Box>
-                  使用微信登录
+                  {t('使用微信登录')}
                 </Button>
               </AnimateButton>
               <WechatModal open={openWechat} handleClose={handleWechatClose} wechatLogin={wechatLogin} qrCode={siteInfo.wechat_qrcode} />
@@ -141,7 +164,7 @@ const LoginForm = ({ ...others }) => {
                   <Box sx={{ mr: { xs: 1, sm: 2, width: 20 }, display: 'flex', alignItems: 'center' }}>
                     <img src={Lark} alt="Lark" width={25} height={25} style={{ marginRight: matchDownSM ? 8 : 16 }} />
                   </Box>
-                  使用飞书登录
+                  {t('使用飞书登录')}
                 </Button>
               </AnimateButton>
             </Grid>
@@ -164,7 +187,30 @@ const LoginForm = ({ ...others }) => {
                   <Box sx={{ mr: { xs: 1, sm: 2, width: 20 }, display: 'flex', alignItems: 'center' }}>
                     <img src={OIDC} alt="Lark" width={25} height={25} style={{ marginRight: matchDownSM ? 8 : 16 }} />
                   </Box>
-                  使用 OIDC 登录
+                  {t('使用 OIDC 登录')}
+                </Button>
+              </AnimateButton>
+            </Grid>
+          )}
+          {passkeyEnabled && (
+            <Grid item xs={12}>
+              <AnimateButton>
+                <Button
+                  disableElevation
+                  fullWidth
+                  onClick={handlePasskeyLogin}
+                  size="large"
+                  variant="outlined"
+                  sx={{
+                    color: 'grey.700',
+                    backgroundColor: theme.palette.grey[50],
+                    borderColor: theme.palette.grey[100]
+                  }}
+                >
+                  <Box sx={{ mr: { xs: 1, sm: 2, width: 20 }, display: 'flex', alignItems: 'center' }}>
+                    <IconKey size={25} stroke={1.5} style={{ marginRight: matchDownSM ? 8 : 16 }} />
+                  </Box>
+                  {t('使用 Passkey 登录')}
                 </Button>
               </AnimateButton>
             </Grid>
@@ -213,9 +259,10 @@ const LoginForm = ({ ...others }) => {
           password: Yup.string().max(255).required('Password is required')
         })}
         onSubmit={async (values, { setErrors, setStatus, setSubmitting }) => {
-          const { success, message } = await login(values.username, values.password);
+          const { success, message, twoFactor } = await login(values.username, values.password);
           if (success) {
             setStatus({ success: true });
+            setTwoFactor(Boolean(twoFactor));
           } else {
             setStatus({ success: false });
             if (message) {
@@ -228,7 +275,7 @@ const LoginForm = ({ ...others }) => {
         {({ errors, handleBlur, handleChange, handleSubmit, isSubmitting, touched, values }) => (
           <form noValidate onSubmit={handleSubmit} {...others}>
             <FormControl fullWidth error={Boolean(touched.username && errors.username)} sx={{ ...theme.typography.customInput }}>
-              <InputLabel htmlFor="outlined-adornment-username-login">用户名 / 邮箱</InputLabel>
+              <InputLabel htmlFor="outlined-adornment-username-login">{t('用户名 / 邮箱')}</InputLabel>
               <OutlinedInput
                 id="outlined-adornment-username-login"
                 type="text"
@@ -236,7 +283,7 @@ const LoginForm = ({ ...others }) => {
                 name="username"
                 onBlur={handleBlur}
                 onChange={handleChange}
-                label="用户名"
+                label={t('用户名')}
                 inputProps={{ autoComplete: 'username' }}
               />
               {touched.username && errors.username && (
@@ -247,7 +294,7 @@ const LoginForm = ({ ...others }) => {
             </FormControl>
 
             <FormControl fullWidth error={Boolean(touched.password && errors.password)} sx={{ ...theme.typography.customInput }}>
-              <InputLabel htmlFor="outlined-adornment-password-login">密码</InputLabel>
+              <InputLabel htmlFor="outlined-adornment-password-login">{t('密码')}</InputLabel>
               <OutlinedInput
                 id="outlined-adornment-password-login"
                 type={showPassword ? 'text' : 'password'}
@@ -290,7 +337,7 @@ const LoginForm = ({ ...others }) => {
                 color="primary"
                 sx={{ textDecoration: 'none', cursor: 'pointer' }}
               >
-                忘记密码?
+                {t('忘记密码?')}
               </Typography>
             </Stack>
             {errors.submit && (
@@ -302,7 +349,7 @@ const LoginForm = ({ ...others }) => {
             <Box sx={{ mt: 2 }}>
               <AnimateButton>
                 <Button disableElevation disabled={isSubmitting} fullWidth size="large" type="submit" variant="contained" color="primary">
-                  登录
+                  {t('登录')}
                 </Button>
               </AnimateButton>
             </Box>
@@ -24,6 +24,7 @@ import AnimateButton from "ui-component/extended/AnimateButton";
 
 // assets
 import { showError, showInfo, showSuccess } from "utils/common";
+import { t } from "one-api-common";
 
 // ===========================|| FIREBASE - REGISTER ||=========================== //
 
@@ -42,7 +43,7 @@ const ForgetPasswordForm = ({ ...others }) => {
     setDisableButton(true);
     setSubmitting(true);
     if (turnstileEnabled && turnstileToken === "") {
-      showInfo("请稍后几秒重试，Turnstile 正在检查用户环境！");
+      showInfo(t('请稍后几秒重试，Turnstile 正在检查用户环境！'));
       setSubmitting(false);
       return;
     }
@@ -51,7 +52,7 @@ const ForgetPasswordForm = ({ ...others }) => {
     );
     const { success, message } = res.data;
     if (success) {
-      showSuccess("重置邮件发送成功，请检查邮箱！");
+      showSuccess(t('重置邮件发送成功，请检查邮箱！'));
       setSendEmail(true);
     } else {
       showError(message);
@@ -85,7 +86,7 @@ const ForgetPasswordForm = ({ ...others }) => {
     <>
       {sendEmail ? (
         <Typography variant="h3" padding={"20px"}>
-          重置邮件发送成功，请检查邮箱！
+          {t('重置邮件发送成功，请检查邮箱！')}
         </Typography>
       ) : (
         <Formik
@@ -94,9 +95,9 @@ const ForgetPasswordForm = ({ ...others }) => {
           }}
           validationSchema={Yup.object().shape({
             email: Yup.string()
-              .email("必须是有效的Email地址")
+              .email(t('必须是有效的Email地址'))
               .max(255)
-              .required("Email是必填项"),
+              .required(t('Email是必填项')),
           })}
           onSubmit={submit}
         >
@@ -159,7 +160,7 @@ const ForgetPasswordForm = ({ ...others }) => {
                     variant="contained"
                     color="primary"
                   >
-                    {disableButton ? `重试 (${countdown})` : "提交"}
+                    {disableButton ? t('重试 ({countdown})', { countdown }) : t('提交')}
                   </Button>
                 </AnimateButton>
               </Box>
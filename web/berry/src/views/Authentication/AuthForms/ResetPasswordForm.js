@@ -7,6 +7,7 @@ import { Button, Stack, Typography, Alert } from '@mui/material';
 // assets
 import { showError, copy } from 'utils/common';
 import { API } from 'utils/api';
+import { t } from 'one-api-common';
 
 // ===========================|| FIREBASE - REGISTER ||=========================== //
 
@@ -43,16 +44,16 @@ const ResetPasswordForm = () => {
     <Stack spacing={3} padding={'24px'} justifyContent={'center'} alignItems={'center'}>
       {!inputs.email || !inputs.token ? (
         <Typography variant="h3" sx={{ textDecoration: 'none' }}>
-          无效的链接
+          {t('无效的链接')}
         </Typography>
       ) : newPassword ? (
         <Alert severity="error">
-          你的新密码是: <b>{newPassword}</b> <br />
-          请登录后及时修改密码
+          {t('你的新密码是:')} <b>{newPassword}</b> <br />
+          {t('请登录后及时修改密码')}
         </Alert>
       ) : (
         <Button fullWidth onClick={submit} size="large" type="submit" variant="contained" color="primary">
-          点击重置密码
+          {t('点击重置密码')}
         </Button>
       )}
     </Stack>
@@ -0,0 +1,66 @@
+import PropTypes from 'prop-types';
+import { useState } from 'react';
+import { useTheme } from '@mui/material/styles';
+import { Box, Button, FormControl, FormHelperText, InputLabel, OutlinedInput, Typography } from '@mui/material';
+import { t } from 'one-api-common';
+import AnimateButton from 'ui-component/extended/AnimateButton';
+
+// 密码验证通过后的第二步：输入验证器中的验证码或一个恢复码
+const TwoFactorForm = ({ loginTwoFactor, onBack }) => {
+  const theme = useTheme();
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!code.trim()) return;
+    setSubmitting(true);
+    const { success, message } = await loginTwoFactor(code.trim());
+    if (!success) {
+      setError(message);
+      setCode('');
+    }
+    setSubmitting(false);
+  };
+
+  return (
+    <form noValidate onSubmit={handleSubmit}>
+      <Typography variant="body2" sx={{ mb: 1 }}>
+        {t('请输入验证器应用中的 6 位验证码，或一个恢复码')}
+      </Typography>
+      <FormControl fullWidth error={Boolean(error)} sx={{ ...theme.typography.customInput }}>
+        <InputLabel htmlFor="outlined-adornment-two-factor-code">{t('验证码或恢复码')}</InputLabel>
+        <OutlinedInput
+          id="outlined-adornment-two-factor-code"
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          label={t('验证码或恢复码')}
+          autoFocus
+          inputProps={{ autoComplete: 'one-time-code' }}
+        />
+        {error && <FormHelperText error>{error}</FormHelperText>}
+      </FormControl>
+      <Box sx={{ mt: 2 }}>
+        <AnimateButton>
+          <Button disableElevation disabled={submitting} fullWidth size="large" type="submit" variant="contained" color="primary">
+            {t('验证')}
+          </Button>
+        </AnimateButton>
+      </Box>
+      <Box sx={{ mt: 1 }}>
+        <Button fullWidth size="large" onClick={onBack}>
+          {t('返回')}
+        </Button>
+      </Box>
+    </form>
+  );
+};
+
+TwoFactorForm.propTypes = {
+  loginTwoFactor: PropTypes.func,
+  onBack: PropTypes.func
+};
+
+export default TwoFactorForm;
@@ -5,6 +5,7 @@ import { Dialog, DialogTitle, DialogContent, TextField, Button, Typography, Grid
 import { Formik, Form, Field } from 'formik';
 import { showError } from 'utils/common';
 import * as Yup from 'yup';
+import { t } from 'one-api-common';
 
 const validationSchema = Yup.object().shape({
   code: Yup.string().required('验证码不能为空')
@@ -16,22 +17,22 @@ const WechatModal = ({ open, handleClose, wechatLogin, qrCode }) => {
     if (success) {
       handleClose();
     } else {
-      showError(message || '未知错误');
+      showError(message || t('未知错误'));
     }
   };
 
   return (
     <Dialog open={open} onClose={handleClose}>
-      <DialogTitle>微信验证码登录</DialogTitle>
+      <DialogTitle>{t('微信验证码登录')}</DialogTitle>
       <DialogContent>
         <Grid container direction="column" alignItems="center">
-          <img src={qrCode} alt="二维码" style={{ maxWidth: '300px', maxHeight: '300px', width: 'auto', height: 'auto' }} />
+          <img src={qrCode} alt={t('二维码')} style={{ maxWidth: '300px', maxHeight: '300px', width: 'auto', height: 'auto' }} />
           <Typography
             variant="body2"
             color="text.secondary"
             style={{ marginTop: '10px', textAlign: 'center', wordWrap: 'break-word', maxWidth: '300px' }}
           >
-            请使用微信扫描二维码关注公众号，输入「验证码」获取验证码（三分钟内有效）
+            {t('请使用微信扫描二维码关注公众号，输入「验证码」获取验证码（三分钟内有效）')}
           </Typography>
           <Formik initialValues={{ code: '' }} validationSchema={validationSchema} onSubmit={handleSubmit}>
             {({ errors, touched }) => (
@@ -40,15 +41,15 @@ const WechatModal = ({ open, handleClose, wechatLogin, qrCode }) => {
                   <Field
                     as={TextField}
                     name="code"
-                    label="验证码"
+                    label={t('验证码')}
                     error={touched.code && Boolean(errors.code)}
-                    helperText={touched.code && errors.code}
+                    helperText={touched.code && t(errors.code)}
                     fullWidth
                   />
                 </Grid>
                 <Grid item xs={12}>
                   <Button type="submit" fullWidth>
-                    提交
+                    {t('提交')}
                   </Button>
                 </Grid>
               </Form>
@@ -0,0 +1,228 @@
+import PropTypes from 'prop-types';
+import { useEffect, useRef, useState } from 'react';
+import {
+  Alert,
+  Autocomplete,
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemText,
+  Menu,
+  MenuItem,
+  Radio,
+  RadioGroup,
+  Stack,
+  TextField,
+  Typography
+} from '@mui/material';
+import { BulkEditMode, ChannelBulkAction, channelBulkTask, describeChannelBulkAction, runBulk, splitCommaList, t } from 'one-api-common';
+import { api } from 'utils/api';
+import { showError, showSuccess } from 'utils/common';
+
+const BulkActions = ({ channels, onClear, onFinished }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [action, setAction] = useState(null);
+  const [value, setValue] = useState('');
+  const [values, setValues] = useState([]);
+  const [mode, setMode] = useState(BulkEditMode.Replace);
+  const [groupOptions, setGroupOptions] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [results, setResults] = useState([]);
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    api.group
+      .list()
+      .then(({ success, data }) => {
+        if (success) setGroupOptions(data);
+      })
+      .catch(() => {});
+    return () => {
+      if (abortRef.current) abortRef.current.abort();
+    };
+  }, []);
+
+  const open = (nextAction) => {
+    setAnchorEl(null);
+    setAction(nextAction);
+    setValue('');
+    setValues([]);
+    setMode(BulkEditMode.Replace);
+    setResults([]);
+  };
+
+  const close = () => {
+    if (running) return;
+    const finished = results.length > 0;
+    setAction(null);
+    setResults([]);
+    if (finished) onFinished();
+  };
+
+  const needsValue = action === ChannelBulkAction.Priority || action === ChannelBulkAction.Weight;
+  const needsValues = action === ChannelBulkAction.Group || action === ChannelBulkAction.Models;
+
+  const start = async () => {
+    if (needsValue && value === '') {
+      showError(t('请输入数值'));
+      return;
+    }
+    if (needsValues && values.length === 0) {
+      showError(t('请至少填写一项'));
+      return;
+    }
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setResults([]);
+    setRunning(true);
+    const task = channelBulkTask(api, action, { value: parseInt(value), values, mode });
+    const finalResults = await runBulk(channels, task, {
+      signal: controller.signal,
+      onProgress: (result) => setResults((prev) => [...prev, result])
+    });
+    abortRef.current = null;
+    setRunning(false);
+    const failed = finalResults.filter((result) => !result.success).length;
+    if (failed === 0) {
+      showSuccess(t('已对 {count} 个渠道{action}', { count: finalResults.length, action: describeChannelBulkAction(action) }));
+    } else {
+      showError(t('{count} 个渠道{action}失败，详见列表', { count: failed, action: describeChannelBulkAction(action) }));
+    }
+  };
+
+  const stop = () => {
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  const modelOptions = splitCommaList(channels.flatMap((channel) => splitCommaList(channel.models)));
+
+  return (
+    <>
+      <Stack direction="row" spacing={2} alignItems="center" sx={{ px: 3, py: 1 }}>
+        <Typography variant="subtitle1">{t('已选择 {count} 个渠道', { count: channels.length })}</Typography>
+        <Button variant="outlined" onClick={(event) => setAnchorEl(event.currentTarget)}>
+          {t('批量操作')}
+        </Button>
+        <Button onClick={onClear}>{t('取消选择')}</Button>
+      </Stack>
+      <Menu anchorEl={anchorEl} open={!!anchorEl} onClose={() => setAnchorEl(null)}>
+        {Object.values(ChannelBulkAction).map((item) => (
+          <MenuItem key={item} onClick={() => open(item)} sx={item === ChannelBulkAction.Delete ? { color: 'error.main' } : undefined}>
+            {describeChannelBulkAction(item)}
+          </MenuItem>
+        ))}
+      </Menu>
+      <Dialog open={action !== null} onClose={close} fullWidth maxWidth="sm">
+        <DialogTitle>
+          {t('批量{action}（{count} 个渠道）', { action: describeChannelBulkAction(action), count: channels.length })}
+        </DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} sx={{ pt: 1 }}>
+            {needsValue && (
+              <TextField
+                label={action === ChannelBulkAction.Priority ? t('优先级') : t('权重')}
+                type="number"
+                value={value}
+                disabled={running}
+                inputProps={{ min: 0 }}
+                onChange={(event) => setValue(event.target.value)}
+              />
+            )}
+            {needsValues && (
+              <>
+                <RadioGroup row value={mode} onChange={(event) => setMode(event.target.value)}>
+                  <FormControlLabel value={BulkEditMode.Replace} control={<Radio />} label={t('替换为')} disabled={running} />
+                  <FormControlLabel value={BulkEditMode.Add} control={<Radio />} label={t('追加')} disabled={running} />
+                  <FormControlLabel value={BulkEditMode.Remove} control={<Radio />} label={t('移除')} disabled={running} />
+                </RadioGroup>
+                <Autocomplete
+                  multiple
+                  freeSolo={action === ChannelBulkAction.Models}
+                  options={action === ChannelBulkAction.Group ? groupOptions : modelOptions}
+                  value={values}
+                  disabled={running}
+                  onChange={(event, value) => setValues(value)}
+                  renderTags={(value, getTagProps) =>
+                    value.map((option, index) => <Chip key={option} label={option} size="small" {...getTagProps({ index })} />)
+                  }
+                  renderInput={(params) => (
+                    <TextField
+                      {...params}
+                      label={action === ChannelBulkAction.Group ? t('分组') : t('模型')}
+                      placeholder={action === ChannelBulkAction.Group ? t('请选择分组') : t('请选择或输入模型，回车确认')}
+                    />
+                  )}
+                />
+              </>
+            )}
+            {action === ChannelBulkAction.Delete && results.length === 0 && (
+              <Alert severity="warning">{t('删除操作不可逆，请确认。')}</Alert>
+            )}
+            {results.length > 0 && (
+              <Box>
+                <Stack direction="row" spacing={1} alignItems="center">
+                  <Box sx={{ flex: 1 }}>
+                    <LinearProgress
+                      variant="determinate"
+                      value={(results.length / channels.length) * 100}
+                      color={results.every((result) => result.success) ? 'success' : 'warning'}
+                    />
+                  </Box>
+                  <Typography variant="caption">
+                    {results.length} / {channels.length}
+                  </Typography>
+                </Stack>
+                <List dense sx={{ maxHeight: 320, overflowY: 'auto' }}>
+                  {results.map((result) => (
+                    <ListItem key={result.item.id} disableGutters>
+                      <Chip
+                        label={result.success ? t('成功') : t('失败')}
+                        color={result.success ? 'success' : 'error'}
+                        size="small"
+                        variant="outlined"
+                        sx={{ mr: 1 }}
+                      />
+                      <ListItemText primary={`#${result.item.id} ${result.item.name}`} secondary={result.message || null} />
+                    </ListItem>
+                  ))}
+                </List>
+              </Box>
+            )}
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          {running ? (
+            <Button color="error" onClick={stop}>
+              {t('停止')}
+            </Button>
+          ) : (
+            <>
+              <Button onClick={close}>{results.length > 0 ? t('完成') : t('取消')}</Button>
+              {results.length === 0 && (
+                <Button variant="contained" color={action === ChannelBulkAction.Delete ? 'error' : 'primary'} onClick={start}>
+                  {t('开始')}
+                </Button>
+              )}
+            </>
+          )}
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+BulkActions.propTypes = {
+  channels: PropTypes.array,
+  onClear: PropTypes.func,
+  onFinished: PropTypes.func
+};
+
+export default BulkActions;
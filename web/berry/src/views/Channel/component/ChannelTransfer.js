@@ -0,0 +1,303 @@
+import PropTypes from 'prop-types';
+import { useRef, useState } from 'react';
+import {
+  Alert,
+  Button,
+  ButtonGroup,
+  Checkbox,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  FormLabel,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemText,
+  Radio,
+  RadioGroup,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import { IconDownload, IconUpload } from '@tabler/icons-react';
+import { downloadFile, exportChannels, parseChannelFile, runBulk, validateChannelRow, t } from 'one-api-common';
+import { api } from 'utils/api';
+import { showError, showSuccess } from 'utils/common';
+import { CHANNEL_OPTIONS } from 'constants/ChannelConstants';
+import { typeConfig } from '../type/Config';
+
+const channelTypes = Object.values(CHANNEL_OPTIONS).map((option) => option.value);
+
+const validateOptions = {
+  types: channelTypes,
+  // 与编辑渠道时一致，模型为空时使用该类型的默认模型
+  defaultModels: (type) => typeConfig[type]?.input?.models
+};
+
+const ChannelTransfer = ({ selectedIds, onImported }) => {
+  const [exportOpen, setExportOpen] = useState(false);
+  const [format, setFormat] = useState('json');
+  const [onlySelected, setOnlySelected] = useState(false);
+  const [maskKey, setMaskKey] = useState(true);
+  const [exporting, setExporting] = useState(false);
+
+  const [importOpen, setImportOpen] = useState(false);
+  const [rows, setRows] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [results, setResults] = useState([]);
+  const fileRef = useRef(null);
+  const abortRef = useRef(null);
+
+  const openExport = () => {
+    setOnlySelected(selectedIds.length > 0);
+    setExportOpen(true);
+  };
+
+  const doExport = async () => {
+    setExporting(true);
+    try {
+      const params = { mask_key: maskKey };
+      if (onlySelected) params.ids = selectedIds.join(',');
+      const { success, message, data } = await api.channel.export(params);
+      if (success) {
+        const file = exportChannels(data, format);
+        downloadFile(file.content, file.filename, file.mime);
+        showSuccess(t('已导出 {count} 个渠道', { count: data.length }));
+        setExportOpen(false);
+      } else {
+        showError(message);
+      }
+    } catch (error) {
+      // 错误已由拦截器提示
+    }
+    setExporting(false);
+  };
+
+  const openImport = () => {
+    setRows([]);
+    setResults([]);
+    setImportOpen(true);
+  };
+
+  const closeImport = () => {
+    if (running) return;
+    const imported = results.some((result) => result.success);
+    setImportOpen(false);
+    if (imported) onImported();
+  };
+
+  const readFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const parsed = parseChannelFile(reader.result, file.name);
+        if (parsed.length === 0) {
+          showError(t('文件中没有渠道'));
+          return;
+        }
+        setRows(parsed.map((row) => validateChannelRow(row, validateOptions)));
+        setResults([]);
+      } catch (error) {
+        showError(error.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const validRows = rows.filter((row) => row.errors.length === 0);
+
+  const doImport = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setResults([]);
+    setRunning(true);
+    const finalResults = await runBulk(
+      validRows.map((row) => row.channel),
+      (channel, { signal }) => api.channel.create(channel, { signal, silent: true }),
+      { signal: controller.signal, onProgress: (result) => setResults((prev) => [...prev, result]) }
+    );
+    abortRef.current = null;
+    setRunning(false);
+    const failed = finalResults.filter((result) => !result.success).length;
+    if (failed === 0) {
+      showSuccess(t('已导入 {count} 个渠道', { count: finalResults.length }));
+    } else {
+      showError(t('{count} 个渠道导入失败，详见列表', { count: failed }));
+    }
+  };
+
+  const stopImport = () => {
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  return (
+    <>
+      <ButtonGroup variant="outlined" sx={{ marginBottom: 2, marginLeft: 1 }}>
+        <Button onClick={openExport} startIcon={<IconDownload width={'18px'} />}>
+          {t('导出')}
+        </Button>
+        <Button onClick={openImport} startIcon={<IconUpload width={'18px'} />}>
+          {t('导入')}
+        </Button>
+      </ButtonGroup>
+
+      <Dialog open={exportOpen} onClose={() => setExportOpen(false)} fullWidth maxWidth="xs">
+        <DialogTitle>{t('导出渠道')}</DialogTitle>
+        <DialogContent>
+          <Stack spacing={1}>
+            <FormLabel>{t('格式')}</FormLabel>
+            <RadioGroup row value={format} onChange={(event) => setFormat(event.target.value)}>
+              <FormControlLabel value="json" control={<Radio />} label="JSON" />
+              <FormControlLabel value="csv" control={<Radio />} label="CSV" />
+            </RadioGroup>
+            <FormLabel>{t('范围')}</FormLabel>
+            <RadioGroup
+              row
+              value={onlySelected ? 'selected' : 'all'}
+              onChange={(event) => setOnlySelected(event.target.value === 'selected')}
+            >
+              <FormControlLabel value="all" control={<Radio />} label={t('全部渠道')} />
+              <FormControlLabel
+                value="selected"
+                control={<Radio />}
+                label={t('已选择的 {count} 个渠道', { count: selectedIds.length })}
+                disabled={selectedIds.length === 0}
+              />
+            </RadioGroup>
+            <FormControlLabel
+              control={<Checkbox checked={maskKey} onChange={(event) => setMaskKey(event.target.checked)} />}
+              label={t('密钥脱敏')}
+            />
+            {!maskKey && <Alert severity="warning">{t('导出文件将包含明文密钥，请妥善保管。仅超级管理员可以导出明文密钥。')}</Alert>}
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setExportOpen(false)}>{t('取消')}</Button>
+          <Button variant="contained" disabled={exporting} onClick={doExport}>
+            {t('导出')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={importOpen} onClose={closeImport} fullWidth maxWidth="md">
+        <DialogTitle>{t('导入渠道')}</DialogTitle>
+        <DialogContent>
+          <Stack spacing={2}>
+            <Alert severity="info">
+              {t('支持本页面导出的 JSON 或 CSV 文件。每一行会按渠道类型校验，校验通过的渠道会逐个创建，已脱敏的密钥需要先替换为真实密钥。')}
+            </Alert>
+            <input type="file" accept=".json,.csv" ref={fileRef} style={{ display: 'none' }} onChange={readFile} />
+            <Button variant="outlined" disabled={running} onClick={() => fileRef.current.click()} sx={{ alignSelf: 'flex-start' }}>
+              {t('选择文件')}
+            </Button>
+            {rows.length > 0 && results.length === 0 && (
+              <>
+                <Typography>
+                  {t('共 {total} 行，其中 {valid} 行校验通过，{invalid} 行有错误。', {
+                    total: rows.length,
+                    valid: validRows.length,
+                    invalid: rows.length - validRows.length
+                  })}
+                </Typography>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>{t('行')}</TableCell>
+                      <TableCell>{t('名称')}</TableCell>
+                      <TableCell>{t('类型')}</TableCell>
+                      <TableCell>{t('分组')}</TableCell>
+                      <TableCell>{t('模型')}</TableCell>
+                      <TableCell>{t('校验结果')}</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {rows.map((row, idx) => (
+                      <TableRow key={idx}>
+                        <TableCell>{idx + 1}</TableCell>
+                        <TableCell>{row.channel.name}</TableCell>
+                        <TableCell>{t(CHANNEL_OPTIONS[row.channel.type]?.text) || row.channel.type}</TableCell>
+                        <TableCell>{row.channel.group}</TableCell>
+                        <TableCell>{t('{count} 个', { count: row.channel.models.split(',').filter(Boolean).length })}</TableCell>
+                        <TableCell>
+                          {row.errors.length === 0 ? (
+                            <Chip label={t('通过')} color="success" size="small" variant="outlined" />
+                          ) : (
+                            <Typography variant="caption" color="error">
+                              {row.errors.join('；')}
+                            </Typography>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </>
+            )}
+            {results.length > 0 && (
+              <>
+                <Stack direction="row" spacing={1} alignItems="center">
+                  <LinearProgress
+                    variant="determinate"
+                    value={(results.length / validRows.length) * 100}
+                    color={results.every((result) => result.success) ? 'success' : 'warning'}
+                    sx={{ flex: 1 }}
+                  />
+                  <Typography variant="caption">
+                    {results.length} / {validRows.length}
+                  </Typography>
+                </Stack>
+                <List dense sx={{ maxHeight: 320, overflowY: 'auto' }}>
+                  {results.map((result, idx) => (
+                    <ListItem key={idx} disableGutters>
+                      <Chip
+                        label={result.success ? t('成功') : t('失败')}
+                        color={result.success ? 'success' : 'error'}
+                        size="small"
+                        variant="outlined"
+                        sx={{ mr: 1 }}
+                      />
+                      <ListItemText primary={result.item.name} secondary={result.message || null} />
+                    </ListItem>
+                  ))}
+                </List>
+              </>
+            )}
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          {running ? (
+            <Button color="error" onClick={stopImport}>
+              {t('停止')}
+            </Button>
+          ) : (
+            <>
+              <Button onClick={closeImport}>{results.length > 0 ? t('完成') : t('取消')}</Button>
+              {results.length === 0 && (
+                <Button variant="contained" disabled={validRows.length === 0} onClick={doImport}>
+                  {t('导入 {count} 个渠道', { count: validRows.length })}
+                </Button>
+              )}
+            </>
+          )}
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+ChannelTransfer.propTypes = {
+  selectedIds: PropTypes.array,
+  onImported: PropTypes.func
+};
+
+export default ChannelTransfer;
@@ -31,42 +31,40 @@ import { defaultConfig, typeConfig } from '../type/Config'; //typeConfig
 import { createFilterOptions } from '@mui/material/Autocomplete';
 import CheckBoxOutlineBlankIcon from '@mui/icons-material/CheckBoxOutlineBlank';
 import CheckBoxIcon from '@mui/icons-material/CheckBox';
+import { parseJsonMap, validateJsonMap, t } from 'one-api-common';
+import JsonMapEditor from 'ui-component/JsonMapEditor';
 
 const icon = <CheckBoxOutlineBlankIcon fontSize="small" />;
 const checkedIcon = <CheckBoxIcon fontSize="small" />;
 
 const filter = createFilterOptions();
-const validationSchema = Yup.object().shape({
-  is_edit: Yup.boolean(),
-  name: Yup.string().required('名称 不能为空'),
-  type: Yup.number().required('渠道 不能为空'),
-  key: Yup.string().when(['is_edit', 'type'], {
-    is: (is_edit, type) => !is_edit && type !== 33,
-    then: Yup.string().required('密钥 不能为空')
-  }),
-  other: Yup.string(),
-  models: Yup.array().min(1, '模型 不能为空'),
-  groups: Yup.array().min(1, '用户组 不能为空'),
-  base_url: Yup.string().when('type', {
-    is: (value) => [3, 8].includes(value),
-    then: Yup.string().required('渠道API地址 不能为空'), // base_url 是必需的
-    otherwise: Yup.string() // 在其他情况下，base_url 可以是任意字符串
-  }),
-  model_mapping: Yup.string().test('is-json', '必须是有效的JSON字符串', function (value) {
-    try {
-      if (value === '' || value === null || value === undefined) {
-        return true;
-      }
-      const parsedValue = JSON.parse(value);
-      if (typeof parsedValue === 'object') {
-        return true;
+// 在渲染时创建，使校验提示跟随当前界面语言
+const getValidationSchema = () =>
+  Yup.object().shape({
+    is_edit: Yup.boolean(),
+    name: Yup.string().required(t('名称 不能为空')),
+    type: Yup.number().required(t('渠道 不能为空')),
+    key: Yup.string().when(['is_edit', 'type'], {
+      is: (is_edit, type) => !is_edit && type !== 33,
+      then: Yup.string().required(t('密钥 不能为空'))
+    }),
+    other: Yup.string(),
+    models: Yup.array().min(1, t('模型 不能为空')),
+    groups: Yup.array().min(1, t('用户组 不能为空')),
+    base_url: Yup.string().when('type', {
+      is: (value) => [3, 8].includes(value),
+      then: Yup.string().required(t('渠道API地址 不能为空')), // base_url 是必需的
+      otherwise: Yup.string() // 在其他情况下，base_url 可以是任意字符串
+    }),
+    model_mapping: Yup.string().test('is-json', t('必须是有效的JSON字符串'), function (value) {
+      try {
+        const { errors } = validateJsonMap(parseJsonMap(value), { mapping: true });
+        return errors.length === 0 || this.createError({ message: errors[0] });
+      } catch (e) {
+        return this.createError({ message: e.message });
       }
-    } catch (e) {
-      return false;
-    }
-    return false;
-  })
-});
+    })
+  });
 
 const EditModal = ({ open, channelId, onCancel, onOk }) => {
   const theme = useTheme();
@@ -78,6 +76,7 @@ const EditModal = ({ open, channelId, onCancel, onOk }) => {
   const [modelOptions, setModelOptions] = useState([]);
   const [batchAdd, setBatchAdd] = useState(false);
   const [basicModels, setBasicModels] = useState([]);
+  const [modelMappingErrors, setModelMappingErrors] = useState([]);
 
   const initChannel = (typeValue) => {
     if (typeConfig[typeValue]?.inputLabel) {
@@ -152,6 +151,11 @@ const EditModal = ({ open, channelId, onCancel, onOk }) => {
   };
 
   const submit = async (values, { setErrors, setStatus, setSubmitting }) => {
+    if (modelMappingErrors.length > 0) {
+      showError(t('模型映射有误：{error}', { error: modelMappingErrors[0] }));
+      setSubmitting(false);
+      return;
+    }
     setSubmitting(true);
     if (values.base_url && values.base_url.endsWith('/')) {
       values.base_url = values.base_url.slice(0, values.base_url.length - 1);
@@ -187,9 +191,9 @@ const EditModal = ({ open, channelId, onCancel, onOk }) => {
     const { success, message } = res.data;
     if (success) {
       if (channelId) {
-        showSuccess('渠道更新成功！');
+        showSuccess(t('渠道更新成功！'));
       } else {
-        showSuccess('渠道创建成功！');
+        showSuccess(t('渠道创建成功！'));
       }
       setSubmitting(false);
       setStatus({ success: true });
@@ -257,6 +261,7 @@ const EditModal = ({ open, channelId, onCancel, onOk }) => {
 
   useEffect(() => {
     setBatchAdd(false);
+    setModelMappingErrors([]);
     if (channelId) {
       loadChannel().then();
     } else {
@@ -277,18 +282,18 @@ const EditModal = ({ open, channelId, onCancel, onOk }) => {
           fontSize: '1.125rem'
         }}
       >
-        {channelId ? '编辑渠道' : '新建渠道'}
+        {channelId ? t('编辑渠道') : t('新建渠道')}
       </DialogTitle>
       <Divider />
       <DialogContent>
-        <Formik initialValues={initialInput} enableReinitialize validationSchema={validationSchema} onSubmit={submit}>
+        <Formik initialValues={initialInput} enableReinitialize validationSchema={getValidationSchema()} onSubmit={submit}>
           {({ errors, handleBlur, handleChange, handleSubmit, isSubmitting, touched, values, setFieldValue }) => (
             <form noValidate onSubmit={handleSubmit}>
               <FormControl fullWidth error={Boolean(touched.type && errors.type)} sx={{ ...theme.typography.otherInput }}>
-                <InputLabel htmlFor="channel-type-label">{inputLabel.type}</InputLabel>
+                <InputLabel htmlFor="channel-type-label">{t(inputLabel.type)}</InputLabel>
                 <Select
                   id="channel-type-label"
-                  label={inputLabel.type}
+                  label={t(inputLabel.type)}
                   value={values.type}
                   name="type"
                   onBlur={handleBlur}
@@ -306,12 +311,12 @@ const EditModal = ({ open, channelId, onCancel, onOk }) => {
                 >
                   {Object.values(CHANNEL_OPTIONS)
                     .sort((a, b) => {
-                      return a.text.localeCompare(b.text);
+                      return t(a.text).localeCompare(t(b.text));
                     })
                     .map((option) => {
                       return (
                         <MenuItem key={option.value} value={option.value}>
-                          {option.text}
+                          {t(option.text)}
                         </MenuItem>
                       );
                     })}
@@ -321,15 +326,15 @@ const EditModal = ({ open, channelId, onCancel, onOk }) => {
                     {errors.type}
                   </FormHelperText>
                 ) : (
-                  <FormHelperText id="helper-tex-channel-type-label"> {inputPrompt.type} </FormHelperText>
+                  <FormHelperText id="helper-tex-channel-type-label"> {t(inputPrompt.type)} </FormHelperText>
                 )}
               </FormControl>
 
               <FormControl fullWidth error={Boolean(touched.name && errors.name)} sx={{ ...theme.typography.otherInput }}>
-                <InputLabel htmlFor="channel-name-label">{inputLabel.name}</InputLabel>
+                <InputLabel htmlFor="channel-name-label">{t(inputLabel.name)}</InputLabel>
                 <OutlinedInput
                   id="channel-name-label"
-                  label={inputLabel.name}
+                  label={t(inputLabel.name)}
                   type="text"
                   value={values.name}
                   name="name"
@@ -343,15 +348,15 @@ const EditModal = ({ open, channelId, onCancel, onOk }) => {
                     {errors.name}
                   </FormHelperText>
                 ) : (
-                  <FormHelperText id="helper-tex-channel-name-label"> {inputPrompt.name} </FormHelperText>
+                  <FormHelperText id="helper-tex-channel-name-label"> {t(inputPrompt.name)} </FormHelperText>
                 )}
               </FormControl>
 
               <FormControl fullWidth error={Boolean(touched.base_url && errors.base_url)} sx={{ ...theme.typography.otherInput }}>
-                <InputLabel htmlFor="channel-base_url-label">{inputLabel.base_url}</InputLabel>
+                <InputLabel htmlFor="channel-base_url-label">{t(inputLabel.base_url)}</InputLabel>
                 <OutlinedInput
                   id="channel-base_url-label"
-                  label={inputLabel.base_url}
+                  label={t(inputLabel.base_url)}
                   type="text"
                   value={values.base_url}
                   name="base_url"
@@ -365,16 +370,16 @@ const EditModal = ({ open, channelId, onCancel, onOk }) => {
                     {errors.base_url}
                   </FormHelperText>
                 ) : (
-                  <FormHelperText id="helper-tex-channel-base_url-label"> {inputPrompt.base_url} </FormHelperText>
+                  <FormHelperText id="helper-tex-channel-base_url-label"> {t(inputPrompt.base_url)} </FormHelperText>
                 )}
               </FormControl>
 
               {inputPrompt.other && (
                 <FormControl fullWidth error={Boolean(touched.other && errors.other)} sx={{ ...theme.typography.otherInput }}>
-                  <InputLabel htmlFor="channel-other-label">{inputLabel.other}</InputLabel>
+                  <InputLabel htmlFor="channel-other-label">{t(inputLabel.other)}</InputLabel>
                   <OutlinedInput
                     id="channel-other-label"
-                    label={inputLabel.other}
+                    label={t(inputLabel.other)}
                     type="text"
                     value={values.other}
                     name="other"
@@ -388,7 +393,7 @@ const EditModal = ({ open, channelId, onCancel, onOk }) => {
                       {errors.other}
                     </FormHelperText>
                   ) : (
-                    <FormHelperText id="helper-tex-channel-other-label"> {inputPrompt.other} </FormHelperText>
+                    <FormHelperText id="helper-tex-channel-other-label"> {t(inputPrompt.other)} </FormHelperText>
                   )}
                 </FormControl>
               )}
@@ -410,7 +415,9 @@ const EditModal = ({ open, channelId, onCancel, onOk }) => {
                   }}
                   onBlur={handleBlur}
                   filterSelectedOptions
-                  renderInput={(params) => <TextField {...params} name="groups" error={Boolean(errors.groups)} label={inputLabel.groups} />}
+                  renderInput={(params) => (
+                    <TextField {...params} name="groups" error={Boolean(errors.groups)} label={t(inputLabel.groups)} />
+                  )}
                   aria-describedby="helper-text-channel-groups-label"
                 />
                 {errors.groups ? (
@@ -418,7 +425,7 @@ const EditModal = ({ open, channelId, onCancel, onOk }) => {
                     {errors.groups}
                   </FormHelperText>
                 ) : (
-                  <FormHelperText id="helper-tex-channel-groups-label"> {inputPrompt.groups} </FormHelperText>
+                  <FormHelperText id="helper-tex-channel-groups-label"> {t(inputPrompt.groups)} </FormHelperText>
                 )}
               </FormControl>
 
@@ -441,8 +448,10 @@ const EditModal = ({ open, channelId, onCancel, onOk }) => {
                   onBlur={handleBlur}
                   // filterSelectedOptions
                   disableCloseOnSelect
-                  renderInput={(params) => <TextField {...params} name="models" error={Boolean(errors.models)} label={inputLabel.models} />}
-                  groupBy={(option) => option.group}
+                  renderInput={(params) => (
+                    <TextField {...params} name="models" error={Boolean(errors.models)} label={t(inputLabel.models)} />
+                  )}
+                  groupBy={(option) => t(option.group)}
                   getOptionLabel={(option) => {
                     if (typeof option === 'string') {
                       return option;
@@ -476,7 +485,7 @@ const EditModal = ({ open, channelId, onCancel, onOk }) => {
                     {errors.models}
                   </FormHelperText>
                 ) : (
-                  <FormHelperText id="helper-tex-channel-models-label"> {inputPrompt.models} </FormHelperText>
+                  <FormHelperText id="helper-tex-channel-models-label"> {t(inputPrompt.models)} </FormHelperText>
                 )}
               </FormControl>
               <Container
@@ -490,14 +499,14 @@ const EditModal = ({ open, channelId, onCancel, onOk }) => {
                       setFieldValue('models', initialModel(basicModels));
                     }}
                   >
-                    填入相关模型
+                    {t('填入相关模型')}
                   </Button>
                   <Button
                     onClick={() => {
                       setFieldValue('models', modelOptions);
                     }}
                   >
-                    填入所有模型
+                    {t('填入所有模型')}
                   </Button>
                 </ButtonGroup>
               </Container>
@@ -506,10 +515,10 @@ const EditModal = ({ open, channelId, onCancel, onOk }) => {
                   <FormControl fullWidth error={Boolean(touched.key && errors.key)} sx={{ ...theme.typography.otherInput }}>
                     {!batchAdd ? (
                       <>
-                        <InputLabel htmlFor="channel-key-label">{inputLabel.key}</InputLabel>
+                        <InputLabel htmlFor="channel-key-label">{t(inputLabel.key)}</InputLabel>
                         <OutlinedInput
                           id="channel-key-label"
-                          label={inputLabel.key}
+                          label={t(inputLabel.key)}
                           type="text"
                           value={values.key}
                           name="key"
@@ -523,14 +532,14 @@ const EditModal = ({ open, channelId, onCancel, onOk }) => {
                       <TextField
                         multiline
                         id="channel-key-label"
-                        label={inputLabel.key}
+                        label={t(inputLabel.key)}
                         value={values.key}
                         name="key"
                         onBlur={handleBlur}
                         onChange={handleChange}
                         aria-describedby="helper-text-channel-key-label"
                         minRows={5}
-                        placeholder={inputPrompt.key + '，一行一个密钥'}
+                        placeholder={t('{prompt}，一行一个密钥', { prompt: t(inputPrompt.key) })}
                       />
                     )}
 
@@ -539,7 +548,7 @@ const EditModal = ({ open, channelId, onCancel, onOk }) => {
                         {errors.key}
                       </FormHelperText>
                     ) : (
-                      <FormHelperText id="helper-tex-channel-key-label"> {inputPrompt.key} </FormHelperText>
+                      <FormHelperText id="helper-tex-channel-key-label"> {t(inputPrompt.key)} </FormHelperText>
                     )}
                   </FormControl>
                   {channelId === 0 && (
@@ -549,7 +558,7 @@ const EditModal = ({ open, channelId, onCancel, onOk }) => {
                       }}
                     >
                       <Switch checked={batchAdd} onChange={(e) => setBatchAdd(e.target.checked)} />
-                      批量添加
+                      {t('批量添加')}
                     </Container>
                   )}
                 </>
@@ -565,62 +574,66 @@ const EditModal = ({ open, channelId, onCancel, onOk }) => {
                         name={'config.' + configName}
                         value={values.config?.[configName] || ''}
                         label={configName}
-                        placeholder={inputPrompt.config[configName]}
+                        placeholder={t(inputPrompt.config[configName])}
                         onChange={handleChange}
                       />
-                      <FormHelperText id={`helper-tex-config.${configName}-label`}> {inputPrompt.config[configName]} </FormHelperText>
+                      <FormHelperText id={`helper-tex-config.${configName}-label`}> {t(inputPrompt.config[configName])} </FormHelperText>
                     </FormControl>
                   );
                 })}
 
-              <FormControl fullWidth error={Boolean(touched.model_mapping && errors.model_mapping)} sx={{ ...theme.typography.otherInput }}>
-                {/* <InputLabel htmlFor="channel-model_mapping-label">{inputLabel.model_mapping}</InputLabel> */}
-                <TextField
-                  multiline
-                  id="channel-model_mapping-label"
-                  label={inputLabel.model_mapping}
+              <FormControl fullWidth error={Boolean(errors.model_mapping)} sx={{ ...theme.typography.otherInput }}>
+                <JsonMapEditor
+                  label={t(inputLabel.model_mapping)}
+                  mapping
                   value={values.model_mapping}
-                  name="model_mapping"
-                  onBlur={handleBlur}
-                  onChange={handleChange}
-                  aria-describedby="helper-text-channel-model_mapping-label"
-                  minRows={5}
-                  placeholder={inputPrompt.model_mapping}
+                  savedValue={initialInput.model_mapping}
+                  onChange={(value, editorErrors) => {
+                    setFieldValue('model_mapping', value);
+                    setModelMappingErrors(editorErrors);
+                  }}
+                  keyLabel={t('请求中的模型')}
+                  valueLabel={t('替换为')}
+                  keyOptions={modelOptions.map((option) => option.id)}
+                  valueOptions={modelOptions.map((option) => option.id)}
+                  placeholder={t(inputPrompt.model_mapping)}
+                  models={values.models.map((model) => model.id)}
+                  channelType={values.type}
                 />
-                {touched.model_mapping && errors.model_mapping ? (
+                {errors.model_mapping ? (
                   <FormHelperText error id="helper-tex-channel-model_mapping-label">
                     {errors.model_mapping}
                   </FormHelperText>
                 ) : (
-                  <FormHelperText id="helper-tex-channel-model_mapping-label"> {inputPrompt.model_mapping} </FormHelperText>
+                  <FormHelperText id="helper-tex-channel-model_mapping-label"> {t(inputPrompt.model_mapping)} </FormHelperText>
                 )}
               </FormControl>
               <FormControl fullWidth error={Boolean(touched.system_prompt && errors.system_prompt)} sx={{ ...theme.typography.otherInput }}>
-                {/* <InputLabel htmlFor="channel-model_mapping-label">{inputLabel.model_mapping}</InputLabel> */}
+                {/* <InputLabel htmlFor="channel-model_mapping-label">{t(inputLabel.model_mapping)}</InputLabel> */}
                 <TextField
                   multiline
                   id="channel-system_prompt-label"
-                  label={inputLabel.system_prompt}
+                  label={t(inputLabel.system_prompt)}
                   value={values.system_prompt}
                   name="system_prompt"
                   onBlur={handleBlur}
                   onChange={handleChange}
                   aria-describedby="helper-text-channel-system_prompt-label"
                   minRows={5}
-                  placeholder={inputPrompt.system_prompt}
+                  placeholder={t(inputPrompt.system_prompt)}
                 />
                 {touched.system_prompt && errors.system_prompt ? (
                   <FormHelperText error id="helper-tex-channel-system_prompt-label">
                     {errors.system_prompt}
                   </FormHelperText>
                 ) : (
-                  <FormHelperText id="helper-tex-channel-system_prompt-label"> {inputPrompt.system_prompt} </FormHelperText>
+                  <FormHelperText id="helper-tex-channel-system_prompt-label"> {t(inputPrompt.system_prompt)} </FormHelperText>
                 )}
               </FormControl>
               <DialogActions>
-                <Button onClick={onCancel}>取消</Button>
+                <Button onClick={onCancel}>{t('取消')}</Button>
                 <Button disableElevation disabled={isSubmitting} type="submit" variant="contained" color="primary">
-                  提交
+                  {t('提交')}
                 </Button>
               </DialogActions>
             </form>
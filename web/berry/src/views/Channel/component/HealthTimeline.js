@@ -0,0 +1,146 @@
+import PropTypes from 'prop-types';
+import { useEffect, useState } from 'react';
+import { Box, CircularProgress, Stack, Typography } from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import {
+  Timeline,
+  TimelineConnector,
+  TimelineContent,
+  TimelineDot,
+  TimelineItem,
+  TimelineOppositeContent,
+  TimelineSeparator
+} from '@mui/lab';
+import {
+  ChannelHealthType,
+  describeHealthType,
+  formatDateTime,
+  isCanceled,
+  sparklinePoints,
+  summarizeChannelHealth,
+  t
+} from 'one-api-common';
+import { api } from 'utils/api';
+import { showError } from 'utils/common';
+
+const SPARKLINE_WIDTH = 240;
+const SPARKLINE_HEIGHT = 40;
+
+const dotColors = {
+  [ChannelHealthType.TestSucceeded]: 'success',
+  [ChannelHealthType.TestFailed]: 'error',
+  [ChannelHealthType.AutoDisabled]: 'warning',
+  [ChannelHealthType.AutoEnabled]: 'primary'
+};
+
+const Sparkline = ({ tests }) => {
+  const theme = useTheme();
+  const points = sparklinePoints(tests, SPARKLINE_WIDTH, SPARKLINE_HEIGHT);
+  if (points.length === 0) {
+    return <Typography variant="caption">{t('暂无测试记录')}</Typography>;
+  }
+  return (
+    <svg width={SPARKLINE_WIDTH} height={SPARKLINE_HEIGHT} style={{ overflow: 'visible' }}>
+      <polyline
+        fill="none"
+        stroke={theme.palette.grey[500]}
+        strokeWidth={1}
+        points={points.map((point) => `${point.x},${point.y}`).join(' ')}
+      />
+      {points.map((point) => (
+        <circle
+          key={point.item.id}
+          cx={point.x}
+          cy={point.y}
+          r={3}
+          fill={point.success ? theme.palette.success.main : theme.palette.error.main}
+        >
+          <title>
+            {formatDateTime(point.item.created_at)} {point.success ? `${point.item.response_time} ms` : point.item.message}
+          </title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+Sparkline.propTypes = {
+  tests: PropTypes.array
+};
+
+const HealthTimeline = ({ channelId, refreshKey }) => {
+  const [histories, setHistories] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+    api.channel
+      .health(channelId, undefined, { signal: controller.signal })
+      .then(({ success, message, data }) => {
+        if (success) {
+          setHistories(data || []);
+        } else {
+          showError(message);
+        }
+        setLoading(false);
+      })
+      .catch((error) => {
+        if (!isCanceled(error)) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [channelId, refreshKey]);
+
+  if (loading) {
+    return <CircularProgress size={24} />;
+  }
+
+  const { tests, successRate } = summarizeChannelHealth(histories);
+  return (
+    <Stack direction={{ xs: 'column', md: 'row' }} spacing={4} alignItems="flex-start">
+      <Stack spacing={1}>
+        <Typography variant="h4">{successRate === null ? '-' : `${(successRate * 100).toFixed(1)}%`}</Typography>
+        <Typography variant="caption">{t('成功率（最近 {count} 次测试）', { count: tests.length })}</Typography>
+        <Sparkline tests={tests} />
+      </Stack>
+      <Box sx={{ flex: 1, maxHeight: 240, overflowY: 'auto' }}>
+        {histories.length === 0 ? (
+          <Typography variant="caption">{t('暂无健康记录')}</Typography>
+        ) : (
+          <Timeline sx={{ m: 0, p: 0 }}>
+            {histories.map((item, idx) => (
+              <TimelineItem key={item.id}>
+                <TimelineOppositeContent sx={{ flex: 0, minWidth: 160 }} variant="caption">
+                  {formatDateTime(item.created_at)}
+                </TimelineOppositeContent>
+                <TimelineSeparator>
+                  <TimelineDot color={dotColors[item.type] || 'grey'} />
+                  {idx < histories.length - 1 && <TimelineConnector />}
+                </TimelineSeparator>
+                <TimelineContent>
+                  <Typography variant="subtitle2">
+                    {describeHealthType(item.type)}
+                    {item.model_name && ` · ${item.model_name}`}
+                    {item.type === ChannelHealthType.TestSucceeded && ` · ${item.response_time} ms`}
+                  </Typography>
+                  {item.message && (
+                    <Typography variant="caption" color="error" sx={{ wordBreak: 'break-all' }}>
+                      {item.message}
+                    </Typography>
+                  )}
+                </TimelineContent>
+              </TimelineItem>
+            ))}
+          </Timeline>
+        )}
+      </Box>
+    </Stack>
+  );
+};
+
+HealthTimeline.propTypes = {
+  channelId: PropTypes.number,
+  refreshKey: PropTypes.number
+};
+
+export default HealthTimeline;
@@ -0,0 +1,214 @@
+import PropTypes from 'prop-types';
+import { useEffect, useRef, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  LinearProgress,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import { buildModelTestPlan, removeChannelModels, testChannelModels, t } from 'one-api-common';
+import { api } from 'utils/api';
+import { showError, showSuccess } from 'utils/common';
+
+const ModelTestMatrix = ({ channel, onClose, onUpdated }) => {
+  const [plan, setPlan] = useState([]);
+  const [results, setResults] = useState({});
+  const [running, setRunning] = useState(false);
+  const [removing, setRemoving] = useState(false);
+  const [confirmRemove, setConfirmRemove] = useState(false);
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    setPlan(channel ? buildModelTestPlan(channel) : []);
+    setResults({});
+  }, [channel]);
+
+  useEffect(() => {
+    return () => {
+      if (abortRef.current) abortRef.current.abort();
+    };
+  }, []);
+
+  const finished = Object.values(results);
+  const failedModels = finished.filter((result) => !result.success).map((result) => result.item.model);
+
+  const start = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setResults({});
+    setRunning(true);
+    await testChannelModels(api, channel.id, plan, {
+      signal: controller.signal,
+      onProgress: (result) => setResults((prev) => ({ ...prev, [result.item.model]: result }))
+    });
+    abortRef.current = null;
+    setRunning(false);
+  };
+
+  const stop = () => {
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  const close = () => {
+    if (running || removing) return;
+    const tested = finished.length > 0;
+    onClose();
+    if (tested) onUpdated();
+  };
+
+  const removeFailed = async () => {
+    setConfirmRemove(false);
+    let patch;
+    try {
+      patch = removeChannelModels(channel, failedModels);
+    } catch (error) {
+      showError(error.message);
+      return;
+    }
+    setRemoving(true);
+    try {
+      const { success, message } = await api.channel.update(patch);
+      if (success) {
+        showSuccess(t('已从渠道移除 {count} 个模型', { count: failedModels.length }));
+        setRemoving(false);
+        onClose();
+        onUpdated();
+        return;
+      }
+      showError(message);
+    } catch (error) {
+      // 错误已由拦截器提示
+    }
+    setRemoving(false);
+  };
+
+  const renderStatus = (result) => {
+    if (!result) {
+      return <Chip label={running ? t('测试中') : t('未测试')} size="small" variant="outlined" />;
+    }
+    return (
+      <Chip label={result.success ? t('成功') : t('失败')} color={result.success ? 'success' : 'error'} size="small" variant="outlined" />
+    );
+  };
+
+  return (
+    <>
+      <Dialog open={!!channel} onClose={close} fullWidth maxWidth="lg">
+        <DialogTitle>
+          {t('测试全部模型')}
+          {channel ? `：${channel.name}` : ''}
+        </DialogTitle>
+        <DialogContent>
+          <Stack spacing={2}>
+            <Alert severity="info">
+              {t('逐个测试渠道模型列表与模型映射中的模型，映射的模型会请求映射后的上游模型。测试会产生少量额度消耗。')}
+            </Alert>
+            {finished.length > 0 && (
+              <Stack direction="row" spacing={1} alignItems="center">
+                <Box sx={{ flex: 1 }}>
+                  <LinearProgress
+                    variant="determinate"
+                    value={(finished.length / plan.length) * 100}
+                    color={failedModels.length === 0 ? 'success' : 'warning'}
+                  />
+                </Box>
+                <Typography variant="caption">
+                  {finished.length} / {plan.length}
+                </Typography>
+              </Stack>
+            )}
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>{t('模型')}</TableCell>
+                  <TableCell>{t('上游模型')}</TableCell>
+                  <TableCell>{t('结果')}</TableCell>
+                  <TableCell>{t('耗时')}</TableCell>
+                  <TableCell>{t('HTTP 状态')}</TableCell>
+                  <TableCell>{t('错误信息')}</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {plan.map((entry) => {
+                  const result = results[entry.model];
+                  return (
+                    <TableRow key={entry.model}>
+                      <TableCell>{entry.model}</TableCell>
+                      <TableCell>{entry.mapped ? entry.target : '-'}</TableCell>
+                      <TableCell>{renderStatus(result)}</TableCell>
+                      <TableCell>{result && result.time !== null ? t('{time} 秒', { time: result.time.toFixed(2) }) : '-'}</TableCell>
+                      <TableCell>{result && result.statusCode ? result.statusCode : '-'}</TableCell>
+                      <TableCell sx={{ wordBreak: 'break-all' }}>
+                        {result && result.message && (
+                          <Typography variant="caption" color="error">
+                            {result.message}
+                          </Typography>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          {running ? (
+            <Button color="error" onClick={stop}>
+              {t('停止')}
+            </Button>
+          ) : (
+            <>
+              <Button onClick={close}>{t('关闭')}</Button>
+              {failedModels.length > 0 && (
+                <Button color="error" disabled={removing} onClick={() => setConfirmRemove(true)}>
+                  {t('移除 {count} 个失败模型', { count: failedModels.length })}
+                </Button>
+              )}
+              <Button variant="contained" disabled={plan.length === 0} onClick={start}>
+                {finished.length > 0 ? t('重新测试') : t('开始测试 {count} 个模型', { count: plan.length })}
+              </Button>
+            </>
+          )}
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={confirmRemove} onClose={() => setConfirmRemove(false)}>
+        <DialogTitle>{t('移除失败模型')}</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            {t('将从渠道中移除：')}
+            {failedModels.join(', ')}
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmRemove(false)}>{t('取消')}</Button>
+          <Button onClick={removeFailed} sx={{ color: 'error.main' }} autoFocus>
+            {t('移除')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+ModelTestMatrix.propTypes = {
+  channel: PropTypes.object,
+  onClose: PropTypes.func,
+  onUpdated: PropTypes.func
+};
+
+export default ModelTestMatrix;
@@ -1,12 +1,12 @@
 import PropTypes from 'prop-types';
 import Label from 'ui-component/Label';
 import Tooltip from '@mui/material/Tooltip';
-import { timestamp2string } from 'utils/common';
+import { formatDateTime, t } from 'one-api-common';
 
 const ResponseTimeLabel = ({ test_time, response_time, handle_action }) => {
   let color = 'default';
   let time = response_time / 1000;
-  time = time.toFixed(2) + ' 秒';
+  time = t('{time} 秒', { time: time.toFixed(2) });
 
   if (response_time === 0) {
     color = 'default';
@@ -21,15 +21,15 @@ const ResponseTimeLabel = ({ test_time, response_time, handle_action }) => {
   }
   let title = (
     <>
-      点击测速
+      {t('点击测速')}
       <br />
-      {test_time != 0 ? '上次测速时间：' + timestamp2string(test_time) : '未测试'}
+      {test_time != 0 ? t('上次测速时间：{time}', { time: formatDateTime(test_time) }) : t('未测试')}
     </>
   );
 
   return (
     <Tooltip title={title} placement="top" onClick={handle_action}>
-      <Label color={color}> {response_time == 0 ? '未测试' : time} </Label>
+      <Label color={color}> {response_time == 0 ? t('未测试') : time} </Label>
     </Tooltip>
   );
 };
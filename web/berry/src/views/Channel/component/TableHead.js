@@ -1,22 +1,33 @@
-import { TableCell, TableHead, TableRow } from '@mui/material';
+import PropTypes from 'prop-types';
+import { Checkbox, TableCell, TableHead, TableRow } from '@mui/material';
+import { t } from 'one-api-common';
 
-const ChannelTableHead = () => {
+const ChannelTableHead = ({ checked, indeterminate, onSelectAll }) => {
   return (
     <TableHead>
       <TableRow>
+        <TableCell padding="checkbox">
+          <Checkbox checked={checked} indeterminate={indeterminate} onChange={onSelectAll} />
+        </TableCell>
         <TableCell>ID</TableCell>
-        <TableCell>名称</TableCell>
-        <TableCell>分组</TableCell>
-        <TableCell>类型</TableCell>
-        <TableCell>状态</TableCell>
-        <TableCell>响应时间</TableCell>
-        <TableCell>已消耗</TableCell>
-        <TableCell>余额</TableCell>
-        <TableCell>优先级</TableCell>
-        <TableCell>操作</TableCell>
+        <TableCell>{t('名称')}</TableCell>
+        <TableCell>{t('分组')}</TableCell>
+        <TableCell>{t('类型')}</TableCell>
+        <TableCell>{t('状态')}</TableCell>
+        <TableCell>{t('响应时间')}</TableCell>
+        <TableCell>{t('已消耗')}</TableCell>
+        <TableCell>{t('余额')}</TableCell>
+        <TableCell>{t('优先级')}</TableCell>
+        <TableCell>{t('操作')}</TableCell>
       </TableRow>
     </TableHead>
   );
 };
 
+ChannelTableHead.propTypes = {
+  checked: PropTypes.bool,
+  indeterminate: PropTypes.bool,
+  onSelectAll: PropTypes.func
+};
+
 export default ChannelTableHead;
@@ -19,6 +19,8 @@ import {
   DialogTitle,
   Tooltip,
   Button,
+  Collapse,
+  Checkbox,
 } from "@mui/material";
 
 import Label from "ui-component/Label";
@@ -27,17 +29,29 @@ import TableSwitch from "ui-component/Switch";
 import ResponseTimeLabel from "./ResponseTimeLabel";
 import GroupLabel from "./GroupLabel";
 import NameLabel from "./NameLabel";
+import HealthTimeline from "./HealthTimeline";
 
-import { IconDotsVertical, IconEdit, IconTrash } from "@tabler/icons-react";
+import {
+  IconActivityHeartbeat,
+  IconBrandSpeedtest,
+  IconDotsVertical,
+  IconEdit,
+  IconTrash,
+} from "@tabler/icons-react";
+import { t } from "one-api-common";
 
 export default function ChannelTableRow({
   item,
   manageChannel,
   handleOpenModal,
   setModalChannelId,
+  selected,
+  onSelect,
+  onTestModels,
 }) {
   const [open, setOpen] = useState(null);
   const [openDelete, setOpenDelete] = useState(false);
+  const [openHealth, setOpenHealth] = useState(false);
   const [statusSwitch, setStatusSwitch] = useState(item.status);
   const [priorityValve, setPriority] = useState(item.priority);
   const [responseTimeData, setResponseTimeData] = useState({
@@ -78,7 +92,7 @@ export default function ChannelTableRow({
     }
 
     if (currentValue < 0) {
-      showError("优先级不能小于 0");
+      showError(t('优先级不能小于 0'));
       return;
     }
 
@@ -93,7 +107,7 @@ export default function ChannelTableRow({
         test_time: Date.now() / 1000,
         response_time: time * 1000,
       });
-      showInfo(`渠道 ${item.name} 测试成功，耗时 ${time.toFixed(2)} 秒。`);
+      showInfo(t('渠道 {name} 测试成功，耗时 {time} 秒。', { name: item.name, time: time.toFixed(2) }));
     }
   };
 
@@ -103,7 +117,7 @@ export default function ChannelTableRow({
     if (success) {
       setItemBalance(balance);
 
-      showInfo(`余额更新成功！`);
+      showInfo(t('余额更新成功！'));
     } else {
       showError(message);
     }
@@ -116,7 +130,10 @@ export default function ChannelTableRow({
 
   return (
     <>
-      <TableRow tabIndex={item.id}>
+      <TableRow tabIndex={item.id} selected={selected}>
+        <TableCell padding="checkbox">
+          <Checkbox checked={selected} onChange={() => onSelect(item.id)} />
+        </TableCell>
         <TableCell>{item.id}</TableCell>
 
         <TableCell>
@@ -130,11 +147,11 @@ export default function ChannelTableRow({
         <TableCell>
           {!CHANNEL_OPTIONS[item.type] ? (
             <Label color="error" variant="outlined">
-              未知
+              {t('未知')}
             </Label>
           ) : (
             <Label color={CHANNEL_OPTIONS[item.type].color} variant="outlined">
-              {CHANNEL_OPTIONS[item.type].text}
+              {t(CHANNEL_OPTIONS[item.type].text)}
             </Label>
           )}
         </TableCell>
@@ -144,13 +161,13 @@ export default function ChannelTableRow({
             title={(() => {
               switch (statusSwitch) {
                 case 1:
-                  return "已启用";
+                  return t('已启用');
                 case 2:
-                  return "本渠道被手动禁用";
+                  return t('本渠道被手动禁用');
                 case 3:
-                  return "本渠道被程序自动禁用";
+                  return t('本渠道被程序自动禁用');
                 default:
-                  return "未知";
+                  return t('未知');
               }
             })()}
             placement="top"
@@ -173,7 +190,7 @@ export default function ChannelTableRow({
         <TableCell>{renderNumber(item.used_quota)}</TableCell>
         <TableCell>
           <Tooltip
-            title={"点击更新余额"}
+            title={t('点击更新余额')}
             placement="top"
             onClick={updateChannelBalance}
           >
@@ -185,7 +202,7 @@ export default function ChannelTableRow({
             id={`priority-${item.id}`}
             onBlur={handlePriority}
             type="number"
-            label="优先级"
+            label={t('优先级')}
             variant="standard"
             defaultValue={item.priority}
             inputProps={{ min: "0" }}
@@ -203,6 +220,19 @@ export default function ChannelTableRow({
         </TableCell>
       </TableRow>
 
+      {openHealth && (
+        <TableRow>
+          <TableCell colSpan={11} sx={{ backgroundColor: "background.default" }}>
+            <Collapse in={openHealth} unmountOnExit>
+              <HealthTimeline
+                channelId={item.id}
+                refreshKey={responseTimeData.test_time}
+              />
+            </Collapse>
+          </TableCell>
+        </TableRow>
+      )}
+
       <Popover
         open={!!open}
         anchorEl={open}
@@ -221,23 +251,41 @@ export default function ChannelTableRow({
           }}
         >
           <IconEdit style={{ marginRight: "16px" }} />
-          编辑
+          {t('编辑')}
+        </MenuItem>
+        <MenuItem
+          onClick={() => {
+            handleCloseMenu();
+            setOpenHealth(!openHealth);
+          }}
+        >
+          <IconActivityHeartbeat style={{ marginRight: "16px" }} />
+          {openHealth ? t('收起健康') : t('健康历史')}
+        </MenuItem>
+        <MenuItem
+          onClick={() => {
+            handleCloseMenu();
+            onTestModels(item);
+          }}
+        >
+          <IconBrandSpeedtest style={{ marginRight: "16px" }} />
+          {t('测试模型')}
         </MenuItem>
         <MenuItem onClick={handleDeleteOpen} sx={{ color: "error.main" }}>
           <IconTrash style={{ marginRight: "16px" }} />
-          删除
+          {t('删除')}
         </MenuItem>
       </Popover>
 
       <Dialog open={openDelete} onClose={handleDeleteClose}>
-        <DialogTitle>删除渠道</DialogTitle>
+        <DialogTitle>{t('删除渠道')}</DialogTitle>
         <DialogContent>
-          <DialogContentText>是否删除渠道 {item.name}？</DialogContentText>
+          <DialogContentText>{t('是否删除渠道 {name}？', { name: item.name })}</DialogContentText>
         </DialogContent>
         <DialogActions>
-          <Button onClick={handleDeleteClose}>关闭</Button>
+          <Button onClick={handleDeleteClose}>{t('关闭')}</Button>
           <Button onClick={handleDelete} sx={{ color: "error.main" }} autoFocus>
-            删除
+            {t('删除')}
           </Button>
         </DialogActions>
       </Dialog>
@@ -250,6 +298,9 @@ ChannelTableRow.propTypes = {
   manageChannel: PropTypes.func,
   handleOpenModal: PropTypes.func,
   setModalChannelId: PropTypes.func,
+  selected: PropTypes.bool,
+  onSelect: PropTypes.func,
+  onTestModels: PropTypes.func,
 };
 
 function renderBalance(type, balance) {
@@ -273,6 +324,6 @@ function renderBalance(type, balance) {
     case 44: // SiliconFlow
       return <span>¥{balance.toFixed(2)}</span>;
     default:
-      return <span>不支持</span>;
+      return <span>{t('不支持')}</span>;
   }
 }
@@ -20,6 +20,10 @@ import { API } from 'utils/api';
 import { ITEMS_PER_PAGE } from 'constants';
 import { IconRefresh, IconHttpDelete, IconPlus, IconBrandSpeedtest, IconCoinYuan } from '@tabler/icons-react';
 import EditeModal from './component/EditModal';
+import BulkActions from './component/BulkActions';
+import ChannelTransfer from './component/ChannelTransfer';
+import ModelTestMatrix from './component/ModelTestMatrix';
+import { t } from 'one-api-common';
 
 // ----------------------------------------------------------------------
 // CHANNEL_OPTIONS,
@@ -32,6 +36,10 @@ export default function ChannelPage() {
   const matchUpMd = useMediaQuery(theme.breakpoints.up('sm'));
   const [openModal, setOpenModal] = useState(false);
   const [editChannelId, setEditChannelId] = useState(0);
+  const [selectedIds, setSelectedIds] = useState([]);
+  // 批量操作后递增，让各行按最新数据重新初始化
+  const [rowVersion, setRowVersion] = useState(0);
+  const [matrixChannel, setMatrixChannel] = useState(null);
 
   const loadChannels = async (startIdx) => {
     setSearching(true);
@@ -113,7 +121,7 @@ export default function ChannelPage() {
     }
     const { success, message } = res.data;
     if (success) {
-      showSuccess('操作成功完成！');
+      showSuccess(t('操作成功完成！'));
       if (action === 'delete') {
         await handleRefresh();
       }
@@ -134,7 +142,7 @@ export default function ChannelPage() {
     const res = await API.get(`/api/channel/test`);
     const { success, message } = res.data;
     if (success) {
-      showInfo('已成功开始测试所有渠道，请刷新页面查看结果。');
+      showInfo(t('已成功开始测试所有渠道，请刷新页面查看结果。'));
     } else {
       showError(message);
     }
@@ -145,7 +153,7 @@ export default function ChannelPage() {
     const res = await API.delete(`/api/channel/disabled`);
     const { success, message, data } = res.data;
     if (success) {
-      showSuccess(`已删除所有禁用渠道，共计 ${data} 个`);
+      showSuccess(t('已删除所有禁用渠道，共计 {count} 个', { count: data }));
       await handleRefresh();
     } else {
       showError(message);
@@ -158,7 +166,7 @@ export default function ChannelPage() {
     const res = await API.get(`/api/channel/update_balance`);
     const { success, message } = res.data;
     if (success) {
-      showInfo('已更新完毕所有已启用渠道余额！');
+      showInfo(t('已更新完毕所有已启用渠道余额！'));
     } else {
       showError(message);
     }
@@ -182,6 +190,32 @@ export default function ChannelPage() {
     }
   };
 
+  const pageChannels = channels.slice(activePage * ITEMS_PER_PAGE, (activePage + 1) * ITEMS_PER_PAGE);
+  const pageSelectedCount = pageChannels.filter((channel) => selectedIds.includes(channel.id)).length;
+
+  const handleSelect = (id) => {
+    setSelectedIds(selectedIds.includes(id) ? selectedIds.filter((item) => item !== id) : [...selectedIds, id]);
+  };
+
+  const handleSelectPage = () => {
+    const pageIds = pageChannels.map((channel) => channel.id);
+    if (pageSelectedCount === pageChannels.length) {
+      setSelectedIds(selectedIds.filter((id) => !pageIds.includes(id)));
+    } else {
+      setSelectedIds([...new Set([...selectedIds, ...pageIds])]);
+    }
+  };
+
+  const handleRowsUpdated = async () => {
+    await handleRefresh();
+    setRowVersion(rowVersion + 1);
+  };
+
+  const handleBulkFinished = async () => {
+    setSelectedIds([]);
+    await handleRowsUpdated();
+  };
+
   useEffect(() => {
     loadChannels(0)
       .then()
@@ -194,14 +228,18 @@ export default function ChannelPage() {
   return (
     <>
       <Stack direction="row" alignItems="center" justifyContent="space-between" mb={2.5}>
-        <Typography variant="h4">渠道</Typography>
+        <Typography variant="h4">{t('渠道')}</Typography>
         <Button variant="contained" color="primary" startIcon={<IconPlus />} onClick={() => handleOpenModal(0)}>
-          新建渠道
+          {t('新建渠道')}
         </Button>
       </Stack>
       <Card>
         <Box component="form" onSubmit={searchChannels} noValidate sx={{ marginTop: 2 }}>
-          <TableToolBar filterName={searchKeyword} handleFilterName={handleSearchKeyword} placeholder={'搜索渠道的 ID，名称和密钥 ...'} />
+          <TableToolBar
+            filterName={searchKeyword}
+            handleFilterName={handleSearchKeyword}
+            placeholder={t('搜索渠道的 ID，名称和密钥 ...')}
+          />
         </Box>
         <Toolbar
           sx={{
@@ -214,20 +252,23 @@ export default function ChannelPage() {
         >
           <Container>
             {matchUpMd ? (
-              <ButtonGroup variant="outlined" aria-label="outlined small primary button group" sx={{ marginBottom: 2 }}>
-                <Button onClick={handleRefresh} startIcon={<IconRefresh width={'18px'} />}>
-                  刷新
-                </Button>
-                <Button onClick={testAllChannels} startIcon={<IconBrandSpeedtest width={'18px'} />}>
-                  测试启用渠道
-                </Button>
-                {/*<Button onClick={updateAllChannelsBalance} startIcon={<IconCoinYuan width={'18px'} />}>*/}
-                {/*  更新启用余额*/}
-                {/*</Button>*/}
-                <Button onClick={deleteAllDisabledChannels} startIcon={<IconHttpDelete width={'18px'} />}>
-                  删除禁用渠道
-                </Button>
-              </ButtonGroup>
+              <>
+                <ButtonGroup variant="outlined" aria-label="outlined small primary button group" sx={{ marginBottom: 2 }}>
+                  <Button onClick={handleRefresh} startIcon={<IconRefresh width={'18px'} />}>
+                    {t('刷新')}
+                  </Button>
+                  <Button onClick={testAllChannels} startIcon={<IconBrandSpeedtest width={'18px'} />}>
+                    {t('测试启用渠道')}
+                  </Button>
+                  {/*<Button onClick={updateAllChannelsBalance} startIcon={<IconCoinYuan width={'18px'} />}>*/}
+                  {/*  更新启用余额*/}
+                  {/*</Button>*/}
+                  <Button onClick={deleteAllDisabledChannels} startIcon={<IconHttpDelete width={'18px'} />}>
+                    {t('删除禁用渠道')}
+                  </Button>
+                </ButtonGroup>
+                <ChannelTransfer selectedIds={selectedIds} onImported={handleRefresh} />
+              </>
             ) : (
               <Stack
                 direction="row"
@@ -248,23 +289,38 @@ export default function ChannelPage() {
                 <IconButton onClick={deleteAllDisabledChannels} size="large">
                   <IconHttpDelete />
                 </IconButton>
+                <ChannelTransfer selectedIds={selectedIds} onImported={handleRefresh} />
               </Stack>
             )}
           </Container>
         </Toolbar>
+        {selectedIds.length > 0 && (
+          <BulkActions
+            channels={channels.filter((channel) => selectedIds.includes(channel.id))}
+            onClear={() => setSelectedIds([])}
+            onFinished={handleBulkFinished}
+          />
+        )}
         {searching && <LinearProgress />}
         <PerfectScrollbar component="div">
           <TableContainer sx={{ overflow: 'unset' }}>
             <Table sx={{ minWidth: 800 }}>
-              <ChannelTableHead />
+              <ChannelTableHead
+                checked={pageChannels.length > 0 && pageSelectedCount === pageChannels.length}
+                indeterminate={pageSelectedCount > 0 && pageSelectedCount < pageChannels.length}
+                onSelectAll={handleSelectPage}
+              />
               <TableBody>
-                {channels.slice(activePage * ITEMS_PER_PAGE, (activePage + 1) * ITEMS_PER_PAGE).map((row) => (
+                {pageChannels.map((row) => (
                   <ChannelTableRow
                     item={row}
                     manageChannel={manageChannel}
-                    key={row.id}
+                    key={`${row.id}-${rowVersion}`}
                     handleOpenModal={handleOpenModal}
                     setModalChannelId={setEditChannelId}
+                    selected={selectedIds.includes(row.id)}
+                    onSelect={handleSelect}
+                    onTestModels={setMatrixChannel}
                   />
                 ))}
               </TableBody>
@@ -281,6 +337,7 @@ export default function ChannelPage() {
         />
       </Card>
       <EditeModal open={openModal} onCancel={handleCloseModal} onOk={handleOkModal} channelId={editChannelId} />
+      <ModelTestMatrix channel={matrixChannel} onClose={() => setMatrixChannel(null)} onUpdated={handleRowsUpdated} />
     </>
   );
 }
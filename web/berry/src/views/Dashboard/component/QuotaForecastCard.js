@@ -0,0 +1,55 @@
+import { useEffect, useState } from 'react';
+import { Grid, Typography } from '@mui/material';
+import { describeQuotaForecast, formatDateTime, isCanceled, t } from 'one-api-common';
+import SubCard from 'ui-component/cards/SubCard';
+import { api } from 'utils/api';
+import { renderQuota, showError } from 'utils/common';
+
+// 按最近的消耗速度预测额度用尽的时间
+const QuotaForecastCard = () => {
+  const [forecast, setForecast] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api.user
+      .quotaForecast({ signal: controller.signal })
+      .then(({ success, message, data }) => {
+        if (success) {
+          setForecast(data);
+        } else {
+          showError(message);
+        }
+      })
+      .catch((error) => {
+        if (!isCanceled(error)) showError(error);
+      });
+    return () => controller.abort();
+  }, []);
+
+  if (!forecast) return null;
+
+  const items = [
+    [t('当前余额'), renderQuota(forecast.quota)],
+    [t('日均消耗'), renderQuota(forecast.daily_average)],
+    [t('今日消耗'), renderQuota(forecast.today_used)],
+    [t('预计用尽'), forecast.depletion_at ? formatDateTime(forecast.depletion_at) : '—']
+  ];
+
+  return (
+    <SubCard title={t('额度预测')}>
+      <Grid container spacing={2}>
+        {items.map(([label, value]) => (
+          <Grid item xs={6} md={3} key={label}>
+            <Typography variant="subtitle2">{label}</Typography>
+            <Typography variant="h4">{value}</Typography>
+          </Grid>
+        ))}
+        <Grid item xs={12}>
+          <Typography variant="body2">{describeQuotaForecast(forecast)}</Typography>
+        </Grid>
+      </Grid>
+    </SubCard>
+  );
+};
+
+export default QuotaForecastCard;
@@ -11,6 +11,7 @@ import SkeletonTotalGrowthBarChart from 'ui-component/cards/Skeleton/TotalGrowth
 import MainCard from 'ui-component/cards/MainCard';
 import { gridSpacing } from 'store/constant';
 import { Box } from '@mui/material';
+import { t } from 'one-api-common';
 
 // ==============================|| DASHBOARD DEFAULT - TOTAL GROWTH BAR CHART ||============================== //
 
@@ -28,7 +29,7 @@ const StatisticalBarChart = ({ isLoading, chartDatas }) => {
             <Grid item xs={12}>
               <Grid container alignItems="center" justifyContent="space-between">
                 <Grid item>
-                  <Typography variant="h3">统计</Typography>
+                  <Typography variant="h3">{t('统计')}</Typography>
                 </Grid>
               </Grid>
             </Grid>
@@ -45,7 +46,7 @@ const StatisticalBarChart = ({ isLoading, chartDatas }) => {
                   }}
                 >
                   <Typography variant="h3" color={'#697586'}>
-                    暂无数据
+                    {t('暂无数据')}
                   </Typography>
                 </Box>
               )}
@@ -10,6 +10,7 @@ import Chart from 'react-apexcharts';
 // project imports
 import MainCard from 'ui-component/cards/MainCard';
 import SkeletonTotalOrderCard from 'ui-component/cards/Skeleton/EarningCard';
+import { t } from 'one-api-common';
 
 const CardWrapper = styled(MainCard)(({ theme }) => ({
   ...theme.typography.CardWrapper,
@@ -100,7 +101,7 @@ const StatisticalLineChartCard = ({ isLoading, title, chartData, todayValue }) =
                           color: theme.palette.primary[200]
                         }}
                       >
-                        无数据
+                        {t('无数据')}
                       </Typography>
                     )}
                   </Grid>
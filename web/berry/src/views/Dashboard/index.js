@@ -7,6 +7,8 @@ import { generateChartOptions, getLastSevenDays } from 'utils/chart';
 import { API } from 'utils/api';
 import { showError, calculateQuota, renderNumber } from 'utils/common';
 import UserCard from 'ui-component/cards/UserCard';
+import QuotaForecastCard from './component/QuotaForecastCard';
+import { t } from 'one-api-common';
 
 const Dashboard = () => {
   const [isLoading, setLoading] = useState(true);
@@ -55,7 +57,7 @@ const Dashboard = () => {
           <Grid item lg={4} xs={12}>
             <StatisticalLineChartCard
               isLoading={isLoading}
-              title="今日请求量"
+              title={t('今日请求量')}
               chartData={requestChart?.chartData}
               todayValue={requestChart?.todayValue}
             />
@@ -63,7 +65,7 @@ const Dashboard = () => {
           <Grid item lg={4} xs={12}>
             <StatisticalLineChartCard
               isLoading={isLoading}
-              title="今日消费"
+              title={t('今日消费')}
               chartData={quotaChart?.chartData}
               todayValue={quotaChart?.todayValue}
             />
@@ -71,7 +73,7 @@ const Dashboard = () => {
           <Grid item lg={4} xs={12}>
             <StatisticalLineChartCard
               isLoading={isLoading}
-              title="今日 token"
+              title={t('今日 token')}
               chartData={tokenChart?.chartData}
               todayValue={tokenChart?.todayValue}
             />
@@ -87,28 +89,31 @@ const Dashboard = () => {
             <UserCard>
               <Grid container spacing={gridSpacing} justifyContent="center" alignItems="center" paddingTop={'20px'}>
                 <Grid item xs={4}>
-                  <Typography variant="h4">余额：</Typography>
+                  <Typography variant="h4">{t('余额：')}</Typography>
                 </Grid>
                 <Grid item xs={8}>
-                  <Typography variant="h3"> {users?.quota ? '$' + calculateQuota(users.quota) : '未知'}</Typography>
+                  <Typography variant="h3"> {users?.quota ? '$' + calculateQuota(users.quota) : t('未知')}</Typography>
                 </Grid>
                 <Grid item xs={4}>
-                  <Typography variant="h4">已使用：</Typography>
+                  <Typography variant="h4">{t('已使用：')}</Typography>
                 </Grid>
                 <Grid item xs={8}>
-                  <Typography variant="h3"> {users?.used_quota ? '$' + calculateQuota(users.used_quota) : '未知'}</Typography>
+                  <Typography variant="h3"> {users?.used_quota ? '$' + calculateQuota(users.used_quota) : t('未知')}</Typography>
                 </Grid>
                 <Grid item xs={4}>
-                  <Typography variant="h4">调用次数：</Typography>
+                  <Typography variant="h4">{t('调用次数：')}</Typography>
                 </Grid>
                 <Grid item xs={8}>
-                  <Typography variant="h3"> {users?.request_count || '未知'}</Typography>
+                  <Typography variant="h3"> {users?.request_count || t('未知')}</Typography>
                 </Grid>
               </Grid>
             </UserCard>
           </Grid>
         </Grid>
       </Grid>
+      <Grid item xs={12}>
+        <QuotaForecastCard />
+      </Grid>
     </Grid>
   );
 };
@@ -201,11 +206,11 @@ function getLineCardOption(lineDataGroup, field) {
 
   switch (field) {
     case 'RequestCount':
-      chartData = generateChartOptions(lineData, '次');
+      chartData = generateChartOptions(lineData, t('次'));
       todayValue = renderNumber(todayValue);
       break;
     case 'Quota':
-      chartData = generateChartOptions(lineData, '美元');
+      chartData = generateChartOptions(lineData, t('美元'));
       todayValue = '$' + renderNumber(todayValue);
       break;
     case 'PromptTokens':
@@ -3,6 +3,7 @@ import Button from '@mui/material/Button';
 import Container from '@mui/material/Container';
 import NotFound from 'assets/images/404.svg';
 import { useNavigate } from 'react-router';
+import { t } from 'one-api-common';
 
 // ----------------------------------------------------------------------
 
@@ -38,7 +39,7 @@ export default function NotFoundView() {
           />
 
           <Button size="large" variant="contained" onClick={goBack}>
-            返回
+            {t('返回')}
           </Button>
         </Box>
       </Container>
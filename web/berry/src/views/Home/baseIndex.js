@@ -1,6 +1,7 @@
 import { Box, Typography, Button, Container, Stack } from '@mui/material';
 import Grid from '@mui/material/Unstable_Grid2';
 import { GitHub } from '@mui/icons-material';
+import { t } from 'one-api-common';
 
 const BaseIndex = () => (
   <Box
@@ -19,9 +20,9 @@ const BaseIndex = () => (
               One API
             </Typography>
             <Typography variant="h4" sx={{ fontSize: '1.5rem', color: '#fff', lineHeight: 1.5 }}>
-              All in one 的 OpenAI 接口 <br />
-              整合各种 API 访问方式 <br />
-              一键部署，开箱即用
+              {t('All in one 的 OpenAI 接口')} <br />
+              {t('整合各种 API 访问方式')} <br />
+              {t('一键部署，开箱即用')}
             </Typography>
             <Button
               variant="contained"
@@ -4,6 +4,7 @@ import { API } from 'utils/api';
 import { marked } from 'marked';
 import BaseIndex from './baseIndex';
 import { Box, Container } from '@mui/material';
+import { t } from 'one-api-common';
 
 const Home = () => {
   const [homePageContentLoaded, setHomePageContentLoaded] = useState(false);
@@ -36,7 +37,7 @@ const Home = () => {
       localStorage.setItem('home_page_content', content);
     } else {
       showError(message);
-      setHomePageContent('加载首页内容失败...');
+      setHomePageContent(t('加载首页内容失败...'));
     }
     setHomePageContentLoaded(true);
   };
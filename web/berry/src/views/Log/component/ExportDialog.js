@@ -0,0 +1,95 @@
+import PropTypes from 'prop-types';
+import { useRef, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  LinearProgress,
+  Radio,
+  RadioGroup,
+  Typography
+} from '@mui/material';
+import { downloadFile, exportLogs, isCanceled, LogExportFormat, t } from 'one-api-common';
+import { API } from 'utils/api';
+import { showError, showSuccess } from 'utils/common';
+
+// 按日志表当前的筛选条件导出全部日志，额度同时换算为金额
+const ExportDialog = ({ open, onClose, filters, self }) => {
+  const [format, setFormat] = useState(LogExportFormat.Csv);
+  const [exporting, setExporting] = useState(false);
+  const [progress, setProgress] = useState({ received: 0, total: 0 });
+  const controllerRef = useRef(null);
+
+  const start = async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setExporting(true);
+    setProgress({ received: 0, total: 0 });
+    try {
+      const { blob, filename, received } = await exportLogs({
+        baseURL: API.defaults.baseURL,
+        self,
+        filters,
+        format,
+        signal: controller.signal,
+        onProgress: (received, total) => setProgress({ received, total })
+      });
+      downloadFile(blob, filename);
+      showSuccess(t('已导出 {count} 条日志', { count: received }));
+      onClose();
+    } catch (error) {
+      if (!isCanceled(error)) showError(error);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const close = () => {
+    if (controllerRef.current) controllerRef.current.abort();
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={exporting ? undefined : close} maxWidth="sm" fullWidth>
+      <DialogTitle>{t('导出日志')}</DialogTitle>
+      <DialogContent>
+        <Alert severity="info">{t('将按当前的筛选条件导出全部匹配的日志，额度会同时换算为美元金额。')}</Alert>
+        <RadioGroup row value={format} onChange={(event) => setFormat(event.target.value)} sx={{ mt: 2 }}>
+          <FormControlLabel value={LogExportFormat.Csv} control={<Radio />} label="CSV" disabled={exporting} />
+          <FormControlLabel value={LogExportFormat.Xlsx} control={<Radio />} label="Excel (XLSX)" disabled={exporting} />
+        </RadioGroup>
+        {exporting && (
+          <Box sx={{ mt: 2 }}>
+            <LinearProgress
+              variant={progress.total ? 'determinate' : 'indeterminate'}
+              value={progress.total ? (progress.received / progress.total) * 100 : 0}
+            />
+            <Typography variant="caption">
+              {t('已接收 {received} / {total} 条', { received: progress.received, total: progress.total })}
+            </Typography>
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={close}>{exporting ? t('取消') : t('关闭')}</Button>
+        <Button variant="contained" onClick={start} disabled={exporting}>
+          {t('开始导出')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+ExportDialog.propTypes = {
+  open: PropTypes.bool,
+  onClose: PropTypes.func,
+  filters: PropTypes.object,
+  self: PropTypes.bool
+};
+
+export default ExportDialog;
@@ -1,20 +1,21 @@
 import PropTypes from 'prop-types';
 import { TableCell, TableHead, TableRow } from '@mui/material';
+import { t } from 'one-api-common';
 
 const LogTableHead = ({ userIsAdmin }) => {
   return (
     <TableHead>
       <TableRow>
-        <TableCell>时间</TableCell>
-        {userIsAdmin && <TableCell>渠道</TableCell>}
-        {userIsAdmin && <TableCell>用户</TableCell>}
-        <TableCell>令牌</TableCell>
-        <TableCell>类型</TableCell>
-        <TableCell>模型</TableCell>
-        <TableCell>提示</TableCell>
-        <TableCell>补全</TableCell>
-        <TableCell>额度</TableCell>
-        <TableCell>详情</TableCell>
+        <TableCell>{t('时间')}</TableCell>
+        {userIsAdmin && <TableCell>{t('渠道')}</TableCell>}
+        {userIsAdmin && <TableCell>{t('用户')}</TableCell>}
+        <TableCell>{t('令牌')}</TableCell>
+        <TableCell>{t('类型')}</TableCell>
+        <TableCell>{t('模型')}</TableCell>
+        <TableCell>{t('提示')}</TableCell>
+        <TableCell>{t('补全')}</TableCell>
+        <TableCell>{t('额度')}</TableCell>
+        <TableCell>{t('详情')}</TableCell>
       </TableRow>
     </TableHead>
   );
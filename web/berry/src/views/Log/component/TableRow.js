@@ -2,7 +2,8 @@ import PropTypes from 'prop-types';
 
 import { TableRow, TableCell } from '@mui/material';
 
-import { timestamp2string, renderQuota } from 'utils/common';
+import { renderQuota } from 'utils/common';
+import { formatDateTime, t } from 'one-api-common';
 import Label from 'ui-component/Label';
 import LogType from '../type/LogType';
 
@@ -12,14 +13,14 @@ function renderType(type) {
     return (
       <Label variant="filled" color={typeOption.color}>
         {' '}
-        {typeOption.text}{' '}
+        {t(typeOption.text)}{' '}
       </Label>
     );
   } else {
     return (
       <Label variant="filled" color="error">
         {' '}
-        未知{' '}
+        {t('未知')}{' '}
       </Label>
     );
   }
@@ -29,7 +30,7 @@ export default function LogTableRow({ item, userIsAdmin }) {
   return (
     <>
       <TableRow tabIndex={item.id}>
-        <TableCell>{timestamp2string(item.created_at)}</TableCell>
+        <TableCell>{formatDateTime(item.created_at)}</TableCell>
 
         {userIsAdmin && <TableCell>{item.channel || ''}</TableCell>}
         {userIsAdmin && (
@@ -49,7 +50,7 @@ export default function LogTableRow({ item, userIsAdmin }) {
         <TableCell>{renderType(item.type)}</TableCell>
         <TableCell>
           {item.model_name && (
-            <Label color="primary" variant="outlined">
+            <Label color="primary" variant="outlined" translate="no">
               {item.model_name}
             </Label>
           )}
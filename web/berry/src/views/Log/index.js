@@ -14,10 +14,12 @@ import { Button, Card, Stack, Container, Typography, Box } from '@mui/material';
 import LogTableRow from './component/TableRow';
 import LogTableHead from './component/TableHead';
 import TableToolBar from './component/TableToolBar';
+import ExportDialog from './component/ExportDialog';
 import { API } from 'utils/api';
 import { isAdmin } from 'utils/common';
 import { ITEMS_PER_PAGE } from 'constants';
-import { IconRefresh, IconSearch } from '@tabler/icons-react';
+import { IconDownload, IconRefresh, IconSearch } from '@tabler/icons-react';
+import { t } from 'one-api-common';
 
 export default function Log() {
   const originalKeyword = {
@@ -35,6 +37,7 @@ export default function Log() {
   const [searching, setSearching] = useState(false);
   const [searchKeyword, setSearchKeyword] = useState(originalKeyword);
   const [initPage, setInitPage] = useState(true);
+  const [exportOpen, setExportOpen] = useState(false);
   const userIsAdmin = isAdmin();
 
   const loadLogs = async (startIdx) => {
@@ -103,7 +106,7 @@ export default function Log() {
   return (
     <>
       <Stack direction="row" alignItems="center" justifyContent="space-between" mb={2.5}>
-        <Typography variant="h4">日志</Typography>
+        <Typography variant="h4">{t('日志')}</Typography>
       </Stack>
       <Card>
         <Box component="form" onSubmit={searchLogs} noValidate sx={{marginTop: 2}}>
@@ -121,11 +124,15 @@ export default function Log() {
           <Container>
             <ButtonGroup variant="outlined" aria-label="outlined small primary button group" sx={{marginBottom: 2}}>
               <Button onClick={handleRefresh} startIcon={<IconRefresh width={'18px'} />}>
-                刷新/清除搜索条件
+                {t('刷新/清除搜索条件')}
               </Button>
 
               <Button onClick={searchLogs} startIcon={<IconSearch width={'18px'} />}>
-                搜索
+                {t('搜索')}
+              </Button>
+
+              <Button onClick={() => setExportOpen(true)} startIcon={<IconDownload width={'18px'} />}>
+                {t('导出')}
               </Button>
             </ButtonGroup>
           </Container>
@@ -152,6 +159,12 @@ export default function Log() {
           rowsPerPageOptions={[ITEMS_PER_PAGE]}
         />
       </Card>
+      <ExportDialog
+        open={exportOpen}
+        onClose={() => setExportOpen(false)}
+        self={!userIsAdmin}
+        filters={{ ...searchKeyword, p: undefined }}
+      />
     </>
   );
 }
@@ -0,0 +1,293 @@
+import PropTypes from 'prop-types';
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  Box,
+  Button,
+  ButtonGroup,
+  Grid,
+  IconButton,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import { DatePicker, LocalizationProvider } from '@mui/x-date-pickers';
+import { AdapterDayjs } from '@mui/x-date-pickers/AdapterDayjs';
+import { IconRefresh } from '@tabler/icons-react';
+import dayjs from 'dayjs';
+import Chart from 'react-apexcharts';
+import { dailySeries, formatNumber, isCanceled, t } from 'one-api-common';
+import MainCard from 'ui-component/cards/MainCard';
+import { gridSpacing } from 'store/constant';
+import { api } from 'utils/api';
+import { calculateQuota, renderNumber, renderQuota, showError } from 'utils/common';
+require('dayjs/locale/zh-cn');
+
+const PRESET_DAYS = [7, 30, 90];
+
+const LATENCY_LABELS = ['≤ 1s', '1 - 3s', '3 - 5s', '5 - 10s', '> 10s'];
+
+function presetRange(days) {
+  return {
+    start: dayjs()
+      .subtract(days - 1, 'day')
+      .startOf('day'),
+    end: dayjs().endOf('day')
+  };
+}
+
+function formatRatio(value) {
+  return formatNumber(value, { style: 'percent', maximumFractionDigits: 1 });
+}
+
+const StatCard = ({ title, value }) => (
+  <MainCard>
+    <Typography variant="subtitle2" color="textSecondary">
+      {title}
+    </Typography>
+    <Typography variant="h3" sx={{ mt: 1 }}>
+      {value}
+    </Typography>
+  </MainCard>
+);
+
+StatCard.propTypes = {
+  title: PropTypes.string,
+  value: PropTypes.node
+};
+
+const EmptyChart = () => (
+  <Box sx={{ minHeight: 300, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+    <Typography variant="h4" color={'#697586'}>
+      {t('暂无数据')}
+    </Typography>
+  </Box>
+);
+
+// 管理员的系统概览：全站的请求量、消耗、活跃用户与令牌，以及渠道的状态、测试错误率和响应时间分布
+const Overview = () => {
+  const [range, setRange] = useState(() => presetRange(7));
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const load = useCallback(
+    async (signal) => {
+      setLoading(true);
+      try {
+        const { success, message, data } = await api.user.overview(
+          {
+            start_timestamp: range.start.unix(),
+            end_timestamp: range.end.unix(),
+            timezone_offset: -range.start.toDate().getTimezoneOffset() * 60
+          },
+          { signal }
+        );
+        if (success) {
+          setData(data);
+        } else {
+          showError(message);
+        }
+      } catch (error) {
+        if (!isCanceled(error)) showError(error);
+      } finally {
+        if (!signal.aborted) setLoading(false);
+      }
+    },
+    [range]
+  );
+
+  useEffect(() => {
+    const controller = new AbortController();
+    load(controller.signal);
+    return () => controller.abort();
+  }, [load, reloadKey]);
+
+  const series = useMemo(() => (data ? dailySeries(data) : null), [data]);
+
+  const totals = useMemo(() => {
+    if (!series) return { quota: 0, count: 0, tokens: 0 };
+    return series.totals.reduce(
+      (sum, day) => ({ quota: sum.quota + day.quota, count: sum.count + day.count, tokens: sum.tokens + day.tokens }),
+      { quota: 0, count: 0, tokens: 0 }
+    );
+  }, [series]);
+
+  const trendChart = series && {
+    type: 'line',
+    height: 320,
+    series: [
+      { name: t('请求次数'), data: series.totals.map((day) => day.count) },
+      { name: t('消耗'), data: series.totals.map((day) => calculateQuota(day.quota, 3)) }
+    ],
+    options: {
+      chart: { id: 'overview-trend', toolbar: { show: false } },
+      stroke: { curve: 'smooth', width: 3 },
+      xaxis: { categories: series.days },
+      yaxis: [{ title: { text: t('请求次数') } }, { opposite: true, title: { text: t('消耗') } }],
+      legend: { position: 'bottom' }
+    }
+  };
+
+  const modelChart = series &&
+    series.byKey.length > 0 && {
+      type: 'bar',
+      height: 320,
+      series: series.byKey.map((item) => ({ name: item.name, data: item.quota.map((quota) => calculateQuota(quota, 3)) })),
+      options: {
+        chart: { id: 'overview-models', stacked: true, toolbar: { show: false } },
+        plotOptions: { bar: { columnWidth: '50%' } },
+        dataLabels: { enabled: false },
+        xaxis: { categories: series.days },
+        legend: { position: 'bottom' }
+      }
+    };
+
+  const latencyChart = data &&
+    data.latency.some((bucket) => bucket.count > 0) && {
+      type: 'bar',
+      height: 280,
+      series: [{ name: t('测试次数'), data: data.latency.map((bucket) => bucket.count) }],
+      options: {
+        chart: { id: 'overview-latency', toolbar: { show: false } },
+        colors: ['#00E396', '#008FFB', '#FEB019', '#FF9800', '#FF4560'],
+        plotOptions: { bar: { distributed: true, columnWidth: '50%' } },
+        dataLabels: { enabled: false },
+        xaxis: { categories: LATENCY_LABELS },
+        legend: { show: false }
+      }
+    };
+
+  const channels = data ? data.channels : { enabled: 0, manually_disabled: 0, auto_disabled: 0 };
+  const tests = data ? data.channel_tests : { tests: 0, failures: 0 };
+
+  return (
+    <Grid container spacing={gridSpacing}>
+      <Grid item xs={12}>
+        <MainCard>
+          <Stack direction={{ xs: 'column', md: 'row' }} spacing={2} alignItems={{ xs: 'stretch', md: 'center' }}>
+            <LocalizationProvider dateAdapter={AdapterDayjs} adapterLocale={'zh-cn'}>
+              <DatePicker
+                label={t('起始时间')}
+                value={range.start}
+                maxDate={range.end}
+                onChange={(value) => value && setRange((range) => ({ ...range, start: value.startOf('day') }))}
+              />
+              <DatePicker
+                label={t('结束时间')}
+                value={range.end}
+                minDate={range.start}
+                onChange={(value) => value && setRange((range) => ({ ...range, end: value.endOf('day') }))}
+              />
+            </LocalizationProvider>
+            <ButtonGroup variant="outlined">
+              {PRESET_DAYS.map((days) => (
+                <Button key={days} onClick={() => setRange(presetRange(days))}>
+                  {t('近 {days} 天', { days })}
+                </Button>
+              ))}
+            </ButtonGroup>
+            <Tooltip title={t('刷新')}>
+              <span>
+                <IconButton onClick={() => setReloadKey((key) => key + 1)} disabled={loading}>
+                  <IconRefresh />
+                </IconButton>
+              </span>
+            </Tooltip>
+          </Stack>
+        </MainCard>
+      </Grid>
+      <Grid item xs={12}>
+        <Grid container spacing={gridSpacing}>
+          <Grid item lg xs={6}>
+            <StatCard title={t('请求次数')} value={renderNumber(totals.count)} />
+          </Grid>
+          <Grid item lg xs={6}>
+            <StatCard title={t('消耗')} value={renderQuota(totals.quota, 2)} />
+          </Grid>
+          <Grid item lg xs={6}>
+            <StatCard title="Tokens" value={renderNumber(totals.tokens)} />
+          </Grid>
+          <Grid item lg xs={6}>
+            <StatCard title={t('活跃用户')} value={renderNumber(data ? data.active_users : 0)} />
+          </Grid>
+          <Grid item lg xs={12}>
+            <StatCard title={t('活跃令牌')} value={renderNumber(data ? data.active_tokens : 0)} />
+          </Grid>
+        </Grid>
+      </Grid>
+      <Grid item lg={6} xs={12}>
+        <MainCard title={t('每日趋势')}>{trendChart ? <Chart {...trendChart} /> : <EmptyChart />}</MainCard>
+      </Grid>
+      <Grid item lg={6} xs={12}>
+        <MainCard title={t('各模型消耗')}>{modelChart ? <Chart {...modelChart} /> : <EmptyChart />}</MainCard>
+      </Grid>
+      <Grid item lg={6} xs={12}>
+        <MainCard title={t('渠道')}>
+          <Grid container spacing={2}>
+            <Grid item xs={3}>
+              <Typography variant="subtitle2">{t('已启用')}</Typography>
+              <Typography variant="h3">{renderNumber(channels.enabled)}</Typography>
+            </Grid>
+            <Grid item xs={3}>
+              <Typography variant="subtitle2">{t('已禁用')}</Typography>
+              <Typography variant="h3">{renderNumber(channels.manually_disabled)}</Typography>
+            </Grid>
+            <Grid item xs={3}>
+              <Typography variant="subtitle2">{t('自动禁用')}</Typography>
+              <Typography variant="h3">{renderNumber(channels.auto_disabled)}</Typography>
+            </Grid>
+            <Grid item xs={3}>
+              <Typography variant="subtitle2">{t('测试错误率')}</Typography>
+              <Typography variant="h3">{tests.tests ? formatRatio(tests.failures / tests.tests) : '—'}</Typography>
+            </Grid>
+          </Grid>
+          <TableContainer sx={{ mt: 2 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>{t('渠道')}</TableCell>
+                  <TableCell align="right">{t('测试次数')}</TableCell>
+                  <TableCell align="right">{t('失败次数')}</TableCell>
+                  <TableCell align="right">{t('错误率')}</TableCell>
+                  <TableCell align="right">{t('平均响应时间')}</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {data && data.channel_error_rates.length > 0 ? (
+                  data.channel_error_rates.map((rate) => (
+                    <TableRow key={rate.channel_id}>
+                      <TableCell>{rate.name ? `#${rate.channel_id} ${rate.name}` : `#${rate.channel_id}`}</TableCell>
+                      <TableCell align="right">{renderNumber(rate.tests)}</TableCell>
+                      <TableCell align="right">{renderNumber(rate.failures)}</TableCell>
+                      <TableCell align="right">{formatRatio(rate.error_rate)}</TableCell>
+                      <TableCell align="right">
+                        {rate.avg_response_time ? `${(rate.avg_response_time / 1000).toFixed(2)} s` : '—'}
+                      </TableCell>
+                    </TableRow>
+                  ))
+                ) : (
+                  <TableRow>
+                    <TableCell colSpan={5} align="center">
+                      {t('暂无数据')}
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </MainCard>
+      </Grid>
+      <Grid item lg={6} xs={12}>
+        <MainCard title={t('渠道测试响应时间分布')}>{latencyChart ? <Chart {...latencyChart} /> : <EmptyChart />}</MainCard>
+      </Grid>
+    </Grid>
+  );
+};
+
+export default Overview;
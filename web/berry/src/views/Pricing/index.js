@@ -0,0 +1,195 @@
+import { useEffect, useState } from 'react';
+import {
+  Alert,
+  Autocomplete,
+  Box,
+  Container,
+  Grid,
+  InputAdornment,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography
+} from '@mui/material';
+import { IconSearch } from '@tabler/icons-react';
+import { formatPrice, indexPricing, isCanceled, PricingUnit, pricingRows, quotaForUsage, quotaToCurrency, t } from 'one-api-common';
+import MainCard from 'ui-component/cards/MainCard';
+import { api } from 'utils/api';
+import { renderNumber, showError } from 'utils/common';
+
+const UNIT_LABELS = {
+  [PricingUnit.Thousand]: '1K',
+  [PricingUnit.Million]: '1M'
+};
+
+const Pricing = () => {
+  const [pricing, setPricing] = useState(null);
+  const [unit, setUnit] = useState(PricingUnit.Thousand);
+  const [keyword, setKeyword] = useState('');
+  const [model, setModel] = useState(null);
+  const [promptTokens, setPromptTokens] = useState(1000);
+  const [completionTokens, setCompletionTokens] = useState(1000);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api.status
+      .pricing({ signal: controller.signal })
+      .then(({ success, message, data }) => {
+        if (success) {
+          setPricing(data);
+          if (data.models.length > 0) setModel(data.models[0].model);
+        } else {
+          showError(message);
+        }
+      })
+      .catch((error) => {
+        if (!isCanceled(error)) setPricing(null);
+      });
+    return () => controller.abort();
+  }, []);
+
+  const rows = pricingRows(pricing, unit).filter((row) => row.model.toLowerCase().includes(keyword.trim().toLowerCase()));
+  const quota =
+    pricing && model
+      ? quotaForUsage(indexPricing(pricing), model, {
+          prompt_tokens: Number(promptTokens) || 0,
+          completion_tokens: Number(completionTokens) || 0
+        })
+      : null;
+
+  return (
+    <Box>
+      <Container sx={{ paddingTop: '40px', paddingBottom: '40px' }}>
+        <Stack spacing={3}>
+          <MainCard title={t('模型价格')}>
+            {pricing && (
+              <Alert severity="info" sx={{ mb: 2 }}>
+                {t('当前分组 {group}，分组倍率 {ratio}。以下价格已计入分组倍率，实际扣除的额度以日志为准。', {
+                  group: pricing.group,
+                  ratio: pricing.group_ratio
+                })}
+              </Alert>
+            )}
+            <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 2 }}>
+              <TextField
+                size="small"
+                placeholder={t('搜索模型')}
+                value={keyword}
+                onChange={(event) => setKeyword(event.target.value)}
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <IconSearch width={16} />
+                    </InputAdornment>
+                  )
+                }}
+              />
+              <ToggleButtonGroup size="small" exclusive value={unit} onChange={(event, value) => value && setUnit(value)}>
+                {Object.values(PricingUnit).map((value) => (
+                  <ToggleButton key={value} value={value}>
+                    {t('每 {unit} tokens', { unit: UNIT_LABELS[value] })}
+                  </ToggleButton>
+                ))}
+              </ToggleButtonGroup>
+            </Stack>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>{t('模型')}</TableCell>
+                    <TableCell>{t('模型倍率')}</TableCell>
+                    <TableCell>{t('补全倍率')}</TableCell>
+                    <TableCell>{t('输入价格 / {unit} tokens', { unit: UNIT_LABELS[unit] })}</TableCell>
+                    <TableCell>{t('输出价格 / {unit} tokens', { unit: UNIT_LABELS[unit] })}</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {rows.map((row) => (
+                    <TableRow
+                      hover
+                      key={row.model}
+                      selected={row.model === model}
+                      sx={{ cursor: 'pointer' }}
+                      onClick={() => setModel(row.model)}
+                    >
+                      <TableCell>
+                        {row.model}
+                        {row.varies && (
+                          <Typography variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                            {t('因渠道而异，显示最高价格')}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>{row.model_ratio === null ? '-' : row.model_ratio}</TableCell>
+                      <TableCell>{row.completion_ratio}</TableCell>
+                      <TableCell>{formatPrice(row.input)}</TableCell>
+                      <TableCell>{formatPrice(row.output)}</TableCell>
+                    </TableRow>
+                  ))}
+                  {pricing && rows.length === 0 && (
+                    <TableRow>
+                      <TableCell colSpan={5} align="center">
+                        {t('没有可用的模型')}
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </MainCard>
+          <MainCard title={t('价格计算器')}>
+            <Grid container spacing={2}>
+              <Grid item xs={12} md={6}>
+                <Autocomplete
+                  options={pricing ? pricing.models.map((item) => item.model) : []}
+                  value={model}
+                  onChange={(event, value) => setModel(value)}
+                  renderInput={(params) => <TextField {...params} label={t('模型')} />}
+                />
+              </Grid>
+              <Grid item xs={6} md={3}>
+                <TextField
+                  fullWidth
+                  type="number"
+                  label={t('提示 tokens')}
+                  inputProps={{ min: 0 }}
+                  value={promptTokens}
+                  onChange={(event) => setPromptTokens(event.target.value)}
+                />
+              </Grid>
+              <Grid item xs={6} md={3}>
+                <TextField
+                  fullWidth
+                  type="number"
+                  label={t('补全 tokens')}
+                  inputProps={{ min: 0 }}
+                  value={completionTokens}
+                  onChange={(event) => setCompletionTokens(event.target.value)}
+                />
+              </Grid>
+            </Grid>
+            <Stack direction="row" spacing={6} sx={{ mt: 3 }}>
+              <Box>
+                <Typography variant="subtitle2">{t('额度')}</Typography>
+                <Typography variant="h3">{quota === null ? '-' : renderNumber(quota)}</Typography>
+              </Box>
+              <Box>
+                <Typography variant="subtitle2">{t('费用')}</Typography>
+                <Typography variant="h3">{quota === null ? '-' : formatPrice(quotaToCurrency(quota, pricing.quota_per_unit))}</Typography>
+              </Box>
+            </Stack>
+          </MainCard>
+        </Stack>
+      </Container>
+    </Box>
+  );
+};
+
+export default Pricing;
@@ -0,0 +1,248 @@
+import { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import {
+  Alert,
+  Button,
+  Checkbox,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  FormControlLabel,
+  FormGroup,
+  FormLabel,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Select,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import Grid from '@mui/material/Unstable_Grid2';
+import { IconTrash } from '@tabler/icons-react';
+import { ACCESS_TOKEN_EXPIRY, accessTokenExpiredTime, accessTokenScopesFor, describeAccessTokenScopes, t } from 'one-api-common';
+import SubCard from 'ui-component/cards/SubCard';
+import { api } from 'utils/api';
+import { copy, showError, showSuccess, timestamp2string } from 'utils/common';
+
+// 个人设置中的访问令牌：创建多个带权限范围与有效期的令牌，用于自动化调用管理接口
+const AccessTokenSetting = () => {
+  const account = useSelector((state) => state.account);
+  const role = account.user ? account.user.role : 1;
+  const [tokens, setTokens] = useState([]);
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState([]);
+  const [expiry, setExpiry] = useState(ACCESS_TOKEN_EXPIRY[1].value);
+  const [removing, setRemoving] = useState(null);
+  const [loading, setLoading] = useState(false);
+  // 刚创建的令牌原文，只显示一次
+  const [createdKey, setCreatedKey] = useState('');
+
+  const loadTokens = async () => {
+    const { success, message, data } = await api.user.accessTokens();
+    if (success) {
+      setTokens(data || []);
+    } else {
+      showError(message);
+    }
+  };
+
+  useEffect(() => {
+    loadTokens().then();
+  }, []);
+
+  const close = () => {
+    setCreating(false);
+    setName('');
+    setScopes([]);
+    setExpiry(ACCESS_TOKEN_EXPIRY[1].value);
+  };
+
+  const toggleScope = (value, checked) => {
+    setScopes((scopes) => (checked ? [...scopes, value] : scopes.filter((scope) => scope !== value)));
+  };
+
+  const submit = async () => {
+    if (!name.trim()) {
+      showError(t('请输入名称'));
+      return;
+    }
+    if (scopes.length === 0) {
+      showError(t('请至少选择一个权限范围'));
+      return;
+    }
+    setLoading(true);
+    try {
+      const { success, message, data } = await api.user.createAccessToken({
+        name: name.trim(),
+        scopes,
+        expired_time: accessTokenExpiredTime(expiry)
+      });
+      if (success) {
+        close();
+        setCreatedKey(data.access_token);
+        await loadTokens();
+      } else {
+        showError(message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const remove = async () => {
+    const { success, message } = await api.user.deleteAccessToken(removing.id);
+    setRemoving(null);
+    if (success) {
+      showSuccess(t('访问令牌已删除'));
+      await loadTokens();
+    } else {
+      showError(message);
+    }
+  };
+
+  const renderExpiredTime = (expiredTime) => {
+    if (expiredTime === -1) return t('永不过期');
+    if (expiredTime * 1000 < Date.now()) return <Chip size="small" color="error" label={t('已过期')} />;
+    return timestamp2string(expiredTime);
+  };
+
+  return (
+    <SubCard title={t('访问令牌')}>
+      <Grid container spacing={2}>
+        <Grid xs={12}>
+          <Typography variant="body2">
+            {t('访问令牌用于在程序中调用管理接口，请求时放在 Authorization 请求头中，只能访问所选权限范围内的接口。')}
+          </Typography>
+        </Grid>
+        {tokens.length > 0 && (
+          <Grid xs={12}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>{t('名称')}</TableCell>
+                  <TableCell>{t('权限')}</TableCell>
+                  <TableCell>{t('过期时间')}</TableCell>
+                  <TableCell>{t('最近使用')}</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {tokens.map((token) => (
+                  <TableRow key={token.id}>
+                    <TableCell>{token.name}</TableCell>
+                    <TableCell>
+                      {describeAccessTokenScopes(token.scopes).map((label) => (
+                        <Chip key={label} size="small" variant="outlined" label={label} sx={{ m: 0.25 }} />
+                      ))}
+                    </TableCell>
+                    <TableCell>{renderExpiredTime(token.expired_time)}</TableCell>
+                    <TableCell>{token.last_used_time ? timestamp2string(token.last_used_time) : t('从未使用')}</TableCell>
+                    <TableCell align="right">
+                      <Tooltip title={t('删除')}>
+                        <IconButton sx={{ color: 'error.main' }} onClick={() => setRemoving(token)}>
+                          <IconTrash stroke={1.5} size="1.2rem" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Grid>
+        )}
+        <Grid xs={12}>
+          <Button variant="contained" onClick={() => setCreating(true)}>
+            {t('创建访问令牌')}
+          </Button>
+        </Grid>
+      </Grid>
+
+      <Dialog open={creating} onClose={close} fullWidth maxWidth={'sm'}>
+        <DialogTitle sx={{ fontWeight: 700 }}>{t('创建访问令牌')}</DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} sx={{ mt: 1 }}>
+            <TextField
+              fullWidth
+              label={t('名称')}
+              placeholder={t('例如：日志同步脚本')}
+              value={name}
+              autoFocus
+              inputProps={{ maxLength: 30 }}
+              onChange={(e) => setName(e.target.value)}
+            />
+            <FormControl component="fieldset">
+              <FormLabel component="legend">{t('权限')}</FormLabel>
+              <FormGroup>
+                {accessTokenScopesFor(role).map((scope) => (
+                  <FormControlLabel
+                    key={scope.value}
+                    label={`${t(scope.label)} (${scope.value})`}
+                    control={
+                      <Checkbox checked={scopes.includes(scope.value)} onChange={(e) => toggleScope(scope.value, e.target.checked)} />
+                    }
+                  />
+                ))}
+              </FormGroup>
+            </FormControl>
+            <FormControl fullWidth>
+              <InputLabel id="access-token-expiry-label">{t('有效期')}</InputLabel>
+              <Select labelId="access-token-expiry-label" label={t('有效期')} value={expiry} onChange={(e) => setExpiry(e.target.value)}>
+                {ACCESS_TOKEN_EXPIRY.map((item) => (
+                  <MenuItem key={item.value} value={item.value}>
+                    {t(item.label)}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={close}>{t('取消')}</Button>
+          <Button onClick={submit} disabled={loading}>
+            {t('创建')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={!!createdKey} onClose={() => setCreatedKey('')} fullWidth maxWidth={'sm'}>
+        <DialogTitle sx={{ fontWeight: 700 }}>{t('访问令牌已创建')}</DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} sx={{ mt: 1 }}>
+            <Alert severity="warning">{t('令牌只显示这一次，请立即复制并妥善保存。')}</Alert>
+            <TextField fullWidth value={createdKey} InputProps={{ readOnly: true }} />
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => copy(createdKey, t('访问令牌'))}>{t('复制')}</Button>
+          <Button onClick={() => setCreatedKey('')}>{t('完成')}</Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={!!removing} onClose={() => setRemoving(null)} maxWidth={'xs'}>
+        <DialogTitle sx={{ fontWeight: 700 }}>{removing ? t('删除访问令牌 {name}', { name: removing.name }) : ''}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2">{t('删除后使用该令牌的程序将无法再调用管理接口')}</Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRemoving(null)}>{t('取消')}</Button>
+          <Button onClick={remove} sx={{ color: 'error.main' }}>
+            {t('删除')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </SubCard>
+  );
+};
+
+export default AccessTokenSetting;
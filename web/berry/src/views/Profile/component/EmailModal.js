@@ -20,6 +20,7 @@ import { useTheme } from "@mui/material/styles";
 import * as Yup from "yup";
 import useRegister from "hooks/useRegister";
 import { API } from "utils/api";
+import { t } from "one-api-common";
 
 const validationSchema = Yup.object().shape({
   email: Yup.string().email("请输入正确的邮箱地址").required("邮箱不能为空"),
@@ -41,7 +42,7 @@ const EmailModal = ({ open, handleClose, turnstileToken }) => {
     );
     const { success, message } = res.data;
     if (success) {
-      showSuccess("邮箱账户绑定成功！");
+      showSuccess(t('邮箱账户绑定成功！'));
       setSubmitting(false);
       setStatus({ success: true });
       handleClose();
@@ -68,11 +69,11 @@ const EmailModal = ({ open, handleClose, turnstileToken }) => {
   const handleSendCode = async (email) => {
     setDisableButton(true);
     if (email === "") {
-      showError("请输入邮箱");
+      showError(t('请输入邮箱'));
       return;
     }
     if (turnstileToken === "") {
-      showError("请稍后几秒重试，Turnstile 正在检查用户环境！");
+      showError(t('请稍后几秒重试，Turnstile 正在检查用户环境！'));
       return;
     }
     setLoading(true);
@@ -89,7 +90,7 @@ const EmailModal = ({ open, handleClose, turnstileToken }) => {
 
   return (
     <Dialog open={open} onClose={handleClose}>
-      <DialogTitle>绑定邮箱</DialogTitle>
+      <DialogTitle>{t('绑定邮箱')}</DialogTitle>
       <DialogContent>
         <Grid container direction="column" alignItems="center">
           <Formik
@@ -132,8 +133,8 @@ const EmailModal = ({ open, handleClose, turnstileToken }) => {
                           disabled={disableButton || loading}
                         >
                           {disableButton
-                            ? `重新发送(${countdown})`
-                            : "获取验证码"}
+                            ? t('重新发送({countdown})', { countdown })
+                            : t('获取验证码')}
                         </Button>
                       </InputAdornment>
                     }
@@ -141,7 +142,7 @@ const EmailModal = ({ open, handleClose, turnstileToken }) => {
                   />
                   {touched.email && errors.email && (
                     <FormHelperText error id="helper-email">
-                      {errors.email}
+                      {t(errors.email)}
                     </FormHelperText>
                   )}
                 </FormControl>
@@ -154,7 +155,7 @@ const EmailModal = ({ open, handleClose, turnstileToken }) => {
                   sx={{ ...theme.typography.customInput }}
                 >
                   <InputLabel htmlFor="email_verification_code">
-                    验证码
+                    {t('验证码')}
                   </InputLabel>
                   <OutlinedInput
                     id="email_verification_code"
@@ -168,12 +169,12 @@ const EmailModal = ({ open, handleClose, turnstileToken }) => {
                   {touched.email_verification_code &&
                     errors.email_verification_code && (
                       <FormHelperText error id="helper-email_verification_code">
-                        {errors.email_verification_code}
+                        {t(errors.email_verification_code)}
                       </FormHelperText>
                     )}
                 </FormControl>
                 <DialogActions>
-                  <Button onClick={handleClose}>取消</Button>
+                  <Button onClick={handleClose}>{t('取消')}</Button>
                   <Button
                     disableElevation
                     disabled={loading}
@@ -181,7 +182,7 @@ const EmailModal = ({ open, handleClose, turnstileToken }) => {
                     variant="contained"
                     color="primary"
                   >
-                    提交
+                    {t('提交')}
                   </Button>
                 </DialogActions>
               </form>
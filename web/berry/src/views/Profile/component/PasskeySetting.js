@@ -0,0 +1,186 @@
+import { useEffect, useState } from 'react';
+import {
+  Alert,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import Grid from '@mui/material/Unstable_Grid2';
+import { IconEdit, IconTrash } from '@tabler/icons-react';
+import { isPasskeySupported, registerPasskey, t } from 'one-api-common';
+import SubCard from 'ui-component/cards/SubCard';
+import { api } from 'utils/api';
+import { showError, showSuccess, timestamp2string } from 'utils/common';
+
+// 个人设置中的 Passkey：注册新的 Passkey，为已注册的 Passkey 改名或删除
+const PasskeySetting = () => {
+  const [passkeys, setPasskeys] = useState([]);
+  // add：注册新的 Passkey；rename：修改 editing 的名称
+  const [mode, setMode] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [name, setName] = useState('');
+  const [removing, setRemoving] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const loadPasskeys = async () => {
+    const { success, message, data } = await api.user.passkeys();
+    if (success) {
+      setPasskeys(data || []);
+    } else {
+      showError(message);
+    }
+  };
+
+  useEffect(() => {
+    loadPasskeys().then();
+  }, []);
+
+  const close = () => {
+    setMode('');
+    setEditing(null);
+    setName('');
+  };
+
+  const submit = async () => {
+    if (!name.trim()) {
+      showError(t('请输入名称'));
+      return;
+    }
+    setLoading(true);
+    try {
+      const { success, message } =
+        mode === 'add' ? await registerPasskey(api, name.trim()) : await api.user.updatePasskey(editing.id, { name: name.trim() });
+      if (success) {
+        showSuccess(mode === 'add' ? t('Passkey 已添加') : t('Passkey 已更新'));
+        close();
+        await loadPasskeys();
+      } else {
+        showError(message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const remove = async () => {
+    const { success, message } = await api.user.deletePasskey(removing.id);
+    setRemoving(null);
+    if (success) {
+      showSuccess(t('Passkey 已删除'));
+      await loadPasskeys();
+    } else {
+      showError(message);
+    }
+  };
+
+  return (
+    <SubCard title="Passkey">
+      <Grid container spacing={2}>
+        <Grid xs={12}>
+          <Typography variant="body2">{t('注册 Passkey 后，可以使用设备的指纹、面容或 PIN 直接登录，无需输入密码。')}</Typography>
+        </Grid>
+        {passkeys.length > 0 && (
+          <Grid xs={12}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>{t('名称')}</TableCell>
+                  <TableCell>{t('添加时间')}</TableCell>
+                  <TableCell>{t('最近使用')}</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {passkeys.map((passkey) => (
+                  <TableRow key={passkey.id}>
+                    <TableCell>{passkey.name}</TableCell>
+                    <TableCell>{timestamp2string(passkey.created_time)}</TableCell>
+                    <TableCell>{passkey.last_used_time ? timestamp2string(passkey.last_used_time) : t('从未使用')}</TableCell>
+                    <TableCell align="right">
+                      <Tooltip title={t('重命名')}>
+                        <IconButton
+                          onClick={() => {
+                            setEditing(passkey);
+                            setName(passkey.name);
+                            setMode('rename');
+                          }}
+                        >
+                          <IconEdit stroke={1.5} size="1.2rem" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title={t('删除')}>
+                        <IconButton sx={{ color: 'error.main' }} onClick={() => setRemoving(passkey)}>
+                          <IconTrash stroke={1.5} size="1.2rem" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Grid>
+        )}
+        <Grid xs={12}>
+          {isPasskeySupported() ? (
+            <Button variant="contained" onClick={() => setMode('add')}>
+              {t('添加 Passkey')}
+            </Button>
+          ) : (
+            <Alert severity="warning">{t('当前浏览器不支持 Passkey')}</Alert>
+          )}
+        </Grid>
+      </Grid>
+
+      <Dialog open={mode !== ''} onClose={close} fullWidth maxWidth={'xs'}>
+        <DialogTitle sx={{ fontWeight: 700 }}>{mode === 'add' ? t('添加 Passkey') : t('重命名')}</DialogTitle>
+        <DialogContent>
+          <Stack sx={{ mt: 1 }}>
+            <TextField
+              fullWidth
+              label={t('名称')}
+              placeholder={t('例如：工作电脑、手机')}
+              value={name}
+              autoFocus
+              inputProps={{ maxLength: 30 }}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && submit()}
+            />
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={close}>{t('取消')}</Button>
+          <Button onClick={submit} disabled={loading}>
+            {mode === 'add' ? t('继续') : t('保存')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={!!removing} onClose={() => setRemoving(null)} maxWidth={'xs'}>
+        <DialogTitle sx={{ fontWeight: 700 }}>{removing ? t('删除 Passkey {name}', { name: removing.name }) : ''}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2">{t('删除后将无法使用该 Passkey 登录')}</Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRemoving(null)}>{t('取消')}</Button>
+          <Button onClick={remove} sx={{ color: 'error.main' }}>
+            {t('删除')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </SubCard>
+  );
+};
+
+export default PasskeySetting;
@@ -0,0 +1,157 @@
+import { useEffect, useState } from 'react';
+import { Alert, Button, FormControl, InputLabel, MenuItem, Select, TextField, Typography } from '@mui/material';
+import Grid from '@mui/material/Unstable_Grid2';
+import { ALERT_NOTIFY_OPTIONS, needsMessagePusher, t } from 'one-api-common';
+import SubCard from 'ui-component/cards/SubCard';
+import { api } from 'utils/api';
+import { renderQuotaWithPrompt, showError, showSuccess } from 'utils/common';
+
+// 个人设置中的额度提醒：剩余额度与每日消耗的提醒阈值，以及提醒的发送方式
+const QuotaAlertSetting = () => {
+  const [inputs, setInputs] = useState({
+    quota_alert_threshold: 0,
+    daily_quota_alert_threshold: 0,
+    alert_notify_by: 'email',
+    message_pusher_address: '',
+    message_pusher_token: ''
+  });
+  const [email, setEmail] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    api.user.self().then(({ success, message, data }) => {
+      if (!success) {
+        showError(message);
+        return;
+      }
+      setEmail(data.email || '');
+      setInputs((inputs) => ({
+        ...inputs,
+        quota_alert_threshold: data.quota_alert_threshold || 0,
+        daily_quota_alert_threshold: data.daily_quota_alert_threshold || 0,
+        alert_notify_by: data.alert_notify_by || 'email',
+        message_pusher_address: data.message_pusher_address || ''
+      }));
+    });
+  }, []);
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setInputs((inputs) => ({ ...inputs, [name]: value }));
+  };
+
+  const save = async () => {
+    if (needsMessagePusher(inputs.alert_notify_by) && inputs.message_pusher_address.trim() === '') {
+      showError(t('请填写 Message Pusher 推送地址'));
+      return;
+    }
+    setSaving(true);
+    try {
+      const { success, message } = await api.user.updateQuotaAlert({
+        ...inputs,
+        quota_alert_threshold: parseInt(inputs.quota_alert_threshold) || 0,
+        daily_quota_alert_threshold: parseInt(inputs.daily_quota_alert_threshold) || 0
+      });
+      if (success) {
+        showSuccess(t('额度提醒已保存'));
+        setInputs((inputs) => ({ ...inputs, message_pusher_token: '' }));
+      } else {
+        showError(message);
+      }
+    } catch (error) {
+      showError(error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <SubCard title={t('额度提醒')}>
+      <Grid container spacing={2}>
+        <Grid xs={12} md={6}>
+          <TextField
+            fullWidth
+            type="number"
+            name="quota_alert_threshold"
+            label={t('剩余额度低于')}
+            value={inputs.quota_alert_threshold}
+            onChange={handleChange}
+            inputProps={{ min: 0 }}
+            helperText={
+              inputs.quota_alert_threshold > 0 ? renderQuotaWithPrompt(inputs.quota_alert_threshold) : t('使用系统默认的提醒阈值')
+            }
+          />
+        </Grid>
+        <Grid xs={12} md={6}>
+          <TextField
+            fullWidth
+            type="number"
+            name="daily_quota_alert_threshold"
+            label={t('每日消耗超过')}
+            value={inputs.daily_quota_alert_threshold}
+            onChange={handleChange}
+            inputProps={{ min: 0 }}
+            helperText={inputs.daily_quota_alert_threshold > 0 ? renderQuotaWithPrompt(inputs.daily_quota_alert_threshold) : t('不提醒')}
+          />
+        </Grid>
+        <Grid xs={12} md={6}>
+          <FormControl fullWidth>
+            <InputLabel id="alert-notify-by-label">{t('提醒方式')}</InputLabel>
+            <Select
+              labelId="alert-notify-by-label"
+              label={t('提醒方式')}
+              name="alert_notify_by"
+              value={inputs.alert_notify_by}
+              onChange={handleChange}
+            >
+              {ALERT_NOTIFY_OPTIONS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {t(option.label)}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        {email === '' && ['email', 'all'].includes(inputs.alert_notify_by) && (
+          <Grid xs={12}>
+            <Alert severity="warning">{t('尚未绑定邮箱，无法收到邮件提醒')}</Alert>
+          </Grid>
+        )}
+        {needsMessagePusher(inputs.alert_notify_by) && (
+          <>
+            <Grid xs={12} md={6}>
+              <TextField
+                fullWidth
+                name="message_pusher_address"
+                label="Message Pusher"
+                value={inputs.message_pusher_address}
+                onChange={handleChange}
+                placeholder={t('推送地址，例如：https://msgpusher.com/push/your_username')}
+              />
+            </Grid>
+            <Grid xs={12} md={6}>
+              <TextField
+                fullWidth
+                type="password"
+                name="message_pusher_token"
+                label={t('访问凭证，留空则保持不变')}
+                value={inputs.message_pusher_token}
+                onChange={handleChange}
+              />
+            </Grid>
+          </>
+        )}
+        <Grid xs={12}>
+          <Typography variant="body2">{t('每日消耗按服务器所在时区的自然日统计，每天最多提醒一次；提醒也会显示在页面顶部。')}</Typography>
+        </Grid>
+        <Grid xs={12}>
+          <Button variant="contained" onClick={save} disabled={saving}>
+            {t('保存额度提醒')}
+          </Button>
+        </Grid>
+      </Grid>
+    </SubCard>
+  );
+};
+
+export default QuotaAlertSetting;
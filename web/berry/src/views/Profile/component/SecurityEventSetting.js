@@ -0,0 +1,16 @@
+import { Typography } from '@mui/material';
+import { t } from 'one-api-common';
+import SubCard from 'ui-component/cards/SubCard';
+import SecurityEventTable from 'ui-component/SecurityEventTable';
+
+// 个人设置中的安全日志：最近的登录记录以及密码、两步验证、绑定账号等安全相关的操作
+const SecurityEventSetting = () => (
+  <SubCard title={t('安全日志')}>
+    <Typography variant="body2" sx={{ mb: 2 }}>
+      {t('最近 100 条登录记录与账号安全操作，如有不认识的记录，请立即修改密码。')}
+    </Typography>
+    <SecurityEventTable />
+  </SubCard>
+);
+
+export default SecurityEventSetting;
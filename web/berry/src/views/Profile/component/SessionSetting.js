@@ -0,0 +1,16 @@
+import { Typography } from '@mui/material';
+import { t } from 'one-api-common';
+import SubCard from 'ui-component/cards/SubCard';
+import SessionTable from 'ui-component/SessionTable';
+
+// 个人设置中的登录会话：查看在哪些设备上登录过，并可以远程退出
+const SessionSetting = () => (
+  <SubCard title={t('登录会话')}>
+    <Typography variant="body2" sx={{ mb: 2 }}>
+      {t('以下设备当前已登录你的账号，如有不认识的设备，请退出该会话并修改密码。')}
+    </Typography>
+    <SessionTable />
+  </SubCard>
+);
+
+export default SessionSetting;
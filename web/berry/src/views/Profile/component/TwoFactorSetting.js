@@ -0,0 +1,189 @@
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Alert, Box, Button, Dialog, DialogActions, DialogContent, DialogTitle, Stack, TextField, Typography } from '@mui/material';
+import Grid from '@mui/material/Unstable_Grid2';
+import { QRCodeSVG } from 'qrcode.react';
+import { downloadRecoveryCodes, formatRecoveryCodes, t } from 'one-api-common';
+import SubCard from 'ui-component/cards/SubCard';
+import Label from 'ui-component/Label';
+import { LOGIN } from 'store/actions';
+import { api } from 'utils/api';
+import { copy, getSystemName, showError, showSuccess } from 'utils/common';
+
+// 个人设置中的两步验证：扫码绑定验证器并保存恢复码，已启用时可以重新生成恢复码或关闭
+const TwoFactorSetting = () => {
+  const dispatch = useDispatch();
+  const account = useSelector((state) => state.account);
+  const [status, setStatus] = useState(null);
+  // setup：扫码并输入验证码；disable、reset：输入验证码后关闭或重新生成恢复码
+  const [mode, setMode] = useState('');
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const loadStatus = async () => {
+    const { success, message, data } = await api.user.twoFactor();
+    if (success) {
+      setStatus(data);
+    } else {
+      showError(message);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus().then();
+  }, []);
+
+  const updateUser = (enabled) => {
+    const user = { ...account.user, two_factor_enabled: enabled };
+    dispatch({ type: LOGIN, payload: user });
+    localStorage.setItem('user', JSON.stringify(user));
+  };
+
+  const close = () => {
+    setMode('');
+    setSetup(null);
+    setCode('');
+  };
+
+  const startSetup = async () => {
+    const { success, message, data } = await api.user.setupTwoFactor();
+    if (success) {
+      setSetup(data);
+      setMode('setup');
+    } else {
+      showError(message);
+    }
+  };
+
+  const submit = async () => {
+    if (!code.trim()) return;
+    setLoading(true);
+    try {
+      let res;
+      if (mode === 'setup') {
+        res = await api.user.enableTwoFactor({ code: code.trim() });
+      } else if (mode === 'reset') {
+        res = await api.user.resetRecoveryCodes({ code: code.trim() });
+      } else {
+        res = await api.user.disableTwoFactor({ code: code.trim() });
+      }
+      const { success, message, data } = res;
+      if (!success) {
+        showError(message);
+        return;
+      }
+      if (mode === 'disable') {
+        showSuccess(t('两步验证已关闭'));
+        updateUser(false);
+      } else {
+        if (mode === 'setup') {
+          showSuccess(t('两步验证已启用'));
+          updateUser(true);
+        }
+        setRecoveryCodes(data.recovery_codes);
+      }
+      close();
+      await loadStatus();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!status) return null;
+
+  return (
+    <SubCard title={t('两步验证')}>
+      <Grid container spacing={2}>
+        {status.enabled ? (
+          <>
+            <Grid xs={12}>
+              <Stack direction="row" spacing={1} alignItems="center">
+                <Label color="success">{t('已启用')}</Label>
+                <Typography variant="body2">{t('剩余 {count} 个恢复码', { count: status.recovery_codes_left })}</Typography>
+              </Stack>
+            </Grid>
+            <Grid xs={12}>
+              <Stack direction="row" spacing={1}>
+                <Button variant="outlined" onClick={() => setMode('reset')}>
+                  {t('重新生成恢复码')}
+                </Button>
+                <Button variant="outlined" color="error" onClick={() => setMode('disable')}>
+                  {t('关闭两步验证')}
+                </Button>
+              </Stack>
+            </Grid>
+          </>
+        ) : (
+          <>
+            <Grid xs={12}>
+              <Typography variant="body2">
+                {t('启用后，使用密码登录时还需要输入验证器应用（如 Google Authenticator、1Password）中的验证码。')}
+              </Typography>
+            </Grid>
+            <Grid xs={12}>
+              <Button variant="contained" onClick={startSetup}>
+                {t('启用两步验证')}
+              </Button>
+            </Grid>
+          </>
+        )}
+      </Grid>
+
+      <Dialog open={mode !== ''} onClose={close} fullWidth maxWidth={'xs'}>
+        <DialogTitle sx={{ fontWeight: 700 }}>
+          {mode === 'setup' ? t('启用两步验证') : mode === 'reset' ? t('重新生成恢复码') : t('关闭两步验证')}
+        </DialogTitle>
+        <DialogContent>
+          {mode === 'setup' && setup && (
+            <Stack spacing={1} alignItems="center" sx={{ mb: 2 }}>
+              <Typography variant="body2">{t('使用验证器应用扫描二维码，或手动输入密钥')}</Typography>
+              <QRCodeSVG value={setup.uri} size={180} includeMargin />
+              <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                {setup.secret}
+              </Typography>
+            </Stack>
+          )}
+          <TextField
+            fullWidth
+            sx={{ mt: 1 }}
+            label={mode === 'setup' ? t('验证码') : t('验证码或恢复码')}
+            value={code}
+            autoFocus
+            inputProps={{ autoComplete: 'one-time-code' }}
+            onChange={(e) => setCode(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && submit()}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={close}>{t('取消')}</Button>
+          <Button onClick={submit} disabled={loading} color={mode === 'disable' ? 'error' : 'primary'}>
+            {t('确认')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={recoveryCodes.length > 0} fullWidth maxWidth={'xs'}>
+        <DialogTitle sx={{ fontWeight: 700 }}>{t('恢复码')}</DialogTitle>
+        <DialogContent>
+          <Alert severity="warning">{t('恢复码只显示这一次，请妥善保存。无法使用验证器时，每个恢复码可以代替验证码登录一次。')}</Alert>
+          <Box sx={{ mt: 2, fontFamily: 'monospace', columns: 2 }}>
+            {recoveryCodes.map((item) => (
+              <div key={item}>{item}</div>
+            ))}
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => copy(formatRecoveryCodes(recoveryCodes, getSystemName()), t('恢复码'))}>{t('复制')}</Button>
+          <Button onClick={() => downloadRecoveryCodes(recoveryCodes, getSystemName())}>{t('下载')}</Button>
+          <Button variant="contained" onClick={() => setRecoveryCodes([])}>
+            {t('我已保存')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </SubCard>
+  );
+};
+
+export default TwoFactorSetting;
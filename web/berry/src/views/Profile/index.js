@@ -26,9 +26,16 @@ import * as Yup from 'yup';
 import WechatModal from 'views/Authentication/AuthForms/WechatModal';
 import { useSelector } from 'react-redux';
 import EmailModal from './component/EmailModal';
+import TwoFactorSetting from './component/TwoFactorSetting';
+import PasskeySetting from './component/PasskeySetting';
+import SessionSetting from './component/SessionSetting';
+import AccessTokenSetting from './component/AccessTokenSetting';
+import SecurityEventSetting from './component/SecurityEventSetting';
+import QuotaAlertSetting from './component/QuotaAlertSetting';
 import Turnstile from 'react-turnstile';
 import { ReactComponent as Lark } from 'assets/images/icons/lark.svg';
 import { ReactComponent as OIDC } from 'assets/images/icons/oidc.svg';
+import { t } from 'one-api-common';
 
 const validationSchema = Yup.object().shape({
   username: Yup.string().required('用户名 不能为空').min(3, '用户名 不能小于 3 个字符'),
@@ -77,7 +84,7 @@ export default function Profile() {
       const res = await API.get(`/api/oauth/wechat/bind?code=${code}`);
       const { success, message } = res.data;
       if (success) {
-        showSuccess('微信账户绑定成功！');
+        showSuccess(t('微信账户绑定成功！'));
       }
       return { success, message };
     } catch (err) {
@@ -105,12 +112,12 @@ export default function Profile() {
       const res = await API.put(`/api/user/self`, inputs);
       const { success, message } = res.data;
       if (success) {
-        showSuccess('用户信息更新成功！');
+        showSuccess(t('用户信息更新成功！'));
       } else {
         showError(message);
       }
     } catch (err) {
-      showError(err.message);
+      showError(t(err.message));
     }
   };
 
@@ -140,99 +147,99 @@ export default function Profile() {
           <Stack spacing={2}>
             <Stack direction="row" alignItems="center" justifyContent="center" spacing={2} sx={{ paddingBottom: '20px' }}>
               <Label variant="ghost" color={inputs.wechat_id ? 'primary' : 'default'}>
-                <IconBrandWechat /> {inputs.wechat_id || '未绑定'}
+                <IconBrandWechat /> {inputs.wechat_id || t('未绑定')}
               </Label>
               <Label variant="ghost" color={inputs.github_id ? 'primary' : 'default'}>
-                <IconBrandGithub /> {inputs.github_id || '未绑定'}
+                <IconBrandGithub /> {inputs.github_id || t('未绑定')}
               </Label>
               <Label variant="ghost" color={inputs.email ? 'primary' : 'default'}>
-                <IconMail /> {inputs.email || '未绑定'}
+                <IconMail /> {inputs.email || t('未绑定')}
               </Label>
               <Label variant="ghost" color={inputs.lark_id ? 'primary' : 'default'}>
-                <SvgIcon component={Lark} inheritViewBox="0 0 24 24" /> {inputs.lark_id || '未绑定'}
+                <SvgIcon component={Lark} inheritViewBox="0 0 24 24" /> {inputs.lark_id || t('未绑定')}
               </Label>
               <Label variant="ghost" color={inputs.oidc_id ? 'primary' : 'default'}>
-                <SvgIcon component={OIDC} inheritViewBox="0 0 24 24" /> {getOidcId() || '未绑定'}
+                <SvgIcon component={OIDC} inheritViewBox="0 0 24 24" /> {getOidcId() || t('未绑定')}
               </Label>
             </Stack>
-            <SubCard title="个人信息">
+            <SubCard title={t('个人信息')}>
               <Grid container spacing={2}>
                 <Grid xs={12}>
                   <FormControl fullWidth variant="outlined">
-                    <InputLabel htmlFor="username">用户名</InputLabel>
+                    <InputLabel htmlFor="username">{t('用户名')}</InputLabel>
                     <OutlinedInput
                       id="username"
-                      label="用户名"
+                      label={t('用户名')}
                       type="text"
                       value={inputs.username || ''}
                       onChange={handleInputChange}
                       name="username"
-                      placeholder="请输入用户名"
+                      placeholder={t('请输入用户名')}
                     />
                   </FormControl>
                 </Grid>
                 <Grid xs={12}>
                   <FormControl fullWidth variant="outlined">
-                    <InputLabel htmlFor="password">密码</InputLabel>
+                    <InputLabel htmlFor="password">{t('密码')}</InputLabel>
                     <OutlinedInput
                       id="password"
-                      label="密码"
+                      label={t('密码')}
                       type="password"
                       value={inputs.password || ''}
                       onChange={handleInputChange}
                       name="password"
-                      placeholder="请输入密码"
+                      placeholder={t('请输入密码')}
                     />
                   </FormControl>
                 </Grid>
                 <Grid xs={12}>
                   <FormControl fullWidth variant="outlined">
-                    <InputLabel htmlFor="display_name">显示名称</InputLabel>
+                    <InputLabel htmlFor="display_name">{t('显示名称')}</InputLabel>
                     <OutlinedInput
                       id="display_name"
-                      label="显示名称"
+                      label={t('显示名称')}
                       type="text"
                       value={inputs.display_name || ''}
                       onChange={handleInputChange}
                       name="display_name"
-                      placeholder="请输入显示名称"
+                      placeholder={t('请输入显示名称')}
                     />
                   </FormControl>
                 </Grid>
                 <Grid xs={12}>
                   <Button variant="contained" color="primary" onClick={submit}>
-                    提交
+                    {t('提交')}
                   </Button>
                 </Grid>
               </Grid>
             </SubCard>
-            <SubCard title="账号绑定">
+            <SubCard title={t('账号绑定')}>
               <Grid container spacing={2}>
                 {status.wechat_login && !inputs.wechat_id && (
                   <Grid xs={12} md={4}>
                     <Button variant="contained" onClick={handleWechatOpen}>
-                      绑定微信账号
+                      {t('绑定微信账号')}
                     </Button>
                   </Grid>
                 )}
                 {status.github_oauth && !inputs.github_id && (
                   <Grid xs={12} md={4}>
                     <Button variant="contained" onClick={() => onGitHubOAuthClicked(status.github_client_id, true)}>
-                      绑定 GitHub 账号
+                      {t('绑定 GitHub 账号')}
                     </Button>
                   </Grid>
                 )}
                 {status.lark_client_id && !inputs.lark_id && (
                   <Grid xs={12} md={4}>
                     <Button variant="contained" onClick={() => onLarkOAuthClicked(status.lark_client_id)}>
-                      绑定 飞书 账号
+                      {t('绑定 飞书 账号')}
                     </Button>
                   </Grid>
                 )}
                 {status.oidc && !inputs.oidc_id && (
                   <Grid xs={12} md={4}>
                     <Button variant="contained" onClick={() => onOidcClicked(status.oidc_authorization_endpoint,status.oidc_client_id,true)}>
-                      绑定 OIDC 账号
+                      {t('绑定 OIDC 账号')}
                     </Button>
                   </Grid>
                 )}
@@ -243,7 +250,7 @@ export default function Profile() {
                       setOpenEmail(true);
                     }}
                   >
-                    {inputs.email ? '更换邮箱' : '绑定邮箱'}
+                    {inputs.email ? t('更换邮箱') : t('绑定邮箱')}
                   </Button>
                   {turnstileEnabled ? (
                     <Turnstile
@@ -258,22 +265,28 @@ export default function Profile() {
                 </Grid>
               </Grid>
             </SubCard>
-            <SubCard title="其他">
+            <QuotaAlertSetting />
+            <TwoFactorSetting />
+            {status.passkey_login && <PasskeySetting />}
+            <SessionSetting />
+            <AccessTokenSetting />
+            <SecurityEventSetting />
+            <SubCard title={t('其他')}>
               <Grid container spacing={2}>
                 <Grid xs={12}>
-                  <Alert severity="info">注意，此处生成的令牌用于系统管理，而非用于请求 OpenAI 相关的服务，请知悉。</Alert>
+                  <Alert severity="info">{t('注意，此处生成的令牌用于系统管理，而非用于请求 OpenAI 相关的服务，请知悉。')}</Alert>
                 </Grid>
                 {inputs.access_token && (
                   <Grid xs={12}>
                     <Alert severity="error">
-                      你的访问令牌是: <b>{inputs.access_token}</b> <br />
-                      请妥善保管。如有泄漏，请立即重置。
+                      {t('你的访问令牌是:')} <b>{inputs.access_token}</b> <br />
+                      {t('请妥善保管。如有泄漏，请立即重置。')}
                     </Alert>
                   </Grid>
                 )}
                 <Grid xs={12}>
                   <Button variant="contained" onClick={generateAccessToken}>
-                    {inputs.access_token ? '重置访问令牌' : '生成访问令牌'}
+                    {inputs.access_token ? t('重置访问令牌') : t('生成访问令牌')}
                   </Button>
                 </Grid>
 
@@ -285,7 +298,7 @@ export default function Profile() {
                       setShowAccountDeleteModal(true);
                     }}
                   >
-                    删除帐号
+                    {t('删除帐号')}
                   </Button>
                 </Grid>
               </Grid>
@@ -295,19 +308,19 @@ export default function Profile() {
       </UserCard>
       <Dialog open={showAccountDeleteModal} onClose={() => setShowAccountDeleteModal(false)} maxWidth={'md'}>
         <DialogTitle sx={{ margin: '0px', fontWeight: 500, lineHeight: '1.55556', padding: '24px', fontSize: '1.125rem' }}>
-          危险操作
+          {t('危险操作')}
         </DialogTitle>
         <Divider />
-        <DialogContent>您正在删除自己的帐户，将清空所有数据且不可恢复</DialogContent>
+        <DialogContent>{t('您正在删除自己的帐户，将清空所有数据且不可恢复')}</DialogContent>
         <DialogActions>
-          <Button onClick={() => setShowAccountDeleteModal(false)}>取消</Button>
+          <Button onClick={() => setShowAccountDeleteModal(false)}>{t('取消')}</Button>
           <Button
             sx={{ color: 'error.main' }}
             onClick={async () => {
               setShowAccountDeleteModal(false);
             }}
           >
-            确定
+            {t('确定')}
           </Button>
         </DialogActions>
       </Dialog>
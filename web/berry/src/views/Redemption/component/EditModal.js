@@ -19,6 +19,7 @@ import {
 
 import { renderQuotaWithPrompt, showSuccess, showError, downloadTextAsFile } from 'utils/common';
 import { API } from 'utils/api';
+import { t } from 'one-api-common';
 
 const validationSchema = Yup.object().shape({
   is_edit: Yup.boolean(),
@@ -54,9 +55,9 @@ const EditModal = ({ open, redemptiondId, onCancel, onOk }) => {
     const { success, message, data } = res.data;
     if (success) {
       if (values.is_edit) {
-        showSuccess('兑换码更新成功！');
+        showSuccess(t('兑换码更新成功！'));
       } else {
-        showSuccess('兑换码创建成功！');
+        showSuccess(t('兑换码创建成功！'));
         if (data.length > 1) {
           let text = '';
           for (let i = 0; i < data.length; i++) {
@@ -96,7 +97,7 @@ const EditModal = ({ open, redemptiondId, onCancel, onOk }) => {
   return (
     <Dialog open={open} onClose={onCancel} fullWidth maxWidth={'md'}>
       <DialogTitle sx={{ margin: '0px', fontWeight: 700, lineHeight: '1.55556', padding: '24px', fontSize: '1.125rem' }}>
-        {redemptiondId ? '编辑兑换码' : '新建兑换码'}
+        {redemptiondId ? t('编辑兑换码') : t('新建兑换码')}
       </DialogTitle>
       <Divider />
       <DialogContent>
@@ -104,10 +105,10 @@ const EditModal = ({ open, redemptiondId, onCancel, onOk }) => {
           {({ errors, handleBlur, handleChange, handleSubmit, touched, values, isSubmitting }) => (
             <form noValidate onSubmit={handleSubmit}>
               <FormControl fullWidth error={Boolean(touched.name && errors.name)} sx={{ ...theme.typography.otherInput }}>
-                <InputLabel htmlFor="channel-name-label">名称</InputLabel>
+                <InputLabel htmlFor="channel-name-label">{t('名称')}</InputLabel>
                 <OutlinedInput
                   id="channel-name-label"
-                  label="名称"
+                  label={t('名称')}
                   type="text"
                   value={values.name}
                   name="name"
@@ -118,16 +119,16 @@ const EditModal = ({ open, redemptiondId, onCancel, onOk }) => {
                 />
                 {touched.name && errors.name && (
                   <FormHelperText error id="helper-tex-channel-name-label">
-                    {errors.name}
+                    {t(errors.name)}
                   </FormHelperText>
                 )}
               </FormControl>
 
               <FormControl fullWidth error={Boolean(touched.quota && errors.quota)} sx={{ ...theme.typography.otherInput }}>
-                <InputLabel htmlFor="channel-quota-label">额度</InputLabel>
+                <InputLabel htmlFor="channel-quota-label">{t('额度')}</InputLabel>
                 <OutlinedInput
                   id="channel-quota-label"
-                  label="额度"
+                  label={t('额度')}
                   type="number"
                   value={values.quota}
                   name="quota"
@@ -140,17 +141,17 @@ const EditModal = ({ open, redemptiondId, onCancel, onOk }) => {
 
                 {touched.quota && errors.quota && (
                   <FormHelperText error id="helper-tex-channel-quota-label">
-                    {errors.quota}
+                    {t(errors.quota)}
                   </FormHelperText>
                 )}
               </FormControl>
 
               {!values.is_edit && (
                 <FormControl fullWidth error={Boolean(touched.count && errors.count)} sx={{ ...theme.typography.otherInput }}>
-                  <InputLabel htmlFor="channel-count-label">数量</InputLabel>
+                  <InputLabel htmlFor="channel-count-label">{t('数量')}</InputLabel>
                   <OutlinedInput
                     id="channel-count-label"
-                    label="数量"
+                    label={t('数量')}
                     type="number"
                     value={values.count}
                     name="count"
@@ -161,15 +162,15 @@ const EditModal = ({ open, redemptiondId, onCancel, onOk }) => {
 
                   {touched.count && errors.count && (
                     <FormHelperText error id="helper-tex-channel-count-label">
-                      {errors.count}
+                      {t(errors.count)}
                     </FormHelperText>
                   )}
                 </FormControl>
               )}
               <DialogActions>
-                <Button onClick={onCancel}>取消</Button>
+                <Button onClick={onCancel}>{t('取消')}</Button>
                 <Button disableElevation disabled={isSubmitting} type="submit" variant="contained" color="primary">
-                  提交
+                  {t('提交')}
                 </Button>
               </DialogActions>
             </form>
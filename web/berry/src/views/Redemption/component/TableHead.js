@@ -1,16 +1,17 @@
 import { TableCell, TableHead, TableRow } from '@mui/material';
+import { t } from 'one-api-common';
 
 const RedemptionTableHead = () => {
   return (
     <TableHead>
       <TableRow>
         <TableCell>ID</TableCell>
-        <TableCell>名称</TableCell>
-        <TableCell>状态</TableCell>
-        <TableCell>额度</TableCell>
-        <TableCell>创建时间</TableCell>
-        <TableCell>兑换时间</TableCell>
-        <TableCell>操作</TableCell>
+        <TableCell>{t('名称')}</TableCell>
+        <TableCell>{t('状态')}</TableCell>
+        <TableCell>{t('额度')}</TableCell>
+        <TableCell>{t('创建时间')}</TableCell>
+        <TableCell>{t('兑换时间')}</TableCell>
+        <TableCell>{t('操作')}</TableCell>
       </TableRow>
     </TableHead>
   );
@@ -18,7 +18,8 @@ import {
 
 import Label from 'ui-component/Label';
 import TableSwitch from 'ui-component/Switch';
-import { timestamp2string, renderQuota, copy } from 'utils/common';
+import { renderQuota, copy } from 'utils/common';
+import { formatDateTime, t } from 'one-api-common';
 
 import { IconDotsVertical, IconEdit, IconTrash } from '@tabler/icons-react';
 
@@ -67,7 +68,7 @@ export default function RedemptionTableRow({ item, manageRedemption, handleOpenM
         <TableCell>
           {item.status !== 1 && item.status !== 2 ? (
             <Label variant="filled" color={item.status === 3 ? 'success' : 'orange'}>
-              {item.status === 3 ? '已使用' : '未知'}
+              {item.status === 3 ? t('已使用') : t('未知')}
             </Label>
           ) : (
             <TableSwitch id={`switch-${item.id}`} checked={statusSwitch === 1} onChange={handleStatus} />
@@ -75,8 +76,8 @@ export default function RedemptionTableRow({ item, manageRedemption, handleOpenM
         </TableCell>
 
         <TableCell>{renderQuota(item.quota)}</TableCell>
-        <TableCell>{timestamp2string(item.created_time)}</TableCell>
-        <TableCell>{item.redeemed_time ? timestamp2string(item.redeemed_time) : '尚未兑换'}</TableCell>
+        <TableCell>{formatDateTime(item.created_time)}</TableCell>
+        <TableCell>{item.redeemed_time ? formatDateTime(item.redeemed_time) : t('尚未兑换')}</TableCell>
         <TableCell>
           <Stack direction="row" spacing={1}>
             <Button
@@ -86,7 +87,7 @@ export default function RedemptionTableRow({ item, manageRedemption, handleOpenM
                 copy(item.key, '兑换码');
               }}
             >
-              复制
+              {t('复制')}
             </Button>
             <IconButton onClick={handleOpenMenu} sx={{ color: 'rgb(99, 115, 129)' }}>
               <IconDotsVertical />
@@ -114,23 +115,23 @@ export default function RedemptionTableRow({ item, manageRedemption, handleOpenM
           }}
         >
           <IconEdit style={{ marginRight: '16px' }} />
-          编辑
+          {t('编辑')}
         </MenuItem>
         <MenuItem onClick={handleDeleteOpen} sx={{ color: 'error.main' }}>
           <IconTrash style={{ marginRight: '16px' }} />
-          删除
+          {t('删除')}
         </MenuItem>
       </Popover>
 
       <Dialog open={openDelete} onClose={handleDeleteClose}>
-        <DialogTitle>删除兑换码</DialogTitle>
+        <DialogTitle>{t('删除兑换码')}</DialogTitle>
         <DialogContent>
-          <DialogContentText>是否删除兑换码 {item.name}？</DialogContentText>
+          <DialogContentText>{t('是否删除兑换码 {name}？', { name: item.name })}</DialogContentText>
         </DialogContent>
         <DialogActions>
-          <Button onClick={handleDeleteClose}>关闭</Button>
+          <Button onClick={handleDeleteClose}>{t('关闭')}</Button>
           <Button onClick={handleDelete} sx={{ color: 'error.main' }} autoFocus>
-            删除
+            {t('删除')}
           </Button>
         </DialogActions>
       </Dialog>
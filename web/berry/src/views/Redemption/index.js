@@ -18,6 +18,7 @@ import { API } from 'utils/api';
 import { ITEMS_PER_PAGE } from 'constants';
 import { IconRefresh, IconPlus } from '@tabler/icons-react';
 import EditeModal from './component/EditModal';
+import { t } from 'one-api-common';
 
 // ----------------------------------------------------------------------
 export default function Redemption() {
@@ -96,7 +97,7 @@ export default function Redemption() {
     }
     const { success, message } = res.data;
     if (success) {
-      showSuccess('操作成功完成！');
+      showSuccess(t('操作成功完成！'));
       if (action === 'delete') {
         await loadRedemptions(0);
       }
@@ -142,15 +143,15 @@ export default function Redemption() {
   return (
     <>
       <Stack direction="row" alignItems="center" justifyContent="space-between" mb={2.5}>
-        <Typography variant="h4">兑换</Typography>
+        <Typography variant="h4">{t('兑换')}</Typography>
 
         <Button variant="contained" color="primary" startIcon={<IconPlus />} onClick={() => handleOpenModal(0)}>
-          新建兑换码
+          {t('新建兑换码')}
         </Button>
       </Stack>
       <Card>
         <Box component="form" onSubmit={searchRedemptions} noValidate sx={{marginTop: 2}}>
-          <TableToolBar filterName={searchKeyword} handleFilterName={handleSearchKeyword} placeholder={'搜索兑换码的ID和名称...'} />
+          <TableToolBar filterName={searchKeyword} handleFilterName={handleSearchKeyword} placeholder={t('搜索兑换码的ID和名称...')} />
         </Box>
         <Toolbar
           sx={{
@@ -164,7 +165,7 @@ export default function Redemption() {
           <Container>
             <ButtonGroup variant="outlined" aria-label="outlined small primary button group" sx={{marginBottom: 2}}>
               <Button onClick={handleRefresh} startIcon={<IconRefresh width={'18px'} />}>
-                刷新
+                {t('刷新')}
               </Button>
             </ButtonGroup>
           </Container>
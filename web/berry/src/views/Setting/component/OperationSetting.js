@@ -8,16 +8,34 @@ import {
   Checkbox,
   Button,
   FormControlLabel,
+  Alert,
+  IconButton,
   TextField,
 } from "@mui/material";
+import { IconPlus, IconTrash } from "@tabler/icons-react";
+import { validateClientTemplates, t } from "one-api-common";
 import { showSuccess, showError, verifyJSON } from "utils/common";
-import { API } from "utils/api";
+import { API, api } from "utils/api";
+import JsonMapEditor from "ui-component/JsonMapEditor";
 import { AdapterDayjs } from "@mui/x-date-pickers/AdapterDayjs";
 import { LocalizationProvider } from "@mui/x-date-pickers/LocalizationProvider";
 import { DateTimePicker } from "@mui/x-date-pickers/DateTimePicker";
 import dayjs from "dayjs";
 require("dayjs/locale/zh-cn");
 
+const RATIO_LABELS = {
+  ModelRatio: "模型倍率",
+  CompletionRatio: "补全倍率",
+  GroupRatio: "分组倍率",
+};
+
+const RATIO_PLACEHOLDERS = {
+  ModelRatio: "为一个 JSON 文本，键为模型名称，值为倍率",
+  CompletionRatio:
+    "为一个 JSON 文本，键为模型名称，值为倍率，此处的倍率设置是模型补全倍率相较于提示倍率的比例，使用该设置可强制覆盖 One API 的内部比例",
+  GroupRatio: "为一个 JSON 文本，键为分组名称，值为倍率",
+};
+
 const OperationSetting = () => {
   let now = new Date();
   let [inputs, setInputs] = useState({
@@ -42,6 +60,10 @@ const OperationSetting = () => {
     RetryTimes: 0,
   });
   const [originInputs, setOriginInputs] = useState({});
+  const [ratioErrors, setRatioErrors] = useState({});
+  const [modelNames, setModelNames] = useState([]);
+  const [groupNames, setGroupNames] = useState([]);
+  const [clientTemplates, setClientTemplates] = useState([]);
   let [loading, setLoading] = useState(false);
   let [historyTimestamp, setHistoryTimestamp] = useState(
     now.getTime() / 1000 - 30 * 24 * 3600
@@ -59,6 +81,9 @@ const OperationSetting = () => {
         if (item.value === '{}') {
           item.value = '';
         }
+        if (item.key === "ClientTemplates") {
+          setClientTemplates(JSON.parse(item.value) || []);
+        }
         newInputs[item.key] = item.value;
       });
       setInputs(newInputs);
@@ -70,6 +95,16 @@ const OperationSetting = () => {
 
   useEffect(() => {
     getOptions().then();
+    api.channel
+      .models()
+      .then(({ data }) => setModelNames(data.map((model) => model.id)))
+      .catch(() => {});
+    api.group
+      .list()
+      .then(({ success, data }) => {
+        if (success) setGroupNames(data);
+      })
+      .catch(() => {});
   }, []);
 
   const updateOption = async (key, value) => {
@@ -84,6 +119,7 @@ const OperationSetting = () => {
     const { success, message } = res.data;
     if (success) {
       setInputs((inputs) => ({ ...inputs, [key]: value }));
+      setOriginInputs((originInputs) => ({ ...originInputs, [key]: value }));
     } else {
       showError(message);
     }
@@ -95,12 +131,25 @@ const OperationSetting = () => {
 
     if (name.endsWith("Enabled")) {
       await updateOption(name, value);
-      showSuccess("设置成功！");
+      showSuccess(t('设置成功！'));
     } else {
       setInputs((inputs) => ({ ...inputs, [name]: value }));
     }
   };
 
+  const handleRatioChange = (name, value, errors) => {
+    setInputs((inputs) => ({ ...inputs, [name]: value }));
+    setRatioErrors((ratioErrors) => ({ ...ratioErrors, [name]: errors }));
+  };
+
+  const updateClientTemplate = (idx, field, value) => {
+    setClientTemplates((templates) =>
+      templates.map((template, i) =>
+        i === idx ? { ...template, [field]: value } : template
+      )
+    );
+  };
+
   const submitConfig = async (group) => {
     switch (group) {
       case "monitor":
@@ -123,23 +172,29 @@ const OperationSetting = () => {
         }
         break;
       case "ratio":
+        for (const key of Object.keys(RATIO_LABELS)) {
+          if (ratioErrors[key] && ratioErrors[key].length > 0) {
+            showError(t('{label}有误：{error}', { label: t(RATIO_LABELS[key]), error: ratioErrors[key][0] }));
+            return;
+          }
+        }
         if (originInputs["ModelRatio"] !== inputs.ModelRatio) {
           if (!verifyJSON(inputs.ModelRatio)) {
-            showError("模型倍率不是合法的 JSON 字符串");
+            showError(t('模型倍率不是合法的 JSON 字符串'));
             return;
           }
           await updateOption("ModelRatio", inputs.ModelRatio);
         }
         if (originInputs["GroupRatio"] !== inputs.GroupRatio) {
           if (!verifyJSON(inputs.GroupRatio)) {
-            showError("分组倍率不是合法的 JSON 字符串");
+            showError(t('分组倍率不是合法的 JSON 字符串'));
             return;
           }
           await updateOption("GroupRatio", inputs.GroupRatio);
         }
         if (originInputs['CompletionRatio'] !== inputs.CompletionRatio) {
           if (!verifyJSON(inputs.CompletionRatio)) {
-            showError('补全倍率不是合法的 JSON 字符串');
+            showError(t('补全倍率不是合法的 JSON 字符串'));
             return;
           }
           await updateOption('CompletionRatio', inputs.CompletionRatio);
@@ -173,9 +228,26 @@ const OperationSetting = () => {
           await updateOption("RetryTimes", inputs.RetryTimes);
         }
         break;
+      case "client": {
+        const errors = validateClientTemplates(clientTemplates);
+        if (errors.length > 0) {
+          showError(errors[0]);
+          return;
+        }
+        const value = JSON.stringify(
+          clientTemplates.map((template) => ({
+            name: template.name.trim(),
+            url: template.url.trim(),
+          }))
+        );
+        if (originInputs["ClientTemplates"] !== value) {
+          await updateOption("ClientTemplates", value);
+        }
+        break;
+      }
     }
 
-    showSuccess("保存成功！");
+    showSuccess(t('保存成功！'));
   };
 
   const deleteHistoryLogs = async () => {
@@ -184,65 +256,65 @@ const OperationSetting = () => {
     );
     const { success, message, data } = res.data;
     if (success) {
-      showSuccess(`${data} 条日志已清理！`);
+      showSuccess(t('{count} 条日志已清理！', { count: data }));
       return;
     }
-    showError("日志清理失败：" + message);
+    showError(t('日志清理失败：{message}', { message }));
   };
 
   return (
     <Stack spacing={2}>
-      <SubCard title="通用设置">
+      <SubCard title={t('通用设置')}>
         <Stack justifyContent="flex-start" alignItems="flex-start" spacing={2}>
           <Stack
             direction={{ sm: "column", md: "row" }}
             spacing={{ xs: 3, sm: 2, md: 4 }}
           >
             <FormControl fullWidth>
-              <InputLabel htmlFor="TopUpLink">充值链接</InputLabel>
+              <InputLabel htmlFor="TopUpLink">{t('充值链接')}</InputLabel>
               <OutlinedInput
                 id="TopUpLink"
                 name="TopUpLink"
                 value={inputs.TopUpLink}
                 onChange={handleInputChange}
-                label="充值链接"
-                placeholder="例如发卡网站的购买链接"
+                label={t('充值链接')}
+                placeholder={t('例如发卡网站的购买链接')}
                 disabled={loading}
               />
             </FormControl>
             <FormControl fullWidth>
-              <InputLabel htmlFor="ChatLink">聊天链接</InputLabel>
+              <InputLabel htmlFor="ChatLink">{t('聊天链接')}</InputLabel>
               <OutlinedInput
                 id="ChatLink"
                 name="ChatLink"
                 value={inputs.ChatLink}
                 onChange={handleInputChange}
-                label="聊天链接"
-                placeholder="例如 ChatGPT Next Web 的部署地址"
+                label={t('聊天链接')}
+                placeholder={t('例如 ChatGPT Next Web 的部署地址')}
                 disabled={loading}
               />
             </FormControl>
             <FormControl fullWidth>
-              <InputLabel htmlFor="QuotaPerUnit">单位额度</InputLabel>
+              <InputLabel htmlFor="QuotaPerUnit">{t('单位额度')}</InputLabel>
               <OutlinedInput
                 id="QuotaPerUnit"
                 name="QuotaPerUnit"
                 value={inputs.QuotaPerUnit}
                 onChange={handleInputChange}
-                label="单位额度"
-                placeholder="一单位货币能兑换的额度"
+                label={t('单位额度')}
+                placeholder={t('一单位货币能兑换的额度')}
                 disabled={loading}
               />
             </FormControl>
             <FormControl fullWidth>
-              <InputLabel htmlFor="RetryTimes">重试次数</InputLabel>
+              <InputLabel htmlFor="RetryTimes">{t('重试次数')}</InputLabel>
               <OutlinedInput
                 id="RetryTimes"
                 name="RetryTimes"
                 value={inputs.RetryTimes}
                 onChange={handleInputChange}
-                label="重试次数"
-                placeholder="重试次数"
+                label={t('重试次数')}
+                placeholder={t('重试次数')}
                 disabled={loading}
               />
             </FormControl>
@@ -255,7 +327,7 @@ const OperationSetting = () => {
           >
             <FormControlLabel
               sx={{ marginLeft: "0px" }}
-              label="以货币形式显示额度"
+              label={t('以货币形式显示额度')}
               control={
                 <Checkbox
                   checked={inputs.DisplayInCurrencyEnabled === "true"}
@@ -266,7 +338,7 @@ const OperationSetting = () => {
             />
 
             <FormControlLabel
-              label="Billing 相关 API 显示令牌额度而非用户额度"
+              label={t('Billing 相关 API 显示令牌额度而非用户额度')}
               control={
                 <Checkbox
                   checked={inputs.DisplayTokenStatEnabled === "true"}
@@ -277,7 +349,7 @@ const OperationSetting = () => {
             />
 
             <FormControlLabel
-              label="使用近似的方式估算 token 数以减少计算量"
+              label={t('使用近似的方式估算 token 数以减少计算量')}
               control={
                 <Checkbox
                   checked={inputs.ApproximateTokenEnabled === "true"}
@@ -293,11 +365,77 @@ const OperationSetting = () => {
               submitConfig("general").then();
             }}
           >
-            保存通用设置
+            {t('保存通用设置')}
+          </Button>
+        </Stack>
+      </SubCard>
+      <SubCard title={t('客户端模板')}>
+        <Stack justifyContent="flex-start" alignItems="flex-start" spacing={2}>
+          <Alert severity="info" sx={{ width: "100%" }}>
+            {t('令牌列表中“复制”与“聊天”菜单里的客户端，以及“使用”对话框中的扫码导入。链接中的')}{" "}
+            {"{key}"} {t('会被替换为带 sk- 前缀的令牌，')}{"{server}"} {t('为站点地址，')}
+            {"{server_encoded}"} {t('为 URL 编码后的站点地址。')}
+          </Alert>
+          {clientTemplates.map((template, idx) => (
+            <Stack
+              key={idx}
+              direction="row"
+              spacing={1}
+              alignItems="center"
+              sx={{ width: "100%" }}
+            >
+              <TextField
+                size="small"
+                label={t('名称')}
+                value={template.name}
+                onChange={(e) =>
+                  updateClientTemplate(idx, "name", e.target.value)
+                }
+                disabled={loading}
+                sx={{ width: 200 }}
+              />
+              <TextField
+                size="small"
+                label={t('链接')}
+                value={template.url}
+                placeholder={t('例如 opencat://team/join?domain={server_encoded}&token={key}')}
+                onChange={(e) =>
+                  updateClientTemplate(idx, "url", e.target.value)
+                }
+                disabled={loading}
+                fullWidth
+              />
+              <IconButton
+                onClick={() =>
+                  setClientTemplates(
+                    clientTemplates.filter((item, i) => i !== idx)
+                  )
+                }
+              >
+                <IconTrash width={18} />
+              </IconButton>
+            </Stack>
+          ))}
+          <Button
+            size="small"
+            startIcon={<IconPlus width={16} />}
+            onClick={() =>
+              setClientTemplates([...clientTemplates, { name: "", url: "" }])
+            }
+          >
+            {t('添加一行')}
+          </Button>
+          <Button
+            variant="contained"
+            onClick={() => {
+              submitConfig("client").then();
+            }}
+          >
+            {t('保存客户端模板')}
           </Button>
         </Stack>
       </SubCard>
-      <SubCard title="日志设置">
+      <SubCard title={t('日志设置')}>
         <Stack
           direction="column"
           justifyContent="flex-start"
@@ -305,7 +443,7 @@ const OperationSetting = () => {
           spacing={2}
         >
           <FormControlLabel
-            label="启用日志消费"
+            label={t('启用日志消费')}
             control={
               <Checkbox
                 checked={inputs.LogConsumeEnabled === "true"}
@@ -321,8 +459,8 @@ const OperationSetting = () => {
               adapterLocale={"zh-cn"}
             >
               <DateTimePicker
-                label="日志清理时间"
-                placeholder="日志清理时间"
+                label={t('日志清理时间')}
+                placeholder={t('日志清理时间')}
                 ampm={false}
                 name="historyTimestamp"
                 value={
@@ -350,11 +488,11 @@ const OperationSetting = () => {
               deleteHistoryLogs().then();
             }}
           >
-            清理历史日志
+            {t('清理历史日志')}
           </Button>
         </Stack>
       </SubCard>
-      <SubCard title="监控设置">
+      <SubCard title={t('监控设置')}>
         <Stack justifyContent="flex-start" alignItems="flex-start" spacing={2}>
           <Stack
             direction={{ sm: "column", md: "row" }}
@@ -362,7 +500,7 @@ const OperationSetting = () => {
           >
             <FormControl fullWidth>
               <InputLabel htmlFor="ChannelDisableThreshold">
-                最长响应时间
+                {t('最长响应时间')}
               </InputLabel>
               <OutlinedInput
                 id="ChannelDisableThreshold"
@@ -370,14 +508,14 @@ const OperationSetting = () => {
                 type="number"
                 value={inputs.ChannelDisableThreshold}
                 onChange={handleInputChange}
-                label="最长响应时间"
-                placeholder="单位秒，当运行渠道全部测试时，超过此时间将自动禁用渠道"
+                label={t('最长响应时间')}
+                placeholder={t('单位秒，当运行渠道全部测试时，超过此时间将自动禁用渠道')}
                 disabled={loading}
               />
             </FormControl>
             <FormControl fullWidth>
               <InputLabel htmlFor="QuotaRemindThreshold">
-                额度提醒阈值
+                {t('额度提醒阈值')}
               </InputLabel>
               <OutlinedInput
                 id="QuotaRemindThreshold"
@@ -385,14 +523,14 @@ const OperationSetting = () => {
                 type="number"
                 value={inputs.QuotaRemindThreshold}
                 onChange={handleInputChange}
-                label="额度提醒阈值"
-                placeholder="低于此额度时将发送邮件提醒用户"
+                label={t('额度提醒阈值')}
+                placeholder={t('低于此额度时将发送邮件提醒用户')}
                 disabled={loading}
               />
             </FormControl>
           </Stack>
           <FormControlLabel
-            label="失败时自动禁用渠道"
+            label={t('失败时自动禁用渠道')}
             control={
               <Checkbox
                 checked={inputs.AutomaticDisableChannelEnabled === "true"}
@@ -402,7 +540,7 @@ const OperationSetting = () => {
             }
           />
           <FormControlLabel
-            label="成功时自动启用渠道"
+            label={t('成功时自动启用渠道')}
             control={
               <Checkbox
                 checked={inputs.AutomaticEnableChannelEnabled === "true"}
@@ -417,70 +555,70 @@ const OperationSetting = () => {
               submitConfig("monitor").then();
             }}
           >
-            保存监控设置
+            {t('保存监控设置')}
           </Button>
         </Stack>
       </SubCard>
-      <SubCard title="额度设置">
+      <SubCard title={t('额度设置')}>
         <Stack justifyContent="flex-start" alignItems="flex-start" spacing={2}>
           <Stack
             direction={{ sm: "column", md: "row" }}
             spacing={{ xs: 3, sm: 2, md: 4 }}
           >
             <FormControl fullWidth>
-              <InputLabel htmlFor="QuotaForNewUser">新用户初始额度</InputLabel>
+              <InputLabel htmlFor="QuotaForNewUser">{t('新用户初始额度')}</InputLabel>
               <OutlinedInput
                 id="QuotaForNewUser"
                 name="QuotaForNewUser"
                 type="number"
                 value={inputs.QuotaForNewUser}
                 onChange={handleInputChange}
-                label="新用户初始额度"
-                placeholder="例如：100"
+                label={t('新用户初始额度')}
+                placeholder={t('例如：100')}
                 disabled={loading}
               />
             </FormControl>
             <FormControl fullWidth>
-              <InputLabel htmlFor="PreConsumedQuota">请求预扣费额度</InputLabel>
+              <InputLabel htmlFor="PreConsumedQuota">{t('请求预扣费额度')}</InputLabel>
               <OutlinedInput
                 id="PreConsumedQuota"
                 name="PreConsumedQuota"
                 type="number"
                 value={inputs.PreConsumedQuota}
                 onChange={handleInputChange}
-                label="请求预扣费额度"
-                placeholder="请求结束后多退少补"
+                label={t('请求预扣费额度')}
+                placeholder={t('请求结束后多退少补')}
                 disabled={loading}
               />
             </FormControl>
             <FormControl fullWidth>
               <InputLabel htmlFor="QuotaForInviter">
-                邀请新用户奖励额度
+                {t('邀请新用户奖励额度')}
               </InputLabel>
               <OutlinedInput
                 id="QuotaForInviter"
                 name="QuotaForInviter"
                 type="number"
-                label="邀请新用户奖励额度"
+                label={t('邀请新用户奖励额度')}
                 value={inputs.QuotaForInviter}
                 onChange={handleInputChange}
-                placeholder="例如：2000"
+                placeholder={t('例如：2000')}
                 disabled={loading}
               />
             </FormControl>
             <FormControl fullWidth>
               <InputLabel htmlFor="QuotaForInvitee">
-                新用户使用邀请码奖励额度
+                {t('新用户使用邀请码奖励额度')}
               </InputLabel>
               <OutlinedInput
                 id="QuotaForInvitee"
                 name="QuotaForInvitee"
                 type="number"
-                label="新用户使用邀请码奖励额度"
+                label={t('新用户使用邀请码奖励额度')}
                 value={inputs.QuotaForInvitee}
                 onChange={handleInputChange}
                 autoComplete="new-password"
-                placeholder="例如：1000"
+                placeholder={t('例如：1000')}
                 disabled={loading}
               />
             </FormControl>
@@ -491,61 +629,34 @@ const OperationSetting = () => {
               submitConfig("quota").then();
             }}
           >
-            保存额度设置
+            {t('保存额度设置')}
           </Button>
         </Stack>
       </SubCard>
-      <SubCard title="倍率设置">
+      <SubCard title={t('倍率设置')}>
         <Stack justifyContent="flex-start" alignItems="flex-start" spacing={2}>
-          <FormControl fullWidth>
-            <TextField
-              multiline
-              maxRows={15}
-              id="channel-ModelRatio-label"
-              label="模型倍率"
-              value={inputs.ModelRatio}
-              name="ModelRatio"
-              onChange={handleInputChange}
-              aria-describedby="helper-text-channel-ModelRatio-label"
-              minRows={5}
-              placeholder="为一个 JSON 文本，键为模型名称，值为倍率"
+          {Object.keys(RATIO_LABELS).map((name) => (
+            <JsonMapEditor
+              key={name}
+              label={t(RATIO_LABELS[name])}
+              numeric
+              emptyText="{}"
+              value={inputs[name]}
+              savedValue={originInputs[name]}
+              onChange={(value, errors) => handleRatioChange(name, value, errors)}
+              keyLabel={name === "GroupRatio" ? t('分组') : t('模型')}
+              valueLabel={t('倍率')}
+              keyOptions={name === "GroupRatio" ? groupNames : modelNames}
+              placeholder={t(RATIO_PLACEHOLDERS[name])}
             />
-          </FormControl>
-          <FormControl fullWidth>
-            <TextField
-              multiline
-              maxRows={15}
-              id="channel-CompletionRatio-label"
-              label="补全倍率"
-              value={inputs.CompletionRatio}
-              name="CompletionRatio"
-              onChange={handleInputChange}
-              aria-describedby="helper-text-channel-CompletionRatio-label"
-              minRows={5}
-              placeholder="为一个 JSON 文本，键为模型名称，值为倍率，此处的倍率设置是模型补全倍率相较于提示倍率的比例，使用该设置可强制覆盖 One API 的内部比例"
-            />
-          </FormControl>
-          <FormControl fullWidth>
-            <TextField
-              multiline
-              maxRows={15}
-              id="channel-GroupRatio-label"
-              label="分组倍率"
-              value={inputs.GroupRatio}
-              name="GroupRatio"
-              onChange={handleInputChange}
-              aria-describedby="helper-text-channel-GroupRatio-label"
-              minRows={5}
-              placeholder="为一个 JSON 文本，键为分组名称，值为倍率"
-            />
-          </FormControl>
+          ))}
           <Button
             variant="contained"
             onClick={() => {
               submitConfig("ratio").then();
             }}
           >
-            保存倍率设置
+            {t('保存倍率设置')}
           </Button>
         </Stack>
       </SubCard>
@@ -21,6 +21,7 @@ import Grid from '@mui/material/Unstable_Grid2';
 import { showError, showSuccess, removeTrailingSlash } from 'utils/common'; //,
 import { API } from 'utils/api';
 import { createFilterOptions } from '@mui/material/Autocomplete';
+import { t } from 'one-api-common';
 
 const filter = createFilterOptions();
 const SystemSetting = () => {
@@ -53,6 +54,8 @@ const SystemSetting = () => {
     WeChatServerToken: '',
     WeChatAccountQRCodeImageURL: '',
     TurnstileCheckEnabled: '',
+    AdminTwoFactorRequiredEnabled: '',
+    PasskeyLoginEnabled: '',
     TurnstileSiteKey: '',
     TurnstileSecretKey: '',
     RegisterEnabled: '',
@@ -99,6 +102,8 @@ const SystemSetting = () => {
       case 'GitHubOAuthEnabled':
       case 'WeChatAuthEnabled':
       case 'TurnstileCheckEnabled':
+      case 'AdminTwoFactorRequiredEnabled':
+      case 'PasskeyLoginEnabled':
       case 'EmailDomainRestrictionEnabled':
       case 'RegisterEnabled':
       case 'OidcEnabled':
@@ -120,7 +125,7 @@ const SystemSetting = () => {
         ...inputs,
         [key]: value
       }));
-      showSuccess('设置成功！');
+      showSuccess(t('设置成功！'));
     } else {
       showError(message);
     }
@@ -243,7 +248,7 @@ const SystemSetting = () => {
   const submitOidc = async () => {
     if (inputs.OidcWellKnown !== '') {
       if (!inputs.OidcWellKnown.startsWith('http://') && !inputs.OidcWellKnown.startsWith('https://')) {
-        showError('Well-Known URL 必须以 http:// 或 https:// 开头');
+        showError(t('Well-Known URL 必须以 http:// 或 https:// 开头'));
         return;
       }
       try {
@@ -251,9 +256,9 @@ const SystemSetting = () => {
         inputs.OidcAuthorizationEndpoint = res.data['authorization_endpoint'];
         inputs.OidcTokenEndpoint = res.data['token_endpoint'];
         inputs.OidcUserinfoEndpoint = res.data['userinfo_endpoint'];
-        showSuccess('获取 OIDC 配置成功！');
+        showSuccess(t('获取 OIDC 配置成功！'));
       } catch (err) {
-        showError("获取 OIDC 配置失败，请检查网络状况和 Well-Known URL 是否正确");
+        showError(t('获取 OIDC 配置失败，请检查网络状况和 Well-Known URL 是否正确'));
       }
     }
 
@@ -280,34 +285,34 @@ const SystemSetting = () => {
   return (
     <>
       <Stack spacing={2}>
-        <SubCard title="通用设置">
+        <SubCard title={t('通用设置')}>
           <Grid container spacing={{ xs: 3, sm: 2, md: 4 }}>
             <Grid xs={12}>
               <FormControl fullWidth>
-                <InputLabel htmlFor="ServerAddress">服务器地址</InputLabel>
+                <InputLabel htmlFor="ServerAddress">{t('服务器地址')}</InputLabel>
                 <OutlinedInput
                   id="ServerAddress"
                   name="ServerAddress"
                   value={inputs.ServerAddress || ''}
                   onChange={handleInputChange}
-                  label="服务器地址"
-                  placeholder="例如：https://yourdomain.com"
+                  label={t('服务器地址')}
+                  placeholder={t('例如：https://yourdomain.com')}
                   disabled={loading}
                 />
               </FormControl>
             </Grid>
             <Grid xs={12}>
               <Button variant="contained" onClick={submitServerAddress}>
-                更新服务器地址
+                {t('更新服务器地址')}
               </Button>
             </Grid>
           </Grid>
         </SubCard>
-        <SubCard title="配置登录注册">
+        <SubCard title={t('配置登录注册')}>
           <Grid container spacing={{ xs: 3, sm: 2, md: 4 }}>
             <Grid xs={12} md={3}>
               <FormControlLabel
-                label="允许通过密码进行登录"
+                label={t('允许通过密码进行登录')}
                 control={
                   <Checkbox checked={inputs.PasswordLoginEnabled === 'true'} onChange={handleInputChange} name="PasswordLoginEnabled" />
                 }
@@ -315,7 +320,7 @@ const SystemSetting = () => {
             </Grid>
             <Grid xs={12} md={3}>
               <FormControlLabel
-                label="允许通过密码进行注册"
+                label={t('允许通过密码进行注册')}
                 control={
                   <Checkbox
                     checked={inputs.PasswordRegisterEnabled === 'true'}
@@ -327,7 +332,7 @@ const SystemSetting = () => {
             </Grid>
             <Grid xs={12} md={3}>
               <FormControlLabel
-                label="通过密码注册时需要进行邮箱验证"
+                label={t('通过密码注册时需要进行邮箱验证')}
                 control={
                   <Checkbox
                     checked={inputs.EmailVerificationEnabled === 'true'}
@@ -339,43 +344,63 @@ const SystemSetting = () => {
             </Grid>
             <Grid xs={12} md={3}>
               <FormControlLabel
-                label="允许通过 GitHub 账户登录 & 注册"
+                label={t('允许通过 GitHub 账户登录 & 注册')}
                 control={<Checkbox checked={inputs.GitHubOAuthEnabled === 'true'} onChange={handleInputChange} name="GitHubOAuthEnabled" />}
               />
             </Grid>
             <Grid xs={12} md={3}>
               <FormControlLabel
-                label="允许通过 OIDC 登录 & 注册"
+                label={t('允许通过 OIDC 登录 & 注册')}
                 control={<Checkbox checked={inputs.OidcEnabled === 'true'} onChange={handleInputChange} name="OidcEnabled" />}
               />
             </Grid>
             <Grid xs={12} md={3}>
               <FormControlLabel
-                label="允许通过微信登录 & 注册"
+                label={t('允许通过微信登录 & 注册')}
                 control={<Checkbox checked={inputs.WeChatAuthEnabled === 'true'} onChange={handleInputChange} name="WeChatAuthEnabled" />}
               />
             </Grid>
             <Grid xs={12} md={3}>
               <FormControlLabel
-                label="允许新用户注册（此项为否时，新用户将无法以任何方式进行注册）"
+                label={t('允许新用户注册（此项为否时，新用户将无法以任何方式进行注册）')}
                 control={<Checkbox checked={inputs.RegisterEnabled === 'true'} onChange={handleInputChange} name="RegisterEnabled" />}
               />
             </Grid>
             <Grid xs={12} md={3}>
               <FormControlLabel
-                label="启用 Turnstile 用户校验"
+                label={t('启用 Turnstile 用户校验')}
                 control={
                   <Checkbox checked={inputs.TurnstileCheckEnabled === 'true'} onChange={handleInputChange} name="TurnstileCheckEnabled" />
                 }
               />
             </Grid>
+            <Grid xs={12} md={3}>
+              <FormControlLabel
+                label={t('要求管理员启用两步验证')}
+                control={
+                  <Checkbox
+                    checked={inputs.AdminTwoFactorRequiredEnabled === 'true'}
+                    onChange={handleInputChange}
+                    name="AdminTwoFactorRequiredEnabled"
+                  />
+                }
+              />
+            </Grid>
+            <Grid xs={12} md={3}>
+              <FormControlLabel
+                label={t('允许通过 Passkey 登录')}
+                control={
+                  <Checkbox checked={inputs.PasskeyLoginEnabled === 'true'} onChange={handleInputChange} name="PasskeyLoginEnabled" />
+                }
+              />
+            </Grid>
           </Grid>
         </SubCard>
-        <SubCard title="配置邮箱域名白名单" subTitle="用以防止恶意用户利用临时邮箱批量注册">
+        <SubCard title={t('配置邮箱域名白名单')} subTitle={t('用以防止恶意用户利用临时邮箱批量注册')}>
           <Grid container spacing={{ xs: 3, sm: 2, md: 4 }}>
             <Grid xs={12}>
               <FormControlLabel
-                label="启用邮箱域名白名单"
+                label={t('启用邮箱域名白名单')}
                 control={
                   <Checkbox
                     checked={inputs.EmailDomainRestrictionEnabled === 'true'}
@@ -403,7 +428,7 @@ const SystemSetting = () => {
                     handleInputChange(event);
                   }}
                   filterSelectedOptions
-                  renderInput={(params) => <TextField {...params} name="EmailDomainWhitelist" label="允许的邮箱域名" />}
+                  renderInput={(params) => <TextField {...params} name="EmailDomainWhitelist" label={t('允许的邮箱域名')} />}
                   filterOptions={(options, params) => {
                     const filtered = filter(options, params);
                     const { inputValue } = params;
@@ -418,108 +443,108 @@ const SystemSetting = () => {
             </Grid>
             <Grid xs={12}>
               <Button variant="contained" onClick={submitEmailDomainWhitelist}>
-                保存邮箱域名白名单设置
+                {t('保存邮箱域名白名单设置')}
               </Button>
             </Grid>
           </Grid>
         </SubCard>
-        <SubCard title="配置 SMTP" subTitle="用以支持系统的邮件发送">
+        <SubCard title={t('配置 SMTP')} subTitle={t('用以支持系统的邮件发送')}>
           <Grid container spacing={{ xs: 3, sm: 2, md: 4 }}>
             <Grid xs={12} md={4}>
               <FormControl fullWidth>
-                <InputLabel htmlFor="SMTPServer">SMTP 服务器地址</InputLabel>
+                <InputLabel htmlFor="SMTPServer">{t('SMTP 服务器地址')}</InputLabel>
                 <OutlinedInput
                   id="SMTPServer"
                   name="SMTPServer"
                   value={inputs.SMTPServer || ''}
                   onChange={handleInputChange}
-                  label="SMTP 服务器地址"
-                  placeholder="例如：smtp.qq.com"
+                  label={t('SMTP 服务器地址')}
+                  placeholder={t('例如：smtp.qq.com')}
                   disabled={loading}
                 />
               </FormControl>
             </Grid>
             <Grid xs={12} md={4}>
               <FormControl fullWidth>
-                <InputLabel htmlFor="SMTPPort">SMTP 端口</InputLabel>
+                <InputLabel htmlFor="SMTPPort">{t('SMTP 端口')}</InputLabel>
                 <OutlinedInput
                   id="SMTPPort"
                   name="SMTPPort"
                   value={inputs.SMTPPort || ''}
                   onChange={handleInputChange}
-                  label="SMTP 端口"
-                  placeholder="默认: 587"
+                  label={t('SMTP 端口')}
+                  placeholder={t('默认: 587')}
                   disabled={loading}
                 />
               </FormControl>
             </Grid>
             <Grid xs={12} md={4}>
               <FormControl fullWidth>
-                <InputLabel htmlFor="SMTPAccount">SMTP 账户</InputLabel>
+                <InputLabel htmlFor="SMTPAccount">{t('SMTP 账户')}</InputLabel>
                 <OutlinedInput
                   id="SMTPAccount"
                   name="SMTPAccount"
                   value={inputs.SMTPAccount || ''}
                   onChange={handleInputChange}
-                  label="SMTP 账户"
-                  placeholder="通常是邮箱地址"
+                  label={t('SMTP 账户')}
+                  placeholder={t('通常是邮箱地址')}
                   disabled={loading}
                 />
               </FormControl>
             </Grid>
             <Grid xs={12} md={4}>
               <FormControl fullWidth>
-                <InputLabel htmlFor="SMTPFrom">SMTP 发送者邮箱</InputLabel>
+                <InputLabel htmlFor="SMTPFrom">{t('SMTP 发送者邮箱')}</InputLabel>
                 <OutlinedInput
                   id="SMTPFrom"
                   name="SMTPFrom"
                   value={inputs.SMTPFrom || ''}
                   onChange={handleInputChange}
-                  label="SMTP 发送者邮箱"
-                  placeholder="通常和邮箱地址保持一致"
+                  label={t('SMTP 发送者邮箱')}
+                  placeholder={t('通常和邮箱地址保持一致')}
                   disabled={loading}
                 />
               </FormControl>
             </Grid>
             <Grid xs={12} md={4}>
               <FormControl fullWidth>
-                <InputLabel htmlFor="SMTPToken">SMTP 访问凭证</InputLabel>
+                <InputLabel htmlFor="SMTPToken">{t('SMTP 访问凭证')}</InputLabel>
                 <OutlinedInput
                   id="SMTPToken"
                   name="SMTPToken"
                   value={inputs.SMTPToken || ''}
                   onChange={handleInputChange}
-                  label="SMTP 访问凭证"
-                  placeholder="敏感信息不会发送到前端显示"
+                  label={t('SMTP 访问凭证')}
+                  placeholder={t('敏感信息不会发送到前端显示')}
                   disabled={loading}
                 />
               </FormControl>
             </Grid>
             <Grid xs={12}>
               <Button variant="contained" onClick={submitSMTP}>
-                保存 SMTP 设置
+                {t('保存 SMTP 设置')}
               </Button>
             </Grid>
           </Grid>
         </SubCard>
         <SubCard
-          title="配置 GitHub OAuth App"
+          title={t('配置 GitHub OAuth App')}
           subTitle={
             <span>
               {' '}
-              用以支持通过 GitHub 进行登录注册，
+              {t('用以支持通过 GitHub 进行登录注册，')}
               <a href="https://github.com/settings/developers" target="_blank" rel="noopener noreferrer">
-                点击此处
+                {t('点击此处')}
               </a>
-              管理你的 GitHub OAuth App
+              {t('管理你的 GitHub OAuth App')}
             </span>
           }
         >
           <Grid container spacing={{ xs: 3, sm: 2, md: 4 }}>
             <Grid xs={12}>
               <Alert severity="info" sx={{ wordWrap: 'break-word' }}>
-                Homepage URL 填 <b>{inputs.ServerAddress}</b>
-                ，Authorization callback URL 填 <b>{`${inputs.ServerAddress}/oauth/github`}</b>
+                {t('Homepage URL 填')} <b>{inputs.ServerAddress}</b>
+                {t('，Authorization callback URL 填')} <b>{`${inputs.ServerAddress}/oauth/github`}</b>
               </Alert>
             </Grid>
             <Grid xs={12} md={6}>
@@ -531,7 +556,7 @@ const SystemSetting = () => {
                   value={inputs.GitHubClientId || ''}
                   onChange={handleInputChange}
                   label="GitHub Client ID"
-                  placeholder="输入你注册的 GitHub OAuth APP 的 ID"
+                  placeholder={t('输入你注册的 GitHub OAuth APP 的 ID')}
                   disabled={loading}
                 />
               </FormControl>
@@ -545,36 +570,36 @@ const SystemSetting = () => {
                   value={inputs.GitHubClientSecret || ''}
                   onChange={handleInputChange}
                   label="GitHub Client Secret"
-                  placeholder="敏感信息不会发送到前端显示"
+                  placeholder={t('敏感信息不会发送到前端显示')}
                   disabled={loading}
                 />
               </FormControl>
             </Grid>
             <Grid xs={12}>
               <Button variant="contained" onClick={submitGitHubOAuth}>
-                保存 GitHub OAuth 设置
+                {t('保存 GitHub OAuth 设置')}
               </Button>
             </Grid>
           </Grid>
         </SubCard>
         <SubCard
-          title="配置飞书授权登录"
+          title={t('配置飞书授权登录')}
           subTitle={
             <span>
               {' '}
-              用以支持通过飞书进行登录注册，
+              {t('用以支持通过飞书进行登录注册，')}
               <a href="https://open.feishu.cn/app" target="_blank" rel="noreferrer">
-                点击此处
+                {t('点击此处')}
               </a>
-              管理你的飞书应用
+              {t('管理你的飞书应用')}
             </span>
           }
         >
           <Grid container spacing={{ xs: 3, sm: 2, md: 4 }}>
             <Grid xs={12}>
               <Alert severity="info" sx={{ wordWrap: 'break-word' }}>
-                主页链接填 <code>{inputs.ServerAddress}</code>
-                ，重定向 URL 填 <code>{`${inputs.ServerAddress}/oauth/lark`}</code>
+                {t('主页链接填')} <code>{inputs.ServerAddress}</code>
+                {t('，重定向 URL 填')} <code>{`${inputs.ServerAddress}/oauth/lark`}</code>
               </Alert>
             </Grid>
             <Grid xs={12} md={6}>
@@ -586,7 +611,7 @@ const SystemSetting = () => {
                   value={inputs.LarkClientId || ''}
                   onChange={handleInputChange}
                   label="App ID"
-                  placeholder="输入 App ID"
+                  placeholder={t('输入 App ID')}
                   disabled={loading}
                 />
               </FormControl>
@@ -600,97 +625,97 @@ const SystemSetting = () => {
                   value={inputs.LarkClientSecret || ''}
                   onChange={handleInputChange}
                   label="App Secret"
-                  placeholder="敏感信息不会发送到前端显示"
+                  placeholder={t('敏感信息不会发送到前端显示')}
                   disabled={loading}
                 />
               </FormControl>
             </Grid>
             <Grid xs={12}>
               <Button variant="contained" onClick={submitLarkOAuth}>
-                保存飞书 OAuth 设置
+                {t('保存飞书 OAuth 设置')}
               </Button>
             </Grid>
           </Grid>
         </SubCard>
         <SubCard
-          title="配置 WeChat Server"
+          title={t('配置 WeChat Server')}
           subTitle={
             <span>
-              用以支持通过微信进行登录注册，
+              {t('用以支持通过微信进行登录注册，')}
               <a href="https://github.com/songquanpeng/wechat-server" target="_blank" rel="noopener noreferrer">
-                点击此处
+                {t('点击此处')}
               </a>
-              了解 WeChat Server
+              {t('了解 WeChat Server')}
             </span>
           }
         >
           <Grid container spacing={{ xs: 3, sm: 2, md: 4 }}>
             <Grid xs={12} md={4}>
               <FormControl fullWidth>
-                <InputLabel htmlFor="WeChatServerAddress">WeChat Server 服务器地址</InputLabel>
+                <InputLabel htmlFor="WeChatServerAddress">{t('WeChat Server 服务器地址')}</InputLabel>
                 <OutlinedInput
                   id="WeChatServerAddress"
                   name="WeChatServerAddress"
                   value={inputs.WeChatServerAddress || ''}
                   onChange={handleInputChange}
-                  label="WeChat Server 服务器地址"
-                  placeholder="例如：https://yourdomain.com"
+                  label={t('WeChat Server 服务器地址')}
+                  placeholder={t('例如：https://yourdomain.com')}
                   disabled={loading}
                 />
               </FormControl>
             </Grid>
             <Grid xs={12} md={4}>
               <FormControl fullWidth>
-                <InputLabel htmlFor="WeChatServerToken">WeChat Server 访问凭证</InputLabel>
+                <InputLabel htmlFor="WeChatServerToken">{t('WeChat Server 访问凭证')}</InputLabel>
                 <OutlinedInput
                   id="WeChatServerToken"
                   name="WeChatServerToken"
                   value={inputs.WeChatServerToken || ''}
                   onChange={handleInputChange}
-                  label="WeChat Server 访问凭证"
-                  placeholder="敏感信息不会发送到前端显示"
+                  label={t('WeChat Server 访问凭证')}
+                  placeholder={t('敏感信息不会发送到前端显示')}
                   disabled={loading}
                 />
               </FormControl>
             </Grid>
             <Grid xs={12} md={4}>
               <FormControl fullWidth>
-                <InputLabel htmlFor="WeChatAccountQRCodeImageURL">微信公众号二维码图片链接</InputLabel>
+                <InputLabel htmlFor="WeChatAccountQRCodeImageURL">{t('微信公众号二维码图片链接')}</InputLabel>
                 <OutlinedInput
                   id="WeChatAccountQRCodeImageURL"
                   name="WeChatAccountQRCodeImageURL"
                   value={inputs.WeChatAccountQRCodeImageURL || ''}
                   onChange={handleInputChange}
-                  label="微信公众号二维码图片链接"
-                  placeholder="输入一个图片链接"
+                  label={t('微信公众号二维码图片链接')}
+                  placeholder={t('输入一个图片链接')}
                   disabled={loading}
                 />
               </FormControl>
             </Grid>
             <Grid xs={12}>
               <Button variant="contained" onClick={submitWeChat}>
-                保存 WeChat Server 设置
+                {t('保存 WeChat Server 设置')}
               </Button>
             </Grid>
           </Grid>
         </SubCard>
 
         <SubCard
-          title="配置 OIDC"
+          title={t('配置 OIDC')}
           subTitle={
             <span>
-              用以支持通过 OIDC 登录，例如 Okta、Auth0 等兼容 OIDC 协议的 IdP
+              {t('用以支持通过 OIDC 登录，例如 Okta、Auth0 等兼容 OIDC 协议的 IdP')}
             </span>
           }
         >
           <Grid container spacing={ { xs: 3, sm: 2, md: 4 } }>
             <Grid xs={ 12 } md={ 12 }>
               <Alert severity="info" sx={ { wordWrap: 'break-word' } }>
-                主页链接填 <code>{ inputs.ServerAddress }</code>
-                ，重定向 URL 填 <code>{ `${ inputs.ServerAddress }/oauth/oidc` }</code>
+                {t('主页链接填')} <code>{ inputs.ServerAddress }</code>
+                {t('，重定向 URL 填')} <code>{ `${ inputs.ServerAddress }/oauth/oidc` }</code>
               </Alert> <br />
               <Alert severity="info" sx={ { wordWrap: 'break-word' } }>
-                若你的 OIDC Provider 支持 Discovery Endpoint，你可以仅填写 OIDC Well-Known URL，系统会自动获取 OIDC 配置
+                {t('若你的 OIDC Provider 支持 Discovery Endpoint，你可以仅填写 OIDC Well-Known URL，系统会自动获取 OIDC 配置')}
               </Alert>
             </Grid>
             <Grid xs={ 12 } md={ 6 }>
@@ -702,7 +727,7 @@ const SystemSetting = () => {
                   value={ inputs.OidcClientId || '' }
                   onChange={ handleInputChange }
                   label="Client ID"
-                  placeholder="输入 OIDC 的 Client ID"
+                  placeholder={t('输入 OIDC 的 Client ID')}
                   disabled={ loading }
                 />
               </FormControl>
@@ -716,7 +741,7 @@ const SystemSetting = () => {
                   value={ inputs.OidcClientSecret || '' }
                   onChange={ handleInputChange }
                   label="Client Secret"
-                  placeholder="敏感信息不会发送到前端显示"
+                  placeholder={t('敏感信息不会发送到前端显示')}
                   disabled={ loading }
                 />
               </FormControl>
@@ -730,7 +755,7 @@ const SystemSetting = () => {
                   value={ inputs.OidcWellKnown || '' }
                   onChange={ handleInputChange }
                   label="Well-Known URL"
-                  placeholder="请输入 OIDC 的 Well-Known URL"
+                  placeholder={t('请输入 OIDC 的 Well-Known URL')}
                   disabled={ loading }
                 />
               </FormControl>
@@ -744,7 +769,7 @@ const SystemSetting = () => {
                   value={ inputs.OidcAuthorizationEndpoint || '' }
                   onChange={ handleInputChange }
                   label="Authorization Endpoint"
-                  placeholder="输入 OIDC 的 Authorization Endpoint"
+                  placeholder={t('输入 OIDC 的 Authorization Endpoint')}
                   disabled={ loading }
                 />
               </FormControl>
@@ -758,7 +783,7 @@ const SystemSetting = () => {
                   value={ inputs.OidcTokenEndpoint || '' }
                   onChange={ handleInputChange }
                   label="Token Endpoint"
-                  placeholder="输入 OIDC 的 Token Endpoint"
+                  placeholder={t('输入 OIDC 的 Token Endpoint')}
                   disabled={ loading }
                 />
               </FormControl>
@@ -772,77 +797,77 @@ const SystemSetting = () => {
                   value={ inputs.OidcUserinfoEndpoint || '' }
                   onChange={ handleInputChange }
                   label="Userinfo Endpoint"
-                  placeholder="输入 OIDC 的 Userinfo Endpoint"
+                  placeholder={t('输入 OIDC 的 Userinfo Endpoint')}
                   disabled={ loading }
                 />
               </FormControl>
             </Grid>
             <Grid xs={ 12 }>
               <Button variant="contained" onClick={ submitOidc }>
-                保存 OIDC 设置
+                {t('保存 OIDC 设置')}
               </Button>
             </Grid>
           </Grid>
         </SubCard>
 
         <SubCard
-          title="配置 Message Pusher"
+          title={t('配置 Message Pusher')}
           subTitle={
             <span>
-              用以推送报警信息，
+              {t('用以推送报警信息，')}
               <a href="https://github.com/songquanpeng/message-pusher" target="_blank" rel="noreferrer">
-                点击此处
+                {t('点击此处')}
               </a>
-              了解 Message Pusher
+              {t('了解 Message Pusher')}
             </span>
           }
         >
           <Grid container spacing={{ xs: 3, sm: 2, md: 4 }}>
             <Grid xs={12} md={6}>
               <FormControl fullWidth>
-                <InputLabel htmlFor="MessagePusherAddress">Message Pusher 推送地址</InputLabel>
+                <InputLabel htmlFor="MessagePusherAddress">{t('Message Pusher 推送地址')}</InputLabel>
                 <OutlinedInput
                   id="MessagePusherAddress"
                   name="MessagePusherAddress"
                   value={inputs.MessagePusherAddress || ''}
                   onChange={handleInputChange}
-                  label="Message Pusher 推送地址"
-                  placeholder="例如：https://msgpusher.com/push/your_username"
+                  label={t('Message Pusher 推送地址')}
+                  placeholder={t('例如：https://msgpusher.com/push/your_username')}
                   disabled={loading}
                 />
               </FormControl>
             </Grid>
             <Grid xs={12} md={6}>
               <FormControl fullWidth>
-                <InputLabel htmlFor="MessagePusherToken">Message Pusher 访问凭证</InputLabel>
+                <InputLabel htmlFor="MessagePusherToken">{t('Message Pusher 访问凭证')}</InputLabel>
                 <OutlinedInput
                   id="MessagePusherToken"
                   name="MessagePusherToken"
                   type="password"
                   value={inputs.MessagePusherToken || ''}
                   onChange={handleInputChange}
-                  label="Message Pusher 访问凭证"
-                  placeholder="敏感信息不会发送到前端显示"
+                  label={t('Message Pusher 访问凭证')}
+                  placeholder={t('敏感信息不会发送到前端显示')}
                   disabled={loading}
                 />
               </FormControl>
             </Grid>
             <Grid xs={12}>
               <Button variant="contained" onClick={submitMessagePusher}>
-                保存 Message Pusher 设置
+                {t('保存 Message Pusher 设置')}
               </Button>
             </Grid>
           </Grid>
         </SubCard>
         <SubCard
-          title="配置 Turnstile"
+          title={t('配置 Turnstile')}
           subTitle={
             <span>
-              用以支持用户校验，
+              {t('用以支持用户校验，')}
               <a href="https://dash.cloudflare.com/" target="_blank" rel="noopener noreferrer">
-                点击此处
+                {t('点击此处')}
               </a>
-              管理你的 Turnstile Sites，推荐选择 Invisible Widget Type
+              {t('管理你的 Turnstile Sites，推荐选择 Invisible Widget Type')}
             </span>
           }
         >
@@ -856,7 +881,7 @@ const SystemSetting = () => {
                   value={inputs.TurnstileSiteKey || ''}
                   onChange={handleInputChange}
                   label="Turnstile Site Key"
-                  placeholder="输入你注册的 Turnstile Site Key"
+                  placeholder={t('输入你注册的 Turnstile Site Key')}
                   disabled={loading}
                 />
               </FormControl>
@@ -871,14 +896,14 @@ const SystemSetting = () => {
                   value={inputs.TurnstileSecretKey || ''}
                   onChange={handleInputChange}
                   label="Turnstile Secret Key"
-                  placeholder="敏感信息不会发送到前端显示"
+                  placeholder={t('敏感信息不会发送到前端显示')}
                   disabled={loading}
                 />
               </FormControl>
             </Grid>
             <Grid xs={12}>
               <Button variant="contained" onClick={submitTurnstile}>
-                保存 Turnstile 设置
+                {t('保存 Turnstile 设置')}
               </Button>
             </Grid>
           </Grid>
@@ -886,12 +911,12 @@ const SystemSetting = () => {
       </Stack>
       <Dialog open={showPasswordWarningModal} onClose={() => setShowPasswordWarningModal(false)} maxWidth={'md'}>
         <DialogTitle sx={{ margin: '0px', fontWeight: 700, lineHeight: '1.55556', padding: '24px', fontSize: '1.125rem' }}>
-          警告
+          {t('警告')}
         </DialogTitle>
         <Divider />
-        <DialogContent>取消密码登录将导致所有未绑定其他登录方式的用户（包括管理员）无法通过密码登录，确认取消？</DialogContent>
+        <DialogContent>{t('取消密码登录将导致所有未绑定其他登录方式的用户（包括管理员）无法通过密码登录，确认取消？')}</DialogContent>
         <DialogActions>
-          <Button onClick={() => setShowPasswordWarningModal(false)}>取消</Button>
+          <Button onClick={() => setShowPasswordWarningModal(false)}>{t('取消')}</Button>
           <Button
             sx={{ color: 'error.main' }}
             onClick={async () => {
@@ -899,7 +924,7 @@ const SystemSetting = () => {
               await updateOption('PasswordLoginEnabled', 'false');
             }}
           >
-            确定
+            {t('确定')}
           </Button>
         </DialogActions>
       </Dialog>
@@ -7,6 +7,7 @@ import SystemSetting from './component/SystemSetting';
 import OtherSetting from './component/OtherSetting';
 import AdminContainer from 'ui-component/AdminContainer';
 import { useLocation, useNavigate } from 'react-router-dom';
+import { t } from 'one-api-common';
 
 function CustomTabPanel(props) {
   const { children, value, index, ...other } = props;
@@ -66,9 +67,9 @@ const Setting = () => {
           <Box sx={{ width: '100%' }}>
             <Box sx={{ borderBottom: 1, borderColor: 'divider' }}>
               <Tabs value={value} onChange={handleChange} variant="scrollable" scrollButtons="auto">
-                <Tab label="运营设置" {...a11yProps(0)} icon={<IconActivity />} iconPosition="start" />
-                <Tab label="系统设置" {...a11yProps(1)} icon={<IconSettings />} iconPosition="start" />
-                <Tab label="其他设置" {...a11yProps(2)} icon={<IconSettings2 />} iconPosition="start" />
+                <Tab label={t('运营设置')} {...a11yProps(0)} icon={<IconActivity />} iconPosition="start" />
+                <Tab label={t('系统设置')} {...a11yProps(1)} icon={<IconSettings />} iconPosition="start" />
+                <Tab label={t('其他设置')} {...a11yProps(2)} icon={<IconSettings2 />} iconPosition="start" />
               </Tabs>
             </Box>
             <CustomTabPanel value={value} index={0}>
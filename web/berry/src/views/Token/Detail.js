@@ -0,0 +1,298 @@
+import PropTypes from 'prop-types';
+import { useEffect, useMemo, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import {
+  Box,
+  Button,
+  ButtonGroup,
+  Grid,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import Chart from 'react-apexcharts';
+import {
+  analyticsParams,
+  AnalyticsDimension,
+  AnalyticsGranularity,
+  dailySeries,
+  formatDateTime,
+  formatTokenBudget,
+  isCanceled,
+  t,
+  tokenBudgetUsage
+} from 'one-api-common';
+import MainCard from 'ui-component/cards/MainCard';
+import Label from 'ui-component/Label';
+import { gridSpacing } from 'store/constant';
+import { api } from 'utils/api';
+import { calculateQuota, renderNumber, renderQuota, showError } from 'utils/common';
+
+const RANGE_DAYS = [7, 30, 90];
+const RECENT_LOGS = 10;
+const LOG_TYPE_CONSUME = 2;
+
+const TOKEN_STATUS = {
+  1: { text: '已启用', color: 'success' },
+  2: { text: '已禁用', color: 'error' },
+  3: { text: '已过期', color: 'warning' },
+  4: { text: '已耗尽', color: 'warning' }
+};
+
+const InfoItem = ({ title, value }) => (
+  <Grid item xs={6} md={2}>
+    <Typography variant="subtitle2" color="textSecondary">
+      {title}
+    </Typography>
+    <Typography variant="h4" sx={{ mt: 1 }}>
+      {value}
+    </Typography>
+  </Grid>
+);
+
+InfoItem.propTypes = {
+  title: PropTypes.string,
+  value: PropTypes.node
+};
+
+const SimpleTable = ({ columns, rows, rowKey }) => (
+  <TableContainer>
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          {columns.map((column) => (
+            <TableCell key={column.title}>{column.title}</TableCell>
+          ))}
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {rows.length > 0 ? (
+          rows.map((row) => (
+            <TableRow key={row[rowKey]}>
+              {columns.map((column) => (
+                <TableCell key={column.title}>{column.render(row)}</TableCell>
+              ))}
+            </TableRow>
+          ))
+        ) : (
+          <TableRow>
+            <TableCell colSpan={columns.length} align="center">
+              {t('暂无数据')}
+            </TableCell>
+          </TableRow>
+        )}
+      </TableBody>
+    </Table>
+  </TableContainer>
+);
+
+SimpleTable.propTypes = {
+  columns: PropTypes.array,
+  rows: PropTypes.array,
+  rowKey: PropTypes.string
+};
+
+// 单个令牌的用量：按天的趋势、按模型的分布、最近使用的客户端 IP 与最近的日志
+const TokenDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [token, setToken] = useState(null);
+  const [days, setDays] = useState(RANGE_DAYS[0]);
+  const [usage, setUsage] = useState(null);
+  const [ips, setIps] = useState([]);
+  const [logs, setLogs] = useState([]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const options = { signal: controller.signal };
+    Promise.all([api.token.get(id, options), api.token.clientIps(id, options)])
+      .then(([tokenRes, ipsRes]) => {
+        if (tokenRes.success) {
+          setToken(tokenRes.data);
+        } else {
+          showError(tokenRes.message);
+        }
+        if (ipsRes.success) {
+          setIps(ipsRes.data || []);
+        } else {
+          showError(ipsRes.message);
+        }
+      })
+      .catch((error) => {
+        if (!isCanceled(error)) showError(error);
+      });
+    return () => controller.abort();
+  }, [id]);
+
+  useEffect(() => {
+    if (!token) return;
+    const controller = new AbortController();
+    const options = { signal: controller.signal };
+    const end = Math.floor(Date.now() / 1000);
+    const start = end - days * 86400;
+    const filters = { token_name: token.name };
+    Promise.all([
+      api.log.selfAnalytics(
+        analyticsParams({ dimension: AnalyticsDimension.Model, granularity: AnalyticsGranularity.Day, start, end }, filters),
+        options
+      ),
+      api.log.self({ ...filters, p: 0, type: LOG_TYPE_CONSUME }, options)
+    ])
+      .then(([usageRes, logsRes]) => {
+        if (usageRes.success) {
+          setUsage({ ...usageRes.data, start_timestamp: start, end_timestamp: end });
+        } else {
+          showError(usageRes.message);
+        }
+        if (logsRes.success) {
+          setLogs((logsRes.data || []).slice(0, RECENT_LOGS));
+        } else {
+          showError(logsRes.message);
+        }
+      })
+      .catch((error) => {
+        if (!isCanceled(error)) showError(error);
+      });
+    return () => controller.abort();
+  }, [token, days]);
+
+  const series = useMemo(() => (usage ? dailySeries(usage) : null), [usage]);
+
+  const trendChart = series && {
+    type: 'line',
+    height: 320,
+    series: [
+      { name: t('请求次数'), data: series.totals.map((day) => day.count) },
+      { name: t('消耗额度'), data: series.totals.map((day) => calculateQuota(day.quota, 4)) },
+      { name: 'Tokens', data: series.totals.map((day) => day.tokens) }
+    ],
+    options: {
+      chart: { id: 'token-trend', toolbar: { show: false } },
+      stroke: { curve: 'smooth', width: 3 },
+      xaxis: { categories: series.days },
+      yaxis: [
+        { title: { text: t('请求次数') } },
+        { opposite: true, title: { text: t('消耗额度') } },
+        { show: false, seriesName: 'Tokens' }
+      ],
+      legend: { position: 'bottom' }
+    }
+  };
+
+  const status = token && TOKEN_STATUS[token.status];
+  const budget = token && tokenBudgetUsage(token);
+
+  const modelColumns = [
+    { title: t('模型'), render: (row) => <span translate="no">{row.key === '' ? t('其他') : row.key}</span> },
+    { title: t('消耗额度'), render: (row) => renderQuota(row.quota, 4) },
+    {
+      title: t('占比'),
+      render: (row) => (usage.total.quota ? `${((row.quota / usage.total.quota) * 100).toFixed(1)}%` : '—')
+    },
+    { title: t('请求次数'), render: (row) => renderNumber(row.count) },
+    { title: 'Tokens', render: (row) => renderNumber(row.prompt_tokens + row.completion_tokens) }
+  ];
+
+  const ipColumns = [
+    { title: 'IP', render: (row) => row.ip },
+    { title: t('请求次数'), render: (row) => renderNumber(row.count) },
+    { title: t('最近使用'), render: (row) => formatDateTime(row.last_seen) }
+  ];
+
+  const logColumns = [
+    { title: t('时间'), render: (row) => formatDateTime(row.created_at) },
+    { title: t('模型'), render: (row) => <span translate="no">{row.model_name}</span> },
+    { title: t('提示'), render: (row) => row.prompt_tokens },
+    { title: t('补全'), render: (row) => row.completion_tokens },
+    { title: t('花费'), render: (row) => renderQuota(row.quota, 6) },
+    { title: 'IP', render: (row) => row.ip }
+  ];
+
+  return (
+    <Grid container spacing={gridSpacing}>
+      <Grid item xs={12}>
+        <Stack direction="row" alignItems="center" justifyContent="space-between">
+          <Typography variant="h4">
+            {t('令牌详情')}
+            {token && ` ${token.name}`}
+          </Typography>
+          <Button variant="outlined" onClick={() => navigate('/panel/token')}>
+            {t('返回')}
+          </Button>
+        </Stack>
+      </Grid>
+      {token && (
+        <Grid item xs={12}>
+          <MainCard>
+            <Grid container spacing={2}>
+              <InfoItem
+                title={t('状态')}
+                value={
+                  status ? (
+                    <Label variant="filled" color={status.color}>
+                      {t(status.text)}
+                    </Label>
+                  ) : (
+                    t('未知')
+                  )
+                }
+              />
+              <InfoItem title={t('已用额度')} value={renderQuota(token.used_quota)} />
+              <InfoItem title={t('剩余额度')} value={token.unlimited_quota ? t('无限制') : renderQuota(token.remain_quota)} />
+              {budget && <InfoItem title={t('周期预算')} value={formatTokenBudget(budget)} />}
+              <InfoItem title={t('最近使用')} value={token.accessed_time ? formatDateTime(token.accessed_time) : t('从未使用')} />
+              <InfoItem title={t('过期时间')} value={token.expired_time === -1 ? t('永不过期') : formatDateTime(token.expired_time)} />
+            </Grid>
+          </MainCard>
+        </Grid>
+      )}
+      <Grid item xs={12}>
+        <ButtonGroup variant="outlined">
+          {RANGE_DAYS.map((value) => (
+            <Button key={value} variant={value === days ? 'contained' : 'outlined'} onClick={() => setDays(value)}>
+              {t('近 {days} 天', { days: value })}
+            </Button>
+          ))}
+        </ButtonGroup>
+        <Typography variant="caption" color="textSecondary" sx={{ ml: 2 }}>
+          {t('趋势、模型分布与日志按令牌名称统计，同名的令牌会合并在一起')}
+        </Typography>
+      </Grid>
+      <Grid item lg={6} xs={12}>
+        <MainCard title={t('每日趋势')}>
+          {trendChart ? (
+            <Chart {...trendChart} />
+          ) : (
+            <Box sx={{ minHeight: 320, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+              <Typography variant="h4" color={'#697586'}>
+                {t('暂无数据')}
+              </Typography>
+            </Box>
+          )}
+        </MainCard>
+      </Grid>
+      <Grid item lg={6} xs={12}>
+        <MainCard title={t('按模型')}>
+          <SimpleTable columns={modelColumns} rows={usage ? usage.top : []} rowKey="key" />
+        </MainCard>
+      </Grid>
+      <Grid item lg={4} xs={12}>
+        <MainCard title={t('最近使用的 IP')}>
+          <SimpleTable columns={ipColumns} rows={ips} rowKey="ip" />
+        </MainCard>
+      </Grid>
+      <Grid item lg={8} xs={12}>
+        <MainCard title={t('最近的日志')}>
+          <SimpleTable columns={logColumns} rows={logs} rowKey="id" />
+        </MainCard>
+      </Grid>
+    </Grid>
+  );
+};
+
+export default TokenDetail;
@@ -20,7 +20,9 @@ import {
   Checkbox,
   TextField,
   Switch,
-  FormHelperText
+  FormHelperText,
+  Select,
+  MenuItem
 } from '@mui/material';
 
 import { AdapterDayjs } from '@mui/x-date-pickers/AdapterDayjs';
@@ -31,6 +33,7 @@ import { API } from 'utils/api';
 import CheckBoxOutlineBlankIcon from '@mui/icons-material/CheckBoxOutlineBlank';
 import CheckBoxIcon from '@mui/icons-material/CheckBox';
 import { createFilterOptions } from '@mui/material/Autocomplete';
+import { t, TOKEN_BUDGET_PERIODS, TOKEN_RATE_LIMITS } from 'one-api-common';
 require('dayjs/locale/zh-cn');
 const icon = <CheckBoxOutlineBlankIcon fontSize="small" />;
 const checkedIcon = <CheckBoxIcon fontSize="small" />;
@@ -41,7 +44,12 @@ const validationSchema = Yup.object().shape({
   name: Yup.string().required('名称 不能为空'),
   remain_quota: Yup.number().min(0, '必须大于等于0'),
   expired_time: Yup.number(),
-  unlimited_quota: Yup.boolean()
+  unlimited_quota: Yup.boolean(),
+  budget_period: Yup.string(),
+  budget_quota: Yup.number().when('budget_period', {
+    is: (period) => !!period,
+    then: Yup.number().moreThan(0, '预算额度必须大于 0')
+  })
 });
 
 const originInputs = {
@@ -51,7 +59,12 @@ const originInputs = {
   expired_time: -1,
   unlimited_quota: false,
   subnet: '',
-  models: []
+  models: [],
+  budget_period: '',
+  budget_quota: 0,
+  rpm_limit: 0,
+  tpm_limit: 0,
+  concurrency_limit: 0
 };
 
 const EditModal = ({ open, tokenId, onCancel, onOk }) => {
@@ -63,6 +76,10 @@ const EditModal = ({ open, tokenId, onCancel, onOk }) => {
     setSubmitting(true);
 
     values.remain_quota = parseInt(values.remain_quota);
+    values.budget_quota = parseInt(values.budget_quota) || 0;
+    TOKEN_RATE_LIMITS.forEach((item) => {
+      values[item.field] = parseInt(values[item.field]) || 0;
+    });
     let res;
     let models = values.models.join(',');
     if (values.is_edit) {
@@ -73,9 +90,9 @@ const EditModal = ({ open, tokenId, onCancel, onOk }) => {
     const { success, message } = res.data;
     if (success) {
       if (values.is_edit) {
-        showSuccess('令牌更新成功！');
+        showSuccess(t('令牌更新成功！'));
       } else {
-        showSuccess('令牌创建成功，请在列表页面点击复制获取令牌！');
+        showSuccess(t('令牌创建成功，请在列表页面点击复制获取令牌！'));
       }
       setSubmitting(false);
       setStatus({ success: true });
@@ -131,19 +148,19 @@ const EditModal = ({ open, tokenId, onCancel, onOk }) => {
           fontSize: '1.125rem'
         }}
       >
-        {tokenId ? '编辑令牌' : '新建令牌'}
+        {tokenId ? t('编辑令牌') : t('新建令牌')}
       </DialogTitle>
       <Divider />
       <DialogContent>
-        <Alert severity="info">注意，令牌的额度仅用于限制令牌本身的最大额度使用量，实际的使用受到账户的剩余额度限制。</Alert>
+        <Alert severity="info">{t('注意，令牌的额度仅用于限制令牌本身的最大额度使用量，实际的使用受到账户的剩余额度限制。')}</Alert>
         <Formik initialValues={inputs} enableReinitialize validationSchema={validationSchema} onSubmit={submit}>
           {({ errors, handleBlur, handleChange, handleSubmit, touched, values, setFieldError, setFieldValue, isSubmitting }) => (
             <form noValidate onSubmit={handleSubmit}>
               <FormControl fullWidth error={Boolean(touched.name && errors.name)} sx={{ ...theme.typography.otherInput }}>
-                <InputLabel htmlFor="channel-name-label">名称</InputLabel>
+                <InputLabel htmlFor="channel-name-label">{t('名称')}</InputLabel>
                 <OutlinedInput
                   id="channel-name-label"
-                  label="名称"
+                  label={t('名称')}
                   type="text"
                   value={values.name}
                   name="name"
@@ -154,7 +171,7 @@ const EditModal = ({ open, tokenId, onCancel, onOk }) => {
                 />
                 {touched.name && errors.name && (
                   <FormHelperText error id="helper-tex-channel-name-label">
-                    {errors.name}
+                    {t(errors.name)}
                   </FormHelperText>
                 )}
               </FormControl>
@@ -177,7 +194,7 @@ const EditModal = ({ open, tokenId, onCancel, onOk }) => {
                   onBlur={handleBlur}
                   // filterSelectedOptions
                   disableCloseOnSelect
-                  renderInput={(params) => <TextField {...params} name="models" error={Boolean(errors.models)} label="模型范围" />}
+                  renderInput={(params) => <TextField {...params} name="models" error={Boolean(errors.models)} label={t('模型范围')} />}
                   filterOptions={(options, params) => {
                     const filtered = filter(options, params);
                     const { inputValue } = params;
@@ -196,17 +213,17 @@ const EditModal = ({ open, tokenId, onCancel, onOk }) => {
                 />
                 {errors.models ? (
                   <FormHelperText error id="helper-tex-channel-models-label">
-                    {errors.models}
+                    {t(errors.models)}
                   </FormHelperText>
                 ) : (
-                  <FormHelperText id="helper-tex-channel-models-label">请选择允许使用的模型，留空则不进行限制</FormHelperText>
+                  <FormHelperText id="helper-tex-channel-models-label">{t('请选择允许使用的模型，留空则不进行限制')}</FormHelperText>
                 )}
               </FormControl>
               <FormControl fullWidth error={Boolean(touched.subnet && errors.subnet)} sx={{ ...theme.typography.otherInput }}>
-                <InputLabel htmlFor="channel-subnet-label">IP 限制</InputLabel>
+                <InputLabel htmlFor="channel-subnet-label">{t('IP 限制')}</InputLabel>
                 <OutlinedInput
                   id="channel-subnet-label"
-                  label="IP 限制"
+                  label={t('IP 限制')}
                   type="text"
                   value={values.subnet}
                   name="subnet"
@@ -217,11 +234,11 @@ const EditModal = ({ open, tokenId, onCancel, onOk }) => {
                 />
                 {touched.subnet && errors.subnet ? (
                   <FormHelperText error id="helper-tex-channel-subnet-label">
-                    {errors.subnet}
+                    {t(errors.subnet)}
                   </FormHelperText>
                 ) : (
                   <FormHelperText id="helper-tex-channel-subnet-label">
-                    请输入允许访问的网段，例如：192.168.0.0/24，请使用英文逗号分隔多个网段
+                    {t('请输入允许访问的网段，例如：192.168.0.0/24，请使用英文逗号分隔多个网段')}
                   </FormHelperText>
                 )}
               </FormControl>
@@ -229,7 +246,7 @@ const EditModal = ({ open, tokenId, onCancel, onOk }) => {
                 <FormControl fullWidth error={Boolean(touched.expired_time && errors.expired_time)} sx={{ ...theme.typography.otherInput }}>
                   <LocalizationProvider dateAdapter={AdapterDayjs} adapterLocale={'zh-cn'}>
                     <DateTimePicker
-                      label="过期时间"
+                      label={t('过期时间')}
                       ampm={false}
                       value={dayjs.unix(values.expired_time)}
                       onError={(newError) => {
@@ -251,7 +268,7 @@ const EditModal = ({ open, tokenId, onCancel, onOk }) => {
                   </LocalizationProvider>
                   {errors.expired_time && (
                     <FormHelperText error id="helper-tex-channel-expired_time-label">
-                      {errors.expired_time}
+                      {t(errors.expired_time)}
                     </FormHelperText>
                   )}
                 </FormControl>
@@ -266,12 +283,12 @@ const EditModal = ({ open, tokenId, onCancel, onOk }) => {
                   }
                 }}
               />{' '}
-              永不过期
+              {t('永不过期')}
               <FormControl fullWidth error={Boolean(touched.remain_quota && errors.remain_quota)} sx={{ ...theme.typography.otherInput }}>
-                <InputLabel htmlFor="channel-remain_quota-label">额度</InputLabel>
+                <InputLabel htmlFor="channel-remain_quota-label">{t('额度')}</InputLabel>
                 <OutlinedInput
                   id="channel-remain_quota-label"
-                  label="额度"
+                  label={t('额度')}
                   type="number"
                   value={values.remain_quota}
                   name="remain_quota"
@@ -284,7 +301,7 @@ const EditModal = ({ open, tokenId, onCancel, onOk }) => {
 
                 {touched.remain_quota && errors.remain_quota && (
                   <FormHelperText error id="helper-tex-channel-remain_quota-label">
-                    {errors.remain_quota}
+                    {t(errors.remain_quota)}
                   </FormHelperText>
                 )}
               </FormControl>
@@ -294,11 +311,80 @@ const EditModal = ({ open, tokenId, onCancel, onOk }) => {
                   setFieldValue('unlimited_quota', !values.unlimited_quota);
                 }}
               />{' '}
-              无限额度
+              {t('无限额度')}
+              <FormControl fullWidth sx={{ ...theme.typography.otherInput }}>
+                <InputLabel htmlFor="token-budget_period-label">{t('周期预算')}</InputLabel>
+                <Select
+                  id="token-budget_period-label"
+                  label={t('周期预算')}
+                  value={values.budget_period}
+                  name="budget_period"
+                  onBlur={handleBlur}
+                  onChange={handleChange}
+                  displayEmpty
+                >
+                  {TOKEN_BUDGET_PERIODS.map((option) => (
+                    <MenuItem key={option.value} value={option.value}>
+                      {t(option.label)}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              {values.budget_period !== '' && (
+                <FormControl fullWidth error={Boolean(touched.budget_quota && errors.budget_quota)} sx={{ ...theme.typography.otherInput }}>
+                  <InputLabel htmlFor="token-budget_quota-label">{t('每期额度')}</InputLabel>
+                  <OutlinedInput
+                    id="token-budget_quota-label"
+                    label={t('每期额度')}
+                    type="number"
+                    value={values.budget_quota}
+                    name="budget_quota"
+                    endAdornment={<InputAdornment position="end">{renderQuotaWithPrompt(values.budget_quota)}</InputAdornment>}
+                    onBlur={handleBlur}
+                    onChange={handleChange}
+                    aria-describedby="helper-text-token-budget_quota-label"
+                  />
+                  {touched.budget_quota && errors.budget_quota ? (
+                    <FormHelperText error id="helper-text-token-budget_quota-label">
+                      {t(errors.budget_quota)}
+                    </FormHelperText>
+                  ) : (
+                    <FormHelperText id="helper-text-token-budget_quota-label">
+                      {t('每期的消耗达到预算后令牌暂停使用，下一期开始时自动恢复；周期按服务器所在时区计算，每周从周一开始。')}
+                    </FormHelperText>
+                  )}
+                </FormControl>
+              )}
+              {TOKEN_RATE_LIMITS.map((item) => (
+                <FormControl
+                  key={item.key}
+                  fullWidth
+                  error={Boolean(touched[item.field] && errors[item.field])}
+                  sx={{ ...theme.typography.otherInput }}
+                >
+                  <InputLabel htmlFor={`token-${item.field}-label`}>{t(item.label)}</InputLabel>
+                  <OutlinedInput
+                    id={`token-${item.field}-label`}
+                    label={t(item.label)}
+                    type="number"
+                    value={values[item.field]}
+                    name={item.field}
+                    onBlur={handleBlur}
+                    onChange={handleChange}
+                    aria-describedby={`helper-text-token-${item.field}-label`}
+                  />
+                  {touched[item.field] && errors[item.field] && (
+                    <FormHelperText error id={`helper-text-token-${item.field}-label`}>
+                      {errors[item.field]}
+                    </FormHelperText>
+                  )}
+                </FormControl>
+              ))}
+              <FormHelperText>{t('0 表示不限制；超出限制的请求返回 429 并记录在日志中，每分钟的计数在整分钟时清零。')}</FormHelperText>
               <DialogActions>
-                <Button onClick={onCancel}>取消</Button>
+                <Button onClick={onCancel}>{t('取消')}</Button>
                 <Button disableElevation disabled={isSubmitting} type="submit" variant="contained" color="primary">
-                  提交
+                  {t('提交')}
                 </Button>
               </DialogActions>
             </form>
@@ -0,0 +1,86 @@
+import PropTypes from 'prop-types';
+import { useState } from 'react';
+import { Alert, Button, Dialog, DialogActions, DialogContent, DialogTitle, MenuItem, Stack, TextField, Typography } from '@mui/material';
+import { t, TOKEN_KEY_GRACE_PERIODS } from 'one-api-common';
+import { api } from 'utils/api';
+import { copy, showError, showSuccess } from 'utils/common';
+
+// 更换令牌的密钥，名称、模型、子网等设置与用量不变，可以让旧密钥在一段时间内继续使用
+const RotateModal = ({ open, token, onClose, onRotated }) => {
+  const [gracePeriod, setGracePeriod] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [newKey, setNewKey] = useState('');
+
+  const close = () => {
+    setGracePeriod(0);
+    setNewKey('');
+    onClose();
+  };
+
+  const rotate = async () => {
+    setLoading(true);
+    try {
+      const { success, message, data } = await api.token.rotate(token.id, { grace_period: gracePeriod });
+      if (success) {
+        setNewKey(`sk-${data.key}`);
+        showSuccess(t('密钥已更换'));
+        onRotated();
+      } else {
+        showError(message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={close} fullWidth maxWidth={'sm'}>
+      <DialogTitle sx={{ fontWeight: 700 }}>{t('更换密钥：{name}', { name: token.name })}</DialogTitle>
+      <DialogContent>
+        {newKey ? (
+          <Stack spacing={2} sx={{ mt: 1 }}>
+            <TextField label={t('新密钥')} value={newKey} InputProps={{ readOnly: true }} fullWidth />
+            <Typography variant="body2" color="text.secondary">
+              {t('请在客户端中换用新密钥。')}
+            </Typography>
+          </Stack>
+        ) : (
+          <Stack spacing={2} sx={{ mt: 1 }}>
+            <Alert severity="warning">{t('将为该令牌生成新的密钥，名称、模型、子网、额度与用量记录保持不变。')}</Alert>
+            <TextField select label={t('旧密钥的保留时间')} value={gracePeriod} onChange={(e) => setGracePeriod(e.target.value)}>
+              {TOKEN_KEY_GRACE_PERIODS.map((item) => (
+                <MenuItem key={item.value} value={item.value}>
+                  {t(item.label)}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Stack>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {newKey ? (
+          <>
+            <Button onClick={() => copy(newKey, t('密钥'))}>{t('复制')}</Button>
+            <Button onClick={close}>{t('完成')}</Button>
+          </>
+        ) : (
+          <>
+            <Button onClick={close}>{t('取消')}</Button>
+            <Button onClick={rotate} disabled={loading} sx={{ color: 'error.main' }}>
+              {t('更换密钥')}
+            </Button>
+          </>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+RotateModal.propTypes = {
+  open: PropTypes.bool,
+  token: PropTypes.object,
+  onClose: PropTypes.func,
+  onRotated: PropTypes.func
+};
+
+export default RotateModal;
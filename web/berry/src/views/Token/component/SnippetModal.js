@@ -0,0 +1,89 @@
+import PropTypes from 'prop-types';
+import { useState } from 'react';
+import { useSelector } from 'react-redux';
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  MenuItem,
+  Stack,
+  Tab,
+  Tabs,
+  TextField,
+  Typography
+} from '@mui/material';
+import { QRCodeSVG } from 'qrcode.react';
+import { buildTokenSnippets, getClientTemplates, resolveServerAddress, snippetModel, t, tokenQrCodes } from 'one-api-common';
+import { copy } from 'utils/common';
+
+// “使用此密钥”对话框：带有令牌密钥与站点地址的代码片段，以及移动端 App 扫码导入的二维码
+const SnippetModal = ({ open, token, onClose }) => {
+  const siteInfo = useSelector((state) => state.siteInfo);
+  const [tab, setTab] = useState(0);
+  const [model, setModel] = useState('');
+  const [qrKey, setQrKey] = useState(null);
+
+  const serverAddress = resolveServerAddress(siteInfo);
+  const apiKey = `sk-${token.key}`;
+  const snippets = buildTokenSnippets({ apiKey, serverAddress, model: model || snippetModel(token) });
+  const snippet = snippets[tab] || snippets[0];
+  const qrCodes = tokenQrCodes({ apiKey, serverAddress, templates: getClientTemplates(siteInfo) });
+  const qrCode = qrCodes.find((item) => item.key === qrKey) || qrCodes[0];
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth={'md'}>
+      <DialogTitle sx={{ fontWeight: 700 }}>{t('使用此密钥')}</DialogTitle>
+      <DialogContent>
+        <TextField
+          fullWidth
+          size="small"
+          label={t('模型')}
+          value={model}
+          placeholder={snippetModel(token)}
+          onChange={(e) => setModel(e.target.value.trim())}
+          sx={{ mt: 1 }}
+        />
+        <Tabs value={tab} onChange={(e, value) => setTab(value)} variant="scrollable" sx={{ mt: 1 }}>
+          {snippets.map((item) => (
+            <Tab key={item.key} label={item.label} />
+          ))}
+        </Tabs>
+        <Box component="pre" sx={{ bgcolor: 'grey.100', p: 2, borderRadius: 1, overflowX: 'auto', fontSize: 13, whiteSpace: 'pre', mb: 1 }}>
+          {snippet.code}
+        </Box>
+        <Button variant="outlined" size="small" onClick={() => copy(snippet.code, snippet.label)}>
+          {t('复制')}
+        </Button>
+        <Stack direction="row" spacing={3} alignItems="flex-start" sx={{ mt: 3 }}>
+          <QRCodeSVG value={qrCode.value} size={160} includeMargin />
+          <Stack spacing={1}>
+            <Typography variant="subtitle1">{t('移动端扫码导入')}</Typography>
+            <TextField select size="small" value={qrCode.key} onChange={(e) => setQrKey(e.target.value)} sx={{ width: 200 }}>
+              {qrCodes.map((item) => (
+                <MenuItem key={item.key} value={item.key}>
+                  {t(item.label)}
+                </MenuItem>
+              ))}
+            </TextField>
+            <Alert severity="warning">{t('二维码中包含完整的密钥，请勿截图或分享给他人。')}</Alert>
+          </Stack>
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{t('关闭')}</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+SnippetModal.propTypes = {
+  open: PropTypes.bool,
+  token: PropTypes.object,
+  onClose: PropTypes.func
+};
+
+export default SnippetModal;
@@ -1,16 +1,17 @@
 import { TableCell, TableHead, TableRow } from '@mui/material';
+import { t } from 'one-api-common';
 
 const TokenTableHead = () => {
   return (
     <TableHead>
       <TableRow>
-        <TableCell>名称</TableCell>
-        <TableCell>状态</TableCell>
-        <TableCell>已用额度</TableCell>
-        <TableCell>剩余额度</TableCell>
-        <TableCell>创建时间</TableCell>
-        <TableCell>过期时间</TableCell>
-        <TableCell>操作</TableCell>
+        <TableCell>{t('名称')}</TableCell>
+        <TableCell>{t('状态')}</TableCell>
+        <TableCell>{t('已用额度')}</TableCell>
+        <TableCell>{t('剩余额度')}</TableCell>
+        <TableCell>{t('创建时间')}</TableCell>
+        <TableCell>{t('过期时间')}</TableCell>
+        <TableCell>{t('操作')}</TableCell>
       </TableRow>
     </TableHead>
   );
@@ -1,6 +1,7 @@
 import PropTypes from 'prop-types';
 import { useState } from 'react';
 import { useSelector } from 'react-redux';
+import { Link } from 'react-router-dom';
 
 import {
   Popover,
@@ -16,29 +17,28 @@ import {
   Button,
   Tooltip,
   Stack,
-  ButtonGroup
+  ButtonGroup,
+  Typography
 } from '@mui/material';
 
 import TableSwitch from 'ui-component/Switch';
-import { renderQuota, timestamp2string, copy } from 'utils/common';
-
-import { IconDotsVertical, IconEdit, IconTrash, IconCaretDownFilled } from '@tabler/icons-react';
-
-const COPY_OPTIONS = [
-  {
-    key: 'next',
-    text: 'ChatGPT Next',
-    url: 'https://app.nextchat.dev/#/?settings={"key":"sk-{key}","url":"{serverAddress}"}',
-    encode: false
-  },
-  { key: 'ama', text: 'BotGem', url: 'ama://set-api-key?server={serverAddress}&key=sk-{key}', encode: true },
-  { key: 'opencat', text: 'OpenCat', url: 'opencat://team/join?domain={serverAddress}&token=sk-{key}', encode: true },
-  { key: 'lobechat', text: 'LobeChat', url: 'https://lobehub.com/?settings={"keyVaults":{"openai":{"apiKey":"sk-{key}","baseURL":"{serverAddress}"}}}', encode: true }
-];
+import { renderQuota, copy, showError } from 'utils/common';
+import {
+  describePreviousKey,
+  fillClientTemplate,
+  formatDateTime,
+  formatTokenBudget,
+  formatTokenLimit,
+  getClientTemplates,
+  resolveServerAddress,
+  t,
+  tokenBudgetUsage,
+  tokenLimitUsage
+} from 'one-api-common';
 
-function replacePlaceholders(text, key, serverAddress) {
-  return text.replace('{key}', key).replace('{serverAddress}', serverAddress);
-}
+import { IconDotsVertical, IconEdit, IconTrash, IconCaretDownFilled, IconCode, IconKey } from '@tabler/icons-react';
+import SnippetModal from './SnippetModal';
+import RotateModal from './RotateModal';
 
 function createMenu(menuItems) {
   return (
@@ -53,11 +53,14 @@ function createMenu(menuItems) {
   );
 }
 
-export default function TokensTableRow({ item, manageToken, handleOpenModal, setModalTokenId }) {
+export default function TokensTableRow({ item, manageToken, handleOpenModal, setModalTokenId, handleRefresh }) {
   const [open, setOpen] = useState(null);
   const [menuItems, setMenuItems] = useState(null);
   const [openDelete, setOpenDelete] = useState(false);
+  const [openSnippet, setOpenSnippet] = useState(false);
+  const [openRotate, setOpenRotate] = useState(false);
   const [statusSwitch, setStatusSwitch] = useState(item.status);
+  const budget = tokenBudgetUsage(item);
   const siteInfo = useSelector((state) => state.siteInfo);
 
   const handleDeleteOpen = () => {
@@ -102,7 +105,25 @@ export default function TokensTableRow({ item, manageToken, handleOpenModal, set
 
   const actionItems = createMenu([
     {
-      text: '编辑',
+      text: t('使用'),
+      icon: <IconCode style={{ marginRight: '16px' }} />,
+      onClick: () => {
+        handleCloseMenu();
+        setOpenSnippet(true);
+      },
+      color: undefined
+    },
+    {
+      text: t('更换密钥'),
+      icon: <IconKey style={{ marginRight: '16px' }} />,
+      onClick: () => {
+        handleCloseMenu();
+        setOpenRotate(true);
+      },
+      color: undefined
+    },
+    {
+      text: t('编辑'),
       icon: <IconEdit style={{ marginRight: '16px' }} />,
       onClick: () => {
         handleCloseMenu();
@@ -112,33 +133,30 @@ export default function TokensTableRow({ item, manageToken, handleOpenModal, set
       color: undefined
     },
     {
-      text: '删除',
+      text: t('删除'),
       icon: <IconTrash style={{ marginRight: '16px' }} />,
       onClick: handleDeleteOpen,
       color: 'error.main'
     }
   ]);
 
-  const handleCopy = (option, type) => {
-    let serverAddress = '';
-    if (siteInfo?.server_address) {
-      serverAddress = siteInfo.server_address;
-    } else {
-      serverAddress = window.location.host;
-    }
+  const clientTemplates = getClientTemplates(siteInfo);
 
-    if (option.encode) {
-      serverAddress = encodeURIComponent(serverAddress);
-    }
-
-    let url = option.url;
-
-    if (option.key === 'next' && siteInfo?.chat_link) {
-      url = siteInfo.chat_link + `/#/?settings={"key":"sk-{key}","url":"{serverAddress}"}`;
+  const handleCopy = (template, type) => {
+    const apiKey = `sk-${item.key}`;
+    const serverAddress = resolveServerAddress(siteInfo);
+    let text;
+    if (template) {
+      text = fillClientTemplate(template.url, { apiKey, serverAddress });
+    } else if (siteInfo?.chat_link) {
+      text = siteInfo.chat_link + `/#/?settings={"key":"${apiKey}","url":"${serverAddress}"}`;
+    } else if (clientTemplates.length > 0) {
+      text = fillClientTemplate(clientTemplates[0].url, { apiKey, serverAddress });
+    } else {
+      showError(t('管理员未设置聊天链接'));
+      handleCloseMenu();
+      return;
     }
-
-    const key = item.key;
-    const text = replacePlaceholders(url, key, serverAddress);
     if (type === 'link') {
       window.open(text);
     } else {
@@ -148,19 +166,19 @@ export default function TokensTableRow({ item, manageToken, handleOpenModal, set
   };
 
   const copyItems = createMenu(
-    COPY_OPTIONS.map((option) => ({
-      text: option.text,
+    clientTemplates.map((template) => ({
+      text: template.name,
       icon: undefined,
-      onClick: () => handleCopy(option, 'copy'),
+      onClick: () => handleCopy(template, 'copy'),
       color: undefined
     }))
   );
 
   const linkItems = createMenu(
-    COPY_OPTIONS.map((option) => ({
-      text: option.text,
+    clientTemplates.map((template) => ({
+      text: template.name,
       icon: undefined,
-      onClick: () => handleCopy(option, 'link'),
+      onClick: () => handleCopy(template, 'link'),
       color: undefined
     }))
   );
@@ -168,22 +186,31 @@ export default function TokensTableRow({ item, manageToken, handleOpenModal, set
   return (
     <>
       <TableRow tabIndex={item.id}>
-        <TableCell>{item.name}</TableCell>
+        <TableCell>
+          <Typography component={Link} to={`/panel/token/${item.id}`} title={t('查看令牌详情')} variant="body2" color="primary">
+            {item.name}
+          </Typography>
+          {describePreviousKey(item) && (
+            <Typography variant="caption" display="block" color="text.secondary">
+              {describePreviousKey(item)}
+            </Typography>
+          )}
+        </TableCell>
 
         <TableCell>
           <Tooltip
             title={(() => {
               switch (statusSwitch) {
                 case 1:
-                  return '已启用';
+                  return t('已启用');
                 case 2:
-                  return '已禁用';
+                  return t('已禁用');
                 case 3:
-                  return '已过期';
+                  return t('已过期');
                 case 4:
-                  return '已耗尽';
+                  return t('已耗尽');
                 default:
-                  return '未知';
+                  return t('未知');
               }
             })()}
             placement="top"
@@ -199,11 +226,27 @@ export default function TokensTableRow({ item, manageToken, handleOpenModal, set
 
         <TableCell>{renderQuota(item.used_quota)}</TableCell>
 
-        <TableCell>{item.unlimited_quota ? '无限制' : renderQuota(item.remain_quota, 2)}</TableCell>
+        <TableCell>
+          {item.unlimited_quota ? t('无限制') : renderQuota(item.remain_quota, 2)}
+          {budget && (
+            <Tooltip title={t('将于 {time} 重置', { time: formatDateTime(budget.resetTime) })} placement="top">
+              <Typography variant="caption" display="block" color={budget.ratio >= 1 ? 'error' : 'text.secondary'}>
+                {t('预算')} {formatTokenBudget(budget)}
+              </Typography>
+            </Tooltip>
+          )}
+          {tokenLimitUsage(item).map((limit) => (
+            <Tooltip key={limit.key} title={t(limit.label)} placement="top">
+              <Typography variant="caption" display="block" color={limit.ratio >= 1 ? 'error' : 'text.secondary'}>
+                {formatTokenLimit(limit)}
+              </Typography>
+            </Tooltip>
+          ))}
+        </TableCell>
 
-        <TableCell>{timestamp2string(item.created_time)}</TableCell>
+        <TableCell>{formatDateTime(item.created_time)}</TableCell>
 
-        <TableCell>{item.expired_time === -1 ? '永不过期' : timestamp2string(item.expired_time)}</TableCell>
+        <TableCell>{item.expired_time === -1 ? t('永不过期') : formatDateTime(item.expired_time)}</TableCell>
 
         <TableCell>
           <Stack direction="row" spacing={1}>
@@ -214,15 +257,15 @@ export default function TokensTableRow({ item, manageToken, handleOpenModal, set
                   copy(`sk-${item.key}`);
                 }}
               >
-                复制
+                {t('复制')}
               </Button>
               <Button size="small" onClick={(e) => handleOpenMenu(e, 'copy')}>
                 <IconCaretDownFilled size={'16px'} />
               </Button>
             </ButtonGroup>
             <ButtonGroup size="small" aria-label="split button">
-              <Button color="primary" onClick={(e) => handleCopy(COPY_OPTIONS[0], 'link')}>
-                聊天
+              <Button color="primary" onClick={() => handleCopy(null, 'link')}>
+                {t('聊天')}
               </Button>
               <Button size="small" onClick={(e) => handleOpenMenu(e, 'link')}>
                 <IconCaretDownFilled size={'16px'} />
@@ -247,15 +290,19 @@ export default function TokensTableRow({ item, manageToken, handleOpenModal, set
         {menuItems}
       </Popover>
 
+      <SnippetModal open={openSnippet} token={item} onClose={() => setOpenSnippet(false)} />
+
+      <RotateModal open={openRotate} token={item} onClose={() => setOpenRotate(false)} onRotated={handleRefresh} />
+
       <Dialog open={openDelete} onClose={handleDeleteClose}>
-        <DialogTitle>删除Token</DialogTitle>
+        <DialogTitle>{t('删除Token')}</DialogTitle>
         <DialogContent>
-          <DialogContentText>是否删除Token {item.name}？</DialogContentText>
+          <DialogContentText>{t('是否删除Token {name}？', { name: item.name })}</DialogContentText>
         </DialogContent>
         <DialogActions>
-          <Button onClick={handleDeleteClose}>关闭</Button>
+          <Button onClick={handleDeleteClose}>{t('关闭')}</Button>
           <Button onClick={handleDelete} sx={{ color: 'error.main' }} autoFocus>
-            删除
+            {t('删除')}
           </Button>
         </DialogActions>
       </Dialog>
@@ -267,5 +314,6 @@ TokensTableRow.propTypes = {
   item: PropTypes.object,
   manageToken: PropTypes.func,
   handleOpenModal: PropTypes.func,
-  setModalTokenId: PropTypes.func
+  setModalTokenId: PropTypes.func,
+  handleRefresh: PropTypes.func
 };
@@ -20,6 +20,7 @@ import { ITEMS_PER_PAGE } from 'constants';
 import { IconRefresh, IconPlus } from '@tabler/icons-react';
 import EditeModal from './component/EditModal';
 import { useSelector } from 'react-redux';
+import { t } from 'one-api-common';
 
 export default function Token() {
   const [tokens, setTokens] = useState([]);
@@ -106,7 +107,7 @@ export default function Token() {
     }
     const { success, message } = res.data;
     if (success) {
-      showSuccess('操作成功完成！');
+      showSuccess(t('操作成功完成！'));
       if (action === 'delete') {
         await handleRefresh();
       }
@@ -142,7 +143,7 @@ export default function Token() {
   return (
     <>
       <Stack direction="row" alignItems="center" justifyContent="space-between" mb={2.5}>
-        <Typography variant="h4">令牌</Typography>
+        <Typography variant="h4">{t('令牌')}</Typography>
         <Button
           variant="contained"
           color="primary"
@@ -151,17 +152,17 @@ export default function Token() {
           }}
           startIcon={<IconPlus />}
         >
-          新建令牌
+          {t('新建令牌')}
         </Button>
       </Stack>
       <Stack mb={2}>
         <Alert severity="info">
-          将 OpenAI API 基础地址 https://api.openai.com 替换为 <b>{siteInfo.server_address}</b>，复制下面的密钥即可使用
+          {t('将 OpenAI API 基础地址 https://api.openai.com 替换为')} <b>{siteInfo.server_address}</b>{t('，复制下面的密钥即可使用')}
         </Alert>
       </Stack>
       <Card>
         <Box component="form" onSubmit={searchTokens} noValidate sx={{marginTop: 2}}>
-          <TableToolBar filterName={searchKeyword} handleFilterName={handleSearchKeyword} placeholder={'搜索令牌的名称...'} />
+          <TableToolBar filterName={searchKeyword} handleFilterName={handleSearchKeyword} placeholder={t('搜索令牌的名称...')} />
         </Box>
         <Toolbar
           sx={{
@@ -175,7 +176,7 @@ export default function Token() {
           <Container>
             <ButtonGroup variant="outlined" aria-label="outlined small primary button group" sx={{marginBottom: 2}}>
               <Button onClick={handleRefresh} startIcon={<IconRefresh width={'18px'} />}>
-                刷新
+                {t('刷新')}
               </Button>
             </ButtonGroup>
           </Container>
@@ -193,6 +194,7 @@ export default function Token() {
                     key={row.id}
                     handleOpenModal={handleOpenModal}
                     setModalTokenId={setEditTokenId}
+                    handleRefresh={handleRefresh}
                   />
                 ))}
               </TableBody>
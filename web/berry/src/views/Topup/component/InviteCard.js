@@ -5,6 +5,7 @@ import inviteImage from 'assets/images/invite/cwok_casual_19.webp';
 import { useState } from 'react';
 import { API } from 'utils/api';
 import { showError, copy } from 'utils/common';
+import { t } from 'one-api-common';
 
 const InviteCard = () => {
   const theme = useTheme();
@@ -46,23 +47,23 @@ const InviteCard = () => {
       >
         <Stack justifyContent="center" alignItems={'center'} spacing={3}>
           <Typography variant="h3" sx={{ color: theme.palette.primary.dark }}>
-            邀请奖励
+            {t('邀请奖励')}
           </Typography>
           <Typography variant="body" sx={{ color: theme.palette.primary.dark }}>
-            分享您的邀请链接，邀请好友注册，即可获得奖励！
+            {t('分享您的邀请链接，邀请好友注册，即可获得奖励！')}
           </Typography>
 
           <OutlinedInput
             id="invite-url"
-            label="邀请链接"
+            label={t('邀请链接')}
             type="text"
             value={inviteUl}
             name="invite-url"
-            placeholder="点击生成邀请链接"
+            placeholder={t('点击生成邀请链接')}
             endAdornment={
               <InputAdornment position="end">
                 <Button variant="contained" onClick={handleInviteUrl}>
-                  {inviteUl ? '复制' : '生成'}
+                  {inviteUl ? t('复制') : t('生成')}
                 </Button>
               </InputAdornment>
             }
@@ -7,6 +7,7 @@ import UserCard from 'ui-component/cards/UserCard';
 import { API } from 'utils/api';
 import React, { useEffect, useState } from 'react';
 import { showError, showInfo, showSuccess, renderQuota } from 'utils/common';
+import { t } from 'one-api-common';
 
 const TopupCard = () => {
   const theme = useTheme();
@@ -17,7 +18,7 @@ const TopupCard = () => {
 
   const topUp = async () => {
     if (redemptionCode === '') {
-      showInfo('请输入充值码！');
+      showInfo(t('请输入充值码！'));
       return;
     }
     setIsSubmitting(true);
@@ -27,7 +28,7 @@ const TopupCard = () => {
       });
       const { success, message, data } = res.data;
       if (success) {
-        showSuccess('充值成功！');
+        showSuccess(t('充值成功！'));
         setUserQuota((quota) => {
           return quota + data;
         });
@@ -36,7 +37,7 @@ const TopupCard = () => {
         showError(message);
       }
     } catch (err) {
-      showError('请求失败');
+      showError(t('请求失败'));
     } finally {
       setIsSubmitting(false);
     }
@@ -44,7 +45,7 @@ const TopupCard = () => {
 
   const openTopUpLink = () => {
     if (!topUpLink) {
-      showError('超级管理员未设置充值链接！');
+      showError(t('超级管理员未设置充值链接！'));
       return;
     }
     window.open(topUpLink, '_blank');
@@ -75,7 +76,7 @@ const TopupCard = () => {
     <UserCard>
       <Stack direction="row" alignItems="center" justifyContent="center" spacing={2} paddingTop={'20px'}>
         <IconWallet color={theme.palette.primary.main} />
-        <Typography variant="h4">当前额度:</Typography>
+        <Typography variant="h4">{t('当前额度:')}</Typography>
         <Typography variant="h4">{renderQuota(userQuota)}</Typography>
       </Stack>
       <SubCard
@@ -84,21 +85,21 @@ const TopupCard = () => {
         }}
       >
         <FormControl fullWidth variant="outlined">
-          <InputLabel htmlFor="key">兑换码</InputLabel>
+          <InputLabel htmlFor="key">{t('兑换码')}</InputLabel>
           <OutlinedInput
             id="key"
-            label="兑换码"
+            label={t('兑换码')}
             type="text"
             value={redemptionCode}
             onChange={(e) => {
               setRedemptionCode(e.target.value);
             }}
             name="key"
-            placeholder="请输入兑换码"
+            placeholder={t('请输入兑换码')}
             endAdornment={
               <InputAdornment position="end">
                 <Button variant="contained" onClick={topUp} disabled={isSubmitting}>
-                  {isSubmitting ? '兑换中...' : '兑换'}
+                  {isSubmitting ? t('兑换中...') : t('兑换')}
                 </Button>
               </InputAdornment>
             }
@@ -108,10 +109,10 @@ const TopupCard = () => {
 
         <Stack justifyContent="center" alignItems={'center'} spacing={3} paddingTop={'20px'}>
           <Typography variant={'h4'} color={theme.palette.grey[700]}>
-            还没有兑换码？ 点击获取兑换码：
+            {t('还没有兑换码？ 点击获取兑换码：')}
           </Typography>
           <Button variant="contained" onClick={openTopUpLink}>
-            获取兑换码
+            {t('获取兑换码')}
           </Button>
         </Stack>
       </SubCard>
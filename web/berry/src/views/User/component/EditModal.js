@@ -25,6 +25,7 @@ import VisibilityOff from '@mui/icons-material/VisibilityOff';
 
 import { renderQuotaWithPrompt, showSuccess, showError } from 'utils/common';
 import { API } from 'utils/api';
+import { t } from 'one-api-common';
 
 const validationSchema = Yup.object().shape({
   is_edit: Yup.boolean(),
@@ -74,9 +75,9 @@ const EditModal = ({ open, userId, onCancel, onOk }) => {
     const { success, message } = res.data;
     if (success) {
       if (values.is_edit) {
-        showSuccess('用户更新成功！');
+        showSuccess(t('用户更新成功！'));
       } else {
-        showSuccess('用户创建成功！');
+        showSuccess(t('用户创建成功！'));
       }
       setSubmitting(false);
       setStatus({ success: true });
@@ -127,7 +128,7 @@ const EditModal = ({ open, userId, onCancel, onOk }) => {
   return (
     <Dialog open={open} onClose={onCancel} fullWidth maxWidth={'md'}>
       <DialogTitle sx={{ margin: '0px', fontWeight: 700, lineHeight: '1.55556', padding: '24px', fontSize: '1.125rem' }}>
-        {userId ? '编辑用户' : '新建用户'}
+        {userId ? t('编辑用户') : t('新建用户')}
       </DialogTitle>
       <Divider />
       <DialogContent>
@@ -135,10 +136,10 @@ const EditModal = ({ open, userId, onCancel, onOk }) => {
           {({ errors, handleBlur, handleChange, handleSubmit, touched, values, isSubmitting }) => (
             <form noValidate onSubmit={handleSubmit}>
               <FormControl fullWidth error={Boolean(touched.username && errors.username)} sx={{ ...theme.typography.otherInput }}>
-                <InputLabel htmlFor="channel-username-label">用户名</InputLabel>
+                <InputLabel htmlFor="channel-username-label">{t('用户名')}</InputLabel>
                 <OutlinedInput
                   id="channel-username-label"
-                  label="用户名"
+                  label={t('用户名')}
                   type="text"
                   value={values.username}
                   name="username"
@@ -149,16 +150,16 @@ const EditModal = ({ open, userId, onCancel, onOk }) => {
                 />
                 {touched.username && errors.username && (
                   <FormHelperText error id="helper-tex-channel-username-label">
-                    {errors.username}
+                    {t(errors.username)}
                   </FormHelperText>
                 )}
               </FormControl>
 
               <FormControl fullWidth error={Boolean(touched.display_name && errors.display_name)} sx={{ ...theme.typography.otherInput }}>
-                <InputLabel htmlFor="channel-display_name-label">显示名称</InputLabel>
+                <InputLabel htmlFor="channel-display_name-label">{t('显示名称')}</InputLabel>
                 <OutlinedInput
                   id="channel-display_name-label"
-                  label="显示名称"
+                  label={t('显示名称')}
                   type="text"
                   value={values.display_name}
                   name="display_name"
@@ -169,16 +170,16 @@ const EditModal = ({ open, userId, onCancel, onOk }) => {
                 />
                 {touched.display_name && errors.display_name && (
                   <FormHelperText error id="helper-tex-channel-display_name-label">
-                    {errors.display_name}
+                    {t(errors.display_name)}
                   </FormHelperText>
                 )}
               </FormControl>
 
               <FormControl fullWidth error={Boolean(touched.password && errors.password)} sx={{ ...theme.typography.otherInput }}>
-                <InputLabel htmlFor="channel-password-label">密码</InputLabel>
+                <InputLabel htmlFor="channel-password-label">{t('密码')}</InputLabel>
                 <OutlinedInput
                   id="channel-password-label"
-                  label="密码"
+                  label={t('密码')}
                   type={showPassword ? 'text' : 'password'}
                   value={values.password}
                   name="password"
@@ -202,7 +203,7 @@ const EditModal = ({ open, userId, onCancel, onOk }) => {
                 />
                 {touched.password && errors.password && (
                   <FormHelperText error id="helper-tex-channel-password-label">
-                    {errors.password}
+                    {t(errors.password)}
                   </FormHelperText>
                 )}
               </FormControl>
@@ -210,10 +211,10 @@ const EditModal = ({ open, userId, onCancel, onOk }) => {
               {values.is_edit && (
                 <>
                   <FormControl fullWidth error={Boolean(touched.quota && errors.quota)} sx={{ ...theme.typography.otherInput }}>
-                    <InputLabel htmlFor="channel-quota-label">额度</InputLabel>
+                    <InputLabel htmlFor="channel-quota-label">{t('额度')}</InputLabel>
                     <OutlinedInput
                       id="channel-quota-label"
-                      label="额度"
+                      label={t('额度')}
                       type="number"
                       value={values.quota}
                       name="quota"
@@ -226,16 +227,16 @@ const EditModal = ({ open, userId, onCancel, onOk }) => {
 
                     {touched.quota && errors.quota && (
                       <FormHelperText error id="helper-tex-channel-quota-label">
-                        {errors.quota}
+                        {t(errors.quota)}
                       </FormHelperText>
                     )}
                   </FormControl>
 
                   <FormControl fullWidth error={Boolean(touched.group && errors.group)} sx={{ ...theme.typography.otherInput }}>
-                    <InputLabel htmlFor="channel-group-label">分组</InputLabel>
+                    <InputLabel htmlFor="channel-group-label">{t('分组')}</InputLabel>
                     <Select
                       id="channel-group-label"
-                      label="分组"
+                      label={t('分组')}
                       value={values.group}
                       name="group"
                       onBlur={handleBlur}
@@ -258,16 +259,16 @@ const EditModal = ({ open, userId, onCancel, onOk }) => {
                     </Select>
                     {touched.group && errors.group && (
                       <FormHelperText error id="helper-tex-channel-group-label">
-                        {errors.group}
+                        {t(errors.group)}
                       </FormHelperText>
                     )}
                   </FormControl>
                 </>
               )}
               <DialogActions>
-                <Button onClick={onCancel}>取消</Button>
+                <Button onClick={onCancel}>{t('取消')}</Button>
                 <Button disableElevation disabled={isSubmitting} type="submit" variant="contained" color="primary">
-                  提交
+                  {t('提交')}
                 </Button>
               </DialogActions>
             </form>
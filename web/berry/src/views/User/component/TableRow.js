@@ -19,20 +19,33 @@ import {
 
 import Label from 'ui-component/Label';
 import TableSwitch from 'ui-component/Switch';
+import SessionTable from 'ui-component/SessionTable';
+import SecurityEventTable from 'ui-component/SecurityEventTable';
 import { renderQuota, renderNumber } from 'utils/common';
-import { IconDotsVertical, IconEdit, IconTrash, IconUser, IconBrandWechat, IconBrandGithub, IconMail } from '@tabler/icons-react';
+import {
+  IconDotsVertical,
+  IconEdit,
+  IconTrash,
+  IconUser,
+  IconBrandWechat,
+  IconBrandGithub,
+  IconMail,
+  IconDevices,
+  IconShieldLock
+} from '@tabler/icons-react';
 import { useTheme } from '@mui/material/styles';
+import { t } from 'one-api-common';
 
 function renderRole(role) {
   switch (role) {
     case 1:
-      return <Label color="default">普通用户</Label>;
+      return <Label color="default">{t('普通用户')}</Label>;
     case 10:
-      return <Label color="orange">管理员</Label>;
+      return <Label color="orange">{t('管理员')}</Label>;
     case 100:
-      return <Label color="success">超级管理员</Label>;
+      return <Label color="success">{t('超级管理员')}</Label>;
     default:
-      return <Label color="error">未知身份</Label>;
+      return <Label color="error">{t('未知身份')}</Label>;
   }
 }
 
@@ -40,6 +53,8 @@ export default function UsersTableRow({ item, manageUser, handleOpenModal, setMo
   const theme = useTheme();
   const [open, setOpen] = useState(null);
   const [openDelete, setOpenDelete] = useState(false);
+  const [openSessions, setOpenSessions] = useState(false);
+  const [openSecurityEvents, setOpenSecurityEvents] = useState(false);
   const [statusSwitch, setStatusSwitch] = useState(item.status);
 
   const handleDeleteOpen = () => {
@@ -85,19 +100,19 @@ export default function UsersTableRow({ item, manageUser, handleOpenModal, setMo
 
         <TableCell>
           <Stack direction="row" spacing={0.5} alignItems="center" justifyContent="center">
-            <Tooltip title={'剩余额度'} placement="top">
+            <Tooltip title={t('剩余额度')} placement="top">
               <Label color={'primary'} variant="outlined">
                 {' '}
                 {renderQuota(item.quota)}{' '}
               </Label>
             </Tooltip>
-            <Tooltip title={'已用额度'} placement="top">
+            <Tooltip title={t('已用额度')} placement="top">
               <Label color={'primary'} variant="outlined">
                 {' '}
                 {renderQuota(item.used_quota)}{' '}
               </Label>
             </Tooltip>
-            <Tooltip title={'请求次数'} placement="top">
+            <Tooltip title={t('请求次数')} placement="top">
               <Label color={'primary'} variant="outlined">
                 {' '}
                 {renderNumber(item.request_count)}{' '}
@@ -108,13 +123,13 @@ export default function UsersTableRow({ item, manageUser, handleOpenModal, setMo
         <TableCell>{renderRole(item.role)}</TableCell>
         <TableCell>
           <Stack direction="row" spacing={0.5} alignItems="center" justifyContent="center">
-            <Tooltip title={item.wechat_id ? item.wechat_id : '未绑定'} placement="top">
+            <Tooltip title={item.wechat_id ? item.wechat_id : t('未绑定')} placement="top">
               <IconBrandWechat color={item.wechat_id ? theme.palette.success.dark : theme.palette.grey[400]} />
             </Tooltip>
-            <Tooltip title={item.github_id ? item.github_id : '未绑定'} placement="top">
+            <Tooltip title={item.github_id ? item.github_id : t('未绑定')} placement="top">
               <IconBrandGithub color={item.github_id ? theme.palette.grey[900] : theme.palette.grey[400]} />
             </Tooltip>
-            <Tooltip title={item.email ? item.email : '未绑定'} placement="top">
+            <Tooltip title={item.email ? item.email : t('未绑定')} placement="top">
               <IconMail color={item.email ? theme.palette.grey[900] : theme.palette.grey[400]} />
             </Tooltip>
           </Stack>
@@ -149,7 +164,7 @@ export default function UsersTableRow({ item, manageUser, handleOpenModal, setMo
             }}
           >
             <IconUser style={{ marginRight: '16px' }} />
-            {item.role === 1 ? '设为管理员' : '取消管理员'}
+            {item.role === 1 ? t('设为管理员') : t('取消管理员')}
           </MenuItem>
         )}
 
@@ -161,26 +176,60 @@ export default function UsersTableRow({ item, manageUser, handleOpenModal, setMo
           }}
         >
           <IconEdit style={{ marginRight: '16px' }} />
-          编辑
+          {t('编辑')}
+        </MenuItem>
+        <MenuItem
+          onClick={() => {
+            handleCloseMenu();
+            setOpenSessions(true);
+          }}
+        >
+          <IconDevices style={{ marginRight: '16px' }} />
+          {t('会话')}
+        </MenuItem>
+        <MenuItem
+          onClick={() => {
+            handleCloseMenu();
+            setOpenSecurityEvents(true);
+          }}
+        >
+          <IconShieldLock style={{ marginRight: '16px' }} />
+          {t('安全日志')}
         </MenuItem>
         <MenuItem onClick={handleDeleteOpen} sx={{ color: 'error.main' }}>
           <IconTrash style={{ marginRight: '16px' }} />
-          删除
+          {t('删除')}
         </MenuItem>
       </Popover>
 
       <Dialog open={openDelete} onClose={handleDeleteClose}>
-        <DialogTitle>删除用户</DialogTitle>
+        <DialogTitle>{t('删除用户')}</DialogTitle>
         <DialogContent>
-          <DialogContentText>是否删除用户 {item.name}？</DialogContentText>
+          <DialogContentText>{t('是否删除用户 {name}？', { name: item.name })}</DialogContentText>
         </DialogContent>
         <DialogActions>
-          <Button onClick={handleDeleteClose}>关闭</Button>
+          <Button onClick={handleDeleteClose}>{t('关闭')}</Button>
           <Button onClick={handleDelete} sx={{ color: 'error.main' }} autoFocus>
-            删除
+            {t('删除')}
           </Button>
         </DialogActions>
       </Dialog>
+
+      <Dialog open={openSessions} onClose={() => setOpenSessions(false)} fullWidth maxWidth={'md'}>
+        <DialogTitle>{t('{username} 的登录会话', { username: item.username })}</DialogTitle>
+        <DialogContent>{openSessions && <SessionTable userId={item.id} />}</DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpenSessions(false)}>{t('关闭')}</Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={openSecurityEvents} onClose={() => setOpenSecurityEvents(false)} fullWidth maxWidth={'lg'}>
+        <DialogTitle>{t('{username} 的安全日志', { username: item.username })}</DialogTitle>
+        <DialogContent>{openSecurityEvents && <SecurityEventTable userId={item.id} />}</DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpenSecurityEvents(false)}>{t('关闭')}</Button>
+        </DialogActions>
+      </Dialog>
     </>
   );
 }
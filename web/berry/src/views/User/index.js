@@ -18,6 +18,7 @@ import { API } from 'utils/api';
 import { ITEMS_PER_PAGE } from 'constants';
 import { IconRefresh, IconPlus } from '@tabler/icons-react';
 import EditeModal from './component/EditModal';
+import { t } from 'one-api-common';
 
 // ----------------------------------------------------------------------
 export default function Users() {
@@ -98,7 +99,7 @@ export default function Users() {
     res = await API.post(url, data);
     const { success, message } = res.data;
     if (success) {
-      showSuccess('操作成功完成！');
+      showSuccess(t('操作成功完成！'));
       await loadUsers(activePage);
     } else {
       showError(message);
@@ -140,10 +141,10 @@ export default function Users() {
   return (
     <>
       <Stack direction="row" alignItems="center" justifyContent="space-between" mb={2.5}>
-        <Typography variant="h4">用户</Typography>
+        <Typography variant="h4">{t('用户')}</Typography>
 
         <Button variant="contained" color="primary" startIcon={<IconPlus />} onClick={() => handleOpenModal(0)}>
-          新建用户
+          {t('新建用户')}
         </Button>
       </Stack>
       <Card>
@@ -151,7 +152,7 @@ export default function Users() {
           <TableToolBar
             filterName={searchKeyword}
             handleFilterName={handleSearchKeyword}
-            placeholder={'搜索用户的ID，用户名，显示名称，以及邮箱地址...'}
+            placeholder={t('搜索用户的ID，用户名，显示名称，以及邮箱地址...')}
           />
         </Box>
         <Toolbar
@@ -166,7 +167,7 @@ export default function Users() {
           <Container>
             <ButtonGroup variant="outlined" aria-label="outlined small primary button group" sx={{marginBottom: 2}}>
               <Button onClick={handleRefresh} startIcon={<IconRefresh width={'18px'} />}>
-                刷新
+                {t('刷新')}
               </Button>
             </ButtonGroup>
           </Container>
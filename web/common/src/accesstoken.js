@@ -0,0 +1,62 @@
+import { t } from './i18n';
+
+/**
+ * 访问令牌的权限范围，role 为可以选择该权限的最低角色，与后端 model/access_token.go 一致。
+ * xxx:write 同时包含 xxx:read。
+ */
+export const ACCESS_TOKEN_SCOPES = [
+  { value: 'account:read', label: '查看账户信息', role: 1 },
+  { value: 'token:read', label: '查看令牌', role: 1 },
+  { value: 'token:write', label: '管理令牌', role: 1 },
+  { value: 'log:read', label: '查看日志', role: 1 },
+  { value: 'log:write', label: '删除日志', role: 10 },
+  { value: 'channel:read', label: '查看渠道', role: 10 },
+  { value: 'channel:write', label: '管理渠道', role: 10 },
+  { value: 'redemption:read', label: '查看兑换码', role: 10 },
+  { value: 'redemption:write', label: '管理兑换码', role: 10 },
+  { value: 'user:read', label: '查看用户', role: 10 },
+  { value: 'user:write', label: '管理用户', role: 10 },
+  { value: 'option:read', label: '查看系统设置', role: 100 },
+  { value: 'option:write', label: '修改系统设置', role: 100 }
+];
+
+/**
+ * 访问令牌的有效期（秒），0 表示永不过期。
+ */
+export const ACCESS_TOKEN_EXPIRY = [
+  { value: 7 * 24 * 3600, label: '7 天' },
+  { value: 30 * 24 * 3600, label: '30 天' },
+  { value: 90 * 24 * 3600, label: '90 天' },
+  { value: 365 * 24 * 3600, label: '1 年' },
+  { value: 0, label: '永不过期' }
+];
+
+/**
+ * 当前角色可以选择的权限范围。
+ * @param {number} role
+ */
+export function accessTokenScopesFor(role) {
+  return ACCESS_TOKEN_SCOPES.filter((scope) => role >= scope.role);
+}
+
+/**
+ * 列表中显示的权限名称，未知的权限显示原文。
+ * @param {string} scopes 逗号分隔，与接口返回的 scopes 相同
+ */
+export function describeAccessTokenScopes(scopes) {
+  return (scopes || '')
+    .split(',')
+    .filter(Boolean)
+    .map((value) => {
+      const scope = ACCESS_TOKEN_SCOPES.find((item) => item.value === value);
+      return scope ? t(scope.label) : value;
+    });
+}
+
+/**
+ * 根据选择的有效期计算创建接口的 expired_time，-1 表示永不过期。
+ * @param {number} seconds
+ */
+export function accessTokenExpiredTime(seconds) {
+  return seconds > 0 ? Math.floor(Date.now() / 1000) + seconds : -1;
+}
@@ -0,0 +1,170 @@
+import { formatNumber, t } from './i18n';
+
+/**
+ * 用量分析的分组维度，与 /api/log/analytics 的 dimension 参数对应。
+ */
+export const AnalyticsDimension = {
+  Model: 'model',
+  Channel: 'channel',
+  User: 'user',
+  Token: 'token',
+  Group: 'group'
+};
+
+/**
+ * 可选的分组维度；adminOnly 的维度只有管理员可用，filter 为按该维度的值钻取时设置的筛选条件。
+ */
+export const ANALYTICS_DIMENSIONS = [
+  { value: AnalyticsDimension.Model, label: '模型', filter: 'model_name' },
+  { value: AnalyticsDimension.Channel, label: '渠道', filter: 'channel', adminOnly: true },
+  { value: AnalyticsDimension.User, label: '用户', filter: 'username', adminOnly: true },
+  { value: AnalyticsDimension.Token, label: '令牌', filter: 'token_name' },
+  { value: AnalyticsDimension.Group, label: '分组', adminOnly: true }
+];
+
+export const AnalyticsGranularity = {
+  Hour: 'hour',
+  Day: 'day',
+  Week: 'week',
+  Month: 'month'
+};
+
+export const ANALYTICS_GRANULARITIES = [
+  { value: AnalyticsGranularity.Hour, label: '小时' },
+  { value: AnalyticsGranularity.Day, label: '天' },
+  { value: AnalyticsGranularity.Week, label: '周' },
+  { value: AnalyticsGranularity.Month, label: '月' }
+];
+
+/**
+ * @param {boolean} admin
+ * @returns {typeof ANALYTICS_DIMENSIONS}
+ */
+export function analyticsDimensions(admin) {
+  return ANALYTICS_DIMENSIONS.filter((dimension) => admin || !dimension.adminOnly);
+}
+
+/**
+ * 组装 /api/log/analytics 的查询参数，按浏览器所在时区划分天、周、月。
+ * @param {{ dimension: string, granularity: string, start: number, end: number, top?: number }} query 时间为秒级时间戳
+ * @param {import('./client').LogFilters} [filters]
+ */
+export function analyticsParams({ dimension, granularity, start, end, top }, filters = {}) {
+  const params = {
+    dimension,
+    granularity,
+    start_timestamp: start,
+    end_timestamp: end,
+    timezone_offset: -new Date(start * 1000).getTimezoneOffset() * 60
+  };
+  if (top) params.top = top;
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') params[key] = value;
+  });
+  return params;
+}
+
+/**
+ * 维度值的显示名称；空值是前 N 项以外的合计。
+ * @param {string} key
+ * @param {string} dimension
+ * @param {Object<string, string>} [names] 渠道 id 到名称的映射
+ */
+export function analyticsLabel(key, dimension, names = {}) {
+  if (key === '') return t('其他');
+  if (dimension === AnalyticsDimension.Channel) {
+    return names[key] ? `#${key} ${names[key]}` : `#${key}`;
+  }
+  return key;
+}
+
+function pad(value) {
+  return value.toString().padStart(2, '0');
+}
+
+/**
+ * 时间桶的显示文本，与服务端一样按本地时间划分。
+ * @param {number} time 桶起点的秒级时间戳
+ * @param {string} granularity
+ */
+export function formatBucket(time, granularity) {
+  const date = new Date(time * 1000);
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  switch (granularity) {
+    case AnalyticsGranularity.Hour:
+      return `${day} ${pad(date.getHours())}:00`;
+    case AnalyticsGranularity.Month:
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+    default:
+      return day;
+  }
+}
+
+/**
+ * 与上一周期相比的变化比例，上一周期为 0 时无法比较，返回 null。
+ * @param {number} current
+ * @param {number} previous
+ * @returns {number|null}
+ */
+export function changeRatio(current, previous) {
+  if (!previous) return null;
+  return (current - previous) / previous;
+}
+
+/**
+ * @param {number|null} ratio changeRatio 的结果
+ * @returns {string} 例如 +12.5%，无法比较时为 —
+ */
+export function formatChange(ratio) {
+  if (ratio === null || !Number.isFinite(ratio)) return '—';
+  const text = formatNumber(ratio, { style: 'percent', maximumFractionDigits: 1 });
+  return ratio > 0 ? `+${text}` : text;
+}
+
+/**
+ * 把 series 转换为图表数据，每个时间桶的每个维度值一行。
+ * @param {{ series: Array<{ time: number, key: string, quota: number, count: number }>, dimension: string, granularity: string, names?: Object<string, string> }} data
+ * @returns {Array<{ time: string, key: string, quota: number, count: number }>}
+ */
+export function analyticsChartRows(data) {
+  return data.series.map((point) => ({
+    time: formatBucket(point.time, data.granularity),
+    key: analyticsLabel(point.key, data.dimension, data.names),
+    quota: point.quota,
+    count: point.count
+  }));
+}
+
+/**
+ * 把按天汇总的 series（/api/overview 或 granularity 为 day 的分析结果）展开为连续的日期，缺少数据的日期补 0。
+ * @param {{ series: Array<{ time: number, key: string, quota: number, count: number, prompt_tokens: number, completion_tokens: number }>, start_timestamp: number, end_timestamp: number, dimension?: string, names?: Object<string, string> }} data
+ * @returns {{ days: string[], totals: Array<{ quota: number, count: number, tokens: number }>, byKey: Array<{ key: string, name: string, quota: number[] }> }}
+ */
+export function dailySeries(data) {
+  const days = [];
+  const date = new Date(data.start_timestamp * 1000);
+  date.setHours(0, 0, 0, 0);
+  while (date.getTime() <= data.end_timestamp * 1000) {
+    days.push(formatBucket(date.getTime() / 1000, AnalyticsGranularity.Day));
+    date.setDate(date.getDate() + 1);
+  }
+  const index = new Map(days.map((day, i) => [day, i]));
+  const totals = days.map(() => ({ quota: 0, count: 0, tokens: 0 }));
+  const byKey = new Map();
+  data.series.forEach((point) => {
+    const i = index.get(formatBucket(point.time, AnalyticsGranularity.Day));
+    if (i === undefined) return;
+    totals[i].quota += point.quota;
+    totals[i].count += point.count;
+    totals[i].tokens += point.prompt_tokens + point.completion_tokens;
+    if (!byKey.has(point.key)) {
+      byKey.set(point.key, {
+        key: point.key,
+        name: analyticsLabel(point.key, data.dimension || AnalyticsDimension.Model, data.names),
+        quota: days.map(() => 0)
+      });
+    }
+    byKey.get(point.key).quota[i] += point.quota;
+  });
+  return { days, totals, byKey: [...byKey.values()] };
+}
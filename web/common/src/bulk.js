@@ -0,0 +1,174 @@
+import { ApiError, isCanceled } from './errors';
+import { t } from './i18n';
+
+/**
+ * 批量修改分组或模型时的合并方式。
+ */
+export const BulkEditMode = {
+  Replace: 'replace',
+  Add: 'add',
+  Remove: 'remove'
+};
+
+/**
+ * 渠道支持的批量操作。
+ */
+export const ChannelBulkAction = {
+  Enable: 'enable',
+  Disable: 'disable',
+  Delete: 'delete',
+  Test: 'test',
+  Priority: 'priority',
+  Weight: 'weight',
+  Group: 'group',
+  Models: 'models'
+};
+
+const CHANNEL_BULK_ACTION_TEXT = {
+  [ChannelBulkAction.Enable]: '启用',
+  [ChannelBulkAction.Disable]: '禁用',
+  [ChannelBulkAction.Delete]: '删除',
+  [ChannelBulkAction.Test]: '测试',
+  [ChannelBulkAction.Priority]: '设置优先级',
+  [ChannelBulkAction.Weight]: '设置权重',
+  [ChannelBulkAction.Group]: '修改分组',
+  [ChannelBulkAction.Models]: '修改模型'
+};
+
+/**
+ * @param {string} action ChannelBulkAction
+ * @returns {string}
+ */
+export function describeChannelBulkAction(action) {
+  return CHANNEL_BULK_ACTION_TEXT[action] ? t(CHANNEL_BULK_ACTION_TEXT[action]) : action;
+}
+
+/**
+ * 把逗号分隔的字符串或数组拆成去重后的列表。
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+export function splitCommaList(value) {
+  const items = Array.isArray(value) ? value : (value || '').split(',');
+  return [...new Set(items.map((item) => item.trim()).filter((item) => item !== ''))];
+}
+
+/**
+ * 按合并方式修改逗号分隔的列表，例如渠道的 group 与 models 字段。
+ * @param {string|string[]} current 当前值
+ * @param {string|string[]} values 要替换、追加或移除的值
+ * @param {string} mode BulkEditMode
+ * @returns {string}
+ */
+export function editCommaList(current, values, mode) {
+  const items = splitCommaList(current);
+  const changes = splitCommaList(values);
+  switch (mode) {
+    case BulkEditMode.Add:
+      return splitCommaList([...items, ...changes]).join(',');
+    case BulkEditMode.Remove:
+      return items.filter((item) => !changes.includes(item)).join(',');
+    default:
+      return changes.join(',');
+  }
+}
+
+/**
+ * 批量任务中单个条目的执行结果。
+ * @template T
+ * @typedef {Object} BulkResult
+ * @property {T} item
+ * @property {boolean} success
+ * @property {string} message
+ * @property {Object} [data] task 的原始返回值，抛出错误时为空
+ */
+
+/**
+ * 以有限的并发依次执行批量任务，每完成一个条目回调一次 onProgress。
+ * task 返回 { success, message } 或抛出错误，都会被记录为该条目的结果，不会中断其余条目。
+ *
+ * @template T
+ * @param {T[]} items
+ * @param {(item: T, options: { signal?: AbortSignal }) => Promise<{ success: boolean, message?: string }>} task
+ * @param {{ concurrency?: number, signal?: AbortSignal, onProgress?: (result: BulkResult<T>, done: number, total: number) => void }} [options]
+ * @returns {Promise<BulkResult<T>[]>}
+ */
+export async function runBulk(items, task, { concurrency = 4, signal, onProgress } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  let done = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const idx = next++;
+      const item = items[idx];
+      let result;
+      if (signal && signal.aborted) {
+        result = { item, success: false, message: t('已取消') };
+      } else {
+        try {
+          const res = await task(item, { signal });
+          result = { item, success: !!res.success, message: res.message || '', data: res };
+        } catch (error) {
+          result = { item, success: false, message: isCanceled(error) ? t('已取消') : error.message };
+        }
+      }
+      results[idx] = result;
+      done++;
+      if (onProgress) onProgress(result, done, items.length);
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * 生成对单个渠道执行批量操作的任务函数，配合 runBulk 使用。
+ * 请求带 silent，失败原因记录在结果中而不是逐条弹出提示。
+ *
+ * @param {ReturnType<import('./client').createApiClient>} api
+ * @param {string} action ChannelBulkAction
+ * @param {{ value?: number, values?: string|string[], mode?: string }} [params]
+ *   priority/weight 使用 value，group/models 使用 values 与 mode
+ * @returns {(channel: { id: number, group?: string, models?: string|string[] }, options: { signal?: AbortSignal }) => Promise<{ success: boolean, message: string }>}
+ */
+export function channelBulkTask(api, action, params = {}) {
+  return async (channel, { signal } = {}) => {
+    const options = { signal, silent: true };
+    switch (action) {
+      case ChannelBulkAction.Enable:
+        return api.channel.update({ id: channel.id, status: 1 }, options);
+      case ChannelBulkAction.Disable:
+        return api.channel.update({ id: channel.id, status: 2 }, options);
+      case ChannelBulkAction.Delete:
+        return api.channel.remove(channel.id, options);
+      case ChannelBulkAction.Test: {
+        const res = await api.channel.test(channel.id, undefined, options);
+        if (res.success) {
+          return { success: true, message: t('耗时 {time} 秒', { time: res.time.toFixed(2) }) };
+        }
+        return res;
+      }
+      case ChannelBulkAction.Priority:
+        return api.channel.update({ id: channel.id, priority: params.value }, options);
+      case ChannelBulkAction.Weight:
+        return api.channel.update({ id: channel.id, weight: Math.max(params.value, 0) }, options);
+      case ChannelBulkAction.Group:
+      case ChannelBulkAction.Models: {
+        const field = action === ChannelBulkAction.Group ? 'group' : 'models';
+        const value = editCommaList(channel[field], params.values, params.mode);
+        if (value === '') {
+          return { success: false, message: action === ChannelBulkAction.Group ? t('分组不能为空') : t('模型不能为空') };
+        }
+        return api.channel.update({ id: channel.id, [field]: value }, options);
+      }
+      default:
+        throw new ApiError(t('不支持的批量操作：{action}', { action }));
+    }
+  };
+}
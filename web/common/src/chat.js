@@ -0,0 +1,146 @@
+import { ApiError, ErrorKind } from './errors';
+import { t } from './i18n';
+
+/**
+ * 流式响应中的一次增量。
+ * @typedef {Object} ChatDelta
+ * @property {string} content 本次新增的文本
+ * @property {Object} [usage] 服务端在最后一个分片中返回的 usage
+ */
+
+/**
+ * 使用令牌调用 /v1/chat/completions 并以 SSE 方式读取结果。
+ * 这里用 fetch 而不是 axios，因为 axios 在浏览器中无法逐块读取响应体。
+ *
+ * @param {{
+ *   baseURL?: string,
+ *   key: string,
+ *   body: Object,
+ *   signal?: AbortSignal,
+ *   onDelta?: (delta: ChatDelta) => void
+ * }} options
+ * @returns {Promise<{ content: string, usage: Object|null, firstTokenAt: number|null }>}
+ */
+export async function streamChatCompletion({ baseURL = '', key, body, signal, onDelta }) {
+  let response;
+  try {
+    response = await fetch(`${baseURL}/v1/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer sk-${key}`
+      },
+      body: JSON.stringify({ ...body, stream: true, stream_options: { include_usage: true } }),
+      signal
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new ApiError(t('请求已取消'), { kind: ErrorKind.Canceled, cause: error });
+    }
+    throw new ApiError(error.message, { kind: ErrorKind.Network, cause: error });
+  }
+
+  if (!response.ok) {
+    let message = `HTTP ${response.status}`;
+    try {
+      const data = await response.json();
+      if (data.error && data.error.message) {
+        message = data.error.message;
+      }
+    } catch (e) {
+      // 响应体不是 JSON，保留状态码作为错误信息
+    }
+    throw new ApiError(message, { kind: ErrorKind.Http, status: response.status });
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+  let usage = null;
+  let firstTokenAt = null;
+
+  const handleLine = (line) => {
+    if (!line.startsWith('data:')) return;
+    const payload = line.slice(5).trim();
+    if (payload === '' || payload === '[DONE]') return;
+    let chunk;
+    try {
+      chunk = JSON.parse(payload);
+    } catch (e) {
+      return;
+    }
+    if (chunk.error) {
+      throw new ApiError(chunk.error.message || t('上游返回错误'), { kind: ErrorKind.Http, data: chunk });
+    }
+    let text = '';
+    for (const choice of chunk.choices || []) {
+      if (choice.delta && typeof choice.delta.content === 'string') {
+        text += choice.delta.content;
+      }
+    }
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+    if (text !== '' && firstTokenAt === null) {
+      firstTokenAt = Date.now();
+    }
+    content += text;
+    if (onDelta && (text !== '' || chunk.usage)) {
+      onDelta({ content: text, usage: chunk.usage });
+    }
+  };
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach((line) => handleLine(line.trim()));
+    }
+    handleLine(buffer.trim());
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new ApiError(t('请求已取消'), { kind: ErrorKind.Canceled, cause: error });
+    }
+    throw error;
+  }
+
+  return { content, usage, firstTokenAt };
+}
+
+/**
+ * 没有拿到 usage 时粗略估算 token 数，仅用于展示。
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  let tokens = 0;
+  for (const char of text) {
+    // 中日韩字符大约一字一个 token，其余按 4 个字符一个 token 计
+    tokens += /[\u3000-\u9fff\uac00-\ud7af]/.test(char) ? 1 : 0.25;
+  }
+  return Math.ceil(tokens);
+}
+
+/**
+ * 取服务端返回的 usage，没有时按请求与回复文本估算。
+ * @param {{ content: string }[]} messages 发送的消息
+ * @param {{ content: string, usage: Object|null }} result streamChatCompletion 的返回值
+ * @returns {{ usage: { prompt_tokens: number, completion_tokens: number }, estimated: boolean }}
+ */
+export function resolveUsage(messages, result) {
+  if (result.usage) {
+    return { usage: result.usage, estimated: false };
+  }
+  return {
+    usage: {
+      prompt_tokens: estimateTokens(messages.map((message) => message.content).join('\n')),
+      completion_tokens: estimateTokens(result.content)
+    },
+    estimated: true
+  };
+}
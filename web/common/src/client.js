@@ -0,0 +1,232 @@
+import { toApiError } from './errors';
+
+/**
+ * 服务端统一的响应结构。
+ * @template T
+ * @typedef {Object} ApiResponse
+ * @property {boolean} success
+ * @property {string} message
+ * @property {T} data
+ */
+
+/**
+ * 每个请求都可以带上的额外选项，signal 用于取消请求。
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal]
+ * @property {boolean} [retry] 设为 false 时 429 不重试
+ * @property {boolean} [silent] 设为 true 时出错不调用 onError，由调用方自行汇总提示（401 仍会处理）
+ */
+
+/**
+ * 日志查询条件，与 /api/log/ 的查询参数一一对应。
+ * @typedef {Object} LogFilters
+ * @property {number} [p]
+ * @property {number} [type]
+ * @property {string} [username]
+ * @property {string} [token_name]
+ * @property {string} [model_name]
+ * @property {number} [start_timestamp]
+ * @property {number} [end_timestamp]
+ * @property {number|string} [channel]
+ */
+
+/**
+ * 基于主题的 axios 实例创建按路由划分的 API 客户端。
+ * 所有方法都返回服务端的 { success, message, data }，
+ * 网络或 HTTP 错误会以已上报的 ApiError 形式 reject。
+ *
+ * @param {import('axios').AxiosInstance} http
+ */
+export function createApiClient(http) {
+  /**
+   * @param {import('axios').AxiosRequestConfig} config
+   * @param {RequestOptions} [options]
+   * @returns {Promise<ApiResponse<any>>}
+   */
+  const request = (config, options = {}) =>
+    http
+      .request({ ...config, ...options, throwOnError: true })
+      .then((res) => res.data)
+      // 已取消的 signal 会让 axios 在拦截器之前直接抛出，这里再统一转换一次
+      .catch((error) => Promise.reject(toApiError(error)));
+
+  const get = (url, params, options) => request({ method: 'get', url, params }, options);
+  const post = (url, data, params, options) => request({ method: 'post', url, data, params }, options);
+  const put = (url, data, params, options) => request({ method: 'put', url, data, params }, options);
+  const del = (url, params, options) => request({ method: 'delete', url, params }, options);
+
+  const status = {
+    get: (options) => get('/api/status', undefined, options),
+    notice: (options) => get('/api/notice', undefined, options),
+    about: (options) => get('/api/about', undefined, options),
+    homePageContent: (options) => get('/api/home_page_content', undefined, options),
+    models: (options) => get('/api/models', undefined, options),
+    /** 公开的模型价格，未登录时为 default 分组 */
+    pricing: (options) => get('/api/pricing', undefined, options)
+  };
+
+  const channel = {
+    /** @param {{ p?: number, page_size?: number, id_sort?: boolean }} [params] */
+    list: (params, options) => get('/api/channel/', params, options),
+    /** @param {{ keyword: string, group?: string, model?: string }} params */
+    search: (params, options) => get('/api/channel/search', params, options),
+    models: (options) => get('/api/channel/models', undefined, options),
+    /** @param {{ type?: number, models: string }} params models 为逗号分隔的模型名 */
+    modelRatio: (params, options) => get('/api/channel/model_ratio', params, options),
+    /** @param {{ ids?: string, mask_key?: boolean }} [params] ids 为逗号分隔的渠道 ID，为空时导出全部 */
+    export: (params, options) => get('/api/channel/export', params, options),
+    get: (id, options) => get(`/api/channel/${id}`, undefined, options),
+    /** @param {{ model?: string }} [params] */
+    test: (id, params, options) => get(`/api/channel/test/${id}`, params, options),
+    /** @param {{ scope?: string }} [params] */
+    testAll: (params, options) => get('/api/channel/test', params, options),
+    /** @param {{ limit?: number }} [params] */
+    health: (id, params, options) => get(`/api/channel/health/${id}`, params, options),
+    updateBalance: (id, options) => get(`/api/channel/update_balance/${id}`, undefined, options),
+    updateAllBalance: (options) => get('/api/channel/update_balance', undefined, options),
+    create: (data, options) => post('/api/channel/', data, undefined, options),
+    update: (data, options) => put('/api/channel/', data, undefined, options),
+    remove: (id, options) => del(`/api/channel/${id}`, undefined, options),
+    removeDisabled: (options) => del('/api/channel/disabled', undefined, options)
+  };
+
+  const token = {
+    /** @param {{ p?: number, size?: number, order?: string }} [params] */
+    list: (params, options) => get('/api/token/', params, options),
+    /** @param {{ keyword: string, token?: string }} params */
+    search: (params, options) => get('/api/token/search', params, options),
+    get: (id, options) => get(`/api/token/${id}`, undefined, options),
+    /** 令牌最近 30 天使用过的客户端 IP，来自消费日志 */
+    clientIps: (id, options) => get(`/api/token/${id}/ips`, undefined, options),
+    create: (data, options) => post('/api/token/', data, undefined, options),
+    update: (data, options) => put('/api/token/', data, undefined, options),
+    /** 仅更新状态，对应 PUT /api/token/?status_only=true */
+    updateStatus: (data, options) => put('/api/token/', data, { status_only: true }, options),
+    /** 更换令牌的密钥，data 为 { grace_period }，该时间（秒）内旧密钥仍可使用 */
+    rotate: (id, data, options) => post(`/api/token/${id}/rotate`, data, undefined, options),
+    remove: (id, options) => del(`/api/token/${id}`, undefined, options)
+  };
+
+  const log = {
+    /** @param {LogFilters} [params] */
+    list: (params, options) => get('/api/log/', params, options),
+    search: (keyword, options) => get('/api/log/search', { keyword }, options),
+    /** @param {LogFilters} [params] */
+    stat: (params, options) => get('/api/log/stat', params, options),
+    /** @param {LogFilters} [params] */
+    self: (params, options) => get('/api/log/self', params, options),
+    selfSearch: (keyword, options) => get('/api/log/self/search', { keyword }, options),
+    /** @param {LogFilters} [params] */
+    selfStat: (params, options) => get('/api/log/self/stat', params, options),
+    /** 按维度与时间粒度统计消费，参数见 analyticsParams */
+    analytics: (params, options) => get('/api/log/analytics', params, options),
+    selfAnalytics: (params, options) => get('/api/log/self/analytics', params, options),
+    removeHistory: (targetTimestamp, options) => del('/api/log/', { target_timestamp: targetTimestamp }, options)
+  };
+
+  const user = {
+    /** @param {{ username: string, password: string }} data */
+    login: (data, turnstile, options) => post('/api/user/login', data, turnstile ? { turnstile } : undefined, options),
+    /**
+     * 密码正确但启用了两步验证时，login 返回 { require_two_factor: true }，再以验证码或恢复码完成登录
+     * @param {{ code: string }} data
+     */
+    loginTwoFactor: (data, options) => post('/api/user/login/2fa', data, undefined, options),
+    /** 返回传给 navigator.credentials.get 的选项，二进制字段为 base64url */
+    beginPasskeyLogin: (options) => post('/api/user/passkey/login/begin', undefined, undefined, options),
+    finishPasskeyLogin: (credential, options) => post('/api/user/passkey/login/finish', credential, undefined, options),
+    register: (data, turnstile, options) => post('/api/user/register', data, turnstile ? { turnstile } : undefined, options),
+    logout: (options) => get('/api/user/logout', undefined, options),
+    resetPassword: (data, options) => post('/api/user/reset', data, undefined, options),
+    self: (options) => get('/api/user/self', undefined, options),
+    updateSelf: (data, options) => put('/api/user/self', data, undefined, options),
+    deleteSelf: (options) => del('/api/user/self', undefined, options),
+    dashboard: (options) => get('/api/user/dashboard', undefined, options),
+    /**
+     * 管理员的系统概览，对应 GET /api/overview
+     * @param {{ start_timestamp?: number, end_timestamp?: number, timezone_offset?: number }} [params]
+     */
+    overview: (params, options) => get('/api/overview', params, options),
+    accessToken: (options) => get('/api/user/token', undefined, options),
+    /** 带权限范围的访问令牌，令牌原文只在创建时返回 */
+    accessTokens: (options) => get('/api/user/access_token', undefined, options),
+    /**
+     * 返回 { token, access_token }，access_token 为令牌原文
+     * @param {{ name: string, scopes: string[], expired_time: number }} data
+     */
+    createAccessToken: (data, options) => post('/api/user/access_token', data, undefined, options),
+    deleteAccessToken: (id, options) => del(`/api/user/access_token/${id}`, undefined, options),
+    affCode: (options) => get('/api/user/aff', undefined, options),
+    /** @param {{ key: string }} data */
+    topUp: (data, options) => post('/api/user/topup', data, undefined, options),
+    availableModels: (options) => get('/api/user/available_models', undefined, options),
+    /** @param {{ language: string }} data */
+    updateLanguage: (data, options) => put('/api/user/language', data, undefined, options),
+    /** 按最近的消耗速度预测额度用尽的时间，并给出需要提示的额度提醒 */
+    quotaForecast: (options) => get('/api/user/quota_forecast', undefined, options),
+    /**
+     * @param {{ quota_alert_threshold: number, daily_quota_alert_threshold: number, alert_notify_by: string, message_pusher_address: string, message_pusher_token?: string }} data
+     */
+    updateQuotaAlert: (data, options) => put('/api/user/quota_alert', data, undefined, options),
+    /** 两步验证是否启用以及剩余的恢复码数量 */
+    twoFactor: (options) => get('/api/user/2fa', undefined, options),
+    /** 生成新的密钥，返回 { secret, uri }，uri 用于生成验证器扫描的二维码 */
+    setupTwoFactor: (options) => post('/api/user/2fa/setup', undefined, undefined, options),
+    /** 以验证器中的验证码确认启用，返回只显示一次的 { recovery_codes } */
+    enableTwoFactor: (data, options) => post('/api/user/2fa/enable', data, undefined, options),
+    disableTwoFactor: (data, options) => post('/api/user/2fa/disable', data, undefined, options),
+    resetRecoveryCodes: (data, options) => post('/api/user/2fa/recovery_codes', data, undefined, options),
+    passkeys: (options) => get('/api/user/passkey', undefined, options),
+    /** 返回传给 navigator.credentials.create 的选项，二进制字段为 base64url */
+    beginPasskeyRegistration: (options) => post('/api/user/passkey/register/begin', undefined, undefined, options),
+    /** @param {{ name: string, credential: object }} data */
+    finishPasskeyRegistration: (data, options) => post('/api/user/passkey/register/finish', data, undefined, options),
+    /** @param {{ name: string }} data */
+    updatePasskey: (id, data, options) => put(`/api/user/passkey/${id}`, data, undefined, options),
+    deletePasskey: (id, options) => del(`/api/user/passkey/${id}`, undefined, options),
+    /** 当前用户已登录的浏览器，current 为 true 的是发起请求的会话 */
+    sessions: (options) => get('/api/user/session', undefined, options),
+    revokeSession: (id, options) => del(`/api/user/session/${id}`, undefined, options),
+    /** 在所有设备上退出登录，包括当前会话 */
+    revokeAllSessions: (options) => del('/api/user/session', undefined, options),
+    /** 当前用户最近的登录记录与账号安全操作，alert 不为空的是需要注意的异常登录 */
+    securityEvents: (options) => get('/api/user/security_event', undefined, options),
+    /** 当前用户分组可用模型的计费倍率 */
+    pricing: (options) => get('/api/user/pricing', undefined, options),
+    /** @param {{ p?: number, order?: string }} [params] */
+    list: (params, options) => get('/api/user/', params, options),
+    search: (keyword, options) => get('/api/user/search', { keyword }, options),
+    get: (id, options) => get(`/api/user/${id}`, undefined, options),
+    create: (data, options) => post('/api/user/', data, undefined, options),
+    /** @param {{ username: string, action: string }} data */
+    manage: (data, options) => post('/api/user/manage', data, undefined, options),
+    update: (data, options) => put('/api/user/', data, undefined, options),
+    remove: (id, options) => del(`/api/user/${id}`, undefined, options),
+    userSessions: (id, options) => get(`/api/user/${id}/session`, undefined, options),
+    revokeUserSession: (id, sessionId, options) => del(`/api/user/${id}/session/${sessionId}`, undefined, options),
+    revokeUserSessions: (id, options) => del(`/api/user/${id}/session`, undefined, options),
+    userSecurityEvents: (id, options) => get(`/api/user/${id}/security_event`, undefined, options)
+  };
+
+  const redemption = {
+    list: (params, options) => get('/api/redemption/', params, options),
+    search: (keyword, options) => get('/api/redemption/search', { keyword }, options),
+    get: (id, options) => get(`/api/redemption/${id}`, undefined, options),
+    create: (data, options) => post('/api/redemption/', data, undefined, options),
+    update: (data, options) => put('/api/redemption/', data, undefined, options),
+    updateStatus: (data, options) => put('/api/redemption/', data, { status_only: true }, options),
+    remove: (id, options) => del(`/api/redemption/${id}`, undefined, options)
+  };
+
+  const option = {
+    list: (options) => get('/api/option/', undefined, options),
+    /** @param {{ key: string, value: string }} data */
+    update: (data, options) => put('/api/option/', data, undefined, options)
+  };
+
+  const group = {
+    list: (options) => get('/api/group/', undefined, options)
+  };
+
+  return { request, status, channel, token, log, user, redemption, option, group };
+}
@@ -0,0 +1,27 @@
+import { ApiError, ErrorKind } from './errors';
+import { createApiClient } from './client';
+
+describe('createApiClient', () => {
+  it('sends routed requests and resolves with the response body', async () => {
+    const http = { request: jest.fn().mockResolvedValue({ data: { success: true, data: [] } }) };
+    const api = createApiClient(http);
+
+    await expect(api.channel.list({ p: 1 }, { silent: true })).resolves.toEqual({ success: true, data: [] });
+    expect(http.request).toHaveBeenCalledWith({
+      method: 'get',
+      url: '/api/channel/',
+      params: { p: 1 },
+      silent: true,
+      throwOnError: true
+    });
+  });
+
+  it('converts errors thrown before the interceptors to ApiError', async () => {
+    const http = { request: jest.fn().mockRejectedValue({ name: 'CanceledError', code: 'ERR_CANCELED' }) };
+    const api = createApiClient(http);
+
+    const error = await api.status.get().catch((e) => e);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.kind).toBe(ErrorKind.Canceled);
+  });
+});
@@ -0,0 +1,63 @@
+import { t } from './i18n';
+
+/**
+ * 客户端模板链接中的占位符。
+ */
+export const CLIENT_TEMPLATE_PLACEHOLDERS = ['{key}', '{server}', '{server_encoded}'];
+
+// 链接开头的协议名；javascript、data、vbscript 会在当前页面中执行脚本或内嵌内容，不能使用
+const CLIENT_TEMPLATE_SCHEME = /^([A-Za-z][A-Za-z0-9+.-]*):/;
+const BLOCKED_CLIENT_TEMPLATE_SCHEMES = ['javascript', 'data', 'vbscript'];
+
+/**
+ * 用令牌与站点地址填充客户端模板的链接。
+ * @param {string} url
+ * @param {{ apiKey: string, serverAddress: string }} options apiKey 带 sk- 前缀
+ */
+export function fillClientTemplate(url, { apiKey, serverAddress }) {
+  return url
+    .split('{server_encoded}')
+    .join(encodeURIComponent(serverAddress))
+    .split('{server}')
+    .join(serverAddress)
+    .split('{key}')
+    .join(apiKey);
+}
+
+/**
+ * /api/status 中的 client_templates，旧版本的后端没有该字段时为空列表。
+ * @param {{ client_templates?: Array<{ name: string, url: string }> } | null} status
+ */
+export function getClientTemplates(status) {
+  return (status && Array.isArray(status.client_templates) && status.client_templates) || [];
+}
+
+/**
+ * 检查管理员编辑的客户端模板，与后端的校验规则相同。
+ * @param {Array<{ name: string, url: string }>} templates
+ * @returns {string[]} 错误信息，为空表示通过
+ */
+export function validateClientTemplates(templates) {
+  const errors = [];
+  const names = new Set();
+  templates.forEach((template, index) => {
+    const name = template.name.trim();
+    const url = template.url.trim();
+    if (name === '' || url === '') {
+      errors.push(t('第 {index} 个客户端模板的名称或链接为空', { index: index + 1 }));
+      return;
+    }
+    if (names.has(name)) {
+      errors.push(t('客户端模板名称重复：{name}', { name }));
+    }
+    names.add(name);
+    if (!url.includes('{key}')) {
+      errors.push(t('客户端模板 {name} 的链接中没有 {key}', { name, key: '{key}' }));
+    }
+    const match = url.match(CLIENT_TEMPLATE_SCHEME);
+    if (!match || BLOCKED_CLIENT_TEMPLATE_SCHEMES.includes(match[1].toLowerCase())) {
+      errors.push(t('客户端模板 {name} 的链接必须以 http(s):// 或客户端的协议开头', { name }));
+    }
+  });
+  return errors;
+}
@@ -0,0 +1,54 @@
+import { t } from './i18n';
+import { fillClientTemplate, getClientTemplates, validateClientTemplates } from './clienttemplate';
+
+describe('fillClientTemplate', () => {
+  it('replaces every placeholder', () => {
+    const url = fillClientTemplate('app://add?key={key}&url={server_encoded}&raw={server}', {
+      apiKey: 'sk-1',
+      serverAddress: 'https://a.com/v1'
+    });
+    expect(url).toBe('app://add?key=sk-1&url=https%3A%2F%2Fa.com%2Fv1&raw=https://a.com/v1');
+  });
+});
+
+describe('getClientTemplates', () => {
+  it('returns an empty list for older backends', () => {
+    expect(getClientTemplates(null)).toEqual([]);
+    expect(getClientTemplates({})).toEqual([]);
+  });
+});
+
+describe('validateClientTemplates', () => {
+  it('accepts http and custom client schemes', () => {
+    expect(
+      validateClientTemplates([
+        { name: 'Web', url: 'https://chat.example.com/#/?settings={"key":"{key}"}' },
+        { name: 'App', url: 'cherrystudio://providers/api-keys?v=1&data={key}' }
+      ])
+    ).toEqual([]);
+  });
+
+  it('blocks script and data schemes regardless of case', () => {
+    ['javascript:alert({key})', ' JavaScript:alert({key})', 'data:text/html,{key}', 'VBScript:msgbox({key})', '//{key}'].forEach(
+      (url) => {
+        expect(validateClientTemplates([{ name: 'x', url }])).toEqual([
+          t('客户端模板 {name} 的链接必须以 http(s):// 或客户端的协议开头', { name: 'x' })
+        ]);
+      }
+    );
+  });
+
+  it('reports empty fields, duplicate names and a missing key', () => {
+    expect(
+      validateClientTemplates([
+        { name: '', url: 'https://a' },
+        { name: 'a', url: 'https://a/{key}' },
+        { name: 'a', url: 'https://b' }
+      ])
+    ).toEqual([
+      t('第 {index} 个客户端模板的名称或链接为空', { index: 1 }),
+      t('客户端模板名称重复：{name}', { name: 'a' }),
+      t('客户端模板 {name} 的链接中没有 {key}', { name: 'a', key: '{key}' })
+    ]);
+  });
+});
@@ -0,0 +1,113 @@
+import { t } from './i18n';
+
+/**
+ * 请求失败的分类，主题根据分类决定提示方式。
+ * @readonly
+ * @enum {string}
+ */
+export const ErrorKind = {
+  Unauthorized: 'unauthorized',
+  RateLimited: 'rate_limited',
+  Server: 'server',
+  Demo: 'demo',
+  Network: 'network',
+  Canceled: 'canceled',
+  Http: 'http',
+  Unknown: 'unknown'
+};
+
+/**
+ * 所有请求错误统一转换为 ApiError，保留原始错误便于排查。
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ kind?: string, status?: number, data?: any, cause?: any }} [options]
+   */
+  constructor(message, { kind = ErrorKind.Unknown, status = 0, data = null, cause = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.data = data;
+    this.cause = cause;
+    // 拦截器已经提示过的错误会被标记，避免调用方再次弹出提示
+    this.reported = false;
+  }
+}
+
+function kindFromStatus(status) {
+  switch (status) {
+    case 401:
+      return ErrorKind.Unauthorized;
+    case 429:
+      return ErrorKind.RateLimited;
+    case 405:
+      return ErrorKind.Demo;
+    case 500:
+      return ErrorKind.Server;
+    default:
+      return ErrorKind.Http;
+  }
+}
+
+export function isCanceled(error) {
+  if (!error) return false;
+  return error.name === 'CanceledError' || error.code === 'ERR_CANCELED' || error.kind === ErrorKind.Canceled;
+}
+
+/**
+ * 将 axios 错误、字符串或其他异常转换为 ApiError。
+ * @param {any} error
+ * @returns {ApiError}
+ */
+export function toApiError(error) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (isCanceled(error)) {
+    return new ApiError(t('请求已取消'), { kind: ErrorKind.Canceled, cause: error });
+  }
+  if (error && error.isAxiosError) {
+    const response = error.response;
+    if (!response) {
+      return new ApiError(error.message || t('网络错误'), { kind: ErrorKind.Network, cause: error });
+    }
+    // 服务端返回的 message 比 axios 的 "Request failed with status code" 更有用
+    const message = (response.data && response.data.message) || error.message;
+    return new ApiError(message, {
+      kind: kindFromStatus(response.status),
+      status: response.status,
+      data: response.data,
+      cause: error
+    });
+  }
+  if (typeof error === 'string') {
+    return new ApiError(error);
+  }
+  if (error && error.message) {
+    return new ApiError(error.message, { cause: error });
+  }
+  return new ApiError(String(error));
+}
+
+/**
+ * 生成给用户看的错误提示文本，三个主题共用同一套文案。
+ * @param {any} error
+ * @returns {string}
+ */
+export function describeError(error) {
+  const apiError = toApiError(error);
+  switch (apiError.kind) {
+    case ErrorKind.RateLimited:
+      return t('错误：请求次数过多，请稍后再试！');
+    case ErrorKind.Server:
+      return t('错误：服务器内部错误，请联系管理员！');
+    case ErrorKind.Demo:
+      return t('本站仅作演示之用，无服务端！');
+    case ErrorKind.Unauthorized:
+      return t('错误：未登录或登录已过期，请重新登录！');
+    default:
+      return t('错误：{message}', { message: t(apiError.message) });
+  }
+}
@@ -0,0 +1,56 @@
+import { ApiError, ErrorKind, describeError, isCanceled, toApiError } from './errors';
+import { t } from './i18n';
+
+describe('toApiError', () => {
+  it('keeps an ApiError as is', () => {
+    const error = new ApiError('boom', { kind: ErrorKind.Server });
+    expect(toApiError(error)).toBe(error);
+  });
+
+  it('classifies axios errors by status and prefers the server message', () => {
+    const cases = [
+      [401, ErrorKind.Unauthorized],
+      [405, ErrorKind.Demo],
+      [429, ErrorKind.RateLimited],
+      [500, ErrorKind.Server],
+      [404, ErrorKind.Http]
+    ];
+    cases.forEach(([status, kind]) => {
+      const error = toApiError({
+        isAxiosError: true,
+        message: 'Request failed',
+        response: { status, data: { message: 'from server' } }
+      });
+      expect(error).toMatchObject({ kind, status, message: 'from server' });
+    });
+  });
+
+  it('treats an axios error without a response as a network error', () => {
+    const error = toApiError({ isAxiosError: true, message: 'Network Error' });
+    expect(error).toMatchObject({ kind: ErrorKind.Network, message: 'Network Error' });
+  });
+
+  it('recognizes canceled requests', () => {
+    const canceled = { name: 'CanceledError', code: 'ERR_CANCELED' };
+    expect(isCanceled(canceled)).toBe(true);
+    expect(isCanceled(new Error('x'))).toBe(false);
+    expect(toApiError(canceled).kind).toBe(ErrorKind.Canceled);
+  });
+
+  it('wraps strings and other values', () => {
+    expect(toApiError('oops')).toMatchObject({ kind: ErrorKind.Unknown, message: 'oops' });
+    expect(toApiError(new TypeError('bad')).message).toBe('bad');
+    expect(toApiError(42).message).toBe('42');
+  });
+});
+
+describe('describeError', () => {
+  it('uses the shared text for known kinds', () => {
+    expect(describeError(new ApiError('', { kind: ErrorKind.RateLimited }))).toBe(t('错误：请求次数过多，请稍后再试！'));
+    expect(describeError(new ApiError('', { kind: ErrorKind.Unauthorized }))).toBe(t('错误：未登录或登录已过期，请重新登录！'));
+  });
+
+  it('includes the message for other errors', () => {
+    expect(describeError('disk full')).toBe(t('错误：{message}', { message: 'disk full' }));
+  });
+});
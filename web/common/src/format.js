@@ -0,0 +1,56 @@
+import { formatNumber, t } from './i18n';
+
+function pad(value) {
+  return value.toString().padStart(2, '0');
+}
+
+export function timestamp2string(timestamp) {
+  let date = new Date(timestamp * 1000);
+  return (
+    date.getFullYear() +
+    '-' +
+    pad(date.getMonth() + 1) +
+    '-' +
+    pad(date.getDate()) +
+    ' ' +
+    pad(date.getHours()) +
+    ':' +
+    pad(date.getMinutes()) +
+    ':' +
+    pad(date.getSeconds())
+  );
+}
+
+export function renderNumber(num) {
+  if (num >= 10000) {
+    // 按当前语言缩写，例如 zh-CN 为 1.2万，en 为 12.3K
+    return formatNumber(num, { notation: 'compact', maximumFractionDigits: 1 });
+  }
+  return num;
+}
+
+export function getQuotaPerUnit() {
+  return parseFloat(localStorage.getItem('quota_per_unit'));
+}
+
+export function isDisplayInCurrency() {
+  return localStorage.getItem('display_in_currency') === 'true';
+}
+
+export function calculateQuota(quota, digits = 2) {
+  return (quota / getQuotaPerUnit()).toFixed(digits);
+}
+
+export function renderQuota(quota, digits = 2) {
+  if (isDisplayInCurrency()) {
+    return '$' + calculateQuota(quota, digits);
+  }
+  return renderNumber(quota);
+}
+
+export function renderQuotaWithPrompt(quota, digits) {
+  if (isDisplayInCurrency()) {
+    return t('（等价金额：{amount}）', { amount: renderQuota(quota, digits) });
+  }
+  return '';
+}
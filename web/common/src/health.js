@@ -0,0 +1,79 @@
+import { t } from './i18n';
+
+/**
+ * 渠道健康记录的类型，与后端 model.ChannelHealthType* 保持一致。
+ */
+export const ChannelHealthType = {
+  TestSucceeded: 1,
+  TestFailed: 2,
+  AutoDisabled: 3,
+  AutoEnabled: 4
+};
+
+const HEALTH_TYPE_TEXT = {
+  [ChannelHealthType.TestSucceeded]: '测试成功',
+  [ChannelHealthType.TestFailed]: '测试失败',
+  [ChannelHealthType.AutoDisabled]: '自动禁用',
+  [ChannelHealthType.AutoEnabled]: '自动启用'
+};
+
+/**
+ * /api/channel/health/:id 返回的单条记录。
+ * @typedef {Object} ChannelHealth
+ * @property {number} id
+ * @property {number} created_at 秒级时间戳
+ * @property {number} type ChannelHealthType
+ * @property {number} response_time 毫秒
+ * @property {string} model_name
+ * @property {string} message
+ */
+
+/**
+ * @param {number} type
+ * @returns {string}
+ */
+export function describeHealthType(type) {
+  return t(HEALTH_TYPE_TEXT[type] || '未知');
+}
+
+/**
+ * 汇总健康记录：按时间正序取出测试结果，并计算成功率。
+ * @param {ChannelHealth[]} histories 按时间倒序排列的记录
+ * @returns {{ tests: ChannelHealth[], successRate: number|null }}
+ */
+export function summarizeChannelHealth(histories) {
+  const tests = (histories || [])
+    .filter((item) => item.type === ChannelHealthType.TestSucceeded || item.type === ChannelHealthType.TestFailed)
+    .reverse();
+  if (tests.length === 0) {
+    return { tests, successRate: null };
+  }
+  const succeeded = tests.filter((item) => item.type === ChannelHealthType.TestSucceeded).length;
+  return { tests, successRate: succeeded / tests.length };
+}
+
+/**
+ * 计算迷你折线图中每次测试的坐标，纵轴为响应时间，失败的测试按最慢处理画在最高点。
+ * @param {ChannelHealth[]} tests summarizeChannelHealth 返回的 tests
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ x: number, y: number, success: boolean, item: ChannelHealth }[]}
+ */
+export function sparklinePoints(tests, width, height) {
+  if (!tests || tests.length === 0) {
+    return [];
+  }
+  const max = Math.max(1, ...tests.map((item) => item.response_time || 0));
+  const step = tests.length > 1 ? width / (tests.length - 1) : 0;
+  return tests.map((item, idx) => {
+    const success = item.type === ChannelHealthType.TestSucceeded;
+    const value = success ? item.response_time || 0 : max;
+    return {
+      x: tests.length > 1 ? idx * step : width / 2,
+      // 留出 2px 边距，避免圆点被裁掉
+      y: 2 + (height - 4) * (1 - value / max),
+      success,
+      item
+    };
+  });
+}
@@ -0,0 +1,136 @@
+import en from './locales/en.json';
+
+/**
+ * 支持的界面语言。文案以简体中文原文作为键，zh-CN 直接使用原文，
+ * 其他语言在对应的消息目录中查找，找不到时回退为原文。
+ */
+export const Locale = {
+  ZhCN: 'zh-CN',
+  En: 'en'
+};
+
+export const LOCALE_OPTIONS = [
+  { value: Locale.ZhCN, label: '简体中文' },
+  { value: Locale.En, label: 'English' }
+];
+
+const catalogs = {
+  [Locale.En]: en
+};
+
+const STORAGE_KEY = 'locale';
+
+function isSupported(locale) {
+  return LOCALE_OPTIONS.some((option) => option.value === locale);
+}
+
+function detectLocale() {
+  const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+  if (isSupported(stored)) {
+    return stored;
+  }
+  const language = typeof navigator !== 'undefined' ? navigator.language || '' : '';
+  return language === '' || language.toLowerCase().startsWith('zh') ? Locale.ZhCN : Locale.En;
+}
+
+let currentLocale = detectLocale();
+const listeners = new Set();
+
+if (typeof document !== 'undefined') {
+  document.documentElement.lang = currentLocale;
+}
+
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * 切换界面语言并保存在本地，订阅者（各主题的根组件）据此重新渲染。
+ * @param {string} locale Locale
+ */
+export function setLocale(locale) {
+  if (!isSupported(locale) || locale === currentLocale) {
+    return;
+  }
+  currentLocale = locale;
+  localStorage.setItem(STORAGE_KEY, locale);
+  document.documentElement.lang = locale;
+  listeners.forEach((listener) => listener(locale));
+}
+
+/**
+ * @param {(locale: string) => void} listener
+ * @returns {() => void} 取消订阅
+ */
+export function subscribeLocale(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * 翻译一条文案，params 中的值替换文案里的 {name} 占位符。
+ * @param {string} text 简体中文原文
+ * @param {Object<string, any>} [params]
+ * @returns {string}
+ */
+export function t(text, params) {
+  const catalog = catalogs[currentLocale];
+  let message = (catalog && catalog[text]) || text;
+  if (params) {
+    message = message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+  return message;
+}
+
+/**
+ * 切换语言；已登录时同时保存到服务端，在其他设备登录后沿用同一语言。
+ * @param {ReturnType<import('./client').createApiClient>} api
+ * @param {string} locale Locale
+ */
+export function switchLocale(api, locale) {
+  setLocale(locale);
+  const stored = localStorage.getItem('user');
+  if (!stored) {
+    return Promise.resolve();
+  }
+  // 本地保存的用户信息会在刷新页面时重新应用，这里同步更新，避免被旧的语言覆盖
+  localStorage.setItem('user', JSON.stringify({ ...JSON.parse(stored), language: locale }));
+  return api.user.updateLanguage({ language: locale }, { silent: true }).catch(() => {});
+}
+
+/**
+ * 登录后应用用户保存在服务端的语言，用户从未选择过语言时保持当前语言。
+ * @param {{ language?: string }} user
+ */
+export function applyUserLocale(user) {
+  if (user && user.language) {
+    setLocale(user.language);
+  }
+}
+
+/**
+ * 按当前语言格式化数字。
+ * @param {number} value
+ * @param {Intl.NumberFormatOptions} [options]
+ * @returns {string}
+ */
+export function formatNumber(value, options) {
+  return new Intl.NumberFormat(currentLocale, options).format(value);
+}
+
+/**
+ * 按当前语言格式化秒级时间戳，用于展示；需要再次解析的输入框仍使用 timestamp2string。
+ * @param {number} timestamp
+ * @returns {string}
+ */
+export function formatDateTime(timestamp) {
+  return new Intl.DateTimeFormat(currentLocale, {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false
+  }).format(new Date(timestamp * 1000));
+}
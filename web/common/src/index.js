@@ -0,0 +1,26 @@
+export * from './i18n';
+export * from './errors';
+export * from './interceptors';
+export * from './client';
+export * from './format';
+export * from './chat';
+export * from './pricing';
+export * from './playground';
+export * from './health';
+export * from './bulk';
+export * from './transfer';
+export * from './modeltest';
+export * from './jsonmap';
+export * from './logexport';
+export * from './analytics';
+export * from './quotaalert';
+export * from './tokenbudget';
+export * from './tokenlimit';
+export * from './tokenrotation';
+export * from './clienttemplate';
+export * from './tokensnippet';
+export * from './twofactor';
+export * from './passkey';
+export * from './usersession';
+export * from './accesstoken';
+export * from './securityevent';
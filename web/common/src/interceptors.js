@@ -0,0 +1,93 @@
+import { ApiError, ErrorKind, toApiError } from './errors';
+import { t } from './i18n';
+
+const defaultRetry = {
+  retries: 3,
+  baseDelay: 500,
+  maxDelay: 8000
+};
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new ApiError(t('请求已取消'), { kind: ErrorKind.Canceled }));
+      return;
+    }
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(new ApiError(t('请求已取消'), { kind: ErrorKind.Canceled }));
+    }
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+export function retryDelay(attempt, retryAfter, { baseDelay, maxDelay }) {
+  const seconds = parseInt(retryAfter, 10);
+  if (!isNaN(seconds) && seconds >= 0) {
+    return Math.min(seconds * 1000, maxDelay);
+  }
+  const backoff = baseDelay * Math.pow(2, attempt);
+  // 加一点抖动，避免多个标签页同时重试
+  return Math.min(backoff + Math.random() * baseDelay, maxDelay);
+}
+
+/**
+ * 为主题的 axios 实例安装统一的响应拦截器：
+ * 429 自动退避重试，错误统一转换为 ApiError，401 交给 onUnauthorized，其余交给 onError。
+ *
+ * 为兼容旧代码，失败的请求默认 resolve 为 undefined；
+ * 请求配置中带 throwOnError: true 时则 reject 已上报的 ApiError；
+ * 再带上 silent: true 时不调用 onError，reject 的 ApiError 为未上报状态。
+ *
+ * @param {import('axios').AxiosInstance} http
+ * @param {{
+ *   onError?: (error: ApiError) => void,
+ *   onUnauthorized?: (error: ApiError) => void,
+ *   retry?: { retries?: number, baseDelay?: number, maxDelay?: number }
+ * }} [options]
+ */
+export function setupInterceptors(http, { onError, onUnauthorized, retry } = {}) {
+  const retryOptions = { ...defaultRetry, ...retry };
+
+  return http.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const config = (error && error.config) || {};
+      const apiError = toApiError(error);
+
+      if (apiError.kind === ErrorKind.Canceled) {
+        return Promise.reject(apiError);
+      }
+
+      const retries = config.retry === false ? 0 : retryOptions.retries;
+      const attempt = config.__retryCount || 0;
+      if (apiError.kind === ErrorKind.RateLimited && attempt < retries) {
+        config.__retryCount = attempt + 1;
+        const headers = (error.response && error.response.headers) || {};
+        try {
+          await sleep(retryDelay(attempt, headers['retry-after'], retryOptions), config.signal);
+        } catch (canceled) {
+          return Promise.reject(canceled);
+        }
+        return http.request(config);
+      }
+
+      if (apiError.kind === ErrorKind.Unauthorized && onUnauthorized) {
+        onUnauthorized(apiError);
+        apiError.reported = true;
+      } else if (onError && !config.silent) {
+        onError(apiError);
+        apiError.reported = true;
+      }
+
+      if (config.throwOnError) {
+        return Promise.reject(apiError);
+      }
+      return undefined;
+    }
+  );
+}
@@ -0,0 +1,131 @@
+import { ApiError, ErrorKind } from './errors';
+import { retryDelay, setupInterceptors } from './interceptors';
+
+// 只实现拦截器用到的部分：记录注册的错误处理函数，request 由测试决定结果
+function createHttp() {
+  const http = {
+    onRejected: null,
+    request: jest.fn(),
+    interceptors: {
+      response: {
+        use: (onFulfilled, onRejected) => {
+          http.onRejected = onRejected;
+          return 0;
+        }
+      }
+    }
+  };
+  return http;
+}
+
+function httpError(status, { headers = {}, data = {}, config = {} } = {}) {
+  return {
+    isAxiosError: true,
+    message: `Request failed with status code ${status}`,
+    config,
+    response: { status, headers, data }
+  };
+}
+
+describe('retryDelay', () => {
+  const options = { baseDelay: 500, maxDelay: 8000 };
+
+  it('uses Retry-After seconds and caps them at maxDelay', () => {
+    expect(retryDelay(0, '2', options)).toBe(2000);
+    expect(retryDelay(0, '0', options)).toBe(0);
+    expect(retryDelay(0, '60', options)).toBe(8000);
+  });
+
+  it('backs off exponentially with jitter when Retry-After is missing', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    expect(retryDelay(0, undefined, options)).toBe(750);
+    expect(retryDelay(2, 'soon', options)).toBe(2250);
+    expect(retryDelay(10, undefined, options)).toBe(8000);
+    Math.random.mockRestore();
+  });
+});
+
+describe('setupInterceptors', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('retries a 429 after the Retry-After delay', async () => {
+    const http = createHttp();
+    const response = { data: { success: true } };
+    http.request.mockResolvedValue(response);
+    setupInterceptors(http);
+
+    const config = { url: '/api/status' };
+    const pending = http.onRejected(httpError(429, { headers: { 'retry-after': '2' }, config }));
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(http.request).not.toHaveBeenCalled();
+    await jest.advanceTimersByTimeAsync(1);
+
+    await expect(pending).resolves.toBe(response);
+    expect(http.request).toHaveBeenCalledWith(expect.objectContaining({ url: '/api/status', __retryCount: 1 }));
+  });
+
+  it('reports the error once the retries are used up', async () => {
+    const http = createHttp();
+    const onError = jest.fn();
+    setupInterceptors(http, { onError, retry: { retries: 1 } });
+
+    const config = { throwOnError: true, __retryCount: 1 };
+    const pending = http.onRejected(httpError(429, { config }));
+
+    await expect(pending).rejects.toMatchObject({ kind: ErrorKind.RateLimited, status: 429, reported: true });
+    expect(http.request).not.toHaveBeenCalled();
+    expect(onError).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not retry when the request disables it', async () => {
+    const http = createHttp();
+    setupInterceptors(http);
+
+    await expect(http.onRejected(httpError(429, { config: { retry: false } }))).resolves.toBeUndefined();
+    expect(http.request).not.toHaveBeenCalled();
+  });
+
+  it('stops waiting when the request is canceled during the backoff', async () => {
+    const http = createHttp();
+    setupInterceptors(http);
+
+    const controller = new AbortController();
+    const pending = http.onRejected(httpError(429, { headers: { 'retry-after': '5' }, config: { signal: controller.signal } }));
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ kind: ErrorKind.Canceled });
+    await jest.runAllTimersAsync();
+    expect(http.request).not.toHaveBeenCalled();
+  });
+
+  it('sends 401 to onUnauthorized instead of onError', async () => {
+    const http = createHttp();
+    const onError = jest.fn();
+    const onUnauthorized = jest.fn();
+    setupInterceptors(http, { onError, onUnauthorized });
+
+    await expect(http.onRejected(httpError(401))).resolves.toBeUndefined();
+    expect(onUnauthorized).toHaveBeenCalledWith(expect.any(ApiError));
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  it('rejects an unreported error for silent requests', async () => {
+    const http = createHttp();
+    const onError = jest.fn();
+    setupInterceptors(http, { onError });
+
+    const error = httpError(500, { data: { message: 'upstream down' }, config: { throwOnError: true, silent: true } });
+    await expect(http.onRejected(error)).rejects.toMatchObject({
+      kind: ErrorKind.Server,
+      message: 'upstream down',
+      reported: false
+    });
+    expect(onError).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,200 @@
+import { ApiError } from './errors';
+import { t } from './i18n';
+
+/**
+ * 表格编辑器中的一行，value 统一按字符串编辑。
+ * @typedef {Object} JsonMapRow
+ * @property {string} key
+ * @property {string} value
+ */
+
+/**
+ * 把 JSON 对象文本解析为表格行，保持键的顺序，空文本视为空对象。
+ * 用于渠道的 model_mapping 以及 ModelRatio、CompletionRatio、GroupRatio 等选项。
+ * @param {string} text
+ * @returns {JsonMapRow[]}
+ */
+export function parseJsonMap(text) {
+  const trimmed = (text || '').trim();
+  if (trimmed === '') {
+    return [];
+  }
+  let data;
+  try {
+    data = JSON.parse(trimmed);
+  } catch (e) {
+    throw new ApiError(t('不是合法的 JSON：{error}', { error: e.message }));
+  }
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ApiError(t('必须是 JSON 对象'));
+  }
+  return Object.keys(data).map((key) => ({
+    key,
+    value: typeof data[key] === 'string' ? data[key] : JSON.stringify(data[key])
+  }));
+}
+
+function isBlankRow(row) {
+  return row.key.trim() === '' && String(row.value).trim() === '';
+}
+
+/**
+ * 把表格行转换回 JSON 文本，忽略键为空的行。
+ * @param {JsonMapRow[]} rows
+ * @param {{ numeric?: boolean, emptyText?: string }} [options]
+ *   numeric 为 true 时值按数字保存；没有任何行时返回 emptyText
+ * @returns {string}
+ */
+export function stringifyJsonMap(rows, { numeric = false, emptyText = '' } = {}) {
+  const data = {};
+  rows.forEach((row) => {
+    const key = row.key.trim();
+    if (key === '') return;
+    data[key] = numeric ? Number(row.value) : String(row.value).trim();
+  });
+  if (Object.keys(data).length === 0) {
+    return emptyText;
+  }
+  return JSON.stringify(data, null, 2);
+}
+
+function findCycle(start, mapping) {
+  const path = [start];
+  let current = mapping[start];
+  while (current !== undefined) {
+    path.push(current);
+    if (current === start) return path;
+    if (path.indexOf(current) !== path.length - 1) return null;
+    current = mapping[current];
+  }
+  return null;
+}
+
+/**
+ * 校验表格行：键不能为空或重复，值不能为空；numeric 时值必须是非负数字，
+ * mapping 时不能映射到自身或形成循环。完全空白的行会被忽略。
+ * @param {JsonMapRow[]} rows
+ * @param {{ numeric?: boolean, mapping?: boolean }} [options]
+ * @returns {{ rowErrors: string[], errors: string[] }} rowErrors 与 rows 一一对应，没有错误时为空字符串
+ */
+export function validateJsonMap(rows, { numeric = false, mapping = false } = {}) {
+  const rowErrors = rows.map(() => '');
+  const firstIndex = {};
+  const mappingData = {};
+  rows.forEach((row, idx) => {
+    if (isBlankRow(row)) return;
+    const key = row.key.trim();
+    const value = String(row.value).trim();
+    if (key === '') {
+      rowErrors[idx] = t('键不能为空');
+    } else if (firstIndex[key] !== undefined) {
+      rowErrors[idx] = t('与第 {row} 行重复', { row: firstIndex[key] + 1 });
+    } else if (value === '') {
+      firstIndex[key] = idx;
+      rowErrors[idx] = t('值不能为空');
+    } else {
+      firstIndex[key] = idx;
+      if (numeric && (!Number.isFinite(Number(value)) || Number(value) < 0)) {
+        rowErrors[idx] = t('必须是不小于 0 的数字');
+      } else if (mapping && key === value) {
+        rowErrors[idx] = t('不能映射到自身');
+      } else if (mapping) {
+        mappingData[key] = value;
+      }
+    }
+  });
+  if (mapping) {
+    Object.keys(mappingData).forEach((key) => {
+      const cycle = findCycle(key, mappingData);
+      if (cycle) {
+        rowErrors[firstIndex[key]] = t('映射形成循环：{cycle}', { cycle: cycle.join(' → ') });
+      }
+    });
+  }
+  const errors = [];
+  rowErrors.forEach((error, idx) => {
+    if (error) errors.push(t('第 {row} 行{error}', { row: idx + 1, error }));
+  });
+  return { rowErrors, errors };
+}
+
+/**
+ * 与已保存的值相比的改动类型。
+ */
+export const JsonMapChange = {
+  Added: 'added',
+  Removed: 'removed',
+  Changed: 'changed'
+};
+
+const JSON_MAP_CHANGE_TEXT = {
+  [JsonMapChange.Added]: '新增',
+  [JsonMapChange.Removed]: '删除',
+  [JsonMapChange.Changed]: '修改'
+};
+
+/**
+ * @param {string} type JsonMapChange
+ * @returns {string}
+ */
+export function describeJsonMapChange(type) {
+  return JSON_MAP_CHANGE_TEXT[type] ? t(JSON_MAP_CHANGE_TEXT[type]) : type;
+}
+
+function toObject(text) {
+  try {
+    const data = JSON.parse((text || '').trim() || '{}');
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * 比较编辑后的 JSON 文本与已保存的文本，按键列出新增、删除与修改。
+ * @param {string} savedText
+ * @param {string} currentText
+ * @returns {{ key: string, type: string, before?: any, after?: any }[]}
+ */
+export function diffJsonMap(savedText, currentText) {
+  const saved = toObject(savedText);
+  const current = toObject(currentText);
+  const changes = [];
+  Object.keys(current).forEach((key) => {
+    if (!(key in saved)) {
+      changes.push({ key, type: JsonMapChange.Added, after: current[key] });
+    } else if (JSON.stringify(saved[key]) !== JSON.stringify(current[key])) {
+      changes.push({ key, type: JsonMapChange.Changed, before: saved[key], after: current[key] });
+    }
+  });
+  Object.keys(saved).forEach((key) => {
+    if (!(key in current)) {
+      changes.push({ key, type: JsonMapChange.Removed, before: saved[key] });
+    }
+  });
+  return changes;
+}
+
+/**
+ * 检查模型映射的目标模型：不在渠道模型列表中，或者没有设置倍率时给出警告。
+ * @param {JsonMapRow[]} rows
+ * @param {{ models?: string[], ratios?: Object<string, number|null> }} context
+ *   ratios 为 /api/channel/model_ratio 的返回值，未查询到的模型不做倍率检查
+ * @returns {string[][]} 与 rows 一一对应的警告列表
+ */
+export function checkMappingTargets(rows, { models, ratios } = {}) {
+  return rows.map((row) => {
+    const warnings = [];
+    const target = String(row.value).trim();
+    if (row.key.trim() === '' || target === '') {
+      return warnings;
+    }
+    if (models && !models.includes(target)) {
+      warnings.push(t('目标模型不在渠道的模型列表中'));
+    }
+    if (ratios && target in ratios && ratios[target] === null) {
+      warnings.push(t('目标模型未设置倍率，将按默认倍率计费'));
+    }
+    return warnings;
+  });
+}
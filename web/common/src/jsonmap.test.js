@@ -0,0 +1,91 @@
+import { t } from './i18n';
+import { JsonMapChange, checkMappingTargets, diffJsonMap, parseJsonMap, stringifyJsonMap, validateJsonMap } from './jsonmap';
+
+const rows = (data) => Object.keys(data).map((key) => ({ key, value: data[key] }));
+
+describe('parseJsonMap', () => {
+  it('keeps the key order and stringifies non-string values', () => {
+    expect(parseJsonMap('{"b": 1, "a": "x"}')).toEqual([
+      { key: 'b', value: '1' },
+      { key: 'a', value: 'x' }
+    ]);
+    expect(parseJsonMap('  ')).toEqual([]);
+  });
+
+  it('rejects arrays and invalid JSON', () => {
+    expect(() => parseJsonMap('[1]')).toThrow(t('必须是 JSON 对象'));
+    expect(() => parseJsonMap('{')).toThrow();
+  });
+
+  it('round-trips through stringifyJsonMap', () => {
+    const text = stringifyJsonMap(parseJsonMap('{"gpt-4": 15}'), { numeric: true });
+    expect(JSON.parse(text)).toEqual({ 'gpt-4': 15 });
+    expect(stringifyJsonMap([{ key: ' ', value: 'x' }], { emptyText: '{}' })).toBe('{}');
+  });
+});
+
+describe('validateJsonMap', () => {
+  it('reports empty, duplicate and negative values', () => {
+    const { rowErrors } = validateJsonMap(
+      [
+        { key: 'a', value: '1' },
+        { key: 'a', value: '2' },
+        { key: 'b', value: '' },
+        { key: 'c', value: '-1' },
+        { key: '', value: '' }
+      ],
+      { numeric: true }
+    );
+    expect(rowErrors).toEqual([
+      '',
+      t('与第 {row} 行重复', { row: 1 }),
+      t('值不能为空'),
+      t('必须是不小于 0 的数字'),
+      ''
+    ]);
+  });
+
+  it('rejects a mapping to itself', () => {
+    const { rowErrors } = validateJsonMap(rows({ a: 'a' }), { mapping: true });
+    expect(rowErrors).toEqual([t('不能映射到自身')]);
+  });
+
+  it('detects mapping cycles', () => {
+    const { rowErrors, errors } = validateJsonMap(rows({ a: 'b', b: 'c', c: 'a', d: 'a' }), { mapping: true });
+    expect(rowErrors[0]).toBe(t('映射形成循环：{cycle}', { cycle: 'a → b → c → a' }));
+    expect(rowErrors[1]).toBe(t('映射形成循环：{cycle}', { cycle: 'b → c → a → b' }));
+    expect(rowErrors[2]).toBe(t('映射形成循环：{cycle}', { cycle: 'c → a → b → c' }));
+    // d 只是指向循环，本身不在循环中
+    expect(rowErrors[3]).toBe('');
+    expect(errors).toHaveLength(3);
+  });
+
+  it('accepts chains without a cycle', () => {
+    expect(validateJsonMap(rows({ a: 'b', b: 'c' }), { mapping: true }).errors).toEqual([]);
+  });
+});
+
+describe('diffJsonMap', () => {
+  it('lists added, changed and removed keys', () => {
+    expect(diffJsonMap('{"a": 1, "b": 2}', '{"b": 3, "c": 4}')).toEqual([
+      { key: 'b', type: JsonMapChange.Changed, before: 2, after: 3 },
+      { key: 'c', type: JsonMapChange.Added, after: 4 },
+      { key: 'a', type: JsonMapChange.Removed, before: 1 }
+    ]);
+    expect(diffJsonMap('', 'not json')).toEqual([]);
+  });
+});
+
+describe('checkMappingTargets', () => {
+  it('warns about targets outside the model list or without a ratio', () => {
+    const warnings = checkMappingTargets(rows({ a: 'x', b: 'y', c: 'z' }), {
+      models: ['x', 'y'],
+      ratios: { x: 1, y: null }
+    });
+    expect(warnings).toEqual([
+      [],
+      [t('目标模型未设置倍率，将按默认倍率计费')],
+      [t('目标模型不在渠道的模型列表中')]
+    ]);
+  });
+});
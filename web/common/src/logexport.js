@@ -0,0 +1,133 @@
+import { ApiError, ErrorKind } from './errors';
+import { t } from './i18n';
+
+/**
+ * 日志导出支持的格式。
+ */
+export const LogExportFormat = {
+  Csv: 'csv',
+  Xlsx: 'xlsx'
+};
+
+const ROW_END = [...'</row>'].map((c) => c.charCodeAt(0));
+const QUOTE = 0x22;
+const NEWLINE = 0x0a;
+
+/**
+ * 边下载边数已收到的行数（包括表头）：CSV 数引号外的换行，
+ * XLSX 的工作表在服务端不压缩，直接数 </row>。
+ * @param {string} format LogExportFormat
+ * @returns {(chunk: Uint8Array) => number} 返回本块中新增的行数
+ */
+function createRowCounter(format) {
+  if (format === LogExportFormat.Xlsx) {
+    let matched = 0;
+    return (chunk) => {
+      let rows = 0;
+      for (const byte of chunk) {
+        if (byte === ROW_END[matched]) {
+          matched++;
+          if (matched === ROW_END.length) {
+            rows++;
+            matched = 0;
+          }
+        } else {
+          matched = byte === ROW_END[0] ? 1 : 0;
+        }
+      }
+      return rows;
+    };
+  }
+  let quoted = false;
+  return (chunk) => {
+    let rows = 0;
+    for (const byte of chunk) {
+      if (byte === QUOTE) {
+        quoted = !quoted;
+      } else if (byte === NEWLINE && !quoted) {
+        rows++;
+      }
+    }
+    return rows;
+  };
+}
+
+function filenameFromHeader(header, fallback) {
+  const match = /filename="?([^";]+)"?/.exec(header || '');
+  return match ? match[1] : fallback;
+}
+
+/**
+ * 按日志表当前的筛选条件下载全部匹配的日志，服务端以流的方式逐批写出。
+ * 总行数来自响应头 X-Total-Count，onProgress(received, total) 随下载进度调用。
+ * 这里用 fetch 而不是 axios，因为 axios 在浏览器中无法逐块读取响应体。
+ *
+ * @param {{
+ *   baseURL?: string,
+ *   self?: boolean,
+ *   filters?: import('./client').LogFilters,
+ *   format?: string,
+ *   signal?: AbortSignal,
+ *   onProgress?: (received: number, total: number) => void
+ * }} options self 为 true 时导出当前用户自己的日志
+ * @returns {Promise<{ blob: Blob, filename: string, total: number, received: number }>}
+ */
+export async function exportLogs({ baseURL = '', self = false, filters = {}, format = LogExportFormat.Csv, signal, onProgress }) {
+  const params = new URLSearchParams({ format });
+  Object.keys(filters).forEach((key) => {
+    const value = filters[key];
+    if (value !== undefined && value !== null && value !== '' && !Number.isNaN(value)) {
+      params.append(key, value);
+    }
+  });
+  const url = `${baseURL.replace(/\/$/, '')}/api/log/${self ? 'self/' : ''}export?${params}`;
+
+  let response;
+  try {
+    response = await fetch(url, { signal });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new ApiError(t('请求已取消'), { kind: ErrorKind.Canceled, cause: error });
+    }
+    throw new ApiError(error.message, { kind: ErrorKind.Network, cause: error });
+  }
+  if (!response.ok) {
+    throw new ApiError(`HTTP ${response.status}`, { kind: ErrorKind.Http, status: response.status });
+  }
+  // 筛选条件有误时服务端仍然返回 { success: false, message }
+  if ((response.headers.get('Content-Type') || '').includes('application/json')) {
+    const { message } = await response.json();
+    throw new ApiError(message || t('导出失败'), { kind: ErrorKind.Http });
+  }
+
+  const total = Number(response.headers.get('X-Total-Count')) || 0;
+  const countRows = createRowCounter(format);
+  const reader = response.body.getReader();
+  const chunks = [];
+  let rows = 0;
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      rows += countRows(value);
+      if (onProgress) onProgress(Math.min(Math.max(rows - 1, 0), total), total);
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new ApiError(t('请求已取消'), { kind: ErrorKind.Canceled, cause: error });
+    }
+    throw new ApiError(error.message, { kind: ErrorKind.Network, cause: error });
+  }
+
+  const received = Math.max(rows - 1, 0);
+  if (received < total) {
+    throw new ApiError(t('导出中断，只收到 {received} / {total} 条日志', { received, total }), { kind: ErrorKind.Server });
+  }
+  return {
+    blob: new Blob(chunks, { type: response.headers.get('Content-Type') || 'application/octet-stream' }),
+    filename: filenameFromHeader(response.headers.get('Content-Disposition'), `logs.${format}`),
+    total,
+    received
+  };
+}
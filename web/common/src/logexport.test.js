@@ -0,0 +1,76 @@
+import { ErrorKind } from './errors';
+import { LogExportFormat, exportLogs } from './logexport';
+
+function streamResponse(chunks, headers) {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    }
+  });
+  return new Response(body, { headers });
+}
+
+describe('exportLogs', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('builds the query from the filters and counts CSV rows across chunks', async () => {
+    global.fetch = jest.fn().mockResolvedValue(
+      streamResponse(['id,content\n1,"multi', '\nline"\n2,b', '\n'], {
+        'Content-Type': 'text/csv',
+        'Content-Disposition': 'attachment; filename="logs-1.csv"',
+        'X-Total-Count': '2'
+      })
+    );
+    const onProgress = jest.fn();
+
+    const result = await exportLogs({
+      baseURL: 'https://a.com/',
+      self: true,
+      filters: { type: 2, username: '', token_name: null, start_timestamp: NaN, model_name: 'gpt-4' },
+      onProgress
+    });
+
+    expect(global.fetch.mock.calls[0][0]).toBe('https://a.com/api/log/self/export?format=csv&type=2&model_name=gpt-4');
+    expect(result).toMatchObject({ filename: 'logs-1.csv', total: 2, received: 2 });
+    expect(onProgress.mock.calls).toEqual([
+      [0, 2],
+      [1, 2],
+      [2, 2]
+    ]);
+  });
+
+  it('counts XLSX rows split across chunks', async () => {
+    global.fetch = jest.fn().mockResolvedValue(
+      streamResponse(['<row>h</ro', 'w><row>1</row><r', 'ow>2</row>'], { 'X-Total-Count': '2' })
+    );
+    const result = await exportLogs({ format: LogExportFormat.Xlsx });
+    expect(result).toMatchObject({ filename: 'logs.xlsx', received: 2 });
+  });
+
+  it('fails when the stream ends early', async () => {
+    global.fetch = jest.fn().mockResolvedValue(streamResponse(['id\n1\n'], { 'X-Total-Count': '3' }));
+    await expect(exportLogs({})).rejects.toMatchObject({ kind: ErrorKind.Server });
+  });
+
+  it('surfaces the server message for rejected filters', async () => {
+    global.fetch = jest.fn().mockResolvedValue(
+      new Response(JSON.stringify({ success: false, message: 'bad range' }), {
+        headers: { 'Content-Type': 'application/json' }
+      })
+    );
+    await expect(exportLogs({})).rejects.toMatchObject({ kind: ErrorKind.Http, message: 'bad range' });
+  });
+
+  it('converts an aborted fetch to a canceled error', async () => {
+    const abort = new Error('aborted');
+    abort.name = 'AbortError';
+    global.fetch = jest.fn().mockRejectedValue(abort);
+    await expect(exportLogs({})).rejects.toMatchObject({ kind: ErrorKind.Canceled });
+  });
+});
@@ -0,0 +1,110 @@
+import { ApiError } from './errors';
+import { runBulk, splitCommaList } from './bulk';
+import { t } from './i18n';
+
+/**
+ * 解析渠道的 model_mapping，格式不正确时视为没有映射。
+ * @param {string|Object} mapping
+ * @returns {Object<string, string>}
+ */
+export function parseModelMapping(mapping) {
+  if (!mapping) return {};
+  if (typeof mapping === 'object') return mapping;
+  try {
+    const parsed = JSON.parse(mapping);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * 模型测试矩阵中的一项。
+ * @typedef {Object} ModelTestEntry
+ * @property {string} model 测试时传给 /api/channel/test/:id 的模型
+ * @property {string} target 应用模型映射后实际请求上游的模型
+ * @property {boolean} mapped 是否经过模型映射
+ */
+
+/**
+ * 列出渠道需要测试的模型：模型列表中的每个模型，以及模型映射中不在列表里的模型，
+ * 这样每个映射目标都会通过对应的映射模型被测试到。
+ * @param {{ models?: string|string[], model_mapping?: string }} channel
+ * @returns {ModelTestEntry[]}
+ */
+export function buildModelTestPlan(channel) {
+  const mapping = parseModelMapping(channel.model_mapping);
+  const models = splitCommaList(channel.models);
+  Object.keys(mapping).forEach((model) => {
+    if (mapping[model] && !models.includes(model)) models.push(model);
+  });
+  return models.map((model) => {
+    const target = mapping[model] || model;
+    return { model, target, mapped: target !== model };
+  });
+}
+
+/**
+ * 单个模型的测试结果。
+ * @typedef {Object} ModelTestResult
+ * @property {ModelTestEntry} item
+ * @property {boolean} success
+ * @property {string} message 上游返回的错误信息
+ * @property {number|null} time 耗时（秒），失败时为 null
+ * @property {number|null} statusCode 上游的 HTTP 状态码，未收到响应时为 null
+ */
+
+/**
+ * 以有限的并发逐个测试渠道的模型，每完成一个模型回调一次 onProgress。
+ * 请求带 silent，失败原因记录在结果中而不是逐条弹出提示。
+ *
+ * @param {ReturnType<import('./client').createApiClient>} api
+ * @param {number} channelId
+ * @param {ModelTestEntry[]} entries buildModelTestPlan 的返回值
+ * @param {{ concurrency?: number, signal?: AbortSignal, onProgress?: (result: ModelTestResult, done: number, total: number) => void }} [options]
+ * @returns {Promise<ModelTestResult[]>}
+ */
+export async function testChannelModels(api, channelId, entries, { concurrency = 2, signal, onProgress } = {}) {
+  const toResult = ({ item, success, message, data }) => ({
+    item,
+    success,
+    message,
+    time: success && data ? data.time : null,
+    statusCode: data && data.status_code ? data.status_code : null
+  });
+  const results = await runBulk(
+    entries,
+    (entry, options) => api.channel.test(channelId, { model: entry.model }, { signal: options.signal, silent: true }),
+    {
+      concurrency,
+      signal,
+      onProgress: onProgress && ((result, done, total) => onProgress(toResult(result), done, total))
+    }
+  );
+  return results.map(toResult);
+}
+
+/**
+ * 生成从渠道中移除失败模型的更新请求，以这些模型为键的模型映射也一并删除。
+ * @param {{ id: number, models?: string|string[], model_mapping?: string }} channel
+ * @param {string[]} failedModels
+ * @returns {{ id: number, models: string, model_mapping?: string }}
+ */
+export function removeChannelModels(channel, failedModels) {
+  const models = splitCommaList(channel.models).filter((model) => !failedModels.includes(model));
+  if (models.length === 0) {
+    throw new ApiError(t('不能移除渠道的全部模型'));
+  }
+  const patch = { id: channel.id, models: models.join(',') };
+  const mapping = parseModelMapping(channel.model_mapping);
+  const keys = Object.keys(mapping);
+  const keptKeys = keys.filter((model) => !failedModels.includes(model));
+  if (keptKeys.length < keys.length) {
+    const keptMapping = {};
+    keptKeys.forEach((model) => {
+      keptMapping[model] = mapping[model];
+    });
+    patch.model_mapping = keptKeys.length > 0 ? JSON.stringify(keptMapping, null, 2) : '';
+  }
+  return patch;
+}
@@ -0,0 +1,109 @@
+import { t } from './i18n';
+
+function base64UrlToBuffer(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+function bufferToBase64Url(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function describeCredentialError(error) {
+  if (error && error.name === 'NotAllowedError') {
+    return t('Passkey 操作已取消或超时');
+  }
+  if (error && error.name === 'InvalidStateError') {
+    return t('该设备上已经注册过此账号的 Passkey');
+  }
+  return (error && error.message) || String(error);
+}
+
+/**
+ * 当前浏览器是否支持 Passkey（WebAuthn），不支持时不显示相关按钮。
+ */
+export function isPasskeySupported() {
+  return typeof window !== 'undefined' && !!window.PublicKeyCredential && !!(navigator.credentials && navigator.credentials.get);
+}
+
+/**
+ * 使用 Passkey 登录：向服务端获取 challenge，由浏览器选择 Passkey 并签名后提交。
+ * 返回与密码登录相同的 { success, message, data }，用户取消时 success 为 false。
+ * @param {ReturnType<import('./client').createApiClient>} api
+ */
+export async function signInWithPasskey(api) {
+  const begin = await api.user.beginPasskeyLogin();
+  if (!begin.success) return begin;
+  const options = begin.data;
+  let credential;
+  try {
+    credential = await navigator.credentials.get({
+      publicKey: {
+        ...options,
+        challenge: base64UrlToBuffer(options.challenge),
+        allowCredentials: (options.allowCredentials || []).map((item) => ({ ...item, id: base64UrlToBuffer(item.id) }))
+      }
+    });
+  } catch (error) {
+    return { success: false, message: describeCredentialError(error) };
+  }
+  const { response } = credential;
+  return api.user.finishPasskeyLogin({
+    id: credential.id,
+    rawId: bufferToBase64Url(credential.rawId),
+    type: credential.type,
+    response: {
+      clientDataJSON: bufferToBase64Url(response.clientDataJSON),
+      authenticatorData: bufferToBase64Url(response.authenticatorData),
+      signature: bufferToBase64Url(response.signature),
+      userHandle: response.userHandle ? bufferToBase64Url(response.userHandle) : ''
+    }
+  });
+}
+
+/**
+ * 为当前用户注册一个新的 Passkey，返回 { success, message, data }，data 为保存的 Passkey。
+ * @param {ReturnType<import('./client').createApiClient>} api
+ * @param {string} name 用于在个人设置中区分不同设备
+ */
+export async function registerPasskey(api, name) {
+  const begin = await api.user.beginPasskeyRegistration();
+  if (!begin.success) return begin;
+  const options = begin.data;
+  let credential;
+  try {
+    credential = await navigator.credentials.create({
+      publicKey: {
+        ...options,
+        challenge: base64UrlToBuffer(options.challenge),
+        user: { ...options.user, id: base64UrlToBuffer(options.user.id) },
+        excludeCredentials: (options.excludeCredentials || []).map((item) => ({ ...item, id: base64UrlToBuffer(item.id) }))
+      }
+    });
+  } catch (error) {
+    return { success: false, message: describeCredentialError(error) };
+  }
+  const { response } = credential;
+  return api.user.finishPasskeyRegistration({
+    name,
+    credential: {
+      id: credential.id,
+      rawId: bufferToBase64Url(credential.rawId),
+      type: credential.type,
+      response: {
+        clientDataJSON: bufferToBase64Url(response.clientDataJSON),
+        attestationObject: bufferToBase64Url(response.attestationObject)
+      }
+    }
+  });
+}
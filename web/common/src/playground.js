@@ -0,0 +1,27 @@
+import { ApiError } from './errors';
+import { indexPricing } from './pricing';
+
+/**
+ * 加载操练场需要的数据：当前用户已启用的令牌、可用模型以及计费倍率。
+ * 接口返回 success 为 false 时抛出未上报的 ApiError，由主题自行提示。
+ *
+ * @param {ReturnType<import('./client').createApiClient>} api
+ * @param {import('./client').RequestOptions} [options]
+ */
+export async function loadPlaygroundOptions(api, options) {
+  const [tokenRes, modelRes, pricingRes] = await Promise.all([
+    api.token.search({ keyword: '' }, options),
+    api.user.availableModels(options),
+    api.user.pricing(options)
+  ]);
+  for (const res of [tokenRes, modelRes, pricingRes]) {
+    if (!res.success) {
+      throw new ApiError(res.message);
+    }
+  }
+  return {
+    tokens: tokenRes.data.filter((token) => token.status === 1),
+    models: modelRes.data,
+    pricing: indexPricing(pricingRes.data)
+  };
+}
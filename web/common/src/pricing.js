@@ -0,0 +1,115 @@
+import { t } from './i18n';
+
+/**
+ * 某个模型在当前分组下的计费倍率，对应 /api/user/pricing 返回的 models 项。
+ * 没有配置倍率的模型 model_ratio 为 null，价格未知。
+ * 提供该模型的各渠道类型价格不同时，channel_prices 列出每个渠道类型的价格，model_ratio 与 completion_ratio 为其中最高的一项。
+ * @typedef {Object} ModelPricing
+ * @property {string} model
+ * @property {number|null} model_ratio
+ * @property {number} completion_ratio
+ * @property {{ channel_type: number, model_ratio: number|null, completion_ratio: number }[]} [channel_prices]
+ */
+
+/**
+ * 与后端 postConsumeQuota 相同的计费公式：
+ * quota = ceil((prompt + completion * completionRatio) * modelRatio * groupRatio)
+ *
+ * @param {{ promptTokens: number, completionTokens: number, modelRatio: number, completionRatio: number, groupRatio: number }} params
+ * @returns {number}
+ */
+export function calculateQuotaCost({ promptTokens, completionTokens, modelRatio, completionRatio = 1, groupRatio = 1 }) {
+  const ratio = modelRatio * groupRatio;
+  let quota = Math.ceil((promptTokens + completionTokens * completionRatio) * ratio);
+  if (ratio !== 0 && quota <= 0) {
+    quota = 1;
+  }
+  return quota;
+}
+
+/**
+ * 将 /api/user/pricing 的返回值转换为以模型名为键的对象，方便查找。
+ * @param {{ group_ratio: number, models: ModelPricing[] }} pricing
+ */
+export function indexPricing(pricing) {
+  const models = {};
+  if (pricing && pricing.models) {
+    pricing.models.forEach((item) => {
+      models[item.model] = item;
+    });
+  }
+  return { groupRatio: pricing ? pricing.group_ratio : 1, models };
+}
+
+/**
+ * 计算某次请求消耗的额度，找不到模型倍率时返回 null。
+ * @param {{ groupRatio: number, models: Object<string, ModelPricing> }} pricing indexPricing 的返回值
+ * @param {string} model
+ * @param {{ prompt_tokens: number, completion_tokens: number }} usage
+ * @returns {number|null}
+ */
+export function quotaForUsage(pricing, model, usage) {
+  const item = pricing && pricing.models[model];
+  if (!item || item.model_ratio === null || !usage) {
+    return null;
+  }
+  return calculateQuotaCost({
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    modelRatio: item.model_ratio,
+    completionRatio: item.completion_ratio,
+    groupRatio: pricing.groupRatio
+  });
+}
+
+/**
+ * 价格页面可选的计价单位（token 数）。
+ */
+export const PricingUnit = {
+  Thousand: 1000,
+  Million: 1000000
+};
+
+/**
+ * 把额度换算为美元金额，quotaPerUnit 为每 1 美元对应的额度。
+ * @param {number} quota
+ * @param {number} quotaPerUnit
+ * @returns {number}
+ */
+export function quotaToCurrency(quota, quotaPerUnit) {
+  return quotaPerUnit > 0 ? quota / quotaPerUnit : 0;
+}
+
+/**
+ * 计算 /api/pricing 中每个模型每 tokens 个输入、输出 token 的美元价格，
+ * 已经乘上分组倍率，输出价格再乘补全倍率；价格未知的模型两者均为 null。
+ * varies 表示价格因渠道而异，此时显示的是最高价格。
+ * @param {{ group_ratio: number, quota_per_unit: number, models: ModelPricing[] }} pricing
+ * @param {number} [tokens] PricingUnit
+ * @returns {(ModelPricing & { input: number|null, output: number|null, varies: boolean })[]}
+ */
+export function pricingRows(pricing, tokens = PricingUnit.Thousand) {
+  if (!pricing || !pricing.models) {
+    return [];
+  }
+  return pricing.models.map((item) => {
+    const varies = Boolean(item.channel_prices && item.channel_prices.length > 0);
+    if (item.model_ratio === null) {
+      return { ...item, input: null, output: null, varies };
+    }
+    const input = quotaToCurrency(tokens * item.model_ratio * pricing.group_ratio, pricing.quota_per_unit);
+    return { ...item, input, output: input * item.completion_ratio, varies };
+  });
+}
+
+/**
+ * 美元价格，最多保留 6 位小数并去掉末尾的 0；value 为 null 时显示未知价格。
+ * @param {number|null} value
+ * @returns {string}
+ */
+export function formatPrice(value) {
+  if (value === null) {
+    return t('未知价格');
+  }
+  return '$' + parseFloat(value.toFixed(6));
+}
@@ -0,0 +1,76 @@
+import { t } from './i18n';
+import { PricingUnit, calculateQuotaCost, formatPrice, indexPricing, pricingRows, quotaForUsage, quotaToCurrency } from './pricing';
+
+const pricing = {
+  group_ratio: 2,
+  quota_per_unit: 500000,
+  models: [
+    { model: 'gpt-4', model_ratio: 15, completion_ratio: 2 },
+    { model: 'unknown', model_ratio: null, completion_ratio: 1 }
+  ]
+};
+
+describe('calculateQuotaCost', () => {
+  it('matches the backend formula', () => {
+    expect(calculateQuotaCost({ promptTokens: 10, completionTokens: 5, modelRatio: 1.5, completionRatio: 2, groupRatio: 1 })).toBe(30);
+    expect(calculateQuotaCost({ promptTokens: 1, completionTokens: 0, modelRatio: 0.001 })).toBe(1);
+    expect(calculateQuotaCost({ promptTokens: 100, completionTokens: 100, modelRatio: 0 })).toBe(0);
+  });
+});
+
+describe('quotaForUsage', () => {
+  const index = indexPricing(pricing);
+
+  it('applies the model, completion and group ratios', () => {
+    expect(quotaForUsage(index, 'gpt-4', { prompt_tokens: 10, completion_tokens: 5 })).toBe((10 + 5 * 2) * 15 * 2);
+  });
+
+  it('returns null when the price is unknown', () => {
+    expect(quotaForUsage(index, 'unknown', { prompt_tokens: 10 })).toBeNull();
+    expect(quotaForUsage(index, 'missing', { prompt_tokens: 10 })).toBeNull();
+    expect(quotaForUsage(index, 'gpt-4', null)).toBeNull();
+  });
+});
+
+describe('pricingRows', () => {
+  it('converts ratios to dollar prices per unit', () => {
+    const [known, unknown] = pricingRows(pricing, PricingUnit.Million);
+    expect(known.input).toBeCloseTo(60);
+    expect(known.output).toBeCloseTo(120);
+    expect(unknown).toMatchObject({ input: null, output: null });
+    expect(known.varies).toBe(false);
+    expect(pricingRows(null)).toEqual([]);
+  });
+
+  it('marks models priced differently by channel type', () => {
+    const [row] = pricingRows({
+      ...pricing,
+      models: [
+        {
+          model: 'gpt-4',
+          model_ratio: 15,
+          completion_ratio: 2,
+          channel_prices: [
+            { channel_type: 1, model_ratio: 15, completion_ratio: 2 },
+            { channel_type: 3, model_ratio: 10, completion_ratio: 2 }
+          ]
+        }
+      ]
+    });
+    expect(row.varies).toBe(true);
+  });
+});
+
+describe('formatPrice', () => {
+  it('trims trailing zeros and shows unknown prices', () => {
+    expect(formatPrice(0.0015)).toBe('$0.0015');
+    expect(formatPrice(1.2)).toBe('$1.2');
+    expect(formatPrice(0.00000012)).toBe('$0');
+    expect(formatPrice(null)).toBe(t('未知价格'));
+  });
+
+  it('converts quota to dollars', () => {
+    expect(quotaToCurrency(250000, 500000)).toBe(0.5);
+    expect(quotaToCurrency(1, 0)).toBe(0);
+  });
+});
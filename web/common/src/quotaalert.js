@@ -0,0 +1,86 @@
+import { formatNumber, t } from './i18n';
+import { renderQuota } from './format';
+
+/**
+ * /api/user/quota_forecast 返回的提醒类型。
+ */
+export const QuotaAlert = {
+  Low: 'quota_low',
+  Exhausted: 'quota_exhausted',
+  Daily: 'daily_quota'
+};
+
+/**
+ * 提醒的发送方式，与 PUT /api/user/quota_alert 的 alert_notify_by 对应。
+ */
+export const ALERT_NOTIFY_OPTIONS = [
+  { value: 'email', label: '邮件' },
+  { value: 'message_pusher', label: 'Message Pusher' },
+  { value: 'all', label: '邮件和 Message Pusher' },
+  { value: 'none', label: '仅在页面上提示' }
+];
+
+/**
+ * 需要 Message Pusher 推送地址的发送方式。
+ * @param {string} by
+ */
+export function needsMessagePusher(by) {
+  return by === 'message_pusher' || by === 'all';
+}
+
+function formatDate(timestamp) {
+  const date = new Date(timestamp * 1000);
+  return `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}-${date.getDate().toString().padStart(2, '0')}`;
+}
+
+/**
+ * 页面横幅上显示的提醒文案。
+ * @param {{ alerts: string[], quota: number, today_used: number, quota_alert_threshold: number, daily_quota_alert_threshold: number }} forecast
+ * @returns {Array<{ type: string, text: string }>}
+ */
+export function quotaAlertMessages(forecast) {
+  return forecast.alerts.map((type) => {
+    switch (type) {
+      case QuotaAlert.Exhausted:
+        return { type, text: t('您的额度已用尽，请及时充值。') };
+      case QuotaAlert.Low:
+        return {
+          type,
+          text: t('您的剩余额度 {quota} 低于提醒阈值 {threshold}，请及时充值。', {
+            quota: renderQuota(forecast.quota),
+            threshold: renderQuota(forecast.quota_alert_threshold)
+          })
+        };
+      case QuotaAlert.Daily:
+        return {
+          type,
+          text: t('今日已消耗 {used}，超过了每日提醒阈值 {threshold}。', {
+            used: renderQuota(forecast.today_used),
+            threshold: renderQuota(forecast.daily_quota_alert_threshold)
+          })
+        };
+      default:
+        return { type, text: type };
+    }
+  });
+}
+
+/**
+ * 额度用尽预测的说明文案。
+ * @param {{ quota: number, window_days: number, daily_average: number, days_left: number, depletion_at: number }} forecast
+ * @returns {string}
+ */
+export function describeQuotaForecast(forecast) {
+  if (forecast.quota <= 0) {
+    return t('额度已用尽');
+  }
+  if (forecast.days_left < 0) {
+    return t('最近 {days} 天没有消耗，暂时无法预测', { days: forecast.window_days });
+  }
+  return t('按最近 {days} 天平均每天消耗 {average} 计算，预计 {left} 天后（{date}）用尽', {
+    days: forecast.window_days,
+    average: renderQuota(forecast.daily_average),
+    left: formatNumber(forecast.days_left, { maximumFractionDigits: 1 }),
+    date: formatDate(forecast.depletion_at)
+  });
+}
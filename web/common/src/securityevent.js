@@ -0,0 +1,70 @@
+import { t } from './i18n';
+
+/**
+ * 安全日志的事件类型，与后端 model/security_event.go 一致。
+ */
+export const SECURITY_EVENT_TYPES = {
+  login: '登录成功',
+  login_failed: '登录失败',
+  password_changed: '修改密码',
+  password_reset: '重置密码',
+  two_factor_enabled: '启用两步验证',
+  two_factor_disabled: '关闭两步验证',
+  recovery_codes_reset: '重新生成恢复码',
+  passkey_added: '添加 Passkey',
+  passkey_removed: '删除 Passkey',
+  account_bound: '绑定账号',
+  access_token_generated: '重新生成系统令牌',
+  access_token_created: '创建访问令牌',
+  access_token_deleted: '删除访问令牌',
+  sessions_revoked: '退出所有设备'
+};
+
+/**
+ * 登录事件与绑定事件的 detail：登录方式或绑定的账号类型。
+ */
+const SECURITY_EVENT_METHODS = {
+  password: '密码',
+  two_factor: '两步验证',
+  passkey: 'Passkey',
+  email: '邮箱',
+  github: 'GitHub',
+  oidc: 'OIDC',
+  lark: '飞书',
+  wechat: '微信',
+  admin: '管理员操作'
+};
+
+/**
+ * 需要提醒的异常登录。
+ */
+export const SECURITY_ALERTS = {
+  failed_attempts: '一小时内多次登录失败',
+  new_ip_range: '从新的 IP 网段登录（按网段判断，不是按国家或地区）'
+};
+
+/**
+ * 安全日志列表中显示的事件名称。
+ * @param {string} type
+ */
+export function describeSecurityEventType(type) {
+  return SECURITY_EVENT_TYPES[type] ? t(SECURITY_EVENT_TYPES[type]) : type;
+}
+
+/**
+ * 安全日志列表中显示的补充信息，已知的登录方式与账号类型会翻译，其余（令牌名称等）显示原文。
+ * @param {string} detail
+ */
+export function describeSecurityEventDetail(detail) {
+  if (!detail) return '';
+  return SECURITY_EVENT_METHODS[detail] ? t(SECURITY_EVENT_METHODS[detail]) : detail;
+}
+
+/**
+ * 异常登录的提醒原因，没有提醒时返回空字符串。
+ * @param {string} alert
+ */
+export function describeSecurityAlert(alert) {
+  if (!alert) return '';
+  return SECURITY_ALERTS[alert] ? t(SECURITY_ALERTS[alert]) : alert;
+}
@@ -0,0 +1,45 @@
+import { t } from './i18n';
+import { renderQuota } from './format';
+
+/**
+ * 令牌周期预算的周期，与令牌的 budget_period 字段对应；空字符串表示不限制。
+ */
+export const TokenBudgetPeriod = {
+  None: '',
+  Day: 'day',
+  Week: 'week',
+  Month: 'month'
+};
+
+export const TOKEN_BUDGET_PERIODS = [
+  { value: TokenBudgetPeriod.None, label: '不限制' },
+  { value: TokenBudgetPeriod.Day, label: '每天' },
+  { value: TokenBudgetPeriod.Week, label: '每周' },
+  { value: TokenBudgetPeriod.Month, label: '每月' }
+];
+
+/**
+ * 令牌本期预算的使用情况，没有设置预算时返回 null。
+ * @param {{ budget_period: string, budget_quota: number, budget_used_quota: number, budget_reset_time: number }} token
+ * @returns {{ used: number, limit: number, ratio: number, resetTime: number, period: string } | null}
+ */
+export function tokenBudgetUsage(token) {
+  if (!token.budget_period || !token.budget_quota) return null;
+  const used = token.budget_used_quota || 0;
+  return {
+    used,
+    limit: token.budget_quota,
+    ratio: Math.min(used / token.budget_quota, 1),
+    resetTime: token.budget_reset_time,
+    period: token.budget_period
+  };
+}
+
+/**
+ * 表格中显示的预算文案，例如 “$1.20 / $5.00 每天”。
+ * @param {ReturnType<typeof tokenBudgetUsage>} usage
+ */
+export function formatTokenBudget(usage) {
+  const option = TOKEN_BUDGET_PERIODS.find((item) => item.value === usage.period);
+  return `${renderQuota(usage.used, 2)} / ${renderQuota(usage.limit, 2)} ${t(option ? option.label : usage.period)}`;
+}
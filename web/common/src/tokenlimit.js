@@ -0,0 +1,38 @@
+import { formatNumber, t } from './i18n';
+
+/**
+ * 令牌的限流设置，field 为令牌的字段，used 为 limit_usage 中对应的当前用量；0 表示不限制。
+ */
+export const TOKEN_RATE_LIMITS = [
+  { key: 'rpm', field: 'rpm_limit', used: 'rpm_used', label: '每分钟请求数', short: 'RPM' },
+  { key: 'tpm', field: 'tpm_limit', used: 'tpm_used', label: '每分钟 Token 数', short: 'TPM' },
+  { key: 'concurrency', field: 'concurrency_limit', used: 'concurrency_used', label: '最大并发请求数', short: '并发' }
+];
+
+/**
+ * 令牌已设置的限流及其当前用量，RPM 与 TPM 为本分钟内的用量。
+ * @param {{ rpm_limit: number, tpm_limit: number, concurrency_limit: number, limit_usage?: object }} token
+ * @returns {Array<{ key: string, label: string, short: string, used: number, limit: number, ratio: number }>}
+ */
+export function tokenLimitUsage(token) {
+  const usage = token.limit_usage || {};
+  return TOKEN_RATE_LIMITS.filter((item) => token[item.field] > 0).map((item) => {
+    const used = usage[item.used] || 0;
+    return {
+      key: item.key,
+      label: item.label,
+      short: item.short,
+      used,
+      limit: token[item.field],
+      ratio: Math.min(used / token[item.field], 1)
+    };
+  });
+}
+
+/**
+ * 表格中显示的限流文案，例如 “RPM 12 / 60”。
+ * @param {ReturnType<typeof tokenLimitUsage>[number]} item
+ */
+export function formatTokenLimit(item) {
+  return `${t(item.short)} ${formatNumber(item.used)} / ${formatNumber(item.limit)}`;
+}
@@ -0,0 +1,22 @@
+import { formatDateTime, t } from './i18n';
+
+/**
+ * 更换令牌密钥时旧密钥的保留时间（秒），0 表示旧密钥立即失效。
+ */
+export const TOKEN_KEY_GRACE_PERIODS = [
+  { value: 0, label: '立即失效' },
+  { value: 3600, label: '1 小时' },
+  { value: 24 * 3600, label: '1 天' },
+  { value: 7 * 24 * 3600, label: '7 天' },
+  { value: 30 * 24 * 3600, label: '30 天' }
+];
+
+/**
+ * 上一次更换密钥后旧密钥仍可使用时的提示，旧密钥已失效时返回空字符串。
+ * @param {{ previous_key_expired_time?: number }} token
+ */
+export function describePreviousKey(token) {
+  const expiredTime = token.previous_key_expired_time || 0;
+  if (expiredTime * 1000 <= Date.now()) return '';
+  return t('旧密钥将于 {time} 失效', { time: formatDateTime(expiredTime) });
+}
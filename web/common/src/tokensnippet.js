@@ -0,0 +1,129 @@
+import { t } from './i18n';
+import { fillClientTemplate } from './clienttemplate';
+
+export const DEFAULT_SNIPPET_MODEL = 'gpt-3.5-turbo';
+
+/**
+ * 客户端使用的站点地址：/api/status 的 server_address，未设置时使用当前页面的地址。
+ * @param {{ server_address?: string } | null} status
+ */
+export function resolveServerAddress(status) {
+  const address = (status && status.server_address) || window.location.origin;
+  return address.replace(/\/+$/, '');
+}
+
+/**
+ * 代码片段中使用的模型：令牌限制了模型时取第一个允许的模型。
+ * @param {{ models?: string }} token
+ */
+export function snippetModel(token) {
+  const models = (token.models || '')
+    .split(',')
+    .map((model) => model.trim())
+    .filter((model) => model !== '');
+  return models.length > 0 ? models[0] : DEFAULT_SNIPPET_MODEL;
+}
+
+/**
+ * 使用令牌的代码片段，依次为 curl、Python、Node.js、LangChain、.env 与 Claude / Gemini 模型的环境变量。
+ * @param {{ apiKey: string, serverAddress: string, model?: string }} options apiKey 带 sk- 前缀
+ * @returns {Array<{ key: string, label: string, language: string, code: string }>}
+ */
+export function buildTokenSnippets({ apiKey, serverAddress, model = DEFAULT_SNIPPET_MODEL }) {
+  const baseUrl = `${serverAddress}/v1`;
+  return [
+    {
+      key: 'curl',
+      label: 'curl',
+      language: 'bash',
+      code: `curl ${baseUrl}/chat/completions \\
+  -H "Content-Type: application/json" \\
+  -H "Authorization: Bearer ${apiKey}" \\
+  -d '{"model": "${model}", "messages": [{"role": "user", "content": "Hello!"}]}'`
+    },
+    {
+      key: 'python',
+      label: 'Python',
+      language: 'python',
+      code: `from openai import OpenAI
+
+client = OpenAI(
+    api_key="${apiKey}",
+    base_url="${baseUrl}",
+)
+
+completion = client.chat.completions.create(
+    model="${model}",
+    messages=[{"role": "user", "content": "Hello!"}],
+)
+print(completion.choices[0].message.content)`
+    },
+    {
+      key: 'node',
+      label: 'Node.js',
+      language: 'javascript',
+      code: `import OpenAI from 'openai';
+
+const client = new OpenAI({
+  apiKey: '${apiKey}',
+  baseURL: '${baseUrl}',
+});
+
+const completion = await client.chat.completions.create({
+  model: '${model}',
+  messages: [{ role: 'user', content: 'Hello!' }],
+});
+console.log(completion.choices[0].message.content);`
+    },
+    {
+      key: 'langchain',
+      label: 'LangChain',
+      language: 'python',
+      code: `from langchain_openai import ChatOpenAI
+
+llm = ChatOpenAI(
+    model="${model}",
+    api_key="${apiKey}",
+    base_url="${baseUrl}",
+)
+print(llm.invoke("Hello!").content)`
+    },
+    {
+      key: 'env',
+      label: '.env',
+      language: 'bash',
+      code: `OPENAI_API_KEY=${apiKey}
+OPENAI_BASE_URL=${baseUrl}
+# ${t('部分旧版本的 SDK 与客户端读取 OPENAI_API_BASE')}
+OPENAI_API_BASE=${baseUrl}`
+    },
+    {
+      key: 'claude-gemini',
+      label: 'Claude / Gemini',
+      language: 'bash',
+      code: `# ${t('本站以 OpenAI 兼容的接口提供 Claude 与 Gemini 模型，请在客户端中选择 OpenAI 兼容（自定义端点）模式')}
+export OPENAI_API_KEY=${apiKey}
+export OPENAI_BASE_URL=${baseUrl}
+export OPENAI_API_BASE=${baseUrl}
+# ${t('模型名称示例')}
+# claude-3-5-sonnet-20240620
+# gemini-1.5-pro`
+    }
+  ];
+}
+
+/**
+ * 移动端 App 扫码导入的内容：管理员配置的客户端模板，以及单独的密钥。
+ * @param {{ apiKey: string, serverAddress: string, templates: Array<{ name: string, url: string }> }} options
+ * @returns {Array<{ key: string, label: string, value: string }>}
+ */
+export function tokenQrCodes({ apiKey, serverAddress, templates }) {
+  return [
+    ...templates.map((template) => ({
+      key: template.name,
+      label: template.name,
+      value: fillClientTemplate(template.url, { apiKey, serverAddress })
+    })),
+    { key: '', label: '仅密钥', value: apiKey }
+  ];
+}
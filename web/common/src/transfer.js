@@ -0,0 +1,279 @@
+import { ApiError } from './errors';
+import { splitCommaList } from './bulk';
+import { t } from './i18n';
+
+/**
+ * 导出与导入渠道时使用的字段，CSV 的列也按此顺序排列。
+ */
+export const CHANNEL_TRANSFER_FIELDS = [
+  'name',
+  'type',
+  'key',
+  'base_url',
+  'models',
+  'model_mapping',
+  'group',
+  'priority',
+  'weight',
+  'config',
+  'other',
+  'system_prompt'
+];
+
+const MASKED_KEY = '****';
+
+/**
+ * 后端导出时脱敏的密钥中间是 ****，这样的密钥不能直接导入。
+ * @param {string} key
+ */
+export function isMaskedKey(key) {
+  return typeof key === 'string' && key.includes(MASKED_KEY);
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * @param {Object[]} rows
+ * @param {string[]} fields
+ * @returns {string}
+ */
+export function toCsv(rows, fields) {
+  const lines = [fields.join(',')];
+  rows.forEach((row) => {
+    lines.push(fields.map((field) => csvCell(row[field])).join(','));
+  });
+  return lines.join('\r\n');
+}
+
+/**
+ * 解析带表头的 CSV，支持引号内的逗号、换行与转义的双引号。
+ * @param {string} text
+ * @returns {Object<string, string>[]}
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+  const nonEmpty = records.filter((item) => item.some((value) => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+  const header = nonEmpty[0].map((name) => name.trim());
+  return nonEmpty.slice(1).map((values) => {
+    const row = {};
+    header.forEach((name, idx) => {
+      row[name] = values[idx] === undefined ? '' : values[idx];
+    });
+    return row;
+  });
+}
+
+function pickTransferFields(channel) {
+  const row = {};
+  CHANNEL_TRANSFER_FIELDS.forEach((field) => {
+    let value = channel[field];
+    if (field === 'models' && Array.isArray(value)) {
+      value = value.join(',');
+    }
+    row[field] = value === null || value === undefined ? '' : value;
+  });
+  return row;
+}
+
+/**
+ * 把 /api/channel/export 返回的渠道转换为可下载的文件内容。
+ * @param {Object[]} channels
+ * @param {'json'|'csv'} format
+ * @returns {{ content: string, filename: string, mime: string }}
+ */
+export function exportChannels(channels, format) {
+  const rows = channels.map(pickTransferFields);
+  const date = new Date().toISOString().slice(0, 10);
+  if (format === 'csv') {
+    return {
+      // 加上 BOM，Excel 才能正确识别 UTF-8
+      content: '\uFEFF' + toCsv(rows, CHANNEL_TRANSFER_FIELDS),
+      filename: `channels-${date}.csv`,
+      mime: 'text/csv;charset=utf-8'
+    };
+  }
+  return {
+    content: JSON.stringify(rows, null, 2),
+    filename: `channels-${date}.json`,
+    mime: 'application/json'
+  };
+}
+
+/**
+ * 在浏览器中触发文件下载。
+ * @param {string|Blob} content
+ * @param {string} filename
+ * @param {string} [mime]
+ */
+export function downloadFile(content, filename, mime = 'application/octet-stream') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * 解析用户上传的渠道文件，按扩展名或内容判断是 JSON 还是 CSV。
+ * @param {string} text
+ * @param {string} [filename]
+ * @returns {Object[]}
+ */
+export function parseChannelFile(text, filename = '') {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  const isJson = filename.toLowerCase().endsWith('.json') || trimmed.startsWith('[') || trimmed.startsWith('{');
+  if (!isJson) {
+    return parseCsv(trimmed);
+  }
+  let data;
+  try {
+    data = JSON.parse(trimmed);
+  } catch (e) {
+    throw new ApiError(t('文件不是合法的 JSON：{error}', { error: e.message }));
+  }
+  if (Array.isArray(data)) {
+    return data;
+  }
+  if (data && Array.isArray(data.data)) {
+    return data.data;
+  }
+  throw new ApiError(t('JSON 文件应为渠道数组'));
+}
+
+function normalizeJsonField(value, label, errors) {
+  if (value === undefined || value === null || value === '') {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  try {
+    const parsed = JSON.parse(value);
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      errors.push(t('{label}必须是 JSON 对象', { label: t(label) }));
+    }
+  } catch (e) {
+    errors.push(t('{label}不是合法的 JSON', { label: t(label) }));
+  }
+  return String(value);
+}
+
+function normalizeInteger(value, label, errors, min) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || (min !== undefined && number < min)) {
+    errors.push(
+      min !== undefined
+        ? t('{label}必须是不小于 {min} 的整数', { label: t(label), min })
+        : t('{label}必须是整数', { label: t(label) })
+    );
+    return 0;
+  }
+  return number;
+}
+
+/**
+ * 校验导入的一行渠道数据，返回可以直接 POST 到 /api/channel/ 的对象与错误列表。
+ * 规则与各主题编辑渠道页面一致：名称、密钥、模型必填，Azure 与自定义渠道必须填写 base_url。
+ *
+ * @param {Object} row parseChannelFile 返回的一行
+ * @param {{ types: number[], defaultModels?: (type: number) => string[] }} options
+ *   types 为主题 CHANNEL_OPTIONS 中的渠道类型，defaultModels 用于模型为空时按类型补全
+ * @returns {{ channel: Object, errors: string[] }}
+ */
+export function validateChannelRow(row, { types, defaultModels }) {
+  const errors = [];
+  const type = Number(row.type);
+  if (!types.includes(type)) {
+    errors.push(t('未知的渠道类型：{type}', { type: row.type }));
+  }
+  const name = String(row.name || '').trim();
+  if (name === '') {
+    errors.push(t('名称不能为空'));
+  }
+  const key = String(row.key || '').trim();
+  if (isMaskedKey(key)) {
+    errors.push(t('密钥已脱敏，请填写真实密钥'));
+  } else if (key === '' && type !== 33) {
+    errors.push(t('密钥不能为空'));
+  }
+  let models = splitCommaList(row.models);
+  if (models.length === 0 && defaultModels) {
+    models = defaultModels(type) || [];
+  }
+  if (models.length === 0 && type !== 43) {
+    errors.push(t('模型不能为空'));
+  }
+  let baseURL = String(row.base_url || '').trim();
+  if (baseURL.endsWith('/')) {
+    baseURL = baseURL.slice(0, -1);
+  }
+  if (baseURL === '' && (type === 3 || type === 8)) {
+    errors.push(t('该渠道类型必须填写 base_url'));
+  }
+  const group = splitCommaList(row.group || row.groups);
+  const channel = {
+    name,
+    type,
+    key,
+    base_url: baseURL,
+    models: models.join(','),
+    model_mapping: normalizeJsonField(row.model_mapping, '模型映射', errors),
+    group: group.length > 0 ? group.join(',') : 'default',
+    priority: normalizeInteger(row.priority, '优先级', errors),
+    weight: normalizeInteger(row.weight, '权重', errors, 0),
+    config: normalizeJsonField(row.config, '配置', errors),
+    other: String(row.other || ''),
+    system_prompt: String(row.system_prompt || '')
+  };
+  return { channel, errors };
+}
@@ -0,0 +1,83 @@
+import { ApiError } from './errors';
+import { t } from './i18n';
+import { CHANNEL_TRANSFER_FIELDS, isMaskedKey, parseChannelFile, parseCsv, toCsv, validateChannelRow } from './transfer';
+
+describe('parseCsv', () => {
+  it('handles quoted commas, newlines and escaped quotes', () => {
+    const text = '\uFEFFname,models,other\r\n"a, b","gpt-4\ngpt-3.5","say ""hi"""\r\n';
+    expect(parseCsv(text)).toEqual([{ name: 'a, b', models: 'gpt-4\ngpt-3.5', other: 'say "hi"' }]);
+  });
+
+  it('skips blank lines and fills missing cells', () => {
+    expect(parseCsv('name,key\n\nx\n')).toEqual([{ name: 'x', key: '' }]);
+    expect(parseCsv('  \n')).toEqual([]);
+  });
+
+  it('reads back what toCsv writes', () => {
+    const rows = [{ name: 'x', key: 'sk-1', other: 'a,"b"\nc' }];
+    const fields = ['name', 'key', 'other'];
+    expect(parseCsv(toCsv(rows, fields))).toEqual(rows);
+  });
+});
+
+describe('parseChannelFile', () => {
+  it('detects JSON by content or extension', () => {
+    expect(parseChannelFile('[{"name":"a"}]')).toEqual([{ name: 'a' }]);
+    expect(parseChannelFile('{"data":[{"name":"b"}]}')).toEqual([{ name: 'b' }]);
+    expect(() => parseChannelFile('name\na', 'channels.json')).toThrow(ApiError);
+  });
+
+  it('rejects JSON that is not a channel array', () => {
+    expect(() => parseChannelFile('{"name":"a"}')).toThrow(t('JSON 文件应为渠道数组'));
+  });
+
+  it('falls back to CSV', () => {
+    expect(parseChannelFile(CHANNEL_TRANSFER_FIELDS.join(',') + '\nx,1,sk-1', 'channels.csv')[0]).toMatchObject({
+      name: 'x',
+      type: '1',
+      key: 'sk-1'
+    });
+  });
+});
+
+describe('validateChannelRow', () => {
+  const options = { types: [1, 3, 33], defaultModels: (type) => (type === 1 ? ['gpt-4o'] : []) };
+
+  it('normalizes a valid row', () => {
+    const { channel, errors } = validateChannelRow(
+      { name: ' x ', type: '1', key: 'sk-1', base_url: 'https://example.com/', priority: '2', model_mapping: '{"a":"b"}' },
+      options
+    );
+    expect(errors).toEqual([]);
+    expect(channel).toMatchObject({
+      name: 'x',
+      type: 1,
+      base_url: 'https://example.com',
+      models: 'gpt-4o',
+      group: 'default',
+      priority: 2,
+      weight: 0,
+      model_mapping: '{"a":"b"}'
+    });
+  });
+
+  it('reports masked keys, unknown types and bad fields', () => {
+    expect(isMaskedKey('sk-ab****cd')).toBe(true);
+    const { errors } = validateChannelRow(
+      { name: '', type: '99', key: 'sk-ab****cd', models: 'm', weight: '-1', config: '[1]' },
+      options
+    );
+    expect(errors).toEqual([
+      t('未知的渠道类型：{type}', { type: '99' }),
+      t('名称不能为空'),
+      t('密钥已脱敏，请填写真实密钥'),
+      t('{label}必须是不小于 {min} 的整数', { label: t('权重'), min: 0 }),
+      t('{label}必须是 JSON 对象', { label: t('配置') })
+    ]);
+  });
+
+  it('requires base_url for Azure', () => {
+    const { errors } = validateChannelRow({ name: 'x', type: '3', key: 'k', models: 'm' }, options);
+    expect(errors).toEqual([t('该渠道类型必须填写 base_url')]);
+  });
+});
@@ -0,0 +1,37 @@
+import { t } from './i18n';
+import { downloadFile } from './transfer';
+
+/**
+ * 登录接口的返回是否需要继续输入两步验证码。
+ * @param {{ require_two_factor?: boolean } | null} data
+ */
+export function isTwoFactorPending(data) {
+  return !!(data && data.require_two_factor);
+}
+
+/**
+ * 系统要求管理员启用两步验证，而当前管理员尚未启用时为 true，此时管理接口会被拒绝。
+ * @param {{ role: number, two_factor_enabled?: boolean } | null} user
+ * @param {{ admin_two_factor_required?: boolean } | null} status
+ */
+export function needsTwoFactorSetup(user, status) {
+  return !!(user && status && status.admin_two_factor_required && user.role >= 10 && !user.two_factor_enabled);
+}
+
+/**
+ * 恢复码的纯文本，用于复制或下载保存。
+ * @param {string[]} codes
+ * @param {string} systemName
+ */
+export function formatRecoveryCodes(codes, systemName) {
+  return [t('{name} 两步验证恢复码，每个只能使用一次', { name: systemName || 'One API' }), '', ...codes].join('\n');
+}
+
+/**
+ * 以文本文件的方式下载恢复码。
+ * @param {string[]} codes
+ * @param {string} systemName
+ */
+export function downloadRecoveryCodes(codes, systemName) {
+  downloadFile(formatRecoveryCodes(codes, systemName) + '\n', 'recovery-codes.txt', 'text/plain;charset=utf-8');
+}
@@ -0,0 +1,35 @@
+import { t } from './i18n';
+
+// 顺序有意义：Edge、Opera 的 UA 中同时含有 Chrome，Chrome 的 UA 中同时含有 Safari
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//]
+];
+
+// Android 的 UA 中含有 Linux，iOS 的 UA 中含有 Mac OS X
+const SYSTEMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+function match(list, userAgent) {
+  const item = list.find(([, pattern]) => pattern.test(userAgent));
+  return item ? item[0] : '';
+}
+
+/**
+ * 会话列表中显示的设备，例如 “Chrome · Windows”，无法识别时返回 UA 原文。
+ * @param {string} userAgent
+ */
+export function describeUserAgent(userAgent) {
+  if (!userAgent) return t('未知设备');
+  const parts = [match(BROWSERS, userAgent), match(SYSTEMS, userAgent)].filter(Boolean);
+  return parts.length > 0 ? parts.join(' · ') : userAgent;
+}
@@ -18,6 +18,7 @@ import { StatusContext } from './context/Status';
 import Channel from './pages/Channel';
 import Token from './pages/Token';
 import EditToken from './pages/Token/EditToken';
+import TokenDetail from './pages/Token/TokenDetail';
 import EditChannel from './pages/Channel/EditChannel';
 import Redemption from './pages/Redemption';
 import EditRedemption from './pages/Redemption/EditRedemption';
@@ -25,9 +26,11 @@ import TopUp from './pages/TopUp';
 import Log from './pages/Log';
 import Chat from './pages/Chat';
 import LarkOAuth from './components/LarkOAuth';
+import { applyUserLocale, t } from 'one-api-common';
 
 const Home = lazy(() => import('./pages/Home'));
 const About = lazy(() => import('./pages/About'));
+const Pricing = lazy(() => import('./pages/Pricing'));
 
 function App() {
   const [userState, userDispatch] = useContext(UserContext);
@@ -62,14 +65,19 @@ function App() {
         process.env.REACT_APP_VERSION !== ''
       ) {
         showNotice(
-          `新版本可用：${data.version}，请使用快捷键 Shift + F5 刷新页面`
+          t('新版本可用：{version}，请使用快捷键 Shift + F5 刷新页面', { version: data.version })
         );
       }
     } else {
-      showError('无法正常连接至服务器！');
+      showError(t('无法正常连接至服务器！'));
     }
   };
 
+  useEffect(() => {
+    // 登录后沿用用户保存的界面语言
+    if (userState.user) applyUserLocale(userState.user);
+  }, [userState.user]);
+
   useEffect(() => {
     loadUser();
     loadStatus().then();
@@ -136,6 +144,14 @@ function App() {
           </Suspense>
         }
       />
+      <Route
+        path='/token/:id'
+        element={
+          <PrivateRoute>
+            <TokenDetail />
+          </PrivateRoute>
+        }
+      />
       <Route
         path='/token/add'
         element={
@@ -285,13 +301,23 @@ function App() {
         }
       />
       <Route
-        path='/chat'
+        path='/pricing'
         element={
           <Suspense fallback={<Loading></Loading>}>
-            <Chat />
+            <Pricing />
           </Suspense>
         }
       />
+      <Route
+        path='/chat'
+        element={
+          <PrivateRoute>
+            <Suspense fallback={<Loading></Loading>}>
+              <Chat />
+            </Suspense>
+          </PrivateRoute>
+        }
+      />
       <Route path='*' element={
           <NotFound />
       } />
@@ -0,0 +1,209 @@
+import React, { useEffect, useState } from 'react';
+import { Button, Form, Header, Label, Message, Modal, Popup, Table } from 'semantic-ui-react';
+import {
+  ACCESS_TOKEN_EXPIRY,
+  accessTokenExpiredTime,
+  accessTokenScopesFor,
+  describeAccessTokenScopes,
+  t
+} from 'one-api-common';
+import { api, copy, isAdmin, isRoot, showError, showSuccess, showWarning, timestamp2string } from '../helpers';
+
+/**
+ * 个人设置中的访问令牌：创建多个带权限范围与有效期的令牌，用于自动化调用管理接口。
+ */
+const AccessTokenSetting = () => {
+  const role = isRoot() ? 100 : isAdmin() ? 10 : 1;
+  const [tokens, setTokens] = useState([]);
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState([]);
+  const [expiry, setExpiry] = useState(ACCESS_TOKEN_EXPIRY[1].value);
+  const [loading, setLoading] = useState(false);
+  // 刚创建的令牌原文，只显示一次
+  const [createdKey, setCreatedKey] = useState('');
+
+  const loadTokens = async () => {
+    const { success, message, data } = await api.user.accessTokens();
+    if (success) {
+      setTokens(data || []);
+    } else {
+      showError(message);
+    }
+  };
+
+  useEffect(() => {
+    loadTokens().then();
+  }, []);
+
+  const close = () => {
+    setCreating(false);
+    setName('');
+    setScopes([]);
+    setExpiry(ACCESS_TOKEN_EXPIRY[1].value);
+  };
+
+  const toggleScope = (value, checked) => {
+    setScopes((scopes) => (checked ? [...scopes, value] : scopes.filter((scope) => scope !== value)));
+  };
+
+  const submit = async () => {
+    if (!name.trim()) {
+      showError(t('请输入名称'));
+      return;
+    }
+    if (scopes.length === 0) {
+      showError(t('请至少选择一个权限范围'));
+      return;
+    }
+    setLoading(true);
+    try {
+      const { success, message, data } = await api.user.createAccessToken({
+        name: name.trim(),
+        scopes,
+        expired_time: accessTokenExpiredTime(expiry)
+      });
+      if (success) {
+        close();
+        setCreatedKey(data.access_token);
+        await loadTokens();
+      } else {
+        showError(message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const copyKey = async () => {
+    if (await copy(createdKey)) {
+      showSuccess(t('已复制到剪贴板！'));
+    } else {
+      showWarning(t('无法复制到剪贴板，请手动复制'));
+    }
+  };
+
+  const remove = async (token) => {
+    const { success, message } = await api.user.deleteAccessToken(token.id);
+    if (success) {
+      showSuccess(t('访问令牌已删除'));
+      await loadTokens();
+    } else {
+      showError(message);
+    }
+  };
+
+  const renderExpiredTime = (expiredTime) => {
+    if (expiredTime === -1) return t('永不过期');
+    if (expiredTime * 1000 < Date.now()) return <Label color='red'>{t('已过期')}</Label>;
+    return timestamp2string(expiredTime);
+  };
+
+  return (
+    <>
+      <Header as='h3'>{t('访问令牌')}</Header>
+      <p>{t('访问令牌用于在程序中调用管理接口，请求时放在 Authorization 请求头中，只能访问所选权限范围内的接口。')}</p>
+      {tokens.length > 0 && (
+        <Table basic compact>
+          <Table.Header>
+            <Table.Row>
+              <Table.HeaderCell>{t('名称')}</Table.HeaderCell>
+              <Table.HeaderCell>{t('权限')}</Table.HeaderCell>
+              <Table.HeaderCell>{t('过期时间')}</Table.HeaderCell>
+              <Table.HeaderCell>{t('最近使用')}</Table.HeaderCell>
+              <Table.HeaderCell>{t('操作')}</Table.HeaderCell>
+            </Table.Row>
+          </Table.Header>
+          <Table.Body>
+            {tokens.map((token) => (
+              <Table.Row key={token.id}>
+                <Table.Cell>{token.name}</Table.Cell>
+                <Table.Cell>
+                  {describeAccessTokenScopes(token.scopes).map((label) => (
+                    <Label key={label} basic size='small' style={{ margin: 2 }}>
+                      {label}
+                    </Label>
+                  ))}
+                </Table.Cell>
+                <Table.Cell>{renderExpiredTime(token.expired_time)}</Table.Cell>
+                <Table.Cell>{token.last_used_time ? timestamp2string(token.last_used_time) : t('从未使用')}</Table.Cell>
+                <Table.Cell>
+                  <Popup
+                    trigger={
+                      <Button size='small' negative>
+                        {t('删除')}
+                      </Button>
+                    }
+                    on='click'
+                    flowing
+                    hoverable
+                  >
+                    <Button negative onClick={() => remove(token)}>
+                      {t('删除访问令牌 {name}', { name: token.name })}
+                    </Button>
+                  </Popup>
+                </Table.Cell>
+              </Table.Row>
+            ))}
+          </Table.Body>
+        </Table>
+      )}
+      <Button onClick={() => setCreating(true)}>{t('创建访问令牌')}</Button>
+
+      <Modal size='tiny' open={creating} onClose={close}>
+        <Modal.Header>{t('创建访问令牌')}</Modal.Header>
+        <Modal.Content>
+          <Form>
+            <Form.Input
+              label={t('名称')}
+              placeholder={t('例如：日志同步脚本')}
+              autoFocus
+              maxLength={30}
+              value={name}
+              onChange={(e, { value }) => setName(value)}
+            />
+            <Form.Field label={t('权限')} />
+            {accessTokenScopesFor(role).map((scope) => (
+              <Form.Checkbox
+                key={scope.value}
+                label={`${t(scope.label)} (${scope.value})`}
+                checked={scopes.includes(scope.value)}
+                onChange={(e, { checked }) => toggleScope(scope.value, checked)}
+              />
+            ))}
+            <Form.Select
+              label={t('有效期')}
+              value={expiry}
+              onChange={(e, { value }) => setExpiry(value)}
+              options={ACCESS_TOKEN_EXPIRY.map((item) => ({ key: item.value, value: item.value, text: t(item.label) }))}
+            />
+          </Form>
+        </Modal.Content>
+        <Modal.Actions>
+          <Button onClick={close}>{t('取消')}</Button>
+          <Button primary loading={loading} onClick={submit}>
+            {t('创建')}
+          </Button>
+        </Modal.Actions>
+      </Modal>
+
+      <Modal size='tiny' open={!!createdKey} onClose={() => setCreatedKey('')}>
+        <Modal.Header>{t('访问令牌已创建')}</Modal.Header>
+        <Modal.Content>
+          <Message warning>{t('令牌只显示这一次，请立即复制并妥善保存。')}</Message>
+          <Form>
+            <Form.Input readOnly value={createdKey} />
+          </Form>
+        </Modal.Content>
+        <Modal.Actions>
+          <Button onClick={copyKey}>{t('复制')}</Button>
+          <Button primary onClick={() => setCreatedKey('')}>
+            {t('完成')}
+          </Button>
+        </Modal.Actions>
+      </Modal>
+    </>
+  );
+};
+
+export default AccessTokenSetting;
@@ -0,0 +1,212 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Button, Dropdown, Form, Label, List, Message, Modal, Progress } from 'semantic-ui-react';
+import { api, showError, showSuccess } from '../helpers';
+import {
+  BulkEditMode,
+  ChannelBulkAction,
+  channelBulkTask,
+  describeChannelBulkAction,
+  runBulk,
+  splitCommaList,
+  t
+} from 'one-api-common';
+
+const actionOptions = Object.values(ChannelBulkAction).map((action) => ({
+  key: action,
+  text: describeChannelBulkAction(action),
+  value: action
+}));
+
+const modeOptions = [
+  { key: BulkEditMode.Replace, text: '替换为', value: BulkEditMode.Replace },
+  { key: BulkEditMode.Add, text: '追加', value: BulkEditMode.Add },
+  { key: BulkEditMode.Remove, text: '移除', value: BulkEditMode.Remove }
+];
+
+const ChannelBulkActions = ({ channels, onClear, onFinished }) => {
+  const [action, setAction] = useState(null);
+  const [value, setValue] = useState('');
+  const [values, setValues] = useState([]);
+  const [mode, setMode] = useState(BulkEditMode.Replace);
+  const [groupOptions, setGroupOptions] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [results, setResults] = useState([]);
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    api.group
+      .list()
+      .then(({ success, data }) => {
+        if (success) setGroupOptions(data.map((group) => ({ key: group, text: group, value: group })));
+      })
+      .catch(() => {});
+    return () => {
+      if (abortRef.current) abortRef.current.abort();
+    };
+  }, []);
+
+  const open = (nextAction) => {
+    setAction(nextAction);
+    setValue('');
+    setValues([]);
+    setMode(BulkEditMode.Replace);
+    setResults([]);
+  };
+
+  const close = () => {
+    if (running) return;
+    const finished = results.length > 0;
+    setAction(null);
+    setResults([]);
+    if (finished) onFinished();
+  };
+
+  const needsValue = action === ChannelBulkAction.Priority || action === ChannelBulkAction.Weight;
+  const needsValues = action === ChannelBulkAction.Group || action === ChannelBulkAction.Models;
+
+  const start = async () => {
+    if (needsValue && value === '') {
+      showError(t('请输入数值'));
+      return;
+    }
+    if (needsValues && values.length === 0) {
+      showError(t('请至少填写一项'));
+      return;
+    }
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setResults([]);
+    setRunning(true);
+    const task = channelBulkTask(api, action, { value: parseInt(value), values, mode });
+    const finalResults = await runBulk(channels, task, {
+      signal: controller.signal,
+      onProgress: (result) => setResults((prev) => [...prev, result])
+    });
+    abortRef.current = null;
+    setRunning(false);
+    const failed = finalResults.filter((result) => !result.success).length;
+    if (failed === 0) {
+      showSuccess(t('已对 {count} 个渠道{action}', { count: finalResults.length, action: describeChannelBulkAction(action) }));
+    } else {
+      showError(t('{count} 个渠道{action}失败，详见列表', { count: failed, action: describeChannelBulkAction(action) }));
+    }
+  };
+
+  const stop = () => {
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  const modelOptions = splitCommaList([
+    ...channels.flatMap((channel) => splitCommaList(channel.models)),
+    ...values
+  ]).map((model) => ({ key: model, text: model, value: model }));
+  const succeeded = results.filter((result) => result.success).length;
+
+  return (
+    <>
+      <Message style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '0.5em' }}>
+        <span>{t('已选择 {count} 个渠道', { count: channels.length })}</span>
+        <Dropdown
+          text={t('批量操作')}
+          button
+          className='small'
+          options={actionOptions}
+          value={null}
+          selectOnBlur={false}
+          onChange={(e, { value }) => open(value)}
+        />
+        <Button size='small' onClick={onClear}>
+          {t('取消选择')}
+        </Button>
+      </Message>
+      <Modal open={action !== null} onClose={close} size='small' closeOnDimmerClick={!running}>
+        <Modal.Header>
+          {t('批量{action}（{count} 个渠道）', { action: describeChannelBulkAction(action), count: channels.length })}
+        </Modal.Header>
+        <Modal.Content scrolling>
+          <Form>
+            {needsValue && (
+              <Form.Input
+                label={action === ChannelBulkAction.Priority ? t('优先级') : t('权重')}
+                type='number'
+                min={action === ChannelBulkAction.Weight ? 0 : undefined}
+                value={value}
+                disabled={running}
+                onChange={(e, { value }) => setValue(value)}
+              />
+            )}
+            {needsValues && (
+              <>
+                <Form.Select
+                  label={t('方式')}
+                  options={modeOptions.map((option) => ({ ...option, text: t(option.text) }))}
+                  value={mode}
+                  disabled={running}
+                  onChange={(e, { value }) => setMode(value)}
+                />
+                <Form.Dropdown
+                  label={action === ChannelBulkAction.Group ? t('分组') : t('模型')}
+                  placeholder={action === ChannelBulkAction.Group ? t('请选择分组') : t('请选择或输入模型')}
+                  fluid
+                  multiple
+                  search
+                  selection
+                  allowAdditions={action === ChannelBulkAction.Models}
+                  options={action === ChannelBulkAction.Group ? groupOptions : modelOptions}
+                  value={values}
+                  disabled={running}
+                  onChange={(e, { value }) => setValues(value)}
+                />
+              </>
+            )}
+            {action === ChannelBulkAction.Delete && results.length === 0 && (
+              <Message warning>{t('删除操作不可逆，请确认。')}</Message>
+            )}
+          </Form>
+          {results.length > 0 && (
+            <>
+              <Progress
+                value={results.length}
+                total={channels.length}
+                progress='ratio'
+                success={!running && succeeded === results.length}
+                warning={!running && succeeded !== results.length}
+                active={running}
+                style={{ marginTop: '1em' }}
+              />
+              <List divided relaxed>
+                {results.map((result) => (
+                  <List.Item key={result.item.id}>
+                    <Label basic size='mini' color={result.success ? 'green' : 'red'}>
+                      {result.success ? t('成功') : t('失败')}
+                    </Label>
+                    #{result.item.id} {result.item.name}
+                    {result.message && <span style={{ marginLeft: '0.5em', color: 'grey' }}>{result.message}</span>}
+                  </List.Item>
+                ))}
+              </List>
+            </>
+          )}
+        </Modal.Content>
+        <Modal.Actions>
+          {running ? (
+            <Button negative onClick={stop}>
+              {t('停止')}
+            </Button>
+          ) : (
+            <>
+              <Button onClick={close}>{results.length > 0 ? t('完成') : t('取消')}</Button>
+              {results.length === 0 && (
+                <Button negative={action === ChannelBulkAction.Delete} positive={action !== ChannelBulkAction.Delete} onClick={start}>
+                  {t('开始')}
+                </Button>
+              )}
+            </>
+          )}
+        </Modal.Actions>
+      </Modal>
+    </>
+  );
+};
+
+export default ChannelBulkActions;
@@ -0,0 +1,114 @@
+import React, { useEffect, useState } from 'react';
+import { Feed, Label, Loader, Statistic } from 'semantic-ui-react';
+import { api, showError } from '../helpers';
+import {
+  ChannelHealthType,
+  describeHealthType,
+  formatDateTime,
+  isCanceled,
+  sparklinePoints,
+  summarizeChannelHealth,
+  t
+} from 'one-api-common';
+
+const SPARKLINE_WIDTH = 240;
+const SPARKLINE_HEIGHT = 40;
+
+const typeColors = {
+  [ChannelHealthType.TestSucceeded]: 'green',
+  [ChannelHealthType.TestFailed]: 'red',
+  [ChannelHealthType.AutoDisabled]: 'yellow',
+  [ChannelHealthType.AutoEnabled]: 'blue'
+};
+
+function renderSparkline(tests) {
+  const points = sparklinePoints(tests, SPARKLINE_WIDTH, SPARKLINE_HEIGHT);
+  if (points.length === 0) {
+    return <span>{t('暂无测试记录')}</span>;
+  }
+  return (
+    <svg width={SPARKLINE_WIDTH} height={SPARKLINE_HEIGHT} style={{ overflow: 'visible' }}>
+      <polyline
+        fill='none'
+        stroke='#999'
+        strokeWidth={1}
+        points={points.map((point) => `${point.x},${point.y}`).join(' ')}
+      />
+      {points.map((point) => (
+        <circle key={point.item.id} cx={point.x} cy={point.y} r={3} fill={point.success ? '#21ba45' : '#db2828'}>
+          <title>
+            {formatDateTime(point.item.created_at)}{' '}
+            {point.success ? `${point.item.response_time} ms` : point.item.message}
+          </title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+const ChannelHealth = ({ channelId, refreshKey }) => {
+  const [histories, setHistories] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+    api.channel
+      .health(channelId, undefined, { signal: controller.signal })
+      .then(({ success, message, data }) => {
+        if (success) {
+          setHistories(data || []);
+        } else {
+          showError(message);
+        }
+        setLoading(false);
+      })
+      .catch((error) => {
+        if (!isCanceled(error)) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [channelId, refreshKey]);
+
+  if (loading) {
+    return <Loader active inline='centered' size='small' />;
+  }
+
+  const { tests, successRate } = summarizeChannelHealth(histories);
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '2em', alignItems: 'flex-start' }}>
+      <div>
+        <Statistic size='mini'>
+          <Statistic.Value>{successRate === null ? '-' : `${(successRate * 100).toFixed(1)}%`}</Statistic.Value>
+          <Statistic.Label>{t('成功率（最近 {count} 次测试）', { count: tests.length })}</Statistic.Label>
+        </Statistic>
+        <div style={{ marginTop: '1em' }}>{renderSparkline(tests)}</div>
+      </div>
+      <Feed size='small' style={{ flex: 1, minWidth: 300, maxHeight: 240, overflowY: 'auto', margin: 0 }}>
+        {histories.length === 0 && <span>{t('暂无健康记录')}</span>}
+        {histories.map((item) => (
+          <Feed.Event key={item.id}>
+            <Feed.Content>
+              <Feed.Summary>
+                <Label basic size='mini' color={typeColors[item.type]}>
+                  {describeHealthType(item.type)}
+                </Label>
+                {item.model_name && <span style={{ marginLeft: '0.5em' }}>{item.model_name}</span>}
+                {item.type === ChannelHealthType.TestSucceeded && (
+                  <span style={{ marginLeft: '0.5em' }}>{item.response_time} ms</span>
+                )}
+                <Feed.Date>{formatDateTime(item.created_at)}</Feed.Date>
+              </Feed.Summary>
+              {item.message && (
+                <Feed.Extra text style={{ wordBreak: 'break-all' }}>
+                  {item.message}
+                </Feed.Extra>
+              )}
+            </Feed.Content>
+          </Feed.Event>
+        ))}
+      </Feed>
+    </div>
+  );
+};
+
+export default ChannelHealth;
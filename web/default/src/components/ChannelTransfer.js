@@ -0,0 +1,246 @@
+import React, { useRef, useState } from 'react';
+import { Button, Checkbox, Form, Label, List, Message, Modal, Progress, Table } from 'semantic-ui-react';
+import { api, showError, showSuccess } from '../helpers';
+import { CHANNEL_OPTIONS } from '../constants';
+import { downloadFile, exportChannels, parseChannelFile, runBulk, validateChannelRow, t } from 'one-api-common';
+
+const channelTypes = CHANNEL_OPTIONS.map((option) => option.value);
+
+function renderTypeText(type) {
+  const option = CHANNEL_OPTIONS.find((item) => item.value === type);
+  return option ? t(option.text) : type;
+}
+
+const ChannelTransfer = ({ selectedIds, onImported }) => {
+  const [exportOpen, setExportOpen] = useState(false);
+  const [format, setFormat] = useState('json');
+  const [onlySelected, setOnlySelected] = useState(false);
+  const [maskKey, setMaskKey] = useState(true);
+  const [exporting, setExporting] = useState(false);
+
+  const [importOpen, setImportOpen] = useState(false);
+  const [rows, setRows] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [results, setResults] = useState([]);
+  const fileRef = useRef(null);
+  const abortRef = useRef(null);
+
+  const openExport = () => {
+    setOnlySelected(selectedIds.length > 0);
+    setExportOpen(true);
+  };
+
+  const doExport = async () => {
+    setExporting(true);
+    try {
+      const params = { mask_key: maskKey };
+      if (onlySelected) params.ids = selectedIds.join(',');
+      const { success, message, data } = await api.channel.export(params);
+      if (success) {
+        const file = exportChannels(data, format);
+        downloadFile(file.content, file.filename, file.mime);
+        showSuccess(t('已导出 {count} 个渠道', { count: data.length }));
+        setExportOpen(false);
+      } else {
+        showError(message);
+      }
+    } catch (error) {
+      // 错误已由拦截器提示
+    }
+    setExporting(false);
+  };
+
+  const openImport = () => {
+    setRows([]);
+    setResults([]);
+    setImportOpen(true);
+  };
+
+  const closeImport = () => {
+    if (running) return;
+    const imported = results.some((result) => result.success);
+    setImportOpen(false);
+    if (imported) onImported();
+  };
+
+  const readFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const parsed = parseChannelFile(reader.result, file.name);
+        if (parsed.length === 0) {
+          showError(t('文件中没有渠道'));
+          return;
+        }
+        setRows(parsed.map((row) => validateChannelRow(row, { types: channelTypes })));
+        setResults([]);
+      } catch (error) {
+        showError(error.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const validRows = rows.filter((row) => row.errors.length === 0);
+
+  const doImport = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setResults([]);
+    setRunning(true);
+    const finalResults = await runBulk(
+      validRows.map((row) => row.channel),
+      (channel, { signal }) => api.channel.create(channel, { signal, silent: true }),
+      { signal: controller.signal, onProgress: (result) => setResults((prev) => [...prev, result]) }
+    );
+    abortRef.current = null;
+    setRunning(false);
+    const failed = finalResults.filter((result) => !result.success).length;
+    if (failed === 0) {
+      showSuccess(t('已导入 {count} 个渠道', { count: finalResults.length }));
+    } else {
+      showError(t('{count} 个渠道导入失败，详见列表', { count: failed }));
+    }
+  };
+
+  const stopImport = () => {
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  return (
+    <>
+      <Button size='small' onClick={openExport}>
+        {t('导出渠道')}
+      </Button>
+      <Button size='small' onClick={openImport}>
+        {t('导入渠道')}
+      </Button>
+
+      <Modal open={exportOpen} onClose={() => setExportOpen(false)} size='tiny'>
+        <Modal.Header>{t('导出渠道')}</Modal.Header>
+        <Modal.Content>
+          <Form>
+            <Form.Group inline>
+              <label>{t('格式')}</label>
+              <Form.Radio label='JSON' checked={format === 'json'} onChange={() => setFormat('json')} />
+              <Form.Radio label='CSV' checked={format === 'csv'} onChange={() => setFormat('csv')} />
+            </Form.Group>
+            <Form.Group inline>
+              <label>{t('范围')}</label>
+              <Form.Radio label={t('全部渠道')} checked={!onlySelected} onChange={() => setOnlySelected(false)} />
+              <Form.Radio
+                label={t('已选择的 {count} 个渠道', { count: selectedIds.length })}
+                checked={onlySelected}
+                disabled={selectedIds.length === 0}
+                onChange={() => setOnlySelected(true)}
+              />
+            </Form.Group>
+            <Form.Field>
+              <Checkbox label={t('密钥脱敏')} checked={maskKey} onChange={(e, { checked }) => setMaskKey(checked)} />
+            </Form.Field>
+            {!maskKey && <Message warning>{t('导出文件将包含明文密钥，请妥善保管。仅超级管理员可以导出明文密钥。')}</Message>}
+          </Form>
+        </Modal.Content>
+        <Modal.Actions>
+          <Button onClick={() => setExportOpen(false)}>{t('取消')}</Button>
+          <Button positive loading={exporting} onClick={doExport}>
+            {t('导出')}
+          </Button>
+        </Modal.Actions>
+      </Modal>
+
+      <Modal open={importOpen} onClose={closeImport} size='large' closeOnDimmerClick={!running}>
+        <Modal.Header>{t('导入渠道')}</Modal.Header>
+        <Modal.Content scrolling>
+          <Message info>
+            {t('支持本页面导出的 JSON 或 CSV 文件。每一行会按渠道类型校验，校验通过的渠道会逐个创建，已脱敏的密钥需要先替换为真实密钥。')}
+          </Message>
+          <input type='file' accept='.json,.csv' ref={fileRef} style={{ display: 'none' }} onChange={readFile} />
+          <Button type='button' disabled={running} onClick={() => fileRef.current.click()}>
+            {t('选择文件')}
+          </Button>
+          {rows.length > 0 && results.length === 0 && (
+            <>
+              <p style={{ marginTop: '1em' }}>
+                {t('共 {total} 行，其中 {valid} 行校验通过，{invalid} 行有错误。', {
+                  total: rows.length,
+                  valid: validRows.length,
+                  invalid: rows.length - validRows.length
+                })}
+              </p>
+              <Table compact size='small' celled>
+                <Table.Header>
+                  <Table.Row>
+                    <Table.HeaderCell>{t('行')}</Table.HeaderCell>
+                    <Table.HeaderCell>{t('名称')}</Table.HeaderCell>
+                    <Table.HeaderCell>{t('类型')}</Table.HeaderCell>
+                    <Table.HeaderCell>{t('分组')}</Table.HeaderCell>
+                    <Table.HeaderCell>{t('模型')}</Table.HeaderCell>
+                    <Table.HeaderCell>{t('校验结果')}</Table.HeaderCell>
+                  </Table.Row>
+                </Table.Header>
+                <Table.Body>
+                  {rows.map((row, idx) => (
+                    <Table.Row key={idx} negative={row.errors.length > 0}>
+                      <Table.Cell>{idx + 1}</Table.Cell>
+                      <Table.Cell>{row.channel.name}</Table.Cell>
+                      <Table.Cell>{renderTypeText(row.channel.type)}</Table.Cell>
+                      <Table.Cell>{row.channel.group}</Table.Cell>
+                      <Table.Cell>{t('{count} 个', { count: row.channel.models.split(',').filter(Boolean).length })}</Table.Cell>
+                      <Table.Cell>{row.errors.length === 0 ? t('通过') : row.errors.join('；')}</Table.Cell>
+                    </Table.Row>
+                  ))}
+                </Table.Body>
+              </Table>
+            </>
+          )}
+          {results.length > 0 && (
+            <>
+              <Progress
+                value={results.length}
+                total={validRows.length}
+                progress='ratio'
+                active={running}
+                success={!running && results.every((result) => result.success)}
+                warning={!running && !results.every((result) => result.success)}
+                style={{ marginTop: '1em' }}
+              />
+              <List divided relaxed>
+                {results.map((result, idx) => (
+                  <List.Item key={idx}>
+                    <Label basic size='mini' color={result.success ? 'green' : 'red'}>
+                      {result.success ? t('成功') : t('失败')}
+                    </Label>
+                    {result.item.name}
+                    {result.message && <span style={{ marginLeft: '0.5em', color: 'grey' }}>{result.message}</span>}
+                  </List.Item>
+                ))}
+              </List>
+            </>
+          )}
+        </Modal.Content>
+        <Modal.Actions>
+          {running ? (
+            <Button negative onClick={stopImport}>
+              {t('停止')}
+            </Button>
+          ) : (
+            <>
+              <Button onClick={closeImport}>{results.length > 0 ? t('完成') : t('取消')}</Button>
+              {results.length === 0 && (
+                <Button positive disabled={validRows.length === 0} onClick={doImport}>
+                  {t('导入 {count} 个渠道', { count: validRows.length })}
+                </Button>
+              )}
+            </>
+          )}
+        </Modal.Actions>
+      </Modal>
+    </>
+  );
+};
+
+export default ChannelTransfer;
@@ -1,5 +1,5 @@
 import React, { useEffect, useState } from 'react';
-import { Button, Dropdown, Form, Input, Label, Message, Pagination, Popup, Table } from 'semantic-ui-react';
+import { Button, Checkbox, Dropdown, Form, Input, Label, Message, Pagination, Popup, Table } from 'semantic-ui-react';
 import { Link } from 'react-router-dom';
 import {
   API,
@@ -8,17 +8,21 @@ import {
   shouldShowPrompt,
   showError,
   showInfo,
-  showSuccess,
-  timestamp2string
+  showSuccess
 } from '../helpers';
+import { formatDateTime, t } from 'one-api-common';
 
 import { CHANNEL_OPTIONS, ITEMS_PER_PAGE } from '../constants';
 import { renderGroup, renderNumber } from '../helpers/render';
+import ChannelHealth from './ChannelHealth';
+import ModelTestMatrix from './ModelTestMatrix';
+import ChannelBulkActions from './ChannelBulkActions';
+import ChannelTransfer from './ChannelTransfer';
 
 function renderTimestamp(timestamp) {
   return (
     <>
-      {timestamp2string(timestamp)}
+      {formatDateTime(timestamp)}
     </>
   );
 }
@@ -33,7 +37,7 @@ function renderType(type) {
     }
     type2label[0] = { value: 0, text: '未知类型', color: 'grey' };
   }
-  return <Label basic color={type2label[type]?.color}>{type2label[type] ? type2label[type].text : type}</Label>;
+  return <Label basic color={type2label[type]?.color}>{type2label[type] ? t(type2label[type].text) : type}</Label>;
 }
 
 function renderBalance(type, balance) {
@@ -57,7 +61,7 @@ function renderBalance(type, balance) {
     case 44: // SiliconFlow
       return <span>¥{balance.toFixed(2)}</span>;
     default:
-      return <span>不支持</span>;
+      return <span>{t('不支持')}</span>;
   }
 }
 
@@ -76,6 +80,9 @@ const ChannelsTable = () => {
   const [updatingBalance, setUpdatingBalance] = useState(false);
   const [showPrompt, setShowPrompt] = useState(shouldShowPrompt(promptID));
   const [showDetail, setShowDetail] = useState(isShowDetail());
+  const [expandedHealthId, setExpandedHealthId] = useState(null);
+  const [matrixChannel, setMatrixChannel] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
 
   const loadChannels = async (startIdx) => {
     const res = await API.get(`/api/channel/?p=${startIdx}`);
@@ -178,7 +185,7 @@ const ChannelsTable = () => {
     }
     const { success, message } = res.data;
     if (success) {
-      showSuccess('操作成功完成！');
+      showSuccess(t('操作成功完成！'));
       let channel = res.data.data;
       let newChannels = [...channels];
       let realIdx = (activePage - 1) * ITEMS_PER_PAGE + idx;
@@ -196,14 +203,14 @@ const ChannelsTable = () => {
   const renderStatus = (status) => {
     switch (status) {
       case 1:
-        return <Label basic color='green'>已启用</Label>;
+        return <Label basic color='green'>{t('已启用')}</Label>;
       case 2:
         return (
           <Popup
             trigger={<Label basic color='red'>
-              已禁用
+              {t('已禁用')}
             </Label>}
-            content='本渠道被手动禁用'
+            content={t('本渠道被手动禁用')}
             basic
           />
         );
@@ -211,16 +218,16 @@ const ChannelsTable = () => {
         return (
           <Popup
             trigger={<Label basic color='yellow'>
-              已禁用
+              {t('已禁用')}
             </Label>}
-            content='本渠道被程序自动禁用'
+            content={t('本渠道被程序自动禁用')}
             basic
           />
         );
       default:
         return (
           <Label basic color='grey'>
-            未知状态
+            {t('未知状态')}
           </Label>
         );
     }
@@ -228,9 +235,9 @@ const ChannelsTable = () => {
 
   const renderResponseTime = (responseTime) => {
     let time = responseTime / 1000;
-    time = time.toFixed(2) + ' 秒';
+    time = t('{time} 秒', { time: time.toFixed(2) });
     if (responseTime === 0) {
-      return <Label basic color='grey'>未测试</Label>;
+      return <Label basic color='grey'>{t('未测试')}</Label>;
     } else if (responseTime <= 1000) {
       return <Label basic color='green'>{time}</Label>;
     } else if (responseTime <= 3000) {
@@ -277,7 +284,7 @@ const ChannelsTable = () => {
       newChannels[realIdx].response_time = time * 1000;
       newChannels[realIdx].test_time = Date.now() / 1000;
       setChannels(newChannels);
-      showInfo(`渠道 ${name} 测试成功，模型 ${model}，耗时 ${time.toFixed(2)} 秒。`);
+      showInfo(t('渠道 {name} 测试成功，模型 {model}，耗时 {time} 秒。', { name, model, time: time.toFixed(2) }));
     } else {
       showError(message);
     }
@@ -292,7 +299,7 @@ const ChannelsTable = () => {
     const res = await API.get(`/api/channel/test?scope=${scope}`);
     const { success, message } = res.data;
     if (success) {
-      showInfo('已成功开始测试渠道，请刷新页面查看结果。');
+      showInfo(t('已成功开始测试渠道，请刷新页面查看结果。'));
     } else {
       showError(message);
     }
@@ -302,7 +309,7 @@ const ChannelsTable = () => {
     const res = await API.delete(`/api/channel/disabled`);
     const { success, message, data } = res.data;
     if (success) {
-      showSuccess(`已删除所有禁用渠道，共计 ${data} 个`);
+      showSuccess(t('已删除所有禁用渠道，共计 {count} 个', { count: data }));
       await refresh();
     } else {
       showError(message);
@@ -318,7 +325,7 @@ const ChannelsTable = () => {
       newChannels[realIdx].balance = balance;
       newChannels[realIdx].balance_updated_time = Date.now() / 1000;
       setChannels(newChannels);
-      showInfo(`渠道 ${name} 余额更新成功！`);
+      showInfo(t('渠道 {name} 余额更新成功！', { name }));
     } else {
       showError(message);
     }
@@ -329,7 +336,7 @@ const ChannelsTable = () => {
     const res = await API.get(`/api/channel/update_balance`);
     const { success, message } = res.data;
     if (success) {
-      showInfo('已更新完毕所有已启用渠道余额！');
+      showInfo(t('已更新完毕所有已启用渠道余额！'));
     } else {
       showError(message);
     }
@@ -340,6 +347,24 @@ const ChannelsTable = () => {
     setSearchKeyword(value.trim());
   };
 
+  const pageChannels = channels
+    .slice((activePage - 1) * ITEMS_PER_PAGE, activePage * ITEMS_PER_PAGE)
+    .filter((channel) => !channel.deleted);
+  const pageSelected = pageChannels.length > 0 && pageChannels.every((channel) => selectedIds.includes(channel.id));
+
+  const toggleSelected = (id) => {
+    setSelectedIds(selectedIds.includes(id) ? selectedIds.filter((item) => item !== id) : [...selectedIds, id]);
+  };
+
+  const togglePageSelected = () => {
+    const pageIds = pageChannels.map((channel) => channel.id);
+    if (pageSelected) {
+      setSelectedIds(selectedIds.filter((id) => !pageIds.includes(id)));
+    } else {
+      setSelectedIds([...new Set([...selectedIds, ...pageIds])]);
+    }
+  };
+
   const sortChannel = (key) => {
     if (channels.length === 0) return;
     setLoading(true);
@@ -368,7 +393,7 @@ const ChannelsTable = () => {
           icon='search'
           fluid
           iconPosition='left'
-          placeholder='搜索渠道的 ID，名称和密钥 ...'
+          placeholder={t('搜索渠道的 ID，名称和密钥 ...')}
           value={searchKeyword}
           loading={searching}
           onChange={handleKeywordChange}
@@ -380,17 +405,30 @@ const ChannelsTable = () => {
             setShowPrompt(false);
             setPromptShown(promptID);
           }}>
-            OpenAI 渠道已经不再支持通过 key 获取余额，因此余额显示为 0。对于支持的渠道类型，请点击余额进行刷新。
+            {t('OpenAI 渠道已经不再支持通过 key 获取余额，因此余额显示为 0。对于支持的渠道类型，请点击余额进行刷新。')}
             <br/>
-            渠道测试仅支持 chat 模型，优先使用 gpt-3.5-turbo，如果该模型不可用则使用你所配置的模型列表中的第一个模型。
+            {t('渠道测试仅支持 chat 模型，优先使用 gpt-3.5-turbo，如果该模型不可用则使用你所配置的模型列表中的第一个模型。')}
             <br/>
-            点击下方详情按钮可以显示余额以及设置额外的测试模型。
+            {t('点击下方详情按钮可以显示余额以及设置额外的测试模型。')}
           </Message>
         )
       }
+      {selectedIds.length > 0 && (
+        <ChannelBulkActions
+          channels={channels.filter((channel) => !channel.deleted && selectedIds.includes(channel.id))}
+          onClear={() => setSelectedIds([])}
+          onFinished={async () => {
+            setSelectedIds([]);
+            await refresh();
+          }}
+        />
+      )}
       <Table basic compact size='small'>
         <Table.Header>
           <Table.Row>
+            <Table.HeaderCell collapsing>
+              <Checkbox checked={pageSelected} onChange={togglePageSelected} />
+            </Table.HeaderCell>
             <Table.HeaderCell
               style={{ cursor: 'pointer' }}
               onClick={() => {
@@ -405,7 +443,7 @@ const ChannelsTable = () => {
                 sortChannel('name');
               }}
             >
-              名称
+              {t('名称')}
             </Table.HeaderCell>
             <Table.HeaderCell
               style={{ cursor: 'pointer' }}
@@ -413,7 +451,7 @@ const ChannelsTable = () => {
                 sortChannel('group');
               }}
             >
-              分组
+              {t('分组')}
             </Table.HeaderCell>
             <Table.HeaderCell
               style={{ cursor: 'pointer' }}
@@ -421,7 +459,7 @@ const ChannelsTable = () => {
                 sortChannel('type');
               }}
             >
-              类型
+              {t('类型')}
             </Table.HeaderCell>
             <Table.HeaderCell
               style={{ cursor: 'pointer' }}
@@ -429,7 +467,7 @@ const ChannelsTable = () => {
                 sortChannel('status');
               }}
             >
-              状态
+              {t('状态')}
             </Table.HeaderCell>
             <Table.HeaderCell
               style={{ cursor: 'pointer' }}
@@ -437,7 +475,7 @@ const ChannelsTable = () => {
                 sortChannel('response_time');
               }}
             >
-              响应时间
+              {t('响应时间')}
             </Table.HeaderCell>
             <Table.HeaderCell
               style={{ cursor: 'pointer' }}
@@ -446,7 +484,7 @@ const ChannelsTable = () => {
               }}
               hidden={!showDetail}
             >
-              余额
+              {t('余额')}
             </Table.HeaderCell>
             <Table.HeaderCell
               style={{ cursor: 'pointer' }}
@@ -454,10 +492,10 @@ const ChannelsTable = () => {
                 sortChannel('priority');
               }}
             >
-              优先级
+              {t('优先级')}
             </Table.HeaderCell>
-            <Table.HeaderCell hidden={!showDetail}>测试模型</Table.HeaderCell>
-            <Table.HeaderCell>操作</Table.HeaderCell>
+            <Table.HeaderCell hidden={!showDetail}>{t('测试模型')}</Table.HeaderCell>
+            <Table.HeaderCell>{t('操作')}</Table.HeaderCell>
           </Table.Row>
         </Table.Header>
 
@@ -470,142 +508,175 @@ const ChannelsTable = () => {
             .map((channel, idx) => {
               if (channel.deleted) return <></>;
               return (
-                <Table.Row key={channel.id}>
-                  <Table.Cell>{channel.id}</Table.Cell>
-                  <Table.Cell>{channel.name ? channel.name : '无'}</Table.Cell>
-                  <Table.Cell>{renderGroup(channel.group)}</Table.Cell>
-                  <Table.Cell>{renderType(channel.type)}</Table.Cell>
-                  <Table.Cell>{renderStatus(channel.status)}</Table.Cell>
-                  <Table.Cell>
-                    <Popup
-                      content={channel.test_time ? renderTimestamp(channel.test_time) : '未测试'}
-                      key={channel.id}
-                      trigger={renderResponseTime(channel.response_time)}
-                      basic
-                    />
-                  </Table.Cell>
-                  <Table.Cell hidden={!showDetail}>
-                    <Popup
-                      trigger={<span onClick={() => {
-                        updateChannelBalance(channel.id, channel.name, idx);
-                      }} style={{ cursor: 'pointer' }}>
-                      {renderBalance(channel.type, channel.balance)}
-                    </span>}
-                      content='点击更新'
-                      basic
-                    />
-                  </Table.Cell>
-                  <Table.Cell>
-                    <Popup
-                      trigger={<Input type='number' defaultValue={channel.priority} onBlur={(event) => {
-                        manageChannel(
-                          channel.id,
-                          'priority',
-                          idx,
-                          event.target.value
-                        );
-                      }}>
-                        <input style={{ maxWidth: '60px' }} />
-                      </Input>}
-                      content='渠道选择优先级，越高越优先'
-                      basic
-                    />
-                  </Table.Cell>
-                  <Table.Cell hidden={!showDetail}>
-                    <Dropdown
-                      placeholder='请选择测试模型'
-                      selection
-                      options={channel.model_options}
-                      defaultValue={channel.test_model}
-                      onChange={(event, data) => {
-                        switchTestModel(idx, data.value);
-                      }}
-                    />
-                  </Table.Cell>
-                  <Table.Cell>
-                    <div>
-                      <Button
-                        size={'small'}
-                        positive
-                        onClick={() => {
-                          testChannel(channel.id, channel.name, idx, channel.test_model);
-                        }}
-                      >
-                        测试
-                      </Button>
-                      {/*<Button*/}
-                      {/*  size={'small'}*/}
-                      {/*  positive*/}
-                      {/*  loading={updatingBalance}*/}
-                      {/*  onClick={() => {*/}
-                      {/*    updateChannelBalance(channel.id, channel.name, idx);*/}
-                      {/*  }}*/}
-                      {/*>*/}
-                      {/*  更新余额*/}
-                      {/*</Button>*/}
+                <React.Fragment key={channel.id}>
+                  <Table.Row>
+                    <Table.Cell collapsing>
+                      <Checkbox
+                        checked={selectedIds.includes(channel.id)}
+                        onChange={() => toggleSelected(channel.id)}
+                      />
+                    </Table.Cell>
+                    <Table.Cell>{channel.id}</Table.Cell>
+                    <Table.Cell>{channel.name ? channel.name : t('无')}</Table.Cell>
+                    <Table.Cell>{renderGroup(channel.group)}</Table.Cell>
+                    <Table.Cell>{renderType(channel.type)}</Table.Cell>
+                    <Table.Cell>{renderStatus(channel.status)}</Table.Cell>
+                    <Table.Cell>
                       <Popup
-                        trigger={
-                          <Button size='small' negative>
-                            删除
+                        content={channel.test_time ? renderTimestamp(channel.test_time) : t('未测试')}
+                        key={channel.id}
+                        trigger={renderResponseTime(channel.response_time)}
+                        basic
+                      />
+                    </Table.Cell>
+                    <Table.Cell hidden={!showDetail}>
+                      <Popup
+                        trigger={<span onClick={() => {
+                          updateChannelBalance(channel.id, channel.name, idx);
+                        }} style={{ cursor: 'pointer' }}>
+                        {renderBalance(channel.type, channel.balance)}
+                      </span>}
+                        content={t('点击更新')}
+                        basic
+                      />
+                    </Table.Cell>
+                    <Table.Cell>
+                      <Popup
+                        trigger={<Input type='number' defaultValue={channel.priority} onBlur={(event) => {
+                          manageChannel(
+                            channel.id,
+                            'priority',
+                            idx,
+                            event.target.value
+                          );
+                        }}>
+                          <input style={{ maxWidth: '60px' }} />
+                        </Input>}
+                        content={t('渠道选择优先级，越高越优先')}
+                        basic
+                      />
+                    </Table.Cell>
+                    <Table.Cell hidden={!showDetail}>
+                      <Dropdown
+                        placeholder={t('请选择测试模型')}
+                        selection
+                        options={channel.model_options}
+                        defaultValue={channel.test_model}
+                        onChange={(event, data) => {
+                          switchTestModel(idx, data.value);
+                        }}
+                      />
+                    </Table.Cell>
+                    <Table.Cell>
+                      <div>
+                        <Button
+                          size={'small'}
+                          positive
+                          onClick={() => {
+                            testChannel(channel.id, channel.name, idx, channel.test_model);
+                          }}
+                        >
+                          {t('测试')}
+                        </Button>
+                        <Button
+                          size={'small'}
+                          onClick={() => {
+                            setMatrixChannel(channel);
+                          }}
+                        >
+                          {t('测试全部模型')}
+                        </Button>
+                        {/*<Button*/}
+                        {/*  size={'small'}*/}
+                        {/*  positive*/}
+                        {/*  loading={updatingBalance}*/}
+                        {/*  onClick={() => {*/}
+                        {/*    updateChannelBalance(channel.id, channel.name, idx);*/}
+                        {/*  }}*/}
+                        {/*>*/}
+                        {/*  更新余额*/}
+                        {/*</Button>*/}
+                        <Popup
+                          trigger={
+                            <Button size='small' negative>
+                              {t('删除')}
+                            </Button>
+                          }
+                          on='click'
+                          flowing
+                          hoverable
+                        >
+                          <Button
+                            negative
+                            onClick={() => {
+                              manageChannel(channel.id, 'delete', idx);
+                            }}
+                          >
+                            {t('删除渠道')} {channel.name}
                           </Button>
-                        }
-                        on='click'
-                        flowing
-                        hoverable
-                      >
+                        </Popup>
                         <Button
-                          negative
+                          size={'small'}
                           onClick={() => {
-                            manageChannel(channel.id, 'delete', idx);
+                            manageChannel(
+                              channel.id,
+                              channel.status === 1 ? 'disable' : 'enable',
+                              idx
+                            );
                           }}
                         >
-                          删除渠道 {channel.name}
+                          {channel.status === 1 ? t('禁用') : t('启用')}
                         </Button>
-                      </Popup>
-                      <Button
-                        size={'small'}
-                        onClick={() => {
-                          manageChannel(
-                            channel.id,
-                            channel.status === 1 ? 'disable' : 'enable',
-                            idx
-                          );
-                        }}
-                      >
-                        {channel.status === 1 ? '禁用' : '启用'}
-                      </Button>
-                      <Button
-                        size={'small'}
-                        as={Link}
-                        to={'/channel/edit/' + channel.id}
-                      >
-                        编辑
-                      </Button>
-                    </div>
-                  </Table.Cell>
-                </Table.Row>
+                        <Button
+                          size={'small'}
+                          as={Link}
+                          to={'/channel/edit/' + channel.id}
+                        >
+                          {t('编辑')}
+                        </Button>
+                        <Button
+                          size={'small'}
+                          active={expandedHealthId === channel.id}
+                          onClick={() => {
+                            setExpandedHealthId(expandedHealthId === channel.id ? null : channel.id);
+                          }}
+                        >
+                          {t('健康')}
+                        </Button>
+                      </div>
+                    </Table.Cell>
+                  </Table.Row>
+                  {expandedHealthId === channel.id && (
+                    <Table.Row>
+                      <Table.Cell colSpan={showDetail ? '11' : '9'}>
+                        <ChannelHealth channelId={channel.id} refreshKey={channel.test_time} />
+                      </Table.Cell>
+                    </Table.Row>
+                  )}
+                </React.Fragment>
               );
             })}
         </Table.Body>
 
         <Table.Footer>
           <Table.Row>
-            <Table.HeaderCell colSpan={showDetail ? "10" : "8"}>
+            <Table.HeaderCell colSpan={showDetail ? "11" : "9"}>
               <Button size='small' as={Link} to='/channel/add' loading={loading}>
-                添加新的渠道
+                {t('添加新的渠道')}
               </Button>
+              <ChannelTransfer selectedIds={selectedIds} onImported={refresh} />
               <Button size='small' loading={loading} onClick={()=>{testChannels("all")}}>
-                测试所有渠道
+                {t('测试所有渠道')}
               </Button>
               <Button size='small' loading={loading} onClick={()=>{testChannels("disabled")}}>
-                测试禁用渠道
+                {t('测试禁用渠道')}
               </Button>
               {/*<Button size='small' onClick={updateAllChannelsBalance}*/}
               {/*        loading={loading || updatingBalance}>更新已启用渠道余额</Button>*/}
               <Popup
                 trigger={
                   <Button size='small' loading={loading}>
-                    删除禁用渠道
+                    {t('删除禁用渠道')}
                   </Button>
                 }
                 on='click'
@@ -613,7 +684,7 @@ const ChannelsTable = () => {
                 hoverable
               >
                 <Button size='small' loading={loading} negative onClick={deleteAllDisabledChannels}>
-                  确认删除
+                  {t('确认删除')}
                 </Button>
               </Popup>
               <Pagination
@@ -627,12 +698,13 @@ const ChannelsTable = () => {
                   (channels.length % ITEMS_PER_PAGE === 0 ? 1 : 0)
                 }
               />
-              <Button size='small' onClick={refresh} loading={loading}>刷新</Button>
-              <Button size='small' onClick={toggleShowDetail}>{showDetail ? "隐藏详情" : "详情"}</Button>
+              <Button size='small' onClick={refresh} loading={loading}>{t('刷新')}</Button>
+              <Button size='small' onClick={toggleShowDetail}>{showDetail ? t('隐藏详情') : t('详情')}</Button>
             </Table.HeaderCell>
           </Table.Row>
         </Table.Footer>
       </Table>
+      <ModelTestMatrix channel={matrixChannel} onClose={() => setMatrixChannel(null)} onUpdated={refresh} />
     </>
   );
 };
@@ -2,6 +2,7 @@ import React, { useEffect, useState } from 'react';
 
 import { Container, Segment } from 'semantic-ui-react';
 import { getFooterHTML, getSystemName } from '../helpers';
+import { t } from 'one-api-common';
 
 const Footer = () => {
   const systemName = getSystemName();
@@ -43,13 +44,13 @@ const Footer = () => {
             >
               {systemName} {process.env.REACT_APP_VERSION}{' '}
             </a>
-            由{' '}
+            {t('由')}{' '}
             <a href='https://github.com/songquanpeng' target='_blank'>
               JustSong
             </a>{' '}
-            构建，源代码遵循{' '}
+            {t('构建，源代码遵循')}{' '}
             <a href='https://opensource.org/licenses/mit-license.php'>
-              MIT 协议
+              {t('MIT 协议')}
             </a>
           </div>
         )}
@@ -4,6 +4,8 @@ import { UserContext } from '../context/User';
 
 import { Button, Container, Dropdown, Icon, Menu, Segment } from 'semantic-ui-react';
 import { API, getLogo, getSystemName, isAdmin, isMobile, showSuccess } from '../helpers';
+import { t } from 'one-api-common';
+import LanguageSwitcher from './LanguageSwitcher';
 import '../index.css';
 
 // Header Buttons
@@ -13,6 +15,11 @@ let headerButtons = [
     to: '/',
     icon: 'home'
   },
+  {
+    name: '操练场',
+    to: '/chat',
+    icon: 'comments'
+  },
   {
     name: '渠道',
     to: '/channel',
@@ -51,6 +58,11 @@ let headerButtons = [
     to: '/setting',
     icon: 'setting'
   },
+  {
+    name: '价格',
+    to: '/pricing',
+    icon: 'tags'
+  },
   {
     name: '关于',
     to: '/about',
@@ -58,14 +70,6 @@ let headerButtons = [
   }
 ];
 
-if (localStorage.getItem('chat_link')) {
-  headerButtons.splice(1, 0, {
-    name: '聊天',
-    to: '/chat',
-    icon: 'comments'
-  });
-}
-
 const Header = () => {
   const [userState, userDispatch] = useContext(UserContext);
   let navigate = useNavigate();
@@ -77,7 +81,7 @@ const Header = () => {
   async function logout() {
     setShowSidebar(false);
     await API.get('/api/user/logout');
-    showSuccess('注销成功!');
+    showSuccess(t('注销成功!'));
     userDispatch({ type: 'logout' });
     localStorage.removeItem('user');
     navigate('/login');
@@ -98,14 +102,14 @@ const Header = () => {
               setShowSidebar(false);
             }}
           >
-            {button.name}
+            {t(button.name)}
           </Menu.Item>
         );
       }
       return (
         <Menu.Item key={button.name} as={Link} to={button.to}>
           <Icon name={button.icon} />
-          {button.name}
+          {t(button.name)}
         </Menu.Item>
       );
     });
@@ -150,9 +154,10 @@ const Header = () => {
           <Segment style={{ marginTop: 0, borderTop: '0' }}>
             <Menu secondary vertical style={{ width: '100%', margin: 0 }}>
               {renderButtons(true)}
+              <LanguageSwitcher />
               <Menu.Item>
                 {userState.user ? (
-                  <Button onClick={logout}>注销</Button>
+                  <Button onClick={logout}>{t('注销')}</Button>
                 ) : (
                   <>
                     <Button
@@ -161,7 +166,7 @@ const Header = () => {
                         navigate('/login');
                       }}
                     >
-                      登录
+                      {t('登录')}
                     </Button>
                     <Button
                       onClick={() => {
@@ -169,7 +174,7 @@ const Header = () => {
                         navigate('/register');
                       }}
                     >
-                      注册
+                      {t('注册')}
                     </Button>
                   </>
                 )}
@@ -195,6 +200,7 @@ const Header = () => {
           </Menu.Item>
           {renderButtons(false)}
           <Menu.Menu position='right'>
+            <LanguageSwitcher />
             {userState.user ? (
               <Dropdown
                 text={userState.user.username}
@@ -202,12 +208,12 @@ const Header = () => {
                 className='link item'
               >
                 <Dropdown.Menu>
-                  <Dropdown.Item onClick={logout}>注销</Dropdown.Item>
+                  <Dropdown.Item onClick={logout}>{t('注销')}</Dropdown.Item>
                 </Dropdown.Menu>
               </Dropdown>
             ) : (
               <Menu.Item
-                name='登录'
+                name={t('登录')}
                 as={Link}
                 to='/login'
                 className='btn btn-link'
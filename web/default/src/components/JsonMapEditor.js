@@ -0,0 +1,275 @@
+import React, { useEffect, useId, useRef, useState } from 'react';
+import { Button, Form, Input, Label, List, Message, Table } from 'semantic-ui-react';
+import { api } from '../helpers';
+import {
+  checkMappingTargets,
+  describeJsonMapChange,
+  diffJsonMap,
+  isCanceled,
+  JsonMapChange,
+  parseJsonMap,
+  splitCommaList,
+  stringifyJsonMap,
+  validateJsonMap,
+  t
+} from 'one-api-common';
+
+// 行数较多时（例如模型倍率）显示搜索框
+const FILTER_THRESHOLD = 20;
+
+const changeColors = {
+  [JsonMapChange.Added]: 'green',
+  [JsonMapChange.Removed]: 'red',
+  [JsonMapChange.Changed]: 'yellow'
+};
+
+function formatValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function checkText(text, rules) {
+  try {
+    return validateJsonMap(parseJsonMap(text), rules).errors;
+  } catch (error) {
+    return [error.message];
+  }
+}
+
+/**
+ * 以表格方式编辑 JSON 对象，也可以切换回 JSON 文本。
+ * onChange(text, errors) 中 errors 为空时 text 才可以保存。
+ * mapping 为 true 时按模型映射校验，并根据 models 与 channelType 检查目标模型。
+ */
+const JsonMapEditor = ({
+  label,
+  value,
+  savedValue,
+  onChange,
+  numeric = false,
+  mapping = false,
+  emptyText = '',
+  keyLabel = t('键'),
+  valueLabel = t('值'),
+  keyOptions = [],
+  valueOptions = [],
+  placeholder,
+  models,
+  channelType
+}) => {
+  const listId = useId();
+  const rules = { numeric, mapping };
+  const [rows, setRows] = useState([]);
+  const [rawMode, setRawMode] = useState(false);
+  const [filter, setFilter] = useState('');
+  const [ratios, setRatios] = useState(undefined);
+  const lastEmitted = useRef(null);
+
+  useEffect(() => {
+    if (value === lastEmitted.current) return;
+    lastEmitted.current = value;
+    try {
+      setRows(parseJsonMap(value));
+    } catch (error) {
+      // 已保存的值无法解析时只能以文本方式编辑
+      setRawMode(true);
+    }
+  }, [value]);
+
+  const targets = mapping ? splitCommaList(rows.map((row) => String(row.value))).join(',') : '';
+
+  useEffect(() => {
+    if (!mapping || targets === '') {
+      setRatios(undefined);
+      return;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      api.channel
+        .modelRatio({ type: channelType, models: targets }, { signal: controller.signal, silent: true })
+        .then(({ success, data }) => {
+          if (success) setRatios(data);
+        })
+        .catch((error) => {
+          if (!isCanceled(error)) setRatios(undefined);
+        });
+    }, 500);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [mapping, targets, channelType]);
+
+  const updateRows = (nextRows) => {
+    setRows(nextRows);
+    const text = stringifyJsonMap(nextRows, { numeric, emptyText });
+    lastEmitted.current = text;
+    onChange(text, validateJsonMap(nextRows, rules).errors);
+  };
+
+  const updateRow = (idx, field, fieldValue) => {
+    updateRows(rows.map((row, i) => (i === idx ? { ...row, [field]: fieldValue } : row)));
+  };
+
+  const changeRaw = (text) => {
+    lastEmitted.current = text;
+    onChange(text, checkText(text, rules));
+  };
+
+  const toggleMode = () => {
+    if (!rawMode) {
+      setRawMode(true);
+      return;
+    }
+    try {
+      setRows(parseJsonMap(value));
+      setRawMode(false);
+    } catch (error) {
+      onChange(value, [error.message]);
+    }
+  };
+
+  const { rowErrors } = validateJsonMap(rows, rules);
+  const rowWarnings = mapping ? checkMappingTargets(rows, { models, ratios }) : rows.map(() => []);
+  const changes = savedValue === undefined ? [] : diffJsonMap(savedValue, value);
+  const rawErrors = rawMode ? checkText(value, rules) : [];
+  const keyword = filter.trim().toLowerCase();
+
+  return (
+    <Form.Field>
+      <label>
+        {label}
+        <Button type='button' basic size='mini' compact onClick={toggleMode} style={{ marginLeft: '1em' }}>
+          {rawMode ? t('表格编辑') : t('编辑 JSON')}
+        </Button>
+      </label>
+      {rawMode ? (
+        <>
+          <Form.TextArea
+            value={value}
+            placeholder={placeholder}
+            onChange={(e, { value }) => changeRaw(value)}
+            style={{ minHeight: 250, fontFamily: 'JetBrains Mono, Consolas' }}
+            autoComplete='new-password'
+          />
+          {rawErrors.length > 0 && (
+            <Message negative size='small' list={rawErrors} />
+          )}
+        </>
+      ) : (
+        <>
+          {rows.length > FILTER_THRESHOLD && (
+            <Input
+              icon='search'
+              size='small'
+              placeholder={t('搜索{label}', { label: keyLabel })}
+              value={filter}
+              onChange={(e, { value }) => setFilter(value)}
+            />
+          )}
+          <Table compact size='small' celled>
+            <Table.Header>
+              <Table.Row>
+                <Table.HeaderCell width={6}>{keyLabel}</Table.HeaderCell>
+                <Table.HeaderCell width={6}>{valueLabel}</Table.HeaderCell>
+                <Table.HeaderCell width={3} />
+                <Table.HeaderCell width={1} />
+              </Table.Row>
+            </Table.Header>
+            <Table.Body>
+              {rows.map((row, idx) => {
+                if (keyword && !row.key.toLowerCase().includes(keyword)) return null;
+                return (
+                  <Table.Row key={idx} negative={!!rowErrors[idx]} warning={!rowErrors[idx] && rowWarnings[idx].length > 0}>
+                    <Table.Cell>
+                      <Input
+                        fluid
+                        size='small'
+                        list={`${listId}-keys`}
+                        value={row.key}
+                        onChange={(e, { value }) => updateRow(idx, 'key', value)}
+                      />
+                    </Table.Cell>
+                    <Table.Cell>
+                      <Input
+                        fluid
+                        size='small'
+                        type={numeric ? 'number' : 'text'}
+                        min={numeric ? 0 : undefined}
+                        step={numeric ? 'any' : undefined}
+                        list={numeric ? undefined : `${listId}-values`}
+                        value={row.value}
+                        onChange={(e, { value }) => updateRow(idx, 'value', value)}
+                      />
+                    </Table.Cell>
+                    <Table.Cell>
+                      {rowErrors[idx] && <span style={{ color: '#db2828' }}>{rowErrors[idx]}</span>}
+                      {!rowErrors[idx] && rowWarnings[idx].map((warning) => (
+                        <div key={warning} style={{ color: '#b58105' }}>{warning}</div>
+                      ))}
+                    </Table.Cell>
+                    <Table.Cell>
+                      <Button
+                        type='button'
+                        icon='trash'
+                        size='mini'
+                        basic
+                        onClick={() => updateRows(rows.filter((item, i) => i !== idx))}
+                      />
+                    </Table.Cell>
+                  </Table.Row>
+                );
+              })}
+            </Table.Body>
+            <Table.Footer>
+              <Table.Row>
+                <Table.HeaderCell colSpan='4'>
+                  <Button
+                    type='button'
+                    size='small'
+                    onClick={() => {
+                      setFilter('');
+                      updateRows([...rows, { key: '', value: '' }]);
+                    }}
+                  >
+                    {t('添加一行')}
+                  </Button>
+                  {rows.length === 0 && placeholder && <span style={{ color: 'grey' }}>{placeholder}</span>}
+                </Table.HeaderCell>
+              </Table.Row>
+            </Table.Footer>
+          </Table>
+          <datalist id={`${listId}-keys`}>
+            {keyOptions.map((option) => (
+              <option key={option} value={option} />
+            ))}
+          </datalist>
+          <datalist id={`${listId}-values`}>
+            {valueOptions.map((option) => (
+              <option key={option} value={option} />
+            ))}
+          </datalist>
+        </>
+      )}
+      {changes.length > 0 && (
+        <Message size='small'>
+          <Message.Header>{t('与已保存的值相比有 {count} 处改动', { count: changes.length })}</Message.Header>
+          <List>
+            {changes.map((change) => (
+              <List.Item key={change.key}>
+                <Label basic size='mini' color={changeColors[change.type]}>
+                  {describeJsonMapChange(change.type)}
+                </Label>
+                {change.key}
+                {change.type === JsonMapChange.Changed && `：${formatValue(change.before)} → ${formatValue(change.after)}`}
+                {change.type === JsonMapChange.Added && `：${formatValue(change.after)}`}
+                {change.type === JsonMapChange.Removed && `：${formatValue(change.before)}`}
+              </List.Item>
+            ))}
+          </List>
+        </Message>
+      )}
+    </Form.Field>
+  );
+};
+
+export default JsonMapEditor;
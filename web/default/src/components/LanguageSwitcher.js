@@ -0,0 +1,27 @@
+import React from 'react';
+import { Dropdown } from 'semantic-ui-react';
+import { api } from '../helpers';
+import { getLocale, LOCALE_OPTIONS, switchLocale } from 'one-api-common';
+
+const LanguageSwitcher = () => {
+  const locale = getLocale();
+  const current = LOCALE_OPTIONS.find((option) => option.value === locale);
+
+  return (
+    <Dropdown item icon='language' text={current ? current.label : locale} pointing>
+      <Dropdown.Menu>
+        {LOCALE_OPTIONS.map((option) => (
+          <Dropdown.Item
+            key={option.value}
+            active={option.value === locale}
+            onClick={() => switchLocale(api, option.value)}
+          >
+            {option.label}
+          </Dropdown.Item>
+        ))}
+      </Dropdown.Menu>
+    </Dropdown>
+  );
+};
+
+export default LanguageSwitcher;
@@ -1,11 +1,12 @@
 import React from 'react';
 import { Segment, Dimmer, Loader } from 'semantic-ui-react';
+import { t } from 'one-api-common';
 
 const Loading = ({ prompt: name = 'page' }) => {
   return (
     <Segment style={{ height: 100 }}>
       <Dimmer active inverted>
-        <Loader indeterminate>加载{name}中...</Loader>
+        <Loader indeterminate>{t('加载{name}中...', { name })}</Loader>
       </Dimmer>
     </Segment>
   );
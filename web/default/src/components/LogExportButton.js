@@ -0,0 +1,93 @@
+import React, { useRef, useState } from 'react';
+import { Button, Form, Message, Modal, Progress } from 'semantic-ui-react';
+import { API, showError, showSuccess } from '../helpers';
+import { downloadFile, exportLogs, isCanceled, LogExportFormat, t } from 'one-api-common';
+
+const FORMAT_OPTIONS = [
+  { key: LogExportFormat.Csv, text: 'CSV', value: LogExportFormat.Csv },
+  { key: LogExportFormat.Xlsx, text: 'Excel (XLSX)', value: LogExportFormat.Xlsx }
+];
+
+/**
+ * 按日志表当前的筛选条件导出全部日志，额度同时换算为金额。
+ */
+const LogExportButton = ({ filters, self }) => {
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState(LogExportFormat.Csv);
+  const [exporting, setExporting] = useState(false);
+  const [progress, setProgress] = useState({ received: 0, total: 0 });
+  const controllerRef = useRef(null);
+
+  const start = async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setExporting(true);
+    setProgress({ received: 0, total: 0 });
+    try {
+      const { blob, filename, received } = await exportLogs({
+        baseURL: API.defaults.baseURL,
+        self,
+        filters,
+        format,
+        signal: controller.signal,
+        onProgress: (received, total) => setProgress({ received, total })
+      });
+      downloadFile(blob, filename);
+      showSuccess(t('已导出 {count} 条日志', { count: received }));
+      setOpen(false);
+    } catch (error) {
+      if (!isCanceled(error)) showError(error);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const close = () => {
+    if (controllerRef.current) controllerRef.current.abort();
+    setOpen(false);
+  };
+
+  return (
+    <>
+      <Button size='small' type='button' onClick={() => setOpen(true)}>
+        {t('导出')}
+      </Button>
+      <Modal size='tiny' open={open} onClose={close} closeOnDimmerClick={!exporting}>
+        <Modal.Header>{t('导出日志')}</Modal.Header>
+        <Modal.Content>
+          <Message info size='small'>
+            {t('将按当前的筛选条件导出全部匹配的日志，额度会同时换算为美元金额。')}
+          </Message>
+          <Form>
+            <Form.Select
+              label={t('格式')}
+              options={FORMAT_OPTIONS}
+              value={format}
+              disabled={exporting}
+              onChange={(e, { value }) => setFormat(value)}
+            />
+          </Form>
+          {exporting && (
+            <Progress
+              style={{ marginTop: '1em' }}
+              indicating
+              value={progress.received}
+              total={progress.total || 1}
+              label={t('已接收 {received} / {total} 条', { received: progress.received, total: progress.total })}
+            />
+          )}
+        </Modal.Content>
+        <Modal.Actions>
+          <Button type='button' onClick={close}>
+            {exporting ? t('取消') : t('关闭')}
+          </Button>
+          <Button type='button' primary loading={exporting} disabled={exporting} onClick={start}>
+            {t('开始导出')}
+          </Button>
+        </Modal.Actions>
+      </Modal>
+    </>
+  );
+};
+
+export default LogExportButton;
@@ -2,7 +2,8 @@ import React, { useContext, useEffect, useState } from 'react';
 import { Button, Divider, Form, Grid, Header, Image, Message, Modal, Segment } from 'semantic-ui-react';
 import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { UserContext } from '../context/User';
-import { API, getLogo, showError, showSuccess, showWarning } from '../helpers';
+import { API, api, getLogo, showError, showSuccess, showWarning } from '../helpers';
+import { isPasskeySupported, isTwoFactorPending, needsTwoFactorSetup, signInWithPasskey, t } from 'one-api-common';
 import { onGitHubOAuthClicked, onLarkOAuthClicked } from './utils';
 import larkIcon from '../images/lark.svg';
 
@@ -14,15 +15,21 @@ const LoginForm = () => {
   });
   const [searchParams, setSearchParams] = useSearchParams();
   const [submitted, setSubmitted] = useState(false);
+  const [twoFactor, setTwoFactor] = useState(false);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
   const { username, password } = inputs;
   const [userState, userDispatch] = useContext(UserContext);
   let navigate = useNavigate();
   const [status, setStatus] = useState({});
   const logo = getLogo();
+  const passkeyLogin = status.passkey_login && isPasskeySupported();
 
   useEffect(() => {
     if (searchParams.get('expired')) {
-      showError('未登录或登录已过期，请重新登录！');
+      showError(t('未登录或登录已过期，请重新登录！'));
+    }
+    if (searchParams.get('two_factor')) {
+      setTwoFactor(true);
     }
     let status = localStorage.getItem('status');
     if (status) {
@@ -43,10 +50,15 @@ const LoginForm = () => {
     );
     const { success, message, data } = res.data;
     if (success) {
+      if (isTwoFactorPending(data)) {
+        setShowWeChatLoginModal(false);
+        setTwoFactor(true);
+        return;
+      }
       userDispatch({ type: 'login', payload: data });
       localStorage.setItem('user', JSON.stringify(data));
       navigate('/');
-      showSuccess('登录成功！');
+      showSuccess(t('登录成功！'));
       setShowWeChatLoginModal(false);
     } else {
       showError(message);
@@ -58,6 +70,23 @@ const LoginForm = () => {
     setInputs((inputs) => ({ ...inputs, [name]: value }));
   }
 
+  function onLoggedIn(data) {
+    userDispatch({ type: 'login', payload: data });
+    localStorage.setItem('user', JSON.stringify(data));
+    if (username === 'root' && password === '123456') {
+      navigate('/user/edit');
+      showSuccess(t('登录成功！'));
+      showWarning(t('请立刻修改默认密码！'));
+    } else if (needsTwoFactorSetup(data, status)) {
+      navigate('/setting');
+      showSuccess(t('登录成功！'));
+      showWarning(t('系统要求管理员启用两步验证，请在个人设置中启用'));
+    } else {
+      navigate('/token');
+      showSuccess(t('登录成功！'));
+    }
+  }
+
   async function handleSubmit(e) {
     setSubmitted(true);
     if (username && password) {
@@ -67,65 +96,113 @@ const LoginForm = () => {
       });
       const { success, message, data } = res.data;
       if (success) {
-        userDispatch({ type: 'login', payload: data });
-        localStorage.setItem('user', JSON.stringify(data));
-        if (username === 'root' && password === '123456') {
-          navigate('/user/edit');
-          showSuccess('登录成功！');
-          showWarning('请立刻修改默认密码！');
-        } else {
-          navigate('/token');
-          showSuccess('登录成功！');
+        if (isTwoFactorPending(data)) {
+          setTwoFactor(true);
+          return;
         }
+        onLoggedIn(data);
       } else {
         showError(message);
       }
     }
   }
 
+  async function onPasskeyLoginClicked() {
+    const { success, message, data } = await signInWithPasskey(api);
+    if (success) {
+      onLoggedIn(data);
+    } else {
+      showError(message);
+    }
+  }
+
+  async function submitTwoFactor() {
+    if (!twoFactorCode.trim()) return;
+    const { success, message, data } = await api.user.loginTwoFactor({ code: twoFactorCode.trim() });
+    if (success) {
+      onLoggedIn(data);
+    } else {
+      showError(message);
+      setTwoFactorCode('');
+    }
+  }
+
   return (
     <Grid textAlign='center' style={{ marginTop: '48px' }}>
       <Grid.Column style={{ maxWidth: 450 }}>
         <Header as='h2' color='' textAlign='center'>
-          <Image src={logo} /> 用户登录
+          <Image src={logo} /> {t('用户登录')}
         </Header>
-        <Form size='large'>
-          <Segment>
-            <Form.Input
-              fluid
-              icon='user'
-              iconPosition='left'
-              placeholder='用户名 / 邮箱地址'
-              name='username'
-              value={username}
-              onChange={handleChange}
-            />
-            <Form.Input
-              fluid
-              icon='lock'
-              iconPosition='left'
-              placeholder='密码'
-              name='password'
-              type='password'
-              value={password}
-              onChange={handleChange}
-            />
-            <Button color='green' fluid size='large' onClick={handleSubmit}>
-              登录
-            </Button>
-          </Segment>
-        </Form>
+        {twoFactor ? (
+          <Form size='large'>
+            <Segment>
+              <p>{t('请输入验证器应用中的 6 位验证码，或一个恢复码')}</p>
+              <Form.Input
+                fluid
+                icon='shield'
+                iconPosition='left'
+                placeholder={t('验证码或恢复码')}
+                autoComplete='one-time-code'
+                autoFocus
+                value={twoFactorCode}
+                onChange={(e, { value }) => setTwoFactorCode(value)}
+              />
+              <Button color='green' fluid size='large' onClick={submitTwoFactor}>
+                {t('验证')}
+              </Button>
+              <Button
+                basic
+                fluid
+                size='large'
+                style={{ marginTop: '0.5em' }}
+                onClick={() => {
+                  setTwoFactor(false);
+                  setTwoFactorCode('');
+                }}
+              >
+                {t('返回')}
+              </Button>
+            </Segment>
+          </Form>
+        ) : (
+          <Form size='large'>
+            <Segment>
+              <Form.Input
+                fluid
+                icon='user'
+                iconPosition='left'
+                placeholder={t('用户名 / 邮箱地址')}
+                name='username'
+                value={username}
+                onChange={handleChange}
+              />
+              <Form.Input
+                fluid
+                icon='lock'
+                iconPosition='left'
+                placeholder={t('密码')}
+                name='password'
+                type='password'
+                value={password}
+                onChange={handleChange}
+              />
+              <Button color='green' fluid size='large' onClick={handleSubmit}>
+                {t('登录')}
+              </Button>
+            </Segment>
+          </Form>
+        )}
         <Message>
-          忘记密码？
+          {t('忘记密码？')}
           <Link to='/reset' className='btn btn-link'>
-            点击重置
+            {t('点击重置')}
           </Link>
-          ； 没有账户？
+          {t('； 没有账户？')}
           <Link to='/register' className='btn btn-link'>
-            点击注册
+            {t('点击注册')}
           </Link>
         </Message>
-        {status.github_oauth || status.wechat_login || status.lark_client_id ? (
+        {status.github_oauth || status.wechat_login || status.lark_client_id || passkeyLogin ? (
           <>
             <Divider horizontal>Or</Divider>
             <div style={{ display: "flex", justifyContent: "center" }}>
@@ -170,6 +247,11 @@ const LoginForm = () => {
               ) : (
                 <></>
               )}
+              {passkeyLogin ? (
+                <Button circular color='blue' icon='key' title={t('使用 Passkey 登录')} onClick={onPasskeyLoginClicked} />
+              ) : (
+                <></>
+              )}
             </div>
           </>
         ) : (
@@ -186,13 +268,13 @@ const LoginForm = () => {
               <Image src={status.wechat_qrcode} fluid />
               <div style={{ textAlign: 'center' }}>
                 <p>
-                  微信扫码关注公众号，输入「验证码」获取验证码（三分钟内有效）
+                  {t('微信扫码关注公众号，输入「验证码」获取验证码（三分钟内有效）')}
                 </p>
               </div>
               <Form size='large'>
                 <Form.Input
                   fluid
-                  placeholder='验证码'
+                  placeholder={t('验证码')}
                   name='wechat_verification_code'
                   value={inputs.wechat_verification_code}
                   onChange={handleChange}
@@ -203,7 +285,7 @@ const LoginForm = () => {
                   size='large'
                   onClick={onSubmitWeChatVerificationCode}
                 >
-                  登录
+                  {t('登录')}
                 </Button>
               </Form>
             </Modal.Description>
@@ -1,14 +1,16 @@
 import React, { useEffect, useState } from 'react';
 import { Button, Form, Header, Label, Pagination, Segment, Select, Table } from 'semantic-ui-react';
 import { API, isAdmin, showError, timestamp2string } from '../helpers';
+import { formatDateTime, t } from 'one-api-common';
 
 import { ITEMS_PER_PAGE } from '../constants';
 import { renderQuota } from '../helpers/render';
+import LogExportButton from './LogExportButton';
 
 function renderTimestamp(timestamp) {
   return (
     <>
-      {timestamp2string(timestamp)}
+      {formatDateTime(timestamp)}
     </>
   );
 }
@@ -23,21 +25,24 @@ const LOG_OPTIONS = [
   { key: '1', text: '充值', value: 1 },
   { key: '2', text: '消费', value: 2 },
   { key: '3', text: '管理', value: 3 },
-  { key: '4', text: '系统', value: 4 }
+  { key: '4', text: '系统', value: 4 },
+  { key: '5', text: '限流', value: 5 }
 ];
 
 function renderType(type) {
   switch (type) {
     case 1:
-      return <Label basic color='green'> 充值 </Label>;
+      return <Label basic color='green'> {t('充值')} </Label>;
     case 2:
-      return <Label basic color='olive'> 消费 </Label>;
+      return <Label basic color='olive'> {t('消费')} </Label>;
     case 3:
-      return <Label basic color='orange'> 管理 </Label>;
+      return <Label basic color='orange'> {t('管理')} </Label>;
     case 4:
-      return <Label basic color='purple'> 系统 </Label>;
+      return <Label basic color='purple'> {t('系统')} </Label>;
+    case 5:
+      return <Label basic color='red'> {t('限流')} </Label>;
     default:
-      return <Label basic color='black'> 未知 </Label>;
+      return <Label basic color='black'> {t('未知')} </Label>;
   }
 }
 
@@ -199,34 +204,34 @@ const LogsTable = () => {
     <>
       <Segment>
         <Header as='h3'>
-          使用明细（总消耗额度：
+          {t('使用明细（总消耗额度：')}
           {showStat && renderQuota(stat.quota)}
-          {!showStat && <span onClick={handleEyeClick} style={{ cursor: 'pointer', color: 'gray' }}>点击查看</span>}
+          {!showStat && <span onClick={handleEyeClick} style={{ cursor: 'pointer', color: 'gray' }}>{t('点击查看')}</span>}
           ）
         </Header>
         <Form>
           <Form.Group>
-            <Form.Input fluid label={'令牌名称'} width={3} value={token_name}
-                        placeholder={'可选值'} name='token_name' onChange={handleInputChange} />
-            <Form.Input fluid label='模型名称' width={3} value={model_name} placeholder='可选值'
+            <Form.Input fluid label={t('令牌名称')} width={3} value={token_name}
+                        placeholder={t('可选值')} name='token_name' onChange={handleInputChange} />
+            <Form.Input fluid label={t('模型名称')} width={3} value={model_name} placeholder={t('可选值')}
                         name='model_name'
                         onChange={handleInputChange} />
-            <Form.Input fluid label='起始时间' width={4} value={start_timestamp} type='datetime-local'
+            <Form.Input fluid label={t('起始时间')} width={4} value={start_timestamp} type='datetime-local'
                         name='start_timestamp'
                         onChange={handleInputChange} />
-            <Form.Input fluid label='结束时间' width={4} value={end_timestamp} type='datetime-local'
+            <Form.Input fluid label={t('结束时间')} width={4} value={end_timestamp} type='datetime-local'
                         name='end_timestamp'
                         onChange={handleInputChange} />
-            <Form.Button fluid label='操作' width={2} onClick={refresh}>查询</Form.Button>
+            <Form.Button fluid label={t('操作')} width={2} onClick={refresh}>{t('查询')}</Form.Button>
           </Form.Group>
           {
             isAdminUser && <>
               <Form.Group>
-                <Form.Input fluid label={'渠道 ID'} width={3} value={channel}
-                            placeholder='可选值' name='channel'
+                <Form.Input fluid label={t('渠道 ID')} width={3} value={channel}
+                            placeholder={t('可选值')} name='channel'
                             onChange={handleInputChange} />
-                <Form.Input fluid label={'用户名称'} width={3} value={username}
-                            placeholder={'可选值'} name='username'
+                <Form.Input fluid label={t('用户名称')} width={3} value={username}
+                            placeholder={t('可选值')} name='username'
                             onChange={handleInputChange} />
 
               </Form.Group>
@@ -243,7 +248,7 @@ const LogsTable = () => {
                 }}
                 width={3}
               >
-                时间
+                {t('时间')}
               </Table.HeaderCell>
               {
                 isAdminUser && <Table.HeaderCell
@@ -253,7 +258,7 @@ const LogsTable = () => {
                   }}
                   width={1}
                 >
-                  渠道
+                  {t('渠道')}
                 </Table.HeaderCell>
               }
               {
@@ -264,7 +269,7 @@ const LogsTable = () => {
                   }}
                   width={1}
                 >
-                  用户
+                  {t('用户')}
                 </Table.HeaderCell>
               }
               <Table.HeaderCell
@@ -274,7 +279,7 @@ const LogsTable = () => {
                 }}
                 width={1}
               >
-                令牌
+                {t('令牌')}
               </Table.HeaderCell>
               <Table.HeaderCell
                 style={{ cursor: 'pointer' }}
@@ -283,7 +288,7 @@ const LogsTable = () => {
                 }}
                 width={1}
               >
-                类型
+                {t('类型')}
               </Table.HeaderCell>
               <Table.HeaderCell
                 style={{ cursor: 'pointer' }}
@@ -292,7 +297,7 @@ const LogsTable = () => {
                 }}
                 width={2}
               >
-                模型
+                {t('模型')}
               </Table.HeaderCell>
               <Table.HeaderCell
                 style={{ cursor: 'pointer' }}
@@ -301,7 +306,7 @@ const LogsTable = () => {
                 }}
                 width={1}
               >
-                提示
+                {t('提示')}
               </Table.HeaderCell>
               <Table.HeaderCell
                 style={{ cursor: 'pointer' }}
@@ -310,7 +315,7 @@ const LogsTable = () => {
                 }}
                 width={1}
               >
-                补全
+                {t('补全')}
               </Table.HeaderCell>
               <Table.HeaderCell
                 style={{ cursor: 'pointer' }}
@@ -319,7 +324,7 @@ const LogsTable = () => {
                 }}
                 width={1}
               >
-                额度
+                {t('额度')}
               </Table.HeaderCell>
               <Table.HeaderCell
                 style={{ cursor: 'pointer' }}
@@ -328,7 +333,7 @@ const LogsTable = () => {
                 }}
                 width={isAdminUser ? 4 : 6}
               >
-                详情
+                {t('详情')}
               </Table.HeaderCell>
             </Table.Row>
           </Table.Header>
@@ -356,7 +361,7 @@ const LogsTable = () => {
                     }
                     <Table.Cell>{log.token_name ? <Label basic>{log.token_name}</Label> : ''}</Table.Cell>
                     <Table.Cell>{renderType(log.type)}</Table.Cell>
-                    <Table.Cell>{log.model_name ? <Label basic>{log.model_name}</Label> : ''}</Table.Cell>
+                    <Table.Cell>{log.model_name ? <Label basic translate='no'>{log.model_name}</Label> : ''}</Table.Cell>
                     <Table.Cell>{log.prompt_tokens ? log.prompt_tokens : ''}</Table.Cell>
                     <Table.Cell>{log.completion_tokens ? log.completion_tokens : ''}</Table.Cell>
                     <Table.Cell>{log.quota ? renderQuota(log.quota, 6) : ''}</Table.Cell>
@@ -370,8 +375,8 @@ const LogsTable = () => {
             <Table.Row>
               <Table.HeaderCell colSpan={'10'}>
                 <Select
-                  placeholder='选择明细分类'
-                  options={LOG_OPTIONS}
+                  placeholder={t('选择明细分类')}
+                  options={LOG_OPTIONS.map((option) => ({ ...option, text: t(option.text) }))}
                   style={{ marginRight: '8px' }}
                   name='logType'
                   value={logType}
@@ -379,7 +384,19 @@ const LogsTable = () => {
                     setLogType(value);
                   }}
                 />
-                <Button size='small' onClick={refresh} loading={loading}>刷新</Button>
+                <Button size='small' onClick={refresh} loading={loading}>{t('刷新')}</Button>
+                <LogExportButton
+                  self={!isAdminUser}
+                  filters={{
+                    type: logType,
+                    username: isAdminUser ? username : '',
+                    token_name,
+                    model_name,
+                    start_timestamp: Date.parse(start_timestamp) / 1000,
+                    end_timestamp: Date.parse(end_timestamp) / 1000,
+                    channel: isAdminUser ? channel : ''
+                  }}
+                />
                 <Pagination
                   floated='right'
                   activePage={activePage}
@@ -0,0 +1,166 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Button, Label, Message, Modal, Popup, Progress, Table } from 'semantic-ui-react';
+import { api, showError, showSuccess } from '../helpers';
+import { buildModelTestPlan, removeChannelModels, testChannelModels, t } from 'one-api-common';
+
+const ModelTestMatrix = ({ channel, onClose, onUpdated }) => {
+  const [plan, setPlan] = useState([]);
+  const [results, setResults] = useState({});
+  const [running, setRunning] = useState(false);
+  const [removing, setRemoving] = useState(false);
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    setPlan(channel ? buildModelTestPlan(channel) : []);
+    setResults({});
+  }, [channel]);
+
+  useEffect(() => {
+    return () => {
+      if (abortRef.current) abortRef.current.abort();
+    };
+  }, []);
+
+  const finished = Object.values(results);
+  const failedModels = finished.filter((result) => !result.success).map((result) => result.item.model);
+
+  const start = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setResults({});
+    setRunning(true);
+    await testChannelModels(api, channel.id, plan, {
+      signal: controller.signal,
+      onProgress: (result) => setResults((prev) => ({ ...prev, [result.item.model]: result }))
+    });
+    abortRef.current = null;
+    setRunning(false);
+  };
+
+  const stop = () => {
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  const close = () => {
+    if (running || removing) return;
+    const tested = finished.length > 0;
+    onClose();
+    if (tested) onUpdated();
+  };
+
+  const removeFailed = async () => {
+    let patch;
+    try {
+      patch = removeChannelModels(channel, failedModels);
+    } catch (error) {
+      showError(error.message);
+      return;
+    }
+    setRemoving(true);
+    try {
+      const { success, message } = await api.channel.update(patch);
+      if (success) {
+        showSuccess(t('已从渠道移除 {count} 个模型', { count: failedModels.length }));
+        setRemoving(false);
+        onClose();
+        onUpdated();
+        return;
+      }
+      showError(message);
+    } catch (error) {
+      // 错误已由拦截器提示
+    }
+    setRemoving(false);
+  };
+
+  const renderStatus = (result) => {
+    if (!result) {
+      return running ? <Label basic size='mini'>{t('测试中')}</Label> : <Label basic size='mini' color='grey'>{t('未测试')}</Label>;
+    }
+    return (
+      <Label basic size='mini' color={result.success ? 'green' : 'red'}>
+        {result.success ? t('成功') : t('失败')}
+      </Label>
+    );
+  };
+
+  return (
+    <Modal open={!!channel} onClose={close} size='large' closeOnDimmerClick={!running}>
+      <Modal.Header>{t('测试全部模型')}{channel ? `：${channel.name}` : ''}</Modal.Header>
+      <Modal.Content scrolling>
+        <Message info>
+          {t('逐个测试渠道模型列表与模型映射中的模型，映射的模型会请求映射后的上游模型。测试会产生少量额度消耗。')}
+        </Message>
+        {finished.length > 0 && (
+          <Progress
+            value={finished.length}
+            total={plan.length}
+            progress='ratio'
+            active={running}
+            success={!running && failedModels.length === 0}
+            warning={!running && failedModels.length > 0}
+          />
+        )}
+        <Table compact size='small' celled>
+          <Table.Header>
+            <Table.Row>
+              <Table.HeaderCell>{t('模型')}</Table.HeaderCell>
+              <Table.HeaderCell>{t('上游模型')}</Table.HeaderCell>
+              <Table.HeaderCell>{t('结果')}</Table.HeaderCell>
+              <Table.HeaderCell>{t('耗时')}</Table.HeaderCell>
+              <Table.HeaderCell>{t('HTTP 状态')}</Table.HeaderCell>
+              <Table.HeaderCell>{t('错误信息')}</Table.HeaderCell>
+            </Table.Row>
+          </Table.Header>
+          <Table.Body>
+            {plan.map((entry) => {
+              const result = results[entry.model];
+              return (
+                <Table.Row key={entry.model} negative={result && !result.success}>
+                  <Table.Cell>{entry.model}</Table.Cell>
+                  <Table.Cell>{entry.mapped ? entry.target : '-'}</Table.Cell>
+                  <Table.Cell>{renderStatus(result)}</Table.Cell>
+                  <Table.Cell>{result && result.time !== null ? t('{time} 秒', { time: result.time.toFixed(2) }) : '-'}</Table.Cell>
+                  <Table.Cell>{result && result.statusCode ? result.statusCode : '-'}</Table.Cell>
+                  <Table.Cell style={{ wordBreak: 'break-all' }}>{result ? result.message : ''}</Table.Cell>
+                </Table.Row>
+              );
+            })}
+          </Table.Body>
+        </Table>
+      </Modal.Content>
+      <Modal.Actions>
+        {running ? (
+          <Button negative onClick={stop}>
+            {t('停止')}
+          </Button>
+        ) : (
+          <>
+            <Button onClick={close}>{t('关闭')}</Button>
+            {failedModels.length > 0 && (
+              <Popup
+                trigger={
+                  <Button negative loading={removing}>
+                    {t('移除 {count} 个失败模型', { count: failedModels.length })}
+                  </Button>
+                }
+                on='click'
+                flowing
+              >
+                <p>{t('将从渠道中移除：')}{failedModels.join(', ')}</p>
+                <Button negative size='small' onClick={removeFailed}>
+                  {t('确认移除')}
+                </Button>
+              </Popup>
+            )}
+            <Button positive disabled={plan.length === 0} onClick={start}>
+              {finished.length > 0 ? t('重新测试') : t('开始测试 {count} 个模型', { count: plan.length })}
+            </Button>
+          </>
+        )}
+      </Modal.Actions>
+    </Modal>
+  );
+};
+
+export default ModelTestMatrix;
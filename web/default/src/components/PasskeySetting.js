@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from 'react';
+import { Button, Form, Header, Message, Modal, Popup, Table } from 'semantic-ui-react';
+import { isPasskeySupported, registerPasskey, t } from 'one-api-common';
+import { api, showError, showSuccess, timestamp2string } from '../helpers';
+
+/**
+ * 个人设置中的 Passkey：注册新的 Passkey，为已注册的 Passkey 改名或删除。
+ */
+const PasskeySetting = () => {
+  const [passkeys, setPasskeys] = useState([]);
+  // add：注册新的 Passkey；rename：修改 editing 的名称
+  const [mode, setMode] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [name, setName] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const loadPasskeys = async () => {
+    const { success, message, data } = await api.user.passkeys();
+    if (success) {
+      setPasskeys(data || []);
+    } else {
+      showError(message);
+    }
+  };
+
+  useEffect(() => {
+    loadPasskeys().then();
+  }, []);
+
+  const close = () => {
+    setMode('');
+    setEditing(null);
+    setName('');
+  };
+
+  const submit = async () => {
+    if (!name.trim()) {
+      showError(t('请输入名称'));
+      return;
+    }
+    setLoading(true);
+    try {
+      const { success, message } =
+        mode === 'add' ? await registerPasskey(api, name.trim()) : await api.user.updatePasskey(editing.id, { name: name.trim() });
+      if (success) {
+        showSuccess(mode === 'add' ? t('Passkey 已添加') : t('Passkey 已更新'));
+        close();
+        await loadPasskeys();
+      } else {
+        showError(message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const remove = async (passkey) => {
+    const { success, message } = await api.user.deletePasskey(passkey.id);
+    if (success) {
+      showSuccess(t('Passkey 已删除'));
+      await loadPasskeys();
+    } else {
+      showError(message);
+    }
+  };
+
+  return (
+    <>
+      <Header as='h3'>Passkey</Header>
+      <p>{t('注册 Passkey 后，可以使用设备的指纹、面容或 PIN 直接登录，无需输入密码。')}</p>
+      {passkeys.length > 0 && (
+        <Table basic compact>
+          <Table.Header>
+            <Table.Row>
+              <Table.HeaderCell>{t('名称')}</Table.HeaderCell>
+              <Table.HeaderCell>{t('添加时间')}</Table.HeaderCell>
+              <Table.HeaderCell>{t('最近使用')}</Table.HeaderCell>
+              <Table.HeaderCell>{t('操作')}</Table.HeaderCell>
+            </Table.Row>
+          </Table.Header>
+          <Table.Body>
+            {passkeys.map((passkey) => (
+              <Table.Row key={passkey.id}>
+                <Table.Cell>{passkey.name}</Table.Cell>
+                <Table.Cell>{timestamp2string(passkey.created_time)}</Table.Cell>
+                <Table.Cell>{passkey.last_used_time ? timestamp2string(passkey.last_used_time) : t('从未使用')}</Table.Cell>
+                <Table.Cell>
+                  <Button
+                    size='small'
+                    onClick={() => {
+                      setEditing(passkey);
+                      setName(passkey.name);
+                      setMode('rename');
+                    }}
+                  >
+                    {t('重命名')}
+                  </Button>
+                  <Popup
+                    trigger={
+                      <Button size='small' negative>
+                        {t('删除')}
+                      </Button>
+                    }
+                    on='click'
+                    flowing
+                    hoverable
+                  >
+                    <Button negative onClick={() => remove(passkey)}>
+                      {t('删除 Passkey {name}', { name: passkey.name })}
+                    </Button>
+                  </Popup>
+                </Table.Cell>
+              </Table.Row>
+            ))}
+          </Table.Body>
+        </Table>
+      )}
+      {isPasskeySupported() ? (
+        <Button onClick={() => setMode('add')}>{t('添加 Passkey')}</Button>
+      ) : (
+        <Message warning>{t('当前浏览器不支持 Passkey')}</Message>
+      )}
+
+      <Modal size='tiny' open={mode !== ''} onClose={close}>
+        <Modal.Header>{mode === 'add' ? t('添加 Passkey') : t('重命名')}</Modal.Header>
+        <Modal.Content>
+          <Form onSubmit={submit}>
+            <Form.Input
+              label={t('名称')}
+              placeholder={t('例如：工作电脑、手机')}
+              autoFocus
+              maxLength={30}
+              value={name}
+              onChange={(e, { value }) => setName(value)}
+            />
+          </Form>
+        </Modal.Content>
+        <Modal.Actions>
+          <Button onClick={close}>{t('取消')}</Button>
+          <Button primary loading={loading} onClick={submit}>
+            {mode === 'add' ? t('继续') : t('保存')}
+          </Button>
+        </Modal.Actions>
+      </Modal>
+    </>
+  );
+};
+
+export default PasskeySetting;
@@ -5,6 +5,13 @@ import { API, copy, showError, showInfo, showNotice, showSuccess } from '../help
 import Turnstile from 'react-turnstile';
 import { UserContext } from '../context/User';
 import { onGitHubOAuthClicked, onLarkOAuthClicked } from './utils';
+import TwoFactorSetting from './TwoFactorSetting';
+import PasskeySetting from './PasskeySetting';
+import SessionSetting from './SessionSetting';
+import AccessTokenSetting from './AccessTokenSetting';
+import SecurityEventSetting from './SecurityEventSetting';
+import QuotaAlertSetting from './QuotaAlertSetting';
+import { t } from 'one-api-common';
 
 const PersonalSetting = () => {
   const [userState, userDispatch] = useContext(UserContext);
@@ -65,7 +72,7 @@ const PersonalSetting = () => {
       setSystemToken(data);
       setAffLink(""); 
       await copy(data);
-      showSuccess(`令牌已重置并已复制到剪贴板`);
+      showSuccess(t('令牌已重置并已复制到剪贴板'));
     } else {
       showError(message);
     }
@@ -79,7 +86,7 @@ const PersonalSetting = () => {
       setAffLink(link);
       setSystemToken("");
       await copy(link);
-      showSuccess(`邀请链接已复制到剪切板`);
+      showSuccess(t('邀请链接已复制到剪切板'));
     } else {
       showError(message);
     }
@@ -88,18 +95,18 @@ const PersonalSetting = () => {
   const handleAffLinkClick = async (e) => {
     e.target.select();
     await copy(e.target.value);
-    showSuccess(`邀请链接已复制到剪切板`);
+    showSuccess(t('邀请链接已复制到剪切板'));
   };
 
   const handleSystemTokenClick = async (e) => {
     e.target.select();
     await copy(e.target.value);
-    showSuccess(`系统令牌已复制到剪切板`);
+    showSuccess(t('系统令牌已复制到剪切板'));
   };
 
   const deleteAccount = async () => {
     if (inputs.self_account_deletion_confirmation !== userState.user.username) {
-      showError('请输入你的账户名以确认删除！');
+      showError(t('请输入你的账户名以确认删除！'));
       return;
     }
 
@@ -107,7 +114,7 @@ const PersonalSetting = () => {
     const { success, message } = res.data;
 
     if (success) {
-      showSuccess('账户已删除！');
+      showSuccess(t('账户已删除！'));
       await API.get('/api/user/logout');
       userDispatch({ type: 'logout' });
       localStorage.removeItem('user');
@@ -124,7 +131,7 @@ const PersonalSetting = () => {
     );
     const { success, message } = res.data;
     if (success) {
-      showSuccess('微信账户绑定成功！');
+      showSuccess(t('微信账户绑定成功！'));
       setShowWeChatBindModal(false);
     } else {
       showError(message);
@@ -135,7 +142,7 @@ const PersonalSetting = () => {
     setDisableButton(true);
     if (inputs.email === '') return;
     if (turnstileEnabled && turnstileToken === '') {
-      showInfo('请稍后几秒重试，Turnstile 正在检查用户环境！');
+      showInfo(t('请稍后几秒重试，Turnstile 正在检查用户环境！'));
       return;
     }
     setLoading(true);
@@ -144,7 +151,7 @@ const PersonalSetting = () => {
     );
     const { success, message } = res.data;
     if (success) {
-      showSuccess('验证码发送成功，请检查邮箱！');
+      showSuccess(t('验证码发送成功，请检查邮箱！'));
     } else {
       showError(message);
     }
@@ -159,7 +166,7 @@ const PersonalSetting = () => {
     );
     const { success, message } = res.data;
     if (success) {
-      showSuccess('邮箱账户绑定成功！');
+      showSuccess(t('邮箱账户绑定成功！'));
       setShowEmailBindModal(false);
     } else {
       showError(message);
@@ -169,18 +176,18 @@ const PersonalSetting = () => {
 
   return (
     <div style={{ lineHeight: '40px' }}>
-      <Header as='h3'>通用设置</Header>
+      <Header as='h3'>{t('通用设置')}</Header>
       <Message>
-        注意，此处生成的令牌用于系统管理，而非用于请求 OpenAI 相关的服务，请知悉。
+        {t('注意，此处生成的令牌用于系统管理，而非用于请求 OpenAI 相关的服务，请知悉。')}
       </Message>
       <Button as={Link} to={`/user/edit/`}>
-        更新个人信息
+        {t('更新个人信息')}
       </Button>
-      <Button onClick={generateAccessToken}>生成系统访问令牌</Button>
-      <Button onClick={getAffLink}>复制邀请链接</Button>
+      <Button onClick={generateAccessToken}>{t('生成系统访问令牌')}</Button>
+      <Button onClick={getAffLink}>{t('复制邀请链接')}</Button>
       <Button onClick={() => {
         setShowAccountDeleteModal(true);
-      }}>删除个人账户</Button>
+      }}>{t('删除个人账户')}</Button>
       
       {systemToken && (
         <Form.Input 
@@ -201,7 +208,23 @@ const PersonalSetting = () => {
         />
       )}
       <Divider />
-      <Header as='h3'>账号绑定</Header>
+      <QuotaAlertSetting />
+      <Divider />
+      <TwoFactorSetting />
+      {status.passkey_login && (
+        <>
+          <Divider />
+          <PasskeySetting />
+        </>
+      )}
+      <Divider />
+      <SessionSetting />
+      <Divider />
+      <AccessTokenSetting />
+      <Divider />
+      <SecurityEventSetting />
+      <Divider />
+      <Header as='h3'>{t('账号绑定')}</Header>
       {
         status.wechat_login && (
           <Button
@@ -209,7 +232,7 @@ const PersonalSetting = () => {
               setShowWeChatBindModal(true);
             }}
           >
-            绑定微信账号
+            {t('绑定微信账号')}
           </Button>
         )
       }
@@ -224,19 +247,19 @@ const PersonalSetting = () => {
             <Image src={status.wechat_qrcode} fluid />
             <div style={{ textAlign: 'center' }}>
               <p>
-                微信扫码关注公众号，输入「验证码」获取验证码（三分钟内有效）
+                {t('微信扫码关注公众号，输入「验证码」获取验证码（三分钟内有效）')}
               </p>
             </div>
             <Form size='large'>
               <Form.Input
                 fluid
-                placeholder='验证码'
+                placeholder={t('验证码')}
                 name='wechat_verification_code'
                 value={inputs.wechat_verification_code}
                 onChange={handleInputChange}
               />
               <Button color='' fluid size='large' onClick={bindWeChat}>
-                绑定
+                {t('绑定')}
               </Button>
             </Form>
           </Modal.Description>
@@ -244,12 +267,12 @@ const PersonalSetting = () => {
       </Modal>
       {
         status.github_oauth && (
-          <Button onClick={()=>{onGitHubOAuthClicked(status.github_client_id)}}>绑定 GitHub 账号</Button>
+          <Button onClick={()=>{onGitHubOAuthClicked(status.github_client_id)}}>{t('绑定 GitHub 账号')}</Button>
         )
       }
       {
         status.lark_client_id && (
-          <Button onClick={()=>{onLarkOAuthClicked(status.lark_client_id)}}>绑定飞书账号</Button>
+          <Button onClick={()=>{onLarkOAuthClicked(status.lark_client_id)}}>{t('绑定飞书账号')}</Button>
         )
       }
       <Button
@@ -257,7 +280,7 @@ const PersonalSetting = () => {
           setShowEmailBindModal(true);
         }}
       >
-        绑定邮箱地址
+        {t('绑定邮箱地址')}
       </Button>
       <Modal
         onClose={() => setShowEmailBindModal(false)}
@@ -266,25 +289,25 @@ const PersonalSetting = () => {
         size={'tiny'}
         style={{ maxWidth: '450px' }}
       >
-        <Modal.Header>绑定邮箱地址</Modal.Header>
+        <Modal.Header>{t('绑定邮箱地址')}</Modal.Header>
         <Modal.Content>
           <Modal.Description>
             <Form size='large'>
               <Form.Input
                 fluid
-                placeholder='输入邮箱地址'
+                placeholder={t('输入邮箱地址')}
                 onChange={handleInputChange}
                 name='email'
                 type='email'
                 action={
                   <Button onClick={sendVerificationCode} disabled={disableButton || loading}>
-                    {disableButton ? `重新发送(${countdown})` : '获取验证码'}
+                    {disableButton ? t('重新发送({countdown})', { countdown }) : t('获取验证码')}
                   </Button>
                 }
               />
               <Form.Input
                 fluid
-                placeholder='验证码'
+                placeholder={t('验证码')}
                 name='email_verification_code'
                 value={inputs.email_verification_code}
                 onChange={handleInputChange}
@@ -307,7 +330,7 @@ const PersonalSetting = () => {
                 onClick={bindEmail}
                 loading={loading}
               >
-                确认绑定
+                {t('确认绑定')}
               </Button>
               <div style={{ width: '1rem' }}></div> 
               <Button
@@ -315,7 +338,7 @@ const PersonalSetting = () => {
                 size='large'
                 onClick={() => setShowEmailBindModal(false)}
               >
-                取消
+                {t('取消')}
               </Button>
               </div>
             </Form>
@@ -329,14 +352,14 @@ const PersonalSetting = () => {
         size={'tiny'}
         style={{ maxWidth: '450px' }}
       >
-        <Modal.Header>危险操作</Modal.Header>
+        <Modal.Header>{t('危险操作')}</Modal.Header>
         <Modal.Content>
-        <Message>您正在删除自己的帐户，将清空所有数据且不可恢复</Message>
+        <Message>{t('您正在删除自己的帐户，将清空所有数据且不可恢复')}</Message>
           <Modal.Description>
             <Form size='large'>
               <Form.Input
                 fluid
-                placeholder={`输入你的账户名 ${userState?.user?.username} 以确认删除`}
+                placeholder={t('输入你的账户名 {username} 以确认删除', { username: userState?.user?.username })}
                 name='self_account_deletion_confirmation'
                 value={inputs.self_account_deletion_confirmation}
                 onChange={handleInputChange}
@@ -359,7 +382,7 @@ const PersonalSetting = () => {
                   onClick={deleteAccount}
                   loading={loading}
                 >
-                  确认删除
+                  {t('确认删除')}
                 </Button>
                 <div style={{ width: '1rem' }}></div>
                 <Button
@@ -367,7 +390,7 @@ const PersonalSetting = () => {
                   size='large'
                   onClick={() => setShowAccountDeleteModal(false)}
                 >
-                  取消
+                  {t('取消')}
                 </Button>
               </div>
             </Form>
@@ -0,0 +1,239 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Button, Comment, Form, Grid, Header, Label, Message, Segment } from 'semantic-ui-react';
+import { API, api, showError } from '../helpers';
+import { renderQuota } from '../helpers/render';
+import { isCanceled, loadPlaygroundOptions, quotaForUsage, resolveUsage, streamChatCompletion, t } from 'one-api-common';
+
+const DEFAULT_SYSTEM_PROMPT = 'You are a helpful assistant.';
+
+function renderCost(message) {
+  if (message.role !== 'assistant' || message.pending) {
+    return null;
+  }
+  const usage = message.usage;
+  if (!usage) {
+    return null;
+  }
+  return (
+    <Comment.Metadata>
+      <span>
+        {message.estimated ? t('估算 ') : ''}
+        {t('提示 {prompt} tokens，补全 {completion} tokens', {
+          prompt: usage.prompt_tokens,
+          completion: usage.completion_tokens
+        })}
+        {message.quota !== null && t('，消耗 {quota}', { quota: renderQuota(message.quota, 6) })}
+      </span>
+    </Comment.Metadata>
+  );
+}
+
+const Playground = () => {
+  const [tokens, setTokens] = useState([]);
+  const [models, setModels] = useState([]);
+  const [pricing, setPricing] = useState(null);
+  const [tokenId, setTokenId] = useState('');
+  const [model, setModel] = useState('');
+  const [systemPrompt, setSystemPrompt] = useState(DEFAULT_SYSTEM_PROMPT);
+  const [temperature, setTemperature] = useState(1);
+  const [maxTokens, setMaxTokens] = useState('');
+  const [input, setInput] = useState('');
+  const [messages, setMessages] = useState([]);
+  const [streaming, setStreaming] = useState(false);
+  const abortRef = useRef(null);
+
+  const loadOptions = async () => {
+    try {
+      const options = await loadPlaygroundOptions(api);
+      setTokens(options.tokens);
+      setModels(options.models);
+      setPricing(options.pricing);
+      if (options.tokens.length > 0) setTokenId(options.tokens[0].id);
+      if (options.models.length > 0) setModel(options.models[0]);
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  useEffect(() => {
+    loadOptions().then();
+    return () => {
+      if (abortRef.current) abortRef.current.abort();
+    };
+  }, []);
+
+  const updateLastMessage = (patch) => {
+    setMessages((prev) => {
+      const next = [...prev];
+      const last = next[next.length - 1];
+      next[next.length - 1] = { ...last, ...(typeof patch === 'function' ? patch(last) : patch) };
+      return next;
+    });
+  };
+
+  const send = async () => {
+    const token = tokens.find((item) => item.id === tokenId);
+    if (!token) {
+      showError(t('请先选择一个可用的令牌'));
+      return;
+    }
+    if (!model) {
+      showError(t('请先选择模型'));
+      return;
+    }
+    if (input.trim() === '') {
+      return;
+    }
+    const history = [...messages.filter((message) => !message.error), { role: 'user', content: input }];
+    const requestMessages = history.map(({ role, content }) => ({ role, content }));
+    if (systemPrompt.trim() !== '') {
+      requestMessages.unshift({ role: 'system', content: systemPrompt });
+    }
+    const body = { model, messages: requestMessages, temperature: parseFloat(temperature) };
+    if (maxTokens !== '') {
+      body.max_tokens = parseInt(maxTokens);
+    }
+
+    setMessages([...history, { role: 'assistant', content: '', model, pending: true }]);
+    setInput('');
+    setStreaming(true);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    try {
+      const result = await streamChatCompletion({
+        baseURL: API.defaults.baseURL,
+        key: token.key,
+        body,
+        signal: controller.signal,
+        onDelta: ({ content }) => {
+          if (content) updateLastMessage((last) => ({ content: last.content + content }));
+        }
+      });
+      const { usage, estimated } = resolveUsage(requestMessages, result);
+      updateLastMessage({ pending: false, usage, estimated, quota: quotaForUsage(pricing, model, usage) });
+    } catch (error) {
+      if (isCanceled(error)) {
+        updateLastMessage({ pending: false });
+      } else {
+        updateLastMessage({ pending: false, error: true, content: error.message });
+      }
+    } finally {
+      abortRef.current = null;
+      setStreaming(false);
+    }
+  };
+
+  const stop = () => {
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  const tokenOptions = tokens.map((token) => ({ key: token.id, text: token.name, value: token.id }));
+  const modelOptions = models.map((name) => ({ key: name, text: name, value: name }));
+
+  return (
+    <Segment>
+      <Header as='h3'>{t('操练场')}</Header>
+      {tokens.length === 0 && (
+        <Message warning>{t('没有可用的令牌，请先在令牌页面创建并启用一个令牌。')}</Message>
+      )}
+      <Grid columns={2} stackable>
+        <Grid.Column width={5}>
+          <Form>
+            <Form.Dropdown
+              label={t('令牌')}
+              placeholder={t('请选择令牌')}
+              fluid
+              search
+              selection
+              options={tokenOptions}
+              value={tokenId}
+              onChange={(e, { value }) => setTokenId(value)}
+            />
+            <Form.Dropdown
+              label={t('模型')}
+              placeholder={t('请选择模型')}
+              fluid
+              search
+              selection
+              options={modelOptions}
+              value={model}
+              onChange={(e, { value }) => setModel(value)}
+            />
+            <Form.TextArea
+              label={t('系统提示词')}
+              placeholder={t('留空则不发送系统提示词')}
+              value={systemPrompt}
+              style={{ minHeight: 100, fontFamily: 'JetBrains Mono, Consolas' }}
+              onChange={(e, { value }) => setSystemPrompt(value)}
+            />
+            <Form.Input
+              label={t('温度：{temperature}', { temperature })}
+              type='range'
+              min={0}
+              max={2}
+              step={0.1}
+              value={temperature}
+              onChange={(e, { value }) => setTemperature(value)}
+            />
+            <Form.Input
+              label={t('最大 tokens')}
+              placeholder={t('留空则不限制')}
+              type='number'
+              min={1}
+              value={maxTokens}
+              onChange={(e, { value }) => setMaxTokens(value)}
+            />
+            <Button type='button' onClick={() => setMessages([])} disabled={streaming}>
+              {t('清空对话')}
+            </Button>
+          </Form>
+        </Grid.Column>
+        <Grid.Column width={11}>
+          <Segment style={{ minHeight: '50vh', maxHeight: '65vh', overflowY: 'auto' }}>
+            <Comment.Group style={{ maxWidth: 'none' }}>
+              {messages.map((message, idx) => (
+                <Comment key={idx}>
+                  <Comment.Content>
+                    <Comment.Author as='span'>
+                      {message.role === 'user' ? t('用户') : message.model}
+                    </Comment.Author>
+                    {message.pending && <Label size='mini' basic>{t('生成中...')}</Label>}
+                    {renderCost(message)}
+                    <Comment.Text style={{ whiteSpace: 'pre-wrap', color: message.error ? 'red' : undefined }}>
+                      {message.content}
+                    </Comment.Text>
+                  </Comment.Content>
+                </Comment>
+              ))}
+            </Comment.Group>
+          </Segment>
+          <Form>
+            <Form.TextArea
+              placeholder={t('输入消息，Ctrl + Enter 发送')}
+              value={input}
+              style={{ minHeight: 80 }}
+              onChange={(e, { value }) => setInput(value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                  e.preventDefault();
+                  if (!streaming) send().then();
+                }
+              }}
+            />
+            {streaming ? (
+              <Button type='button' color='red' onClick={stop}>
+                {t('停止')}
+              </Button>
+            ) : (
+              <Button type='button' positive onClick={send}>
+                {t('发送')}
+              </Button>
+            )}
+          </Form>
+        </Grid.Column>
+      </Grid>
+    </Segment>
+  );
+};
+
+export default Playground;
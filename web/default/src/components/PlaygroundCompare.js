@@ -0,0 +1,256 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Button, Form, Grid, Header, Label, Message, Segment } from 'semantic-ui-react';
+import { API, api, showError } from '../helpers';
+import { renderQuota } from '../helpers/render';
+import { isCanceled, loadPlaygroundOptions, quotaForUsage, resolveUsage, streamChatCompletion, t } from 'one-api-common';
+
+const MIN_MODELS = 2;
+const MAX_MODELS = 4;
+
+function renderDuration(ms) {
+  if (ms === null || ms === undefined) {
+    return '-';
+  }
+  return ms >= 1000 ? `${(ms / 1000).toFixed(2)} s` : `${ms} ms`;
+}
+
+function renderColumnStats(column) {
+  return (
+    <>
+      <Label basic>{t('延迟')} {renderDuration(column.latency)}</Label>
+      <Label basic>{t('首字')} {renderDuration(column.ttft)}</Label>
+      {column.usage && (
+        <>
+          <Label basic>
+            {column.estimated ? t('估算 ') : ''}
+            {t('提示 {prompt} / 补全 {completion}', {
+              prompt: column.usage.prompt_tokens,
+              completion: column.usage.completion_tokens
+            })}
+          </Label>
+          <Label basic color='green'>
+            {t('消耗')} {column.quota === null ? t('未知') : renderQuota(column.quota, 6)}
+          </Label>
+        </>
+      )}
+    </>
+  );
+}
+
+const PlaygroundCompare = () => {
+  const [tokens, setTokens] = useState([]);
+  const [models, setModels] = useState([]);
+  const [pricing, setPricing] = useState(null);
+  const [tokenId, setTokenId] = useState('');
+  const [selectedModels, setSelectedModels] = useState([]);
+  const [systemPrompt, setSystemPrompt] = useState('');
+  const [temperature, setTemperature] = useState(1);
+  const [maxTokens, setMaxTokens] = useState('');
+  const [prompt, setPrompt] = useState('');
+  const [columns, setColumns] = useState([]);
+  const [running, setRunning] = useState(false);
+  const controllersRef = useRef([]);
+
+  const loadOptions = async () => {
+    try {
+      const options = await loadPlaygroundOptions(api);
+      setTokens(options.tokens);
+      setModels(options.models);
+      setPricing(options.pricing);
+      if (options.tokens.length > 0) setTokenId(options.tokens[0].id);
+      setSelectedModels(options.models.slice(0, MIN_MODELS));
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const abortAll = () => {
+    controllersRef.current.forEach((controller) => controller.abort());
+  };
+
+  useEffect(() => {
+    loadOptions().then();
+    return abortAll;
+  }, []);
+
+  const updateColumn = (idx, patch) => {
+    setColumns((prev) => {
+      const next = [...prev];
+      next[idx] = { ...next[idx], ...(typeof patch === 'function' ? patch(next[idx]) : patch) };
+      return next;
+    });
+  };
+
+  const runColumn = async (idx, token, model, messages, controller) => {
+    const body = { model, messages, temperature: parseFloat(temperature) };
+    if (maxTokens !== '') {
+      body.max_tokens = parseInt(maxTokens);
+    }
+    const startedAt = Date.now();
+    try {
+      const result = await streamChatCompletion({
+        baseURL: API.defaults.baseURL,
+        key: token.key,
+        body,
+        signal: controller.signal,
+        onDelta: ({ content }) => {
+          if (!content) return;
+          updateColumn(idx, (column) => ({
+            content: column.content + content,
+            ttft: column.ttft === null ? Date.now() - startedAt : column.ttft
+          }));
+        }
+      });
+      const { usage, estimated } = resolveUsage(messages, result);
+      updateColumn(idx, {
+        pending: false,
+        latency: Date.now() - startedAt,
+        usage,
+        estimated,
+        quota: quotaForUsage(pricing, model, usage)
+      });
+    } catch (error) {
+      updateColumn(idx, {
+        pending: false,
+        latency: Date.now() - startedAt,
+        error: isCanceled(error) ? t('已停止') : error.message
+      });
+    }
+  };
+
+  const compare = async () => {
+    const token = tokens.find((item) => item.id === tokenId);
+    if (!token) {
+      showError(t('请先选择一个可用的令牌'));
+      return;
+    }
+    if (selectedModels.length < MIN_MODELS || selectedModels.length > MAX_MODELS) {
+      showError(t('请选择 {min} 到 {max} 个模型', { min: MIN_MODELS, max: MAX_MODELS }));
+      return;
+    }
+    if (prompt.trim() === '') {
+      showError(t('请输入提示词'));
+      return;
+    }
+    const messages = [{ role: 'user', content: prompt }];
+    if (systemPrompt.trim() !== '') {
+      messages.unshift({ role: 'system', content: systemPrompt });
+    }
+    const controllers = selectedModels.map(() => new AbortController());
+    controllersRef.current = controllers;
+    setColumns(
+      selectedModels.map((model) => ({ model, content: '', pending: true, ttft: null, latency: null, usage: null }))
+    );
+    setRunning(true);
+    await Promise.all(
+      selectedModels.map((model, idx) => runColumn(idx, token, model, messages, controllers[idx]))
+    );
+    controllersRef.current = [];
+    setRunning(false);
+  };
+
+  const tokenOptions = tokens.map((token) => ({ key: token.id, text: token.name, value: token.id }));
+  const modelOptions = models.map((name) => ({ key: name, text: name, value: name }));
+
+  return (
+    <Segment>
+      <Header as='h3'>{t('多模型对比')}</Header>
+      {tokens.length === 0 && (
+        <Message warning>{t('没有可用的令牌，请先在令牌页面创建并启用一个令牌。')}</Message>
+      )}
+      <Form>
+        <Form.Group widths='equal'>
+          <Form.Dropdown
+            label={t('令牌')}
+            placeholder={t('请选择令牌')}
+            fluid
+            search
+            selection
+            options={tokenOptions}
+            value={tokenId}
+            onChange={(e, { value }) => setTokenId(value)}
+          />
+          <Form.Dropdown
+            label={t('模型（{min} 到 {max} 个）', { min: MIN_MODELS, max: MAX_MODELS })}
+            placeholder={t('请选择要对比的模型')}
+            fluid
+            multiple
+            search
+            selection
+            options={modelOptions}
+            value={selectedModels}
+            onChange={(e, { value }) => {
+              if (value.length <= MAX_MODELS) setSelectedModels(value);
+            }}
+          />
+        </Form.Group>
+        <Form.Group widths='equal'>
+          <Form.Input
+            label={t('温度：{temperature}', { temperature })}
+            type='range'
+            min={0}
+            max={2}
+            step={0.1}
+            value={temperature}
+            onChange={(e, { value }) => setTemperature(value)}
+          />
+          <Form.Input
+            label={t('最大 tokens')}
+            placeholder={t('留空则不限制')}
+            type='number'
+            min={1}
+            value={maxTokens}
+            onChange={(e, { value }) => setMaxTokens(value)}
+          />
+        </Form.Group>
+        <Form.TextArea
+          label={t('系统提示词')}
+          placeholder={t('留空则不发送系统提示词')}
+          value={systemPrompt}
+          onChange={(e, { value }) => setSystemPrompt(value)}
+        />
+        <Form.TextArea
+          label={t('提示词')}
+          placeholder={t('同一条提示词会同时发送给所有选中的模型')}
+          value={prompt}
+          style={{ minHeight: 80 }}
+          onChange={(e, { value }) => setPrompt(value)}
+        />
+        {running ? (
+          <Button type='button' color='red' onClick={abortAll}>
+            {t('停止')}
+          </Button>
+        ) : (
+          <Button type='button' positive onClick={compare}>
+            {t('开始对比')}
+          </Button>
+        )}
+      </Form>
+      {columns.length > 0 && (
+        <Grid columns={columns.length} stackable style={{ marginTop: '1em' }}>
+          {columns.map((column, idx) => (
+            <Grid.Column key={idx}>
+              <Segment>
+                <Header as='h4'>
+                  {column.model}
+                  {column.pending && (
+                    <Label size='mini' basic>
+                      {t('生成中...')}
+                    </Label>
+                  )}
+                </Header>
+                {renderColumnStats(column)}
+                <div style={{ whiteSpace: 'pre-wrap', marginTop: '1em', maxHeight: '50vh', overflowY: 'auto' }}>
+                  {column.content}
+                  {column.error && <div style={{ color: 'red' }}>{column.error}</div>}
+                </div>
+              </Segment>
+            </Grid.Column>
+          ))}
+        </Grid>
+      )}
+    </Segment>
+  );
+};
+
+export default PlaygroundCompare;
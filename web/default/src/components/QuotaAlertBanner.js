@@ -0,0 +1,43 @@
+import React, { useContext, useEffect, useState } from 'react';
+import { Message } from 'semantic-ui-react';
+import { QuotaAlert, quotaAlertMessages } from 'one-api-common';
+import { UserContext } from '../context/User';
+import { api } from '../helpers';
+
+/**
+ * 页面顶部的额度提醒，阈值在个人设置中设置；关闭后在刷新页面前不再显示。
+ */
+const QuotaAlertBanner = () => {
+  const [userState] = useContext(UserContext);
+  const [messages, setMessages] = useState([]);
+  const [dismissed, setDismissed] = useState([]);
+
+  useEffect(() => {
+    if (!userState.user) {
+      setMessages([]);
+      return;
+    }
+    const controller = new AbortController();
+    api.user
+      .quotaForecast({ signal: controller.signal, silent: true })
+      .then(({ success, data }) => {
+        if (success) setMessages(quotaAlertMessages(data));
+      })
+      .catch(() => {});
+    return () => controller.abort();
+  }, [userState.user]);
+
+  return messages
+    .filter((message) => !dismissed.includes(message.type))
+    .map((message) => (
+      <Message
+        key={message.type}
+        warning={message.type === QuotaAlert.Daily}
+        error={message.type !== QuotaAlert.Daily}
+        content={message.text}
+        onDismiss={() => setDismissed((dismissed) => [...dismissed, message.type])}
+      />
+    ));
+};
+
+export default QuotaAlertBanner;
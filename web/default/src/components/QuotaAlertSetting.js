@@ -0,0 +1,144 @@
+import React, { useEffect, useState } from 'react';
+import { Button, Form, Header, Message } from 'semantic-ui-react';
+import { ALERT_NOTIFY_OPTIONS, needsMessagePusher, t } from 'one-api-common';
+import { api, showError, showSuccess } from '../helpers';
+import { renderQuotaWithPrompt } from '../helpers/render';
+
+/**
+ * 个人设置中的额度提醒：剩余额度与每日消耗的提醒阈值，以及提醒的发送方式。
+ */
+const QuotaAlertSetting = () => {
+  const [inputs, setInputs] = useState({
+    quota_alert_threshold: 0,
+    daily_quota_alert_threshold: 0,
+    alert_notify_by: 'email',
+    message_pusher_address: '',
+    message_pusher_token: '',
+  });
+  const [email, setEmail] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    api.user.self().then(({ success, message, data }) => {
+      if (!success) {
+        showError(message);
+        return;
+      }
+      setEmail(data.email || '');
+      setInputs((inputs) => ({
+        ...inputs,
+        quota_alert_threshold: data.quota_alert_threshold || 0,
+        daily_quota_alert_threshold: data.daily_quota_alert_threshold || 0,
+        alert_notify_by: data.alert_notify_by || 'email',
+        message_pusher_address: data.message_pusher_address || '',
+      }));
+    });
+  }, []);
+
+  const handleInputChange = (e, { name, value }) => {
+    setInputs((inputs) => ({ ...inputs, [name]: value }));
+  };
+
+  const save = async () => {
+    if (needsMessagePusher(inputs.alert_notify_by) && inputs.message_pusher_address.trim() === '') {
+      showError(t('请填写 Message Pusher 推送地址'));
+      return;
+    }
+    setSaving(true);
+    try {
+      const { success, message } = await api.user.updateQuotaAlert({
+        ...inputs,
+        quota_alert_threshold: parseInt(inputs.quota_alert_threshold) || 0,
+        daily_quota_alert_threshold: parseInt(inputs.daily_quota_alert_threshold) || 0,
+      });
+      if (success) {
+        showSuccess(t('额度提醒已保存'));
+        setInputs((inputs) => ({ ...inputs, message_pusher_token: '' }));
+      } else {
+        showError(message);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <>
+      <Header as='h3'>{t('额度提醒')}</Header>
+      <Form>
+        <Form.Group widths='equal'>
+          <Form.Input
+            type='number'
+            min={0}
+            name='quota_alert_threshold'
+            label={
+              t('剩余额度低于') +
+              ' ' +
+              (inputs.quota_alert_threshold > 0
+                ? renderQuotaWithPrompt(inputs.quota_alert_threshold)
+                : t('使用系统默认的提醒阈值'))
+            }
+            placeholder={t('0 表示使用系统默认的提醒阈值')}
+            value={inputs.quota_alert_threshold}
+            onChange={handleInputChange}
+          />
+          <Form.Input
+            type='number'
+            min={0}
+            name='daily_quota_alert_threshold'
+            label={
+              t('每日消耗超过') +
+              ' ' +
+              (inputs.daily_quota_alert_threshold > 0
+                ? renderQuotaWithPrompt(inputs.daily_quota_alert_threshold)
+                : t('不提醒'))
+            }
+            value={inputs.daily_quota_alert_threshold}
+            onChange={handleInputChange}
+          />
+        </Form.Group>
+        <Form.Select
+          name='alert_notify_by'
+          label={t('提醒方式')}
+          options={ALERT_NOTIFY_OPTIONS.map((option) => ({
+            key: option.value,
+            value: option.value,
+            text: t(option.label),
+          }))}
+          value={inputs.alert_notify_by}
+          onChange={handleInputChange}
+        />
+        {email === '' && ['email', 'all'].includes(inputs.alert_notify_by) && (
+          <Message warning visible size='small'>
+            {t('尚未绑定邮箱，无法收到邮件提醒')}
+          </Message>
+        )}
+        {needsMessagePusher(inputs.alert_notify_by) && (
+          <Form.Group widths='equal'>
+            <Form.Input
+              name='message_pusher_address'
+              label='Message Pusher'
+              placeholder={t('推送地址，例如：https://msgpusher.com/push/your_username')}
+              value={inputs.message_pusher_address}
+              onChange={handleInputChange}
+            />
+            <Form.Input
+              type='password'
+              name='message_pusher_token'
+              label='&nbsp;'
+              placeholder={t('访问凭证，留空则保持不变')}
+              value={inputs.message_pusher_token}
+              onChange={handleInputChange}
+            />
+          </Form.Group>
+        )}
+        <p>{t('每日消耗按服务器所在时区的自然日统计，每天最多提醒一次；提醒也会显示在页面顶部。')}</p>
+        <Button onClick={save} loading={saving} disabled={saving}>
+          {t('保存额度提醒')}
+        </Button>
+      </Form>
+    </>
+  );
+};
+
+export default QuotaAlertSetting;
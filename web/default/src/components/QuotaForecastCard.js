@@ -0,0 +1,58 @@
+import React, { useEffect, useState } from 'react';
+import { Header, Segment, Statistic } from 'semantic-ui-react';
+import { describeQuotaForecast, formatDateTime, isCanceled, t } from 'one-api-common';
+import { api, showError } from '../helpers';
+import { renderQuota } from '../helpers/render';
+
+/**
+ * 按最近的消耗速度预测额度用尽的时间。
+ */
+const QuotaForecastCard = () => {
+  const [forecast, setForecast] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api.user
+      .quotaForecast({ signal: controller.signal })
+      .then(({ success, message, data }) => {
+        if (success) {
+          setForecast(data);
+        } else {
+          showError(message);
+        }
+      })
+      .catch((error) => {
+        if (!isCanceled(error)) showError(error);
+      });
+    return () => controller.abort();
+  }, []);
+
+  if (!forecast) return null;
+
+  return (
+    <Segment>
+      <Header as='h3'>{t('额度预测')}</Header>
+      <Statistic.Group widths='four' size='mini'>
+        <Statistic>
+          <Statistic.Value>{renderQuota(forecast.quota)}</Statistic.Value>
+          <Statistic.Label>{t('当前余额')}</Statistic.Label>
+        </Statistic>
+        <Statistic>
+          <Statistic.Value>{renderQuota(forecast.daily_average)}</Statistic.Value>
+          <Statistic.Label>{t('日均消耗')}</Statistic.Label>
+        </Statistic>
+        <Statistic>
+          <Statistic.Value>{renderQuota(forecast.today_used)}</Statistic.Value>
+          <Statistic.Label>{t('今日消耗')}</Statistic.Label>
+        </Statistic>
+        <Statistic>
+          <Statistic.Value>{forecast.depletion_at ? formatDateTime(forecast.depletion_at) : '—'}</Statistic.Value>
+          <Statistic.Label>{t('预计用尽')}</Statistic.Label>
+        </Statistic>
+      </Statistic.Group>
+      <p style={{ marginTop: '1em', color: 'grey' }}>{describeQuotaForecast(forecast)}</p>
+    </Segment>
+  );
+};
+
+export default QuotaForecastCard;
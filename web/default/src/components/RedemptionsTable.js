@@ -1,7 +1,8 @@
 import React, { useEffect, useState } from 'react';
 import { Button, Form, Label, Popup, Pagination, Table } from 'semantic-ui-react';
 import { Link } from 'react-router-dom';
-import { API, copy, showError, showInfo, showSuccess, showWarning, timestamp2string } from '../helpers';
+import { API, copy, showError, showInfo, showSuccess, showWarning } from '../helpers';
+import { formatDateTime, t } from 'one-api-common';
 
 import { ITEMS_PER_PAGE } from '../constants';
 import { renderQuota } from '../helpers/render';
@@ -9,7 +10,7 @@ import { renderQuota } from '../helpers/render';
 function renderTimestamp(timestamp) {
   return (
     <>
-      {timestamp2string(timestamp)}
+      {formatDateTime(timestamp)}
     </>
   );
 }
@@ -17,13 +18,13 @@ function renderTimestamp(timestamp) {
 function renderStatus(status) {
   switch (status) {
     case 1:
-      return <Label basic color='green'>未使用</Label>;
+      return <Label basic color='green'>{t('未使用')}</Label>;
     case 2:
-      return <Label basic color='red'> 已禁用 </Label>;
+      return <Label basic color='red'> {t('已禁用')} </Label>;
     case 3:
-      return <Label basic color='grey'> 已使用 </Label>;
+      return <Label basic color='grey'> {t('已使用')} </Label>;
     default:
-      return <Label basic color='black'> 未知状态 </Label>;
+      return <Label basic color='black'> {t('未知状态')} </Label>;
   }
 }
 
@@ -87,7 +88,7 @@ const RedemptionsTable = () => {
     }
     const { success, message } = res.data;
     if (success) {
-      showSuccess('操作成功完成！');
+      showSuccess(t('操作成功完成！'));
       let redemption = res.data.data;
       let newRedemptions = [...redemptions];
       let realIdx = (activePage - 1) * ITEMS_PER_PAGE + idx;
@@ -152,7 +153,7 @@ const RedemptionsTable = () => {
           icon='search'
           fluid
           iconPosition='left'
-          placeholder='搜索兑换码的 ID 和名称 ...'
+          placeholder={t('搜索兑换码的 ID 和名称 ...')}
           value={searchKeyword}
           loading={searching}
           onChange={handleKeywordChange}
@@ -176,7 +177,7 @@ const RedemptionsTable = () => {
                 sortRedemption('name');
               }}
             >
-              名称
+              {t('名称')}
             </Table.HeaderCell>
             <Table.HeaderCell
               style={{ cursor: 'pointer' }}
@@ -184,7 +185,7 @@ const RedemptionsTable = () => {
                 sortRedemption('status');
               }}
             >
-              状态
+              {t('状态')}
             </Table.HeaderCell>
             <Table.HeaderCell
               style={{ cursor: 'pointer' }}
@@ -192,7 +193,7 @@ const RedemptionsTable = () => {
                 sortRedemption('quota');
               }}
             >
-              额度
+              {t('额度')}
             </Table.HeaderCell>
             <Table.HeaderCell
               style={{ cursor: 'pointer' }}
@@ -200,7 +201,7 @@ const RedemptionsTable = () => {
                 sortRedemption('created_time');
               }}
             >
-              创建时间
+              {t('创建时间')}
             </Table.HeaderCell>
             <Table.HeaderCell
               style={{ cursor: 'pointer' }}
@@ -208,9 +209,9 @@ const RedemptionsTable = () => {
                 sortRedemption('redeemed_time');
               }}
             >
-              兑换时间
+              {t('兑换时间')}
             </Table.HeaderCell>
-            <Table.HeaderCell>操作</Table.HeaderCell>
+            <Table.HeaderCell>{t('操作')}</Table.HeaderCell>
           </Table.Row>
         </Table.Header>
 
@@ -225,11 +226,11 @@ const RedemptionsTable = () => {
               return (
                 <Table.Row key={redemption.id}>
                   <Table.Cell>{redemption.id}</Table.Cell>
-                  <Table.Cell>{redemption.name ? redemption.name : '无'}</Table.Cell>
+                  <Table.Cell>{redemption.name ? redemption.name : t('无')}</Table.Cell>
                   <Table.Cell>{renderStatus(redemption.status)}</Table.Cell>
                   <Table.Cell>{renderQuota(redemption.quota)}</Table.Cell>
                   <Table.Cell>{renderTimestamp(redemption.created_time)}</Table.Cell>
-                  <Table.Cell>{redemption.redeemed_time ? renderTimestamp(redemption.redeemed_time) : "尚未兑换"} </Table.Cell>
+                  <Table.Cell>{redemption.redeemed_time ? renderTimestamp(redemption.redeemed_time) : t('尚未兑换')} </Table.Cell>
                   <Table.Cell>
                     <div>
                       <Button
@@ -237,19 +238,19 @@ const RedemptionsTable = () => {
                         positive
                         onClick={async () => {
                           if (await copy(redemption.key)) {
-                            showSuccess('已复制到剪贴板！');
+                            showSuccess(t('已复制到剪贴板！'));
                           } else {
-                            showWarning('无法复制到剪贴板，请手动复制，已将兑换码填入搜索框。')
+                            showWarning(t('无法复制到剪贴板，请手动复制，已将兑换码填入搜索框。'))
                             setSearchKeyword(redemption.key);
                           }
                         }}
                       >
-                        复制
+                        {t('复制')}
                       </Button>
                       <Popup
                         trigger={
                           <Button size='small' negative>
-                            删除
+                            {t('删除')}
                           </Button>
                         }
                         on='click'
@@ -262,7 +263,7 @@ const RedemptionsTable = () => {
                             manageRedemption(redemption.id, 'delete', idx);
                           }}
                         >
-                          确认删除
+                          {t('确认删除')}
                         </Button>
                       </Popup>
                       <Button
@@ -276,14 +277,14 @@ const RedemptionsTable = () => {
                           );
                         }}
                       >
-                        {redemption.status === 1 ? '禁用' : '启用'}
+                        {redemption.status === 1 ? t('禁用') : t('启用')}
                       </Button>
                       <Button
                         size={'small'}
                         as={Link}
                         to={'/redemption/edit/' + redemption.id}
                       >
-                        编辑
+                        {t('编辑')}
                       </Button>
                     </div>
                   </Table.Cell>
@@ -296,7 +297,7 @@ const RedemptionsTable = () => {
           <Table.Row>
             <Table.HeaderCell colSpan='8'>
               <Button size='small' as={Link} to='/redemption/add' loading={loading}>
-                添加新的兑换码
+                {t('添加新的兑换码')}
               </Button>
               <Pagination
                 floated='right'
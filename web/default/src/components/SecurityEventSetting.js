@@ -0,0 +1,17 @@
+import React from 'react';
+import { Header } from 'semantic-ui-react';
+import { t } from 'one-api-common';
+import SecurityEventTable from './SecurityEventTable';
+
+/**
+ * 个人设置中的安全日志：最近的登录记录以及密码、两步验证、绑定账号等安全相关的操作。
+ */
+const SecurityEventSetting = () => (
+  <>
+    <Header as='h3'>{t('安全日志')}</Header>
+    <p>{t('最近 100 条登录记录与账号安全操作，如有不认识的记录，请立即修改密码。')}</p>
+    <SecurityEventTable />
+  </>
+);
+
+export default SecurityEventSetting;
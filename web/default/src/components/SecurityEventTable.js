@@ -0,0 +1,86 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Label, Message, Table } from 'semantic-ui-react';
+import {
+  describeSecurityAlert,
+  describeSecurityEventDetail,
+  describeSecurityEventType,
+  describeUserAgent,
+  t
+} from 'one-api-common';
+import { api, showError, timestamp2string } from '../helpers';
+
+/**
+ * 最近的登录记录与账号安全操作，异常登录会高亮显示。
+ * 传入 userId 时为管理员查看该用户的安全日志，否则为当前用户自己的安全日志。
+ */
+const SecurityEventTable = ({ userId }) => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadEvents = useCallback(async () => {
+    setLoading(true);
+    const { success, message, data } = userId ? await api.user.userSecurityEvents(userId) : await api.user.securityEvents();
+    if (success) {
+      setEvents(data || []);
+    } else {
+      showError(message);
+    }
+    setLoading(false);
+  }, [userId]);
+
+  useEffect(() => {
+    loadEvents().then();
+  }, [loadEvents]);
+
+  const alertCount = events.filter((event) => event.alert).length;
+
+  return (
+    <>
+      {alertCount > 0 && (
+        <Message negative>
+          {t('最近有 {count} 次异常登录，如果不是本人操作，请立即修改密码并退出所有设备。', { count: alertCount })}
+        </Message>
+      )}
+      <div style={{ maxHeight: 480, overflowY: 'auto' }}>
+        <Table basic compact>
+          <Table.Header>
+            <Table.Row>
+              <Table.HeaderCell>{t('时间')}</Table.HeaderCell>
+              <Table.HeaderCell>{t('事件')}</Table.HeaderCell>
+              <Table.HeaderCell>{t('详情')}</Table.HeaderCell>
+              <Table.HeaderCell>IP</Table.HeaderCell>
+              <Table.HeaderCell>{t('设备')}</Table.HeaderCell>
+            </Table.Row>
+          </Table.Header>
+          <Table.Body>
+            {events.map((event) => (
+              <Table.Row key={event.id} negative={!!event.alert}>
+                <Table.Cell>{timestamp2string(event.created_time)}</Table.Cell>
+                <Table.Cell>
+                  {describeSecurityEventType(event.type)}
+                  {event.alert && (
+                    <Label size='mini' color='red' style={{ marginLeft: 8 }}>
+                      {describeSecurityAlert(event.alert)}
+                    </Label>
+                  )}
+                </Table.Cell>
+                <Table.Cell>{describeSecurityEventDetail(event.detail)}</Table.Cell>
+                <Table.Cell>{event.ip}</Table.Cell>
+                <Table.Cell title={event.user_agent}>{describeUserAgent(event.user_agent)}</Table.Cell>
+              </Table.Row>
+            ))}
+            {!loading && events.length === 0 && (
+              <Table.Row>
+                <Table.Cell colSpan={5} textAlign='center'>
+                  {t('暂无数据')}
+                </Table.Cell>
+              </Table.Row>
+            )}
+          </Table.Body>
+        </Table>
+      </div>
+    </>
+  );
+};
+
+export default SecurityEventTable;
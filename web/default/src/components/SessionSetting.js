@@ -0,0 +1,17 @@
+import React from 'react';
+import { Header } from 'semantic-ui-react';
+import { t } from 'one-api-common';
+import SessionTable from './SessionTable';
+
+/**
+ * 个人设置中的登录会话：查看在哪些设备上登录过，并可以远程退出。
+ */
+const SessionSetting = () => (
+  <>
+    <Header as='h3'>{t('登录会话')}</Header>
+    <p>{t('以下设备当前已登录你的账号，如有不认识的设备，请退出该会话并修改密码。')}</p>
+    <SessionTable />
+  </>
+);
+
+export default SessionSetting;
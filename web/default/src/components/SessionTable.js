@@ -0,0 +1,132 @@
+import React, { useCallback, useContext, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Button, Label, Popup, Table } from 'semantic-ui-react';
+import { describeUserAgent, t } from 'one-api-common';
+import { api, showError, showSuccess, timestamp2string } from '../helpers';
+import { UserContext } from '../context/User';
+
+/**
+ * 已登录的会话列表，可以退出单个会话或全部会话。
+ * 传入 userId 时为管理员查看该用户的会话，否则为当前用户自己的会话。
+ */
+const SessionTable = ({ userId }) => {
+  const [, userDispatch] = useContext(UserContext);
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadSessions = useCallback(async () => {
+    setLoading(true);
+    const { success, message, data } = userId ? await api.user.userSessions(userId) : await api.user.sessions();
+    if (success) {
+      setSessions(data || []);
+    } else {
+      showError(message);
+    }
+    setLoading(false);
+  }, [userId]);
+
+  useEffect(() => {
+    loadSessions().then();
+  }, [loadSessions]);
+
+  // 当前会话已被退出，清除本地的登录状态
+  const signOutLocally = () => {
+    userDispatch({ type: 'logout' });
+    localStorage.removeItem('user');
+    navigate('/login');
+  };
+
+  const revoke = async (session) => {
+    const { success, message } = userId ? await api.user.revokeUserSession(userId, session.id) : await api.user.revokeSession(session.id);
+    if (!success) {
+      showError(message);
+      return;
+    }
+    showSuccess(t('已退出该会话'));
+    if (session.current) {
+      signOutLocally();
+      return;
+    }
+    await loadSessions();
+  };
+
+  const revokeAll = async () => {
+    const { success, message } = userId ? await api.user.revokeUserSessions(userId) : await api.user.revokeAllSessions();
+    if (!success) {
+      showError(message);
+      return;
+    }
+    showSuccess(t('已在所有设备上退出登录'));
+    if (!userId || sessions.some((session) => session.current)) {
+      signOutLocally();
+      return;
+    }
+    await loadSessions();
+  };
+
+  return (
+    <>
+      <Table basic compact>
+        <Table.Header>
+          <Table.Row>
+            <Table.HeaderCell>{t('设备')}</Table.HeaderCell>
+            <Table.HeaderCell>IP</Table.HeaderCell>
+            <Table.HeaderCell>{t('登录时间')}</Table.HeaderCell>
+            <Table.HeaderCell>{t('最近活动')}</Table.HeaderCell>
+            <Table.HeaderCell>{t('操作')}</Table.HeaderCell>
+          </Table.Row>
+        </Table.Header>
+        <Table.Body>
+          {sessions.map((session) => (
+            <Table.Row key={session.id}>
+              <Table.Cell title={session.user_agent}>
+                {describeUserAgent(session.user_agent)}
+                {session.current && (
+                  <Label size='mini' color='green' style={{ marginLeft: 8 }}>
+                    {t('当前')}
+                  </Label>
+                )}
+              </Table.Cell>
+              <Table.Cell>{session.ip}</Table.Cell>
+              <Table.Cell>{timestamp2string(session.created_time)}</Table.Cell>
+              <Table.Cell>{timestamp2string(session.last_seen_time)}</Table.Cell>
+              <Table.Cell>
+                <Popup
+                  trigger={
+                    <Button size='small' negative>
+                      {t('退出')}
+                    </Button>
+                  }
+                  on='click'
+                  flowing
+                  hoverable
+                >
+                  <Button negative onClick={() => revoke(session)}>
+                    {session.current ? t('退出当前会话') : t('确定退出该会话？')}
+                  </Button>
+                </Popup>
+              </Table.Cell>
+            </Table.Row>
+          ))}
+        </Table.Body>
+      </Table>
+      <Popup
+        trigger={
+          <Button negative disabled={loading || sessions.length === 0}>
+            {t('退出所有设备')}
+          </Button>
+        }
+        on='click'
+        flowing
+        hoverable
+      >
+        <Button negative onClick={revokeAll}>
+          {t('确定在所有设备上退出登录？')}
+        </Button>
+      </Popup>
+    </>
+  );
+};
+
+export default SessionTable;
@@ -1,6 +1,7 @@
 import React, { useEffect, useState } from 'react';
 import { Button, Divider, Form, Grid, Header, Modal, Message } from 'semantic-ui-react';
 import { API, removeTrailingSlash, showError } from '../helpers';
+import { t } from 'one-api-common';
 
 const SystemSetting = () => {
   let [inputs, setInputs] = useState({
@@ -27,6 +28,8 @@ const SystemSetting = () => {
     MessagePusherAddress: '',
     MessagePusherToken: '',
     TurnstileCheckEnabled: '',
+    AdminTwoFactorRequiredEnabled: '',
+    PasskeyLoginEnabled: '',
     TurnstileSiteKey: '',
     TurnstileSecretKey: '',
     RegisterEnabled: '',
@@ -74,6 +77,8 @@ const SystemSetting = () => {
       case 'GitHubOAuthEnabled':
       case 'WeChatAuthEnabled':
       case 'TurnstileCheckEnabled':
+      case 'AdminTwoFactorRequiredEnabled':
+      case 'PasskeyLoginEnabled':
       case 'EmailDomainRestrictionEnabled':
       case 'RegisterEnabled':
         value = inputs[key] === 'true' ? 'false' : 'true';
@@ -260,25 +265,25 @@ const SystemSetting = () => {
     <Grid columns={1}>
       <Grid.Column>
         <Form loading={loading}>
-          <Header as='h3'>通用设置</Header>
+          <Header as='h3'>{t('通用设置')}</Header>
           <Form.Group widths='equal'>
             <Form.Input
-              label='服务器地址'
-              placeholder='例如：https://yourdomain.com'
+              label={t('服务器地址')}
+              placeholder={t('例如：https://yourdomain.com')}
               value={inputs.ServerAddress}
               name='ServerAddress'
               onChange={handleInputChange}
             />
           </Form.Group>
           <Form.Button onClick={submitServerAddress}>
-            更新服务器地址
+            {t('更新服务器地址')}
           </Form.Button>
           <Divider />
-          <Header as='h3'>配置登录注册</Header>
+          <Header as='h3'>{t('配置登录注册')}</Header>
           <Form.Group inline>
             <Form.Checkbox
               checked={inputs.PasswordLoginEnabled === 'true'}
-              label='允许通过密码进行登录'
+              label={t('允许通过密码进行登录')}
               name='PasswordLoginEnabled'
               onChange={handleInputChange}
             />
@@ -290,12 +295,12 @@ const SystemSetting = () => {
                 size={'tiny'}
                 style={{ maxWidth: '450px' }}
               >
-                <Modal.Header>警告</Modal.Header>
+                <Modal.Header>{t('警告')}</Modal.Header>
                 <Modal.Content>
-                  <p>取消密码登录将导致所有未绑定其他登录方式的用户（包括管理员）无法通过密码登录，确认取消？</p>
+                  <p>{t('取消密码登录将导致所有未绑定其他登录方式的用户（包括管理员）无法通过密码登录，确认取消？')}</p>
                 </Modal.Content>
                 <Modal.Actions>
-                  <Button onClick={() => setShowPasswordWarningModal(false)}>取消</Button>
+                  <Button onClick={() => setShowPasswordWarningModal(false)}>{t('取消')}</Button>
                   <Button
                     color='yellow'
                     onClick={async () => {
@@ -303,32 +308,32 @@ const SystemSetting = () => {
                       await updateOption('PasswordLoginEnabled', 'false');
                     }}
                   >
-                    确定
+                    {t('确定')}
                   </Button>
                 </Modal.Actions>
               </Modal>
             }
             <Form.Checkbox
               checked={inputs.PasswordRegisterEnabled === 'true'}
-              label='允许通过密码进行注册'
+              label={t('允许通过密码进行注册')}
               name='PasswordRegisterEnabled'
               onChange={handleInputChange}
             />
             <Form.Checkbox
               checked={inputs.EmailVerificationEnabled === 'true'}
-              label='通过密码注册时需要进行邮箱验证'
+              label={t('通过密码注册时需要进行邮箱验证')}
               name='EmailVerificationEnabled'
               onChange={handleInputChange}
             />
             <Form.Checkbox
               checked={inputs.GitHubOAuthEnabled === 'true'}
-              label='允许通过 GitHub 账户登录 & 注册'
+              label={t('允许通过 GitHub 账户登录 & 注册')}
               name='GitHubOAuthEnabled'
               onChange={handleInputChange}
             />
             <Form.Checkbox
               checked={inputs.WeChatAuthEnabled === 'true'}
-              label='允许通过微信登录 & 注册'
+              label={t('允许通过微信登录 & 注册')}
               name='WeChatAuthEnabled'
               onChange={handleInputChange}
             />
@@ -336,25 +341,37 @@ const SystemSetting = () => {
           <Form.Group inline>
             <Form.Checkbox
               checked={inputs.RegisterEnabled === 'true'}
-              label='允许新用户注册（此项为否时，新用户将无法以任何方式进行注册）'
+              label={t('允许新用户注册（此项为否时，新用户将无法以任何方式进行注册）')}
               name='RegisterEnabled'
               onChange={handleInputChange}
             />
             <Form.Checkbox
               checked={inputs.TurnstileCheckEnabled === 'true'}
-              label='启用 Turnstile 用户校验'
+              label={t('启用 Turnstile 用户校验')}
               name='TurnstileCheckEnabled'
               onChange={handleInputChange}
             />
+            <Form.Checkbox
+              checked={inputs.AdminTwoFactorRequiredEnabled === 'true'}
+              label={t('要求管理员启用两步验证')}
+              name='AdminTwoFactorRequiredEnabled'
+              onChange={handleInputChange}
+            />
+            <Form.Checkbox
+              checked={inputs.PasskeyLoginEnabled === 'true'}
+              label={t('允许通过 Passkey 登录')}
+              name='PasskeyLoginEnabled'
+              onChange={handleInputChange}
+            />
           </Form.Group>
           <Divider />
           <Header as='h3'>
-            配置邮箱域名白名单
-            <Header.Subheader>用以防止恶意用户利用临时邮箱批量注册</Header.Subheader>
+            {t('配置邮箱域名白名单')}
+            <Header.Subheader>{t('用以防止恶意用户利用临时邮箱批量注册')}</Header.Subheader>
           </Header>
           <Form.Group widths={3}>
             <Form.Checkbox
-              label='启用邮箱域名白名单'
+              label={t('启用邮箱域名白名单')}
               name='EmailDomainRestrictionEnabled'
               onChange={handleInputChange}
               checked={inputs.EmailDomainRestrictionEnabled === 'true'}
@@ -362,8 +379,8 @@ const SystemSetting = () => {
           </Form.Group>
           <Form.Group widths={2}>
             <Form.Dropdown
-              label='允许的邮箱域名'
-              placeholder='允许的邮箱域名'
+              label={t('允许的邮箱域名')}
+              placeholder={t('允许的邮箱域名')}
               name='EmailDomainWhitelist'
               required
               fluid
@@ -375,11 +392,11 @@ const SystemSetting = () => {
               options={EmailDomainWhitelist}
             />
             <Form.Input
-              label='添加新的允许的邮箱域名'
+              label={t('添加新的允许的邮箱域名')}
               action={
                 <Button type='button' onClick={() => {
                   submitNewRestrictedDomain();
-                }}>填入</Button>
+                }}>{t('填入')}</Button>
               }
               onKeyDown={(e) => {
                 if (e.key === 'Enter') {
@@ -387,79 +404,79 @@ const SystemSetting = () => {
                 }
               }}
               autoComplete='new-password'
-              placeholder='输入新的允许的邮箱域名'
+              placeholder={t('输入新的允许的邮箱域名')}
               value={restrictedDomainInput}
               onChange={(e, { value }) => {
                 setRestrictedDomainInput(value);
               }}
             />
           </Form.Group>
-          <Form.Button onClick={submitEmailDomainWhitelist}>保存邮箱域名白名单设置</Form.Button>
+          <Form.Button onClick={submitEmailDomainWhitelist}>{t('保存邮箱域名白名单设置')}</Form.Button>
           <Divider />
           <Header as='h3'>
-            配置 SMTP
-            <Header.Subheader>用以支持系统的邮件发送</Header.Subheader>
+            {t('配置 SMTP')}
+            <Header.Subheader>{t('用以支持系统的邮件发送')}</Header.Subheader>
           </Header>
           <Form.Group widths={3}>
             <Form.Input
-              label='SMTP 服务器地址'
+              label={t('SMTP 服务器地址')}
               name='SMTPServer'
               onChange={handleInputChange}
               autoComplete='new-password'
               value={inputs.SMTPServer}
-              placeholder='例如：smtp.qq.com'
+              placeholder={t('例如：smtp.qq.com')}
             />
             <Form.Input
-              label='SMTP 端口'
+              label={t('SMTP 端口')}
               name='SMTPPort'
               onChange={handleInputChange}
               autoComplete='new-password'
               value={inputs.SMTPPort}
-              placeholder='默认: 587'
+              placeholder={t('默认: 587')}
             />
             <Form.Input
-              label='SMTP 账户'
+              label={t('SMTP 账户')}
               name='SMTPAccount'
               onChange={handleInputChange}
               autoComplete='new-password'
               value={inputs.SMTPAccount}
-              placeholder='通常是邮箱地址'
+              placeholder={t('通常是邮箱地址')}
             />
           </Form.Group>
           <Form.Group widths={3}>
             <Form.Input
-              label='SMTP 发送者邮箱'
+              label={t('SMTP 发送者邮箱')}
               name='SMTPFrom'
               onChange={handleInputChange}
               autoComplete='new-password'
               value={inputs.SMTPFrom}
-              placeholder='通常和邮箱地址保持一致'
+              placeholder={t('通常和邮箱地址保持一致')}
             />
             <Form.Input
-              label='SMTP 访问凭证'
+              label={t('SMTP 访问凭证')}
               name='SMTPToken'
               onChange={handleInputChange}
               type='password'
               autoComplete='new-password'
               checked={inputs.RegisterEnabled === 'true'}
-              placeholder='敏感信息不会发送到前端显示'
+              placeholder={t('敏感信息不会发送到前端显示')}
             />
           </Form.Group>
-          <Form.Button onClick={submitSMTP}>保存 SMTP 设置</Form.Button>
+          <Form.Button onClick={submitSMTP}>{t('保存 SMTP 设置')}</Form.Button>
           <Divider />
           <Header as='h3'>
-            配置 GitHub OAuth App
+            {t('配置 GitHub OAuth App')}
             <Header.Subheader>
-              用以支持通过 GitHub 进行登录注册，
+              {t('用以支持通过 GitHub 进行登录注册，')}
               <a href='https://github.com/settings/developers' target='_blank'>
-                点击此处
+                {t('点击此处')}
               </a>
-              管理你的 GitHub OAuth App
+              {t('管理你的 GitHub OAuth App')}
             </Header.Subheader>
           </Header>
           <Message>
-            Homepage URL 填 <code>{inputs.ServerAddress}</code>
-            ，Authorization callback URL 填{' '}
+            {t('Homepage URL 填')} <code>{inputs.ServerAddress}</code>
+            {t('，Authorization callback URL 填')}{' '}
             <code>{`${inputs.ServerAddress}/oauth/github`}</code>
           </Message>
           <Form.Group widths={3}>
@@ -469,7 +486,7 @@ const SystemSetting = () => {
               onChange={handleInputChange}
               autoComplete='new-password'
               value={inputs.GitHubClientId}
-              placeholder='输入你注册的 GitHub OAuth APP 的 ID'
+              placeholder={t('输入你注册的 GitHub OAuth APP 的 ID')}
             />
             <Form.Input
               label='GitHub Client Secret'
@@ -478,26 +495,26 @@ const SystemSetting = () => {
               type='password'
               autoComplete='new-password'
               value={inputs.GitHubClientSecret}
-              placeholder='敏感信息不会发送到前端显示'
+              placeholder={t('敏感信息不会发送到前端显示')}
             />
           </Form.Group>
           <Form.Button onClick={submitGitHubOAuth}>
-            保存 GitHub OAuth 设置
+            {t('保存 GitHub OAuth 设置')}
           </Form.Button>
           <Divider />
           <Header as='h3'>
-            配置飞书授权登录
+            {t('配置飞书授权登录')}
             <Header.Subheader>
-              用以支持通过飞书进行登录注册，
+              {t('用以支持通过飞书进行登录注册，')}
               <a href='https://open.feishu.cn/app' target='_blank'>
-                点击此处
+                {t('点击此处')}
               </a>
-              管理你的飞书应用
+              {t('管理你的飞书应用')}
             </Header.Subheader>
           </Header>
           <Message>
-            主页链接填 <code>{inputs.ServerAddress}</code>
-            ，重定向 URL 填{' '}
+            {t('主页链接填')} <code>{inputs.ServerAddress}</code>
+            {t('，重定向 URL 填')}{' '}
             <code>{`${inputs.ServerAddress}/oauth/lark`}</code>
           </Message>
           <Form.Group widths={3}>
@@ -507,7 +524,7 @@ const SystemSetting = () => {
               onChange={handleInputChange}
               autoComplete='new-password'
               value={inputs.LarkClientId}
-              placeholder='输入 App ID'
+              placeholder={t('输入 App ID')}
             />
             <Form.Input
               label='App Secret'
@@ -516,101 +533,101 @@ const SystemSetting = () => {
               type='password'
               autoComplete='new-password'
               value={inputs.LarkClientSecret}
-              placeholder='敏感信息不会发送到前端显示'
+              placeholder={t('敏感信息不会发送到前端显示')}
             />
           </Form.Group>
           <Form.Button onClick={submitLarkOAuth}>
-            保存飞书 OAuth 设置
+            {t('保存飞书 OAuth 设置')}
           </Form.Button>
           <Divider />
           <Header as='h3'>
-            配置 WeChat Server
+            {t('配置 WeChat Server')}
             <Header.Subheader>
-              用以支持通过微信进行登录注册，
+              {t('用以支持通过微信进行登录注册，')}
               <a
                 href='https://github.com/songquanpeng/wechat-server'
                 target='_blank'
               >
-                点击此处
+                {t('点击此处')}
               </a>
-              了解 WeChat Server
+              {t('了解 WeChat Server')}
             </Header.Subheader>
           </Header>
           <Form.Group widths={3}>
             <Form.Input
-              label='WeChat Server 服务器地址'
+              label={t('WeChat Server 服务器地址')}
               name='WeChatServerAddress'
-              placeholder='例如：https://yourdomain.com'
+              placeholder={t('例如：https://yourdomain.com')}
               onChange={handleInputChange}
               autoComplete='new-password'
               value={inputs.WeChatServerAddress}
             />
             <Form.Input
-              label='WeChat Server 访问凭证'
+              label={t('WeChat Server 访问凭证')}
               name='WeChatServerToken'
               type='password'
               onChange={handleInputChange}
               autoComplete='new-password'
               value={inputs.WeChatServerToken}
-              placeholder='敏感信息不会发送到前端显示'
+              placeholder={t('敏感信息不会发送到前端显示')}
             />
             <Form.Input
-              label='微信公众号二维码图片链接'
+              label={t('微信公众号二维码图片链接')}
               name='WeChatAccountQRCodeImageURL'
               onChange={handleInputChange}
               autoComplete='new-password'
               value={inputs.WeChatAccountQRCodeImageURL}
-              placeholder='输入一个图片链接'
+              placeholder={t('输入一个图片链接')}
             />
           </Form.Group>
           <Form.Button onClick={submitWeChat}>
-            保存 WeChat Server 设置
+            {t('保存 WeChat Server 设置')}
           </Form.Button>
           <Divider />
           <Header as='h3'>
-            配置 Message Pusher
+            {t('配置 Message Pusher')}
             <Header.Subheader>
-              用以推送报警信息，
+              {t('用以推送报警信息，')}
               <a
                 href='https://github.com/songquanpeng/message-pusher'
                 target='_blank'
               >
-                点击此处
+                {t('点击此处')}
               </a>
-              了解 Message Pusher
+              {t('了解 Message Pusher')}
             </Header.Subheader>
           </Header>
           <Form.Group widths={3}>
             <Form.Input
-              label='Message Pusher 推送地址'
+              label={t('Message Pusher 推送地址')}
               name='MessagePusherAddress'
-              placeholder='例如：https://msgpusher.com/push/your_username'
+              placeholder={t('例如：https://msgpusher.com/push/your_username')}
               onChange={handleInputChange}
               autoComplete='new-password'
               value={inputs.MessagePusherAddress}
             />
             <Form.Input
-              label='Message Pusher 访问凭证'
+              label={t('Message Pusher 访问凭证')}
               name='MessagePusherToken'
               type='password'
               onChange={handleInputChange}
               autoComplete='new-password'
               value={inputs.MessagePusherToken}
-              placeholder='敏感信息不会发送到前端显示'
+              placeholder={t('敏感信息不会发送到前端显示')}
             />
           </Form.Group>
           <Form.Button onClick={submitMessagePusher}>
-            保存 Message Pusher 设置
+            {t('保存 Message Pusher 设置')}
           </Form.Button>
           <Divider />
           <Header as='h3'>
-            配置 Turnstile
+            {t('配置 Turnstile')}
             <Header.Subheader>
-              用以支持用户校验，
+              {t('用以支持用户校验，')}
               <a href='https://dash.cloudflare.com/' target='_blank'>
-                点击此处
+                {t('点击此处')}
               </a>
-              管理你的 Turnstile Sites，推荐选择 Invisible Widget Type
+              {t('管理你的 Turnstile Sites，推荐选择 Invisible Widget Type')}
             </Header.Subheader>
           </Header>
           <Form.Group widths={3}>
@@ -620,7 +637,7 @@ const SystemSetting = () => {
               onChange={handleInputChange}
               autoComplete='new-password'
               value={inputs.TurnstileSiteKey}
-              placeholder='输入你注册的 Turnstile Site Key'
+              placeholder={t('输入你注册的 Turnstile Site Key')}
             />
             <Form.Input
               label='Turnstile Secret Key'
@@ -629,11 +646,11 @@ const SystemSetting = () => {
               type='password'
               autoComplete='new-password'
               value={inputs.TurnstileSecretKey}
-              placeholder='敏感信息不会发送到前端显示'
+              placeholder={t('敏感信息不会发送到前端显示')}
             />
           </Form.Group>
           <Form.Button onClick={submitTurnstile}>
-            保存 Turnstile 设置
+            {t('保存 Turnstile 设置')}
           </Form.Button>
         </Form>
       </Grid.Column>
@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { Button, Form, Input, Message, Modal } from 'semantic-ui-react';
+import { t, TOKEN_KEY_GRACE_PERIODS } from 'one-api-common';
+import { api, copy, showError, showSuccess, showWarning } from '../helpers';
+
+/**
+ * 更换令牌的密钥，名称、模型、子网等设置与用量不变，可以让旧密钥在一段时间内继续使用。
+ */
+const TokenRotateModal = ({ token, onClose, onRotated }) => {
+  const [gracePeriod, setGracePeriod] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [newKey, setNewKey] = useState('');
+  if (!token) return null;
+
+  const close = () => {
+    setGracePeriod(0);
+    setNewKey('');
+    onClose();
+  };
+
+  const rotate = async () => {
+    setLoading(true);
+    try {
+      const { success, message, data } = await api.token.rotate(token.id, { grace_period: gracePeriod });
+      if (success) {
+        setNewKey(`sk-${data.key}`);
+        showSuccess(t('密钥已更换'));
+        onRotated();
+      } else {
+        showError(message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const copyKey = async () => {
+    if (await copy(newKey)) {
+      showSuccess(t('已复制到剪贴板！'));
+    } else {
+      showWarning(t('无法复制到剪贴板，请手动复制'));
+    }
+  };
+
+  return (
+    <Modal open size='small' onClose={close}>
+      <Modal.Header>{t('更换密钥：{name}', { name: token.name })}</Modal.Header>
+      <Modal.Content>
+        {newKey ? (
+          <Form>
+            <Form.Field>
+              <label>{t('新密钥')}</label>
+              <Input value={newKey} readOnly action={{ icon: 'copy', type: 'button', onClick: copyKey }} />
+            </Form.Field>
+            <Message size='small'>{t('请在客户端中换用新密钥。')}</Message>
+          </Form>
+        ) : (
+          <Form>
+            <Message size='small' warning>
+              {t('将为该令牌生成新的密钥，名称、模型、子网、额度与用量记录保持不变。')}
+            </Message>
+            <Form.Select
+              label={t('旧密钥的保留时间')}
+              value={gracePeriod}
+              onChange={(e, { value }) => setGracePeriod(value)}
+              options={TOKEN_KEY_GRACE_PERIODS.map((item) => ({
+                key: item.value,
+                text: t(item.label),
+                value: item.value
+              }))}
+            />
+          </Form>
+        )}
+      </Modal.Content>
+      <Modal.Actions>
+        {newKey ? (
+          <Button onClick={close}>{t('完成')}</Button>
+        ) : (
+          <>
+            <Button onClick={close}>{t('取消')}</Button>
+            <Button negative loading={loading} disabled={loading} onClick={rotate}>
+              {t('更换密钥')}
+            </Button>
+          </>
+        )}
+      </Modal.Actions>
+    </Modal>
+  );
+};
+
+export default TokenRotateModal;
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { Button, Dropdown, Form, Message, Modal, Tab } from 'semantic-ui-react';
+import { QRCodeSVG } from 'qrcode.react';
+import { buildTokenSnippets, getClientTemplates, resolveServerAddress, snippetModel, t, tokenQrCodes } from 'one-api-common';
+import { copy, showSuccess, showWarning } from '../helpers';
+
+function getStatus() {
+  const status = localStorage.getItem('status');
+  return status ? JSON.parse(status) : null;
+}
+
+/**
+ * “使用此密钥”对话框：带有令牌密钥与站点地址的代码片段，以及移动端 App 扫码导入的二维码。
+ */
+const TokenSnippetModal = ({ token, onClose }) => {
+  const [model, setModel] = useState('');
+  const [qrKey, setQrKey] = useState(null);
+  if (!token) return null;
+
+  const status = getStatus();
+  const serverAddress = resolveServerAddress(status);
+  const apiKey = `sk-${token.key}`;
+  const snippets = buildTokenSnippets({ apiKey, serverAddress, model: model || snippetModel(token) });
+  const qrCodes = tokenQrCodes({ apiKey, serverAddress, templates: getClientTemplates(status) });
+  const qrCode = qrCodes.find((item) => item.key === qrKey) || qrCodes[0];
+
+  const copyCode = async (code) => {
+    if (await copy(code)) {
+      showSuccess(t('已复制到剪贴板！'));
+    } else {
+      showWarning(t('无法复制到剪贴板，请手动复制'));
+    }
+  };
+
+  const close = () => {
+    setModel('');
+    onClose();
+  };
+
+  return (
+    <Modal open onClose={close}>
+      <Modal.Header>{t('使用此密钥')}</Modal.Header>
+      <Modal.Content>
+        <Form>
+          <Form.Input
+            label={t('模型')}
+            value={model}
+            placeholder={snippetModel(token)}
+            onChange={(e, { value }) => setModel(value.trim())}
+          />
+        </Form>
+        <Tab
+          style={{ marginTop: '1em' }}
+          menu={{ secondary: true, pointing: true }}
+          panes={snippets.map((snippet) => ({
+            menuItem: snippet.label,
+            render: () => (
+              <Tab.Pane attached={false} basic>
+                <pre style={{ background: '#f8f8f8', padding: '1em', overflowX: 'auto' }}>{snippet.code}</pre>
+                <Button size='small' type='button' onClick={() => copyCode(snippet.code)}>
+                  {t('复制')}
+                </Button>
+              </Tab.Pane>
+            )
+          }))}
+        />
+        <div style={{ marginTop: '1.5em', display: 'flex', gap: '1.5em', alignItems: 'flex-start' }}>
+          <QRCodeSVG value={qrCode.value} size={160} includeMargin />
+          <div>
+            <b>{t('移动端扫码导入')}</b>
+            <div style={{ marginTop: '0.5em' }}>
+              <Dropdown
+                selection
+                value={qrCode.key}
+                onChange={(e, { value }) => setQrKey(value)}
+                options={qrCodes.map((item) => ({ key: item.key, text: t(item.label), value: item.key }))}
+              />
+            </div>
+            <Message size='small' warning>
+              {t('二维码中包含完整的密钥，请勿截图或分享给他人。')}
+            </Message>
+          </div>
+        </div>
+      </Modal.Content>
+      <Modal.Actions>
+        <Button onClick={close}>{t('关闭')}</Button>
+      </Modal.Actions>
+    </Modal>
+  );
+};
+
+export default TokenSnippetModal;
@@ -1,45 +1,79 @@
 import React, { useEffect, useState } from 'react';
 import { Button, Dropdown, Form, Label, Pagination, Popup, Table } from 'semantic-ui-react';
 import { Link } from 'react-router-dom';
-import { API, copy, showError, showSuccess, showWarning, timestamp2string } from '../helpers';
+import { API, copy, showError, showSuccess, showWarning } from '../helpers';
+import {
+  fillClientTemplate,
+  describePreviousKey,
+  formatDateTime,
+  formatTokenBudget,
+  formatTokenLimit,
+  getClientTemplates,
+  resolveServerAddress,
+  t,
+  tokenBudgetUsage,
+  tokenLimitUsage
+} from 'one-api-common';
 
 import { ITEMS_PER_PAGE } from '../constants';
 import { renderQuota } from '../helpers/render';
+import TokenSnippetModal from './TokenSnippetModal';
+import TokenRotateModal from './TokenRotateModal';
 
-const COPY_OPTIONS = [
-  { key: 'next', text: 'ChatGPT Next Web', value: 'next' },
-  { key: 'ama', text: 'BotGem', value: 'ama' },
-  { key: 'opencat', text: 'OpenCat', value: 'opencat' },
-  { key: 'lobechat', text: 'LobeChat', value: 'lobechat' },
-];
+function getStatus() {
+  const status = localStorage.getItem('status');
+  return status ? JSON.parse(status) : null;
+}
+
+function renderBudget(token) {
+  const usage = tokenBudgetUsage(token);
+  if (!usage) return null;
+  return (
+    <Popup
+      content={t('将于 {time} 重置', { time: formatDateTime(usage.resetTime) })}
+      trigger={
+        <div style={{ color: usage.ratio >= 1 ? '#db2828' : 'grey', fontSize: 'smaller' }}>
+          {t('预算')} {formatTokenBudget(usage)}
+        </div>
+      }
+    />
+  );
+}
 
-const OPEN_LINK_OPTIONS = [
-  { key: 'next', text: 'ChatGPT Next Web', value: 'next' },
-  { key: 'ama', text: 'BotGem', value: 'ama' },
-  { key: 'opencat', text: 'OpenCat', value: 'opencat' },
-  { key: 'lobechat', text: 'LobeChat', value: 'lobechat' },
-];
+function renderLimits(token) {
+  return tokenLimitUsage(token).map((item) => (
+    <Popup
+      key={item.key}
+      content={t(item.label)}
+      trigger={
+        <div style={{ color: item.ratio >= 1 ? '#db2828' : 'grey', fontSize: 'smaller' }}>
+          {formatTokenLimit(item)}
+        </div>
+      }
+    />
+  ));
+}
 
 function renderTimestamp(timestamp) {
   return (
     <>
-      {timestamp2string(timestamp)}
+      {formatDateTime(timestamp)}
     </>
   );
 }
 
-function renderStatus(status) {
+export function renderStatus(status) {
   switch (status) {
     case 1:
-      return <Label basic color='green'>已启用</Label>;
+      return <Label basic color='green'>{t('已启用')}</Label>;
     case 2:
-      return <Label basic color='red'> 已禁用 </Label>;
+      return <Label basic color='red'> {t('已禁用')} </Label>;
     case 3:
-      return <Label basic color='yellow'> 已过期 </Label>;
+      return <Label basic color='yellow'> {t('已过期')} </Label>;
     case 4:
-      return <Label basic color='grey'> 已耗尽 </Label>;
+      return <Label basic color='grey'> {t('已耗尽')} </Label>;
     default:
-      return <Label basic color='black'> 未知状态 </Label>;
+      return <Label basic color='black'> {t('未知状态')} </Label>;
   }
 }
 
@@ -52,6 +86,9 @@ const TokensTable = () => {
   const [showTopUpModal, setShowTopUpModal] = useState(false);
   const [targetTokenIdx, setTargetTokenIdx] = useState(0);
   const [orderBy, setOrderBy] = useState('');
+  const [snippetToken, setSnippetToken] = useState(null);
+  const [rotateToken, setRotateToken] = useState(null);
+  const clientTemplates = getClientTemplates(getStatus());
 
   const loadTokens = async (startIdx) => {
     const res = await API.get(`/api/token/?p=${startIdx}&order=${orderBy}`);
@@ -85,90 +122,36 @@ const TokensTable = () => {
     await loadTokens(activePage - 1);
   };
 
-  const onCopy = async (type, key) => {
-    let status = localStorage.getItem('status');
-    let serverAddress = '';
-    if (status) {
-      status = JSON.parse(status);
-      serverAddress = status.server_address;
-    }
-    if (serverAddress === '') {
-      serverAddress = window.location.origin;
-    }
-    let encodedServerAddress = encodeURIComponent(serverAddress);
-    const nextLink = localStorage.getItem('chat_link');
-    let nextUrl;
-  
-    if (nextLink) {
-      nextUrl = nextLink + `/#/?settings={"key":"sk-${key}","url":"${serverAddress}"}`;
-    } else {
-      nextUrl = `https://app.nextchat.dev/#/?settings={"key":"sk-${key}","url":"${serverAddress}"}`;
-    }
-
-    let url;
-    switch (type) {
-      case 'ama':
-        url = `ama://set-api-key?server=${encodedServerAddress}&key=sk-${key}`;
-        break;
-      case 'opencat':
-        url = `opencat://team/join?domain=${encodedServerAddress}&token=sk-${key}`;
-        break;
-      case 'next':
-        url = nextUrl;
-        break;
-      case 'lobechat':
-        url = nextLink + `/?settings={"keyVaults":{"openai":{"apiKey":"sk-${key}","baseURL":"${serverAddress}/v1"}}}`;
-        break;
-      default:
-        url = `sk-${key}`;
-    }
+  // 没有指定客户端模板时复制令牌本身
+  const onCopy = async (template, key) => {
+    const apiKey = `sk-${key}`;
+    const url = template ? fillClientTemplate(template.url, { apiKey, serverAddress: resolveServerAddress(getStatus()) }) : apiKey;
     if (await copy(url)) {
-      showSuccess('已复制到剪贴板！');
+      showSuccess(t('已复制到剪贴板！'));
     } else {
-      showWarning('无法复制到剪贴板，请手动复制，已将令牌填入搜索框。');
+      showWarning(t('无法复制到剪贴板，请手动复制，已将令牌填入搜索框。'));
       setSearchKeyword(url);
     }
   };
 
-  const onOpenLink = async (type, key) => {
-    let status = localStorage.getItem('status');
-    let serverAddress = '';
-    if (status) {
-      status = JSON.parse(status);
-      serverAddress = status.server_address; 
-    }
-    if (serverAddress === '') {
-      serverAddress = window.location.origin;
-    }
-    let encodedServerAddress = encodeURIComponent(serverAddress);
+  // 没有指定客户端模板时打开管理员设置的聊天页面，未设置时使用第一个客户端模板
+  const onOpenLink = async (template, key) => {
+    const apiKey = `sk-${key}`;
+    const serverAddress = resolveServerAddress(getStatus());
     const chatLink = localStorage.getItem('chat_link');
-    let defaultUrl;
-  
-    if (chatLink) {
-      defaultUrl = chatLink + `/#/?settings={"key":"sk-${key}","url":"${serverAddress}"}`;
-    } else {
-      defaultUrl = `https://app.nextchat.dev/#/?settings={"key":"sk-${key}","url":"${serverAddress}"}`;
-    }
     let url;
-    switch (type) {
-      case 'ama':
-        url = `ama://set-api-key?server=${encodedServerAddress}&key=sk-${key}`;
-        break;
-  
-      case 'opencat':
-        url = `opencat://team/join?domain=${encodedServerAddress}&token=sk-${key}`;
-        break;
-
-      case 'lobechat':
-        url = chatLink + `/?settings={"keyVaults":{"openai":{"apiKey":"sk-${key}","baseURL":"${serverAddress}/v1"}}}`;
-        break;
-
-      default:
-        url = defaultUrl;
+    if (template) {
+      url = fillClientTemplate(template.url, { apiKey, serverAddress });
+    } else if (chatLink) {
+      url = chatLink + `/#/?settings={"key":"${apiKey}","url":"${serverAddress}"}`;
+    } else if (clientTemplates.length > 0) {
+      url = fillClientTemplate(clientTemplates[0].url, { apiKey, serverAddress });
+    } else {
+      showError(t('管理员未设置聊天链接'));
+      return;
     }
-  
     window.open(url, '_blank');
-  }
+  };
 
   useEffect(() => {
     loadTokens(0, orderBy)
@@ -196,7 +179,7 @@ const TokensTable = () => {
     }
     const { success, message } = res.data;
     if (success) {
-      showSuccess('操作成功完成！');
+      showSuccess(t('操作成功完成！'));
       let token = res.data.data;
       let newTokens = [...tokens];
       let realIdx = (activePage - 1) * ITEMS_PER_PAGE + idx;
@@ -262,12 +245,14 @@ const TokensTable = () => {
 
   return (
     <>
+      <TokenSnippetModal token={snippetToken} onClose={() => setSnippetToken(null)} />
+      <TokenRotateModal token={rotateToken} onClose={() => setRotateToken(null)} onRotated={refresh} />
       <Form onSubmit={searchTokens}>
         <Form.Input
           icon='search'
           fluid
           iconPosition='left'
-          placeholder='搜索令牌的名称 ...'
+          placeholder={t('搜索令牌的名称 ...')}
           value={searchKeyword}
           loading={searching}
           onChange={handleKeywordChange}
@@ -283,7 +268,7 @@ const TokensTable = () => {
                 sortToken('name');
               }}
             >
-              名称
+              {t('名称')}
             </Table.HeaderCell>
             <Table.HeaderCell
               style={{ cursor: 'pointer' }}
@@ -291,7 +276,7 @@ const TokensTable = () => {
                 sortToken('status');
               }}
             >
-              状态
+              {t('状态')}
             </Table.HeaderCell>
             <Table.HeaderCell
               style={{ cursor: 'pointer' }}
@@ -299,7 +284,7 @@ const TokensTable = () => {
                 sortToken('used_quota');
               }}
             >
-              已用额度
+              {t('已用额度')}
             </Table.HeaderCell>
             <Table.HeaderCell
               style={{ cursor: 'pointer' }}
@@ -307,7 +292,7 @@ const TokensTable = () => {
                 sortToken('remain_quota');
               }}
             >
-              剩余额度
+              {t('剩余额度')}
             </Table.HeaderCell>
             <Table.HeaderCell
               style={{ cursor: 'pointer' }}
@@ -315,7 +300,7 @@ const TokensTable = () => {
                 sortToken('created_time');
               }}
             >
-              创建时间
+              {t('创建时间')}
             </Table.HeaderCell>
             <Table.HeaderCell
               style={{ cursor: 'pointer' }}
@@ -323,9 +308,9 @@ const TokensTable = () => {
                 sortToken('expired_time');
               }}
             >
-              过期时间
+              {t('过期时间')}
             </Table.HeaderCell>
-            <Table.HeaderCell>操作</Table.HeaderCell>
+            <Table.HeaderCell>{t('操作')}</Table.HeaderCell>
           </Table.Row>
         </Table.Header>
 
@@ -339,12 +324,23 @@ const TokensTable = () => {
               if (token.deleted) return <></>;
               return (
                 <Table.Row key={token.id}>
-                  <Table.Cell>{token.name ? token.name : '无'}</Table.Cell>
+                  <Table.Cell>
+                    <Link to={`/token/${token.id}`} title={t('查看令牌详情')}>
+                      {token.name ? token.name : t('无')}
+                    </Link>
+                    {describePreviousKey(token) && (
+                      <div style={{ fontSize: '0.85em', color: 'grey' }}>{describePreviousKey(token)}</div>
+                    )}
+                  </Table.Cell>
                   <Table.Cell>{renderStatus(token.status)}</Table.Cell>
                   <Table.Cell>{renderQuota(token.used_quota)}</Table.Cell>
-                  <Table.Cell>{token.unlimited_quota ? '无限制' : renderQuota(token.remain_quota, 2)}</Table.Cell>
+                  <Table.Cell>
+                    {token.unlimited_quota ? t('无限制') : renderQuota(token.remain_quota, 2)}
+                    {renderBudget(token)}
+                    {renderLimits(token)}
+                  </Table.Cell>
                   <Table.Cell>{renderTimestamp(token.created_time)}</Table.Cell>
-                  <Table.Cell>{token.expired_time === -1 ? '永不过期' : renderTimestamp(token.expired_time)}</Table.Cell>
+                  <Table.Cell>{token.expired_time === -1 ? t('永不过期') : renderTimestamp(token.expired_time)}</Table.Cell>
                   <Table.Cell>
                     <div>
                     <Button.Group color='green' size={'small'}>
@@ -352,18 +348,20 @@ const TokensTable = () => {
                           size={'small'}
                           positive
                           onClick={async () => {
-                            await onCopy('', token.key);
+                            await onCopy(null, token.key);
                           }}
                         >
-                          复制
+                          {t('复制')}
                         </Button>
                         <Dropdown
                           className='button icon'
                           floating
-                          options={COPY_OPTIONS.map(option => ({
-                            ...option,
+                          options={clientTemplates.map((template) => ({
+                            key: template.name,
+                            text: template.name,
+                            value: template.name,
                             onClick: async () => {
-                              await onCopy(option.value, token.key);
+                              await onCopy(template, token.key);
                             }
                           }))}
                           trigger={<></>}
@@ -375,27 +373,35 @@ const TokensTable = () => {
                             size={'small'}
                             positive
                             onClick={() => {     
-                              onOpenLink('', token.key);       
+                              onOpenLink(null, token.key);       
                             }}>
-                            聊天
+                            {t('聊天')}
                           </Button>
                           <Dropdown   
                             className="button icon"       
                             floating
-                            options={OPEN_LINK_OPTIONS.map(option => ({
-                              ...option,
+                            options={clientTemplates.map((template) => ({
+                              key: template.name,
+                              text: template.name,
+                              value: template.name,
                               onClick: async () => {
-                                await onOpenLink(option.value, token.key);
+                                await onOpenLink(template, token.key);
                               }
-                            }))}       
+                            }))}
                             trigger={<></>}   
                           />
                       </Button.Group>
                       {' '}
+                      <Button size='small' color='teal' onClick={() => setSnippetToken(token)}>
+                        {t('使用')}
+                      </Button>
+                      <Button size='small' onClick={() => setRotateToken(token)}>
+                        {t('更换密钥')}
+                      </Button>
                       <Popup
                         trigger={
                           <Button size='small' negative>
-                            删除
+                            {t('删除')}
                           </Button>
                         }
                         on='click'
@@ -408,7 +414,7 @@ const TokensTable = () => {
                             manageToken(token.id, 'delete', idx);
                           }}
                         >
-                          删除令牌 {token.name}
+                          {t('删除令牌')} {token.name}
                         </Button>
                       </Popup>
                       <Button
@@ -421,14 +427,14 @@ const TokensTable = () => {
                           );
                         }}
                       >
-                        {token.status === 1 ? '禁用' : '启用'}
+                        {token.status === 1 ? t('禁用') : t('启用')}
                       </Button>
                       <Button
                         size={'small'}
                         as={Link}
                         to={'/token/edit/' + token.id}
                       >
-                        编辑
+                        {t('编辑')}
                       </Button>
                     </div>
                   </Table.Cell>
@@ -441,16 +447,16 @@ const TokensTable = () => {
           <Table.Row>
             <Table.HeaderCell colSpan='7'>
               <Button size='small' as={Link} to='/token/add' loading={loading}>
-                添加新的令牌
+                {t('添加新的令牌')}
               </Button>
-              <Button size='small' onClick={refresh} loading={loading}>刷新</Button>
+              <Button size='small' onClick={refresh} loading={loading}>{t('刷新')}</Button>
               <Dropdown
-                placeholder='排序方式'
+                placeholder={t('排序方式')}
                 selection
                 options={[
-                  { key: '', text: '默认排序', value: '' },
-                  { key: 'remain_quota', text: '按剩余额度排序', value: 'remain_quota' },
-                  { key: 'used_quota', text: '按已用额度排序', value: 'used_quota' },
+                  { key: '', text: t('默认排序'), value: '' },
+                  { key: 'remain_quota', text: t('按剩余额度排序'), value: 'remain_quota' },
+                  { key: 'used_quota', text: t('按已用额度排序'), value: 'used_quota' },
                 ]}
                 value={orderBy}
                 onChange={handleOrderByChange}
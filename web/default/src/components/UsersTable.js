@@ -1,21 +1,24 @@
 import React, { useEffect, useState } from 'react';
-import { Button, Form, Label, Pagination, Popup, Table, Dropdown } from 'semantic-ui-react';
+import { Button, Form, Label, Modal, Pagination, Popup, Table, Dropdown } from 'semantic-ui-react';
 import { Link } from 'react-router-dom';
 import { API, showError, showSuccess } from '../helpers';
+import { t } from 'one-api-common';
 
 import { ITEMS_PER_PAGE } from '../constants';
+import SessionTable from './SessionTable';
+import SecurityEventTable from './SecurityEventTable';
 import { renderGroup, renderNumber, renderQuota, renderText } from '../helpers/render';
 
 function renderRole(role) {
   switch (role) {
     case 1:
-      return <Label>普通用户</Label>;
+      return <Label>{t('普通用户')}</Label>;
     case 10:
-      return <Label color='yellow'>管理员</Label>;
+      return <Label color='yellow'>{t('管理员')}</Label>;
     case 100:
-      return <Label color='orange'>超级管理员</Label>;
+      return <Label color='orange'>{t('超级管理员')}</Label>;
     default:
-      return <Label color='red'>未知身份</Label>;
+      return <Label color='red'>{t('未知身份')}</Label>;
   }
 }
 
@@ -26,6 +29,8 @@ const UsersTable = () => {
   const [searchKeyword, setSearchKeyword] = useState('');
   const [searching, setSearching] = useState(false);
   const [orderBy, setOrderBy] = useState('');
+  const [sessionUser, setSessionUser] = useState(null);
+  const [securityUser, setSecurityUser] = useState(null);
 
   const loadUsers = async (startIdx) => {
     const res = await API.get(`/api/user/?p=${startIdx}&order=${orderBy}`);
@@ -70,7 +75,7 @@ const UsersTable = () => {
       });
       const { success, message } = res.data;
       if (success) {
-        showSuccess('操作成功完成！');
+        showSuccess(t('操作成功完成！'));
         let user = res.data.data;
         let newUsers = [...users];
         let realIdx = (activePage - 1) * ITEMS_PER_PAGE + idx;
@@ -90,17 +95,17 @@ const UsersTable = () => {
   const renderStatus = (status) => {
     switch (status) {
       case 1:
-        return <Label basic>已激活</Label>;
+        return <Label basic>{t('已激活')}</Label>;
       case 2:
         return (
           <Label basic color='red'>
-            已封禁
+            {t('已封禁')}
           </Label>
         );
       default:
         return (
           <Label basic color='grey'>
-            未知状态
+            {t('未知状态')}
           </Label>
         );
     }
@@ -162,7 +167,7 @@ const UsersTable = () => {
           icon='search'
           fluid
           iconPosition='left'
-          placeholder='搜索用户的 ID，用户名，显示名称，以及邮箱地址 ...'
+          placeholder={t('搜索用户的 ID，用户名，显示名称，以及邮箱地址 ...')}
           value={searchKeyword}
           loading={searching}
           onChange={handleKeywordChange}
@@ -186,7 +191,7 @@ const UsersTable = () => {
                 sortUser('username');
               }}
             >
-              用户名
+              {t('用户名')}
             </Table.HeaderCell>
             <Table.HeaderCell
               style={{ cursor: 'pointer' }}
@@ -194,7 +199,7 @@ const UsersTable = () => {
                 sortUser('group');
               }}
             >
-              分组
+              {t('分组')}
             </Table.HeaderCell>
             <Table.HeaderCell
               style={{ cursor: 'pointer' }}
@@ -202,7 +207,7 @@ const UsersTable = () => {
                 sortUser('quota');
               }}
             >
-              统计信息
+              {t('统计信息')}
             </Table.HeaderCell>
             <Table.HeaderCell
               style={{ cursor: 'pointer' }}
@@ -210,7 +215,7 @@ const UsersTable = () => {
                 sortUser('role');
               }}
             >
-              用户角色
+              {t('用户角色')}
             </Table.HeaderCell>
             <Table.HeaderCell
               style={{ cursor: 'pointer' }}
@@ -218,9 +223,9 @@ const UsersTable = () => {
                 sortUser('status');
               }}
             >
-              状态
+              {t('状态')}
             </Table.HeaderCell>
-            <Table.HeaderCell>操作</Table.HeaderCell>
+            <Table.HeaderCell>{t('操作')}</Table.HeaderCell>
           </Table.Row>
         </Table.Header>
 
@@ -237,7 +242,7 @@ const UsersTable = () => {
                   <Table.Cell>{user.id}</Table.Cell>
                   <Table.Cell>
                     <Popup
-                      content={user.email ? user.email : '未绑定邮箱地址'}
+                      content={user.email ? user.email : t('未绑定邮箱地址')}
                       key={user.username}
                       header={user.display_name ? user.display_name : user.username}
                       trigger={<span>{renderText(user.username, 15)}</span>}
@@ -249,9 +254,9 @@ const UsersTable = () => {
                   {/*  {user.email ? <Popup hoverable content={user.email} trigger={<span>{renderText(user.email, 24)}</span>} /> : '无'}*/}
                   {/*</Table.Cell>*/}
                   <Table.Cell>
-                    <Popup content='剩余额度' trigger={<Label basic>{renderQuota(user.quota)}</Label>} />
-                    <Popup content='已用额度' trigger={<Label basic>{renderQuota(user.used_quota)}</Label>} />
-                    <Popup content='请求次数' trigger={<Label basic>{renderNumber(user.request_count)}</Label>} />
+                    <Popup content={t('剩余额度')} trigger={<Label basic>{renderQuota(user.quota)}</Label>} />
+                    <Popup content={t('已用额度')} trigger={<Label basic>{renderQuota(user.used_quota)}</Label>} />
+                    <Popup content={t('请求次数')} trigger={<Label basic>{renderNumber(user.request_count)}</Label>} />
                   </Table.Cell>
                   <Table.Cell>{renderRole(user.role)}</Table.Cell>
                   <Table.Cell>{renderStatus(user.status)}</Table.Cell>
@@ -265,7 +270,7 @@ const UsersTable = () => {
                         }}
                         disabled={user.role === 100}
                       >
-                        提升
+                        {t('提升')}
                       </Button>
                       <Button
                         size={'small'}
@@ -275,12 +280,12 @@ const UsersTable = () => {
                         }}
                         disabled={user.role === 100}
                       >
-                        降级
+                        {t('降级')}
                       </Button>
                       <Popup
                         trigger={
                           <Button size='small' negative disabled={user.role === 100}>
-                            删除
+                            {t('删除')}
                           </Button>
                         }
                         on='click'
@@ -293,7 +298,7 @@ const UsersTable = () => {
                             manageUser(user.username, 'delete', idx);
                           }}
                         >
-                          删除用户 {user.username}
+                          {t('删除用户')} {user.username}
                         </Button>
                       </Popup>
                       <Button
@@ -307,14 +312,30 @@ const UsersTable = () => {
                         }}
                         disabled={user.role === 100}
                       >
-                        {user.status === 1 ? '禁用' : '启用'}
+                        {user.status === 1 ? t('禁用') : t('启用')}
                       </Button>
                       <Button
                         size={'small'}
                         as={Link}
                         to={'/user/edit/' + user.id}
                       >
-                        编辑
+                        {t('编辑')}
+                      </Button>
+                      <Button
+                        size={'small'}
+                        onClick={() => {
+                          setSessionUser(user);
+                        }}
+                      >
+                        {t('会话')}
+                      </Button>
+                      <Button
+                        size={'small'}
+                        onClick={() => {
+                          setSecurityUser(user);
+                        }}
+                      >
+                        {t('安全日志')}
                       </Button>
                     </div>
                   </Table.Cell>
@@ -327,16 +348,16 @@ const UsersTable = () => {
           <Table.Row>
             <Table.HeaderCell colSpan='7'>
               <Button size='small' as={Link} to='/user/add' loading={loading}>
-                添加新的用户
+                {t('添加新的用户')}
               </Button>
               <Dropdown
-                placeholder='排序方式'
+                placeholder={t('排序方式')}
                 selection
                 options={[
-                  { key: '', text: '默认排序', value: '' },
-                  { key: 'quota', text: '按剩余额度排序', value: 'quota' },
-                  { key: 'used_quota', text: '按已用额度排序', value: 'used_quota' },
-                  { key: 'request_count', text: '按请求次数排序', value: 'request_count' },
+                  { key: '', text: t('默认排序'), value: '' },
+                  { key: 'quota', text: t('按剩余额度排序'), value: 'quota' },
+                  { key: 'used_quota', text: t('按已用额度排序'), value: 'used_quota' },
+                  { key: 'request_count', text: t('按请求次数排序'), value: 'request_count' },
                 ]}
                 value={orderBy}
                 onChange={handleOrderByChange}
@@ -357,6 +378,20 @@ const UsersTable = () => {
           </Table.Row>
         </Table.Footer>
       </Table>
+      <Modal size='large' open={!!sessionUser} onClose={() => setSessionUser(null)}>
+        <Modal.Header>{sessionUser ? t('{username} 的登录会话', { username: sessionUser.username }) : ''}</Modal.Header>
+        <Modal.Content>{sessionUser && <SessionTable userId={sessionUser.id} />}</Modal.Content>
+        <Modal.Actions>
+          <Button onClick={() => setSessionUser(null)}>{t('关闭')}</Button>
+        </Modal.Actions>
+      </Modal>
+      <Modal size='large' open={!!securityUser} onClose={() => setSecurityUser(null)}>
+        <Modal.Header>{securityUser ? t('{username} 的安全日志', { username: securityUser.username }) : ''}</Modal.Header>
+        <Modal.Content>{securityUser && <SecurityEventTable userId={securityUser.id} />}</Modal.Content>
+        <Modal.Actions>
+          <Button onClick={() => setSecurityUser(null)}>{t('关闭')}</Button>
+        </Modal.Actions>
+      </Modal>
     </>
   );
 };
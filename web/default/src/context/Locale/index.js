@@ -0,0 +1,12 @@
+// contexts/Locale/index.jsx
+
+import React, { useSyncExternalStore } from 'react';
+import { getLocale, subscribeLocale } from 'one-api-common';
+
+export const useLocale = () => useSyncExternalStore(subscribeLocale, getLocale);
+
+// 切换语言时重新挂载子树，让所有 t() 按新语言重新求值
+export const LocaleProvider = ({ children }) => {
+  const locale = useLocale();
+  return <React.Fragment key={locale}>{children}</React.Fragment>;
+};
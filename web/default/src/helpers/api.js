@@ -1,13 +1,16 @@
 import { showError } from './utils';
 import axios from 'axios';
+import { createApiClient, setupInterceptors } from 'one-api-common';
 
 export const API = axios.create({
   baseURL: process.env.REACT_APP_SERVER ? process.env.REACT_APP_SERVER : '',
 });
 
-API.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    showError(error);
-  }
-);
+setupInterceptors(API, {
+  onError: showError,
+  onUnauthorized: () => {
+    window.location.href = '/login?expired=true';
+  },
+});
+
+export const api = createApiClient(API);
@@ -2,6 +2,9 @@ import { toast } from 'react-toastify';
 import { toastConstants } from '../constants';
 import React from 'react';
 import { API } from './api';
+import { describeError, ErrorKind, t } from 'one-api-common';
+
+export { timestamp2string } from 'one-api-common';
 
 const HTMLToastContent = ({ htmlContent }) => {
   return <div dangerouslySetInnerHTML={{ __html: htmlContent }} />;
@@ -75,50 +78,33 @@ if (isMobile()) {
 
 export function showError(error) {
   console.error(error);
-  if (error.message) {
-    if (error.name === 'AxiosError') {
-      switch (error.response.status) {
-        case 401:
-          // toast.error('错误：未登录或登录已过期，请重新登录！', showErrorOptions);
-          window.location.href = '/login?expired=true';
-          break;
-        case 429:
-          toast.error('错误：请求次数过多，请稍后再试！', showErrorOptions);
-          break;
-        case 500:
-          toast.error('错误：服务器内部错误，请联系管理员！', showErrorOptions);
-          break;
-        case 405:
-          toast.info('本站仅作演示之用，无服务端！');
-          break;
-        default:
-          toast.error('错误：' + error.message, showErrorOptions);
-      }
-      return;
-    }
-    toast.error('错误：' + error.message, showErrorOptions);
-  } else {
-    toast.error('错误：' + error, showErrorOptions);
+  if (error && error.reported) {
+    return;
   }
+  if (error && error.kind === ErrorKind.Demo) {
+    toast.info(describeError(error));
+    return;
+  }
+  toast.error(describeError(error), showErrorOptions);
 }
 
 export function showWarning(message) {
-  toast.warn(message, showWarningOptions);
+  toast.warn(t(message), showWarningOptions);
 }
 
 export function showSuccess(message) {
-  toast.success(message, showSuccessOptions);
+  toast.success(t(message), showSuccessOptions);
 }
 
 export function showInfo(message) {
-  toast.info(message, showInfoOptions);
+  toast.info(t(message), showInfoOptions);
 }
 
 export function showNotice(message, isHTML = false) {
   if (isHTML) {
     toast(<HTMLToastContent htmlContent={message} />, showNoticeOptions);
   } else {
-    toast.info(message, showNoticeOptions);
+    toast.info(t(message), showNoticeOptions);
   }
 }
 
@@ -134,44 +120,6 @@ export function removeTrailingSlash(url) {
   }
 }
 
-export function timestamp2string(timestamp) {
-  let date = new Date(timestamp * 1000);
-  let year = date.getFullYear().toString();
-  let month = (date.getMonth() + 1).toString();
-  let day = date.getDate().toString();
-  let hour = date.getHours().toString();
-  let minute = date.getMinutes().toString();
-  let second = date.getSeconds().toString();
-  if (month.length === 1) {
-    month = '0' + month;
-  }
-  if (day.length === 1) {
-    day = '0' + day;
-  }
-  if (hour.length === 1) {
-    hour = '0' + hour;
-  }
-  if (minute.length === 1) {
-    minute = '0' + minute;
-  }
-  if (second.length === 1) {
-    second = '0' + second;
-  }
-  return (
-    year +
-    '-' +
-    month +
-    '-' +
-    day +
-    ' ' +
-    hour +
-    ':' +
-    minute +
-    ':' +
-    second
-  );
-}
-
 export function downloadTextAsFile(text, filename) {
   let blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
   let url = URL.createObjectURL(blob);
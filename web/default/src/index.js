@@ -5,12 +5,14 @@ import { Container } from 'semantic-ui-react';
 import App from './App';
 import Header from './components/Header';
 import Footer from './components/Footer';
+import QuotaAlertBanner from './components/QuotaAlertBanner';
 import 'semantic-ui-css/semantic.min.css';
 import './index.css';
 import { UserProvider } from './context/User';
 import { ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import { StatusProvider } from './context/Status';
+import { LocaleProvider } from './context/Locale';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -18,12 +20,15 @@ root.render(
     <StatusProvider>
       <UserProvider>
         <BrowserRouter>
-          <Header />
-          <Container className={'main-content'}>
-            <App />
-          </Container>
+          <LocaleProvider>
+            <Header />
+            <Container className={'main-content'}>
+              <QuotaAlertBanner />
+              <App />
+            </Container>
+            <Footer />
+          </LocaleProvider>
           <ToastContainer />
-          <Footer />
         </BrowserRouter>
       </UserProvider>
     </StatusProvider>
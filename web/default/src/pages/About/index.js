@@ -2,6 +2,7 @@ import React, { useEffect, useState } from 'react';
 import { Header, Segment } from 'semantic-ui-react';
 import { API, showError } from '../../helpers';
 import { marked } from 'marked';
+import { t } from 'one-api-common';
 
 const About = () => {
   const [about, setAbout] = useState('');
@@ -20,7 +21,7 @@ const About = () => {
       localStorage.setItem('about', aboutContent);
     } else {
       showError(message);
-      setAbout('加载关于内容失败...');
+      setAbout(t('加载关于内容失败...'));
     }
     setAboutLoaded(true);
   };
@@ -34,9 +35,9 @@ const About = () => {
       {
         aboutLoaded && about === '' ? <>
           <Segment>
-            <Header as='h3'>关于</Header>
-            <p>可在设置页面设置关于内容，支持 HTML & Markdown</p>
-            项目仓库地址：
+            <Header as='h3'>{t('关于')}</Header>
+            <p>{t('可在设置页面设置关于内容，支持 HTML & Markdown')}</p>
+            {t('项目仓库地址：')}
             <a href='https://github.com/songquanpeng/one-api'>
               https://github.com/songquanpeng/one-api
             </a>
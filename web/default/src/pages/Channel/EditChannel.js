@@ -3,6 +3,8 @@ import { Button, Form, Header, Input, Message, Segment } from 'semantic-ui-react
 import { useNavigate, useParams } from 'react-router-dom';
 import { API, copy, getChannelModels, showError, showInfo, showSuccess, verifyJSON } from '../../helpers';
 import { CHANNEL_OPTIONS } from '../../constants';
+import JsonMapEditor from '../../components/JsonMapEditor';
+import { t } from 'one-api-common';
 
 const MODEL_MAPPING_EXAMPLE = {
   'gpt-3.5-turbo-0301': 'gpt-3.5-turbo',
@@ -55,6 +57,8 @@ const EditChannel = () => {
   const [basicModels, setBasicModels] = useState([]);
   const [fullModels, setFullModels] = useState([]);
   const [customModel, setCustomModel] = useState('');
+  const [savedModelMapping, setSavedModelMapping] = useState('');
+  const [modelMappingErrors, setModelMappingErrors] = useState([]);
   const [config, setConfig] = useState({
     region: '',
     sk: '',
@@ -96,6 +100,7 @@ const EditChannel = () => {
         data.model_mapping = JSON.stringify(JSON.parse(data.model_mapping), null, 2);
       }
       setInputs(data);
+      setSavedModelMapping(data.model_mapping);
       if (data.config !== '') {
         setConfig(JSON.parse(data.config));
       }
@@ -168,15 +173,19 @@ const EditChannel = () => {
       }
     }
     if (!isEdit && (inputs.name === '' || inputs.key === '')) {
-      showInfo('请填写渠道名称和渠道密钥！');
+      showInfo(t('请填写渠道名称和渠道密钥！'));
       return;
     }
     if (inputs.type !== 43 && inputs.models.length === 0) {
-      showInfo('请至少选择一个模型！');
+      showInfo(t('请至少选择一个模型！'));
       return;
     }
     if (inputs.model_mapping !== '' && !verifyJSON(inputs.model_mapping)) {
-      showInfo('模型映射必须是合法的 JSON 格式！');
+      showInfo(t('模型映射必须是合法的 JSON 格式！'));
+      return;
+    }
+    if (modelMappingErrors.length > 0) {
+      showInfo(t('模型映射有误：{error}', { error: modelMappingErrors[0] }));
       return;
     }
     let localInputs = {...inputs};
@@ -198,9 +207,10 @@ const EditChannel = () => {
     const { success, message } = res.data;
     if (success) {
       if (isEdit) {
-        showSuccess('渠道更新成功！');
+        showSuccess(t('渠道更新成功！'));
+        setSavedModelMapping(inputs.model_mapping);
       } else {
-        showSuccess('渠道创建成功！');
+        showSuccess(t('渠道创建成功！'));
         setInputs(originInputs);
       }
     } else {
@@ -229,15 +239,15 @@ const EditChannel = () => {
   return (
     <>
       <Segment loading={loading}>
-        <Header as='h3'>{isEdit ? '更新渠道信息' : '创建新的渠道'}</Header>
+        <Header as='h3'>{isEdit ? t('更新渠道信息') : t('创建新的渠道')}</Header>
         <Form autoComplete='new-password'>
           <Form.Field>
             <Form.Select
-              label='类型'
+              label={t('类型')}
               name='type'
               required
               search
-              options={CHANNEL_OPTIONS}
+              options={CHANNEL_OPTIONS.map((option) => ({ ...option, text: t(option.text) }))}
               value={inputs.type}
               onChange={handleInputChange}
             />
@@ -246,15 +256,14 @@ const EditChannel = () => {
             inputs.type === 3 && (
               <>
                 <Message>
-                  注意，<strong>模型部署名称必须和模型名称保持一致</strong>，因为 One API 会把请求体中的 model
-                  参数替换为你的部署名称（模型名称中的点会被剔除），<a target='_blank'
-                                                                    href='https://github.com/songquanpeng/one-api/issues/133?notification_referrer_id=NT_kwDOAmJSYrM2NjIwMzI3NDgyOjM5OTk4MDUw#issuecomment-1571602271'>图片演示</a>。
+                  {t('注意，')}<strong>{t('模型部署名称必须和模型名称保持一致')}</strong>{t('，因为 One API 会把请求体中的 model 参数替换为你的部署名称（模型名称中的点会被剔除），')}<a target='_blank'
+                                                                    href='https://github.com/songquanpeng/one-api/issues/133?notification_referrer_id=NT_kwDOAmJSYrM2NjIwMzI3NDgyOjM5OTk4MDUw#issuecomment-1571602271'>{t('图片演示')}</a>。
                 </Message>
                 <Form.Field>
                   <Form.Input
                     label='AZURE_OPENAI_ENDPOINT'
                     name='base_url'
-                    placeholder={'请输入 AZURE_OPENAI_ENDPOINT，例如：https://docs-test-001.openai.azure.com'}
+                    placeholder={t('请输入 AZURE_OPENAI_ENDPOINT，例如：https://docs-test-001.openai.azure.com')}
                     onChange={handleInputChange}
                     value={inputs.base_url}
                     autoComplete='new-password'
@@ -262,9 +271,9 @@ const EditChannel = () => {
                 </Form.Field>
                 <Form.Field>
                   <Form.Input
-                    label='默认 API 版本'
+                    label={t('默认 API 版本')}
                     name='other'
-                    placeholder={'请输入默认 API 版本，例如：2024-03-01-preview，该配置可以被实际的请求查询参数所覆盖'}
+                    placeholder={t('请输入默认 API 版本，例如：2024-03-01-preview，该配置可以被实际的请求查询参数所覆盖')}
                     onChange={handleInputChange}
                     value={inputs.other}
                     autoComplete='new-password'
@@ -279,7 +288,7 @@ const EditChannel = () => {
                 <Form.Input
                   label='Base URL'
                   name='base_url'
-                  placeholder={'请输入自定义渠道的 Base URL，例如：https://openai.justsong.cn'}
+                  placeholder={t('请输入自定义渠道的 Base URL，例如：https://openai.justsong.cn')}
                   onChange={handleInputChange}
                   value={inputs.base_url}
                   autoComplete='new-password'
@@ -289,10 +298,10 @@ const EditChannel = () => {
           }
           <Form.Field>
             <Form.Input
-              label='名称'
+              label={t('名称')}
               required
               name='name'
-              placeholder={'请为渠道命名'}
+              placeholder={t('请为渠道命名')}
               onChange={handleInputChange}
               value={inputs.name}
               autoComplete='new-password'
@@ -300,15 +309,15 @@ const EditChannel = () => {
           </Form.Field>
           <Form.Field>
             <Form.Dropdown
-              label='分组'
-              placeholder={'请选择可以使用该渠道的分组'}
+              label={t('分组')}
+              placeholder={t('请选择可以使用该渠道的分组')}
               name='groups'
               required
               fluid
               multiple
               selection
               allowAdditions
-              additionLabel={'请在系统设置页面编辑分组倍率以添加新的分组：'}
+              additionLabel={t('请在系统设置页面编辑分组倍率以添加新的分组：')}
               onChange={handleInputChange}
               value={inputs.groups}
               autoComplete='new-password'
@@ -319,9 +328,9 @@ const EditChannel = () => {
             inputs.type === 18 && (
               <Form.Field>
                 <Form.Input
-                  label='模型版本'
+                  label={t('模型版本')}
                   name='other'
-                  placeholder={'请输入星火大模型版本，注意是接口地址中的版本号，例如：v2.1'}
+                  placeholder={t('请输入星火大模型版本，注意是接口地址中的版本号，例如：v2.1')}
                   onChange={handleInputChange}
                   value={inputs.other}
                   autoComplete='new-password'
@@ -333,9 +342,9 @@ const EditChannel = () => {
             inputs.type === 21 && (
               <Form.Field>
                 <Form.Input
-                  label='知识库 ID'
+                  label={t('知识库 ID')}
                   name='other'
-                  placeholder={'请输入知识库 ID，例如：123456'}
+                  placeholder={t('请输入知识库 ID，例如：123456')}
                   onChange={handleInputChange}
                   value={inputs.other}
                   autoComplete='new-password'
@@ -347,9 +356,9 @@ const EditChannel = () => {
             inputs.type === 17 && (
               <Form.Field>
                 <Form.Input
-                  label='插件参数'
+                  label={t('插件参数')}
                   name='other'
-                  placeholder={'请输入插件参数，即 X-DashScope-Plugin 请求头的取值'}
+                  placeholder={t('请输入插件参数，即 X-DashScope-Plugin 请求头的取值')}
                   onChange={handleInputChange}
                   value={inputs.other}
                   autoComplete='new-password'
@@ -360,14 +369,14 @@ const EditChannel = () => {
           {
             inputs.type === 34 && (
               <Message>
-                对于 Coze 而言，模型名称即 Bot ID，你可以添加一个前缀 `bot-`，例如：`bot-123456`。
+                {t('对于 Coze 而言，模型名称即 Bot ID，你可以添加一个前缀 `bot-`，例如：`bot-123456`。')}
               </Message>
             )
           }
           {
             inputs.type === 40 && (
               <Message>
-                对于豆包而言，需要手动去 <a target="_blank" href="https://console.volcengine.com/ark/region:ark+cn-beijing/endpoint">模型推理页面</a> 创建推理接入点，以接入点名称作为模型名称，例如：`ep-20240608051426-tkxvl`。
+                {t('对于豆包而言，需要手动去')} <a target="_blank" href="https://console.volcengine.com/ark/region:ark+cn-beijing/endpoint">{t('模型推理页面')}</a> {t('创建推理接入点，以接入点名称作为模型名称，例如：`ep-20240608051426-tkxvl`。')}
               </Message>
             )
           }
@@ -375,8 +384,8 @@ const EditChannel = () => {
             inputs.type !== 43 && (
               <Form.Field>
                 <Form.Dropdown
-                  label='模型'
-                  placeholder={'请选择该渠道所支持的模型'}
+                  label={t('模型')}
+                  placeholder={t('请选择该渠道所支持的模型')}
                   name='models'
                   required
                   fluid
@@ -399,18 +408,18 @@ const EditChannel = () => {
               <div style={{ lineHeight: '40px', marginBottom: '12px' }}>
                 <Button type={'button'} onClick={() => {
                   handleInputChange(null, { name: 'models', value: basicModels });
-                }}>填入相关模型</Button>
+                }}>{t('填入相关模型')}</Button>
                 <Button type={'button'} onClick={() => {
                   handleInputChange(null, { name: 'models', value: fullModels });
-                }}>填入所有模型</Button>
+                }}>{t('填入所有模型')}</Button>
                 <Button type={'button'} onClick={() => {
                   handleInputChange(null, { name: 'models', value: [] });
-                }}>清除所有模型</Button>
+                }}>{t('清除所有模型')}</Button>
                 <Input
                   action={
-                    <Button type={'button'} onClick={addCustomModel}>填入</Button>
+                    <Button type={'button'} onClick={addCustomModel}>{t('填入')}</Button>
                   }
-                  placeholder='输入自定义模型名称'
+                  placeholder={t('输入自定义模型名称')}
                   value={customModel}
                   onChange={(e, { value }) => {
                     setCustomModel(value);
@@ -427,21 +436,27 @@ const EditChannel = () => {
           }
           {
           inputs.type !== 43 && (<>
-              <Form.Field>
-                <Form.TextArea
-                  label='模型重定向'
-                  placeholder={`此项可选，用于修改请求体中的模型名称，为一个 JSON 字符串，键为请求中模型名称，值为要替换的模型名称，例如：\n${JSON.stringify(MODEL_MAPPING_EXAMPLE, null, 2)}`}
-                  name='model_mapping'
-                  onChange={handleInputChange}
-                  value={inputs.model_mapping}
-                  style={{ minHeight: 150, fontFamily: 'JetBrains Mono, Consolas' }}
-                  autoComplete='new-password'
-                />
-              </Form.Field>
+              <JsonMapEditor
+                label={t('模型重定向')}
+                mapping
+                value={inputs.model_mapping}
+                savedValue={savedModelMapping}
+                onChange={(value, errors) => {
+                  setInputs((inputs) => ({ ...inputs, model_mapping: value }));
+                  setModelMappingErrors(errors);
+                }}
+                keyLabel={t('请求中的模型')}
+                valueLabel={t('替换为')}
+                keyOptions={modelOptions.map((option) => option.value)}
+                valueOptions={modelOptions.map((option) => option.value)}
+                placeholder={`${t('此项可选，用于修改请求体中的模型名称，为一个 JSON 字符串，键为请求中模型名称，值为要替换的模型名称，例如：')}\n${JSON.stringify(MODEL_MAPPING_EXAMPLE, null, 2)}`}
+                models={inputs.models}
+                channelType={inputs.type}
+              />
             <Form.Field>
                 <Form.TextArea
-                  label='系统提示词'
-                  placeholder={`此项可选，用于强制设置给定的系统提示词，请配合自定义模型 & 模型重定向使用，首先创建一个唯一的自定义模型名称并在上面填入，之后将该自定义模型重定向映射到该渠道一个原生支持的模型`}
+                  label={t('系统提示词')}
+                  placeholder={t('此项可选，用于强制设置给定的系统提示词，请配合自定义模型 & 模型重定向使用，首先创建一个唯一的自定义模型名称并在上面填入，之后将该自定义模型重定向映射到该渠道一个原生支持的模型')}
                   name='system_prompt'
                   onChange={handleInputChange}
                   value={inputs.system_prompt}
@@ -524,7 +539,7 @@ const EditChannel = () => {
                 label='User ID'
                 name='user_id'
                 required
-                placeholder={'生成该密钥的用户 ID'}
+                placeholder={t('生成该密钥的用户 ID')}
                 onChange={handleConfigChange}
                 value={config.user_id}
                 autoComplete=''
@@ -533,10 +548,10 @@ const EditChannel = () => {
           {
             inputs.type !== 33 && inputs.type !== 42 && (batch ? <Form.Field>
               <Form.TextArea
-                label='密钥'
+                label={t('密钥')}
                 name='key'
                 required
-                placeholder={'请输入密钥，一行一个'}
+                placeholder={t('请输入密钥，一行一个')}
                 onChange={handleInputChange}
                 value={inputs.key}
                 style={{ minHeight: 150, fontFamily: 'JetBrains Mono, Consolas' }}
@@ -544,10 +559,10 @@ const EditChannel = () => {
               />
             </Form.Field> : <Form.Field>
               <Form.Input
-                label='密钥'
+                label={t('密钥')}
                 name='key'
                 required
-                placeholder={type2secretPrompt(inputs.type)}
+                placeholder={t(type2secretPrompt(inputs.type))}
                 onChange={handleInputChange}
                 value={inputs.key}
                 autoComplete='new-password'
@@ -561,7 +576,7 @@ const EditChannel = () => {
                   label='Account ID'
                   name='user_id'
                   required
-                  placeholder={'请输入 Account ID，例如：d8d7c61dbc334c32d3ced580e4bf42b4'}
+                  placeholder={t('请输入 Account ID，例如：d8d7c61dbc334c32d3ced580e4bf42b4')}
                   onChange={handleConfigChange}
                   value={config.user_id}
                   autoComplete=''
@@ -573,7 +588,7 @@ const EditChannel = () => {
             inputs.type !== 33 && !isEdit && (
               <Form.Checkbox
                 checked={batch}
-                label='批量创建'
+                label={t('批量创建')}
                 name='batch'
                 onChange={() => setBatch(!batch)}
               />
@@ -583,9 +598,9 @@ const EditChannel = () => {
             inputs.type !== 3 && inputs.type !== 33 && inputs.type !== 8 && inputs.type !== 22 && (
               <Form.Field>
                 <Form.Input
-                  label='代理'
+                  label={t('代理')}
                   name='base_url'
-                  placeholder={'此项可选，用于通过代理站来进行 API 调用，请输入代理站地址，格式为：https://domain.com'}
+                  placeholder={t('此项可选，用于通过代理站来进行 API 调用，请输入代理站地址，格式为：https://domain.com')}
                   onChange={handleInputChange}
                   value={inputs.base_url}
                   autoComplete='new-password'
@@ -597,9 +612,9 @@ const EditChannel = () => {
             inputs.type === 22 && (
               <Form.Field>
                 <Form.Input
-                  label='私有部署地址'
+                  label={t('私有部署地址')}
                   name='base_url'
-                  placeholder={'请输入私有部署地址，格式为：https://fastgpt.run/api/openapi'}
+                  placeholder={t('请输入私有部署地址，格式为：https://fastgpt.run/api/openapi')}
                   onChange={handleInputChange}
                   value={inputs.base_url}
                   autoComplete='new-password'
@@ -607,8 +622,8 @@ const EditChannel = () => {
               </Form.Field>
             )
           }
-          <Button onClick={handleCancel}>取消</Button>
-          <Button type={isEdit ? 'button' : 'submit'} positive onClick={submit}>提交</Button>
+          <Button onClick={handleCancel}>{t('取消')}</Button>
+          <Button type={isEdit ? 'button' : 'submit'} positive onClick={submit}>{t('提交')}</Button>
         </Form>
       </Segment>
     </>
@@ -1,11 +1,12 @@
 import React from 'react';
 import { Header, Segment } from 'semantic-ui-react';
 import ChannelsTable from '../../components/ChannelsTable';
+import { t } from 'one-api-common';
 
 const Channel = () => (
   <>
     <Segment>
-      <Header as='h3'>管理渠道</Header>
+      <Header as='h3'>{t('管理渠道')}</Header>
       <ChannelsTable />
     </Segment>
   </>
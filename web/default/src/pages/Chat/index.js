@@ -1,15 +1,27 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { Menu } from 'semantic-ui-react';
+import Playground from '../../components/Playground';
+import PlaygroundCompare from '../../components/PlaygroundCompare';
+import { t } from 'one-api-common';
 
 const Chat = () => {
-  const chatLink = localStorage.getItem('chat_link');
+  const [mode, setMode] = useState('chat');
 
   return (
-    <iframe
-      src={chatLink}
-      style={{ width: '100%', height: '85vh', border: 'none' }}
-    />
+    <>
+      <Menu pointing secondary>
+        <Menu.Item name='对话' content={t('对话')} active={mode === 'chat'} onClick={() => setMode('chat')} />
+        <Menu.Item name='多模型对比' content={t('多模型对比')} active={mode === 'compare'} onClick={() => setMode('compare')} />
+      </Menu>
+      {/* 两个模式都保持挂载，切换时不丢失对话内容 */}
+      <div style={{ display: mode === 'chat' ? 'block' : 'none' }}>
+        <Playground />
+      </div>
+      <div style={{ display: mode === 'compare' ? 'block' : 'none' }}>
+        <PlaygroundCompare />
+      </div>
+    </>
   );
 };
 
-
 export default Chat;
@@ -3,6 +3,7 @@ import { Card, Grid, Header, Segment } from 'semantic-ui-react';
 import { API, showError, showNotice, timestamp2string } from '../../helpers';
 import { StatusContext } from '../../context/Status';
 import { marked } from 'marked';
+import { t } from 'one-api-common';
 
 const Home = () => {
   const [statusState, statusDispatch] = useContext(StatusContext);
@@ -37,7 +38,7 @@ const Home = () => {
       localStorage.setItem('home_page_content', content);
     } else {
       showError(message);
-      setHomePageContent('加载首页内容失败...');
+      setHomePageContent(t('加载首页内容失败...'));
     }
     setHomePageContentLoaded(true);
   };
@@ -56,18 +57,18 @@ const Home = () => {
       {
         homePageContentLoaded && homePageContent === '' ? <>
           <Segment>
-            <Header as='h3'>系统状况</Header>
+            <Header as='h3'>{t('系统状况')}</Header>
             <Grid columns={2} stackable>
               <Grid.Column>
                 <Card fluid>
                   <Card.Content>
-                    <Card.Header>系统信息</Card.Header>
-                    <Card.Meta>系统信息总览</Card.Meta>
+                    <Card.Header>{t('系统信息')}</Card.Header>
+                    <Card.Meta>{t('系统信息总览')}</Card.Meta>
                     <Card.Description>
-                      <p>名称：{statusState?.status?.system_name}</p>
-                      <p>版本：{statusState?.status?.version ? statusState?.status?.version : "unknown"}</p>
+                      <p>{t('名称：')}{statusState?.status?.system_name}</p>
+                      <p>{t('版本：')}{statusState?.status?.version ? statusState?.status?.version : "unknown"}</p>
                       <p>
-                        源码：
+                        {t('源码：')}
                         <a
                           href='https://github.com/songquanpeng/one-api'
                           target='_blank'
@@ -75,7 +76,7 @@ const Home = () => {
                           https://github.com/songquanpeng/one-api
                         </a>
                       </p>
-                      <p>启动时间：{getStartTimeString()}</p>
+                      <p>{t('启动时间：')}{getStartTimeString()}</p>
                     </Card.Description>
                   </Card.Content>
                 </Card>
@@ -83,32 +84,32 @@ const Home = () => {
               <Grid.Column>
                 <Card fluid>
                   <Card.Content>
-                    <Card.Header>系统配置</Card.Header>
-                    <Card.Meta>系统配置总览</Card.Meta>
+                    <Card.Header>{t('系统配置')}</Card.Header>
+                    <Card.Meta>{t('系统配置总览')}</Card.Meta>
                     <Card.Description>
                       <p>
-                        邮箱验证：
+                        {t('邮箱验证：')}
                         {statusState?.status?.email_verification === true
-                          ? '已启用'
-                          : '未启用'}
+                          ? t('已启用')
+                          : t('未启用')}
                       </p>
                       <p>
-                        GitHub 身份验证：
+                        {t('GitHub 身份验证：')}
                         {statusState?.status?.github_oauth === true
-                          ? '已启用'
-                          : '未启用'}
+                          ? t('已启用')
+                          : t('未启用')}
                       </p>
                       <p>
-                        微信身份验证：
+                        {t('微信身份验证：')}
                         {statusState?.status?.wechat_login === true
-                          ? '已启用'
-                          : '未启用'}
+                          ? t('已启用')
+                          : t('未启用')}
                       </p>
                       <p>
-                        Turnstile 用户校验：
+                        {t('Turnstile 用户校验：')}
                         {statusState?.status?.turnstile_check === true
-                          ? '已启用'
-                          : '未启用'}
+                          ? t('已启用')
+                          : t('未启用')}
                       </p>
                     </Card.Description>
                   </Card.Content>
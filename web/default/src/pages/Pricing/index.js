@@ -0,0 +1,185 @@
+import React, { useEffect, useState } from 'react';
+import { Button, Form, Header, Input, Label, Message, Segment, Statistic, Table } from 'semantic-ui-react';
+import { api, showError } from '../../helpers';
+import { renderNumber } from '../../helpers/render';
+import {
+  formatPrice,
+  indexPricing,
+  isCanceled,
+  PricingUnit,
+  pricingRows,
+  quotaForUsage,
+  quotaToCurrency,
+  t
+} from 'one-api-common';
+
+const UNIT_LABELS = {
+  [PricingUnit.Thousand]: '1K',
+  [PricingUnit.Million]: '1M'
+};
+
+const Pricing = () => {
+  const [pricing, setPricing] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [unit, setUnit] = useState(PricingUnit.Thousand);
+  const [keyword, setKeyword] = useState('');
+  const [model, setModel] = useState('');
+  const [promptTokens, setPromptTokens] = useState(1000);
+  const [completionTokens, setCompletionTokens] = useState(1000);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api.status
+      .pricing({ signal: controller.signal })
+      .then(({ success, message, data }) => {
+        if (success) {
+          setPricing(data);
+          if (data.models.length > 0) setModel(data.models[0].model);
+        } else {
+          showError(message);
+        }
+      })
+      .catch((error) => {
+        if (!isCanceled(error)) setPricing(null);
+      })
+      .finally(() => setLoading(false));
+    return () => controller.abort();
+  }, []);
+
+  const rows = pricingRows(pricing, unit).filter((row) =>
+    row.model.toLowerCase().includes(keyword.trim().toLowerCase())
+  );
+  const quota = pricing
+    ? quotaForUsage(indexPricing(pricing), model, {
+      prompt_tokens: Number(promptTokens) || 0,
+      completion_tokens: Number(completionTokens) || 0
+    })
+    : null;
+
+  return (
+    <>
+      <Segment loading={loading}>
+        <Header as='h3'>{t('模型价格')}</Header>
+        {pricing && (
+          <Message info size='small'>
+            {t('当前分组')} <Label size='small'>{pricing.group}</Label>{t('，分组倍率')} {pricing.group_ratio}{t('。 以下价格已计入分组倍率，实际扣除的额度以日志为准。')}
+          </Message>
+        )}
+        <Form>
+          <Form.Group inline>
+            <Form.Field>
+              <Input
+                icon='search'
+                placeholder={t('搜索模型')}
+                value={keyword}
+                onChange={(e, { value }) => setKeyword(value)}
+              />
+            </Form.Field>
+            <Form.Field>
+              <Button.Group size='small'>
+                {Object.values(PricingUnit).map((value) => (
+                  <Button
+                    key={value}
+                    type='button'
+                    active={unit === value}
+                    onClick={() => setUnit(value)}
+                  >
+                    {t('每 {unit} tokens', { unit: UNIT_LABELS[value] })}
+                  </Button>
+                ))}
+              </Button.Group>
+            </Form.Field>
+          </Form.Group>
+        </Form>
+        <Table celled selectable compact size='small'>
+          <Table.Header>
+            <Table.Row>
+              <Table.HeaderCell>{t('模型')}</Table.HeaderCell>
+              <Table.HeaderCell>{t('模型倍率')}</Table.HeaderCell>
+              <Table.HeaderCell>{t('补全倍率')}</Table.HeaderCell>
+              <Table.HeaderCell>{t('输入价格 / {unit} tokens', { unit: UNIT_LABELS[unit] })}</Table.HeaderCell>
+              <Table.HeaderCell>{t('输出价格 / {unit} tokens', { unit: UNIT_LABELS[unit] })}</Table.HeaderCell>
+            </Table.Row>
+          </Table.Header>
+          <Table.Body>
+            {rows.map((row) => (
+              <Table.Row
+                key={row.model}
+                active={row.model === model}
+                style={{ cursor: 'pointer' }}
+                onClick={() => setModel(row.model)}
+              >
+                <Table.Cell>
+                  {row.model}
+                  {row.varies && (
+                    <Label size='mini' style={{ marginLeft: 6 }}>
+                      {t('因渠道而异，显示最高价格')}
+                    </Label>
+                  )}
+                </Table.Cell>
+                <Table.Cell>{row.model_ratio === null ? '-' : row.model_ratio}</Table.Cell>
+                <Table.Cell>{row.completion_ratio}</Table.Cell>
+                <Table.Cell>{formatPrice(row.input)}</Table.Cell>
+                <Table.Cell>{formatPrice(row.output)}</Table.Cell>
+              </Table.Row>
+            ))}
+            {!loading && rows.length === 0 && (
+              <Table.Row>
+                <Table.Cell colSpan='5' textAlign='center'>
+                  {t('没有可用的模型')}
+                </Table.Cell>
+              </Table.Row>
+            )}
+          </Table.Body>
+        </Table>
+      </Segment>
+      <Segment>
+        <Header as='h3'>{t('价格计算器')}</Header>
+        <Form>
+          <Form.Group widths='equal'>
+            <Form.Dropdown
+              label={t('模型')}
+              search
+              selection
+              options={(pricing ? pricing.models : []).map((item) => ({
+                key: item.model,
+                text: item.model,
+                value: item.model
+              }))}
+              value={model}
+              onChange={(e, { value }) => setModel(value)}
+            />
+            <Form.Input
+              label={t('提示 tokens')}
+              type='number'
+              min={0}
+              value={promptTokens}
+              onChange={(e, { value }) => setPromptTokens(value)}
+            />
+            <Form.Input
+              label={t('补全 tokens')}
+              type='number'
+              min={0}
+              value={completionTokens}
+              onChange={(e, { value }) => setCompletionTokens(value)}
+            />
+          </Form.Group>
+        </Form>
+        <Statistic.Group size='small' widths='two'>
+          <Statistic>
+            <Statistic.Value>{quota === null ? '-' : renderNumber(quota)}</Statistic.Value>
+            <Statistic.Label>{t('额度')}</Statistic.Label>
+          </Statistic>
+          <Statistic>
+            <Statistic.Value>
+              {quota === null ? '-' : formatPrice(quotaToCurrency(quota, pricing.quota_per_unit))}
+            </Statistic.Value>
+            <Statistic.Label>{t('费用')}</Statistic.Label>
+          </Statistic>
+        </Statistic.Group>
+      </Segment>
+    </>
+  );
+};
+
+export default Pricing;
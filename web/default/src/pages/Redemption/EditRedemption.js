@@ -3,6 +3,7 @@ import { Button, Form, Header, Segment } from 'semantic-ui-react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { API, downloadTextAsFile, showError, showSuccess } from '../../helpers';
 import { renderQuota, renderQuotaWithPrompt } from '../../helpers/render';
+import { t } from 'one-api-common';
 
 const EditRedemption = () => {
   const params = useParams();
@@ -58,9 +59,9 @@ const EditRedemption = () => {
     const { success, message, data } = res.data;
     if (success) {
       if (isEdit) {
-        showSuccess('兑换码更新成功！');
+        showSuccess(t('兑换码更新成功！'));
       } else {
-        showSuccess('兑换码创建成功！');
+        showSuccess(t('兑换码创建成功！'));
         setInputs(originInputs);
       }
     } else {
@@ -78,13 +79,13 @@ const EditRedemption = () => {
   return (
     <>
       <Segment loading={loading}>
-        <Header as='h3'>{isEdit ? '更新兑换码信息' : '创建新的兑换码'}</Header>
+        <Header as='h3'>{isEdit ? t('更新兑换码信息') : t('创建新的兑换码')}</Header>
         <Form autoComplete='new-password'>
           <Form.Field>
             <Form.Input
-              label='名称'
+              label={t('名称')}
               name='name'
-              placeholder={'请输入名称'}
+              placeholder={t('请输入名称')}
               onChange={handleInputChange}
               value={name}
               autoComplete='new-password'
@@ -93,9 +94,9 @@ const EditRedemption = () => {
           </Form.Field>
           <Form.Field>
             <Form.Input
-              label={`额度${renderQuotaWithPrompt(quota)}`}
+              label={`${t('额度')}${renderQuotaWithPrompt(quota)}`}
               name='quota'
-              placeholder={'请输入单个兑换码中包含的额度'}
+              placeholder={t('请输入单个兑换码中包含的额度')}
               onChange={handleInputChange}
               value={quota}
               autoComplete='new-password'
@@ -106,9 +107,9 @@ const EditRedemption = () => {
             !isEdit && <>
               <Form.Field>
                 <Form.Input
-                  label='生成数量'
+                  label={t('生成数量')}
                   name='count'
-                  placeholder={'请输入生成数量'}
+                  placeholder={t('请输入生成数量')}
                   onChange={handleInputChange}
                   value={count}
                   autoComplete='new-password'
@@ -117,8 +118,8 @@ const EditRedemption = () => {
               </Form.Field>
             </>
           }
-          <Button positive onClick={submit}>提交</Button>
-          <Button onClick={handleCancel}>取消</Button>
+          <Button positive onClick={submit}>{t('提交')}</Button>
+          <Button onClick={handleCancel}>{t('取消')}</Button>
         </Form>
       </Segment>
     </>
@@ -1,11 +1,12 @@
 import React from 'react';
 import { Segment, Header } from 'semantic-ui-react';
 import RedemptionsTable from '../../components/RedemptionsTable';
+import { t } from 'one-api-common';
 
 const Redemption = () => (
   <>
     <Segment>
-      <Header as='h3'>管理兑换码</Header>
+      <Header as='h3'>{t('管理兑换码')}</Header>
       <RedemptionsTable/>
     </Segment>
   </>
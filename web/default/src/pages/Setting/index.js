@@ -5,11 +5,12 @@ import { isRoot } from '../../helpers';
 import OtherSetting from '../../components/OtherSetting';
 import PersonalSetting from '../../components/PersonalSetting';
 import OperationSetting from '../../components/OperationSetting';
+import { t } from 'one-api-common';
 
 const Setting = () => {
   let panes = [
     {
-      menuItem: '个人设置',
+      menuItem: t('个人设置'),
       render: () => (
         <Tab.Pane attached={false}>
           <PersonalSetting />
@@ -20,7 +21,7 @@ const Setting = () => {
 
   if (isRoot()) {
     panes.push({
-      menuItem: '运营设置',
+      menuItem: t('运营设置'),
       render: () => (
         <Tab.Pane attached={false}>
           <OperationSetting />
@@ -28,7 +29,7 @@ const Setting = () => {
       )
     });
     panes.push({
-      menuItem: '系统设置',
+      menuItem: t('系统设置'),
       render: () => (
         <Tab.Pane attached={false}>
           <SystemSetting />
@@ -36,7 +37,7 @@ const Setting = () => {
       )
     });
     panes.push({
-      menuItem: '其他设置',
+      menuItem: t('其他设置'),
       render: () => (
         <Tab.Pane attached={false}>
           <OtherSetting />
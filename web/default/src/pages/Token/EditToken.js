@@ -3,6 +3,7 @@ import { Button, Form, Header, Message, Segment } from 'semantic-ui-react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { API, copy, showError, showSuccess, timestamp2string } from '../../helpers';
 import { renderQuotaWithPrompt } from '../../helpers/render';
+import { t, TOKEN_BUDGET_PERIODS, TOKEN_RATE_LIMITS } from 'one-api-common';
 
 const EditToken = () => {
   const params = useParams();
@@ -17,6 +18,11 @@ const EditToken = () => {
     unlimited_quota: false,
     models: [],
     subnet: "",
+    budget_period: '',
+    budget_quota: 0,
+    rpm_limit: 0,
+    tpm_limit: 0,
+    concurrency_limit: 0,
   };
   const [inputs, setInputs] = useState(originInputs);
   const { name, remain_quota, expired_time, unlimited_quota } = inputs;
@@ -92,10 +98,14 @@ const EditToken = () => {
     if (!isEdit && inputs.name === '') return;
     let localInputs = inputs;
     localInputs.remain_quota = parseInt(localInputs.remain_quota);
+    localInputs.budget_quota = parseInt(localInputs.budget_quota) || 0;
+    TOKEN_RATE_LIMITS.forEach((item) => {
+      localInputs[item.field] = parseInt(localInputs[item.field]) || 0;
+    });
     if (localInputs.expired_time !== -1) {
       let time = Date.parse(localInputs.expired_time);
       if (isNaN(time)) {
-        showError('过期时间格式错误！');
+        showError(t('过期时间格式错误！'));
         return;
       }
       localInputs.expired_time = Math.ceil(time / 1000);
@@ -110,9 +120,9 @@ const EditToken = () => {
     const { success, message } = res.data;
     if (success) {
       if (isEdit) {
-        showSuccess('令牌更新成功！');
+        showSuccess(t('令牌更新成功！'));
       } else {
-        showSuccess('令牌创建成功，请在列表页面点击复制获取令牌！');
+        showSuccess(t('令牌创建成功，请在列表页面点击复制获取令牌！'));
         setInputs(originInputs);
       }
     } else {
@@ -123,13 +133,13 @@ const EditToken = () => {
   return (
     <>
       <Segment loading={loading}>
-        <Header as='h3'>{isEdit ? '更新令牌信息' : '创建新的令牌'}</Header>
+        <Header as='h3'>{isEdit ? t('更新令牌信息') : t('创建新的令牌')}</Header>
         <Form autoComplete='new-password'>
           <Form.Field>
             <Form.Input
-              label='名称'
+              label={t('名称')}
               name='name'
-              placeholder={'请输入名称'}
+              placeholder={t('请输入名称')}
               onChange={handleInputChange}
               value={name}
               autoComplete='new-password'
@@ -138,8 +148,8 @@ const EditToken = () => {
           </Form.Field>
           <Form.Field>
             <Form.Dropdown
-              label='模型范围'
-              placeholder={'请选择允许使用的模型，留空则不进行限制'}
+              label={t('模型范围')}
+              placeholder={t('请选择允许使用的模型，留空则不进行限制')}
               name='models'
               fluid
               multiple
@@ -156,9 +166,9 @@ const EditToken = () => {
           </Form.Field>
           <Form.Field>
             <Form.Input
-              label='IP 限制'
+              label={t('IP 限制')}
               name='subnet'
-              placeholder={'请输入允许访问的网段，例如：192.168.0.0/24，请使用英文逗号分隔多个网段'}
+              placeholder={t('请输入允许访问的网段，例如：192.168.0.0/24，请使用英文逗号分隔多个网段')}
               onChange={handleInputChange}
               value={inputs.subnet}
               autoComplete='new-password'
@@ -166,9 +176,9 @@ const EditToken = () => {
           </Form.Field>
           <Form.Field>
             <Form.Input
-              label='过期时间'
+              label={t('过期时间')}
               name='expired_time'
-              placeholder={'请输入过期时间，格式为 yyyy-MM-dd HH:mm:ss，-1 表示无限制'}
+              placeholder={t('请输入过期时间，格式为 yyyy-MM-dd HH:mm:ss，-1 表示无限制')}
               onChange={handleInputChange}
               value={expired_time}
               autoComplete='new-password'
@@ -178,26 +188,65 @@ const EditToken = () => {
           <div style={{ lineHeight: '40px' }}>
             <Button type={'button'} onClick={() => {
               setExpiredTime(0, 0, 0, 0);
-            }}>永不过期</Button>
+            }}>{t('永不过期')}</Button>
             <Button type={'button'} onClick={() => {
               setExpiredTime(1, 0, 0, 0);
-            }}>一个月后过期</Button>
+            }}>{t('一个月后过期')}</Button>
             <Button type={'button'} onClick={() => {
               setExpiredTime(0, 1, 0, 0);
-            }}>一天后过期</Button>
+            }}>{t('一天后过期')}</Button>
             <Button type={'button'} onClick={() => {
               setExpiredTime(0, 0, 1, 0);
-            }}>一小时后过期</Button>
+            }}>{t('一小时后过期')}</Button>
             <Button type={'button'} onClick={() => {
               setExpiredTime(0, 0, 0, 1);
-            }}>一分钟后过期</Button>
+            }}>{t('一分钟后过期')}</Button>
           </div>
-          <Message>注意，令牌的额度仅用于限制令牌本身的最大额度使用量，实际的使用受到账户的剩余额度限制。</Message>
+          <Form.Group widths='equal'>
+            <Form.Select
+              label={t('周期预算')}
+              name='budget_period'
+              options={TOKEN_BUDGET_PERIODS.map((option) => ({
+                key: option.value,
+                text: t(option.label),
+                value: option.value
+              }))}
+              onChange={handleInputChange}
+              value={inputs.budget_period}
+            />
+            <Form.Input
+              label={`${t('每期额度')}${renderQuotaWithPrompt(inputs.budget_quota)}`}
+              name='budget_quota'
+              placeholder={t('请输入每期额度')}
+              onChange={handleInputChange}
+              value={inputs.budget_quota}
+              autoComplete='new-password'
+              type='number'
+              disabled={inputs.budget_period === ''}
+            />
+          </Form.Group>
+          <Message>{t('每期的消耗达到预算后令牌暂停使用，下一期开始时自动恢复；周期按服务器所在时区计算，每周从周一开始。')}</Message>
+          <Form.Group widths='equal'>
+            {TOKEN_RATE_LIMITS.map((item) => (
+              <Form.Input
+                key={item.key}
+                label={t(item.label)}
+                name={item.field}
+                onChange={handleInputChange}
+                value={inputs[item.field]}
+                autoComplete='new-password'
+                type='number'
+                min={0}
+              />
+            ))}
+          </Form.Group>
+          <Message>{t('0 表示不限制；超出限制的请求返回 429 并记录在日志中，每分钟的计数在整分钟时清零。')}</Message>
+          <Message>{t('注意，令牌的额度仅用于限制令牌本身的最大额度使用量，实际的使用受到账户的剩余额度限制。')}</Message>
           <Form.Field>
             <Form.Input
-              label={`额度${renderQuotaWithPrompt(remain_quota)}`}
+              label={`${t('额度')}${renderQuotaWithPrompt(remain_quota)}`}
               name='remain_quota'
-              placeholder={'请输入额度'}
+              placeholder={t('请输入额度')}
               onChange={handleInputChange}
               value={remain_quota}
               autoComplete='new-password'
@@ -207,9 +256,9 @@ const EditToken = () => {
           </Form.Field>
           <Button type={'button'} onClick={() => {
             setUnlimitedQuota();
-          }}>{unlimited_quota ? '取消无限额度' : '设为无限额度'}</Button>
-          <Button floated='right' positive onClick={submit}>提交</Button>
-          <Button floated='right' onClick={handleCancel}>取消</Button>
+          }}>{unlimited_quota ? t('取消无限额度') : t('设为无限额度')}</Button>
+          <Button floated='right' positive onClick={submit}>{t('提交')}</Button>
+          <Button floated='right' onClick={handleCancel}>{t('取消')}</Button>
         </Form>
       </Segment>
     </>
@@ -0,0 +1,248 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { Button, Grid, Header, Segment, Statistic, Table } from 'semantic-ui-react';
+import {
+  analyticsParams,
+  AnalyticsDimension,
+  AnalyticsGranularity,
+  dailySeries,
+  formatDateTime,
+  formatTokenBudget,
+  isCanceled,
+  t,
+  tokenBudgetUsage,
+} from 'one-api-common';
+import { api, showError } from '../../helpers';
+import { renderNumber, renderQuota } from '../../helpers/render';
+import { renderStatus as renderTokenStatus } from '../../components/TokensTable';
+
+const RANGE_DAYS = [7, 30, 90];
+const RECENT_LOGS = 10;
+const LOG_TYPE_CONSUME = 2;
+
+function renderRows(rows, columns, rowKey) {
+  if (rows.length === 0) {
+    return (
+      <Table.Row>
+        <Table.Cell colSpan={columns.length} textAlign='center'>
+          {t('暂无数据')}
+        </Table.Cell>
+      </Table.Row>
+    );
+  }
+  return rows.map((row) => (
+    <Table.Row key={row[rowKey]}>
+      {columns.map((column) => (
+        <Table.Cell key={column.title}>{column.render(row)}</Table.Cell>
+      ))}
+    </Table.Row>
+  ));
+}
+
+function SimpleTable({ columns, rows, rowKey }) {
+  return (
+    <Table basic='very' compact size='small'>
+      <Table.Header>
+        <Table.Row>
+          {columns.map((column) => (
+            <Table.HeaderCell key={column.title}>{column.title}</Table.HeaderCell>
+          ))}
+        </Table.Row>
+      </Table.Header>
+      <Table.Body>{renderRows(rows, columns, rowKey)}</Table.Body>
+    </Table>
+  );
+}
+
+/**
+ * 单个令牌的用量：按天的趋势、按模型的分布、最近使用的客户端 IP 与最近的日志。
+ */
+const TokenDetail = () => {
+  const { id } = useParams();
+  const [token, setToken] = useState(null);
+  const [days, setDays] = useState(RANGE_DAYS[0]);
+  const [usage, setUsage] = useState(null);
+  const [ips, setIps] = useState([]);
+  const [logs, setLogs] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const options = { signal: controller.signal };
+    Promise.all([api.token.get(id, options), api.token.clientIps(id, options)])
+      .then(([tokenRes, ipsRes]) => {
+        if (tokenRes.success) {
+          setToken(tokenRes.data);
+        } else {
+          showError(tokenRes.message);
+        }
+        if (ipsRes.success) {
+          setIps(ipsRes.data || []);
+        } else {
+          showError(ipsRes.message);
+        }
+      })
+      .catch((error) => {
+        if (!isCanceled(error)) showError(error);
+      });
+    return () => controller.abort();
+  }, [id]);
+
+  useEffect(() => {
+    if (!token) return;
+    const controller = new AbortController();
+    const options = { signal: controller.signal };
+    const end = Math.floor(Date.now() / 1000);
+    const start = end - days * 86400;
+    const filters = { token_name: token.name };
+    setLoading(true);
+    Promise.all([
+      api.log.selfAnalytics(
+        analyticsParams({ dimension: AnalyticsDimension.Model, granularity: AnalyticsGranularity.Day, start, end }, filters),
+        options
+      ),
+      api.log.self({ ...filters, p: 0, type: LOG_TYPE_CONSUME }, options),
+    ])
+      .then(([usageRes, logsRes]) => {
+        if (usageRes.success) {
+          setUsage({ ...usageRes.data, start_timestamp: start, end_timestamp: end });
+        } else {
+          showError(usageRes.message);
+        }
+        if (logsRes.success) {
+          setLogs((logsRes.data || []).slice(0, RECENT_LOGS));
+        } else {
+          showError(logsRes.message);
+        }
+      })
+      .catch((error) => {
+        if (!isCanceled(error)) showError(error);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [token, days]);
+
+  // 没有图表库，按天的趋势以表格展示，最近的一天在前
+  const dayRows = useMemo(() => {
+    if (!usage) return [];
+    const series = dailySeries(usage);
+    return series.days.map((day, i) => ({ day, ...series.totals[i] })).reverse();
+  }, [usage]);
+
+  const budget = token && tokenBudgetUsage(token);
+
+  const dayColumns = [
+    { title: t('日期'), render: (row) => row.day },
+    { title: t('请求次数'), render: (row) => renderNumber(row.count) },
+    { title: t('消耗额度'), render: (row) => renderQuota(row.quota, 4) },
+    { title: 'Tokens', render: (row) => renderNumber(row.tokens) },
+  ];
+
+  const modelColumns = [
+    { title: t('模型'), render: (row) => <span translate='no'>{row.key === '' ? t('其他') : row.key}</span> },
+    { title: t('消耗额度'), render: (row) => renderQuota(row.quota, 4) },
+    {
+      title: t('占比'),
+      render: (row) => (usage.total.quota ? `${((row.quota / usage.total.quota) * 100).toFixed(1)}%` : '—'),
+    },
+    { title: t('请求次数'), render: (row) => renderNumber(row.count) },
+    { title: 'Tokens', render: (row) => renderNumber(row.prompt_tokens + row.completion_tokens) },
+  ];
+
+  const ipColumns = [
+    { title: 'IP', render: (row) => row.ip },
+    { title: t('请求次数'), render: (row) => renderNumber(row.count) },
+    { title: t('最近使用'), render: (row) => formatDateTime(row.last_seen) },
+  ];
+
+  const logColumns = [
+    { title: t('时间'), render: (row) => formatDateTime(row.created_at) },
+    { title: t('模型'), render: (row) => <span translate='no'>{row.model_name}</span> },
+    { title: t('提示'), render: (row) => row.prompt_tokens },
+    { title: t('补全'), render: (row) => row.completion_tokens },
+    { title: t('花费'), render: (row) => renderQuota(row.quota, 6) },
+    { title: 'IP', render: (row) => row.ip },
+  ];
+
+  return (
+    <>
+      <Segment>
+        <Header as='h3'>
+          {t('令牌详情')}
+          {token && <Header.Subheader>{token.name}</Header.Subheader>}
+        </Header>
+        <Button as={Link} to='/token' size='small'>
+          {t('返回')}
+        </Button>
+        {token && (
+          <Statistic.Group size='mini' widths={budget ? 'six' : 'five'} style={{ marginTop: '1em' }}>
+            <Statistic>
+              <Statistic.Value>{renderTokenStatus(token.status)}</Statistic.Value>
+              <Statistic.Label>{t('状态')}</Statistic.Label>
+            </Statistic>
+            <Statistic>
+              <Statistic.Value>{renderQuota(token.used_quota)}</Statistic.Value>
+              <Statistic.Label>{t('已用额度')}</Statistic.Label>
+            </Statistic>
+            <Statistic>
+              <Statistic.Value>{token.unlimited_quota ? t('无限制') : renderQuota(token.remain_quota)}</Statistic.Value>
+              <Statistic.Label>{t('剩余额度')}</Statistic.Label>
+            </Statistic>
+            {budget && (
+              <Statistic>
+                <Statistic.Value>{formatTokenBudget(budget)}</Statistic.Value>
+                <Statistic.Label>{t('周期预算')}</Statistic.Label>
+              </Statistic>
+            )}
+            <Statistic>
+              <Statistic.Value>{token.accessed_time ? formatDateTime(token.accessed_time) : t('从未使用')}</Statistic.Value>
+              <Statistic.Label>{t('最近使用')}</Statistic.Label>
+            </Statistic>
+            <Statistic>
+              <Statistic.Value>
+                {token.expired_time === -1 ? t('永不过期') : formatDateTime(token.expired_time)}
+              </Statistic.Value>
+              <Statistic.Label>{t('过期时间')}</Statistic.Label>
+            </Statistic>
+          </Statistic.Group>
+        )}
+      </Segment>
+      <Segment loading={loading}>
+        <Button.Group size='small'>
+          {RANGE_DAYS.map((value) => (
+            <Button key={value} active={value === days} onClick={() => setDays(value)}>
+              {t('近 {days} 天', { days: value })}
+            </Button>
+          ))}
+        </Button.Group>
+        <span style={{ marginLeft: '1em', color: 'grey' }}>{t('趋势、模型分布与日志按令牌名称统计，同名的令牌会合并在一起')}</span>
+        <Grid columns={2} stackable style={{ marginTop: '0.5em' }}>
+          <Grid.Column>
+            <Header as='h4'>{t('每日趋势')}</Header>
+            <SimpleTable columns={dayColumns} rows={dayRows} rowKey='day' />
+          </Grid.Column>
+          <Grid.Column>
+            <Header as='h4'>{t('按模型')}</Header>
+            <SimpleTable columns={modelColumns} rows={usage ? usage.top : []} rowKey='key' />
+          </Grid.Column>
+        </Grid>
+      </Segment>
+      <Segment>
+        <Grid columns={2} stackable>
+          <Grid.Column width={6}>
+            <Header as='h4'>{t('最近使用的 IP')}</Header>
+            <SimpleTable columns={ipColumns} rows={ips} rowKey='ip' />
+          </Grid.Column>
+          <Grid.Column width={10}>
+            <Header as='h4'>{t('最近的日志')}</Header>
+            <SimpleTable columns={logColumns} rows={logs} rowKey='id' />
+          </Grid.Column>
+        </Grid>
+      </Segment>
+    </>
+  );
+};
+
+export default TokenDetail;
@@ -1,11 +1,12 @@
 import React from 'react';
 import { Segment, Header } from 'semantic-ui-react';
 import TokensTable from '../../components/TokensTable';
+import { t } from 'one-api-common';
 
 const Token = () => (
   <>
     <Segment>
-      <Header as='h3'>我的令牌</Header>
+      <Header as='h3'>{t('我的令牌')}</Header>
       <TokensTable/>
     </Segment>
   </>
@@ -2,6 +2,8 @@ import React, { useEffect, useState } from 'react';
 import { Button, Form, Grid, Header, Segment, Statistic } from 'semantic-ui-react';
 import { API, showError, showInfo, showSuccess } from '../../helpers';
 import { renderQuota } from '../../helpers/render';
+import QuotaForecastCard from '../../components/QuotaForecastCard';
+import { t } from 'one-api-common';
 
 const TopUp = () => {
   const [redemptionCode, setRedemptionCode] = useState('');
@@ -12,7 +14,7 @@ const TopUp = () => {
 
   const topUp = async () => {
     if (redemptionCode === '') {
-      showInfo('请输入充值码！')
+      showInfo(t('请输入充值码！'))
       return;
     }
     setIsSubmitting(true);
@@ -22,7 +24,7 @@ const TopUp = () => {
       });
       const { success, message, data } = res.data;
       if (success) {
-        showSuccess('充值成功！');
+        showSuccess(t('充值成功！'));
         setUserQuota((quota) => {
           return quota + data;
         });
@@ -31,7 +33,7 @@ const TopUp = () => {
         showError(message);
       }
     } catch (err) {
-      showError('请求失败');
+      showError(t('请求失败'));
     } finally {
       setIsSubmitting(false); 
     }
@@ -39,7 +41,7 @@ const TopUp = () => {
 
   const openTopUpLink = () => {
     if (!topUpLink) {
-      showError('超级管理员未设置充值链接！');
+      showError(t('超级管理员未设置充值链接！'));
       return;
     }
     let url = new URL(topUpLink);
@@ -75,37 +77,40 @@ const TopUp = () => {
   }, []);
 
   return (
-    <Segment>
-      <Header as='h3'>充值额度</Header>
-      <Grid columns={2} stackable>
-        <Grid.Column>
-          <Form>
-            <Form.Input
-              placeholder='兑换码'
-              name='redemptionCode'
-              value={redemptionCode}
-              onChange={(e) => {
-                setRedemptionCode(e.target.value);
-              }}
-            />
-            <Button color='green' onClick={openTopUpLink}>
-              充值
-            </Button>
-            <Button color='yellow' onClick={topUp} disabled={isSubmitting}>
-                {isSubmitting ? '兑换中...' : '兑换'}
-            </Button>
-          </Form>
-        </Grid.Column>
-        <Grid.Column>
-          <Statistic.Group widths='one'>
-            <Statistic>
-              <Statistic.Value>{renderQuota(userQuota)}</Statistic.Value>
-              <Statistic.Label>剩余额度</Statistic.Label>
-            </Statistic>
-          </Statistic.Group>
-        </Grid.Column>
-      </Grid>
-    </Segment>
+    <>
+      <Segment>
+        <Header as='h3'>{t('充值额度')}</Header>
+        <Grid columns={2} stackable>
+          <Grid.Column>
+            <Form>
+              <Form.Input
+                placeholder={t('兑换码')}
+                name='redemptionCode'
+                value={redemptionCode}
+                onChange={(e) => {
+                  setRedemptionCode(e.target.value);
+                }}
+              />
+              <Button color='green' onClick={openTopUpLink}>
+                {t('充值')}
+              </Button>
+              <Button color='yellow' onClick={topUp} disabled={isSubmitting}>
+                  {isSubmitting ? t('兑换中...') : t('兑换')}
+              </Button>
+            </Form>
+          </Grid.Column>
+          <Grid.Column>
+            <Statistic.Group widths='one'>
+              <Statistic>
+                <Statistic.Value>{renderQuota(userQuota)}</Statistic.Value>
+                <Statistic.Label>{t('剩余额度')}</Statistic.Label>
+              </Statistic>
+            </Statistic.Group>
+          </Grid.Column>
+        </Grid>
+      </Segment>
+      <QuotaForecastCard />
+    </>
   );
 };
 
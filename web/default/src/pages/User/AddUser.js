@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { Button, Form, Header, Segment } from 'semantic-ui-react';
 import { API, showError, showSuccess } from '../../helpers';
+import { t } from 'one-api-common';
 
 const AddUser = () => {
   const originInputs = {
@@ -20,7 +21,7 @@ const AddUser = () => {
     const res = await API.post(`/api/user/`, inputs);
     const { success, message } = res.data;
     if (success) {
-      showSuccess('用户账户创建成功！');
+      showSuccess(t('用户账户创建成功！'));
       setInputs(originInputs);
     } else {
       showError(message);
@@ -30,13 +31,13 @@ const AddUser = () => {
   return (
     <>
       <Segment>
-        <Header as="h3">创建新用户账户</Header>
+        <Header as="h3">{t('创建新用户账户')}</Header>
         <Form autoComplete="off">
           <Form.Field>
             <Form.Input
-              label="用户名"
+              label={t('用户名')}
               name="username"
-              placeholder={'请输入用户名'}
+              placeholder={t('请输入用户名')}
               onChange={handleInputChange}
               value={username}
               autoComplete="off"
@@ -45,9 +46,9 @@ const AddUser = () => {
           </Form.Field>
           <Form.Field>
             <Form.Input
-              label="显示名称"
+              label={t('显示名称')}
               name="display_name"
-              placeholder={'请输入显示名称'}
+              placeholder={t('请输入显示名称')}
               onChange={handleInputChange}
               value={display_name}
               autoComplete="off"
@@ -55,10 +56,10 @@ const AddUser = () => {
           </Form.Field>
           <Form.Field>
             <Form.Input
-              label="密码"
+              label={t('密码')}
               name="password"
               type={'password'}
-              placeholder={'请输入密码'}
+              placeholder={t('请输入密码')}
               onChange={handleInputChange}
               value={password}
               autoComplete="off"
@@ -66,7 +67,7 @@ const AddUser = () => {
             />
           </Form.Field>
           <Button positive type={'submit'} onClick={submit}>
-            提交
+            {t('提交')}
           </Button>
         </Form>
       </Segment>
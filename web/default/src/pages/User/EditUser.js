@@ -3,6 +3,7 @@ import { Button, Form, Header, Segment } from 'semantic-ui-react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { API, showError, showSuccess } from '../../helpers';
 import { renderQuota, renderQuotaWithPrompt } from '../../helpers/render';
+import { t } from 'one-api-common';
 
 const EditUser = () => {
   const params = useParams();
@@ -76,7 +77,7 @@ const EditUser = () => {
     }
     const { success, message } = res.data;
     if (success) {
-      showSuccess('用户信息更新成功！');
+      showSuccess(t('用户信息更新成功！'));
     } else {
       showError(message);
     }
@@ -85,13 +86,13 @@ const EditUser = () => {
   return (
     <>
       <Segment loading={loading}>
-        <Header as='h3'>更新用户信息</Header>
+        <Header as='h3'>{t('更新用户信息')}</Header>
         <Form autoComplete='new-password'>
           <Form.Field>
             <Form.Input
-              label='用户名'
+              label={t('用户名')}
               name='username'
-              placeholder={'请输入新的用户名'}
+              placeholder={t('请输入新的用户名')}
               onChange={handleInputChange}
               value={username}
               autoComplete='new-password'
@@ -99,10 +100,10 @@ const EditUser = () => {
           </Form.Field>
           <Form.Field>
             <Form.Input
-              label='密码'
+              label={t('密码')}
               name='password'
               type={'password'}
-              placeholder={'请输入新的密码，最短 8 位'}
+              placeholder={t('请输入新的密码，最短 8 位')}
               onChange={handleInputChange}
               value={password}
               autoComplete='new-password'
@@ -110,9 +111,9 @@ const EditUser = () => {
           </Form.Field>
           <Form.Field>
             <Form.Input
-              label='显示名称'
+              label={t('显示名称')}
               name='display_name'
-              placeholder={'请输入新的显示名称'}
+              placeholder={t('请输入新的显示名称')}
               onChange={handleInputChange}
               value={display_name}
               autoComplete='new-password'
@@ -122,14 +123,14 @@ const EditUser = () => {
             userId && <>
               <Form.Field>
                 <Form.Dropdown
-                  label='分组'
-                  placeholder={'请选择分组'}
+                  label={t('分组')}
+                  placeholder={t('请选择分组')}
                   name='group'
                   fluid
                   search
                   selection
                   allowAdditions
-                  additionLabel={'请在系统设置页面编辑分组倍率以添加新的分组：'}
+                  additionLabel={t('请在系统设置页面编辑分组倍率以添加新的分组：')}
                   onChange={handleInputChange}
                   value={inputs.group}
                   autoComplete='new-password'
@@ -138,9 +139,9 @@ const EditUser = () => {
               </Form.Field>
               <Form.Field>
                 <Form.Input
-                  label={`剩余额度${renderQuotaWithPrompt(quota)}`}
+                  label={`${t('剩余额度')}${renderQuotaWithPrompt(quota)}`}
                   name='quota'
-                  placeholder={'请输入新的剩余额度'}
+                  placeholder={t('请输入新的剩余额度')}
                   onChange={handleInputChange}
                   value={quota}
                   type={'number'}
@@ -151,36 +152,36 @@ const EditUser = () => {
           }
           <Form.Field>
             <Form.Input
-              label='已绑定的 GitHub 账户'
+              label={t('已绑定的 GitHub 账户')}
               name='github_id'
               value={github_id}
               autoComplete='new-password'
-              placeholder='此项只读，需要用户通过个人设置页面的相关绑定按钮进行绑定，不可直接修改'
+              placeholder={t('此项只读，需要用户通过个人设置页面的相关绑定按钮进行绑定，不可直接修改')}
               readOnly
             />
           </Form.Field>
           <Form.Field>
             <Form.Input
-              label='已绑定的微信账户'
+              label={t('已绑定的微信账户')}
               name='wechat_id'
               value={wechat_id}
               autoComplete='new-password'
-              placeholder='此项只读，需要用户通过个人设置页面的相关绑定按钮进行绑定，不可直接修改'
+              placeholder={t('此项只读，需要用户通过个人设置页面的相关绑定按钮进行绑定，不可直接修改')}
               readOnly
             />
           </Form.Field>
           <Form.Field>
             <Form.Input
-              label='已绑定的邮箱账户'
+              label={t('已绑定的邮箱账户')}
               name='email'
               value={email}
               autoComplete='new-password'
-              placeholder='此项只读，需要用户通过个人设置页面的相关绑定按钮进行绑定，不可直接修改'
+              placeholder={t('此项只读，需要用户通过个人设置页面的相关绑定按钮进行绑定，不可直接修改')}
               readOnly
             />
           </Form.Field>
-          <Button onClick={handleCancel}>取消</Button>
-          <Button positive onClick={submit}>提交</Button>
+          <Button onClick={handleCancel}>{t('取消')}</Button>
+          <Button positive onClick={submit}>{t('提交')}</Button>
         </Form>
       </Segment>
     </>
@@ -1,11 +1,12 @@
 import React from 'react';
 import { Segment, Header } from 'semantic-ui-react';
 import UsersTable from '../../components/UsersTable';
+import { t } from 'one-api-common';
 
 const User = () => (
   <>
     <Segment>
-      <Header as='h3'>管理用户</Header>
+      <Header as='h3'>{t('管理用户')}</Header>
       <UsersTable/>
     </Segment>
   </>